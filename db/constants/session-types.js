@@ -253,36 +253,7 @@ function getSessionTypeStatsFilter(sessionTypeName) {
     };
 }
 
-// ===== MIGRATION HELPERS =====
-
-/**
- * Hilfsfunktion zum Erstellen der SessionTypes Tabelle (für Setup)
- * @param {Object} dbConnection - Datenbankverbindung
- * @returns {boolean} - Success
- */
-async function createSessionTypesTable(dbConnection) {
-    try {
-        await dbConnection.query(`
-            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'SessionTypes')
-            BEGIN
-                CREATE TABLE dbo.SessionTypes (
-                    ID INT IDENTITY(1,1) PRIMARY KEY,
-                    TypeName NVARCHAR(100) NOT NULL UNIQUE,
-                    Description NVARCHAR(500),
-                    IsActive BIT NOT NULL DEFAULT 1,
-                    CreatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
-                    UpdatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME()
-                )
-            END
-        `);
-
-        console.log('[INFO] SessionTypes Tabelle erstellt oder bereits vorhanden');
-        return true;
-    } catch (error) {
-        console.error('[ERROR] Fehler beim Erstellen der SessionTypes Tabelle:', error);
-        return false;
-    }
-}
+// ===== SETUP HELPERS =====
 
 /**
  * Hilfsfunktion zum Einfügen der Standard-SessionTypes
@@ -354,8 +325,9 @@ async function setupSessionTypes(dbConnection) {
     try {
         console.log('[INFO] 🔧 Setup der SessionTypes wird gestartet...');
 
-        const tableCreated = await createSessionTypesTable(dbConnection);
-        if (!tableCreated) {
+        // Tabelle legt Migration 001 an (npm run db:migrate)
+        if (!(await dbConnection.tableExists('SessionTypes'))) {
+            console.error('[ERROR] SessionTypes Tabelle fehlt - Datenbank-Migrationen ausführen (npm run db:migrate)');
             return false;
         }
 
@@ -418,8 +390,7 @@ module.exports = {
     getSessionTypeColor,
     getSessionTypeStatsFilter,
 
-    // Migration Helpers
-    createSessionTypesTable,
+    // Setup Helpers
     insertDefaultSessionTypes,
     setupSessionTypes
 };
\ No newline at end of file
@@ -23,6 +23,7 @@ try {
  */
 class DatabaseConnection {
     constructor() {
+        this.dialect = 'mssql';
         this.pool = null;
         this.isConnected = false;
 
@@ -44,7 +45,7 @@ class DatabaseConnection {
             pool: {
                 max: parseInt(process.env.MSSQL_POOL_MAX) || 10,
                 min: parseInt(process.env.MSSQL_POOL_MIN) || 0,
-                idleTimeoutMillis: parseInt(process.env.MSSQL_POOL_IDLE_TIMEOUT) || 30000,
+                idleTimeoutMillis: parseInt(process.env.MSSQL_POOL_IDLE_TIMEOUT) || 30000
             }
         };
 
@@ -158,32 +159,7 @@ class DatabaseConnection {
 
         try {
             const request = this.pool.request();
-
-            // Parameter hinzufügen mit korrekten SQL-Typen
-            parameters.forEach((param, index) => {
-                let sqlType = sql.NVarChar;
-
-                if (typeof param === 'number') {
-                    if (Number.isInteger(param)) {
-                        sqlType = param > 2147483647 ? sql.BigInt : sql.Int;
-                    } else {
-                        sqlType = sql.Float;
-                    }
-                } else if (typeof param === 'boolean') {
-                    sqlType = sql.Bit;
-                } else if (param instanceof Date) {
-                    sqlType = sql.DateTime2;
-                } else if (param === null || param === undefined) {
-                    sqlType = sql.NVarChar;
-                }
-
-                request.input(`param${index}`, sqlType, param);
-            });
-
-            // ? Platzhalter durch @param0, @param1, etc. ersetzen
-            let processedQuery = queryString;
-            let paramIndex = 0;
-            processedQuery = processedQuery.replace(/\?/g, () => `@param${paramIndex++}`);
+            const processedQuery = this.bindParameters(request, queryString, parameters);
 
             customConsole.database('Führe Query aus:', processedQuery.substring(0, 200) + (processedQuery.length > 200 ? '...' : ''));
             if (parameters.length > 0) {
@@ -204,6 +180,42 @@ class DatabaseConnection {
         }
     }
 
+    /**
+     * '?'-Parameter mit passenden SQL-Typen an den Request binden
+     * @returns {string} - Query mit @param0, @param1, ... statt '?'
+     */
+    bindParameters(request, queryString, parameters) {
+        parameters.forEach((param, index) => {
+            let sqlType = sql.NVarChar;
+
+            if (typeof param === 'number') {
+                if (Number.isInteger(param)) {
+                    sqlType = param > 2147483647 ? sql.BigInt : sql.Int;
+                } else {
+                    sqlType = sql.Float;
+                }
+            } else if (typeof param === 'boolean') {
+                sqlType = sql.Bit;
+            } else if (param instanceof Date) {
+                sqlType = sql.DateTime2;
+            } else if (Buffer.isBuffer(param)) {
+                sqlType = sql.VarBinary(sql.MAX);
+            } else if (param === null || param === undefined) {
+                sqlType = sql.NVarChar;
+            }
+
+            request.input(`param${index}`, sqlType, param);
+        });
+
+        let paramIndex = 0;
+        return queryString.replace(/\?/g, () => `@param${paramIndex++}`);
+    }
+
+    async tableExists(tableName) {
+        const result = await this.query('SELECT OBJECT_ID(?, \'U\') AS ObjectId', [`dbo.${tableName}`]);
+        return !!result.recordset[0].ObjectId;
+    }
+
     async close() {
         if (this.pool) {
             try {
@@ -217,6 +229,42 @@ class DatabaseConnection {
         }
     }
 
+    /**
+     * Leichtgewichtiger Verbindungstest ohne Query-Logging (für periodische Überwachung)
+     * @returns {Promise<boolean>} - true wenn der Server antwortet
+     */
+    async ping() {
+        if (!this.isConnected || !this.pool) {
+            return false;
+        }
+
+        try {
+            await this.pool.request().query('SELECT 1 AS test');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Verwirft den Connection Pool nach Verbindungsverlust,
+     * damit connect() eine neue Verbindung aufbaut
+     */
+    async reset() {
+        const pool = this.pool;
+
+        this.pool = null;
+        this.isConnected = false;
+
+        if (pool) {
+            try {
+                await pool.close();
+            } catch (error) {
+                customConsole.warning('Alter Connection Pool konnte nicht geschlossen werden:', error.message);
+            }
+        }
+    }
+
     // ===== TRANSACTION SUPPORT =====
     async transaction(callback) {
         const transaction = new sql.Transaction(this.pool);
@@ -224,11 +272,15 @@ class DatabaseConnection {
         try {
             await transaction.begin();
 
-            // Custom Request-Objekt mit Parameter-Unterstützung
+            // Custom Request-Objekt mit Parameter-Unterstützung: '?'-Parameter als Array oder { name: { type, value } }
             const customRequest = {
                 query: async (queryString, params = {}) => {
                     const request = new sql.Request(transaction);
 
+                    if (Array.isArray(params)) {
+                        return await request.query(this.bindParameters(request, queryString, params));
+                    }
+
                     // Parameter hinzufügen
                     for (const [key, paramConfig] of Object.entries(params)) {
                         if (paramConfig.type && paramConfig.value !== undefined) {
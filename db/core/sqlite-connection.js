@@ -0,0 +1,333 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    translateSQL,
+    registerFunctions,
+    formatTimestamp,
+    parseTimestamp,
+    getDatabaseName
+} = require('./sqlite-dialect');
+
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../utils/console-utils');
+} catch (error) {
+    // Fallback auf Standard-Console
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+// Spaltentypen, die wie bei mssql als Date bzw. boolean zurückgegeben werden
+const DATE_TYPES = /^(SMALL)?DATE(TIME(2|OFFSET)?)?\b/i;
+const BOOLEAN_TYPES = /^BIT\b/i;
+
+/**
+ * SQLite-Speicheradapter (better-sqlite3)
+ * Gleiche Schnittstelle wie DatabaseConnection, für Einzelplatz-Stationen,
+ * Entwicklung ohne SQL Server und Tests mit einer In-Process-Datenbank (SQLITE_PATH=:memory:)
+ */
+class SqliteConnection {
+    constructor(options = {}) {
+        this.dialect = 'sqlite';
+        this.db = null;
+        this.pool = null;
+        this.isConnected = false;
+
+        const filename = options.sqlitePath || process.env.SQLITE_PATH || path.join(process.cwd(), 'data', 'qc-station.sqlite');
+
+        this.config = {
+            filename,
+            server: 'localhost',
+            database: getDatabaseName(filename),
+            user: null,
+            port: null,
+            options: {
+                useUTC: false
+            }
+        };
+
+        customConsole.database('SQLite-Verbindung initialisiert:', { filename });
+    }
+
+    async connect() {
+        if (this.isConnected && this.db) {
+            console.log('[INFO] Datenbank bereits verbunden');
+            return true;
+        }
+
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('SQLite-Adapter benötigt das Paket better-sqlite3 (npm install better-sqlite3)');
+        }
+
+        try {
+            customConsole.database(`Öffne SQLite-Datenbank ${this.config.filename}...`);
+
+            if (this.config.filename !== ':memory:') {
+                fs.mkdirSync(path.dirname(this.config.filename), { recursive: true });
+            }
+
+            this.db = new Database(this.config.filename);
+            this.db.pragma('journal_mode = WAL');
+            this.db.pragma('foreign_keys = ON');
+            this.db.pragma('busy_timeout = 5000');
+
+            registerFunctions(this.db, { databaseName: this.config.database });
+
+            this.isConnected = true;
+            customConsole.success(`SQLite-Datenbank geöffnet (SQLite ${this.db.prepare('SELECT sqlite_version() AS version').get().version})`);
+
+            await this.validateTables();
+            return true;
+
+        } catch (error) {
+            customConsole.error('SQLite-Datenbank konnte nicht geöffnet werden:', error.message);
+            this.db = null;
+            this.isConnected = false;
+            throw error;
+        }
+    }
+
+    async validateTables() {
+        const requiredTables = ['ScannBenutzer', 'Sessions', 'QrScans'];
+        const existingTables = [];
+        const missingTables = [];
+
+        for (const tableName of requiredTables) {
+            if (await this.tableExists(tableName)) {
+                existingTables.push(tableName);
+                const count = this.db.prepare(`SELECT COUNT(*) AS record_count FROM [${tableName}]`).get();
+                customConsole.success(`Tabelle ${tableName}: ${count.record_count} Einträge`);
+            } else {
+                missingTables.push(tableName);
+            }
+        }
+
+        if (missingTables.length > 0) {
+            customConsole.warning(`Fehlende Tabellen: ${missingTables.join(', ')}`);
+            customConsole.warning('Führen Sie die Datenbank-Migrationen aus (npm run db:migrate)');
+        }
+
+        return { existingTables, missingTables };
+    }
+
+    async tableExists(tableName) {
+        if (!this.isConnected || !this.db) {
+            throw new Error('Datenbank nicht verbunden');
+        }
+
+        const row = this.db.prepare('SELECT COUNT(*) AS tableCount FROM sqlite_master WHERE type = \'table\' AND name = ?').get(tableName);
+        return row.tableCount > 0;
+    }
+
+    async query(queryString, parameters = []) {
+        if (!this.isConnected || !this.db) {
+            throw new Error('Datenbank nicht verbunden');
+        }
+
+        try {
+            customConsole.database('Führe Query aus:', queryString.substring(0, 200) + (queryString.length > 200 ? '...' : ''));
+            if (parameters.length > 0) {
+                customConsole.info('Parameter:', parameters);
+            }
+
+            const result = this.execute(queryString, parameters.map(param => this.toSqliteValue(param)));
+
+            customConsole.success(`Query erfolgreich. Betroffene Zeilen: ${result.rowsAffected}, Datensätze: ${result.recordset?.length || 0}`);
+            return result;
+
+        } catch (error) {
+            customConsole.error('Datenbank-Query-Fehler:', error.message);
+            customConsole.error('Query:', queryString.substring(0, 200));
+            customConsole.error('Parameter:', parameters);
+            throw error;
+        }
+    }
+
+    /**
+     * Übersetzt und führt alle Anweisungen aus; Ergebnis im Format von mssql
+     * @param {Array|Object} parameters - '?'-Parameter in Reihenfolge oder benannte Parameter (@name)
+     */
+    execute(queryString, parameters) {
+        const statements = translateSQL(queryString);
+        const result = { recordset: undefined, recordsets: [], rowsAffected: [], output: {} };
+        let positionalIndex = 0;
+
+        for (const statementSQL of statements) {
+            const statement = this.db.prepare(statementSQL);
+            let bindParams = [];
+
+            if (Array.isArray(parameters)) {
+                const count = (statementSQL.match(/\?/g) || []).length;
+                if (count > 0) {
+                    bindParams = [parameters.slice(positionalIndex, positionalIndex + count)];
+                    positionalIndex += count;
+                }
+            } else if (parameters && Object.keys(parameters).length > 0) {
+                bindParams = [parameters];
+            }
+
+            if (statement.reader) {
+                const rows = this.convertRows(statement, statement.all(...bindParams));
+                result.recordsets.push(rows);
+                result.recordset = rows;
+                result.rowsAffected.push(rows.length);
+            } else {
+                const info = statement.run(...bindParams);
+                result.rowsAffected.push(info.changes);
+            }
+        }
+
+        if (!result.recordset) {
+            result.recordset = [];
+        }
+
+        return result;
+    }
+
+    toSqliteValue(value) {
+        if (value === undefined || value === null) return null;
+        if (value instanceof Date) return formatTimestamp(value);
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        // Ganzzahlen explizit als INTEGER binden, damit CAST(? AS NVARCHAR) kein '.0' anhängt
+        if (typeof value === 'number' && Number.isSafeInteger(value)) return BigInt(value);
+        return value;
+    }
+
+    /**
+     * DATETIME/BIT-Spalten wie beim mssql-Treiber als Date bzw. boolean liefern
+     */
+    convertRows(statement, rows) {
+        const conversions = statement.columns()
+            .filter(column => column.type && (DATE_TYPES.test(column.type) || BOOLEAN_TYPES.test(column.type)))
+            .map(column => ({ name: column.name, isDate: DATE_TYPES.test(column.type) }));
+
+        if (conversions.length === 0) {
+            return rows;
+        }
+
+        return rows.map(row => {
+            for (const { name, isDate } of conversions) {
+                const value = row[name];
+                if (value === null || value === undefined) continue;
+                row[name] = isDate ? parseTimestamp(value) : value === 1;
+            }
+            return row;
+        });
+    }
+
+    async close() {
+        if (this.db) {
+            try {
+                this.db.close();
+                customConsole.success('Datenbankverbindung geschlossen');
+            } catch (error) {
+                customConsole.error('Fehler beim Schließen der Datenbankverbindung:', error);
+            }
+        }
+
+        this.db = null;
+        this.isConnected = false;
+    }
+
+    /**
+     * Leichtgewichtiger Verbindungstest ohne Query-Logging (für periodische Überwachung)
+     * @returns {Promise<boolean>} - true wenn die Datenbank antwortet
+     */
+    async ping() {
+        if (!this.isConnected || !this.db) {
+            return false;
+        }
+
+        try {
+            this.db.prepare('SELECT 1 AS test').get();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async reset() {
+        await this.close();
+    }
+
+    // ===== TRANSACTION SUPPORT =====
+    async transaction(callback) {
+        if (!this.isConnected || !this.db) {
+            throw new Error('Datenbank nicht verbunden');
+        }
+
+        this.db.exec('BEGIN IMMEDIATE');
+
+        try {
+            // Gleiche Schnittstelle wie bei mssql: '?'-Parameter als Array oder { name: { type, value } }
+            const customRequest = {
+                query: async (queryString, params = {}) => {
+                    const bindParams = Array.isArray(params)
+                        ? params.map(param => this.toSqliteValue(param))
+                        : Object.fromEntries(Object.entries(params)
+                            .filter(([, paramConfig]) => paramConfig.value !== undefined)
+                            .map(([key, paramConfig]) => [key, this.toSqliteValue(paramConfig.value)]));
+
+                    return this.execute(queryString, bindParams);
+                }
+            };
+
+            const result = await callback(customRequest);
+
+            this.db.exec('COMMIT');
+            return result;
+
+        } catch (error) {
+            try {
+                if (this.db && this.db.inTransaction) {
+                    this.db.exec('ROLLBACK');
+                }
+            } catch (rollbackError) {
+                customConsole.error('Fehler beim Rollback der Transaktion:', rollbackError);
+            }
+            throw error;
+        }
+    }
+
+    // ===== STATUS & DIAGNOSTICS =====
+    getConnectionStatus() {
+        return {
+            connected: this.isConnected,
+            pool: false,
+            config: {
+                server: this.config.server,
+                database: this.config.database,
+                filename: this.config.filename,
+                useUTC: this.config.options.useUTC
+            }
+        };
+    }
+
+    async testConnection() {
+        try {
+            const row = this.db.prepare('SELECT sqlite_version() AS version').get();
+            return {
+                success: true,
+                serverTime: new Date(),
+                version: `SQLite ${row.version}`
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+module.exports = SqliteConnection;
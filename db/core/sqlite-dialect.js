@@ -0,0 +1,461 @@
+/**
+ * SQLite-Dialekt für die T-SQL-Abfragen der Datenbank-Module
+ *
+ * Die Module schreiben SQL für SQL Server. Für den SQLite-Adapter werden die
+ * verwendeten T-SQL-Konstrukte beim Ausführen umgeschrieben (TOP, OUTPUT INSERTED,
+ * OFFSET/FETCH, CAST AS DATE, N'...', dbo.) und die T-SQL-Funktionen als
+ * SQLite-Funktionen registriert (GETDATE, DATEDIFF, DATEADD, JSON_VALUE, ...).
+ *
+ * Zeitstempel werden als lokale Zeit im Format 'YYYY-MM-DD HH:MM:SS.mmm' gespeichert,
+ * damit Vergleiche und date() wie bei SQL Server mit useUTC=false funktionieren.
+ */
+
+const os = require('os');
+const path = require('path');
+
+const TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,7}))?)?)?$/;
+
+// T-SQL-Datumsteile und ihre Abkürzungen
+const DATE_PARTS = {
+    year: 'year', yy: 'year', yyyy: 'year',
+    quarter: 'quarter', qq: 'quarter', q: 'quarter',
+    month: 'month', mm: 'month', m: 'month',
+    dayofyear: 'dayofyear', dy: 'dayofyear', y: 'dayofyear',
+    day: 'day', dd: 'day', d: 'day',
+    week: 'week', wk: 'week', ww: 'week',
+    weekday: 'weekday', dw: 'weekday',
+    hour: 'hour', hh: 'hour',
+    minute: 'minute', mi: 'minute', n: 'minute',
+    second: 'second', ss: 'second', s: 'second',
+    millisecond: 'millisecond', ms: 'millisecond'
+};
+
+const UNIT_MS = {
+    millisecond: 1,
+    second: 1000,
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000
+};
+
+// ===== ZEITSTEMPEL =====
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+/**
+ * Date → 'YYYY-MM-DD HH:MM:SS.mmm' (lokale Zeit)
+ */
+function formatTimestamp(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+/**
+ * Gespeicherten Zeitstempel (lokal) oder ISO-String in ein Date wandeln
+ * @returns {Date|null}
+ */
+function parseTimestamp(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value;
+    if (typeof value === 'number') return new Date(value);
+
+    const match = String(value).match(TIMESTAMP_PATTERN);
+    if (match) {
+        const [, year, month, day, hours = 0, minutes = 0, seconds = 0, fraction = '0'] = match;
+        return new Date(
+            Number(year), Number(month) - 1, Number(day),
+            Number(hours), Number(minutes), Number(seconds),
+            Number(fraction.padEnd(3, '0').slice(0, 3))
+        );
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function resolveDatePart(part) {
+    const resolved = DATE_PARTS[String(part).toLowerCase()];
+    if (!resolved) {
+        throw new Error(`Datumsteil ${part} wird im SQLite-Adapter nicht unterstützt`);
+    }
+    return resolved;
+}
+
+/**
+ * Auf den Anfang des Datumsteils kürzen (Wochen beginnen wie bei SQL Server am Sonntag)
+ */
+function truncateDate(date, part) {
+    switch (part) {
+        case 'year': return new Date(date.getFullYear(), 0, 1);
+        case 'quarter': return new Date(date.getFullYear(), Math.floor(date.getMonth() / 3) * 3, 1);
+        case 'month': return new Date(date.getFullYear(), date.getMonth(), 1);
+        case 'week': return new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+        case 'day':
+        case 'dayofyear':
+        case 'weekday': return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        case 'hour': return new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours());
+        case 'minute': return new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes());
+        case 'second': return new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds());
+        default: return date;
+    }
+}
+
+/**
+ * DATEDIFF zählt wie SQL Server die überschrittenen Grenzen des Datumsteils
+ */
+function dateDiff(part, start, end) {
+    const unit = resolveDatePart(part);
+    const startDate = parseTimestamp(start);
+    const endDate = parseTimestamp(end);
+    if (!startDate || !endDate) return null;
+
+    switch (unit) {
+        case 'year':
+            return BigInt(endDate.getFullYear() - startDate.getFullYear());
+        case 'quarter':
+            return BigInt((endDate.getFullYear() - startDate.getFullYear()) * 4 +
+                Math.floor(endDate.getMonth() / 3) - Math.floor(startDate.getMonth() / 3));
+        case 'month':
+            return BigInt((endDate.getFullYear() - startDate.getFullYear()) * 12 + endDate.getMonth() - startDate.getMonth());
+        default: {
+            const unitKey = ['dayofyear', 'weekday'].includes(unit) ? 'day' : unit;
+            // Runden gleicht Sommer-/Winterzeit aus
+            return BigInt(Math.round((truncateDate(endDate, unitKey) - truncateDate(startDate, unitKey)) / UNIT_MS[unitKey]));
+        }
+    }
+}
+
+function dateAdd(part, amount, value) {
+    const unit = resolveDatePart(part);
+    const date = parseTimestamp(value);
+    if (!date || amount === null) return null;
+
+    const result = new Date(date.getTime());
+    const count = Number(amount);
+
+    switch (unit) {
+        case 'year': result.setFullYear(result.getFullYear() + count); break;
+        case 'quarter': result.setMonth(result.getMonth() + count * 3); break;
+        case 'month': result.setMonth(result.getMonth() + count); break;
+        case 'week': result.setDate(result.getDate() + count * 7); break;
+        case 'day':
+        case 'dayofyear':
+        case 'weekday': result.setDate(result.getDate() + count); break;
+        default: result.setTime(result.getTime() + count * UNIT_MS[unit]);
+    }
+
+    return formatTimestamp(result);
+}
+
+function datePart(part, value) {
+    const unit = resolveDatePart(part);
+    const date = parseTimestamp(value);
+    if (!date) return null;
+
+    const startOfYear = new Date(date.getFullYear(), 0, 1);
+    const dayOfYear = Math.round((truncateDate(date, 'day') - startOfYear) / UNIT_MS.day) + 1;
+
+    switch (unit) {
+        case 'year': return BigInt(date.getFullYear());
+        case 'quarter': return BigInt(Math.floor(date.getMonth() / 3) + 1);
+        case 'month': return BigInt(date.getMonth() + 1);
+        case 'dayofyear': return BigInt(dayOfYear);
+        case 'day': return BigInt(date.getDate());
+        // Woche 1 enthält den 1. Januar, Wochen beginnen am Sonntag (DATEFIRST 7)
+        case 'week': return BigInt(Math.ceil((dayOfYear + startOfYear.getDay()) / 7));
+        case 'weekday': return BigInt(date.getDay() + 1);
+        case 'hour': return BigInt(date.getHours());
+        case 'minute': return BigInt(date.getMinutes());
+        case 'second': return BigInt(date.getSeconds());
+        default: return BigInt(date.getMilliseconds());
+    }
+}
+
+/**
+ * JSON_VALUE im lax-Modus: ungültiges JSON oder fehlender Pfad ergeben NULL
+ */
+function jsonValue(json, jsonPath) {
+    if (json === null || json === undefined) return null;
+
+    let value;
+    try {
+        value = JSON.parse(json);
+    } catch (error) {
+        return null;
+    }
+
+    const segments = String(jsonPath).replace(/^\$\.?/, '').match(/[^.[\]]+/g) || [];
+    for (const segment of segments) {
+        if (value === null || typeof value !== 'object') return null;
+        value = value[segment.replace(/^"|"$/g, '')];
+    }
+
+    if (value === null || value === undefined || typeof value === 'object') return null;
+    return typeof value === 'boolean' ? (value ? 'true' : 'false') : String(value);
+}
+
+/**
+ * T-SQL-Funktionen in einer better-sqlite3-Datenbank registrieren
+ */
+function registerFunctions(db, options = {}) {
+    const databaseName = options.databaseName || 'main';
+
+    db.function('GETDATE', { deterministic: false }, () => formatTimestamp(new Date()));
+    db.function('SYSDATETIME', { deterministic: false }, () => formatTimestamp(new Date()));
+    db.function('DATEDIFF', { deterministic: true }, dateDiff);
+    db.function('DATEADD', { deterministic: true }, dateAdd);
+    db.function('DATEPART', { deterministic: true }, datePart);
+    db.function('JSON_VALUE', { deterministic: true }, jsonValue);
+    db.function('ISJSON', { deterministic: true }, (value) => {
+        if (value === null || value === undefined) return null;
+        try {
+            JSON.parse(value);
+            return 1n;
+        } catch (error) {
+            return 0n;
+        }
+    });
+    // NULL zählt wie bei SQL Server als leerer Text
+    db.function('CONCAT', { varargs: true, deterministic: true }, (...values) =>
+        values.map(value => (value === null || value === undefined ? '' : String(value))).join('')
+    );
+    db.function('TSQL_LEFT', { deterministic: true }, (value, length) =>
+        value === null || value === undefined ? null : String(value).slice(0, Math.max(0, Number(length)))
+    );
+    db.function('DB_NAME', () => databaseName);
+    db.function('SUSER_NAME', () => {
+        try {
+            return os.userInfo().username;
+        } catch (error) {
+            return null;
+        }
+    });
+}
+
+// ===== SQL-UMSCHREIBUNG =====
+
+/**
+ * Ruft callback(char, index, depth) für jedes Zeichen außerhalb von Text-Literalen auf.
+ * Gibt callback einen Wert !== undefined zurück, wird die Suche beendet.
+ */
+function scanOutsideStrings(text, start, callback) {
+    let depth = 0;
+    let inString = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (char === "'") {
+                if (text[i + 1] === "'") {
+                    i++;
+                } else {
+                    inString = false;
+                }
+            }
+            continue;
+        }
+
+        if (char === "'") {
+            inString = true;
+            continue;
+        }
+
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+
+        const result = callback(char, i, depth);
+        if (result !== undefined) return result;
+    }
+
+    return undefined;
+}
+
+/**
+ * Anweisungen an ';' außerhalb von Text-Literalen trennen
+ */
+function splitStatements(text) {
+    const statements = [];
+    let last = 0;
+
+    scanOutsideStrings(text, 0, (char, index) => {
+        if (char === ';') {
+            statements.push(text.slice(last, index));
+            last = index + 1;
+        }
+    });
+    statements.push(text.slice(last));
+
+    return statements.map(statement => statement.trim()).filter(statement => statement.length > 0);
+}
+
+/**
+ * N'...' → '...' (nur das Präfix vor einem Literal, nicht innerhalb von Text)
+ */
+function stripUnicodePrefixes(text) {
+    let result = '';
+    let inString = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (char === "'") {
+                if (text[i + 1] === "'") {
+                    result += char;
+                    i++;
+                } else {
+                    inString = false;
+                }
+            }
+            result += char;
+            continue;
+        }
+
+        if (char === "'") {
+            inString = true;
+        } else if (char === 'N' && text[i + 1] === "'" && !/\w/.test(text[i - 1] || '')) {
+            continue;
+        }
+
+        result += char;
+    }
+
+    return result;
+}
+
+/**
+ * Position der schließenden Klammer zur öffnenden Klammer an openIndex
+ */
+function findClosingParen(text, openIndex) {
+    return scanOutsideStrings(text, openIndex, (char, index, depth) => {
+        if (char === ')' && depth === 0) return index;
+    });
+}
+
+/**
+ * CAST(x AS DATE) → date(x), CAST(x AS DATETIME2) → x, CAST(x AS TIME) → time(x)
+ * Andere Typen (NVARCHAR, FLOAT, INT, ...) versteht SQLite selbst.
+ */
+function translateCasts(text) {
+    const pattern = /\bCAST\s*\(/gi;
+    let result = '';
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const openIndex = match.index + match[0].length - 1;
+        const closeIndex = findClosingParen(text, openIndex);
+        if (closeIndex === undefined) break;
+
+        const inner = text.slice(openIndex + 1, closeIndex);
+        let asIndex = -1;
+        scanOutsideStrings(inner, 0, (char, index, depth) => {
+            if (depth === 0 && /\sAS\s/i.test(inner.slice(index, index + 4))) {
+                asIndex = index;
+            }
+        });
+
+        if (asIndex < 0) continue;
+
+        const expression = translateCasts(inner.slice(0, asIndex).trim());
+        const type = inner.slice(asIndex + 4).trim().toUpperCase();
+        let replacement;
+
+        if (type === 'DATE') {
+            replacement = `date(${expression})`;
+        } else if (type === 'TIME') {
+            replacement = `time(${expression})`;
+        } else if (/^(SMALL)?DATETIME(2|OFFSET)?(\(\d+\))?$/.test(type)) {
+            replacement = `(${expression})`;
+        } else {
+            replacement = `CAST(${expression} AS ${type})`;
+        }
+
+        result += text.slice(last, match.index) + replacement;
+        last = closeIndex + 1;
+        pattern.lastIndex = closeIndex + 1;
+    }
+
+    return result + text.slice(last);
+}
+
+/**
+ * SELECT TOP n ... → SELECT ... LIMIT n (am Ende derselben Klammerebene)
+ */
+function translateTop(statement) {
+    const pattern = /\bSELECT(\s+DISTINCT)?\s+TOP\s*(?:\(\s*([^)]+?)\s*\)|(\d+))\s*/i;
+    let text = statement;
+    let match;
+
+    while ((match = text.match(pattern)) !== null) {
+        const limit = match[2] || match[3];
+        if (limit.includes('?')) {
+            throw new Error('TOP mit Parameter wird im SQLite-Adapter nicht unterstützt');
+        }
+
+        // Ende der Abfrage: schließende Klammer der Unterabfrage oder Ende der Anweisung
+        const afterSelect = match.index + match[0].length;
+        let endIndex = scanOutsideStrings(text, afterSelect, (char, index, depth) => {
+            if (char === ')' && depth < 0) return index;
+        });
+        if (endIndex === undefined) endIndex = text.length;
+
+        const body = text.slice(afterSelect, endIndex).replace(/\s+$/, '');
+        text = `${text.slice(0, match.index)}SELECT${match[1] || ''} ${body} LIMIT ${limit}${text.slice(afterSelect + body.length)}`;
+    }
+
+    return text;
+}
+
+/**
+ * INSERT/UPDATE ... OUTPUT INSERTED.a, INSERTED.b ... → ... RETURNING a, b
+ */
+function translateOutput(statement) {
+    const match = statement.match(/\s+OUTPUT\s+((?:INSERTED\.(?:\*|\w+)\s*,\s*)*INSERTED\.(?:\*|\w+))/i);
+    if (!match) return statement;
+
+    const columns = match[1].replace(/INSERTED\./gi, '');
+    const withoutOutput = statement.slice(0, match.index) + statement.slice(match.index + match[0].length);
+    return `${withoutOutput.trim()} RETURNING ${columns}`;
+}
+
+/**
+ * Abfrage der Module in SQLite-Anweisungen übersetzen
+ * @param {string} sqlText - T-SQL
+ * @returns {Array<string>} - einzelne SQLite-Anweisungen
+ */
+function translateSQL(sqlText) {
+    let text = stripUnicodePrefixes(sqlText)
+        .replace(/@@VERSION\b/gi, "('SQLite ' || sqlite_version())")
+        .replace(/@@SERVERNAME\b/gi, "'localhost'")
+        .replace(/\[dbo\]\.|\bdbo\./gi, '')
+        .replace(/\bISNULL\s*\(/gi, 'IFNULL(')
+        .replace(/\bLEFT\s*\(/gi, 'TSQL_LEFT(')
+        .replace(/\b(DATEDIFF|DATEADD|DATEPART)\s*\(\s*([A-Za-z]+)\s*,/gi, "$1('$2',");
+
+    text = translateCasts(text);
+
+    text = text.replace(/\bOFFSET\s+(\d+)\s+ROWS\s+FETCH\s+(?:NEXT|FIRST)\s+(\d+)\s+ROWS\s+ONLY\b/gi, 'LIMIT $2 OFFSET $1');
+
+    return splitStatements(text).map(statement => translateOutput(translateTop(statement)));
+}
+
+/**
+ * Dateiname ohne Verzeichnis und Endung (für DB_NAME())
+ */
+function getDatabaseName(filename) {
+    return filename === ':memory:' ? 'memory' : path.basename(filename, path.extname(filename));
+}
+
+module.exports = {
+    translateSQL,
+    splitStatements,
+    registerFunctions,
+    formatTimestamp,
+    parseTimestamp,
+    getDatabaseName
+};
@@ -0,0 +1,45 @@
+/**
+ * Speicheradapter-Auswahl für den DatabaseClient
+ *
+ * Jeder Adapter implementiert dieselbe Schnittstelle wie DatabaseConnection:
+ *   dialect                     - 'mssql' | 'sqlite'
+ *   isConnected, pool, config   - Verbindungsstatus und Konfiguration
+ *   connect(), close(), reset(), ping()
+ *   query(sql, params)          - '?'-Platzhalter, Ergebnis { recordset, recordsets, rowsAffected }
+ *   transaction(callback)       - callback(request) mit request.query(sql, params)
+ *   tableExists(name), validateTables()
+ *   getConnectionStatus(), testConnection()
+ *
+ * SQL wird in T-SQL geschrieben; der SQLite-Adapter übersetzt die verwendeten Konstrukte.
+ */
+
+const SUPPORTED_CLIENTS = ['mssql', 'sqlite'];
+
+/**
+ * Erstellt den konfigurierten Speicheradapter
+ * @param {Object} options - { client: 'mssql'|'sqlite', sqlitePath }
+ * @returns {DatabaseConnection|SqliteConnection}
+ */
+function createStorageAdapter(options = {}) {
+    const client = (options.client || process.env.DB_CLIENT || 'mssql').toLowerCase();
+
+    switch (client) {
+        case 'mssql': {
+            const DatabaseConnection = require('./db-connection');
+            return new DatabaseConnection();
+        }
+
+        case 'sqlite': {
+            const SqliteConnection = require('./sqlite-connection');
+            return new SqliteConnection(options);
+        }
+
+        default:
+            throw new Error(`Unbekannter Datenbank-Client '${client}' (unterstützt: ${SUPPORTED_CLIENTS.join(', ')})`);
+    }
+}
+
+module.exports = {
+    createStorageAdapter,
+    SUPPORTED_CLIENTS
+};
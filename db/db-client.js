@@ -8,7 +8,7 @@
  */
 
 // ===== CORE IMPORTS =====
-const DatabaseConnection = require('./core/db-connection');
+const { createStorageAdapter } = require('./core/storage-adapter');
 const DatabaseUtils = require('./utils/db-utils');
 
 // ===== MODULE IMPORTS =====
@@ -29,9 +29,12 @@ const SessionTypeConstants = require('./constants/session-types');
  * KORRIGIERT für automatisches SessionTypes Setup
  */
 class DatabaseClient {
-    constructor() {
+    /**
+     * @param {Object} options - Speicheradapter-Optionen { client: 'mssql'|'sqlite', sqlitePath } (Standard: DB_CLIENT)
+     */
+    constructor(options = {}) {
         // ===== CORE COMPONENTS =====
-        this.connection = new DatabaseConnection();
+        this.connection = createStorageAdapter(options);
         this.utils = new DatabaseUtils();
 
         // ===== SPECIALIZED MODULES (werden nach connect() initialisiert) =====
@@ -60,6 +63,10 @@ class DatabaseClient {
             get: () => this.connection.config
         });
 
+        Object.defineProperty(this, 'dialect', {
+            get: () => this.connection.dialect
+        });
+
         // Expose utils properties for compatibility
         Object.defineProperty(this, 'duplicateCache', {
             get: () => this.utils.duplicateCache
@@ -124,6 +131,19 @@ class DatabaseClient {
         }
     }
 
+    async ping() {
+        return await this.connection.ping();
+    }
+
+    /**
+     * Baut die Verbindung nach einem Verbindungsverlust neu auf
+     * @returns {Promise<boolean>} - true bei erfolgreicher Verbindung
+     */
+    async reconnect() {
+        await this.connection.reset();
+        return await this.connect();
+    }
+
     async close() {
         // Cleanup utils first
         this.utils.cleanup();
@@ -144,6 +164,10 @@ class DatabaseClient {
         return await this.connection.validateTables();
     }
 
+    async tableExists(tableName) {
+        return await this.connection.tableExists(tableName);
+    }
+
     // ===== USER OPERATIONS (DELEGATED) =====
 
     async getUserByEPC(epcHex) {
@@ -181,6 +205,80 @@ class DatabaseClient {
         return await this.users.getUserActivity(userId, limit);
     }
 
+    // ===== BENUTZERVERWALTUNG (DELEGATED) =====
+
+    async getAllUsersForAdmin(includeInactive = true) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.getAllUsersForAdmin(includeInactive);
+    }
+
+    async findUsersByEPC(epcDecimal, excludeUserId = null) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.findUsersByEPC(epcDecimal, excludeUserId);
+    }
+
+    async isBenutzerNameTaken(benutzerName, excludeUserId = null) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.isBenutzerNameTaken(benutzerName, excludeUserId);
+    }
+
+    async createUser(data) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.createUser(data);
+    }
+
+    async updateUser(userId, data) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.updateUser(userId, data);
+    }
+
+    async setUserActive(userId, active) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.setUserActive(userId, active);
+    }
+
+    async setUserEPC(userId, epcDecimal, audit) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.setUserEPC(userId, epcDecimal, audit);
+    }
+
+    async getBadgeAudit(userId = null, limit = 100) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.getBadgeAudit(userId, limit);
+    }
+
+    // ===== LOGIN-PIN (DELEGATED) =====
+
+    async getUserPinState(userId) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.getUserPinState(userId);
+    }
+
+    async recordPinFailure(userId, maxAttempts, lockoutMinutes) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.recordPinFailure(userId, maxAttempts, lockoutMinutes);
+    }
+
+    async resetPinFailures(userId) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.resetPinFailures(userId);
+    }
+
+    async setUserPin(userId, pinHash, audit) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.setUserPin(userId, pinHash, audit);
+    }
+
+    async addLoginAudit(entry) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.addLoginAudit(entry);
+    }
+
+    async getLoginAudit(userId = null, limit = 100) {
+        if (!this.users) throw new Error('DatabaseClient nicht verbunden');
+        return await this.users.getLoginAudit(userId, limit);
+    }
+
     // ===== SESSION OPERATIONS (DELEGATED & ERWEITERT) =====
 
     /**
@@ -333,6 +431,11 @@ class DatabaseClient {
         return await this.sessions.getSessionDuration(sessionId);
     }
 
+    async addInactivityEvent(entry) {
+        if (!this.sessions) throw new Error('DatabaseClient nicht verbunden');
+        return await this.sessions.addInactivityEvent(entry);
+    }
+
     async getSessionTypes() {
         if (!this.sessions) throw new Error('DatabaseClient nicht verbunden');
         return await this.sessions.getSessionTypes();
@@ -345,9 +448,9 @@ class DatabaseClient {
 
     // ===== QR-SCAN OPERATIONS (DELEGATED) =====
 
-    async saveQRScan(sessionId, payload) {
+    async saveQRScan(sessionId, payload, options = {}) {
         if (!this.qrscans) throw new Error('DatabaseClient nicht verbunden');
-        return await this.qrscans.saveQRScan(sessionId, payload);
+        return await this.qrscans.saveQRScan(sessionId, payload, options);
     }
 
     async getQRScansBySession(sessionId, limit = 50) {
@@ -380,9 +483,9 @@ class DatabaseClient {
         return await this.qrscans.searchQRScans(searchTerm, sessionId, limit);
     }
 
-    async checkQRDuplicate(payload, timeWindowHours = 0.17) {
+    async checkQRDuplicate(payload, timeWindowHours = 0.17, referenceTime = null) {
         if (!this.qrscans) throw new Error('DatabaseClient nicht verbunden');
-        return await this.qrscans.checkQRDuplicate(payload, timeWindowHours);
+        return await this.qrscans.checkQRDuplicate(payload, timeWindowHours, referenceTime);
     }
 
     async checkForDuplicates(rawPayload, sessionId, minutesBack = 10) {
@@ -407,6 +510,11 @@ class DatabaseClient {
         return await this.stats.getDailyStats(date);
     }
 
+    async getPeriodStats(startTime, endTime) {
+        if (!this.stats) throw new Error('DatabaseClient nicht verbunden');
+        return await this.stats.getPeriodStats(startTime, endTime);
+    }
+
     async getRecentActivity(hours = 8) {
         if (!this.stats) throw new Error('DatabaseClient nicht verbunden');
         return await this.stats.getRecentActivity(hours);
@@ -494,6 +602,31 @@ class DatabaseClient {
      * @returns {Object} - Session-Restart-Statistiken
      */
     async getSessionRestartStats(days = 7) {
+        return await this.querySessionRestartStats(
+            'StartTS >= DATEADD(DAY, -?, GETDATE())',
+            [days],
+            { daysAnalyzed: days }
+        );
+    }
+
+    /**
+     * Session-Restart-Statistiken für einen Zeitraum (z.B. eine Schicht)
+     * @param {Date} startTime - Beginn (inklusive)
+     * @param {Date} endTime - Ende (exklusiv)
+     * @returns {Object} - Session-Restart-Statistiken
+     */
+    async getSessionRestartStatsForPeriod(startTime, endTime) {
+        return await this.querySessionRestartStats(
+            'StartTS >= ? AND StartTS < ?',
+            [startTime, endTime],
+            {
+                periodStart: new Date(startTime).toISOString(),
+                periodEnd: new Date(endTime).toISOString()
+            }
+        );
+    }
+
+    async querySessionRestartStats(rangeCondition, params, periodInfo) {
         try {
             // Da wir keine explizite Restart-Spalte haben, schätzen wir Restarts
             // basierend auf Sessions mit sehr kurzer Dauer gefolgt von neuen Sessions
@@ -505,7 +638,7 @@ class DatabaseClient {
                         LEAD(StartTS) OVER (PARTITION BY UserID ORDER BY StartTS) as NextStartTime,
                         DATEDIFF(MINUTE, StartTS, ISNULL(EndTS, GETDATE())) as DurationMinutes
                     FROM Sessions
-                    WHERE StartTS >= DATEADD(DAY, -?, GETDATE())
+                    WHERE ${rangeCondition}
                 )
                 SELECT
                     COUNT(*) as TotalSessions,
@@ -515,7 +648,7 @@ class DatabaseClient {
                     AVG(DurationMinutes) as AvgSessionDuration,
                     COUNT(DISTINCT UserID) as UsersWithSessions
                 FROM SessionDurations
-            `, [days]);
+            `, params);
 
             const stats = result.recordset[0];
             return {
@@ -525,7 +658,7 @@ class DatabaseClient {
                     Math.round((stats.EstimatedRestarts / stats.TotalSessions) * 100) : 0,
                 avgSessionDurationMinutes: Math.round(stats.AvgSessionDuration || 0),
                 usersWithSessions: stats.UsersWithSessions || 0,
-                daysAnalyzed: days,
+                ...periodInfo,
                 timestamp: new Date().toISOString()
             };
 
@@ -537,7 +670,7 @@ class DatabaseClient {
                 restartRate: 0,
                 avgSessionDurationMinutes: 0,
                 usersWithSessions: 0,
-                daysAnalyzed: days,
+                ...periodInfo,
                 error: error.message,
                 timestamp: new Date().toISOString()
             };
@@ -988,8 +1121,15 @@ module.exports.createWareneinlagerungSession = SessionTypeConstants.createWarene
 module.exports.getWareneinlagerungSessionTypeId = SessionTypeConstants.getWareneinlagerungSessionTypeId;
 
 // Module exports für direkte Nutzung (Advanced)
+// Speicheradapter werden erst bei Zugriff geladen (mssql bzw. better-sqlite3 nur bei Bedarf)
 module.exports.modules = {
-    DatabaseConnection,
+    get DatabaseConnection() {
+        return require('./core/db-connection');
+    },
+    get SqliteConnection() {
+        return require('./core/sqlite-connection');
+    },
+    createStorageAdapter,
     DatabaseUtils,
     UserModule,
     SessionModule,
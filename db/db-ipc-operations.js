@@ -0,0 +1,180 @@
+/**
+ * DatabaseIPCOperations - Benannte Datenbank-Operationen für den Renderer
+ *
+ * Ersetzt den früheren 'db-query'-Kanal, über den der Renderer beliebiges SQL
+ * ausführen konnte. Jede Operation hat einen eigenen IPC-Kanal, ein Schema für
+ * das Eingabe-Objekt und ruft genau eine lesende Methode des DatabaseClient auf.
+ * Ungültige Eingaben werden vor der Datenbank abgewiesen.
+ *
+ * Ergebnis: { success, status, message, data, timestamp }
+ * status: 'ok' | 'not_found' | 'invalid_input' | 'database_offline' | 'unknown_operation' | 'error'
+ */
+
+const OPERATIONS = {
+    'db-get-user-by-id': {
+        schema: {
+            userId: { type: 'integer', min: 1 }
+        },
+        execute: (dbClient, input) => dbClient.getUserById(input.userId),
+        notFound: input => `Benutzer ${input.userId} nicht gefunden`
+    },
+
+    'db-get-user-by-epc': {
+        schema: {
+            // Alle Leser-Formate aus utils/rfid-tag-format.js: hex, dezimal, Wiegand "FFF:CCCCC"
+            tagId: {
+                type: 'string',
+                pattern: /^(?:[0-9A-Fa-f]{1,16}|\d{1,19}|\d{3}[:,/-]\d{5})$/,
+                description: 'RFID-Tag (hex, dezimal oder Wiegand FFF:CCCCC)'
+            }
+        },
+        execute: (dbClient, input) => dbClient.getUserByEPC(input.tagId),
+        notFound: input => `Kein aktiver Benutzer für RFID-Tag ${input.tagId}`
+    }
+};
+
+class DatabaseIPCOperations {
+    /**
+     * @param {Object} options - { getClient: () => DatabaseClient, isAvailable: () => boolean }
+     */
+    constructor(options = {}) {
+        this.getClient = options.getClient || (() => null);
+        this.isAvailable = options.isAvailable || (() => !!this.getClient());
+    }
+
+    getChannels() {
+        return Object.keys(OPERATIONS);
+    }
+
+    /**
+     * Führt eine Operation mit geprüfter Eingabe aus
+     * @param {string} channel - IPC-Kanal, z.B. 'db-get-user-by-id'
+     * @param {Object} input - Eingabe-Objekt laut Schema
+     */
+    async execute(channel, input) {
+        const operation = OPERATIONS[channel];
+        if (!operation) {
+            return this.createResult(false, 'unknown_operation', `Unbekannte Datenbank-Operation: ${channel}`);
+        }
+
+        const validation = this.validateInput(operation.schema, input);
+        if (!validation.isValid) {
+            console.warn(`⚠️ ${channel}: ungültige Eingabe - ${validation.errors.join(', ')}`);
+            return this.createResult(false, 'invalid_input', validation.errors.join(', '), { errors: validation.errors });
+        }
+
+        const dbClient = this.getClient();
+        if (!dbClient || !this.isAvailable()) {
+            return this.createResult(false, 'database_offline', 'Datenbank nicht verbunden');
+        }
+
+        try {
+            const data = await operation.execute(dbClient, validation.data);
+
+            if ((data === null || data === undefined) && operation.notFound) {
+                return this.createResult(false, 'not_found', operation.notFound(validation.data));
+            }
+
+            return this.createResult(true, 'ok', '', data);
+
+        } catch (error) {
+            console.error(`Fehler bei Datenbank-Operation ${channel}:`, error);
+            return this.createResult(false, 'error', `Datenbank-Operation fehlgeschlagen: ${error.message}`);
+        }
+    }
+
+    // ===== EINGABE-PRÜFUNG =====
+
+    /**
+     * Prüft ein Eingabe-Objekt gegen das Schema (unbekannte Felder sind nicht erlaubt)
+     * @returns {Object} - { isValid, errors, data }
+     */
+    validateInput(schema, input) {
+        const errors = [];
+        const data = {};
+
+        if (input === undefined || input === null) {
+            input = {};
+        }
+
+        if (typeof input !== 'object' || Array.isArray(input)) {
+            return { isValid: false, errors: ['Eingabe muss ein Objekt sein'], data };
+        }
+
+        for (const key of Object.keys(input)) {
+            if (!schema[key]) {
+                errors.push(`Unbekanntes Feld: ${key}`);
+            }
+        }
+
+        for (const [field, rule] of Object.entries(schema)) {
+            const value = input[field];
+
+            if (value === undefined || value === null || value === '') {
+                if (rule.optional) {
+                    data[field] = rule.default !== undefined ? rule.default : null;
+                } else {
+                    errors.push(`${field} ist erforderlich`);
+                }
+                continue;
+            }
+
+            const error = this.checkValue(field, value, rule);
+            if (error) {
+                errors.push(error);
+            } else {
+                data[field] = typeof value === 'string' ? value.trim() : value;
+            }
+        }
+
+        return { isValid: errors.length === 0, errors, data };
+    }
+
+    checkValue(field, value, rule) {
+        switch (rule.type) {
+            case 'integer':
+                if (!Number.isInteger(value)) {
+                    return `${field} muss eine ganze Zahl sein`;
+                }
+                if (rule.min !== undefined && value < rule.min) {
+                    return `${field} muss mindestens ${rule.min} sein`;
+                }
+                if (rule.max !== undefined && value > rule.max) {
+                    return `${field} darf höchstens ${rule.max} sein`;
+                }
+                return null;
+
+            case 'string': {
+                if (typeof value !== 'string') {
+                    return `${field} muss ein Text sein`;
+                }
+                const text = value.trim();
+                if (rule.minLength !== undefined && text.length < rule.minLength) {
+                    return `${field} muss mindestens ${rule.minLength} Zeichen haben`;
+                }
+                if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+                    return `${field} darf höchstens ${rule.maxLength} Zeichen haben`;
+                }
+                if (rule.pattern && !rule.pattern.test(text)) {
+                    return `${field} ist ungültig${rule.description ? ` (erwartet: ${rule.description})` : ''}`;
+                }
+                return null;
+            }
+
+            default:
+                return `${field}: unbekannter Typ ${rule.type}`;
+        }
+    }
+
+    createResult(success, status, message, data = null) {
+        return {
+            success,
+            status,
+            message,
+            data,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = DatabaseIPCOperations;
@@ -0,0 +1,374 @@
+/**
+ * MigrationRunner - Versionierte Schema-Migrationen für die QC-Datenbank
+ *
+ * Migrationen liegen als nummerierte Dateien in db/migrations (z.B. 003-quality-control.js)
+ * und exportieren { description, up(db), down(db), sqlite: { up, down } }. up/down enthalten
+ * T-SQL für SQL Server, die sqlite-Variante wird beim SQLite-Speicheradapter verwendet.
+ * Angewendete Versionen stehen in dbo.SchemaVersion. Jede Migration läuft in einer eigenen
+ * Transaktion; unter SQL Server zusätzlich mit App-Sperre (sp_getapplock), damit mehrere
+ * Stationen nicht gleichzeitig migrieren.
+ *
+ * Kompatibilität: 'ok' | 'pending' (Datenbank älter als die App) | 'too_new' (Datenbank
+ * enthält Versionen, die diese App nicht kennt)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATION_FILE_PATTERN = /^(\d{3})-([a-z0-9-]+)\.js$/;
+const LOCK_RESOURCE = 'QC_SchemaMigration';
+const LOCK_TIMEOUT_MS = 60000;
+
+class MigrationRunner {
+    /**
+     * @param {Object} db - DatabaseClient oder Speicheradapter (query, transaction, tableExists, dialect)
+     * @param {Object} options - { directory, appliedBy }
+     */
+    constructor(db, options = {}) {
+        if (!db) {
+            throw new Error('Datenbankverbindung ist erforderlich für MigrationRunner');
+        }
+
+        this.db = db;
+        this.directory = options.directory || path.join(__dirname, 'migrations');
+        this.appliedBy = options.appliedBy || process.env.STATION_NAME || os.hostname();
+        this.dialect = db.dialect || 'mssql';
+        this.migrations = null;
+    }
+
+    // ===== MIGRATIONSDATEIEN =====
+
+    /**
+     * Lädt alle Migrationen aus dem Verzeichnis, aufsteigend nach Version
+     * @returns {Array} - [{ version, name, file, checksum, description, up, down }]
+     */
+    loadMigrations() {
+        if (this.migrations) {
+            return this.migrations;
+        }
+
+        const migrations = [];
+
+        for (const file of fs.readdirSync(this.directory).sort()) {
+            const match = file.match(MIGRATION_FILE_PATTERN);
+            if (!match) continue;
+
+            const filePath = path.join(this.directory, file);
+            const definition = require(filePath);
+
+            const steps = this.dialect === 'mssql' ? definition : definition[this.dialect];
+
+            if (!steps || typeof steps.up !== 'function') {
+                throw new Error(`Migration ${file} hat keine up()-Funktion für ${this.dialect}`);
+            }
+
+            const version = parseInt(match[1], 10);
+            if (migrations.some(migration => migration.version === version)) {
+                throw new Error(`Migrationsversion ${version} ist doppelt vergeben (${file})`);
+            }
+
+            migrations.push({
+                version,
+                name: match[2],
+                file,
+                checksum: crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex'),
+                description: definition.description || '',
+                up: steps.up,
+                down: typeof steps.down === 'function' ? steps.down : null
+            });
+        }
+
+        this.migrations = migrations.sort((a, b) => a.version - b.version);
+        return this.migrations;
+    }
+
+    getLatestVersion() {
+        const migrations = this.loadMigrations();
+        return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    }
+
+    // ===== STATUS =====
+
+    /**
+     * Angewendete Migrationen laut dbo.SchemaVersion (leer, wenn die Tabelle noch fehlt)
+     */
+    async getAppliedMigrations() {
+        if (!(await this.db.tableExists('SchemaVersion'))) {
+            return [];
+        }
+
+        const result = await this.db.query(`
+            SELECT Version, Name, Checksum, AppliedTS, AppliedBy, ExecutionMs
+            FROM dbo.SchemaVersion
+            ORDER BY Version
+        `);
+
+        return result.recordset;
+    }
+
+    /**
+     * @returns {Promise<Object>} - { currentVersion, latestVersion, applied, pending, unknown }
+     */
+    async getStatus() {
+        const migrations = this.loadMigrations();
+        const appliedRows = await this.getAppliedMigrations();
+        const appliedVersions = new Set(appliedRows.map(row => row.Version));
+
+        const applied = appliedRows
+            .filter(row => migrations.some(migration => migration.version === row.Version))
+            .map(row => {
+                const migration = migrations.find(m => m.version === row.Version);
+                return {
+                    version: row.Version,
+                    name: row.Name,
+                    appliedTS: row.AppliedTS,
+                    appliedBy: row.AppliedBy,
+                    modified: row.Checksum !== migration.checksum
+                };
+            });
+
+        const unknown = appliedRows
+            .filter(row => !migrations.some(migration => migration.version === row.Version))
+            .map(row => ({ version: row.Version, name: row.Name, appliedTS: row.AppliedTS, appliedBy: row.AppliedBy }));
+
+        const pending = migrations
+            .filter(migration => !appliedVersions.has(migration.version))
+            .map(migration => ({ version: migration.version, name: migration.name, description: migration.description }));
+
+        return {
+            currentVersion: appliedRows.length > 0 ? Math.max(...appliedRows.map(row => row.Version)) : 0,
+            latestVersion: this.getLatestVersion(),
+            applied,
+            pending,
+            unknown
+        };
+    }
+
+    /**
+     * Prüft, ob diese App mit dem Schema der Datenbank arbeiten kann
+     * @returns {Promise<Object>} - { compatible, status, currentVersion, latestVersion, pending, unknown, message }
+     */
+    async checkCompatibility() {
+        const status = await this.getStatus();
+        const result = {
+            compatible: true,
+            status: 'ok',
+            currentVersion: status.currentVersion,
+            latestVersion: status.latestVersion,
+            pending: status.pending,
+            unknown: status.unknown,
+            message: `Datenbankschema aktuell (Version ${status.currentVersion})`
+        };
+
+        if (status.unknown.length > 0) {
+            result.compatible = false;
+            result.status = 'too_new';
+            result.message = `Datenbankschema (Version ${status.currentVersion}) ist neuer als diese App ` +
+                `(Version ${status.latestVersion}) - bitte die App aktualisieren`;
+        } else if (status.pending.length > 0) {
+            result.compatible = false;
+            result.status = 'pending';
+            result.message = `Datenbankschema veraltet (Version ${status.currentVersion}, benötigt ${status.latestVersion}) - ` +
+                `${status.pending.length} Migration(en) ausstehend, bitte "npm run db:migrate" ausführen`;
+        }
+
+        return result;
+    }
+
+    // ===== MIGRIEREN =====
+
+    /**
+     * Wendet alle ausstehenden Migrationen bis zur Zielversion an
+     * @param {number|null} targetVersion - Standard: neueste Version
+     * @returns {Promise<Object>} - { applied: [{ version, name, executionMs }], currentVersion }
+     */
+    async migrate(targetVersion = null) {
+        const status = await this.getStatus();
+
+        if (status.unknown.length > 0) {
+            throw new Error(`Datenbank enthält unbekannte Migrationen (${status.unknown.map(m => m.version).join(', ')}) - ` +
+                'bitte die App aktualisieren');
+        }
+
+        const target = targetVersion === null ? status.latestVersion : targetVersion;
+        if (!Number.isInteger(target) || target < 0 || target > status.latestVersion) {
+            throw new Error(`Ungültige Zielversion: ${targetVersion} (verfügbar: 0-${status.latestVersion})`);
+        }
+
+        const pending = this.loadMigrations().filter(migration =>
+            migration.version <= target && status.pending.some(p => p.version === migration.version)
+        );
+
+        const applied = [];
+        for (const migration of pending) {
+            const result = await this.runMigration(migration, 'up');
+            if (result) {
+                applied.push(result);
+            }
+        }
+
+        return {
+            applied,
+            currentVersion: (await this.getStatus()).currentVersion
+        };
+    }
+
+    /**
+     * Nimmt die zuletzt angewendeten Migrationen zurück
+     * @param {Object} options - { steps: Anzahl (Standard 1) } oder { toVersion }
+     * @returns {Promise<Object>} - { rolledBack: [{ version, name, executionMs }], currentVersion }
+     */
+    async rollback(options = {}) {
+        const status = await this.getStatus();
+
+        if (status.unknown.length > 0) {
+            throw new Error(`Datenbank enthält unbekannte Migrationen (${status.unknown.map(m => m.version).join(', ')}) - ` +
+                'Rollback nur mit der App-Version möglich, die sie angewendet hat');
+        }
+
+        const appliedDescending = status.applied.map(entry => entry.version).sort((a, b) => b - a);
+        let versions;
+
+        if (options.toVersion !== undefined) {
+            if (!Number.isInteger(options.toVersion) || options.toVersion < 0) {
+                throw new Error(`Ungültige Zielversion: ${options.toVersion}`);
+            }
+            versions = appliedDescending.filter(version => version > options.toVersion);
+        } else {
+            const steps = options.steps === undefined ? 1 : options.steps;
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error(`Ungültige Anzahl Schritte: ${steps}`);
+            }
+            versions = appliedDescending.slice(0, steps);
+        }
+
+        const migrations = versions.map(version => this.loadMigrations().find(m => m.version === version));
+
+        // Vor dem ersten Schritt prüfen, damit der Rollback nicht mittendrin stehen bleibt
+        const irreversible = migrations.filter(migration => !migration.down);
+        if (irreversible.length > 0) {
+            throw new Error(`Migration ${irreversible.map(m => `${String(m.version).padStart(3, '0')}-${m.name}`).join(', ')} kann nicht zurückgenommen werden`);
+        }
+
+        const rolledBack = [];
+        for (const migration of migrations) {
+            const result = await this.runMigration(migration, 'down');
+            if (result) {
+                rolledBack.push(result);
+            }
+        }
+
+        return {
+            rolledBack,
+            currentVersion: (await this.getStatus()).currentVersion
+        };
+    }
+
+    /**
+     * Führt eine Migration in einer Transaktion aus und trägt sie in SchemaVersion ein bzw. aus
+     * @returns {Promise<Object|null>} - null, wenn eine andere Station sie bereits ausgeführt hat
+     */
+    async runMigration(migration, direction) {
+        const label = `${String(migration.version).padStart(3, '0')}-${migration.name}`;
+        const startTime = Date.now();
+
+        console.log(`${direction === 'up' ? '⬆️' : '⬇️'} Migration ${label} ${direction === 'up' ? 'anwenden' : 'zurücknehmen'}...`);
+
+        const executed = await this.db.transaction(async (tx) => {
+            await this.acquireLock(tx);
+            await this.ensureVersionTable(tx);
+
+            const existing = await tx.query(
+                'SELECT COUNT(*) AS Count FROM dbo.SchemaVersion WHERE Version = ?',
+                [migration.version]
+            );
+            const isApplied = existing.recordset[0].Count > 0;
+
+            // Zwischenzeitlich von einer anderen Station erledigt
+            if (isApplied === (direction === 'up')) {
+                return false;
+            }
+
+            if (direction === 'up') {
+                await migration.up(tx);
+                await tx.query(`
+                    INSERT INTO dbo.SchemaVersion (Version, Name, Checksum, AppliedBy, ExecutionMs)
+                    VALUES (?, ?, ?, ?, ?)
+                `, [migration.version, migration.name, migration.checksum, this.appliedBy, Date.now() - startTime]);
+            } else {
+                await migration.down(tx);
+                await tx.query('DELETE FROM dbo.SchemaVersion WHERE Version = ?', [migration.version]);
+            }
+
+            return true;
+        });
+
+        if (!executed) {
+            console.log(`ℹ️ Migration ${label} wurde bereits von einer anderen Station ausgeführt`);
+            return null;
+        }
+
+        const executionMs = Date.now() - startTime;
+        console.log(`✅ Migration ${label} ${direction === 'up' ? 'angewendet' : 'zurückgenommen'} (${executionMs}ms)`);
+
+        return { version: migration.version, name: migration.name, executionMs };
+    }
+
+    /**
+     * Exklusive Sperre bis zum Ende der Transaktion
+     * (SQLite: BEGIN IMMEDIATE sperrt die Datenbankdatei bereits exklusiv für Schreiber)
+     */
+    async acquireLock(tx) {
+        if (this.dialect === 'sqlite') {
+            return;
+        }
+
+        const result = await tx.query(`
+            DECLARE @lockResult INT;
+            EXEC @lockResult = sp_getapplock
+                @Resource = '${LOCK_RESOURCE}',
+                @LockMode = 'Exclusive',
+                @LockOwner = 'Transaction',
+                @LockTimeout = ${LOCK_TIMEOUT_MS};
+            SELECT @lockResult AS LockResult;
+        `);
+
+        if (result.recordset[0].LockResult < 0) {
+            throw new Error('Migrationssperre nicht erhalten - läuft gerade eine Migration an einer anderen Station?');
+        }
+    }
+
+    async ensureVersionTable(tx) {
+        if (this.dialect === 'sqlite') {
+            await tx.query(`
+                CREATE TABLE IF NOT EXISTS SchemaVersion (
+                    Version INTEGER NOT NULL PRIMARY KEY,
+                    Name NVARCHAR(200) NOT NULL,
+                    Checksum NVARCHAR(64) NOT NULL,
+                    AppliedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+                    AppliedBy NVARCHAR(100) NULL,
+                    ExecutionMs INTEGER NULL
+                )
+            `);
+            return;
+        }
+
+        await tx.query(`
+            IF OBJECT_ID('dbo.SchemaVersion', 'U') IS NULL
+            BEGIN
+                CREATE TABLE dbo.SchemaVersion (
+                    Version INT NOT NULL PRIMARY KEY,
+                    Name NVARCHAR(200) NOT NULL,
+                    Checksum NVARCHAR(64) NOT NULL,
+                    AppliedTS DATETIME2 NOT NULL DEFAULT GETDATE(),
+                    AppliedBy NVARCHAR(100) NULL,
+                    ExecutionMs INT NULL
+                );
+            END
+        `);
+    }
+}
+
+module.exports = MigrationRunner;
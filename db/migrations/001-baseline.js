@@ -0,0 +1,116 @@
+/**
+ * 001 - Ausgangsstand: Kerntabellen prüfen, SessionTypes anlegen
+ *
+ * ScannBenutzer, Sessions und QrScans gehören zur bestehenden Datenbank und werden
+ * von der App nicht angelegt. Alle Anweisungen sind idempotent, damit Datenbanken,
+ * die vor dem Migrationssystem eingerichtet wurden, ohne Änderung übernommen werden.
+ *
+ * SQLite (Einzelplatz/Entwicklung): hier gibt es keine bestehende Datenbank, die
+ * Kerntabellen werden daher mit den von der App verwendeten Spalten angelegt.
+ */
+
+const CORE_TABLES = ['ScannBenutzer', 'Sessions', 'QrScans'];
+
+const DEFAULT_SESSION_TYPES = [
+    { name: 'Wareneinlagerung', description: 'Eingehende Waren scannen und einlagern - Hauptfunktion' },
+    { name: 'Qualitätskontrolle', description: 'Qualitätsprüfung von Waren und Produkten' },
+    { name: 'Kommissionierung', description: 'Zusammenstellung von Bestellungen' },
+    { name: 'Inventur', description: 'Bestandserfassung und Inventur' },
+    { name: 'Wartung', description: 'Wartung und Instandhaltung' }
+];
+
+module.exports = {
+    description: 'Kerntabellen prüfen, SessionTypes mit Standardtypen',
+
+    async up(db) {
+        for (const table of CORE_TABLES) {
+            const result = await db.query(`SELECT OBJECT_ID('dbo.${table}', 'U') AS ObjectId`);
+            if (!result.recordset[0].ObjectId) {
+                throw new Error(`Kerntabelle dbo.${table} fehlt - Migrationen benötigen die bestehende Scanner-Datenbank`);
+            }
+        }
+
+        await db.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'SessionTypes')
+            BEGIN
+                CREATE TABLE dbo.SessionTypes (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    TypeName NVARCHAR(100) NOT NULL UNIQUE,
+                    Description NVARCHAR(500),
+                    IsActive BIT NOT NULL DEFAULT 1,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME(),
+                    UpdatedTS DATETIME2 NOT NULL DEFAULT SYSDATETIME()
+                )
+            END
+        `);
+
+        for (const sessionType of DEFAULT_SESSION_TYPES) {
+            await db.query(`
+                IF NOT EXISTS (SELECT * FROM dbo.SessionTypes WHERE TypeName = N'${sessionType.name}')
+                    INSERT INTO dbo.SessionTypes (TypeName, Description, IsActive)
+                    VALUES (N'${sessionType.name}', N'${sessionType.description}', 1)
+            `);
+        }
+    },
+
+    // Ausgangsstand kann nicht zurückgenommen werden (Sessions verweisen auf SessionTypes)
+    down: null,
+
+    sqlite: {
+        async up(db) {
+            await db.query(`
+                CREATE TABLE IF NOT EXISTS ScannBenutzer (
+                    ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    Vorname NVARCHAR(100) NULL,
+                    Nachname NVARCHAR(100) NULL,
+                    Benutzer NVARCHAR(100) NULL,
+                    BenutzerName NVARCHAR(200) NULL,
+                    Email NVARCHAR(200) NULL,
+                    EPC BIGINT NULL,
+                    xStatus INTEGER NOT NULL DEFAULT 0
+                );
+
+                CREATE TABLE IF NOT EXISTS SessionTypes (
+                    ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    TypeName NVARCHAR(100) NOT NULL UNIQUE,
+                    Description NVARCHAR(500),
+                    IsActive BIT NOT NULL DEFAULT 1,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+                    UpdatedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime'))
+                );
+
+                CREATE TABLE IF NOT EXISTS Sessions (
+                    ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    UserID INTEGER NOT NULL REFERENCES ScannBenutzer(ID),
+                    StartTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+                    EndTS DATETIME2 NULL,
+                    Active BIT NOT NULL DEFAULT 1,
+                    SessionTypeID INTEGER NULL REFERENCES SessionTypes(ID)
+                );
+
+                CREATE TABLE IF NOT EXISTS QrScans (
+                    ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    SessionID INTEGER NOT NULL REFERENCES Sessions(ID),
+                    RawPayload NVARCHAR(4000) NOT NULL,
+                    PayloadJson NVARCHAR(4000) GENERATED ALWAYS AS (CASE WHEN json_valid(RawPayload) THEN RawPayload END) VIRTUAL,
+                    Valid BIT NOT NULL DEFAULT 1,
+                    CapturedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime'))
+                );
+
+                CREATE INDEX IF NOT EXISTS IX_ScannBenutzer_EPC ON ScannBenutzer(EPC);
+                CREATE INDEX IF NOT EXISTS IX_Sessions_User_Active ON Sessions(UserID, Active);
+                CREATE INDEX IF NOT EXISTS IX_QrScans_Session ON QrScans(SessionID, CapturedTS);
+                CREATE INDEX IF NOT EXISTS IX_QrScans_RawPayload ON QrScans(RawPayload);
+            `);
+
+            for (const sessionType of DEFAULT_SESSION_TYPES) {
+                await db.query(
+                    'INSERT OR IGNORE INTO SessionTypes (TypeName, Description, IsActive) VALUES (?, ?, 1)',
+                    [sessionType.name, sessionType.description]
+                );
+            }
+        },
+
+        down: null
+    }
+};
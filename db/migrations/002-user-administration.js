@@ -0,0 +1,74 @@
+/**
+ * 002 - Benutzerverwaltung: Abteilung und Audit-Log für Badge-Änderungen
+ */
+
+module.exports = {
+    description: 'ScannBenutzer.Abteilung, ScannBenutzerBadgeAudit',
+
+    async up(db) {
+        await db.query(`
+            IF COL_LENGTH('dbo.ScannBenutzer', 'Abteilung') IS NULL
+                ALTER TABLE dbo.ScannBenutzer ADD Abteilung NVARCHAR(100) NULL;
+        `);
+
+        await db.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'ScannBenutzerBadgeAudit')
+            BEGIN
+                CREATE TABLE dbo.ScannBenutzerBadgeAudit (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    UserID INT NOT NULL,
+                    ActionType NVARCHAR(20) NOT NULL,
+                    OldEPC NVARCHAR(50) NULL,
+                    NewEPC NVARCHAR(50) NULL,
+                    ChangedBy NVARCHAR(100) NOT NULL,
+                    Station NVARCHAR(100) NULL,
+                    ChangeReason NVARCHAR(500) NULL,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT GETDATE(),
+
+                    CONSTRAINT FK_ScannBenutzerBadgeAudit_User
+                        FOREIGN KEY (UserID) REFERENCES dbo.ScannBenutzer(ID),
+                    CONSTRAINT CK_ScannBenutzerBadgeAudit_ActionType
+                        CHECK (ActionType IN ('assigned', 'replaced', 'removed', 'transferred'))
+                );
+
+                CREATE INDEX IX_ScannBenutzerBadgeAudit_User ON dbo.ScannBenutzerBadgeAudit(UserID, CreatedTS DESC);
+            END
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            IF OBJECT_ID('dbo.ScannBenutzerBadgeAudit', 'U') IS NOT NULL
+                DROP TABLE dbo.ScannBenutzerBadgeAudit;
+        `);
+
+        // Abteilung bleibt erhalten: die Spalte gab es in vielen Datenbanken schon vor der App
+    },
+
+    sqlite: {
+        async up(db) {
+            await db.query(`
+                ALTER TABLE ScannBenutzer ADD COLUMN Abteilung NVARCHAR(100) NULL;
+
+                CREATE TABLE ScannBenutzerBadgeAudit (
+                    ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    UserID INTEGER NOT NULL REFERENCES ScannBenutzer(ID),
+                    ActionType NVARCHAR(20) NOT NULL
+                        CHECK (ActionType IN ('assigned', 'replaced', 'removed', 'transferred')),
+                    OldEPC NVARCHAR(50) NULL,
+                    NewEPC NVARCHAR(50) NULL,
+                    ChangedBy NVARCHAR(100) NOT NULL,
+                    Station NVARCHAR(100) NULL,
+                    ChangeReason NVARCHAR(500) NULL,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime'))
+                );
+
+                CREATE INDEX IX_ScannBenutzerBadgeAudit_User ON ScannBenutzerBadgeAudit(UserID, CreatedTS DESC);
+            `);
+        },
+
+        async down(db) {
+            await db.query('DROP TABLE IF EXISTS ScannBenutzerBadgeAudit');
+        }
+    }
+};
@@ -0,0 +1,308 @@
+/**
+ * 003 - Qualitätskontrolle: QC-Schritte, Audit-Log, QC-Regeln, Indexes und Views
+ *
+ * Entspricht dem früheren QualityControlQueries.setupQCSchema(). Spalten, die erst
+ * nachträglich dazukamen, werden einzeln ergänzt, damit ältere Tabellen übernommen werden.
+ */
+
+const STEP_COLUMNS = [
+    { name: 'QualityRating', definition: 'TINYINT NULL' },
+    { name: 'QualityNotes', definition: 'NVARCHAR(1000) NULL' },
+    { name: 'DefectsFound', definition: 'BIT NOT NULL DEFAULT 0' },
+    { name: 'DefectDescription', definition: 'NVARCHAR(500) NULL' },
+    { name: 'ReworkRequired', definition: 'BIT NOT NULL DEFAULT 0' },
+    {
+        name: 'QCStatus',
+        definition: "NVARCHAR(20) NOT NULL DEFAULT 'active'",
+        // Bereits abgeschlossene Schritte nachziehen (eigener Batch, da Spalte neu ist)
+        afterAdd: "EXEC('UPDATE dbo.QualityControlSteps SET QCStatus = ''completed'' WHERE Completed = 1');"
+    },
+    { name: 'ReviewRequired', definition: 'BIT NOT NULL DEFAULT 0' },
+    { name: 'BatchNumber', definition: 'NVARCHAR(50) NULL' }
+];
+
+const INDEXES = [
+    // Session-basierte Abfragen
+    `IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_QualityControlSteps_SessionID')
+     CREATE NONCLUSTERED INDEX IX_QualityControlSteps_SessionID
+     ON dbo.QualityControlSteps (SessionID)
+     INCLUDE (QrCode, Completed, StartTime, EndTime)`,
+
+    // QR-Code-basierte Abfragen
+    `IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_QualityControlSteps_QrCode')
+     CREATE NONCLUSTERED INDEX IX_QualityControlSteps_QrCode
+     ON dbo.QualityControlSteps (QrCode)
+     INCLUDE (SessionID, Completed, StartTime)`,
+
+    // Completed-Status
+    `IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_QualityControlSteps_Completed_StartTime')
+     CREATE NONCLUSTERED INDEX IX_QualityControlSteps_Completed_StartTime
+     ON dbo.QualityControlSteps (Completed, StartTime DESC)
+     INCLUDE (SessionID, QrCode, EndTime)`,
+
+    // Zeitraum-basierte Abfragen
+    `IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_QualityControlSteps_StartTime')
+     CREATE NONCLUSTERED INDEX IX_QualityControlSteps_StartTime
+     ON dbo.QualityControlSteps (StartTime DESC)
+     INCLUDE (SessionID, QrCode, Completed, EndTime)`
+];
+
+// Views ohne einfache Anführungszeichen, damit sie unverändert in EXEC('...') passen
+const VIEWS = [
+    {
+        // QC-Schritte mit Session-Details
+        name: 'vw_QCStepsWithSession',
+        body: `
+            SELECT
+                qcs.ID,
+                qcs.SessionID,
+                qcs.QrCode,
+                qcs.StartScanID,
+                qcs.EndScanID,
+                qcs.StartTime,
+                qcs.EndTime,
+                qcs.Completed,
+                DATEDIFF(SECOND, qcs.StartTime, ISNULL(qcs.EndTime, GETDATE())) AS DurationSeconds,
+                s.UserID,
+                s.StartTS AS SessionStart,
+                st.TypeName AS SessionType,
+                sb.BenutzerName AS UserName,
+                sb.Abteilung AS Department
+            FROM dbo.QualityControlSteps qcs
+            INNER JOIN dbo.Sessions s ON qcs.SessionID = s.ID
+            INNER JOIN dbo.ScannBenutzer sb ON s.UserID = sb.ID
+            LEFT JOIN dbo.SessionTypes st ON s.SessionTypeID = st.ID`
+    },
+    {
+        // Tägliche QC-Statistiken
+        name: 'vw_DailyQCStats',
+        body: `
+            SELECT
+                CAST(StartTime AS DATE) AS Date,
+                SessionID,
+                UserID,
+                UserName,
+                COUNT(*) AS TotalSteps,
+                SUM(CASE WHEN Completed = 1 THEN 1 ELSE 0 END) AS CompletedSteps,
+                SUM(CASE WHEN Completed = 0 THEN 1 ELSE 0 END) AS ActiveSteps,
+                AVG(CASE WHEN Completed = 1 THEN DurationSeconds ELSE NULL END) AS AvgDurationSeconds,
+                MIN(StartTime) AS FirstStepTime,
+                MAX(ISNULL(EndTime, StartTime)) AS LastStepTime
+            FROM dbo.vw_QCStepsWithSession
+            GROUP BY CAST(StartTime AS DATE), SessionID, UserID, UserName`
+    }
+];
+
+module.exports = {
+    description: 'QualityControlSteps, QualityControlAudit, QualityControlConfig, Indexes, Views',
+
+    async up(db) {
+        await db.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'QualityControlSteps')
+            BEGIN
+                CREATE TABLE dbo.QualityControlSteps (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    SessionID INT NOT NULL,
+                    QrCode NVARCHAR(500) NOT NULL,
+                    StartScanID INT NULL,
+                    EndScanID INT NULL,
+                    StartTime DATETIME2 NOT NULL DEFAULT GETDATE(),
+                    EndTime DATETIME2 NULL,
+                    Completed BIT NOT NULL DEFAULT 0,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT GETDATE(),
+                    UpdatedTS DATETIME2 NOT NULL DEFAULT GETDATE(),
+
+                    CONSTRAINT FK_QualityControlSteps_Sessions
+                        FOREIGN KEY (SessionID) REFERENCES dbo.Sessions(ID) ON DELETE CASCADE,
+                    CONSTRAINT FK_QualityControlSteps_StartScan
+                        FOREIGN KEY (StartScanID) REFERENCES dbo.QrScans(ID),
+                    CONSTRAINT FK_QualityControlSteps_EndScan
+                        FOREIGN KEY (EndScanID) REFERENCES dbo.QrScans(ID),
+
+                    CONSTRAINT CK_QualityControlSteps_Times
+                        CHECK (EndTime IS NULL OR EndTime >= StartTime),
+                    CONSTRAINT CK_QualityControlSteps_Completed
+                        CHECK ((Completed = 0 AND EndTime IS NULL AND EndScanID IS NULL) OR
+                               (Completed = 1 AND EndTime IS NOT NULL AND EndScanID IS NOT NULL))
+                );
+            END
+        `);
+
+        for (const column of STEP_COLUMNS) {
+            await db.query(`
+                IF COL_LENGTH('dbo.QualityControlSteps', '${column.name}') IS NULL
+                BEGIN
+                    ALTER TABLE dbo.QualityControlSteps ADD ${column.name} ${column.definition};
+                    ${column.afterAdd || ''}
+                END
+            `);
+        }
+
+        await db.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'QualityControlAudit')
+            BEGIN
+                CREATE TABLE dbo.QualityControlAudit (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    QCStepID INT NOT NULL,
+                    UserID INT NULL,
+                    ActionType NVARCHAR(50) NOT NULL,
+                    OldValues NVARCHAR(MAX) NULL,
+                    NewValues NVARCHAR(MAX) NULL,
+                    ChangeReason NVARCHAR(500) NULL,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT GETDATE(),
+
+                    CONSTRAINT FK_QualityControlAudit_QCStep
+                        FOREIGN KEY (QCStepID) REFERENCES dbo.QualityControlSteps(ID) ON DELETE CASCADE,
+                    CONSTRAINT FK_QualityControlAudit_User
+                        FOREIGN KEY (UserID) REFERENCES dbo.ScannBenutzer(ID),
+                    CONSTRAINT CK_QualityControlAudit_ActionType
+                        CHECK (ActionType IN ('created', 'updated', 'completed', 'aborted', 'quality_rated'))
+                );
+            END
+        `);
+
+        await db.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'QualityControlConfig')
+            BEGIN
+                CREATE TABLE dbo.QualityControlConfig (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    SessionTypeName NVARCHAR(100) NOT NULL,
+                    RequiresBothScans BIT NOT NULL DEFAULT 1,
+                    AllowParallelSteps BIT NOT NULL DEFAULT 1,
+                    MaxParallelSteps INT NOT NULL DEFAULT 10,
+                    DefaultPriority TINYINT NOT NULL DEFAULT 1,
+                    AutoTimeoutMinutes INT NULL,
+                    RequireQualityRating BIT NOT NULL DEFAULT 0,
+                    RequireDefectCheck BIT NOT NULL DEFAULT 1,
+                    AllowRework BIT NOT NULL DEFAULT 1,
+                    NotifyOnLongDuration BIT NOT NULL DEFAULT 1,
+                    LongDurationThresholdMinutes INT NOT NULL DEFAULT 30,
+                    NotifyOnDefects BIT NOT NULL DEFAULT 1,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT GETDATE(),
+                    UpdatedTS DATETIME2 NOT NULL DEFAULT GETDATE(),
+
+                    CONSTRAINT UK_QualityControlConfig_SessionType
+                        UNIQUE (SessionTypeName),
+                    CONSTRAINT CK_QualityControlConfig_Priority
+                        CHECK (DefaultPriority BETWEEN 1 AND 3),
+                    CONSTRAINT CK_QualityControlConfig_MaxSteps
+                        CHECK (MaxParallelSteps > 0 AND MaxParallelSteps <= 50)
+                );
+
+                INSERT INTO dbo.QualityControlConfig (
+                    SessionTypeName, RequiresBothScans, AllowParallelSteps, MaxParallelSteps,
+                    DefaultPriority, AutoTimeoutMinutes, RequireQualityRating, RequireDefectCheck,
+                    AllowRework, NotifyOnLongDuration, LongDurationThresholdMinutes, NotifyOnDefects
+                ) VALUES (
+                    N'Qualitätskontrolle', 1, 1, 10, 1, 120, 0, 1, 1, 1, 30, 1
+                );
+            END
+        `);
+
+        for (const indexSQL of INDEXES) {
+            await db.query(indexSQL);
+        }
+
+        // Views (Definition in einer eigenen Batch über EXEC)
+        for (const view of VIEWS) {
+            await db.query(`
+                IF OBJECT_ID('dbo.${view.name}') IS NOT NULL
+                    DROP VIEW dbo.${view.name};
+
+                EXEC('CREATE VIEW dbo.${view.name} AS ${view.body}')
+            `);
+        }
+    },
+
+    async down(db) {
+        await db.query(`
+            IF OBJECT_ID('dbo.vw_DailyQCStats') IS NOT NULL DROP VIEW dbo.vw_DailyQCStats;
+            IF OBJECT_ID('dbo.vw_QCStepsWithSession') IS NOT NULL DROP VIEW dbo.vw_QCStepsWithSession;
+            IF OBJECT_ID('dbo.QualityControlAudit', 'U') IS NOT NULL DROP TABLE dbo.QualityControlAudit;
+            IF OBJECT_ID('dbo.QualityControlConfig', 'U') IS NOT NULL DROP TABLE dbo.QualityControlConfig;
+            IF OBJECT_ID('dbo.QualityControlSteps', 'U') IS NOT NULL DROP TABLE dbo.QualityControlSteps;
+        `);
+    },
+
+    // SQLite: frische Datenbank, alle Spalten direkt in CREATE TABLE; View-SQL wird vom Adapter übersetzt
+    sqlite: {
+        async up(db) {
+            await db.query(`
+                CREATE TABLE QualityControlSteps (
+                    ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    SessionID INTEGER NOT NULL REFERENCES Sessions(ID) ON DELETE CASCADE,
+                    QrCode NVARCHAR(500) NOT NULL,
+                    StartScanID INTEGER NULL REFERENCES QrScans(ID),
+                    EndScanID INTEGER NULL REFERENCES QrScans(ID),
+                    StartTime DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+                    EndTime DATETIME2 NULL,
+                    Completed BIT NOT NULL DEFAULT 0,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+                    UpdatedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+                    ${STEP_COLUMNS.map(column => `${column.name} ${column.definition.replace('TINYINT', 'INTEGER')},`).join('\n                    ')}
+
+                    CHECK (EndTime IS NULL OR EndTime >= StartTime),
+                    CHECK ((Completed = 0 AND EndTime IS NULL AND EndScanID IS NULL) OR
+                           (Completed = 1 AND EndTime IS NOT NULL AND EndScanID IS NOT NULL))
+                );
+
+                CREATE INDEX IX_QualityControlSteps_SessionID ON QualityControlSteps (SessionID);
+                CREATE INDEX IX_QualityControlSteps_QrCode ON QualityControlSteps (QrCode);
+                CREATE INDEX IX_QualityControlSteps_Completed_StartTime ON QualityControlSteps (Completed, StartTime DESC);
+                CREATE INDEX IX_QualityControlSteps_StartTime ON QualityControlSteps (StartTime DESC);
+
+                CREATE TABLE QualityControlAudit (
+                    ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    QCStepID INTEGER NOT NULL REFERENCES QualityControlSteps(ID) ON DELETE CASCADE,
+                    UserID INTEGER NULL REFERENCES ScannBenutzer(ID),
+                    ActionType NVARCHAR(50) NOT NULL
+                        CHECK (ActionType IN ('created', 'updated', 'completed', 'aborted', 'quality_rated')),
+                    OldValues NVARCHAR(4000) NULL,
+                    NewValues NVARCHAR(4000) NULL,
+                    ChangeReason NVARCHAR(500) NULL,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime'))
+                );
+
+                CREATE TABLE QualityControlConfig (
+                    ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    SessionTypeName NVARCHAR(100) NOT NULL UNIQUE,
+                    RequiresBothScans BIT NOT NULL DEFAULT 1,
+                    AllowParallelSteps BIT NOT NULL DEFAULT 1,
+                    MaxParallelSteps INTEGER NOT NULL DEFAULT 10 CHECK (MaxParallelSteps > 0 AND MaxParallelSteps <= 50),
+                    DefaultPriority INTEGER NOT NULL DEFAULT 1 CHECK (DefaultPriority BETWEEN 1 AND 3),
+                    AutoTimeoutMinutes INTEGER NULL,
+                    RequireQualityRating BIT NOT NULL DEFAULT 0,
+                    RequireDefectCheck BIT NOT NULL DEFAULT 1,
+                    AllowRework BIT NOT NULL DEFAULT 1,
+                    NotifyOnLongDuration BIT NOT NULL DEFAULT 1,
+                    LongDurationThresholdMinutes INTEGER NOT NULL DEFAULT 30,
+                    NotifyOnDefects BIT NOT NULL DEFAULT 1,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+                    UpdatedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime'))
+                );
+
+                INSERT INTO QualityControlConfig (
+                    SessionTypeName, RequiresBothScans, AllowParallelSteps, MaxParallelSteps,
+                    DefaultPriority, AutoTimeoutMinutes, RequireQualityRating, RequireDefectCheck,
+                    AllowRework, NotifyOnLongDuration, LongDurationThresholdMinutes, NotifyOnDefects
+                ) VALUES (
+                    'Qualitätskontrolle', 1, 1, 10, 1, 120, 0, 1, 1, 1, 30, 1
+                );
+            `);
+
+            for (const view of VIEWS) {
+                await db.query(`CREATE VIEW ${view.name} AS ${view.body}`);
+            }
+        },
+
+        async down(db) {
+            await db.query(`
+                DROP VIEW IF EXISTS vw_DailyQCStats;
+                DROP VIEW IF EXISTS vw_QCStepsWithSession;
+                DROP TABLE IF EXISTS QualityControlAudit;
+                DROP TABLE IF EXISTS QualityControlConfig;
+                DROP TABLE IF EXISTS QualityControlSteps;
+            `);
+        }
+    }
+};
@@ -0,0 +1,40 @@
+/**
+ * 004 - Rollen: ScannBenutzer.Rolle (operator, lead, admin)
+ */
+
+module.exports = {
+    description: 'ScannBenutzer.Rolle mit Standard operator',
+
+    async up(db) {
+        await db.query(`
+            IF COL_LENGTH('dbo.ScannBenutzer', 'Rolle') IS NULL
+                ALTER TABLE dbo.ScannBenutzer ADD Rolle NVARCHAR(20) NOT NULL
+                    CONSTRAINT DF_ScannBenutzer_Rolle DEFAULT 'operator'
+                    CONSTRAINT CK_ScannBenutzer_Rolle CHECK (Rolle IN ('operator', 'lead', 'admin'));
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            IF OBJECT_ID('dbo.CK_ScannBenutzer_Rolle', 'C') IS NOT NULL
+                ALTER TABLE dbo.ScannBenutzer DROP CONSTRAINT CK_ScannBenutzer_Rolle;
+            IF OBJECT_ID('dbo.DF_ScannBenutzer_Rolle', 'D') IS NOT NULL
+                ALTER TABLE dbo.ScannBenutzer DROP CONSTRAINT DF_ScannBenutzer_Rolle;
+            IF COL_LENGTH('dbo.ScannBenutzer', 'Rolle') IS NOT NULL
+                ALTER TABLE dbo.ScannBenutzer DROP COLUMN Rolle;
+        `);
+    },
+
+    sqlite: {
+        async up(db) {
+            await db.query(`
+                ALTER TABLE ScannBenutzer ADD COLUMN Rolle NVARCHAR(20) NOT NULL DEFAULT 'operator'
+                    CHECK (Rolle IN ('operator', 'lead', 'admin'))
+            `);
+        },
+
+        async down(db) {
+            await db.query('ALTER TABLE ScannBenutzer DROP COLUMN Rolle');
+        }
+    }
+};
@@ -0,0 +1,70 @@
+/**
+ * 005 - Zweistufige QC: Abschluss in einer anderen Session (Ausgangsstation)
+ *
+ * EndSessionID hält fest, in welcher Session der Ausgang-Scan erfolgte,
+ * StartStation/EndStation an welchen Arbeitsplätzen Eingang und Ausgang gescannt wurden.
+ */
+
+module.exports = {
+    description: 'QualityControlSteps.EndSessionID, StartStation, EndStation',
+
+    async up(db) {
+        await db.query(`
+            IF COL_LENGTH('dbo.QualityControlSteps', 'EndSessionID') IS NULL
+                ALTER TABLE dbo.QualityControlSteps ADD EndSessionID INT NULL
+                    CONSTRAINT FK_QualityControlSteps_EndSession FOREIGN KEY REFERENCES dbo.Sessions(ID);
+
+            IF COL_LENGTH('dbo.QualityControlSteps', 'StartStation') IS NULL
+                ALTER TABLE dbo.QualityControlSteps ADD StartStation NVARCHAR(100) NULL;
+
+            IF COL_LENGTH('dbo.QualityControlSteps', 'EndStation') IS NULL
+                ALTER TABLE dbo.QualityControlSteps ADD EndStation NVARCHAR(100) NULL;
+        `);
+
+        // Offene Schritte eines Pakets sessionübergreifend finden
+        await db.query(`
+            IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_QualityControlSteps_QrCode_Open')
+                CREATE NONCLUSTERED INDEX IX_QualityControlSteps_QrCode_Open
+                ON dbo.QualityControlSteps (QrCode, StartTime DESC)
+                INCLUDE (SessionID)
+                WHERE Completed = 0 AND QCStatus = 'active'
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            IF EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_QualityControlSteps_QrCode_Open')
+                DROP INDEX IX_QualityControlSteps_QrCode_Open ON dbo.QualityControlSteps;
+            IF OBJECT_ID('dbo.FK_QualityControlSteps_EndSession', 'F') IS NOT NULL
+                ALTER TABLE dbo.QualityControlSteps DROP CONSTRAINT FK_QualityControlSteps_EndSession;
+            IF COL_LENGTH('dbo.QualityControlSteps', 'EndSessionID') IS NOT NULL
+                ALTER TABLE dbo.QualityControlSteps DROP COLUMN EndSessionID;
+            IF COL_LENGTH('dbo.QualityControlSteps', 'StartStation') IS NOT NULL
+                ALTER TABLE dbo.QualityControlSteps DROP COLUMN StartStation;
+            IF COL_LENGTH('dbo.QualityControlSteps', 'EndStation') IS NOT NULL
+                ALTER TABLE dbo.QualityControlSteps DROP COLUMN EndStation;
+        `);
+    },
+
+    sqlite: {
+        async up(db) {
+            await db.query(`
+                ALTER TABLE QualityControlSteps ADD COLUMN EndSessionID INTEGER NULL REFERENCES Sessions(ID);
+                ALTER TABLE QualityControlSteps ADD COLUMN StartStation NVARCHAR(100) NULL;
+                ALTER TABLE QualityControlSteps ADD COLUMN EndStation NVARCHAR(100) NULL;
+
+                CREATE INDEX IX_QualityControlSteps_QrCode_Open ON QualityControlSteps (QrCode, StartTime DESC)
+                    WHERE Completed = 0 AND QCStatus = 'active';
+            `);
+        },
+
+        async down(db) {
+            await db.query(`
+                DROP INDEX IF EXISTS IX_QualityControlSteps_QrCode_Open;
+                ALTER TABLE QualityControlSteps DROP COLUMN EndSessionID;
+                ALTER TABLE QualityControlSteps DROP COLUMN StartStation;
+                ALTER TABLE QualityControlSteps DROP COLUMN EndStation;
+            `);
+        }
+    }
+};
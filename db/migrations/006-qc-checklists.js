@@ -0,0 +1,102 @@
+/**
+ * 006 - Prüf-Checklisten pro SessionType bzw. Produktkategorie
+ *
+ * QualityChecklistItems enthält die Prüfpunkte (z.B. Druckbild, Größenetikett, Naht, Verpackung),
+ * QualityControlStepChecks die Antworten (pass/fail/na) je QC-Schritt.
+ * Leere SessionTypeName/ProductCategory gelten für alle SessionTypes bzw. Produkte.
+ * Ohne Einträge in QualityChecklistItems bleibt der Ablauf unverändert.
+ */
+
+module.exports = {
+    description: 'QualityChecklistItems, QualityControlStepChecks',
+
+    async up(db) {
+        await db.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'QualityChecklistItems')
+            BEGIN
+                CREATE TABLE dbo.QualityChecklistItems (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    SessionTypeName NVARCHAR(100) NULL,
+                    ProductCategory NVARCHAR(100) NULL,
+                    StageName NVARCHAR(100) NOT NULL,
+                    ItemText NVARCHAR(200) NOT NULL,
+                    SortOrder INT NOT NULL DEFAULT 0,
+                    IsMandatory BIT NOT NULL DEFAULT 1,
+                    Active BIT NOT NULL DEFAULT 1,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT GETDATE(),
+                    UpdatedTS DATETIME2 NOT NULL DEFAULT GETDATE()
+                );
+            END
+        `);
+
+        await db.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'QualityControlStepChecks')
+            BEGIN
+                CREATE TABLE dbo.QualityControlStepChecks (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    QCStepID INT NOT NULL,
+                    ChecklistItemID INT NOT NULL,
+                    Result NVARCHAR(10) NOT NULL,
+                    Notes NVARCHAR(500) NULL,
+                    CheckedByUserID INT NULL,
+                    CheckedTS DATETIME2 NOT NULL DEFAULT GETDATE(),
+
+                    CONSTRAINT FK_QualityControlStepChecks_QCStep
+                        FOREIGN KEY (QCStepID) REFERENCES dbo.QualityControlSteps(ID) ON DELETE CASCADE,
+                    CONSTRAINT FK_QualityControlStepChecks_Item
+                        FOREIGN KEY (ChecklistItemID) REFERENCES dbo.QualityChecklistItems(ID),
+                    CONSTRAINT FK_QualityControlStepChecks_User
+                        FOREIGN KEY (CheckedByUserID) REFERENCES dbo.ScannBenutzer(ID),
+                    CONSTRAINT UK_QualityControlStepChecks_StepItem
+                        UNIQUE (QCStepID, ChecklistItemID),
+                    CONSTRAINT CK_QualityControlStepChecks_Result
+                        CHECK (Result IN ('pass', 'fail', 'na'))
+                );
+            END
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            IF OBJECT_ID('dbo.QualityControlStepChecks', 'U') IS NOT NULL DROP TABLE dbo.QualityControlStepChecks;
+            IF OBJECT_ID('dbo.QualityChecklistItems', 'U') IS NOT NULL DROP TABLE dbo.QualityChecklistItems;
+        `);
+    },
+
+    sqlite: {
+        async up(db) {
+            await db.query(`
+                CREATE TABLE QualityChecklistItems (
+                    ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    SessionTypeName NVARCHAR(100) NULL,
+                    ProductCategory NVARCHAR(100) NULL,
+                    StageName NVARCHAR(100) NOT NULL,
+                    ItemText NVARCHAR(200) NOT NULL,
+                    SortOrder INTEGER NOT NULL DEFAULT 0,
+                    IsMandatory BIT NOT NULL DEFAULT 1,
+                    Active BIT NOT NULL DEFAULT 1,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+                    UpdatedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime'))
+                );
+
+                CREATE TABLE QualityControlStepChecks (
+                    ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    QCStepID INTEGER NOT NULL REFERENCES QualityControlSteps(ID) ON DELETE CASCADE,
+                    ChecklistItemID INTEGER NOT NULL REFERENCES QualityChecklistItems(ID),
+                    Result NVARCHAR(10) NOT NULL CHECK (Result IN ('pass', 'fail', 'na')),
+                    Notes NVARCHAR(500) NULL,
+                    CheckedByUserID INTEGER NULL REFERENCES ScannBenutzer(ID),
+                    CheckedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+                    UNIQUE (QCStepID, ChecklistItemID)
+                );
+            `);
+        },
+
+        async down(db) {
+            await db.query(`
+                DROP TABLE IF EXISTS QualityControlStepChecks;
+                DROP TABLE IF EXISTS QualityChecklistItems;
+            `);
+        }
+    }
+};
@@ -0,0 +1,72 @@
+/**
+ * 007 - Fotos als Nachweis für Fehler an QC-Schritten
+ *
+ * Bild und Vorschaubild liegen in der Datenbank, damit alle Stationen und
+ * Berichte dieselben Fotos sehen.
+ */
+
+module.exports = {
+    description: 'QualityControlPhotos',
+
+    async up(db) {
+        await db.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'QualityControlPhotos')
+            BEGIN
+                CREATE TABLE dbo.QualityControlPhotos (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    QCStepID INT NOT NULL,
+                    MimeType NVARCHAR(50) NOT NULL,
+                    Width INT NULL,
+                    Height INT NULL,
+                    SizeBytes INT NOT NULL,
+                    ImageData VARBINARY(MAX) NOT NULL,
+                    ThumbnailData VARBINARY(MAX) NULL,
+                    CapturedByUserID INT NULL,
+                    Station NVARCHAR(100) NULL,
+                    CapturedTS DATETIME2 NOT NULL DEFAULT GETDATE(),
+
+                    CONSTRAINT FK_QualityControlPhotos_QCStep
+                        FOREIGN KEY (QCStepID) REFERENCES dbo.QualityControlSteps(ID) ON DELETE CASCADE,
+                    CONSTRAINT FK_QualityControlPhotos_User
+                        FOREIGN KEY (CapturedByUserID) REFERENCES dbo.ScannBenutzer(ID)
+                );
+
+                CREATE NONCLUSTERED INDEX IX_QualityControlPhotos_QCStepID
+                ON dbo.QualityControlPhotos (QCStepID)
+                INCLUDE (CapturedTS);
+            END
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            IF OBJECT_ID('dbo.QualityControlPhotos', 'U') IS NOT NULL DROP TABLE dbo.QualityControlPhotos;
+        `);
+    },
+
+    sqlite: {
+        async up(db) {
+            await db.query(`
+                CREATE TABLE QualityControlPhotos (
+                    ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    QCStepID INTEGER NOT NULL REFERENCES QualityControlSteps(ID) ON DELETE CASCADE,
+                    MimeType NVARCHAR(50) NOT NULL,
+                    Width INTEGER NULL,
+                    Height INTEGER NULL,
+                    SizeBytes INTEGER NOT NULL,
+                    ImageData BLOB NOT NULL,
+                    ThumbnailData BLOB NULL,
+                    CapturedByUserID INTEGER NULL REFERENCES ScannBenutzer(ID),
+                    Station NVARCHAR(100) NULL,
+                    CapturedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime'))
+                );
+
+                CREATE INDEX IX_QualityControlPhotos_QCStepID ON QualityControlPhotos (QCStepID);
+            `);
+        },
+
+        async down(db) {
+            await db.query('DROP TABLE IF EXISTS QualityControlPhotos');
+        }
+    }
+};
@@ -0,0 +1,107 @@
+/**
+ * 008 - Fehlerkatalog mit Codes und Schweregrad
+ *
+ * QualityDefectCodes enthält den Katalog (Code, Kategorie, Schweregrad, Beschreibung),
+ * QualityControlStepDefects die erfassten Fehler je QC-Schritt (mehrere pro Schritt)
+ * mit dem Lieferanten aus dem QR-Code für die Pareto-Auswertung.
+ * Ohne aktive Einträge im Katalog bleibt es bei der freien Fehlerbeschreibung.
+ */
+
+module.exports = {
+    description: 'QualityDefectCodes, QualityControlStepDefects',
+
+    async up(db) {
+        await db.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'QualityDefectCodes')
+            BEGIN
+                CREATE TABLE dbo.QualityDefectCodes (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    DefectCode NVARCHAR(20) NOT NULL,
+                    Category NVARCHAR(100) NOT NULL,
+                    Severity NVARCHAR(10) NOT NULL DEFAULT 'major',
+                    Description NVARCHAR(200) NOT NULL,
+                    SortOrder INT NOT NULL DEFAULT 0,
+                    Active BIT NOT NULL DEFAULT 1,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT GETDATE(),
+                    UpdatedTS DATETIME2 NOT NULL DEFAULT GETDATE(),
+
+                    CONSTRAINT UK_QualityDefectCodes_DefectCode
+                        UNIQUE (DefectCode),
+                    CONSTRAINT CK_QualityDefectCodes_Severity
+                        CHECK (Severity IN ('minor', 'major', 'critical'))
+                );
+            END
+        `);
+
+        await db.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'QualityControlStepDefects')
+            BEGIN
+                CREATE TABLE dbo.QualityControlStepDefects (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    QCStepID INT NOT NULL,
+                    DefectCodeID INT NOT NULL,
+                    Supplier NVARCHAR(100) NULL,
+                    RecordedByUserID INT NULL,
+                    RecordedTS DATETIME2 NOT NULL DEFAULT GETDATE(),
+
+                    CONSTRAINT FK_QualityControlStepDefects_QCStep
+                        FOREIGN KEY (QCStepID) REFERENCES dbo.QualityControlSteps(ID) ON DELETE CASCADE,
+                    CONSTRAINT FK_QualityControlStepDefects_DefectCode
+                        FOREIGN KEY (DefectCodeID) REFERENCES dbo.QualityDefectCodes(ID),
+                    CONSTRAINT FK_QualityControlStepDefects_User
+                        FOREIGN KEY (RecordedByUserID) REFERENCES dbo.ScannBenutzer(ID),
+                    CONSTRAINT UK_QualityControlStepDefects_StepCode
+                        UNIQUE (QCStepID, DefectCodeID)
+                );
+
+                CREATE NONCLUSTERED INDEX IX_QualityControlStepDefects_DefectCodeID
+                ON dbo.QualityControlStepDefects (DefectCodeID)
+                INCLUDE (QCStepID, Supplier);
+            END
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            IF OBJECT_ID('dbo.QualityControlStepDefects', 'U') IS NOT NULL DROP TABLE dbo.QualityControlStepDefects;
+            IF OBJECT_ID('dbo.QualityDefectCodes', 'U') IS NOT NULL DROP TABLE dbo.QualityDefectCodes;
+        `);
+    },
+
+    sqlite: {
+        async up(db) {
+            await db.query(`
+                CREATE TABLE QualityDefectCodes (
+                    ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    DefectCode NVARCHAR(20) NOT NULL UNIQUE,
+                    Category NVARCHAR(100) NOT NULL,
+                    Severity NVARCHAR(10) NOT NULL DEFAULT 'major' CHECK (Severity IN ('minor', 'major', 'critical')),
+                    Description NVARCHAR(200) NOT NULL,
+                    SortOrder INTEGER NOT NULL DEFAULT 0,
+                    Active BIT NOT NULL DEFAULT 1,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+                    UpdatedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime'))
+                );
+
+                CREATE TABLE QualityControlStepDefects (
+                    ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    QCStepID INTEGER NOT NULL REFERENCES QualityControlSteps(ID) ON DELETE CASCADE,
+                    DefectCodeID INTEGER NOT NULL REFERENCES QualityDefectCodes(ID),
+                    Supplier NVARCHAR(100) NULL,
+                    RecordedByUserID INTEGER NULL REFERENCES ScannBenutzer(ID),
+                    RecordedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime')),
+                    UNIQUE (QCStepID, DefectCodeID)
+                );
+
+                CREATE INDEX IX_QualityControlStepDefects_DefectCodeID ON QualityControlStepDefects (DefectCodeID);
+            `);
+        },
+
+        async down(db) {
+            await db.query(`
+                DROP TABLE IF EXISTS QualityControlStepDefects;
+                DROP TABLE IF EXISTS QualityDefectCodes;
+            `);
+        }
+    }
+};
@@ -0,0 +1,88 @@
+/**
+ * 009 - Nacharbeitsschleife: Nachprüfung als verknüpfter Folgeschritt
+ *
+ * ParentStepID verweist von der Nachprüfung auf den Schritt, der Nacharbeit ausgelöst hat,
+ * ReworkCycle zählt die Durchläufe (0 = Erstprüfung). ReworkStatus führt die Nacharbeits-Warteschlange:
+ * 'open' (wartet auf Nachprüfung), 'reinspection' (Nachprüfung läuft), 'closed' (nachgeprüft).
+ */
+
+module.exports = {
+    description: 'QualityControlSteps.ParentStepID, ReworkCycle, ReworkStatus',
+
+    async up(db) {
+        await db.query(`
+            IF COL_LENGTH('dbo.QualityControlSteps', 'ParentStepID') IS NULL
+                ALTER TABLE dbo.QualityControlSteps ADD ParentStepID INT NULL
+                    CONSTRAINT FK_QualityControlSteps_ParentStep FOREIGN KEY REFERENCES dbo.QualityControlSteps(ID);
+
+            IF COL_LENGTH('dbo.QualityControlSteps', 'ReworkCycle') IS NULL
+                ALTER TABLE dbo.QualityControlSteps ADD ReworkCycle INT NOT NULL
+                    CONSTRAINT DF_QualityControlSteps_ReworkCycle DEFAULT 0;
+
+            IF COL_LENGTH('dbo.QualityControlSteps', 'ReworkStatus') IS NULL
+                ALTER TABLE dbo.QualityControlSteps ADD ReworkStatus NVARCHAR(20) NULL
+                    CONSTRAINT CK_QualityControlSteps_ReworkStatus CHECK (ReworkStatus IN ('open', 'reinspection', 'closed'));
+        `);
+
+        // Nacharbeits-Warteschlange und Nachprüfung beim Eingang-Scan finden
+        await db.query(`
+            IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_QualityControlSteps_ReworkOpen')
+                CREATE NONCLUSTERED INDEX IX_QualityControlSteps_ReworkOpen
+                ON dbo.QualityControlSteps (QrCode, EndTime DESC)
+                INCLUDE (ReworkCycle)
+                WHERE ReworkStatus IN ('open', 'reinspection');
+
+            IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_QualityControlSteps_ParentStepID')
+                CREATE NONCLUSTERED INDEX IX_QualityControlSteps_ParentStepID
+                ON dbo.QualityControlSteps (ParentStepID)
+                WHERE ParentStepID IS NOT NULL;
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            IF EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_QualityControlSteps_ReworkOpen')
+                DROP INDEX IX_QualityControlSteps_ReworkOpen ON dbo.QualityControlSteps;
+            IF EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_QualityControlSteps_ParentStepID')
+                DROP INDEX IX_QualityControlSteps_ParentStepID ON dbo.QualityControlSteps;
+            IF OBJECT_ID('dbo.FK_QualityControlSteps_ParentStep', 'F') IS NOT NULL
+                ALTER TABLE dbo.QualityControlSteps DROP CONSTRAINT FK_QualityControlSteps_ParentStep;
+            IF OBJECT_ID('dbo.DF_QualityControlSteps_ReworkCycle', 'D') IS NOT NULL
+                ALTER TABLE dbo.QualityControlSteps DROP CONSTRAINT DF_QualityControlSteps_ReworkCycle;
+            IF OBJECT_ID('dbo.CK_QualityControlSteps_ReworkStatus', 'C') IS NOT NULL
+                ALTER TABLE dbo.QualityControlSteps DROP CONSTRAINT CK_QualityControlSteps_ReworkStatus;
+            IF COL_LENGTH('dbo.QualityControlSteps', 'ParentStepID') IS NOT NULL
+                ALTER TABLE dbo.QualityControlSteps DROP COLUMN ParentStepID;
+            IF COL_LENGTH('dbo.QualityControlSteps', 'ReworkCycle') IS NOT NULL
+                ALTER TABLE dbo.QualityControlSteps DROP COLUMN ReworkCycle;
+            IF COL_LENGTH('dbo.QualityControlSteps', 'ReworkStatus') IS NOT NULL
+                ALTER TABLE dbo.QualityControlSteps DROP COLUMN ReworkStatus;
+        `);
+    },
+
+    sqlite: {
+        async up(db) {
+            await db.query(`
+                ALTER TABLE QualityControlSteps ADD COLUMN ParentStepID INTEGER NULL REFERENCES QualityControlSteps(ID);
+                ALTER TABLE QualityControlSteps ADD COLUMN ReworkCycle INTEGER NOT NULL DEFAULT 0;
+                ALTER TABLE QualityControlSteps ADD COLUMN ReworkStatus NVARCHAR(20) NULL
+                    CHECK (ReworkStatus IN ('open', 'reinspection', 'closed'));
+
+                CREATE INDEX IX_QualityControlSteps_ReworkOpen ON QualityControlSteps (QrCode, EndTime DESC)
+                    WHERE ReworkStatus IN ('open', 'reinspection');
+                CREATE INDEX IX_QualityControlSteps_ParentStepID ON QualityControlSteps (ParentStepID)
+                    WHERE ParentStepID IS NOT NULL;
+            `);
+        },
+
+        async down(db) {
+            await db.query(`
+                DROP INDEX IF EXISTS IX_QualityControlSteps_ReworkOpen;
+                DROP INDEX IF EXISTS IX_QualityControlSteps_ParentStepID;
+                ALTER TABLE QualityControlSteps DROP COLUMN ParentStepID;
+                ALTER TABLE QualityControlSteps DROP COLUMN ReworkCycle;
+                ALTER TABLE QualityControlSteps DROP COLUMN ReworkStatus;
+            `);
+        }
+    }
+};
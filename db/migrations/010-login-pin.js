@@ -0,0 +1,97 @@
+/**
+ * 010 - Anmeldung mit Badge und PIN
+ *
+ * PinHash enthält den gesalzenen scrypt-Hash der Login-PIN (nie die PIN selbst).
+ * PinFailedAttempts zählt Fehlversuche seit der letzten erfolgreichen Eingabe,
+ * PinLockedUntil sperrt die Anmeldung stationsübergreifend. ScannBenutzerLoginAudit
+ * protokolliert Fehlversuche, Sperren und PIN-Änderungen.
+ */
+
+module.exports = {
+    description: 'ScannBenutzer.PinHash, PinFailedAttempts, PinLockedUntil, ScannBenutzerLoginAudit',
+
+    async up(db) {
+        await db.query(`
+            IF COL_LENGTH('dbo.ScannBenutzer', 'PinHash') IS NULL
+                ALTER TABLE dbo.ScannBenutzer ADD PinHash NVARCHAR(200) NULL;
+
+            IF COL_LENGTH('dbo.ScannBenutzer', 'PinFailedAttempts') IS NULL
+                ALTER TABLE dbo.ScannBenutzer ADD PinFailedAttempts INT NOT NULL
+                    CONSTRAINT DF_ScannBenutzer_PinFailedAttempts DEFAULT 0;
+
+            IF COL_LENGTH('dbo.ScannBenutzer', 'PinLockedUntil') IS NULL
+                ALTER TABLE dbo.ScannBenutzer ADD PinLockedUntil DATETIME2 NULL;
+        `);
+
+        await db.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'ScannBenutzerLoginAudit')
+            BEGIN
+                CREATE TABLE dbo.ScannBenutzerLoginAudit (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    UserID INT NOT NULL,
+                    EventType NVARCHAR(20) NOT NULL,
+                    TagID NVARCHAR(50) NULL,
+                    ChangedBy NVARCHAR(100) NULL,
+                    Station NVARCHAR(100) NULL,
+                    Details NVARCHAR(500) NULL,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT GETDATE(),
+
+                    CONSTRAINT FK_ScannBenutzerLoginAudit_User
+                        FOREIGN KEY (UserID) REFERENCES dbo.ScannBenutzer(ID),
+                    CONSTRAINT CK_ScannBenutzerLoginAudit_EventType
+                        CHECK (EventType IN ('pin_failed', 'locked_out', 'pin_missing', 'pin_set', 'pin_removed'))
+                );
+
+                CREATE INDEX IX_ScannBenutzerLoginAudit_User ON dbo.ScannBenutzerLoginAudit(UserID, CreatedTS DESC);
+            END
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            IF OBJECT_ID('dbo.ScannBenutzerLoginAudit', 'U') IS NOT NULL
+                DROP TABLE dbo.ScannBenutzerLoginAudit;
+            IF OBJECT_ID('dbo.DF_ScannBenutzer_PinFailedAttempts', 'D') IS NOT NULL
+                ALTER TABLE dbo.ScannBenutzer DROP CONSTRAINT DF_ScannBenutzer_PinFailedAttempts;
+            IF COL_LENGTH('dbo.ScannBenutzer', 'PinHash') IS NOT NULL
+                ALTER TABLE dbo.ScannBenutzer DROP COLUMN PinHash;
+            IF COL_LENGTH('dbo.ScannBenutzer', 'PinFailedAttempts') IS NOT NULL
+                ALTER TABLE dbo.ScannBenutzer DROP COLUMN PinFailedAttempts;
+            IF COL_LENGTH('dbo.ScannBenutzer', 'PinLockedUntil') IS NOT NULL
+                ALTER TABLE dbo.ScannBenutzer DROP COLUMN PinLockedUntil;
+        `);
+    },
+
+    sqlite: {
+        async up(db) {
+            await db.query(`
+                ALTER TABLE ScannBenutzer ADD COLUMN PinHash NVARCHAR(200) NULL;
+                ALTER TABLE ScannBenutzer ADD COLUMN PinFailedAttempts INTEGER NOT NULL DEFAULT 0;
+                ALTER TABLE ScannBenutzer ADD COLUMN PinLockedUntil DATETIME2 NULL;
+
+                CREATE TABLE ScannBenutzerLoginAudit (
+                    ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    UserID INTEGER NOT NULL REFERENCES ScannBenutzer(ID),
+                    EventType NVARCHAR(20) NOT NULL
+                        CHECK (EventType IN ('pin_failed', 'locked_out', 'pin_missing', 'pin_set', 'pin_removed')),
+                    TagID NVARCHAR(50) NULL,
+                    ChangedBy NVARCHAR(100) NULL,
+                    Station NVARCHAR(100) NULL,
+                    Details NVARCHAR(500) NULL,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime'))
+                );
+
+                CREATE INDEX IX_ScannBenutzerLoginAudit_User ON ScannBenutzerLoginAudit(UserID, CreatedTS DESC);
+            `);
+        },
+
+        async down(db) {
+            await db.query(`
+                DROP TABLE IF EXISTS ScannBenutzerLoginAudit;
+                ALTER TABLE ScannBenutzer DROP COLUMN PinHash;
+                ALTER TABLE ScannBenutzer DROP COLUMN PinFailedAttempts;
+                ALTER TABLE ScannBenutzer DROP COLUMN PinLockedUntil;
+            `);
+        }
+    }
+};
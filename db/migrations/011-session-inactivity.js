@@ -0,0 +1,114 @@
+/**
+ * 011 - Inaktivitätsregeln für Sessions
+ *
+ * QualityControlConfig erhält je SessionType die Warnschwelle (IdleWarningMinutes),
+ * die automatische Abmeldung (IdleLogoutMinutes), den Umgang mit offenen QC-Schritten
+ * dabei (IdleStepAction) und das Beenden zum Schichtende (CloseAtShiftEnd). NULL
+ * bedeutet: Standard aus den Umgebungsvariablen. SessionInactivityEvents protokolliert
+ * Warnungen und automatische Abmeldungen.
+ */
+
+module.exports = {
+    description: 'QualityControlConfig.IdleWarningMinutes, IdleLogoutMinutes, IdleStepAction, CloseAtShiftEnd, SessionInactivityEvents',
+
+    async up(db) {
+        await db.query(`
+            IF COL_LENGTH('dbo.QualityControlConfig', 'IdleWarningMinutes') IS NULL
+                ALTER TABLE dbo.QualityControlConfig ADD IdleWarningMinutes INT NULL;
+
+            IF COL_LENGTH('dbo.QualityControlConfig', 'IdleLogoutMinutes') IS NULL
+                ALTER TABLE dbo.QualityControlConfig ADD IdleLogoutMinutes INT NULL;
+
+            IF COL_LENGTH('dbo.QualityControlConfig', 'IdleStepAction') IS NULL
+                ALTER TABLE dbo.QualityControlConfig ADD IdleStepAction NVARCHAR(20) NULL
+                    CONSTRAINT CK_QualityControlConfig_IdleStepAction CHECK (IdleStepAction IN ('abort', 'review'));
+
+            IF COL_LENGTH('dbo.QualityControlConfig', 'CloseAtShiftEnd') IS NULL
+                ALTER TABLE dbo.QualityControlConfig ADD CloseAtShiftEnd BIT NULL;
+        `);
+
+        await db.query(`
+            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'SessionInactivityEvents')
+            BEGIN
+                CREATE TABLE dbo.SessionInactivityEvents (
+                    ID INT IDENTITY(1,1) PRIMARY KEY,
+                    SessionID INT NOT NULL,
+                    UserID INT NOT NULL,
+                    EventType NVARCHAR(20) NOT NULL,
+                    IdleMinutes INT NULL,
+                    StepAction NVARCHAR(20) NULL,
+                    AffectedSteps INT NOT NULL DEFAULT 0,
+                    Station NVARCHAR(100) NULL,
+                    Details NVARCHAR(500) NULL,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT GETDATE(),
+
+                    CONSTRAINT FK_SessionInactivityEvents_Session
+                        FOREIGN KEY (SessionID) REFERENCES dbo.Sessions(ID),
+                    CONSTRAINT FK_SessionInactivityEvents_User
+                        FOREIGN KEY (UserID) REFERENCES dbo.ScannBenutzer(ID),
+                    CONSTRAINT CK_SessionInactivityEvents_EventType
+                        CHECK (EventType IN ('idle_warning', 'idle_logout', 'shift_end'))
+                );
+
+                CREATE INDEX IX_SessionInactivityEvents_Created ON dbo.SessionInactivityEvents(CreatedTS DESC);
+                CREATE INDEX IX_SessionInactivityEvents_Session ON dbo.SessionInactivityEvents(SessionID);
+            END
+        `);
+    },
+
+    async down(db) {
+        await db.query(`
+            IF OBJECT_ID('dbo.SessionInactivityEvents', 'U') IS NOT NULL
+                DROP TABLE dbo.SessionInactivityEvents;
+            IF OBJECT_ID('dbo.CK_QualityControlConfig_IdleStepAction', 'C') IS NOT NULL
+                ALTER TABLE dbo.QualityControlConfig DROP CONSTRAINT CK_QualityControlConfig_IdleStepAction;
+            IF COL_LENGTH('dbo.QualityControlConfig', 'IdleWarningMinutes') IS NOT NULL
+                ALTER TABLE dbo.QualityControlConfig DROP COLUMN IdleWarningMinutes;
+            IF COL_LENGTH('dbo.QualityControlConfig', 'IdleLogoutMinutes') IS NOT NULL
+                ALTER TABLE dbo.QualityControlConfig DROP COLUMN IdleLogoutMinutes;
+            IF COL_LENGTH('dbo.QualityControlConfig', 'IdleStepAction') IS NOT NULL
+                ALTER TABLE dbo.QualityControlConfig DROP COLUMN IdleStepAction;
+            IF COL_LENGTH('dbo.QualityControlConfig', 'CloseAtShiftEnd') IS NOT NULL
+                ALTER TABLE dbo.QualityControlConfig DROP COLUMN CloseAtShiftEnd;
+        `);
+    },
+
+    sqlite: {
+        async up(db) {
+            await db.query(`
+                ALTER TABLE QualityControlConfig ADD COLUMN IdleWarningMinutes INTEGER NULL;
+                ALTER TABLE QualityControlConfig ADD COLUMN IdleLogoutMinutes INTEGER NULL;
+                ALTER TABLE QualityControlConfig ADD COLUMN IdleStepAction NVARCHAR(20) NULL
+                    CHECK (IdleStepAction IN ('abort', 'review'));
+                ALTER TABLE QualityControlConfig ADD COLUMN CloseAtShiftEnd BIT NULL;
+
+                CREATE TABLE SessionInactivityEvents (
+                    ID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    SessionID INTEGER NOT NULL REFERENCES Sessions(ID),
+                    UserID INTEGER NOT NULL REFERENCES ScannBenutzer(ID),
+                    EventType NVARCHAR(20) NOT NULL
+                        CHECK (EventType IN ('idle_warning', 'idle_logout', 'shift_end')),
+                    IdleMinutes INTEGER NULL,
+                    StepAction NVARCHAR(20) NULL,
+                    AffectedSteps INTEGER NOT NULL DEFAULT 0,
+                    Station NVARCHAR(100) NULL,
+                    Details NVARCHAR(500) NULL,
+                    CreatedTS DATETIME2 NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now', 'localtime'))
+                );
+
+                CREATE INDEX IX_SessionInactivityEvents_Created ON SessionInactivityEvents(CreatedTS DESC);
+                CREATE INDEX IX_SessionInactivityEvents_Session ON SessionInactivityEvents(SessionID);
+            `);
+        },
+
+        async down(db) {
+            await db.query(`
+                DROP TABLE IF EXISTS SessionInactivityEvents;
+                ALTER TABLE QualityControlConfig DROP COLUMN IdleWarningMinutes;
+                ALTER TABLE QualityControlConfig DROP COLUMN IdleLogoutMinutes;
+                ALTER TABLE QualityControlConfig DROP COLUMN IdleStepAction;
+                ALTER TABLE QualityControlConfig DROP COLUMN CloseAtShiftEnd;
+            `);
+        }
+    }
+};
@@ -24,9 +24,17 @@ class QRScanModule {
     }
 
     // ===== QR-SCAN OPERATIONEN MIT STRUKTURIERTEN RETURN-VALUES =====
-    async saveQRScan(sessionId, payload) {
+    /**
+     * Speichert einen QR-Scan mit Duplikat-Prüfung
+     * @param {number} sessionId - Session ID
+     * @param {string} payload - QR-Code Rohdaten
+     * @param {Object} options - { capturedAt } für nachgespielte Offline-Scans:
+     *                           Duplikat-Prüfung und CapturedTS beziehen sich auf den ursprünglichen Scan-Zeitpunkt
+     */
+    async saveQRScan(sessionId, payload, options = {}) {
         const cacheKey = `${sessionId}_${payload}`;
-        const now = Date.now();
+        const capturedAt = options.capturedAt ? new Date(options.capturedAt) : null;
+        const now = capturedAt ? capturedAt.getTime() : Date.now();
 
         try {
             console.log(`[INFO] Speichere QR-Scan für Session ${sessionId}`);
@@ -48,7 +56,7 @@ class QRScanModule {
             // 3. Prüfe Cache - REDUZIERTES ZEITFENSTER AUF 10 MINUTEN
             const cachedTime = this.utils.duplicateCache.get(payload);
             if (cachedTime) {
-                const minutesAgo = Math.floor((now - cachedTime) / (1000 * 60));
+                const minutesAgo = Math.floor(Math.abs(now - cachedTime) / (1000 * 60));
                 if (minutesAgo < 10) { // 10 Minuten statt 24 Stunden
                     this.utils.duplicateCache.set(payload, now); // Cache aktualisieren
                     return {
@@ -63,7 +71,7 @@ class QRScanModule {
             }
 
             // 4. Prüfe auf Duplikate in Datenbank - REDUZIERTES ZEITFENSTER
-            const duplicateInfo = await this.checkQRDuplicate(payload, 0.17); // 10 Minuten (0.17 Stunden)
+            const duplicateInfo = await this.checkQRDuplicate(payload, 0.17, capturedAt); // 10 Minuten (0.17 Stunden)
             if (duplicateInfo.isDuplicate) {
                 // Cache-Update auch bei Datenbank-Duplikaten
                 this.utils.duplicateCache.set(payload, now);
@@ -87,7 +95,14 @@ class QRScanModule {
             // 6. QR-Scan speichern - NUR RawPayload (NIEMALS PayloadJson schreiben!)
             try {
                 // Nochmalige Duplikat-Prüfung direkt vor Insert
-                const finalDupCheck = await this.db.query(`
+                const finalDupCheck = capturedAt ? await this.db.query(`
+                        SELECT COUNT(*) as duplicateCount,
+                               MAX(CapturedTS) as lastScanTime
+                        FROM dbo.QrScans
+                        WHERE RawPayload = ?
+                          AND CapturedTS BETWEEN DATEADD(MINUTE, -10, ?) AND DATEADD(MINUTE, 10, ?)
+                          AND Valid = 1
+                    `, [payload, capturedAt, capturedAt]) : await this.db.query(`
                         SELECT COUNT(*) as duplicateCount,
                                MAX(CapturedTS) as lastScanTime
                         FROM dbo.QrScans
@@ -99,7 +114,7 @@ class QRScanModule {
                 if (finalDupCheck.recordset[0].duplicateCount > 0) {
                     const lastScanTime = finalDupCheck.recordset[0].lastScanTime;
                     const minutesAgo = lastScanTime ?
-                        Math.floor((now - new Date(lastScanTime).getTime()) / (1000 * 60)) : 0;
+                        Math.floor(Math.abs(now - new Date(lastScanTime).getTime()) / (1000 * 60)) : 0;
 
                     return {
                         success: false,
@@ -115,8 +130,8 @@ class QRScanModule {
                 const insertResult = await this.db.query(`
                         INSERT INTO dbo.QrScans (SessionID, RawPayload, Valid, CapturedTS)
                             OUTPUT INSERTED.ID, INSERTED.CapturedTS
-                        VALUES (?, ?, 1, SYSDATETIME())
-                    `, [sessionId, payload]);
+                        VALUES (?, ?, 1, COALESCE(?, SYSDATETIME()))
+                    `, [sessionId, payload, capturedAt]);
 
                 const rawResult = insertResult.recordset[0];
 
@@ -331,43 +346,58 @@ class QRScanModule {
             const whereClause = sessionId ? 'WHERE SessionID = ?' : '';
             const params = sessionId ? [sessionId] : [];
 
-            // Einfache robuste Query ohne JSON-Funktionen
+            // Rohdaten gruppiert laden - dekodiert wird mit derselben Parser-Registry wie beim Speichern
             const result = await this.db.query(`
                 SELECT
-                    COUNT(*) as TotalScans,
-                    COUNT(CASE WHEN RawPayload LIKE '%^%' AND LEN(RawPayload) - LEN(REPLACE(RawPayload, '^', '')) >= 3 THEN 1 END) as CaretSeparated,
-                    COUNT(CASE WHEN RawPayload LIKE '%[A-Z][A-Z]-%' THEN 1 END) as ScansWithAuftrag,
-                    COUNT(CASE WHEN RawPayload LIKE '%[0-9][0-9][0-9][0-9][0-9][0-9][0-9][0-9][0-9][0-9]%' THEN 1 END) as ScansWithPaket,
-                    COUNT(CASE WHEN RawPayload LIKE '%KUNDENNAME:%' OR RawPayload LIKE '%Kunden-ID:%' THEN 1 END) as ScansWithKunde,
-                    COUNT(CASE WHEN RawPayload LIKE 'http%' THEN 1 END) as URLs,
-                    COUNT(CASE WHEN RawPayload NOT LIKE '%^%' AND RawPayload NOT LIKE 'http%' AND LEN(RawPayload) < 50 THEN 1 END) as TextCodes,
+                    RawPayload,
+                    COUNT(*) as ScanCount,
                     MIN(CapturedTS) as FirstScan,
                     MAX(CapturedTS) as LastScan
                 FROM dbo.QrScans
                 WHERE Valid = 1 ${sessionId ? 'AND SessionID = ?' : ''}
+                GROUP BY RawPayload
             `, params);
 
-            const stats = result.recordset[0];
+            const stats = {
+                TotalScans: 0,
+                DecodedScans: 0,
+                ScansWithAuftrag: 0,
+                ScansWithPaket: 0,
+                ScansWithKunde: 0,
+                ByFormat: {},
+                FirstScan: null,
+                LastScan: null
+            };
+
+            for (const row of result.recordset) {
+                const count = row.ScanCount || 0;
+                const decoded = this.utils.parseQRCodeData(row.RawPayload);
+
+                stats.TotalScans += count;
+                stats.ByFormat[decoded.format_type] = (stats.ByFormat[decoded.format_type] || 0) + count;
 
-            // Berechne DecodedScans basierend auf Pattern-Matching
-            const decodedScans = (stats.ScansWithAuftrag || 0) + (stats.ScansWithPaket || 0) + (stats.CaretSeparated || 0);
+                if (this.utils.qrParser.isDecoded(decoded)) stats.DecodedScans += count;
+                if (decoded.auftrags_nr) stats.ScansWithAuftrag += count;
+                if (decoded.paket_nr) stats.ScansWithPaket += count;
+                if (decoded.kunden_name) stats.ScansWithKunde += count;
+
+                if (row.FirstScan && (!stats.FirstScan || row.FirstScan < stats.FirstScan)) stats.FirstScan = row.FirstScan;
+                if (row.LastScan && (!stats.LastScan || row.LastScan > stats.LastScan)) stats.LastScan = row.LastScan;
+            }
 
             return {
-                TotalScans: stats.TotalScans || 0,
-                DecodedScans: Math.min(decodedScans, stats.TotalScans), // Kann nicht mehr als Total sein
-                ScansWithAuftrag: stats.ScansWithAuftrag || 0,
-                ScansWithPaket: stats.ScansWithPaket || 0,
-                ScansWithKunde: stats.ScansWithKunde || 0,
-                CaretSeparated: stats.CaretSeparated || 0,
-                StarSeparated: 0, // Kann ohne PayloadJson nicht erkannt werden
-                Alphanumeric: 0,
-                Barcodes: 0,
-                URLs: stats.URLs || 0,
-                TextCodes: stats.TextCodes || 0,
+                TotalScans: stats.TotalScans,
+                DecodedScans: stats.DecodedScans,
+                ScansWithAuftrag: stats.ScansWithAuftrag,
+                ScansWithPaket: stats.ScansWithPaket,
+                ScansWithKunde: stats.ScansWithKunde,
+                ByFormat: stats.ByFormat,
+                CaretSeparated: stats.ByFormat.caret_separated || 0,
+                StarSeparated: stats.ByFormat.star_separated || 0,
                 FirstScan: stats.FirstScan ? this.utils.normalizeTimestamp(stats.FirstScan) : null,
                 LastScan: stats.LastScan ? this.utils.normalizeTimestamp(stats.LastScan) : null,
                 DecodingSuccessRate: stats.TotalScans > 0 ?
-                    Math.round((Math.min(decodedScans, stats.TotalScans) / stats.TotalScans) * 100) : 0
+                    Math.round((stats.DecodedScans / stats.TotalScans) * 100) : 0
             };
         } catch (error) {
             customConsole.error('Fehler beim Abrufen der QR-Scan-Statistiken:', error);
@@ -379,12 +409,9 @@ class QRScanModule {
                 ScansWithAuftrag: 0,
                 ScansWithPaket: 0,
                 ScansWithKunde: 0,
+                ByFormat: {},
                 CaretSeparated: 0,
                 StarSeparated: 0,
-                Alphanumeric: 0,
-                Barcodes: 0,
-                URLs: 0,
-                TextCodes: 0,
                 FirstScan: null,
                 LastScan: null,
                 DecodingSuccessRate: 0
@@ -431,24 +458,35 @@ class QRScanModule {
     }
 
     // ===== DUPLICATE CHECKING =====
-    async checkQRDuplicate(payload, timeWindowHours = 0.17) { // Default: 10 Minuten
+    async checkQRDuplicate(payload, timeWindowHours = 0.17, referenceTime = null) { // Default: 10 Minuten
         try {
+            const windowMinutes = Math.round(timeWindowHours * 60); // Minuten statt Stunden
+
             // Prüfe auf Duplikate in den letzten X Stunden
-            const result = await this.db.query(`
+            // Mit Referenzzeitpunkt (Offline-Replay): Zeitfenster um den ursprünglichen Scan
+            const result = referenceTime ? await this.db.query(`
+                SELECT COUNT(*) as duplicateCount,
+                       MAX(CapturedTS) as lastScanTime
+                FROM dbo.QrScans
+                WHERE RawPayload = ?
+                  AND CapturedTS BETWEEN DATEADD(MINUTE, -?, ?) AND DATEADD(MINUTE, ?, ?)
+                  AND Valid = 1
+            `, [payload, windowMinutes, referenceTime, windowMinutes, referenceTime]) : await this.db.query(`
                 SELECT COUNT(*) as duplicateCount,
                        MAX(CapturedTS) as lastScanTime
                 FROM dbo.QrScans
                 WHERE RawPayload = ?
                   AND CapturedTS >= DATEADD(MINUTE, -?, SYSDATETIME())
                   AND Valid = 1
-            `, [payload, Math.round(timeWindowHours * 60)]); // Minuten statt Stunden
+            `, [payload, windowMinutes]);
 
             const count = result.recordset[0].duplicateCount;
             const lastScanTime = result.recordset[0].lastScanTime;
 
             if (count > 0) {
+                const referenceMs = referenceTime ? new Date(referenceTime).getTime() : Date.now();
                 const minutesAgo = lastScanTime ?
-                    Math.floor((Date.now() - new Date(lastScanTime).getTime()) / (1000 * 60)) : 0;
+                    Math.floor(Math.abs(referenceMs - new Date(lastScanTime).getTime()) / (1000 * 60)) : 0;
 
                 console.log(`[WARN] QR-Code Duplikat erkannt: ${count} mal in den letzten ${Math.round(timeWindowHours * 60)} Minuten`);
                 return {
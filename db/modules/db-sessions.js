@@ -235,6 +235,7 @@ class SessionModule {
                     sb.Nachname,
                     sb.Benutzer,
                     sb.BenutzerName,
+                    sb.Rolle,
                     DATEDIFF(SECOND, s.StartTS, SYSDATETIME()) as DurationSeconds
                 FROM dbo.Sessions s
                          LEFT JOIN dbo.SessionTypes st ON s.SessionTypeID = st.ID
@@ -335,6 +336,38 @@ class SessionModule {
         }
     }
 
+    // ===== INAKTIVITÄT =====
+
+    /**
+     * Protokolliert eine Inaktivitätswarnung oder automatische Abmeldung
+     * @param {Object} entry - { sessionId, userId, eventType ('idle_warning' | 'idle_logout' | 'shift_end'),
+     *                           idleMinutes, stepAction, affectedSteps, station, details }
+     * @returns {Promise<boolean>} - Erfolg
+     */
+    async addInactivityEvent(entry) {
+        try {
+            await this.db.query(`
+                INSERT INTO dbo.SessionInactivityEvents
+                    (SessionID, UserID, EventType, IdleMinutes, StepAction, AffectedSteps, Station, Details)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                entry.sessionId,
+                entry.userId,
+                entry.eventType,
+                entry.idleMinutes === undefined ? null : entry.idleMinutes,
+                entry.stepAction || null,
+                entry.affectedSteps || 0,
+                entry.station || null,
+                entry.details ? String(entry.details).substring(0, 500) : null
+            ]);
+
+            return true;
+        } catch (error) {
+            customConsole.error('Fehler beim Protokollieren des Inaktivitäts-Ereignisses:', error);
+            return false;
+        }
+    }
+
     // ===== SESSIONTYPE OPERATIONS =====
 
     /**
@@ -44,6 +44,30 @@ class StatsModule {
         }
     }
 
+    /**
+     * Kennzahlen wie getDailyStats, aber für einen beliebigen Zeitraum (z.B. eine Schicht)
+     * @param {Date} startTime - Beginn (inklusive)
+     * @param {Date} endTime - Ende (exklusiv)
+     */
+    async getPeriodStats(startTime, endTime) {
+        try {
+            const result = await this.db.query(`
+                SELECT
+                        (SELECT COUNT(*) FROM dbo.Sessions WHERE StartTS >= ? AND StartTS < ?) as TotalSessions,
+                        (SELECT COUNT(*) FROM dbo.Sessions WHERE EndTS >= ? AND EndTS < ?) as EndedSessions,
+                        (SELECT COUNT(*) FROM dbo.QrScans WHERE CapturedTS >= ? AND CapturedTS < ? AND Valid = 1) as TotalScans,
+                        (SELECT COUNT(DISTINCT s.UserID) FROM dbo.Sessions s WHERE s.StartTS < ? AND ISNULL(s.EndTS, SYSDATETIME()) >= ?) as UniqueUsers,
+                        (SELECT AVG(CAST(DATEDIFF(MINUTE, StartTS, ISNULL(EndTS, SYSDATETIME())) AS FLOAT))
+                         FROM dbo.Sessions WHERE StartTS >= ? AND StartTS < ?) as AvgSessionMinutes
+            `, [startTime, endTime, startTime, endTime, startTime, endTime, endTime, startTime, startTime, endTime]);
+
+            return result.recordset.length > 0 ? result.recordset[0] : null;
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Zeitraum-Statistiken:', error);
+            return null;
+        }
+    }
+
     // ===== RECENT ACTIVITY =====
     async getRecentActivity(hours = 8) {
         try {
@@ -65,7 +89,7 @@ class StatsModule {
                     s.EndTS as EventTime,
                     u.BenutzerName as UserName,
                     'Logout' as Action,
-                    CAST(DATEDIFF(MINUTE, s.StartTS, s.EndTS) AS VARCHAR) + ' min' as Details
+                    CONCAT(DATEDIFF(MINUTE, s.StartTS, s.EndTS), ' min') as Details
                 FROM dbo.Sessions s
                     INNER JOIN dbo.ScannBenutzer u ON s.UserID = u.ID
                 WHERE s.EndTS >= DATEADD(HOUR, -?, SYSDATETIME())
@@ -13,6 +13,8 @@ try {
     };
 }
 
+const RFIDTagFormat = require('../../utils/rfid-tag-format');
+
 /**
  * User Management Module
  * Handles user-related database operations
@@ -24,35 +26,99 @@ class UserModule {
     }
 
     // ===== BENUTZER-OPERATIONEN =====
-    async getUserByEPC(epcHex) {
-        try {
-            const epcDecimal = parseInt(epcHex, 16);
-            console.log(`[INFO] Suche Benutzer für EPC: ${epcHex} (${epcDecimal})`);
 
-            const result = await this.db.query(`
-                SELECT ID, Vorname, Nachname, BenutzerName, Email, EPC
-                FROM dbo.ScannBenutzer
-                WHERE EPC = ? AND xStatus = 0
-            `, [epcDecimal]);
+    /**
+     * Benutzer zu einer gescannten Tag-ID
+     * Zuerst das konfigurierte Leser-Format (RFID_TAG_INPUT_FORMAT), mit RFID_TAG_MATCH_ALTERNATIVES=true
+     * danach die bekannten alternativen Darstellungen derselben Badge - diese nur bei eindeutigem Treffer.
+     * @param {string} tagId - Tag wie vom Leser geliefert
+     */
+    async getUserByEPC(tagId) {
+        try {
+            const tagFormat = RFIDTagFormat.getShared();
+            const [primary, ...alternatives] = tagFormat.getCandidates(tagId);
 
-            if (result.recordset.length > 0) {
-                const user = result.recordset[0];
-                customConsole.success(`Benutzer gefunden: ${user.BenutzerName}`);
-                return user;
-            } else {
-                console.log(`[WARN] Kein Benutzer gefunden für EPC: ${epcHex}`);
+            if (!primary) {
+                console.log(`[WARN] Tag-ID "${tagId}" in keinem bekannten Format lesbar`);
                 return null;
             }
+
+            console.log(`[INFO] Suche Benutzer für EPC: ${tagId} (${primary.epc})`);
+
+            const users = await this.queryActiveUsersByEPC([primary.epc]);
+            if (users.length > 0) {
+                customConsole.success(`Benutzer gefunden: ${users[0].BenutzerName}`);
+                return users[0];
+            }
+
+            if (alternatives.length > 0) {
+                const matches = await this.queryActiveUsersByEPC(alternatives.map(candidate => candidate.epc));
+                const user = this.pickUniqueMatch(matches, tagId, 'alternative Darstellung');
+                if (user) {
+                    const candidate = alternatives.find(alt => String(alt.epc) === String(user.EPC));
+                    customConsole.warning(`Benutzer ${user.BenutzerName} über Format "${candidate ? candidate.format : '?'}" gefunden - Leser liefert "${tagFormat.inputFormat}"`);
+                    return user;
+                }
+                if (matches.length > 1) {
+                    return null;
+                }
+            }
+
+            const wiegandValue = tagFormat.getWiegandValue(tagId);
+            if (wiegandValue !== null) {
+                const result = await this.db.query(`
+                    SELECT ID, Vorname, Nachname, BenutzerName, Email, EPC, Rolle
+                    FROM dbo.ScannBenutzer
+                    WHERE EPC % ? = ? AND xStatus = 0
+                `, [RFIDTagFormat.WIEGAND_MODULUS, wiegandValue]);
+
+                const user = this.pickUniqueMatch(result.recordset, tagId, 'Wiegand-Abgleich');
+                if (user) {
+                    customConsole.warning(`Benutzer ${user.BenutzerName} über Wiegand-Abgleich (${tagFormat.toWiegand(wiegandValue)}) gefunden`);
+                    return user;
+                }
+            }
+
+            console.log(`[WARN] Kein Benutzer gefunden für EPC: ${tagId}`);
+            return null;
         } catch (error) {
             customConsole.error('Fehler beim Abrufen des Benutzers nach EPC:', error);
             return null;
         }
     }
 
+    async queryActiveUsersByEPC(epcValues) {
+        const tagFormat = RFIDTagFormat.getShared();
+        const placeholders = epcValues.map(() => '?').join(', ');
+
+        const result = await this.db.query(`
+            SELECT ID, Vorname, Nachname, BenutzerName, Email, EPC, Rolle
+            FROM dbo.ScannBenutzer
+            WHERE EPC IN (${placeholders}) AND xStatus = 0
+        `, epcValues.map(epc => tagFormat.toQueryValue(epc)));
+
+        return result.recordset;
+    }
+
+    /**
+     * Unscharfe Treffer zählen nur, wenn genau ein Benutzer passt
+     */
+    pickUniqueMatch(users, tagId, method) {
+        if (users.length === 1) {
+            return users[0];
+        }
+
+        if (users.length > 1) {
+            customConsole.warning(`Tag ${tagId} passt per ${method} zu ${users.length} Benutzern (${users.map(user => user.BenutzerName).join(', ')}) - keine Anmeldung`);
+        }
+
+        return null;
+    }
+
     async getUserById(userId) {
         try {
             const result = await this.db.query(`
-                SELECT ID, Vorname, Nachname, BenutzerName, Email, EPC, xStatus
+                SELECT ID, Vorname, Nachname, BenutzerName, Email, EPC, Rolle, xStatus
                 FROM dbo.ScannBenutzer
                 WHERE ID = ?
             `, [userId]);
@@ -75,7 +141,7 @@ class UserModule {
     async getAllActiveUsers() {
         try {
             const result = await this.db.query(`
-                SELECT ID, Vorname, Nachname, BenutzerName, Email, EPC
+                SELECT ID, Vorname, Nachname, BenutzerName, Email, EPC, Rolle
                 FROM dbo.ScannBenutzer
                 WHERE xStatus = 0
                 ORDER BY BenutzerName
@@ -235,6 +301,280 @@ class UserModule {
             return [];
         }
     }
+
+    // ===== BENUTZERVERWALTUNG (ADMIN) =====
+
+    /**
+     * Alle Benutzer für die Verwaltung (optional inkl. deaktivierter)
+     */
+    async getAllUsersForAdmin(includeInactive = true) {
+        try {
+            const result = await this.db.query(`
+                SELECT ID, Vorname, Nachname, BenutzerName, Email, EPC, Abteilung, Rolle, xStatus,
+                       CASE WHEN PinHash IS NULL THEN 0 ELSE 1 END AS HasPin,
+                       CASE WHEN PinLockedUntil > GETDATE() THEN PinLockedUntil ELSE NULL END AS PinLockedUntil
+                FROM dbo.ScannBenutzer
+                ${includeInactive ? '' : 'WHERE xStatus = 0'}
+                ORDER BY xStatus, BenutzerName
+            `);
+
+            return result.recordset.map(user => ({
+                ...user,
+                FullName: `${user.Vorname || ''} ${user.Nachname || ''}`.trim(),
+                IsActive: user.xStatus === 0,
+                HasPin: user.HasPin === 1 || user.HasPin === true,
+                PinLockedUntil: user.PinLockedUntil ? this.utils.normalizeTimestamp(user.PinLockedUntil) : null
+            }));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen der Benutzer für die Verwaltung:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Benutzer mit diesem EPC (unabhängig vom Status) - für Eindeutigkeitsprüfungen
+     * @param {number|string} epcDecimal - EPC im Speicherformat der Tabelle (dezimal, oberhalb 2^53 als String)
+     */
+    async findUsersByEPC(epcDecimal, excludeUserId = null) {
+        const result = await this.db.query(`
+            SELECT ID, BenutzerName, Vorname, Nachname, xStatus
+            FROM dbo.ScannBenutzer
+            WHERE EPC = ? ${excludeUserId ? 'AND ID <> ?' : ''}
+        `, excludeUserId ? [epcDecimal, excludeUserId] : [epcDecimal]);
+
+        return result.recordset;
+    }
+
+    async isBenutzerNameTaken(benutzerName, excludeUserId = null) {
+        const result = await this.db.query(`
+            SELECT COUNT(*) AS Count
+            FROM dbo.ScannBenutzer
+            WHERE BenutzerName = ? ${excludeUserId ? 'AND ID <> ?' : ''}
+        `, excludeUserId ? [benutzerName, excludeUserId] : [benutzerName]);
+
+        return result.recordset[0].Count > 0;
+    }
+
+    /**
+     * @param {Object} data - { benutzerName, vorname, nachname, email, abteilung, rolle }
+     * @returns {number} - ID des neuen Benutzers
+     */
+    async createUser(data) {
+        const result = await this.db.query(`
+            INSERT INTO dbo.ScannBenutzer (BenutzerName, Vorname, Nachname, Email, Abteilung, Rolle, xStatus)
+            OUTPUT INSERTED.ID
+            VALUES (?, ?, ?, ?, ?, ?, 0)
+        `, [data.benutzerName, data.vorname, data.nachname, data.email, data.abteilung, data.rolle]);
+
+        return result.recordset[0].ID;
+    }
+
+    async updateUser(userId, data) {
+        const result = await this.db.query(`
+            UPDATE dbo.ScannBenutzer
+            SET BenutzerName = ?, Vorname = ?, Nachname = ?, Email = ?, Abteilung = ?, Rolle = ?
+            WHERE ID = ?
+        `, [data.benutzerName, data.vorname, data.nachname, data.email, data.abteilung, data.rolle, userId]);
+
+        return result.rowsAffected[0] > 0;
+    }
+
+    async setUserActive(userId, active) {
+        const result = await this.db.query(`
+            UPDATE dbo.ScannBenutzer
+            SET xStatus = ?
+            WHERE ID = ?
+        `, [active ? 0 : 1, userId]);
+
+        return result.rowsAffected[0] > 0;
+    }
+
+    /**
+     * Setzt oder entfernt das Badge eines Benutzers und protokolliert die Änderung
+     * Alles in einer Transaktion: Übertragung vom bisherigen Inhaber, neues Badge, Audit-Einträge
+     * @param {number} userId
+     * @param {number|null} epcDecimal - neues EPC (null = Badge entfernen)
+     * @param {Object} audit - { changedBy, station, reason, transferFromUserId }
+     * @returns {Object} - { oldEPC, actionType }
+     */
+    async setUserEPC(userId, epcDecimal, audit) {
+        const transferFromUserId = audit.transferFromUserId || null;
+
+        return await this.db.transaction(async (tx) => {
+            const current = await tx.query(
+                'SELECT CAST(EPC AS NVARCHAR(50)) AS OldEPC FROM dbo.ScannBenutzer WHERE ID = ?',
+                [userId]
+            );
+            const oldEPC = current.recordset[0]?.OldEPC || null;
+            const actionType = epcDecimal === null ? 'removed' : (oldEPC === null ? 'assigned' : 'replaced');
+
+            if (transferFromUserId !== null) {
+                await tx.query('UPDATE dbo.ScannBenutzer SET EPC = NULL WHERE ID = ? AND EPC = ?', [transferFromUserId, epcDecimal]);
+
+                await tx.query(`
+                    INSERT INTO dbo.ScannBenutzerBadgeAudit (UserID, ActionType, OldEPC, NewEPC, ChangedBy, Station, ChangeReason)
+                    VALUES (?, 'transferred', CAST(? AS NVARCHAR(50)), NULL, ?, ?, ?)
+                `, [transferFromUserId, epcDecimal, audit.changedBy, audit.station, `An Benutzer ${userId} übertragen`]);
+            }
+
+            await tx.query('UPDATE dbo.ScannBenutzer SET EPC = ? WHERE ID = ?', [epcDecimal, userId]);
+
+            await tx.query(`
+                INSERT INTO dbo.ScannBenutzerBadgeAudit (UserID, ActionType, OldEPC, NewEPC, ChangedBy, Station, ChangeReason)
+                VALUES (?, ?, ?, CAST(? AS NVARCHAR(50)), ?, ?, ?)
+            `, [userId, actionType, oldEPC, epcDecimal, audit.changedBy, audit.station, audit.reason || null]);
+
+            return { oldEPC, actionType };
+        });
+    }
+
+    /**
+     * Verlauf der Badge-Änderungen (neueste zuerst)
+     */
+    async getBadgeAudit(userId = null, limit = 100) {
+        try {
+            const result = await this.db.query(`
+                SELECT TOP (${parseInt(limit) || 100})
+                    a.ID, a.UserID, u.BenutzerName AS UserName, a.ActionType,
+                    a.OldEPC, a.NewEPC, a.ChangedBy, a.Station, a.ChangeReason, a.CreatedTS
+                FROM dbo.ScannBenutzerBadgeAudit a
+                LEFT JOIN dbo.ScannBenutzer u ON a.UserID = u.ID
+                ${userId ? 'WHERE a.UserID = ?' : ''}
+                ORDER BY a.CreatedTS DESC, a.ID DESC
+            `, userId ? [userId] : []);
+
+            return result.recordset.map(entry => ({
+                ...entry,
+                CreatedTS: this.utils.normalizeTimestamp(entry.CreatedTS)
+            }));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen des Badge-Audits:', error);
+            return [];
+        }
+    }
+
+    // ===== LOGIN-PIN =====
+
+    /**
+     * PIN-Hash und Sperrstatus eines Benutzers (Sperre gegen die Datenbankzeit geprüft)
+     * @returns {Object|null} - { PinHash, PinFailedAttempts, PinLocked, PinLockSeconds }
+     */
+    async getUserPinState(userId) {
+        const result = await this.db.query(`
+            SELECT PinHash, PinFailedAttempts, PinLockedUntil,
+                   CASE WHEN PinLockedUntil > GETDATE() THEN 1 ELSE 0 END AS PinLocked,
+                   CASE WHEN PinLockedUntil > GETDATE() THEN DATEDIFF(SECOND, GETDATE(), PinLockedUntil) ELSE 0 END AS PinLockSeconds
+            FROM dbo.ScannBenutzer
+            WHERE ID = ?
+        `, [userId]);
+
+        const state = result.recordset[0];
+        if (!state) {
+            return null;
+        }
+
+        return {
+            ...state,
+            PinLocked: state.PinLocked === 1 || state.PinLocked === true
+        };
+    }
+
+    /**
+     * Fehlversuch zählen; ab maxAttempts wird die Anmeldung für lockoutMinutes gesperrt
+     * @returns {Object} - { failedAttempts, locked }
+     */
+    async recordPinFailure(userId, maxAttempts, lockoutMinutes) {
+        return await this.db.transaction(async (tx) => {
+            await tx.query('UPDATE dbo.ScannBenutzer SET PinFailedAttempts = PinFailedAttempts + 1 WHERE ID = ?', [userId]);
+
+            const current = await tx.query('SELECT PinFailedAttempts FROM dbo.ScannBenutzer WHERE ID = ?', [userId]);
+            const failedAttempts = current.recordset[0] ? current.recordset[0].PinFailedAttempts : 0;
+
+            if (failedAttempts < maxAttempts) {
+                return { failedAttempts, locked: false };
+            }
+
+            // Zähler zurücksetzen: nach Ablauf der Sperre gibt es wieder maxAttempts Versuche
+            await tx.query(`
+                UPDATE dbo.ScannBenutzer
+                SET PinFailedAttempts = 0, PinLockedUntil = DATEADD(MINUTE, ?, GETDATE())
+                WHERE ID = ?
+            `, [lockoutMinutes, userId]);
+
+            return { failedAttempts, locked: true };
+        });
+    }
+
+    async resetPinFailures(userId) {
+        await this.db.query(`
+            UPDATE dbo.ScannBenutzer
+            SET PinFailedAttempts = 0, PinLockedUntil = NULL
+            WHERE ID = ? AND (PinFailedAttempts <> 0 OR PinLockedUntil IS NOT NULL)
+        `, [userId]);
+    }
+
+    /**
+     * Setzt oder entfernt die Login-PIN (hebt eine Sperre auf) und protokolliert die Änderung
+     * @param {number} userId
+     * @param {string|null} pinHash - gehashte PIN (null = PIN entfernen)
+     * @param {Object} audit - { changedBy, station }
+     * @returns {boolean} - false, wenn der Benutzer nicht existiert
+     */
+    async setUserPin(userId, pinHash, audit) {
+        return await this.db.transaction(async (tx) => {
+            const result = await tx.query(`
+                UPDATE dbo.ScannBenutzer
+                SET PinHash = ?, PinFailedAttempts = 0, PinLockedUntil = NULL
+                WHERE ID = ?
+            `, [pinHash, userId]);
+
+            if (!(result.rowsAffected[0] > 0)) {
+                return false;
+            }
+
+            await tx.query(`
+                INSERT INTO dbo.ScannBenutzerLoginAudit (UserID, EventType, ChangedBy, Station)
+                VALUES (?, ?, ?, ?)
+            `, [userId, pinHash === null ? 'pin_removed' : 'pin_set', audit.changedBy, audit.station]);
+
+            return true;
+        });
+    }
+
+    /**
+     * @param {Object} entry - { userId, eventType, tagId, changedBy, station, details }
+     */
+    async addLoginAudit(entry) {
+        await this.db.query(`
+            INSERT INTO dbo.ScannBenutzerLoginAudit (UserID, EventType, TagID, ChangedBy, Station, Details)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [entry.userId, entry.eventType, entry.tagId || null, entry.changedBy || null, entry.station || null, entry.details || null]);
+    }
+
+    /**
+     * Fehlversuche, Sperren und PIN-Änderungen (neueste zuerst)
+     */
+    async getLoginAudit(userId = null, limit = 100) {
+        try {
+            const result = await this.db.query(`
+                SELECT TOP (${parseInt(limit) || 100})
+                    a.ID, a.UserID, u.BenutzerName AS UserName, a.EventType,
+                    a.TagID, a.ChangedBy, a.Station, a.Details, a.CreatedTS
+                FROM dbo.ScannBenutzerLoginAudit a
+                LEFT JOIN dbo.ScannBenutzer u ON a.UserID = u.ID
+                ${userId ? 'WHERE a.UserID = ?' : ''}
+                ORDER BY a.CreatedTS DESC, a.ID DESC
+            `, userId ? [userId] : []);
+
+            return result.recordset.map(entry => ({
+                ...entry,
+                CreatedTS: this.utils.normalizeTimestamp(entry.CreatedTS)
+            }));
+        } catch (error) {
+            customConsole.error('Fehler beim Abrufen des Login-Audits:', error);
+            return [];
+        }
+    }
 }
 
-module.exports = UserModule;
\ No newline at end of file
+module.exports = UserModule;
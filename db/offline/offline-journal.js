@@ -0,0 +1,378 @@
+const fs = require('fs');
+const path = require('path');
+
+// Console-Utils für bessere Ausgabe - mit Fallback
+let customConsole;
+try {
+    customConsole = require('../../utils/console-utils');
+} catch (error) {
+    customConsole = {
+        success: (msg, ...args) => console.log('[OK]', msg, ...args),
+        error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
+        warning: (msg, ...args) => console.warn('[WARN]', msg, ...args),
+        info: (msg, ...args) => console.log('[INFO]', msg, ...args),
+        database: (msg, ...args) => console.log('[DB]', msg, ...args),
+        log: (level, msg, ...args) => console.log(`[${level.toUpperCase()}]`, msg, ...args)
+    };
+}
+
+const RFIDTagFormat = require('../../utils/rfid-tag-format');
+
+/**
+ * Offline-Journal für Scan-Ereignisse
+ *
+ * Hält RFID-Anmeldungen, QR-Scans und QC-Schritte lokal fest, solange die
+ * Datenbank nicht erreichbar ist. Das Journal ist eine Append-Only JSONL-Datei:
+ * - Einträge ({ kind: 'entry' }) werden in Scan-Reihenfolge angehängt
+ * - Quittungen ({ kind: 'ack' }) markieren Einträge als nachgespielt
+ * Offene Einträge ergeben sich beim Laden aus Einträgen ohne Quittung.
+ *
+ * Provisorische IDs (Session, Scan, QC-Schritt) sind negative Sequenznummern,
+ * damit sie im Renderer wie normale numerische IDs behandelt werden können.
+ */
+class OfflineJournal {
+    constructor(options = {}) {
+        this.directory = options.directory ||
+            process.env.OFFLINE_JOURNAL_DIR ||
+            path.join(process.cwd(), 'offline-journal');
+
+        this.journalFile = path.join(this.directory, 'scan-journal.jsonl');
+        this.conflictFile = path.join(this.directory, 'replay-conflicts.jsonl');
+        this.userCacheFile = path.join(this.directory, 'user-cache.json');
+
+        this.sequence = 0;
+        this.pendingEntries = []; // Offene Einträge in Journal-Reihenfolge
+        this.resolvedIds = new Map(); // provisorische ID -> echte Datenbank-ID
+        this.userCache = new Map(); // EPC (dezimal) -> Benutzer
+        this.lastReplay = null;
+        this.initialized = false;
+    }
+
+    // ===== INITIALISIERUNG =====
+
+    /**
+     * Lädt Journal und Benutzer-Cache von der Festplatte
+     * Unvollständige Zeilen (z.B. nach Stromausfall) werden übersprungen
+     */
+    initialize() {
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+
+            this.sequence = 0;
+            this.pendingEntries = [];
+            this.resolvedIds.clear();
+
+            if (fs.existsSync(this.journalFile)) {
+                const entries = new Map();
+                const lines = fs.readFileSync(this.journalFile, 'utf8').split('\n');
+                let skippedLines = 0;
+
+                for (const line of lines) {
+                    if (!line.trim()) continue;
+
+                    let record;
+                    try {
+                        record = JSON.parse(line);
+                    } catch (parseError) {
+                        skippedLines++;
+                        continue;
+                    }
+
+                    if (record.kind === 'entry') {
+                        entries.set(record.seq, record);
+                        this.sequence = Math.max(this.sequence, record.seq);
+                    } else if (record.kind === 'ack') {
+                        entries.delete(record.seq);
+                        this.rememberResolvedId(record.outcome);
+                    } else if (record.kind === 'meta') {
+                        this.sequence = Math.max(this.sequence, record.sequence || 0);
+                    }
+                }
+
+                this.pendingEntries = Array.from(entries.values()).sort((a, b) => a.seq - b.seq);
+
+                if (skippedLines > 0) {
+                    customConsole.warning(`Offline-Journal: ${skippedLines} unlesbare Zeile(n) übersprungen`);
+                }
+            }
+
+            this.loadUserCache();
+            this.initialized = true;
+
+            customConsole.info(`Offline-Journal geladen: ${this.pendingEntries.length} offene Einträge (${this.journalFile})`);
+            return true;
+        } catch (error) {
+            customConsole.error('Offline-Journal konnte nicht initialisiert werden:', error);
+            this.initialized = false;
+            return false;
+        }
+    }
+
+    // ===== JOURNAL SCHREIBEN =====
+
+    /**
+     * Hängt ein Ereignis an das Journal an
+     * @param {string} type - 'rfid_login' | 'session_restart' | 'session_end' | 'qr_scan' | 'qc_start' | 'qc_complete'
+     * @param {Object} payload - Ereignisdaten
+     * @returns {Object} - Journal-Eintrag inkl. provisorischer ID
+     */
+    append(type, payload = {}) {
+        if (!this.initialized) {
+            throw new Error('Offline-Journal nicht initialisiert');
+        }
+
+        const seq = this.sequence + 1;
+        const entry = {
+            kind: 'entry',
+            seq,
+            type,
+            provisionalId: -seq,
+            recordedAt: new Date().toISOString(),
+            payload
+        };
+
+        this.writeLine(this.journalFile, entry);
+
+        this.sequence = seq;
+        this.pendingEntries.push(entry);
+
+        console.log(`📝 Offline-Journal #${seq}: ${type}`);
+        return entry;
+    }
+
+    /**
+     * Quittiert einen nachgespielten Eintrag
+     * @param {number} seq - Sequenznummer des Eintrags
+     * @param {Object} outcome - Ergebnis ({ status, provisionalId, resolvedId, message })
+     */
+    acknowledge(seq, outcome = {}) {
+        this.writeLine(this.journalFile, {
+            kind: 'ack',
+            seq,
+            outcome,
+            acknowledgedAt: new Date().toISOString()
+        });
+
+        this.pendingEntries = this.pendingEntries.filter(entry => entry.seq !== seq);
+        this.rememberResolvedId(outcome);
+    }
+
+    /**
+     * Schreibt einen Konflikt dauerhaft in die Konflikt-Datei
+     * @param {Object} conflict - Konfliktdaten aus dem Replay
+     */
+    recordConflict(conflict) {
+        try {
+            this.writeLine(this.conflictFile, {
+                ...conflict,
+                reportedAt: new Date().toISOString()
+            });
+        } catch (error) {
+            customConsole.error('Konflikt konnte nicht protokolliert werden:', error);
+        }
+    }
+
+    /**
+     * Schreibt das Journal neu, sobald keine offenen Einträge mehr vorhanden sind
+     * Die Sequenznummer bleibt erhalten, damit provisorische IDs eindeutig bleiben
+     */
+    compact() {
+        if (this.pendingEntries.length > 0) {
+            return false;
+        }
+
+        try {
+            const tempFile = `${this.journalFile}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify({ kind: 'meta', sequence: this.sequence }) + '\n', 'utf8');
+            fs.renameSync(tempFile, this.journalFile);
+
+            return true;
+        } catch (error) {
+            customConsole.error('Offline-Journal konnte nicht komprimiert werden:', error);
+            return false;
+        }
+    }
+
+    writeLine(file, record) {
+        const fd = fs.openSync(file, 'a');
+        try {
+            fs.writeSync(fd, JSON.stringify(record) + '\n');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    // ===== ID-AUFLÖSUNG =====
+
+    rememberResolvedId(outcome) {
+        if (outcome && outcome.provisionalId < 0 && outcome.resolvedId) {
+            this.resolvedIds.set(outcome.provisionalId, outcome.resolvedId);
+        }
+    }
+
+    /**
+     * Löst eine (möglicherweise provisorische) ID in die Datenbank-ID auf
+     * @param {number} id - Session-, Scan- oder QC-Schritt-ID
+     * @returns {number|null} - Echte ID oder null falls noch nicht aufgelöst
+     */
+    resolveId(id) {
+        if (typeof id !== 'number' || id >= 0) {
+            return id;
+        }
+        return this.resolvedIds.get(id) || null;
+    }
+
+    isProvisionalId(id) {
+        return typeof id === 'number' && id < 0;
+    }
+
+    // ===== ABFRAGEN =====
+
+    getPendingEntries() {
+        return [...this.pendingEntries];
+    }
+
+    getPendingCount() {
+        return this.pendingEntries.length;
+    }
+
+    /**
+     * Offline gestartete QC-Schritte einer Session, die noch nicht abgeschlossen wurden
+     * @param {number} sessionId - Session ID (auch provisorisch)
+     * @returns {Array} - QC-Schritte im Format der QualityControlSteps-Tabelle
+     */
+    getPendingQCSteps(sessionId) {
+        const completedStepIds = new Set(
+            this.pendingEntries
+                .filter(entry => entry.type === 'qc_complete')
+                .map(entry => entry.payload.stepId)
+        );
+
+        return this.pendingEntries
+            .filter(entry => entry.type === 'qc_start' &&
+                entry.payload.sessionId === sessionId &&
+                !completedStepIds.has(entry.provisionalId))
+            .map(entry => ({
+                ID: entry.provisionalId,
+                SessionID: sessionId,
+                QrCode: entry.payload.qrCode,
+                StartScanID: entry.payload.scanId,
+                StartTime: entry.recordedAt,
+                Completed: 0,
+                Offline: true
+            }));
+    }
+
+    // ===== BENUTZER-CACHE FÜR OFFLINE-ANMELDUNG =====
+
+    loadUserCache() {
+        this.userCache.clear();
+
+        if (!fs.existsSync(this.userCacheFile)) {
+            return;
+        }
+
+        try {
+            const users = JSON.parse(fs.readFileSync(this.userCacheFile, 'utf8'));
+            for (const user of users) {
+                if (user && user.EPC !== null && user.EPC !== undefined) {
+                    this.userCache.set(String(user.EPC), user);
+                }
+            }
+        } catch (error) {
+            customConsole.warning('Offline-Benutzer-Cache unlesbar - wird neu aufgebaut:', error.message);
+        }
+    }
+
+    saveUserCache() {
+        try {
+            const tempFile = `${this.userCacheFile}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify(Array.from(this.userCache.values())), 'utf8');
+            fs.renameSync(tempFile, this.userCacheFile);
+        } catch (error) {
+            customConsole.error('Offline-Benutzer-Cache konnte nicht gespeichert werden:', error);
+        }
+    }
+
+    /**
+     * Ersetzt den Benutzer-Cache durch die aktiven Benutzer aus der Datenbank
+     * @param {Array} users - Benutzer aus getAllActiveUsers()
+     */
+    replaceUsers(users) {
+        this.userCache.clear();
+        for (const user of users) {
+            if (user.EPC !== null && user.EPC !== undefined) {
+                this.userCache.set(String(user.EPC), this.toCachedUser(user));
+            }
+        }
+        this.saveUserCache();
+    }
+
+    rememberUser(user) {
+        if (!user || user.EPC === null || user.EPC === undefined) return;
+
+        this.userCache.set(String(user.EPC), this.toCachedUser(user));
+        this.saveUserCache();
+    }
+
+    /**
+     * Benutzer zur Tag-ID - gleiche Reihenfolge wie getUserByEPC: Leser-Format,
+     * alternative Darstellungen, Wiegand-Abgleich; unscharfe Treffer nur eindeutig
+     */
+    lookupUser(tagId) {
+        const tagFormat = RFIDTagFormat.getShared();
+        const [primary, ...alternatives] = tagFormat.getCandidates(tagId);
+
+        if (!primary) {
+            return null;
+        }
+
+        if (this.userCache.has(primary.epc)) {
+            return this.userCache.get(primary.epc);
+        }
+
+        const matches = alternatives
+            .map(candidate => this.userCache.get(candidate.epc))
+            .filter(Boolean);
+        if (matches.length > 0) {
+            return matches.length === 1 ? matches[0] : null;
+        }
+
+        const wiegandValue = tagFormat.getWiegandValue(tagId);
+        if (wiegandValue === null) {
+            return null;
+        }
+
+        const wiegandMatches = Array.from(this.userCache.values())
+            .filter(user => Number(BigInt(user.EPC) % BigInt(RFIDTagFormat.WIEGAND_MODULUS)) === wiegandValue);
+        return wiegandMatches.length === 1 ? wiegandMatches[0] : null;
+    }
+
+    toCachedUser(user) {
+        return {
+            ID: user.ID,
+            Vorname: user.Vorname,
+            Nachname: user.Nachname,
+            BenutzerName: user.BenutzerName,
+            Email: user.Email,
+            EPC: user.EPC,
+            Rolle: user.Rolle
+        };
+    }
+
+    // ===== STATUS =====
+
+    getStatus() {
+        return {
+            initialized: this.initialized,
+            directory: this.directory,
+            pendingCount: this.pendingEntries.length,
+            sequence: this.sequence,
+            cachedUsers: this.userCache.size,
+            lastReplay: this.lastReplay
+        };
+    }
+}
+
+module.exports = OfflineJournal;
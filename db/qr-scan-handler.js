@@ -2,12 +2,14 @@
 // Spezialisierte Datenbankoperationen für QR-Code-Scans
 
 const mssql = require('mssql');
+const QRParserRegistry = require('../qr/qr-parser-registry');
 
 class QRScanHandler {
     constructor(dbClient) {
         this.db = dbClient;
         this.sessionScans = new Map(); // Session-basierte Duplikatprüfung
         this.globalScans = new Set(); // Globale Duplikatprüfung
+        this.qrParser = QRParserRegistry.getShared();
     }
 
     // Initialisierung - lädt bereits gescannte Codes
@@ -80,80 +82,29 @@ class QRScanHandler {
         }
     }
 
-    // QR-Code-Daten dekodieren
+    // QR-Code-Daten dekodieren (zentrale Parser-Registry, siehe qr/qr-formats.json)
     decodeQRData(rawData) {
-        try {
-            // Format 1: "126644896^25000580^010010277918^6^2802-834"
-            if (rawData.includes('^')) {
-                const parts = rawData.split('^');
-                if (parts.length >= 3) {
-                    return {
-                        success: true,
-                        auftrag: parts[0]?.trim() || null,
-                        kunde: parts[1]?.trim() || null,
-                        paket: parts[2]?.trim() || null,
-                        additional: parts.slice(3) // Weitere Felder
-                    };
-                }
-            }
-
-            // Format 2: JSON
-            if (rawData.startsWith('{') && rawData.endsWith('}')) {
-                const jsonData = JSON.parse(rawData);
-                return {
-                    success: true,
-                    auftrag: jsonData.auftrag || jsonData.order || jsonData.auftragsId || null,
-                    kunde: jsonData.kunde || jsonData.customer || jsonData.kundenId || null,
-                    paket: jsonData.paket || jsonData.package || jsonData.paketId || null,
-                    additional: jsonData
-                };
-            }
-
-            // Format 3: Einfacher Text mit Pattern-Matching
-            const patterns = {
-                auftrag: /(?:auftrag|order|auf)[:\s]*([A-Z0-9]+)/i,
-                kunde: /(?:kunde|customer|kun)[:\s]*([A-Z0-9]+)/i,
-                paket: /(?:paket|package|pak)[:\s]*([A-Z0-9]+)/i
-            };
-
-            const extracted = {};
-            let hasData = false;
-
-            for (const [key, pattern] of Object.entries(patterns)) {
-                const match = rawData.match(pattern);
-                if (match && match[1]) {
-                    extracted[key] = match[1].trim();
-                    hasData = true;
-                }
-            }
+        const decoded = this.qrParser.parse(rawData);
 
-            if (hasData) {
-                return {
-                    success: true,
-                    ...extracted,
-                    additional: { rawData }
-                };
-            }
-
-            // Fallback: Rohdaten als Auftrag behandeln
+        if (!this.qrParser.isDecoded(decoded)) {
             return {
                 success: false,
                 reason: 'Unbekanntes Format',
-                auftrag: rawData.substring(0, 50), // Erste 50 Zeichen
+                auftrag: null,
                 kunde: null,
                 paket: null,
                 additional: { rawData }
             };
-
-        } catch (error) {
-            console.error('❌ QR-Dekodierung fehlgeschlagen:', error);
-            return {
-                success: false,
-                reason: 'Dekodierungsfehler: ' + error.message,
-                error: error.message,
-                additional: { rawData }
-            };
         }
+
+        return {
+            success: true,
+            format: decoded.format_type,
+            auftrag: decoded.auftrags_nr || null,
+            kunde: decoded.kunden_name || null,
+            paket: decoded.paket_nr || null,
+            additional: decoded.fields
+        };
     }
 
     // QR-Scan in Datenbank speichern
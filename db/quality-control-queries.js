@@ -3,10 +3,35 @@
  *
  * Diese Klasse verwaltet alle Datenbankoperationen für das QC-System:
  * - QC-Schritte erstellen, aktualisieren, abfragen
- * - QC-Schema-Management
  * - QC-Statistiken und Berichte
+ * - Fehlerkatalog und Pareto-Auswertung der Fehlercodes
+ * - Nacharbeits-Warteschlange und verknüpfte Nachprüfungen
+ *
+ * Das Schema legen die Migrationen in db/migrations an (npm run db:migrate).
  */
 
+const crypto = require('crypto');
+
+// Gruppierungen der Fehler-Pareto-Auswertung (Aliase d, c, qcs, s, sb)
+const PARETO_DIMENSIONS = {
+    code: {
+        columns: 'c.ID AS GroupKey, c.DefectCode, c.Category, c.Severity, c.Description',
+        groupBy: 'c.ID, c.DefectCode, c.Category, c.Severity, c.Description'
+    },
+    user: {
+        columns: 's.UserID AS GroupKey, sb.BenutzerName',
+        groupBy: 's.UserID, sb.BenutzerName'
+    },
+    supplier: {
+        columns: 'd.Supplier AS GroupKey',
+        groupBy: 'd.Supplier'
+    },
+    day: {
+        columns: 'CAST(qcs.StartTime AS DATE) AS GroupKey',
+        groupBy: 'CAST(qcs.StartTime AS DATE)'
+    }
+};
+
 class QualityControlQueries {
     constructor(dbClient) {
         if (!dbClient) {
@@ -19,177 +44,6 @@ class QualityControlQueries {
         this.sessionsTable = 'Sessions';
     }
 
-    // ===== SCHEMA MANAGEMENT =====
-
-    /**
-     * Erstellt das QC-Datenbankschema falls nicht vorhanden
-     * @returns {Promise<boolean>} - Erfolg
-     */
-    async setupQCSchema() {
-        try {
-            console.log('🔧 Setup QC-Datenbankschema...');
-
-            // QualityControlSteps Tabelle erstellen
-            await this.createQualityControlStepsTable();
-
-            // Indexes erstellen für Performance
-            await this.createQCIndexes();
-
-            // QC-Views erstellen
-            await this.createQCViews();
-
-            console.log('✅ QC-Schema erfolgreich erstellt');
-            return true;
-
-        } catch (error) {
-            console.error('❌ QC-Schema Setup fehlgeschlagen:', error);
-            return false;
-        }
-    }
-
-    /**
-     * Erstellt die QualityControlSteps Tabelle
-     */
-    async createQualityControlStepsTable() {
-        const createTableSQL = `
-            IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'QualityControlSteps')
-            BEGIN
-                CREATE TABLE dbo.QualityControlSteps (
-                    ID INT IDENTITY(1,1) PRIMARY KEY,
-                    SessionID INT NOT NULL,
-                    QrCode NVARCHAR(500) NOT NULL,
-                    StartScanID INT NULL,
-                    EndScanID INT NULL,
-                    StartTime DATETIME2 NOT NULL DEFAULT GETDATE(),
-                    EndTime DATETIME2 NULL,
-                    Completed BIT NOT NULL DEFAULT 0,
-                    CreatedTS DATETIME2 NOT NULL DEFAULT GETDATE(),
-                    UpdatedTS DATETIME2 NOT NULL DEFAULT GETDATE(),
-                    
-                    -- Foreign Key Constraints
-                    CONSTRAINT FK_QualityControlSteps_Sessions 
-                        FOREIGN KEY (SessionID) REFERENCES dbo.Sessions(ID) ON DELETE CASCADE,
-                    CONSTRAINT FK_QualityControlSteps_StartScan 
-                        FOREIGN KEY (StartScanID) REFERENCES dbo.QrScans(ID),
-                    CONSTRAINT FK_QualityControlSteps_EndScan 
-                        FOREIGN KEY (EndScanID) REFERENCES dbo.QrScans(ID),
-                        
-                    -- Check Constraints
-                    CONSTRAINT CK_QualityControlSteps_Times
-                        CHECK (EndTime IS NULL OR EndTime >= StartTime),
-                    CONSTRAINT CK_QualityControlSteps_Completed
-                        CHECK ((Completed = 0 AND EndTime IS NULL AND EndScanID IS NULL) OR 
-                               (Completed = 1 AND EndTime IS NOT NULL AND EndScanID IS NOT NULL))
-                );
-                
-                PRINT 'QualityControlSteps Tabelle erstellt';
-            END
-            ELSE
-                PRINT 'QualityControlSteps Tabelle bereits vorhanden';
-        `;
-
-        await this.dbClient.query(createTableSQL);
-    }
-
-    /**
-     * Erstellt Performance-Indexes für QC-Tabellen
-     */
-    async createQCIndexes() {
-        const indexes = [
-            // Index für Session-basierte Abfragen
-            `IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_QualityControlSteps_SessionID')
-             CREATE NONCLUSTERED INDEX IX_QualityControlSteps_SessionID 
-             ON dbo.QualityControlSteps (SessionID) 
-             INCLUDE (QrCode, Completed, StartTime, EndTime)`,
-
-            // Index für QR-Code-basierte Abfragen
-            `IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_QualityControlSteps_QrCode')
-             CREATE NONCLUSTERED INDEX IX_QualityControlSteps_QrCode 
-             ON dbo.QualityControlSteps (QrCode) 
-             INCLUDE (SessionID, Completed, StartTime)`,
-
-            // Index für Completed-Status Abfragen
-            `IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_QualityControlSteps_Completed_StartTime')
-             CREATE NONCLUSTERED INDEX IX_QualityControlSteps_Completed_StartTime 
-             ON dbo.QualityControlSteps (Completed, StartTime DESC) 
-             INCLUDE (SessionID, QrCode, EndTime)`,
-
-            // Index für Zeitraum-basierte Abfragen
-            `IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_QualityControlSteps_StartTime')
-             CREATE NONCLUSTERED INDEX IX_QualityControlSteps_StartTime 
-             ON dbo.QualityControlSteps (StartTime DESC) 
-             INCLUDE (SessionID, QrCode, Completed, EndTime)`
-        ];
-
-        for (const indexSQL of indexes) {
-            try {
-                await this.dbClient.query(indexSQL);
-            } catch (error) {
-                console.warn('Index-Erstellung fehlgeschlagen (möglicherweise bereits vorhanden):', error.message);
-            }
-        }
-    }
-
-    /**
-     * Erstellt nützliche Views für QC-Reporting
-     */
-    async createQCViews() {
-        // View für QC-Schritte mit Session-Details
-        const qcStepsWithSessionView = `
-            IF OBJECT_ID('dbo.vw_QCStepsWithSession') IS NOT NULL
-                DROP VIEW dbo.vw_QCStepsWithSession;
-            
-            EXEC('CREATE VIEW dbo.vw_QCStepsWithSession AS
-            SELECT 
-                qcs.ID,
-                qcs.SessionID,
-                qcs.QrCode,
-                qcs.StartScanID,
-                qcs.EndScanID,
-                qcs.StartTime,
-                qcs.EndTime,
-                qcs.Completed,
-                DATEDIFF(SECOND, qcs.StartTime, ISNULL(qcs.EndTime, GETDATE())) AS DurationSeconds,
-                s.UserID,
-                s.StartTS AS SessionStart,
-                s.SessionType,
-                sb.BenutzerName AS UserName,
-                sb.Abteilung AS Department
-            FROM dbo.QualityControlSteps qcs
-            INNER JOIN dbo.Sessions s ON qcs.SessionID = s.ID
-            INNER JOIN dbo.ScannBenutzer sb ON s.UserID = sb.ID')
-        `;
-
-        // View für tägliche QC-Statistiken
-        const dailyQCStatsView = `
-            IF OBJECT_ID('dbo.vw_DailyQCStats') IS NOT NULL
-                DROP VIEW dbo.vw_DailyQCStats;
-            
-            EXEC('CREATE VIEW dbo.vw_DailyQCStats AS
-            SELECT 
-                CAST(StartTime AS DATE) AS Date,
-                SessionID,
-                UserID,
-                UserName,
-                COUNT(*) AS TotalSteps,
-                SUM(CASE WHEN Completed = 1 THEN 1 ELSE 0 END) AS CompletedSteps,
-                SUM(CASE WHEN Completed = 0 THEN 1 ELSE 0 END) AS ActiveSteps,
-                AVG(CASE WHEN Completed = 1 THEN DurationSeconds ELSE NULL END) AS AvgDurationSeconds,
-                MIN(StartTime) AS FirstStepTime,
-                MAX(ISNULL(EndTime, StartTime)) AS LastStepTime
-            FROM dbo.vw_QCStepsWithSession
-            GROUP BY CAST(StartTime AS DATE), SessionID, UserID, UserName')
-        `;
-
-        try {
-            await this.dbClient.query(qcStepsWithSessionView);
-            await this.dbClient.query(dailyQCStatsView);
-            console.log('✅ QC-Views erfolgreich erstellt');
-        } catch (error) {
-            console.warn('View-Erstellung fehlgeschlagen:', error.message);
-        }
-    }
-
     // ===== QC-SCHRITT OPERATIONEN =====
 
     /**
@@ -197,18 +51,20 @@ class QualityControlQueries {
      * @param {number} sessionId - Session ID
      * @param {string} qrCode - QR-Code
      * @param {number} startScanId - ID des Start-Scans
+     * @param {string|null} batchNumber - Chargennummer (GS1 AI 10)
+     * @param {string|null} station - Arbeitsplatz des Eingang-Scans
      * @returns {Promise<Object|null>} - Neuer QC-Schritt oder null
      */
-    async startQCStep(sessionId, qrCode, startScanId) {
+    async startQCStep(sessionId, qrCode, startScanId, batchNumber = null, station = null) {
         try {
             const insertSQL = `
                 INSERT INTO dbo.QualityControlSteps 
-                (SessionID, QrCode, StartScanID, StartTime, Completed)
+                (SessionID, QrCode, StartScanID, StartTime, Completed, BatchNumber, StartStation)
                 OUTPUT INSERTED.*
-                VALUES (?, ?, ?, GETDATE(), 0)
+                VALUES (?, ?, ?, GETDATE(), 0, ?, ?)
             `;
 
-            const result = await this.dbClient.query(insertSQL, [sessionId, qrCode, startScanId]);
+            const result = await this.dbClient.query(insertSQL, [sessionId, qrCode, startScanId, batchNumber, station]);
 
             if (result.recordset && result.recordset.length > 0) {
                 const qcStep = result.recordset[0];
@@ -225,29 +81,35 @@ class QualityControlQueries {
 
     /**
      * Schließt einen QC-Schritt ab (Ausgang-Scan)
-     * @param {number} sessionId - Session ID
+     * @param {number} sessionId - Session ID des Ausgang-Scans
      * @param {string} qrCode - QR-Code
      * @param {number} endScanId - ID des End-Scans
+     * @param {Object} qualityData - Qualitätsdaten ({ rating, defectsFound, defectDescription, reworkRequired, notes })
+     * @param {Object} options - { stepId: Schritt aus einer anderen Session abschließen, station: Arbeitsplatz }
      * @returns {Promise<Object|null>} - Abgeschlossener QC-Schritt oder null
      */
-    async completeQCStep(sessionId, qrCode, endScanId) {
+    async completeQCStep(sessionId, qrCode, endScanId, qualityData = {}, options = {}) {
         try {
-            // Finde den passenden aktiven QC-Schritt
-            const findStepSQL = `
-                SELECT TOP 1 ID, StartTime
-                FROM dbo.QualityControlSteps
-                WHERE SessionID = ? AND QrCode = ? AND Completed = 0
-                ORDER BY StartTime DESC
-            `;
+            let stepId = options.stepId || null;
 
-            const findResult = await this.dbClient.query(findStepSQL, [sessionId, qrCode]);
+            if (!stepId) {
+                // Finde den passenden aktiven QC-Schritt der eigenen Session
+                const findStepSQL = `
+                    SELECT TOP 1 ID, StartTime
+                    FROM dbo.QualityControlSteps
+                    WHERE SessionID = ? AND QrCode = ? AND Completed = 0 AND QCStatus = 'active'
+                    ORDER BY StartTime DESC
+                `;
 
-            if (!findResult.recordset || findResult.recordset.length === 0) {
-                console.warn(`Kein aktiver QC-Schritt gefunden für Session ${sessionId}, QR: ${qrCode}`);
-                return null;
-            }
+                const findResult = await this.dbClient.query(findStepSQL, [sessionId, qrCode]);
+
+                if (!findResult.recordset || findResult.recordset.length === 0) {
+                    console.warn(`Kein aktiver QC-Schritt gefunden für Session ${sessionId}, QR: ${qrCode}`);
+                    return null;
+                }
 
-            const stepId = findResult.recordset[0].ID;
+                stepId = findResult.recordset[0].ID;
+            }
 
             // QC-Schritt abschließen
             const updateSQL = `
@@ -255,12 +117,30 @@ class QualityControlQueries {
                 SET EndScanID = ?, 
                     EndTime = GETDATE(), 
                     Completed = 1,
+                    QCStatus = 'completed',
+                    QualityRating = ?,
+                    DefectsFound = ?,
+                    DefectDescription = ?,
+                    ReworkRequired = ?,
+                    QualityNotes = ?,
+                    EndSessionID = ?,
+                    EndStation = ?,
                     UpdatedTS = GETDATE()
                 OUTPUT INSERTED.*
-                WHERE ID = ?
+                WHERE ID = ? AND Completed = 0 AND QCStatus = 'active'
             `;
 
-            const updateResult = await this.dbClient.query(updateSQL, [endScanId, stepId]);
+            const updateResult = await this.dbClient.query(updateSQL, [
+                endScanId,
+                qualityData.rating || null,
+                qualityData.defectsFound ? 1 : 0,
+                qualityData.defectDescription || null,
+                qualityData.reworkRequired ? 1 : 0,
+                qualityData.notes || null,
+                sessionId,
+                options.station || null,
+                stepId
+            ]);
 
             if (updateResult.recordset && updateResult.recordset.length > 0) {
                 const completedStep = updateResult.recordset[0];
@@ -284,10 +164,9 @@ class QualityControlQueries {
         try {
             const abortSQL = `
                 UPDATE dbo.QualityControlSteps
-                SET EndTime = GETDATE(), 
-                    Completed = 1,
+                SET QCStatus = 'aborted',
                     UpdatedTS = GETDATE()
-                WHERE SessionID = ? AND Completed = 0
+                WHERE SessionID = ? AND Completed = 0 AND QCStatus = 'active'
             `;
 
             const result = await this.dbClient.query(abortSQL, [sessionId]);
@@ -304,6 +183,267 @@ class QualityControlQueries {
         }
     }
 
+    /**
+     * Markiert einen aktiven QC-Schritt zur Prüfung durch die Schichtleitung
+     * @param {number} stepId - QC-Schritt ID
+     * @param {string} reason - Grund (wird an QualityNotes angehängt)
+     * @returns {Promise<boolean>} - True wenn markiert wurde
+     */
+    async flagStepForReview(stepId, reason) {
+        try {
+            const updateSQL = `
+                UPDATE dbo.QualityControlSteps
+                SET ReviewRequired = 1,
+                    QualityNotes = LEFT(CONCAT(QualityNotes, CASE WHEN QualityNotes IS NOT NULL THEN ' | ' END, ?), 1000),
+                    UpdatedTS = GETDATE()
+                WHERE ID = ? AND Completed = 0 AND QCStatus = 'active' AND ReviewRequired = 0
+            `;
+
+            const result = await this.dbClient.query(updateSQL, [reason, stepId]);
+            return (result.rowsAffected[0] || 0) > 0;
+        } catch (error) {
+            console.error('Fehler beim Markieren des QC-Schritts zur Prüfung:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Setzt Start-/Endzeit eines QC-Schritts auf die ursprünglichen Scan-Zeitpunkte
+     * (für offline erfasste und später nachgespielte Schritte)
+     * @param {number} stepId - QC-Schritt ID
+     * @param {Date} startTime - Ursprüngliche Startzeit (optional)
+     * @param {Date} endTime - Ursprüngliche Endzeit (optional)
+     * @returns {Promise<Object|null>} - Aktualisierter QC-Schritt oder null
+     */
+    async restoreStepTimestamps(stepId, startTime = null, endTime = null) {
+        try {
+            const updateSQL = `
+                UPDATE dbo.QualityControlSteps
+                SET StartTime = COALESCE(?, StartTime),
+                    EndTime = CASE WHEN EndTime IS NULL THEN NULL ELSE COALESCE(?, EndTime) END,
+                    UpdatedTS = GETDATE()
+                WHERE ID = ?;
+
+                SELECT * FROM dbo.QualityControlSteps WHERE ID = ?;
+            `;
+
+            const result = await this.dbClient.query(updateSQL, [startTime, endTime, stepId, stepId]);
+
+            return result.recordset && result.recordset.length > 0 ? result.recordset[0] : null;
+        } catch (error) {
+            console.error('Fehler beim Wiederherstellen der QC-Zeitstempel:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Setzt das Nacharbeits-Kennzeichen eines QC-Schritts
+     * @param {number} stepId - QC-Schritt ID
+     * @param {boolean} reworkRequired - Nacharbeit erforderlich
+     * @returns {Promise<Object|null>} - Aktualisierter QC-Schritt oder null
+     */
+    async updateReworkRequired(stepId, reworkRequired) {
+        try {
+            const updateSQL = `
+                UPDATE dbo.QualityControlSteps
+                SET ReworkRequired = ?,
+                    UpdatedTS = GETDATE()
+                WHERE ID = ?;
+
+                SELECT * FROM dbo.QualityControlSteps WHERE ID = ?;
+            `;
+
+            const result = await this.dbClient.query(updateSQL, [reworkRequired ? 1 : 0, stepId, stepId]);
+
+            return result.recordset && result.recordset.length > 0 ? result.recordset[0] : null;
+        } catch (error) {
+            console.error('Fehler beim Setzen des Nacharbeits-Kennzeichens:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Setzt die Chargennummer eines QC-Schritts
+     * (sp_StartQCStep kennt keine Charge)
+     * @param {number} stepId - QC-Schritt ID
+     * @param {string} batchNumber - Chargennummer (GS1 AI 10)
+     * @returns {Promise<Object|null>} - Aktualisierter QC-Schritt oder null
+     */
+    async updateBatchNumber(stepId, batchNumber) {
+        try {
+            const updateSQL = `
+                UPDATE dbo.QualityControlSteps
+                SET BatchNumber = ?,
+                    UpdatedTS = GETDATE()
+                WHERE ID = ?;
+
+                SELECT * FROM dbo.QualityControlSteps WHERE ID = ?;
+            `;
+
+            const result = await this.dbClient.query(updateSQL, [batchNumber, stepId, stepId]);
+
+            return result.recordset && result.recordset.length > 0 ? result.recordset[0] : null;
+        } catch (error) {
+            console.error('Fehler beim Setzen der Chargennummer:', error);
+            throw error;
+        }
+    }
+
+    // ===== NACHARBEIT =====
+
+    /**
+     * Verknüpft einen neu gestarteten QC-Schritt als Nachprüfung mit dem Schritt,
+     * der die Nacharbeit ausgelöst hat, und nimmt diesen aus der Warteschlange
+     * @param {number} stepId - Neuer QC-Schritt (Nachprüfung)
+     * @param {Object} parentStep - Schritt mit offener Nacharbeit ({ ID, ReworkCycle })
+     * @returns {Promise<Object|null>} - Aktualisierter QC-Schritt oder null
+     */
+    async linkReworkStep(stepId, parentStep) {
+        try {
+            return await this.dbClient.transaction(async (tx) => {
+                await tx.query(`
+                    UPDATE dbo.QualityControlSteps
+                    SET ParentStepID = ?,
+                        ReworkCycle = ?,
+                        UpdatedTS = GETDATE()
+                    WHERE ID = ?
+                `, [parentStep.ID, (parentStep.ReworkCycle || 0) + 1, stepId]);
+
+                await tx.query(`
+                    UPDATE dbo.QualityControlSteps
+                    SET ReworkStatus = 'reinspection',
+                        UpdatedTS = GETDATE()
+                    WHERE ID = ? AND ReworkStatus = 'open'
+                `, [parentStep.ID]);
+
+                const result = await tx.query(`
+                    SELECT * FROM dbo.QualityControlSteps WHERE ID = ?
+                `, [stepId]);
+
+                return result.recordset && result.recordset.length > 0 ? result.recordset[0] : null;
+            });
+        } catch (error) {
+            console.error('Fehler beim Verknüpfen der Nachprüfung:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Führt die Nacharbeits-Warteschlange nach einem abgeschlossenen QC-Schritt nach:
+     * Schritt mit Nacharbeit kommt in die Warteschlange, eine Nachprüfung schließt ihren Vorgänger
+     * @param {Object} step - Abgeschlossener QC-Schritt ({ ID, ParentStepID, ReworkRequired })
+     * @returns {Promise<void>}
+     */
+    async updateReworkStatusAfterCompletion(step) {
+        try {
+            await this.dbClient.transaction(async (tx) => {
+                if (step.ReworkRequired) {
+                    await tx.query(`
+                        UPDATE dbo.QualityControlSteps
+                        SET ReworkStatus = 'open',
+                            UpdatedTS = GETDATE()
+                        WHERE ID = ?
+                    `, [step.ID]);
+                }
+
+                if (step.ParentStepID) {
+                    await tx.query(`
+                        UPDATE dbo.QualityControlSteps
+                        SET ReworkStatus = 'closed',
+                            UpdatedTS = GETDATE()
+                        WHERE ID = ? AND ReworkStatus IN ('open', 'reinspection')
+                    `, [step.ParentStepID]);
+                }
+            });
+        } catch (error) {
+            console.error('Fehler beim Aktualisieren der Nacharbeits-Warteschlange:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Stellt Nacharbeit wieder in die Warteschlange, deren Nachprüfung abgebrochen wurde
+     * @returns {Promise<number>} - Anzahl wieder geöffneter Schritte
+     */
+    async releaseAbandonedRework() {
+        try {
+            const updateSQL = `
+                UPDATE dbo.QualityControlSteps
+                SET ReworkStatus = 'open',
+                    UpdatedTS = GETDATE()
+                WHERE ReworkStatus = 'reinspection'
+                AND NOT EXISTS (
+                    SELECT 1 FROM dbo.QualityControlSteps child
+                    WHERE child.ParentStepID = QualityControlSteps.ID
+                    AND (child.Completed = 1 OR child.QCStatus = 'active')
+                )
+            `;
+
+            const result = await this.dbClient.query(updateSQL);
+            return result.rowsAffected[0] || 0;
+        } catch (error) {
+            console.error('Fehler beim Freigeben abgebrochener Nachprüfungen:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Holt den Schritt mit offener Nacharbeit für einen QR-Code (sessionübergreifend)
+     * @param {string} qrCode - QR-Code
+     * @returns {Promise<Object|null>} - Schritt mit ReworkStatus 'open' oder null
+     */
+    async getOpenReworkStep(qrCode) {
+        try {
+            const selectSQL = `
+                SELECT TOP 1 *
+                FROM dbo.QualityControlSteps
+                WHERE QrCode = ? AND ReworkStatus = 'open'
+                ORDER BY EndTime DESC
+            `;
+
+            const result = await this.dbClient.query(selectSQL, [qrCode]);
+            return result.recordset && result.recordset.length > 0 ? result.recordset[0] : null;
+        } catch (error) {
+            console.error('Fehler beim Abrufen der offenen Nacharbeit:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Holt die Nacharbeits-Warteschlange (wartende und laufende Nachprüfungen)
+     * @param {number} limit - Maximale Anzahl
+     * @returns {Promise<Array>} - Schritte mit WaitingMinutes, älteste zuerst
+     */
+    async getReworkQueue(limit = 100) {
+        try {
+            const selectSQL = `
+                SELECT TOP ${parseInt(limit, 10) || 100}
+                    qcs.ID,
+                    qcs.SessionID,
+                    qcs.QrCode,
+                    qcs.BatchNumber,
+                    qcs.EndTime,
+                    qcs.EndStation,
+                    qcs.DefectDescription,
+                    qcs.ReworkCycle,
+                    qcs.ReworkStatus,
+                    DATEDIFF(MINUTE, qcs.EndTime, GETDATE()) AS WaitingMinutes,
+                    sb.BenutzerName AS UserName
+                FROM dbo.QualityControlSteps qcs
+                INNER JOIN dbo.Sessions s ON qcs.SessionID = s.ID
+                LEFT JOIN dbo.ScannBenutzer sb ON s.UserID = sb.ID
+                WHERE qcs.ReworkStatus IN ('open', 'reinspection')
+                ORDER BY qcs.EndTime ASC
+            `;
+
+            const result = await this.dbClient.query(selectSQL);
+            return result.recordset || [];
+        } catch (error) {
+            console.error('Fehler beim Abrufen der Nacharbeits-Warteschlange:', error);
+            return [];
+        }
+    }
+
     // ===== ABFRAGE-OPERATIONEN =====
 
     /**
@@ -318,7 +458,7 @@ class QualityControlQueries {
                     qcs.*,
                     DATEDIFF(SECOND, qcs.StartTime, GETDATE()) AS DurationSeconds
                 FROM dbo.QualityControlSteps qcs
-                WHERE qcs.SessionID = ? AND qcs.Completed = 0
+                WHERE qcs.SessionID = ? AND qcs.Completed = 0 AND qcs.QCStatus = 'active'
                 ORDER BY qcs.StartTime DESC
             `;
 
@@ -330,6 +470,43 @@ class QualityControlQueries {
         }
     }
 
+    /**
+     * Holt alle aktiven QC-Schritte aller Sessions inkl. SessionType und Benutzer
+     * (für die Timeout-Überwachung und das Schichtleitungs-Dashboard)
+     * @param {string|null} startStation - Nur an dieser Station gestartete Schritte (null = alle)
+     * @returns {Promise<Array>} - Aktive QC-Schritte mit DurationMinutes/DurationSeconds
+     */
+    async getAllActiveQCSteps(startStation = null) {
+        try {
+            const selectSQL = `
+                SELECT 
+                    qcs.ID,
+                    qcs.SessionID,
+                    qcs.QrCode,
+                    qcs.StartTime,
+                    qcs.ReviewRequired,
+                    DATEDIFF(MINUTE, qcs.StartTime, GETDATE()) AS DurationMinutes,
+                    DATEDIFF(SECOND, qcs.StartTime, GETDATE()) AS DurationSeconds,
+                    st.TypeName AS SessionTypeName,
+                    s.UserID,
+                    sb.BenutzerName AS UserName
+                FROM dbo.QualityControlSteps qcs
+                INNER JOIN dbo.Sessions s ON qcs.SessionID = s.ID
+                LEFT JOIN dbo.SessionTypes st ON s.SessionTypeID = st.ID
+                LEFT JOIN dbo.ScannBenutzer sb ON s.UserID = sb.ID
+                WHERE qcs.Completed = 0 AND qcs.QCStatus = 'active'
+                    ${startStation ? 'AND qcs.StartStation = ?' : ''}
+                ORDER BY qcs.StartTime ASC
+            `;
+
+            const result = await this.dbClient.query(selectSQL, startStation ? [startStation] : []);
+            return result.recordset || [];
+        } catch (error) {
+            console.error('Fehler beim Abrufen aller aktiven QC-Schritte:', error);
+            throw error;
+        }
+    }
+
     /**
      * Holt heute abgeschlossene QC-Schritte für eine Session
      * @param {number} sessionId - Session ID
@@ -370,11 +547,14 @@ class QualityControlQueries {
                     s.UserID,
                     sb.BenutzerName AS UserName,
                     sb.Abteilung AS Department,
+                    endUser.BenutzerName AS EndUserName,
                     startScan.CapturedTS AS StartScanTime,
                     endScan.CapturedTS AS EndScanTime
                 FROM dbo.QualityControlSteps qcs
                 INNER JOIN dbo.Sessions s ON qcs.SessionID = s.ID
                 INNER JOIN dbo.ScannBenutzer sb ON s.UserID = sb.ID
+                LEFT JOIN dbo.Sessions endSession ON qcs.EndSessionID = endSession.ID
+                LEFT JOIN dbo.ScannBenutzer endUser ON endSession.UserID = endUser.ID
                 LEFT JOIN dbo.QrScans startScan ON qcs.StartScanID = startScan.ID
                 LEFT JOIN dbo.QrScans endScan ON qcs.EndScanID = endScan.ID
                 WHERE qcs.ID = ?
@@ -431,6 +611,365 @@ class QualityControlQueries {
         }
     }
 
+    // ===== QC-KONFIGURATION =====
+
+    /**
+     * Holt alle QC-Regeln aus QualityControlConfig
+     * @returns {Promise<Array>} - Konfigurationszeilen
+     */
+    async getQCConfigs() {
+        try {
+            const selectSQL = `
+                SELECT * FROM dbo.QualityControlConfig ORDER BY SessionTypeName
+            `;
+
+            const result = await this.dbClient.query(selectSQL);
+            return result.recordset || [];
+        } catch (error) {
+            console.error('Fehler beim Abrufen der QC-Konfiguration:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Prüfsumme über QualityControlConfig zur Erkennung von Änderungen
+     * (in der App berechnet, damit sie mit jedem Speicheradapter gleich funktioniert)
+     * @returns {Promise<string>} - Prüfsumme
+     */
+    async getQCConfigChecksum() {
+        const result = await this.dbClient.query('SELECT * FROM dbo.QualityControlConfig ORDER BY ID');
+        const rows = result.recordset || [];
+
+        const hash = crypto.createHash('sha1').update(JSON.stringify(rows)).digest('hex');
+        return `${rows.length}:${hash}`;
+    }
+
+    // ===== PRÜF-CHECKLISTEN =====
+
+    /**
+     * Holt die aktiven Checklistenpunkte für einen SessionType und ein Produkt
+     * Punkte ohne SessionTypeName bzw. ProductCategory gelten allgemein
+     * @param {string|null} sessionTypeName - Name des SessionTypes
+     * @param {Array<string>} productCategories - Produktkategorien des Pakets (z.B. Kategorie, GTIN)
+     * @returns {Promise<Array>} - Checklistenpunkte nach Reihenfolge
+     */
+    async getChecklistItems(sessionTypeName = null, productCategories = []) {
+        try {
+            const params = [sessionTypeName];
+            let categoryClause = 'ProductCategory IS NULL';
+
+            if (productCategories.length > 0) {
+                categoryClause = `(ProductCategory IS NULL OR ProductCategory IN (${productCategories.map(() => '?').join(', ')}))`;
+                params.push(...productCategories);
+            }
+
+            const selectSQL = `
+                SELECT ID, SessionTypeName, ProductCategory, StageName, ItemText, SortOrder, IsMandatory
+                FROM dbo.QualityChecklistItems
+                WHERE Active = 1
+                  AND (SessionTypeName IS NULL OR SessionTypeName = ?)
+                  AND ${categoryClause}
+                ORDER BY SortOrder, ID
+            `;
+
+            const result = await this.dbClient.query(selectSQL, params);
+            return result.recordset || [];
+        } catch (error) {
+            console.error('Fehler beim Abrufen der Checklistenpunkte:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Holt die erfassten Checklisten-Antworten eines QC-Schritts
+     * @param {number} stepId - QC-Schritt ID
+     * @returns {Promise<Array>} - Antworten inkl. Benutzername
+     */
+    async getStepChecks(stepId) {
+        try {
+            const selectSQL = `
+                SELECT
+                    chk.*,
+                    sb.BenutzerName AS CheckedByName
+                FROM dbo.QualityControlStepChecks chk
+                LEFT JOIN dbo.ScannBenutzer sb ON chk.CheckedByUserID = sb.ID
+                WHERE chk.QCStepID = ?
+            `;
+
+            const result = await this.dbClient.query(selectSQL, [stepId]);
+            return result.recordset || [];
+        } catch (error) {
+            console.error('Fehler beim Abrufen der Checkliste des QC-Schritts:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Speichert die Antwort zu einem Checklistenpunkt (überschreibt eine frühere Antwort)
+     * @param {number} stepId - QC-Schritt ID
+     * @param {number} itemId - Checklistenpunkt ID
+     * @param {string} result - 'pass' | 'fail' | 'na'
+     * @param {string|null} notes - Anmerkung
+     * @param {number|null} userId - Prüfender Mitarbeiter
+     * @returns {Promise<Object|null>} - Gespeicherte Antwort
+     */
+    async saveStepCheck(stepId, itemId, result, notes = null, userId = null) {
+        try {
+            return await this.dbClient.transaction(async (tx) => {
+                const updateResult = await tx.query(`
+                    UPDATE dbo.QualityControlStepChecks
+                    SET Result = ?, Notes = ?, CheckedByUserID = ?, CheckedTS = GETDATE()
+                    WHERE QCStepID = ? AND ChecklistItemID = ?
+                `, [result, notes, userId, stepId, itemId]);
+
+                if (updateResult.rowsAffected[0] === 0) {
+                    await tx.query(`
+                        INSERT INTO dbo.QualityControlStepChecks (QCStepID, ChecklistItemID, Result, Notes, CheckedByUserID)
+                        VALUES (?, ?, ?, ?, ?)
+                    `, [stepId, itemId, result, notes, userId]);
+                }
+
+                const selectResult = await tx.query(`
+                    SELECT * FROM dbo.QualityControlStepChecks WHERE QCStepID = ? AND ChecklistItemID = ?
+                `, [stepId, itemId]);
+
+                return selectResult.recordset && selectResult.recordset.length > 0 ? selectResult.recordset[0] : null;
+            });
+        } catch (error) {
+            console.error('Fehler beim Speichern des Checklistenpunkts:', error);
+            throw error;
+        }
+    }
+
+    // ===== FEHLERKATALOG =====
+
+    /**
+     * Holt den Fehlerkatalog
+     * @param {boolean} includeInactive - Auch deaktivierte Codes (für Auswertungen älterer Schritte)
+     * @returns {Promise<Array>} - Fehlercodes nach Kategorie und Reihenfolge
+     */
+    async getDefectCodes(includeInactive = false) {
+        try {
+            const selectSQL = `
+                SELECT ID, DefectCode, Category, Severity, Description, SortOrder, Active
+                FROM dbo.QualityDefectCodes
+                ${includeInactive ? '' : 'WHERE Active = 1'}
+                ORDER BY Category, SortOrder, DefectCode
+            `;
+
+            const result = await this.dbClient.query(selectSQL);
+            return result.recordset || [];
+        } catch (error) {
+            console.error('Fehler beim Abrufen des Fehlerkatalogs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Holt die erfassten Fehlercodes eines QC-Schritts
+     * @param {number} stepId - QC-Schritt ID
+     * @returns {Promise<Array>} - Fehler inkl. Code, Kategorie und Schweregrad
+     */
+    async getStepDefects(stepId) {
+        try {
+            const selectSQL = `
+                SELECT
+                    d.ID,
+                    d.QCStepID,
+                    d.DefectCodeID,
+                    d.Supplier,
+                    d.RecordedTS,
+                    c.DefectCode,
+                    c.Category,
+                    c.Severity,
+                    c.Description,
+                    sb.BenutzerName AS RecordedByName
+                FROM dbo.QualityControlStepDefects d
+                INNER JOIN dbo.QualityDefectCodes c ON d.DefectCodeID = c.ID
+                LEFT JOIN dbo.ScannBenutzer sb ON d.RecordedByUserID = sb.ID
+                WHERE d.QCStepID = ?
+                ORDER BY c.Category, c.SortOrder, c.DefectCode
+            `;
+
+            const result = await this.dbClient.query(selectSQL, [stepId]);
+            return result.recordset || [];
+        } catch (error) {
+            console.error('Fehler beim Abrufen der Fehler des QC-Schritts:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Speichert die Fehlercodes eines QC-Schritts (ersetzt frühere Angaben)
+     * @param {number} stepId - QC-Schritt ID
+     * @param {Array<number>} defectCodeIds - IDs aus QualityDefectCodes
+     * @param {Object} options - { supplier, sessionId } (Erfasser = Benutzer der Session des Ausgang-Scans)
+     * @returns {Promise<number>} - Anzahl gespeicherter Fehler
+     */
+    async saveStepDefects(stepId, defectCodeIds, options = {}) {
+        try {
+            return await this.dbClient.transaction(async (tx) => {
+                await tx.query(`
+                    DELETE FROM dbo.QualityControlStepDefects WHERE QCStepID = ?
+                `, [stepId]);
+
+                for (const defectCodeId of defectCodeIds) {
+                    await tx.query(`
+                        INSERT INTO dbo.QualityControlStepDefects (QCStepID, DefectCodeID, Supplier, RecordedByUserID)
+                        VALUES (?, ?, ?, (SELECT UserID FROM dbo.Sessions WHERE ID = ?))
+                    `, [stepId, defectCodeId, options.supplier || null, options.sessionId || null]);
+                }
+
+                return defectCodeIds.length;
+            });
+        } catch (error) {
+            console.error('Fehler beim Speichern der Fehlercodes:', error);
+            throw error;
+        }
+    }
+
+    // ===== FOTOS =====
+
+    /**
+     * Speichert ein Foto zu einem QC-Schritt
+     * @param {Object} photo - { stepId, mimeType, width, height, imageData, thumbnailData, userId, station }
+     * @returns {Promise<Object|null>} - Gespeicherte Metadaten (ohne Bilddaten)
+     */
+    async addStepPhoto(photo) {
+        try {
+            const insertSQL = `
+                INSERT INTO dbo.QualityControlPhotos
+                (QCStepID, MimeType, Width, Height, SizeBytes, ImageData, ThumbnailData, CapturedByUserID, Station)
+                OUTPUT INSERTED.ID, INSERTED.QCStepID, INSERTED.MimeType, INSERTED.Width, INSERTED.Height,
+                       INSERTED.SizeBytes, INSERTED.CapturedByUserID, INSERTED.Station, INSERTED.CapturedTS
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+
+            const result = await this.dbClient.query(insertSQL, [
+                photo.stepId,
+                photo.mimeType,
+                photo.width || null,
+                photo.height || null,
+                photo.imageData.length,
+                photo.imageData,
+                photo.thumbnailData || null,
+                photo.userId || null,
+                photo.station || null
+            ]);
+
+            return result.recordset && result.recordset.length > 0 ? result.recordset[0] : null;
+        } catch (error) {
+            console.error('Fehler beim Speichern des Fotos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Holt die Fotos eines QC-Schritts mit Vorschaubild (ohne Originalbild)
+     * @param {number} stepId - QC-Schritt ID
+     * @returns {Promise<Array>} - Fotos in Aufnahmereihenfolge
+     */
+    async getStepPhotos(stepId) {
+        try {
+            const selectSQL = `
+                SELECT
+                    p.ID,
+                    p.QCStepID,
+                    p.MimeType,
+                    p.Width,
+                    p.Height,
+                    p.SizeBytes,
+                    p.ThumbnailData,
+                    p.Station,
+                    p.CapturedTS,
+                    sb.BenutzerName AS CapturedByName
+                FROM dbo.QualityControlPhotos p
+                LEFT JOIN dbo.ScannBenutzer sb ON p.CapturedByUserID = sb.ID
+                WHERE p.QCStepID = ?
+                ORDER BY p.CapturedTS, p.ID
+            `;
+
+            const result = await this.dbClient.query(selectSQL, [stepId]);
+            return result.recordset || [];
+        } catch (error) {
+            console.error('Fehler beim Abrufen der Fotos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Holt ein Foto inkl. Originalbild
+     * @param {number} photoId - Foto ID
+     * @returns {Promise<Object|null>} - Foto oder null
+     */
+    async getStepPhoto(photoId) {
+        try {
+            const result = await this.dbClient.query(`
+                SELECT * FROM dbo.QualityControlPhotos WHERE ID = ?
+            `, [photoId]);
+
+            return result.recordset && result.recordset.length > 0 ? result.recordset[0] : null;
+        } catch (error) {
+            console.error('Fehler beim Abrufen des Fotos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Löscht ein Foto
+     * @param {number} photoId - Foto ID
+     * @returns {Promise<boolean>} - Erfolg
+     */
+    async deleteStepPhoto(photoId) {
+        try {
+            const result = await this.dbClient.query(`
+                DELETE FROM dbo.QualityControlPhotos WHERE ID = ?
+            `, [photoId]);
+
+            return result.rowsAffected[0] > 0;
+        } catch (error) {
+            console.error('Fehler beim Löschen des Fotos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Vorschaubilder der Fotos aller QC-Schritte eines Berichtszeitraums
+     * @param {Date} startDate - Start-Datum
+     * @param {Date} endDate - End-Datum (exklusiv)
+     * @param {number|null} userId - Optional: Nur für bestimmten Benutzer
+     * @param {string|null} department - Optional: Nur für bestimmte Abteilung
+     * @param {number} limit - Maximale Anzahl Fotos
+     * @returns {Promise<Array>} - { ID, QCStepID, ThumbnailData, CapturedTS }
+     */
+    async getPhotoThumbnailsForReport(startDate, endDate, userId = null, department = null, limit = 200) {
+        try {
+            const filter = this.buildReportFilter(userId, department);
+
+            const selectSQL = `
+                SELECT TOP (${parseInt(limit) || 200})
+                    p.ID,
+                    p.QCStepID,
+                    p.ThumbnailData,
+                    p.CapturedTS
+                FROM dbo.QualityControlPhotos p
+                INNER JOIN dbo.QualityControlSteps qcs ON p.QCStepID = qcs.ID
+                INNER JOIN dbo.Sessions s ON qcs.SessionID = s.ID
+                LEFT JOIN dbo.ScannBenutzer sb ON s.UserID = sb.ID
+                WHERE qcs.StartTime >= ? AND qcs.StartTime < ?
+                  AND p.ThumbnailData IS NOT NULL
+                ${filter.clause}
+                ORDER BY qcs.StartTime ASC, p.CapturedTS ASC
+            `;
+
+            const result = await this.dbClient.query(selectSQL, [startDate, endDate, ...filter.params]);
+            return result.recordset || [];
+        } catch (error) {
+            console.error('Fehler beim Abrufen der Berichts-Fotos:', error);
+            throw error;
+        }
+    }
+
     // ===== STATISTIK-OPERATIONEN =====
 
     /**
@@ -444,7 +983,7 @@ class QualityControlQueries {
                 SELECT 
                     COUNT(*) AS TotalSteps,
                     SUM(CASE WHEN Completed = 1 THEN 1 ELSE 0 END) AS CompletedSteps,
-                    SUM(CASE WHEN Completed = 0 THEN 1 ELSE 0 END) AS ActiveSteps,
+                    SUM(CASE WHEN Completed = 0 AND QCStatus = 'active' THEN 1 ELSE 0 END) AS ActiveSteps,
                     AVG(CASE WHEN Completed = 1 THEN DATEDIFF(SECOND, StartTime, EndTime) ELSE NULL END) AS AvgDurationSeconds,
                     MIN(StartTime) AS FirstStepTime,
                     MAX(ISNULL(EndTime, StartTime)) AS LastStepTime
@@ -510,7 +1049,7 @@ class QualityControlQueries {
                     CAST(StartTime AS DATE) AS Date,
                     COUNT(*) AS TotalSteps,
                     SUM(CASE WHEN Completed = 1 THEN 1 ELSE 0 END) AS CompletedSteps,
-                    SUM(CASE WHEN Completed = 0 THEN 1 ELSE 0 END) AS ActiveSteps,
+                    SUM(CASE WHEN Completed = 0 AND QCStatus = 'active' THEN 1 ELSE 0 END) AS ActiveSteps,
                     COUNT(DISTINCT SessionID) AS UniqueSessions,
                     AVG(CASE WHEN Completed = 1 THEN DATEDIFF(SECOND, StartTime, EndTime) ELSE NULL END) AS AvgDurationSeconds
                 FROM dbo.QualityControlSteps
@@ -541,7 +1080,7 @@ class QualityControlQueries {
                     sb.Abteilung AS Department,
                     COUNT(*) AS TotalSteps,
                     SUM(CASE WHEN qcs.Completed = 1 THEN 1 ELSE 0 END) AS CompletedSteps,
-                    SUM(CASE WHEN qcs.Completed = 0 THEN 1 ELSE 0 END) AS ActiveSteps,
+                    SUM(CASE WHEN qcs.Completed = 0 AND qcs.QCStatus = 'active' THEN 1 ELSE 0 END) AS ActiveSteps,
                     AVG(CASE WHEN qcs.Completed = 1 THEN DATEDIFF(SECOND, qcs.StartTime, qcs.EndTime) ELSE NULL END) AS AvgDurationSeconds,
                     MIN(qcs.StartTime) AS FirstStepTime,
                     MAX(ISNULL(qcs.EndTime, qcs.StartTime)) AS LastStepTime,
@@ -562,6 +1101,84 @@ class QualityControlQueries {
         }
     }
 
+    /**
+     * Holt heute abgeschlossene QC-Schritte mit gefundenen Fehlern (alle Sessions)
+     * @param {number} limit - Maximale Anzahl (Standard: 50)
+     * @returns {Promise<Array>} - Neueste zuerst, inkl. Benutzer und SessionType
+     */
+    async getDefectsFoundToday(limit = 50) {
+        try {
+            const selectSQL = `
+                SELECT TOP ${parseInt(limit) || 50}
+                    qcs.ID,
+                    qcs.SessionID,
+                    qcs.QrCode,
+                    qcs.EndTime,
+                    qcs.QualityRating,
+                    qcs.DefectDescription,
+                    qcs.ReworkRequired,
+                    st.TypeName AS SessionTypeName,
+                    sb.BenutzerName AS UserName
+                FROM dbo.QualityControlSteps qcs
+                INNER JOIN dbo.Sessions s ON qcs.SessionID = s.ID
+                LEFT JOIN dbo.SessionTypes st ON s.SessionTypeID = st.ID
+                LEFT JOIN dbo.ScannBenutzer sb ON s.UserID = sb.ID
+                WHERE qcs.Completed = 1
+                  AND qcs.DefectsFound = 1
+                  AND CAST(qcs.EndTime AS DATE) = CAST(GETDATE() AS DATE)
+                ORDER BY qcs.EndTime DESC
+            `;
+
+            const result = await this.dbClient.query(selectSQL);
+            return result.recordset || [];
+        } catch (error) {
+            console.error('Fehler beim Abrufen der heutigen Fehlerbefunde:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Holt den stündlichen QC-Durchsatz eines Tages (abgeschlossene Schritte je Stunde)
+     * @param {string|null} date - Datum (YYYY-MM-DD), Standard: heute
+     * @returns {Promise<Array>} - 24 Einträge { Hour, CompletedSteps, DefectSteps, AvgDurationSeconds, FormattedHour }
+     */
+    async getHourlyQCThroughput(date = null) {
+        try {
+            const targetDate = date || new Date().toISOString().split('T')[0];
+
+            const statsSQL = `
+                SELECT 
+                    DATEPART(HOUR, EndTime) AS Hour,
+                    COUNT(*) AS CompletedSteps,
+                    SUM(CASE WHEN DefectsFound = 1 THEN 1 ELSE 0 END) AS DefectSteps,
+                    AVG(DATEDIFF(SECOND, StartTime, EndTime)) AS AvgDurationSeconds
+                FROM dbo.QualityControlSteps
+                WHERE Completed = 1
+                  AND CAST(EndTime AS DATE) = ?
+                GROUP BY DATEPART(HOUR, EndTime)
+                ORDER BY Hour
+            `;
+
+            const result = await this.dbClient.query(statsSQL, [targetDate]);
+            const rows = result.recordset || [];
+
+            // Vollständige 24-Stunden-Übersicht
+            return Array.from({ length: 24 }, (_, hour) => {
+                const row = rows.find(r => r.Hour === hour);
+                return {
+                    Hour: hour,
+                    CompletedSteps: row ? row.CompletedSteps : 0,
+                    DefectSteps: row ? row.DefectSteps : 0,
+                    AvgDurationSeconds: row ? row.AvgDurationSeconds : null,
+                    FormattedHour: `${hour.toString().padStart(2, '0')}:00`
+                };
+            });
+        } catch (error) {
+            console.error('Fehler beim Abrufen des stündlichen QC-Durchsatzes:', error);
+            return [];
+        }
+    }
+
     // ===== CLEANUP OPERATIONEN =====
 
     /**
@@ -620,7 +1237,7 @@ class QualityControlQueries {
             const checkSQL = `
                 SELECT COUNT(*) AS ActiveCount
                 FROM dbo.QualityControlSteps
-                WHERE SessionID = ? AND QrCode = ? AND Completed = 0
+                WHERE SessionID = ? AND QrCode = ? AND Completed = 0 AND QCStatus = 'active'
             `;
 
             const result = await this.dbClient.query(checkSQL, [sessionId, qrCode]);
@@ -636,6 +1253,39 @@ class QualityControlQueries {
         }
     }
 
+    /**
+     * Offener QC-Schritt eines Pakets, auch aus anderen Sessions (Eingang an einer anderen Station)
+     * @param {string} qrCode - QR-Code
+     * @param {number|null} sessionId - Schritte dieser Session bevorzugen
+     * @returns {Promise<Object|null>} - QC-Schritt inkl. Benutzer der Start-Session oder null
+     */
+    async findOpenQCStepForQRCode(qrCode, sessionId = null) {
+        try {
+            const selectSQL = `
+                SELECT TOP 1
+                    qcs.*,
+                    s.UserID AS StartUserID,
+                    sb.BenutzerName AS StartUserName
+                FROM dbo.QualityControlSteps qcs
+                INNER JOIN dbo.Sessions s ON qcs.SessionID = s.ID
+                LEFT JOIN dbo.ScannBenutzer sb ON s.UserID = sb.ID
+                WHERE qcs.QrCode = ? AND qcs.Completed = 0 AND qcs.QCStatus = 'active'
+                ORDER BY CASE WHEN qcs.SessionID = ? THEN 0 ELSE 1 END, qcs.StartTime DESC
+            `;
+
+            const result = await this.dbClient.query(selectSQL, [qrCode, sessionId]);
+
+            if (result.recordset && result.recordset.length > 0) {
+                return result.recordset[0];
+            }
+
+            return null;
+        } catch (error) {
+            console.error('Fehler beim Suchen offener QC-Schritte:', error);
+            return null;
+        }
+    }
+
     /**
      * Holt QC-Schritt anhand QR-Code und Session (neuester zuerst)
      * @param {number} sessionId - Session ID
@@ -669,26 +1319,34 @@ class QualityControlQueries {
     /**
      * Erstellt einen QC-Bericht für einen Zeitraum
      * @param {Date} startDate - Start-Datum
-     * @param {Date} endDate - End-Datum
+     * @param {Date} endDate - End-Datum (exklusiv)
      * @param {number|null} userId - Optional: Nur für bestimmten Benutzer
+     * @param {string|null} department - Optional: Nur für bestimmte Abteilung
      * @returns {Promise<Object>} - QC-Bericht
      */
-    async generateQCReport(startDate, endDate, userId = null) {
+    async generateQCReport(startDate, endDate, userId = null, department = null) {
         try {
-            let userFilter = '';
-            let params = [startDate, endDate];
-
-            if (userId) {
-                userFilter = 'AND s.UserID = ?';
-                params.push(userId);
-            }
+            const filter = this.buildReportFilter(userId, department);
+            const params = [startDate, endDate, ...filter.params];
 
             const reportSQL = `
                 SELECT 
                     -- Zusammenfassung
                     COUNT(*) AS TotalSteps,
                     SUM(CASE WHEN qcs.Completed = 1 THEN 1 ELSE 0 END) AS CompletedSteps,
-                    SUM(CASE WHEN qcs.Completed = 0 THEN 1 ELSE 0 END) AS ActiveSteps,
+                    SUM(CASE WHEN qcs.Completed = 0 AND qcs.QCStatus = 'active' THEN 1 ELSE 0 END) AS ActiveSteps,
+                    SUM(CASE WHEN qcs.QCStatus = 'aborted' THEN 1 ELSE 0 END) AS AbortedSteps,
+                    
+                    -- Qualität
+                    SUM(CASE WHEN qcs.Completed = 1 AND qcs.DefectsFound = 1 THEN 1 ELSE 0 END) AS DefectSteps,
+                    SUM(CASE WHEN qcs.Completed = 1 AND qcs.ReworkRequired = 1 THEN 1 ELSE 0 END) AS ReworkSteps,
+                    AVG(CAST(qcs.QualityRating AS FLOAT)) AS AvgQualityRating,
+
+                    -- Nacharbeitsschleife (Erstprüfung = ohne ParentStepID)
+                    SUM(CASE WHEN qcs.Completed = 1 AND qcs.ParentStepID IS NULL THEN 1 ELSE 0 END) AS FirstPassSteps,
+                    SUM(CASE WHEN qcs.Completed = 1 AND qcs.ParentStepID IS NULL AND qcs.ReworkRequired = 0 THEN 1 ELSE 0 END) AS FirstPassPassed,
+                    SUM(CASE WHEN qcs.ParentStepID IS NOT NULL THEN 1 ELSE 0 END) AS ReinspectionSteps,
+                    SUM(CASE WHEN qcs.ReworkStatus IN ('open', 'reinspection') THEN 1 ELSE 0 END) AS OpenReworkSteps,
                     
                     -- Zeiten
                     AVG(CASE WHEN qcs.Completed = 1 THEN DATEDIFF(SECOND, qcs.StartTime, qcs.EndTime) ELSE NULL END) AS AvgDurationSeconds,
@@ -704,24 +1362,32 @@ class QualityControlQueries {
                     
                 FROM dbo.QualityControlSteps qcs
                 INNER JOIN dbo.Sessions s ON qcs.SessionID = s.ID
+                LEFT JOIN dbo.ScannBenutzer sb ON s.UserID = sb.ID
                 WHERE qcs.StartTime >= ? AND qcs.StartTime < ?
-                ${userFilter}
+                ${filter.clause}
             `;
 
             const result = await this.dbClient.query(reportSQL, params);
 
             if (result.recordset && result.recordset.length > 0) {
-                const summary = result.recordset[0];
+                const summary = {
+                    ...result.recordset[0],
+                    DefectRate: this.calculateRate(result.recordset[0].DefectSteps, result.recordset[0].CompletedSteps),
+                    ReworkRate: this.calculateRate(result.recordset[0].ReworkSteps, result.recordset[0].CompletedSteps),
+                    FirstPassYield: this.calculateRate(result.recordset[0].FirstPassPassed, result.recordset[0].FirstPassSteps),
+                    ...await this.getReworkCycleTimes(startDate, endDate, userId, department)
+                };
 
                 // Zusätzliche Details holen
-                const dailyBreakdown = await this.getDailyQCBreakdown(startDate, endDate, userId);
-                const topUsers = await this.getTopQCUsers(startDate, endDate, 10);
+                const dailyBreakdown = await this.getDailyQCBreakdown(startDate, endDate, userId, department);
+                const topUsers = await this.getTopQCUsers(startDate, endDate, 10, department, userId);
 
                 return {
                     reportPeriod: {
                         startDate: startDate,
                         endDate: endDate,
-                        userId: userId
+                        userId: userId,
+                        department: department
                     },
                     summary: summary,
                     dailyBreakdown: dailyBreakdown,
@@ -740,33 +1406,35 @@ class QualityControlQueries {
     /**
      * Holt tägliche QC-Aufschlüsselung für Bericht
      */
-    async getDailyQCBreakdown(startDate, endDate, userId = null) {
+    async getDailyQCBreakdown(startDate, endDate, userId = null, department = null) {
         try {
-            let userFilter = '';
-            let params = [startDate, endDate];
-
-            if (userId) {
-                userFilter = 'AND s.UserID = ?';
-                params.push(userId);
-            }
+            const filter = this.buildReportFilter(userId, department);
+            const params = [startDate, endDate, ...filter.params];
 
             const breakdownSQL = `
                 SELECT 
                     CAST(qcs.StartTime AS DATE) AS Date,
                     COUNT(*) AS TotalSteps,
                     SUM(CASE WHEN qcs.Completed = 1 THEN 1 ELSE 0 END) AS CompletedSteps,
+                    SUM(CASE WHEN qcs.Completed = 1 AND qcs.DefectsFound = 1 THEN 1 ELSE 0 END) AS DefectSteps,
+                    SUM(CASE WHEN qcs.Completed = 1 AND qcs.ReworkRequired = 1 THEN 1 ELSE 0 END) AS ReworkSteps,
                     AVG(CASE WHEN qcs.Completed = 1 THEN DATEDIFF(SECOND, qcs.StartTime, qcs.EndTime) ELSE NULL END) AS AvgDurationSeconds,
                     COUNT(DISTINCT s.UserID) AS ActiveUsers
                 FROM dbo.QualityControlSteps qcs
                 INNER JOIN dbo.Sessions s ON qcs.SessionID = s.ID
+                LEFT JOIN dbo.ScannBenutzer sb ON s.UserID = sb.ID
                 WHERE qcs.StartTime >= ? AND qcs.StartTime < ?
-                ${userFilter}
+                ${filter.clause}
                 GROUP BY CAST(qcs.StartTime AS DATE)
                 ORDER BY CAST(qcs.StartTime AS DATE)
             `;
 
             const result = await this.dbClient.query(breakdownSQL, params);
-            return result.recordset || [];
+
+            return (result.recordset || []).map(day => ({
+                ...day,
+                DefectRate: this.calculateRate(day.DefectSteps, day.CompletedSteps)
+            }));
         } catch (error) {
             console.error('Fehler beim Abrufen der täglichen QC-Aufschlüsselung:', error);
             return [];
@@ -776,31 +1444,248 @@ class QualityControlQueries {
     /**
      * Holt Top-QC-Benutzer für Bericht
      */
-    async getTopQCUsers(startDate, endDate, limit = 10) {
+    async getTopQCUsers(startDate, endDate, limit = 10, department = null, userId = null) {
         try {
+            const filter = this.buildReportFilter(userId, department);
+
             const topUsersSQL = `
-                SELECT TOP (${limit})
+                SELECT TOP (${parseInt(limit) || 10})
+                    sb.ID AS UserID,
                     sb.BenutzerName AS UserName,
                     sb.Abteilung AS Department,
                     COUNT(*) AS TotalSteps,
                     SUM(CASE WHEN qcs.Completed = 1 THEN 1 ELSE 0 END) AS CompletedSteps,
+                    SUM(CASE WHEN qcs.Completed = 1 AND qcs.DefectsFound = 1 THEN 1 ELSE 0 END) AS DefectSteps,
+                    SUM(CASE WHEN qcs.Completed = 1 AND qcs.ReworkRequired = 1 THEN 1 ELSE 0 END) AS ReworkSteps,
                     AVG(CASE WHEN qcs.Completed = 1 THEN DATEDIFF(SECOND, qcs.StartTime, qcs.EndTime) ELSE NULL END) AS AvgDurationSeconds,
                     COUNT(DISTINCT qcs.QrCode) AS UniqueQRCodes
                 FROM dbo.QualityControlSteps qcs
                 INNER JOIN dbo.Sessions s ON qcs.SessionID = s.ID
                 INNER JOIN dbo.ScannBenutzer sb ON s.UserID = sb.ID
                 WHERE qcs.StartTime >= ? AND qcs.StartTime < ?
+                ${filter.clause}
                 GROUP BY sb.ID, sb.BenutzerName, sb.Abteilung
                 ORDER BY CompletedSteps DESC, AvgDurationSeconds ASC
             `;
 
-            const result = await this.dbClient.query(topUsersSQL, [startDate, endDate]);
-            return result.recordset || [];
+            const result = await this.dbClient.query(topUsersSQL, [startDate, endDate, ...filter.params]);
+
+            return (result.recordset || []).map(user => ({
+                ...user,
+                DefectRate: this.calculateRate(user.DefectSteps, user.CompletedSteps)
+            }));
         } catch (error) {
             console.error('Fehler beim Abrufen der Top-QC-Benutzer:', error);
             return [];
         }
     }
+
+    /**
+     * Holt alle QC-Schritte eines Zeitraums mit Dauer und Qualitätsdaten (für den Export)
+     * @param {Date} startDate - Start-Datum
+     * @param {Date} endDate - End-Datum (exklusiv)
+     * @param {number|null} userId - Optional: Nur für bestimmten Benutzer
+     * @param {string|null} department - Optional: Nur für bestimmte Abteilung
+     * @returns {Promise<Array>} - QC-Schritte chronologisch
+     */
+    async getQCStepsForReport(startDate, endDate, userId = null, department = null) {
+        try {
+            const filter = this.buildReportFilter(userId, department);
+
+            const stepsSQL = `
+                SELECT 
+                    qcs.ID,
+                    qcs.SessionID,
+                    qcs.QrCode,
+                    qcs.StartTime,
+                    qcs.EndTime,
+                    qcs.QCStatus,
+                    qcs.Completed,
+                    CASE WHEN qcs.Completed = 1 THEN DATEDIFF(SECOND, qcs.StartTime, qcs.EndTime) ELSE NULL END AS DurationSeconds,
+                    qcs.QualityRating,
+                    qcs.DefectsFound,
+                    qcs.DefectDescription,
+                    qcs.ReworkRequired,
+                    qcs.BatchNumber,
+                    qcs.QualityNotes,
+                    qcs.ParentStepID,
+                    qcs.ReworkCycle,
+                    (SELECT COUNT(*) FROM dbo.QualityControlPhotos p WHERE p.QCStepID = qcs.ID) AS PhotoCount,
+                    sb.BenutzerName AS UserName,
+                    sb.Abteilung AS Department,
+                    st.TypeName AS SessionTypeName
+                FROM dbo.QualityControlSteps qcs
+                INNER JOIN dbo.Sessions s ON qcs.SessionID = s.ID
+                LEFT JOIN dbo.ScannBenutzer sb ON s.UserID = sb.ID
+                LEFT JOIN dbo.SessionTypes st ON s.SessionTypeID = st.ID
+                WHERE qcs.StartTime >= ? AND qcs.StartTime < ?
+                ${filter.clause}
+                ORDER BY qcs.StartTime ASC
+            `;
+
+            const result = await this.dbClient.query(stepsSQL, [startDate, endDate, ...filter.params]);
+            return result.recordset || [];
+        } catch (error) {
+            console.error('Fehler beim Abrufen der QC-Schritte für den Bericht:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Nacharbeits-Durchlaufzeiten: vom Abschluss des Schritts mit Nacharbeit bis zum Abschluss
+     * der Nachprüfung (Zeitraum und Filter beziehen sich auf die Nachprüfung)
+     * @param {Date} startDate - Start-Datum
+     * @param {Date} endDate - End-Datum (exklusiv)
+     * @param {number|null} userId - Optional: Nur für bestimmten Benutzer
+     * @param {string|null} department - Optional: Nur für bestimmte Abteilung
+     * @returns {Promise<Object>} - { ReworkCycles, AvgReworkCycleSeconds, MaxReworkCycleSeconds }
+     */
+    async getReworkCycleTimes(startDate, endDate, userId = null, department = null) {
+        try {
+            const filter = this.buildReportFilter(userId, department);
+
+            const cycleSQL = `
+                SELECT
+                    COUNT(*) AS ReworkCycles,
+                    AVG(DATEDIFF(SECOND, parent.EndTime, qcs.EndTime)) AS AvgReworkCycleSeconds,
+                    MAX(DATEDIFF(SECOND, parent.EndTime, qcs.EndTime)) AS MaxReworkCycleSeconds
+                FROM dbo.QualityControlSteps qcs
+                INNER JOIN dbo.QualityControlSteps parent ON qcs.ParentStepID = parent.ID
+                INNER JOIN dbo.Sessions s ON qcs.SessionID = s.ID
+                LEFT JOIN dbo.ScannBenutzer sb ON s.UserID = sb.ID
+                WHERE qcs.Completed = 1 AND parent.EndTime IS NOT NULL
+                AND qcs.StartTime >= ? AND qcs.StartTime < ?
+                ${filter.clause}
+            `;
+
+            const result = await this.dbClient.query(cycleSQL, [startDate, endDate, ...filter.params]);
+            const row = result.recordset && result.recordset.length > 0 ? result.recordset[0] : {};
+
+            return {
+                ReworkCycles: row.ReworkCycles || 0,
+                AvgReworkCycleSeconds: row.AvgReworkCycleSeconds || null,
+                MaxReworkCycleSeconds: row.MaxReworkCycleSeconds || null
+            };
+        } catch (error) {
+            console.error('Fehler beim Abrufen der Nacharbeits-Durchlaufzeiten:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Holt Benutzer und Abteilungen mit QC-Schritten (Auswahl im Export-Dialog)
+     * @returns {Promise<Object>} - { users: [{ ID, UserName, Department }], departments: [string] }
+     */
+    async getReportFilterOptions() {
+        try {
+            const usersSQL = `
+                SELECT DISTINCT sb.ID, sb.BenutzerName AS UserName, sb.Abteilung AS Department
+                FROM dbo.ScannBenutzer sb
+                INNER JOIN dbo.Sessions s ON s.UserID = sb.ID
+                INNER JOIN dbo.QualityControlSteps qcs ON qcs.SessionID = s.ID
+                ORDER BY sb.BenutzerName
+            `;
+
+            const result = await this.dbClient.query(usersSQL);
+            const users = result.recordset || [];
+
+            const departments = [...new Set(users.map(user => user.Department).filter(Boolean))].sort();
+
+            return { users, departments };
+        } catch (error) {
+            console.error('Fehler beim Abrufen der Berichtsfilter:', error);
+            return { users: [], departments: [] };
+        }
+    }
+
+    /**
+     * Pareto-Auswertung der erfassten Fehlercodes eines Zeitraums
+     * Zeilen absteigend nach Anzahl, mit Anteil und kumuliertem Anteil in Prozent
+     * @param {string} dimension - 'code' | 'user' | 'supplier' | 'day'
+     * @param {Date} startDate - Start-Datum
+     * @param {Date} endDate - End-Datum (exklusiv)
+     * @param {number|null} userId - Optional: Nur für bestimmten Benutzer
+     * @param {string|null} department - Optional: Nur für bestimmte Abteilung
+     * @returns {Promise<Object>} - { dimension, totalDefects, rows }
+     */
+    async getDefectPareto(dimension, startDate, endDate, userId = null, department = null) {
+        const grouping = PARETO_DIMENSIONS[dimension];
+        if (!grouping) {
+            throw new Error(`Unbekannte Pareto-Dimension: ${dimension}`);
+        }
+
+        try {
+            const filter = this.buildReportFilter(userId, department);
+
+            const paretoSQL = `
+                SELECT
+                    ${grouping.columns},
+                    COUNT(*) AS DefectCount,
+                    COUNT(DISTINCT d.QCStepID) AS StepCount,
+                    SUM(CASE WHEN c.Severity = 'critical' THEN 1 ELSE 0 END) AS CriticalCount
+                FROM dbo.QualityControlStepDefects d
+                INNER JOIN dbo.QualityDefectCodes c ON d.DefectCodeID = c.ID
+                INNER JOIN dbo.QualityControlSteps qcs ON d.QCStepID = qcs.ID
+                INNER JOIN dbo.Sessions s ON qcs.SessionID = s.ID
+                LEFT JOIN dbo.ScannBenutzer sb ON s.UserID = sb.ID
+                WHERE qcs.StartTime >= ? AND qcs.StartTime < ?
+                ${filter.clause}
+                GROUP BY ${grouping.groupBy}
+                ORDER BY DefectCount DESC
+            `;
+
+            const result = await this.dbClient.query(paretoSQL, [startDate, endDate, ...filter.params]);
+            const rows = result.recordset || [];
+            const totalDefects = rows.reduce((sum, row) => sum + row.DefectCount, 0);
+
+            let cumulative = 0;
+            return {
+                dimension,
+                totalDefects,
+                rows: rows.map(row => {
+                    cumulative += row.DefectCount;
+                    return {
+                        ...row,
+                        Percent: this.calculateRate(row.DefectCount, totalDefects),
+                        CumulativePercent: this.calculateRate(cumulative, totalDefects)
+                    };
+                })
+            };
+        } catch (error) {
+            console.error(`Fehler bei der Pareto-Auswertung (${dimension}):`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Baut die Filterbedingung für Benutzer/Abteilung (Aliase s und sb)
+     * @returns {Object} - { clause, params }
+     */
+    buildReportFilter(userId = null, department = null) {
+        const conditions = [];
+        const params = [];
+
+        if (userId) {
+            conditions.push('AND s.UserID = ?');
+            params.push(userId);
+        }
+
+        if (department) {
+            conditions.push('AND sb.Abteilung = ?');
+            params.push(department);
+        }
+
+        return { clause: conditions.join(' '), params };
+    }
+
+    /**
+     * Anteil in Prozent (eine Nachkommastelle), 0 bei leerer Basis
+     */
+    calculateRate(count, total) {
+        return total > 0 ? Math.round((count || 0) / total * 1000) / 10 : 0;
+    }
 }
 
+QualityControlQueries.PARETO_DIMENSIONS = Object.keys(PARETO_DIMENSIONS);
+
 module.exports = QualityControlQueries;
\ No newline at end of file
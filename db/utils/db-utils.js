@@ -13,6 +13,8 @@ try {
     };
 }
 
+const QRParserRegistry = require('../../qr/qr-parser-registry');
+
 /**
  * Database Utility Functions
  * Handles timestamp normalization, caching, formatting, and other utility functions
@@ -26,6 +28,9 @@ class DatabaseUtils {
         // Pending-Scans Synchronisation
         this.pendingScans = new Map();
 
+        // Zentrale QR-Dekodierung (gemeinsam mit main.js und QRScanHandler)
+        this.qrParser = QRParserRegistry.getShared();
+
         // Cache-Cleanup alle 5 Minuten
         this.startCacheCleanup();
     }
@@ -177,102 +182,14 @@ class DatabaseUtils {
         }
     }
 
-    // ===== QR-CODE DEKODIERUNG BASIEREND AUF DECODER.PY =====
+    // ===== QR-CODE DEKODIERUNG =====
     /**
-     * Dekodiert QR-Code Daten basierend auf der Python decoder.py Logik
+     * Dekodiert QR-Code Daten über die zentrale Parser-Registry (qr/qr-formats.json)
      * @param {string} data - Rohe QR-Code Daten
      * @returns {Object} - Dekodierte Informationen
      */
     parseQRCodeData(data) {
-        const result = {
-            auftrags_nr: "",
-            paket_nr: "",
-            kunden_name: "",
-            original_data: data
-        };
-
-        if (!data || typeof data !== 'string') {
-            return result;
-        }
-
-        try {
-            // Spezielles durch ^ getrenntes Format (hat höchste Priorität)
-            if (data.includes('^')) {
-                const parts = data.split('^');
-
-                // Wir benötigen mindestens 4 Teile für Auftragsnummer und Paketnummer
-                if (parts.length >= 4) {
-                    // Auftragsnummer ist im zweiten Feld (Index 1)
-                    result.auftrags_nr = parts[1] || "";
-
-                    // Paketnummer ist im vierten Feld (Index 3)
-                    result.paket_nr = parts[3] || "";
-
-                    // Falls verfügbar, Kundennummer oder ID im dritten Feld (Index 2)
-                    if (parts.length > 2 && parts[2]) {
-                        result.kunden_name = `Kunden-ID: ${parts[2]}`;
-                    }
-
-                    // Bei diesem Format die weiteren Prüfungen überspringen
-                    return result;
-                }
-            }
-
-            // Versuch, die Auftragsnummer zu extrahieren
-            // Basierend auf den Beispielbildern, Muster "NL-XXXXXXX" oder ähnlich
-            const auftragsNrMatch = data.match(/[A-Z]{2}-\d+/);
-            if (auftragsNrMatch) {
-                result.auftrags_nr = auftragsNrMatch[0];
-            }
-
-            // Versuch, die Paketnummer zu extrahieren
-            // Langer numerischer Code, wie in den Beispielbildern
-            const paketNrMatch = data.match(/\d{10,}/);
-            if (paketNrMatch) {
-                result.paket_nr = paketNrMatch[0];
-            }
-
-            // Versuch, den Kundennamen zu extrahieren
-            // Dies ist schwieriger und hängt vom Format der QR-Code-Daten ab
-            if (data.includes("KUNDENNAME:")) {
-                const parts = data.split("KUNDENNAME:");
-                if (parts.length > 1) {
-                    let kundenName = parts[1].trim();
-                    // Bis zum nächsten Schlüsselwort oder Ende nehmen
-                    const endMarkers = ["PAKET-NR", "AUFTRAG", "\n"];
-                    for (const marker of endMarkers) {
-                        if (kundenName.includes(marker)) {
-                            kundenName = kundenName.split(marker)[0].trim();
-                            break;
-                        }
-                    }
-                    result.kunden_name = kundenName;
-                }
-            }
-
-            // Zusätzliche Suche für andere Formate
-            // Nach "Referenz: XXX" oder ähnlichen Patterns suchen
-            if (!result.auftrags_nr) {
-                const referenzMatch = data.match(/Referenz:\s+([A-Z0-9-]+)/);
-                if (referenzMatch) {
-                    result.auftrags_nr = referenzMatch[1];
-                }
-            }
-
-            // Nach "Tracking: XXX" oder ähnlichen Patterns suchen
-            if (!result.paket_nr) {
-                const trackingMatch = data.match(/Tracking:\s+(\d+)/);
-                if (trackingMatch) {
-                    result.paket_nr = trackingMatch[1];
-                }
-            }
-
-            return result;
-
-        } catch (error) {
-            console.error('Fehler beim Dekodieren der QR-Code Daten:', error);
-            return result;
-        }
+        return this.qrParser.parse(data);
     }
 
     // ===== PAYLOADJSON PARSE-METHODEN =====
@@ -527,32 +444,17 @@ class DatabaseUtils {
                 }
             }
 
-            // Fallback: Analysiere RawPayload direkt
+            // Fallback: RawPayload über die Parser-Registry erkennen
             if (rawPayload) {
-                if (rawPayload.includes('^')) {
-                    return {
-                        icon: '🔸',
-                        name: 'Caret-Format',
-                        color: 'blue',
-                        description: 'Paket-/Auftragsdaten'
-                    };
-                }
+                const decoded = this.parseQRCodeData(rawPayload);
+                const format = this.qrParser.getFormat(decoded.format_type);
 
-                if (/[A-Z]{2}-\d+/.test(rawPayload)) {
+                if (format) {
                     return {
-                        icon: '📋',
-                        name: 'Auftragscode',
-                        color: 'blue',
-                        description: 'Auftragsnummer erkannt'
-                    };
-                }
-
-                if (/\d{10,}/.test(rawPayload)) {
-                    return {
-                        icon: '📦',
-                        name: 'Paketcode',
-                        color: 'green',
-                        description: 'Paketnummer erkannt'
+                        icon: format.icon,
+                        name: format.label,
+                        color: decoded.auftrags_nr && decoded.paket_nr ? 'green' : 'blue',
+                        description: format.description
                     };
                 }
             }
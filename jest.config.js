@@ -67,6 +67,8 @@ module.exports = {
     // Transform-Optionen
     transform: {
         '^.+\\.js$': ['babel-jest', {
+            // CommonJS-Dateien als Skript parsen (nicht im strict mode wie ES-Module)
+            sourceType: 'unambiguous',
             presets: [
                 ['@babel/preset-env', {
                     targets: {
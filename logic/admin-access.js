@@ -0,0 +1,181 @@
+/**
+ * AdminAccess - Freischaltung der Benutzerverwaltung per PIN oder Admin-Badge
+ *
+ * Die PIN steht als gesalzener scrypt-Hash ("scrypt$<salt>$<hash>", wie die
+ * Login-PIN) in ADMIN_PIN_HASH (alternativ im Klartext in ADMIN_PIN), Admin-Badges
+ * als Liste von RFID-Tags in ADMIN_BADGES. Badges von Mitarbeitern mit Rolle admin
+ * prüft der Main-Prozess und startet dann die Sitzung über startSession('role', ...).
+ * Nach der Freischaltung bleibt der Admin-Modus ADMIN_SESSION_MINUTES lang aktiv
+ * und verlängert sich mit jeder Aktion. Nach mehreren falschen PINs wird die
+ * Eingabe kurz gesperrt.
+ */
+
+const LoginPin = require('./login-pin');
+
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 60000;
+
+class AdminAccess {
+    constructor(options = {}) {
+        const pin = options.pin !== undefined ? options.pin : process.env.ADMIN_PIN;
+
+        this.pinHash = AdminAccess.checkPinHash(options.pinHash || process.env.ADMIN_PIN_HASH || (pin ? LoginPin.hashPin(pin) : ''));
+        this.adminBadges = new Set(
+            String(options.adminBadges !== undefined ? options.adminBadges : process.env.ADMIN_BADGES || '')
+                .split(',')
+                .map(tag => AdminAccess.normalizeTag(tag))
+                .filter(Boolean)
+        );
+
+        this.sessionTimeoutMs = (options.sessionMinutes || parseInt(process.env.ADMIN_SESSION_MINUTES) || 10) * 60000;
+
+        this.session = null; // { method, actor, unlockedAt, expiresAt }
+        this.failedAttempts = 0;
+        this.lockedUntil = 0;
+    }
+
+    /**
+     * Nur scrypt-Hashes gelten - ein alter SHA-256-Hash muss neu erzeugt werden
+     * @returns {string} - Hash oder '' (PIN-Freischaltung aus)
+     */
+    static checkPinHash(pinHash) {
+        const value = String(pinHash || '').trim();
+
+        if (value && !value.startsWith('scrypt$')) {
+            console.warn('⚠️ ADMIN_PIN_HASH ist kein scrypt-Hash (altes SHA-256-Format?) - PIN-Freischaltung deaktiviert, Hash neu erzeugen (siehe README)');
+            return '';
+        }
+
+        return value;
+    }
+
+    /**
+     * Tags vergleichbar machen (Großbuchstaben, ohne führende Nullen)
+     */
+    static normalizeTag(tagId) {
+        return String(tagId || '').trim().toUpperCase().replace(/^0+(?=.)/, '');
+    }
+
+    isConfigured() {
+        return !!this.pinHash || this.adminBadges.size > 0;
+    }
+
+    // ===== FREISCHALTUNG =====
+
+    unlockWithPin(pin) {
+        if (!this.pinHash) {
+            return this.createResult(false, 'not_configured', 'Keine Admin-PIN konfiguriert (ADMIN_PIN_HASH)');
+        }
+
+        const now = Date.now();
+        if (now < this.lockedUntil) {
+            const seconds = Math.ceil((this.lockedUntil - now) / 1000);
+            return this.createResult(false, 'locked_out', `Zu viele Fehlversuche - bitte ${seconds}s warten`);
+        }
+
+        if (!LoginPin.verifyPin(pin, this.pinHash)) {
+            this.failedAttempts++;
+
+            if (this.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+                this.failedAttempts = 0;
+                this.lockedUntil = now + LOCKOUT_MS;
+                console.warn('🔒 Admin-PIN: zu viele Fehlversuche - Eingabe gesperrt');
+                return this.createResult(false, 'locked_out', `Zu viele Fehlversuche - bitte ${LOCKOUT_MS / 1000}s warten`);
+            }
+
+            return this.createResult(false, 'invalid', 'Falsche PIN');
+        }
+
+        return this.startSession('pin', 'Admin-PIN');
+    }
+
+    isAdminBadge(tagId) {
+        return this.adminBadges.has(AdminAccess.normalizeTag(tagId));
+    }
+
+    unlockWithBadge(tagId) {
+        const tag = AdminAccess.normalizeTag(tagId);
+
+        if (!this.adminBadges.has(tag)) {
+            console.warn(`🔒 Kein Admin-Badge: ${tagId}`);
+            return this.createResult(false, 'invalid', `Badge ${tagId} ist kein Admin-Badge`);
+        }
+
+        return this.startSession('badge', `Admin-Badge ${tag}`);
+    }
+
+    startSession(method, actor) {
+        const now = Date.now();
+
+        this.failedAttempts = 0;
+        this.session = {
+            method,
+            actor,
+            unlockedAt: now,
+            expiresAt: now + this.sessionTimeoutMs
+        };
+
+        console.log(`🔓 Admin-Modus freigeschaltet (${actor})`);
+        return this.createResult(true, 'unlocked', 'Admin-Modus freigeschaltet');
+    }
+
+    lock() {
+        if (this.session) {
+            console.log(`🔒 Admin-Modus beendet (${this.session.actor})`);
+        }
+        this.session = null;
+    }
+
+    // ===== STATUS =====
+
+    isUnlocked() {
+        if (this.session && Date.now() >= this.session.expiresAt) {
+            console.log('🔒 Admin-Modus abgelaufen');
+            this.session = null;
+        }
+
+        return !!this.session;
+    }
+
+    /**
+     * Admin-Modus nach einer Aktion verlängern
+     */
+    touch() {
+        if (this.isUnlocked()) {
+            this.session.expiresAt = Date.now() + this.sessionTimeoutMs;
+        }
+    }
+
+    /**
+     * Bezeichnung für Audit-Einträge
+     */
+    getActor() {
+        return this.session ? this.session.actor : null;
+    }
+
+    getStatus() {
+        const unlocked = this.isUnlocked();
+
+        return {
+            configured: this.isConfigured(),
+            pinEnabled: !!this.pinHash,
+            badgeEnabled: this.adminBadges.size > 0,
+            unlocked,
+            method: unlocked ? this.session.method : null,
+            actor: unlocked ? this.session.actor : null,
+            expiresAt: unlocked ? new Date(this.session.expiresAt).toISOString() : null
+        };
+    }
+
+    createResult(success, status, message) {
+        return {
+            success,
+            status,
+            message,
+            data: this.getStatus(),
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = AdminAccess;
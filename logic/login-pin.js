@@ -0,0 +1,228 @@
+/**
+ * LoginPin - Anmeldung mit Badge und PIN an Stationen mit LOGIN_REQUIRE_PIN=true
+ *
+ * Der Badge-Scan legt nur eine offene PIN-Abfrage an, die Session entsteht erst nach
+ * der richtigen PIN auf dem Tastenfeld. Die PIN steht je Benutzer als gesalzener
+ * scrypt-Hash in ScannBenutzer.PinHash. Fehlversuche zählt die Datenbank, damit eine
+ * Sperre nach LOGIN_PIN_MAX_ATTEMPTS auf allen Stationen gilt. Jeder Fehlversuch, jede
+ * Sperre und jeder Scan ohne hinterlegte PIN landet in ScannBenutzerLoginAudit.
+ *
+ * Ohne Datenbank ist an solchen Stationen keine Anmeldung möglich.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+
+const HASH_PREFIX = 'scrypt';
+const HASH_KEY_LENGTH = 32;
+
+class LoginPin {
+    constructor(options = {}) {
+        this.getClient = options.getClient || (() => null);
+        this.station = options.station || process.env.STATION_NAME || os.hostname();
+
+        this.required = options.required !== undefined ? options.required : process.env.LOGIN_REQUIRE_PIN === 'true';
+        this.minLength = options.minLength || parseInt(process.env.LOGIN_PIN_MIN_LENGTH) || 4;
+        this.maxLength = Math.max(this.minLength, options.maxLength || parseInt(process.env.LOGIN_PIN_MAX_LENGTH) || 8);
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.LOGIN_PIN_MAX_ATTEMPTS) || 3;
+        this.lockoutMinutes = options.lockoutMinutes || parseInt(process.env.LOGIN_PIN_LOCKOUT_MINUTES) || 15;
+        this.entryTimeoutMs = (options.entrySeconds || parseInt(process.env.LOGIN_PIN_ENTRY_SECONDS) || 30) * 1000;
+
+        this.pending = null; // { user, tagId, expiresAt } - Badge gescannt, PIN steht aus
+    }
+
+    // ===== HASH =====
+
+    /**
+     * @returns {string} - "scrypt$<salt>$<hash>" (hex)
+     */
+    static hashPin(pin) {
+        const salt = crypto.randomBytes(16);
+        const hash = crypto.scryptSync(String(pin), salt, HASH_KEY_LENGTH);
+        return `${HASH_PREFIX}$${salt.toString('hex')}$${hash.toString('hex')}`;
+    }
+
+    static verifyPin(pin, storedHash) {
+        const [prefix, saltHex, hashHex] = String(storedHash || '').split('$');
+        if (prefix !== HASH_PREFIX || !saltHex || !hashHex) {
+            return false;
+        }
+
+        const expected = Buffer.from(hashHex, 'hex');
+        const actual = crypto.scryptSync(String(pin || ''), Buffer.from(saltHex, 'hex'), expected.length);
+
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * @returns {string|null} - Fehlermeldung oder null bei gültiger PIN
+     */
+    validatePin(pin) {
+        const value = String(pin === null || pin === undefined ? '' : pin);
+
+        if (!/^\d+$/.test(value)) {
+            return 'PIN darf nur aus Ziffern bestehen';
+        }
+
+        if (value.length < this.minLength || value.length > this.maxLength) {
+            return `PIN muss ${this.minLength}-${this.maxLength} Ziffern haben`;
+        }
+
+        return null;
+    }
+
+    isRequired() {
+        return this.required;
+    }
+
+    // ===== ANMELDUNG =====
+
+    /**
+     * Badge erkannt - PIN-Abfrage starten (ersetzt eine offene Abfrage)
+     * @param {Object} user - Benutzer aus getUserByEPC
+     * @param {string} tagId
+     */
+    async beginChallenge(user, tagId) {
+        this.pending = null;
+
+        const dbClient = this.getClient();
+        const state = await dbClient.getUserPinState(user.ID);
+
+        if (!state || !state.PinHash) {
+            await this.audit(user.ID, 'pin_missing', tagId);
+            console.warn(`🔢 ${user.BenutzerName} hat keine Login-PIN - Anmeldung abgelehnt`);
+            return this.createResult(false, 'pin_missing',
+                `${user.BenutzerName} hat keine PIN hinterlegt - bitte in der Benutzerverwaltung einrichten lassen`);
+        }
+
+        if (state.PinLocked) {
+            return this.createLockedResult(user, state.PinLockSeconds);
+        }
+
+        this.pending = {
+            user,
+            tagId,
+            expiresAt: Date.now() + this.entryTimeoutMs
+        };
+
+        console.log(`🔢 PIN-Abfrage für ${user.BenutzerName}`);
+        return this.createResult(true, 'pin_required', `PIN für ${user.BenutzerName} eingeben`, this.getPendingInfo(state.PinFailedAttempts));
+    }
+
+    /**
+     * PIN der offenen Abfrage prüfen
+     * @returns {Object} - Ergebnis, bei Erfolg mit data.user und data.tagId
+     */
+    async verify(pin) {
+        const pending = this.getPending();
+        if (!pending) {
+            return this.createResult(false, 'expired', 'Keine PIN-Abfrage offen - bitte Badge erneut scannen');
+        }
+
+        const { user, tagId } = pending;
+        const dbClient = this.getClient();
+        const state = await dbClient.getUserPinState(user.ID);
+
+        if (!state || !state.PinHash) {
+            this.pending = null;
+            return this.createResult(false, 'pin_missing', `${user.BenutzerName} hat keine PIN hinterlegt`);
+        }
+
+        if (state.PinLocked) {
+            this.pending = null;
+            return this.createLockedResult(user, state.PinLockSeconds);
+        }
+
+        if (LoginPin.verifyPin(pin, state.PinHash)) {
+            this.pending = null;
+            await dbClient.resetPinFailures(user.ID);
+            console.log(`🔢 PIN für ${user.BenutzerName} bestätigt`);
+            return this.createResult(true, 'verified', 'PIN bestätigt', { user, tagId });
+        }
+
+        const failure = await dbClient.recordPinFailure(user.ID, this.maxAttempts, this.lockoutMinutes);
+        await this.audit(user.ID, 'pin_failed', tagId, `Fehlversuch ${failure.failedAttempts} von ${this.maxAttempts}`);
+
+        if (failure.locked) {
+            this.pending = null;
+            await this.audit(user.ID, 'locked_out', tagId, `Gesperrt für ${this.lockoutMinutes} min`);
+            console.warn(`🔒 Login-PIN: ${user.BenutzerName} nach ${failure.failedAttempts} Fehlversuchen gesperrt`);
+            return this.createLockedResult(user, this.lockoutMinutes * 60);
+        }
+
+        console.warn(`🔢 Falsche PIN für ${user.BenutzerName} (${failure.failedAttempts}/${this.maxAttempts})`);
+        pending.expiresAt = Date.now() + this.entryTimeoutMs;
+        return this.createResult(false, 'invalid', 'Falsche PIN', this.getPendingInfo(failure.failedAttempts));
+    }
+
+    cancel() {
+        if (this.pending) {
+            console.log(`🔢 PIN-Abfrage für ${this.pending.user.BenutzerName} abgebrochen`);
+        }
+        this.pending = null;
+    }
+
+    getPending() {
+        if (this.pending && Date.now() > this.pending.expiresAt) {
+            console.log(`🔢 PIN-Abfrage für ${this.pending.user.BenutzerName} abgelaufen`);
+            this.pending = null;
+        }
+
+        return this.pending;
+    }
+
+    /**
+     * Daten für das Tastenfeld (ohne PIN-Hash)
+     */
+    getPendingInfo(failedAttempts = 0) {
+        const pending = this.pending;
+
+        return {
+            userId: pending ? pending.user.ID : null,
+            userName: pending ? pending.user.BenutzerName : null,
+            fullName: pending ? `${pending.user.Vorname || ''} ${pending.user.Nachname || ''}`.trim() : null,
+            expiresAt: pending ? new Date(pending.expiresAt).toISOString() : null,
+            attemptsLeft: Math.max(0, this.maxAttempts - (failedAttempts || 0)),
+            maxAttempts: this.maxAttempts,
+            minLength: this.minLength,
+            maxLength: this.maxLength
+        };
+    }
+
+    createLockedResult(user, seconds) {
+        const minutes = Math.max(1, Math.ceil((seconds || 0) / 60));
+        return this.createResult(false, 'locked_out',
+            `Anmeldung für ${user.BenutzerName} nach zu vielen falschen PINs gesperrt - noch ${minutes} min`);
+    }
+
+    async audit(userId, eventType, tagId, details = null) {
+        try {
+            await this.getClient().addLoginAudit({ userId, eventType, tagId, station: this.station, details });
+        } catch (error) {
+            console.error('Login-Audit konnte nicht geschrieben werden:', error);
+        }
+    }
+
+    getConfig() {
+        return {
+            required: this.required,
+            minLength: this.minLength,
+            maxLength: this.maxLength,
+            maxAttempts: this.maxAttempts,
+            lockoutMinutes: this.lockoutMinutes,
+            entrySeconds: this.entryTimeoutMs / 1000
+        };
+    }
+
+    createResult(success, status, message, data = null) {
+        return {
+            success,
+            status,
+            message,
+            data,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = LoginPin;
@@ -0,0 +1,358 @@
+/**
+ * OfflineReplay - Überträgt offline erfasste Ereignisse in die Datenbank
+ *
+ * Spielt die Einträge des OfflineJournal in Journal-Reihenfolge nach:
+ * - RFID-Anmeldungen erzeugen echte Sessions (provisorische Session-ID → DB-ID)
+ * - QR-Scans laufen durch DatabaseClient.saveQRScan inkl. Duplikat-Prüfung
+ * - QC-Schritte laufen durch QualityControlLogic (Start/Abschluss, Abschluss nur mit
+ *   beantworteten Pflichtpunkten der Checkliste)
+ * Ursprüngliche Zeitpunkte werden übernommen. Konflikte (z.B. Duplikate) werden
+ * protokolliert und im Bericht zurückgegeben statt verworfen.
+ */
+
+class OfflineReplay {
+    constructor(offlineJournal, options = {}) {
+        if (!offlineJournal) {
+            throw new Error('OfflineJournal ist erforderlich für OfflineReplay');
+        }
+
+        this.journal = offlineJournal;
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.OFFLINE_REPLAY_MAX_ATTEMPTS) || 3;
+
+        this.attempts = new Map(); // seq -> Anzahl fehlgeschlagener Versuche
+        this.isReplaying = false;
+    }
+
+    // ===== REPLAY =====
+
+    /**
+     * Spielt alle offenen Journal-Einträge nach
+     * Bricht bei technischen Fehlern ab (Einträge bleiben offen und werden später erneut versucht)
+     * @param {Object} context - { dbClient, qualityControlLogic, qualityControlQueries, createSession, onEntryReplayed }
+     * @returns {Promise<Object>} - Replay-Bericht
+     */
+    async replay(context) {
+        if (this.isReplaying) {
+            return null;
+        }
+
+        this.isReplaying = true;
+
+        const report = {
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            processed: 0,
+            saved: 0,
+            conflicts: [],
+            sessionMappings: [],
+            aborted: false,
+            error: null,
+            remaining: 0
+        };
+
+        try {
+            console.log(`🔁 Offline-Replay startet: ${this.journal.getPendingCount()} offene Einträge`);
+
+            let entry;
+            while ((entry = this.journal.getPendingEntries()[0])) {
+                let outcome;
+
+                try {
+                    outcome = await this.replayEntry(entry, context, report);
+                } catch (error) {
+                    const attempts = (this.attempts.get(entry.seq) || 0) + 1;
+                    this.attempts.set(entry.seq, attempts);
+
+                    if (attempts < this.maxAttempts) {
+                        console.warn(`⚠️ Offline-Replay unterbrochen bei #${entry.seq} (${entry.type}, Versuch ${attempts}/${this.maxAttempts}): ${error.message}`);
+                        report.aborted = true;
+                        report.error = error.message;
+                        break;
+                    }
+
+                    outcome = this.createConflict(entry, 'replay_failed',
+                        `Nachspielen nach ${attempts} Versuchen fehlgeschlagen: ${error.message}`);
+                }
+
+                this.attempts.delete(entry.seq);
+
+                if (outcome.conflict) {
+                    report.conflicts.push(outcome.conflict);
+                    this.journal.recordConflict(outcome.conflict);
+                    console.warn(`⚠️ Offline-Konflikt #${entry.seq} (${entry.type}): ${outcome.conflict.message}`);
+                } else {
+                    report.saved++;
+                }
+
+                this.journal.acknowledge(entry.seq, {
+                    status: outcome.status,
+                    provisionalId: entry.provisionalId,
+                    resolvedId: outcome.resolvedId || null,
+                    message: outcome.conflict ? outcome.conflict.message : null
+                });
+                report.processed++;
+
+                if (typeof context.onEntryReplayed === 'function') {
+                    await context.onEntryReplayed(entry, outcome);
+                }
+            }
+
+            report.remaining = this.journal.getPendingCount();
+
+            if (report.remaining === 0) {
+                this.journal.compact();
+            }
+
+            console.log(`✅ Offline-Replay beendet: ${report.saved} übernommen, ${report.conflicts.length} Konflikte, ${report.remaining} offen`);
+
+        } finally {
+            report.finishedAt = new Date().toISOString();
+            this.journal.lastReplay = {
+                finishedAt: report.finishedAt,
+                processed: report.processed,
+                saved: report.saved,
+                conflicts: report.conflicts.length,
+                remaining: report.remaining,
+                aborted: report.aborted
+            };
+            this.isReplaying = false;
+        }
+
+        return report;
+    }
+
+    /**
+     * Spielt einen einzelnen Journal-Eintrag nach
+     * @returns {Promise<Object>} - { status, resolvedId, conflict, result }
+     */
+    async replayEntry(entry, context, report) {
+        switch (entry.type) {
+            case 'rfid_login':
+                return await this.replayLogin(entry, context, report);
+            case 'session_restart':
+                return await this.replaySessionRestart(entry, context);
+            case 'session_end':
+                return await this.replaySessionEnd(entry, context);
+            case 'qr_scan':
+                return await this.replayQRScan(entry, context);
+            case 'qc_start':
+                return await this.replayQCStart(entry, context);
+            case 'qc_complete':
+                return await this.replayQCComplete(entry, context);
+            default:
+                return this.createConflict(entry, 'unknown_entry', `Unbekannter Journal-Eintrag: ${entry.type}`);
+        }
+    }
+
+    // ===== SESSIONS =====
+
+    async replayLogin(entry, context, report) {
+        const { userId, sessionType } = entry.payload;
+        const recordedAt = new Date(entry.recordedAt);
+
+        const { session, sessionTypeName } = await context.createSession(userId, sessionType);
+
+        if (!session) {
+            throw new Error(`Session für Benutzer ${userId} konnte nicht erstellt werden`);
+        }
+
+        // Ursprüngliche Anmeldezeit übernehmen
+        await context.dbClient.query(`
+            UPDATE dbo.Sessions
+            SET StartTS = ?
+            WHERE ID = ?
+        `, [recordedAt, session.ID]);
+
+        report.sessionMappings.push({
+            provisionalId: entry.provisionalId,
+            sessionId: session.ID,
+            userId,
+            sessionType: sessionTypeName,
+            startTime: recordedAt.toISOString()
+        });
+
+        return { status: 'saved', resolvedId: session.ID };
+    }
+
+    async replaySessionRestart(entry, context) {
+        const sessionId = this.journal.resolveId(entry.payload.sessionId);
+        if (!sessionId) {
+            return this.createConflict(entry, 'session_unresolved', 'Session-Restart ohne übernommene Session');
+        }
+
+        if (context.qualityControlLogic) {
+            await context.qualityControlLogic.abortActiveStepsForSession(sessionId, 'Session-Restart (offline)');
+        }
+
+        await context.dbClient.query(`
+            UPDATE dbo.Sessions
+            SET StartTS = ?
+            WHERE ID = ? AND Active = 1
+        `, [new Date(entry.recordedAt), sessionId]);
+
+        return { status: 'saved', resolvedId: sessionId };
+    }
+
+    async replaySessionEnd(entry, context) {
+        const sessionId = this.journal.resolveId(entry.payload.sessionId);
+        if (!sessionId) {
+            return this.createConflict(entry, 'session_unresolved', 'Abmeldung ohne übernommene Session');
+        }
+
+        if (context.qualityControlLogic) {
+            await context.qualityControlLogic.abortActiveStepsForSession(sessionId, 'Session beendet (offline)');
+        }
+
+        await context.dbClient.endSession(sessionId);
+
+        // Ursprüngliche Abmeldezeit übernehmen
+        await context.dbClient.query(`
+            UPDATE dbo.Sessions
+            SET EndTS = ?
+            WHERE ID = ?
+        `, [new Date(entry.recordedAt), sessionId]);
+
+        return { status: 'saved', resolvedId: sessionId };
+    }
+
+    // ===== QR-SCANS =====
+
+    async replayQRScan(entry, context) {
+        const sessionId = this.journal.resolveId(entry.payload.sessionId);
+        if (!sessionId) {
+            return this.createConflict(entry, 'session_unresolved', 'QR-Scan ohne übernommene Session');
+        }
+
+        const result = await context.dbClient.saveQRScan(sessionId, entry.payload.payload, {
+            capturedAt: entry.recordedAt
+        });
+
+        if (result.success) {
+            return { status: 'saved', resolvedId: result.data.ID, result };
+        }
+
+        if (result.status === 'error') {
+            // Technischer Fehler - später erneut versuchen
+            throw new Error(result.message);
+        }
+
+        // Duplikate und sonstige fachliche Ablehnungen als Konflikt melden
+        return this.createConflict(entry, result.status, result.message, {
+            duplicateInfo: result.duplicateInfo || null
+        });
+    }
+
+    // ===== QC-SCHRITTE =====
+
+    async replayQCStart(entry, context) {
+        if (!context.qualityControlLogic) {
+            throw new Error('Qualitätskontrolle nicht verfügbar');
+        }
+
+        const { qrCode } = entry.payload;
+        const sessionId = this.journal.resolveId(entry.payload.sessionId);
+        const scanId = this.journal.resolveId(entry.payload.scanId);
+
+        if (!sessionId) {
+            return this.createConflict(entry, 'session_unresolved', 'QC-Start ohne übernommene Session');
+        }
+
+        if (!scanId) {
+            return this.createConflict(entry, 'scan_unresolved', 'QC-Start verworfen: Eingang-Scan wurde nicht übernommen');
+        }
+
+        // Auch Schritte anderer Sessions, wenn QC-Schritte sessionübergreifend abgeschlossen werden
+        if (await context.qualityControlLogic.findOpenStepForScan(sessionId, qrCode)) {
+            return this.createConflict(entry, 'step_already_active', 'Für diesen QR-Code läuft bereits ein QC-Schritt');
+        }
+
+        const qcStep = await context.qualityControlLogic.startQCStep(sessionId, qrCode, scanId);
+
+        if (!qcStep) {
+            throw new Error('QC-Schritt konnte nicht gestartet werden');
+        }
+
+        if (context.qualityControlQueries) {
+            await context.qualityControlQueries.restoreStepTimestamps(qcStep.ID, new Date(entry.recordedAt), null);
+        }
+
+        return { status: 'saved', resolvedId: qcStep.ID, result: qcStep };
+    }
+
+    async replayQCComplete(entry, context) {
+        if (!context.qualityControlLogic) {
+            throw new Error('Qualitätskontrolle nicht verfügbar');
+        }
+
+        const { qrCode, stepId } = entry.payload;
+        const sessionId = this.journal.resolveId(entry.payload.sessionId);
+        const scanId = this.journal.resolveId(entry.payload.scanId);
+
+        if (!sessionId) {
+            return this.createConflict(entry, 'session_unresolved', 'QC-Abschluss ohne übernommene Session');
+        }
+
+        if (this.journal.isProvisionalId(stepId) && !this.journal.resolveId(stepId)) {
+            return this.createConflict(entry, 'step_unresolved', 'QC-Abschluss verworfen: QC-Start wurde nicht übernommen');
+        }
+
+        if (!scanId) {
+            return this.createConflict(entry, 'scan_unresolved', 'QC-Abschluss verworfen: Ausgang-Scan wurde nicht übernommen');
+        }
+
+        // Checkliste wie beim Online-Abschluss: offene Pflichtpunkte verhindern den Abschluss
+        const openStep = await context.qualityControlLogic.findOpenStepForScan(sessionId, qrCode);
+        if (openStep) {
+            const checklist = await context.qualityControlLogic.getChecklistForStep(openStep);
+            if (!checklist.complete) {
+                return this.createConflict(entry, 'checklist_incomplete',
+                    `QC-Abschluss verworfen: Checkliste unvollständig (${checklist.openMandatory.length} Pflichtpunkt(e) offen)`, {
+                        stepId: openStep.ID,
+                        openMandatory: checklist.openMandatory.map(item => `${item.stage} - ${item.text}`)
+                    });
+            }
+        }
+
+        const completedStep = await context.qualityControlLogic.completeQCStep(
+            sessionId, qrCode, scanId, entry.payload.qualityData || {}, openStep
+        );
+
+        if (!completedStep) {
+            return this.createConflict(entry, 'no_active_step', 'Kein aktiver QC-Schritt zum Abschließen gefunden');
+        }
+
+        if (context.qualityControlQueries) {
+            await context.qualityControlQueries.restoreStepTimestamps(completedStep.ID, null, new Date(entry.recordedAt));
+        }
+
+        return { status: 'saved', resolvedId: completedStep.ID, result: completedStep };
+    }
+
+    // ===== HILFSFUNKTIONEN =====
+
+    createConflict(entry, status, message, details = {}) {
+        return {
+            status,
+            resolvedId: null,
+            conflict: {
+                seq: entry.seq,
+                type: entry.type,
+                status,
+                message,
+                recordedAt: entry.recordedAt,
+                payload: entry.payload,
+                ...details
+            }
+        };
+    }
+
+    getStatus() {
+        return {
+            isReplaying: this.isReplaying,
+            pendingCount: this.journal.getPendingCount(),
+            lastReplay: this.journal.lastReplay
+        };
+    }
+}
+
+module.exports = OfflineReplay;
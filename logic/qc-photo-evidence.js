@@ -0,0 +1,188 @@
+/**
+ * QCPhotoEvidence - Fotos als Nachweis für Fehler an QC-Schritten
+ *
+ * Der Renderer nimmt Standbilder aus dem laufenden Scanner-Kamerastream auf
+ * und übergibt sie als JPEG/PNG. Hier werden Größe und Anzahl geprüft, das
+ * Bild dekodiert (createImage, im Main-Prozess über nativeImage) und mit
+ * Vorschaubild in QualityControlPhotos gespeichert.
+ */
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png'];
+
+class QCPhotoEvidence {
+    constructor(qualityControlLogic, qualityControlQueries, options = {}) {
+        if (!qualityControlLogic) {
+            throw new Error('QualityControlLogic ist erforderlich für QCPhotoEvidence');
+        }
+
+        if (!qualityControlQueries) {
+            throw new Error('QualityControlQueries ist erforderlich für QCPhotoEvidence');
+        }
+
+        if (typeof options.createImage !== 'function') {
+            throw new Error('createImage ist erforderlich für QCPhotoEvidence');
+        }
+
+        this.qcLogic = qualityControlLogic;
+        this.qcQueries = qualityControlQueries;
+
+        // Bild dekodieren: buffer -> { width, height, toThumbnail(width) } oder null bei ungültigen Daten
+        this.createImage = options.createImage;
+
+        this.maxBytes = options.maxBytes || (parseInt(process.env.QC_PHOTO_MAX_KB) || 2048) * 1024;
+        this.maxPerStep = options.maxPerStep || parseInt(process.env.QC_PHOTO_MAX_PER_STEP) || 10;
+        this.thumbnailWidth = options.thumbnailWidth || 240;
+    }
+
+    // ===== AUFNAHME =====
+
+    /**
+     * Speichert ein Foto zu einem QC-Schritt
+     * @param {number} stepId - QC-Schritt ID
+     * @param {Buffer|Uint8Array} imageData - Bilddaten
+     * @param {Object} options - { mimeType, userId, station }
+     * @returns {Promise<Object>} - { success, type, message, photo }
+     */
+    async addPhoto(stepId, imageData, options = {}) {
+        const mimeType = String(options.mimeType || 'image/jpeg').toLowerCase();
+
+        if (!ALLOWED_MIME_TYPES.includes(mimeType)) {
+            return { success: false, type: 'invalid_type', message: `Bildformat ${mimeType} wird nicht unterstützt (JPEG oder PNG)` };
+        }
+
+        const buffer = imageData ? Buffer.from(imageData) : null;
+
+        if (!buffer || buffer.length === 0) {
+            return { success: false, type: 'empty', message: 'Keine Bilddaten empfangen' };
+        }
+
+        if (buffer.length > this.maxBytes) {
+            return {
+                success: false,
+                type: 'too_large',
+                message: `Foto zu groß (${Math.round(buffer.length / 1024)} KB, maximal ${Math.round(this.maxBytes / 1024)} KB)`
+            };
+        }
+
+        const step = await this.qcQueries.getQCStepDetails(stepId);
+        if (!step || step.QCStatus === 'aborted') {
+            return { success: false, type: 'step_not_found', message: 'QC-Schritt nicht gefunden oder abgebrochen' };
+        }
+
+        const existingPhotos = await this.qcQueries.getStepPhotos(step.ID);
+        if (existingPhotos.length >= this.maxPerStep) {
+            return { success: false, type: 'limit_reached', message: `Maximal ${this.maxPerStep} Fotos pro QC-Schritt` };
+        }
+
+        const image = this.createImage(buffer);
+        if (!image) {
+            return { success: false, type: 'invalid_image', message: 'Bilddaten konnten nicht gelesen werden' };
+        }
+
+        const photo = await this.qcQueries.addStepPhoto({
+            stepId: step.ID,
+            mimeType,
+            width: image.width,
+            height: image.height,
+            imageData: buffer,
+            thumbnailData: image.toThumbnail(this.thumbnailWidth),
+            userId: options.userId,
+            station: options.station || this.qcLogic.config.stationName
+        });
+
+        await this.qcLogic.logAuditEvent(step.ID, 'updated', {
+            photoAdded: photo ? photo.ID : null,
+            sizeBytes: buffer.length
+        });
+
+        console.log(`📷 Foto gespeichert für QC-Schritt ${step.ID} (${Math.round(buffer.length / 1024)} KB, ${image.width}x${image.height})`);
+
+        return {
+            success: true,
+            type: 'photo_added',
+            message: `Foto ${existingPhotos.length + 1} gespeichert`,
+            photo: photo ? this.toPhotoInfo(photo) : null
+        };
+    }
+
+    /**
+     * Löscht ein Foto (nur solange der QC-Schritt aktiv ist)
+     * @param {number} photoId - Foto ID
+     * @returns {Promise<Object>} - { success, type, message }
+     */
+    async deletePhoto(photoId) {
+        const photo = await this.qcQueries.getStepPhoto(photoId);
+        if (!photo) {
+            return { success: false, type: 'not_found', message: 'Foto nicht gefunden' };
+        }
+
+        const step = await this.qcQueries.getQCStepDetails(photo.QCStepID);
+        if (!this.qcLogic.isStepActive(step)) {
+            return { success: false, type: 'step_not_active', message: 'Fotos abgeschlossener QC-Schritte bleiben als Nachweis erhalten' };
+        }
+
+        const deleted = await this.qcQueries.deleteStepPhoto(photo.ID);
+
+        if (deleted) {
+            await this.qcLogic.logAuditEvent(photo.QCStepID, 'updated', { photoDeleted: photo.ID });
+        }
+
+        return {
+            success: deleted,
+            type: deleted ? 'photo_deleted' : 'not_found',
+            message: deleted ? 'Foto gelöscht' : 'Foto nicht gefunden'
+        };
+    }
+
+    // ===== ABFRAGE =====
+
+    /**
+     * Fotos eines QC-Schritts mit Vorschaubild als Data-URL
+     * @param {number} stepId - QC-Schritt ID
+     * @returns {Promise<Array>} - { id, stepId, width, height, sizeBytes, capturedAt, capturedBy, station, thumbnailUrl }
+     */
+    async getPhotosForStep(stepId) {
+        const photos = await this.qcQueries.getStepPhotos(stepId);
+        return photos.map(photo => this.toPhotoInfo(photo));
+    }
+
+    /**
+     * Originalbild als Data-URL
+     * @param {number} photoId - Foto ID
+     * @returns {Promise<Object|null>} - Fotoinfo mit imageUrl oder null
+     */
+    async getPhoto(photoId) {
+        const photo = await this.qcQueries.getStepPhoto(photoId);
+        if (!photo) return null;
+
+        return {
+            ...this.toPhotoInfo(photo),
+            imageUrl: this.toDataUrl(photo.ImageData, photo.MimeType)
+        };
+    }
+
+    // ===== HILFSFUNKTIONEN =====
+
+    toPhotoInfo(photo) {
+        return {
+            id: photo.ID,
+            stepId: photo.QCStepID,
+            mimeType: photo.MimeType,
+            width: photo.Width,
+            height: photo.Height,
+            sizeBytes: photo.SizeBytes,
+            capturedAt: photo.CapturedTS,
+            capturedBy: photo.CapturedByName || null,
+            station: photo.Station,
+            thumbnailUrl: photo.ThumbnailData ? this.toDataUrl(photo.ThumbnailData, 'image/jpeg') : null
+        };
+    }
+
+    toDataUrl(data, mimeType) {
+        return `data:${mimeType};base64,${Buffer.from(data).toString('base64')}`;
+    }
+}
+
+QCPhotoEvidence.ALLOWED_MIME_TYPES = ALLOWED_MIME_TYPES;
+
+module.exports = QCPhotoEvidence;
@@ -0,0 +1,205 @@
+/**
+ * QCTimeoutSweeper - Überwacht aktive QC-Schritte auf Zeitüberschreitung
+ *
+ * Läuft periodisch im Main-Prozess und prüft alle aktiven QC-Schritte gegen die
+ * Regeln ihres SessionTypes (QualityControlConfig):
+ * - über LongDurationThresholdMinutes → einmalige Warnung (vor dem Timeout)
+ * - über AutoTimeoutMinutes → abbrechen oder zur Prüfung markieren (QC_TIMEOUT_ACTION)
+ * Vergessene Pakete werden so sichtbar, auch wenn niemand den Ausgang scannt.
+ *
+ * Jede Station prüft nur die bei ihr gestarteten Schritte (StartStation). So meldet
+ * sie nur eigene Pakete und jeder Schritt wird von genau einer Station behandelt.
+ */
+
+class QCTimeoutSweeper {
+    constructor(qualityControlLogic, qualityControlQueries, options = {}) {
+        if (!qualityControlLogic) {
+            throw new Error('QualityControlLogic ist erforderlich für QCTimeoutSweeper');
+        }
+
+        if (!qualityControlQueries) {
+            throw new Error('QualityControlQueries ist erforderlich für QCTimeoutSweeper');
+        }
+
+        this.qcLogic = qualityControlLogic;
+        this.qcQueries = qualityControlQueries;
+
+        this.intervalMs = options.intervalMs || parseInt(process.env.QC_TIMEOUT_SWEEP_INTERVAL) || 60000;
+        this.action = (options.action || process.env.QC_TIMEOUT_ACTION) === 'review' ? 'review' : 'abort';
+        this.station = options.station || qualityControlLogic.config.stationName;
+
+        // Callbacks (Main-Prozess leitet an den Renderer weiter)
+        this.onTimeout = options.onTimeout || null;
+        this.onLongDuration = options.onLongDuration || null;
+        this.isAvailable = options.isAvailable || (() => true);
+
+        this.timer = null;
+        this.isSweeping = false;
+        this.warnedSteps = new Set(); // QC-Step-IDs mit bereits gesendeter Warnung
+        this.lastSweep = null;
+    }
+
+    // ===== STEUERUNG =====
+
+    start() {
+        this.stop();
+
+        this.timer = setInterval(() => {
+            this.sweep();
+        }, this.intervalMs);
+
+        console.log(`⏰ QC-Timeout-Überwachung gestartet (alle ${Math.round(this.intervalMs / 1000)}s, Aktion: ${this.action}, Station: ${this.station})`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // ===== PRÜFUNG =====
+
+    /**
+     * Prüft alle aktiven QC-Schritte einmal
+     * @returns {Promise<Object|null>} - Zusammenfassung oder null falls übersprungen
+     */
+    async sweep() {
+        if (this.isSweeping || !this.isAvailable()) {
+            return null;
+        }
+
+        this.isSweeping = true;
+
+        const summary = {
+            checkedAt: new Date().toISOString(),
+            checked: 0,
+            warned: 0,
+            timedOut: 0,
+            errors: 0
+        };
+
+        try {
+            const steps = await this.qcQueries.getAllActiveQCSteps(this.station);
+
+            // Warnungen für nicht mehr aktive Schritte vergessen
+            const activeIds = new Set(steps.map(step => step.ID));
+            for (const stepId of this.warnedSteps) {
+                if (!activeIds.has(stepId)) {
+                    this.warnedSteps.delete(stepId);
+                }
+            }
+
+            for (const step of steps) {
+                summary.checked++;
+
+                const rules = this.qcLogic.getRulesForSessionType(step.SessionTypeName);
+                const durationMinutes = step.DurationMinutes || 0;
+
+                try {
+                    if (durationMinutes >= rules.stepTimeoutMinutes) {
+                        // Bereits zur Prüfung markierte Schritte nicht erneut melden
+                        if (this.action === 'review' && step.ReviewRequired) {
+                            continue;
+                        }
+
+                        if (await this.handleTimeout(step, rules)) {
+                            summary.timedOut++;
+                        }
+                    } else if (rules.notifyOnLongDuration &&
+                        durationMinutes >= rules.longDurationThresholdMinutes &&
+                        !this.warnedSteps.has(step.ID)) {
+
+                        this.warnedSteps.add(step.ID);
+                        summary.warned++;
+
+                        console.warn(`⏳ QC-Schritt ${step.ID} läuft seit ${durationMinutes} min (Schwelle ${rules.longDurationThresholdMinutes} min)`);
+                        this.notify(this.onLongDuration, this.toEventData(step, rules));
+                    }
+                } catch (error) {
+                    summary.errors++;
+                    console.error(`Fehler bei Timeout-Prüfung von QC-Schritt ${step.ID}:`, error);
+                }
+            }
+
+            if (summary.warned > 0 || summary.timedOut > 0) {
+                console.log(`⏰ QC-Timeout-Prüfung: ${summary.checked} aktiv, ${summary.warned} Warnungen, ${summary.timedOut} Timeouts`);
+            }
+
+        } catch (error) {
+            summary.errors++;
+            console.warn('QC-Timeout-Prüfung fehlgeschlagen:', error.message);
+        } finally {
+            this.isSweeping = false;
+            this.lastSweep = summary;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Bricht einen abgelaufenen QC-Schritt ab oder markiert ihn zur Prüfung
+     * @returns {Promise<boolean>} - True wenn der Schritt behandelt wurde
+     */
+    async handleTimeout(step, rules) {
+        const reason = `Timeout nach ${step.DurationMinutes} min (Limit ${rules.stepTimeoutMinutes} min)`;
+
+        const handled = this.action === 'review'
+            ? await this.qcLogic.flagQCStepForReview(step.ID, reason)
+            : await this.qcLogic.abortQCStep(step.ID, reason);
+
+        if (handled) {
+            this.warnedSteps.delete(step.ID);
+
+            console.warn(`⏰ QC-Schritt ${step.ID} (${step.QrCode}) ${this.action === 'review' ? 'zur Prüfung markiert' : 'abgebrochen'}: ${reason}`);
+            this.notify(this.onTimeout, {
+                ...this.toEventData(step, rules),
+                action: this.action === 'review' ? 'review' : 'aborted',
+                reason
+            });
+        }
+
+        return handled;
+    }
+
+    // ===== HILFSFUNKTIONEN =====
+
+    toEventData(step, rules) {
+        return {
+            stepId: step.ID,
+            sessionId: step.SessionID,
+            qrCode: step.QrCode,
+            userId: step.UserID,
+            userName: step.UserName || null,
+            sessionType: step.SessionTypeName || null,
+            startTime: step.StartTime,
+            durationMinutes: step.DurationMinutes,
+            thresholdMinutes: rules.longDurationThresholdMinutes,
+            timeoutMinutes: rules.stepTimeoutMinutes,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    notify(callback, data) {
+        if (typeof callback !== 'function') return;
+
+        try {
+            callback(data);
+        } catch (error) {
+            console.error('Fehler im QC-Timeout-Callback:', error);
+        }
+    }
+
+    getStatus() {
+        return {
+            running: !!this.timer,
+            intervalMs: this.intervalMs,
+            action: this.action,
+            station: this.station,
+            warnedSteps: this.warnedSteps.size,
+            lastSweep: this.lastSweep
+        };
+    }
+}
+
+module.exports = QCTimeoutSweeper;
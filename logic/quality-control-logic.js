@@ -2,12 +2,30 @@
  * QualityControlLogic - Geschäftslogik für Qualitätskontrolle
  *
  * Diese Klasse implementiert die spezifische Logik für Qualitätskontrollprozesse:
- * - Zweifach-Scan-Workflow (Eingang → Ausgang)
+ * - Zweifach-Scan-Workflow (Eingang → Ausgang), auch über zwei Stationen/Sessions
+ * - Stationsrollen (nur Eingang, nur Ausgang, beides)
+ * - Prüf-Checklisten je SessionType bzw. Produktkategorie
+ * - Fehlerkatalog (mehrere Fehlercodes pro QC-Schritt)
  * - QC-Schritt-Management
  * - Validierung und Fehlerbehandlung
  * - Integration mit QualityControlQueries
  */
 
+const os = require('os');
+const QRParserRegistry = require('../qr/qr-parser-registry');
+
+// Stationsrollen: Eingangsstation, Ausgangsstation oder beides an einem Arbeitsplatz
+const STATION_ROLES = ['entrance', 'exit', 'both'];
+
+// Antworten auf Checklistenpunkte: bestanden, nicht bestanden, nicht anwendbar
+const CHECKLIST_RESULTS = ['pass', 'fail', 'na'];
+
+// Schweregrade im Fehlerkatalog (aufsteigend)
+const DEFECT_SEVERITIES = ['minor', 'major', 'critical'];
+
+// Umgang mit offenen QC-Schritten bei automatischer Abmeldung: abbrechen oder zur Prüfung markieren
+const IDLE_STEP_ACTIONS = ['abort', 'review'];
+
 class QualityControlLogic {
     constructor(dbClient, qualityControlQueries) {
         if (!dbClient) {
@@ -29,13 +47,39 @@ class QualityControlLogic {
             autoAbortOnSessionEnd: process.env.QC_AUTO_ABORT_ON_SESSION_END !== 'false',
             enableAuditLog: process.env.QC_ENABLE_AUDIT_LOG !== 'false',
             defaultPriority: parseInt(process.env.QC_DEFAULT_PRIORITY) || 1,
-            allowRework: process.env.QC_ALLOW_REWORK !== 'false'
+            allowParallelSteps: process.env.QC_ALLOW_PARALLEL_STEPS !== 'false',
+            notifyOnLongDuration: process.env.QC_NOTIFY_ON_LONG_DURATION !== 'false',
+            longDurationThresholdMinutes: parseInt(process.env.QC_LONG_DURATION_THRESHOLD_MINUTES) || 30,
+            notifyOnDefects: process.env.QC_NOTIFY_ON_DEFECTS !== 'false',
+            configRefreshIntervalMs: parseInt(process.env.QC_CONFIG_REFRESH_INTERVAL) || 60000,
+            stationRole: QualityControlLogic.normalizeStationRole(process.env.QC_STATION_ROLE),
+            crossSessionCompletion: process.env.QC_CROSS_SESSION_COMPLETION !== 'false',
+            stationName: process.env.STATION_NAME || os.hostname(),
+            idleWarningMinutes: parseInt(process.env.SESSION_IDLE_WARNING_MINUTES) || 0,
+            idleLogoutMinutes: parseInt(process.env.SESSION_IDLE_LOGOUT_MINUTES) || 0,
+            idleStepAction: QualityControlLogic.normalizeIdleStepAction(process.env.SESSION_IDLE_STEP_ACTION),
+            closeAtShiftEnd: process.env.SESSION_CLOSE_AT_SHIFT_END === 'true',
+            ...QualityControlLogic.getDefaultQualityRequirements()
         };
 
         // In-Memory Tracking für Performance
         this.activeStepsCache = new Map(); // sessionId -> Set von QC-Step-IDs
         this.scanStateCache = new Map(); // sessionId -> { expectedScan, currentQRCode, lastScanTime }
 
+        // QC-Regeln pro SessionType (aus QualityControlConfig, Umgebungsvariablen als Standard)
+        this.sessionTypeRules = new Map(); // SessionTypeName -> Regeln
+        this.sessionTypeBySession = new Map(); // sessionId -> SessionTypeName
+        this.configChecksum = null;
+        this.configLoadedAt = null;
+        this.configRefreshTimer = null;
+
+        // Aktive Fehlercodes aus QualityDefectCodes (bleiben offline verfügbar)
+        this.defectCatalog = [];
+        this.defectCatalogLoadedAt = null;
+
+        // Zuletzt geladene Checklisten offener Schritte (Prüfung von Offline-Abschlüssen)
+        this.checklistCache = new Map(); // stepId -> Ergebnis von getChecklistForStep()
+
         console.log('QualityControlLogic initialisiert mit Konfiguration:', this.config);
     }
 
@@ -43,13 +87,14 @@ class QualityControlLogic {
 
     /**
      * Verarbeitet einen QR-Scan für Qualitätskontrolle
-     * Entscheidet automatisch zwischen Eingang- und Ausgang-Scan
+     * Entscheidet anhand offener QC-Schritte und der Stationsrolle zwischen Eingang- und Ausgang-Scan
      * @param {number} sessionId - Session ID
      * @param {string} qrCode - QR-Code
      * @param {number} scanId - ID des QR-Scans aus der Datenbank
+     * @param {Object} qualityData - Qualitätsdaten für den Ausgang-Scan (optional)
      * @returns {Promise<Object>} - Verarbeitungsergebnis
      */
-    async processQRScan(sessionId, qrCode, scanId) {
+    async processQRScan(sessionId, qrCode, scanId, qualityData = {}) {
         try {
             console.log(`🔍 QC-QR-Scan-Verarbeitung: Session ${sessionId}, QR: ${qrCode}`);
 
@@ -59,12 +104,22 @@ class QualityControlLogic {
                 throw new Error(`Ungültige Session: ${session.message}`);
             }
 
-            // Prüfe aktuellen Status für diesen QR-Code in dieser Session
-            const existingStep = await this.qcQueries.getLatestQCStepForQRCode(sessionId, qrCode);
+            // Offener Schritt für dieses Paket (je nach Konfiguration auch aus anderen Sessions)
+            const resolution = await this.resolveScanType(sessionId, qrCode);
+
+            if (!resolution.allowed) {
+                return {
+                    success: false,
+                    type: resolution.type,
+                    message: resolution.message,
+                    qcStep: resolution.openStep,
+                    scanType: resolution.scanType
+                };
+            }
 
-            if (existingStep && !existingStep.Completed) {
+            if (resolution.scanType === 'exit') {
                 // Aktiver Schritt vorhanden → Ausgang-Scan
-                return await this.processExitScan(sessionId, qrCode, scanId, existingStep);
+                return await this.processExitScan(sessionId, qrCode, scanId, resolution.openStep, qualityData);
             } else {
                 // Kein aktiver Schritt → Eingang-Scan
                 return await this.processEntranceScan(sessionId, qrCode, scanId);
@@ -93,52 +148,100 @@ class QualityControlLogic {
         try {
             console.log(`📥 QC-Eingang-Scan: Session ${sessionId}, QR: ${qrCode}`);
 
+            if (!this.acceptsScanType('entrance')) {
+                return {
+                    success: false,
+                    type: 'entrance_not_allowed',
+                    message: 'Ausgangsstation: Eingang-Scans sind hier nicht möglich - Paket zuerst an der Eingangsstation scannen',
+                    qcStep: null,
+                    scanType: 'entrance'
+                };
+            }
+
+            // Paket bereits in Prüfung (z.B. Eingang an einer anderen Station)
+            const openStep = await this.findOpenStepForScan(sessionId, qrCode);
+            if (openStep) {
+                return {
+                    success: false,
+                    type: 'already_in_progress',
+                    message: `Paket ist bereits in Prüfung${this.describeStepOrigin(openStep, sessionId)}`,
+                    qcStep: openStep,
+                    scanType: 'entrance'
+                };
+            }
+
+            const rules = await this.getRulesForSession(sessionId);
+
             // Prüfe ob zu viele parallele Schritte
+            const maxParallelSteps = rules.allowParallelSteps ? rules.maxParallelSteps : 1;
             const activeStepsCount = await this.getActiveStepsCount(sessionId);
-            if (activeStepsCount >= this.config.maxParallelStepsPerSession) {
+            if (activeStepsCount >= maxParallelSteps) {
                 return {
                     success: false,
                     type: 'limit_exceeded',
-                    message: `Maximale Anzahl paralleler QC-Schritte erreicht (${this.config.maxParallelStepsPerSession})`,
+                    message: rules.allowParallelSteps
+                        ? `Maximale Anzahl paralleler QC-Schritte erreicht (${maxParallelSteps})`
+                        : 'Für diesen Session-Typ ist nur ein QC-Schritt gleichzeitig erlaubt',
                     qcStep: null,
                     scanType: 'entrance',
                     activeStepsCount: activeStepsCount
                 };
             }
 
-            // Prüfe auf bereits abgeschlossenen QC-Schritt für diesen QR-Code heute
-            const completedToday = await this.qcQueries.getCompletedQCStepsToday(sessionId);
-            const alreadyCompletedToday = completedToday.some(step => step.QrCode === qrCode);
+            // Paket aus der Nacharbeit: Nachprüfung als verknüpfter Folgeschritt statt Ablehnung
+            const reworkStep = await this.qcQueries.getOpenReworkStep(qrCode);
 
-            if (alreadyCompletedToday) {
-                return {
-                    success: false,
-                    type: 'already_completed',
-                    message: `QC-Schritt für diesen QR-Code heute bereits abgeschlossen`,
-                    qcStep: null,
-                    scanType: 'entrance'
-                };
+            // Prüfe auf bereits abgeschlossenen QC-Schritt für diesen QR-Code heute
+            if (!reworkStep) {
+                const completedToday = await this.qcQueries.getCompletedQCStepsToday(sessionId);
+                const alreadyCompletedToday = completedToday.some(step => step.QrCode === qrCode);
+
+                if (alreadyCompletedToday) {
+                    return {
+                        success: false,
+                        type: 'already_completed',
+                        message: 'QC-Schritt für diesen QR-Code heute bereits abgeschlossen',
+                        qcStep: null,
+                        scanType: 'entrance'
+                    };
+                }
             }
 
             // QC-Schritt starten
-            const qcStep = await this.startQCStep(sessionId, qrCode, scanId);
+            const qcStep = await this.startQCStep(sessionId, qrCode, scanId, {
+                priority: rules.defaultPriority,
+                reworkOf: reworkStep
+            });
 
             if (qcStep) {
                 // Cache aktualisieren
+                const nextExpectedScan = this.getNextExpectedScan('entrance', rules.requireBothScans);
+
                 this.updateActiveStepsCache(sessionId, qcStep.ID, 'add');
                 this.updateScanStateCache(sessionId, {
-                    expectedScan: 'exit',
-                    currentQRCode: qrCode,
+                    expectedScan: nextExpectedScan,
+                    currentQRCode: nextExpectedScan === 'exit' ? qrCode : null,
                     lastScanTime: new Date()
                 });
 
+                let message = 'QC-Schritt gestartet - Abschluss ohne Ausgang-Scan';
+                if (rules.requireBothScans) {
+                    message = this.config.stationRole === 'entrance'
+                        ? 'QC-Schritt gestartet - Ausgang-Scan an der Ausgangsstation'
+                        : 'QC-Schritt gestartet - bereit für Ausgang-Scan';
+                }
+                if (qcStep.ParentStepID) {
+                    message = message.replace('QC-Schritt gestartet', `Nachprüfung gestartet (Durchlauf ${QualityControlLogic.getReworkPass(qcStep.ReworkCycle)})`);
+                }
+
                 return {
                     success: true,
-                    type: 'entrance_started',
-                    message: 'QC-Schritt gestartet - bereit für Ausgang-Scan',
+                    type: qcStep.ParentStepID ? 'reinspection_started' : 'entrance_started',
+                    message,
                     qcStep: qcStep,
                     scanType: 'entrance',
-                    nextExpectedScan: 'exit'
+                    requiresExitScan: rules.requireBothScans,
+                    nextExpectedScan: rules.requireBothScans ? nextExpectedScan : null
                 };
             } else {
                 throw new Error('QC-Schritt konnte nicht gestartet werden');
@@ -161,13 +264,24 @@ class QualityControlLogic {
      * @param {number} sessionId - Session ID
      * @param {string} qrCode - QR-Code
      * @param {number} scanId - ID des QR-Scans
-     * @param {Object} existingStep - Bestehender QC-Schritt
+     * @param {Object} existingStep - Bestehender QC-Schritt (kann aus einer anderen Session stammen)
+     * @param {Object} qualityData - Qualitätsdaten aus dem Abschluss-Formular
      * @returns {Promise<Object>} - Verarbeitungsergebnis
      */
-    async processExitScan(sessionId, qrCode, scanId, existingStep) {
+    async processExitScan(sessionId, qrCode, scanId, existingStep, qualityData = {}) {
         try {
             console.log(`📤 QC-Ausgang-Scan: Session ${sessionId}, QR: ${qrCode}, Step ID: ${existingStep.ID}`);
 
+            if (!this.acceptsScanType('exit')) {
+                return {
+                    success: false,
+                    type: 'exit_not_allowed',
+                    message: `Eingangsstation: Paket ist bereits in Prüfung${this.describeStepOrigin(existingStep, sessionId)} - Ausgang an der Ausgangsstation scannen`,
+                    qcStep: existingStep,
+                    scanType: 'exit'
+                };
+            }
+
             // Prüfe ob QR-Code übereinstimmt
             if (existingStep.QrCode !== qrCode) {
                 return {
@@ -181,26 +295,77 @@ class QualityControlLogic {
                 };
             }
 
+            const rules = await this.getRulesForSession(sessionId);
+            const warnings = [];
+
             // Prüfe auf Timeout
             const stepDurationMinutes = this.calculateStepDurationMinutes(existingStep.StartTime);
-            if (stepDurationMinutes > this.config.stepTimeoutMinutes) {
-                console.warn(`QC-Schritt ${existingStep.ID} überschreitet Timeout (${stepDurationMinutes} min > ${this.config.stepTimeoutMinutes} min)`);
+            if (stepDurationMinutes > rules.stepTimeoutMinutes) {
+                console.warn(`QC-Schritt ${existingStep.ID} überschreitet Timeout (${stepDurationMinutes} min > ${rules.stepTimeoutMinutes} min)`);
+                warnings.push({
+                    type: 'timeout_exceeded',
+                    title: 'Zeitlimit überschritten',
+                    message: `Prüfdauer ${stepDurationMinutes} min überschreitet das Zeitlimit von ${rules.stepTimeoutMinutes} min`
+                });
+            } else if (rules.notifyOnLongDuration && stepDurationMinutes > rules.longDurationThresholdMinutes) {
+                warnings.push({
+                    type: 'long_duration',
+                    title: 'Lange Prüfdauer',
+                    message: `Prüfdauer ${stepDurationMinutes} min (Schwelle ${rules.longDurationThresholdMinutes} min)`
+                });
+            }
+
+            // Pflichtpunkte der Prüf-Checkliste müssen beantwortet sein
+            const checklist = await this.getChecklistForStep(existingStep);
+            if (!checklist.complete) {
+                const errors = checklist.openMandatory.map(item => `Checkliste: ${item.stage} - ${item.text}`);
+                return {
+                    success: false,
+                    type: 'checklist_incomplete',
+                    message: `Checkliste unvollständig (${checklist.openMandatory.length} Pflichtpunkt(e) offen)`,
+                    qcStep: existingStep,
+                    scanType: 'exit',
+                    errors,
+                    checklist
+                };
+            }
+
+            // Qualitätsdaten gemäß QualityControlConfig prüfen
+            const validation = await this.validateQualityData(sessionId, qualityData);
+            if (!validation.isValid) {
+                return {
+                    success: false,
+                    type: 'quality_data_invalid',
+                    message: validation.errors.join(', '),
+                    qcStep: existingStep,
+                    scanType: 'exit',
+                    errors: validation.errors,
+                    requirements: validation.requirements
+                };
             }
 
             // QC-Schritt abschließen
-            const completedStep = await this.completeQCStep(sessionId, qrCode, scanId);
+            const completedStep = await this.completeQCStep(sessionId, qrCode, scanId, validation.qualityData, existingStep);
 
             if (completedStep) {
-                // Cache aktualisieren
-                this.updateActiveStepsCache(sessionId, completedStep.ID, 'remove');
+                // Cache aktualisieren (Schritt kann in einer anderen Session gestartet worden sein)
+                this.removeStepFromCache(completedStep.ID);
                 this.updateScanStateCache(sessionId, {
-                    expectedScan: 'entrance',
+                    expectedScan: this.getNextExpectedScan('exit'),
                     currentQRCode: null,
                     lastScanTime: new Date()
                 });
 
                 const durationSeconds = this.calculateStepDurationSeconds(completedStep.StartTime, completedStep.EndTime);
 
+                if (rules.notifyOnDefects && completedStep.DefectsFound) {
+                    warnings.push({
+                        type: 'defects_found',
+                        title: 'Fehler gemeldet',
+                        message: completedStep.DefectDescription || 'Bei der Prüfung wurden Fehler festgestellt'
+                    });
+                }
+
                 return {
                     success: true,
                     type: 'exit_completed',
@@ -208,7 +373,10 @@ class QualityControlLogic {
                     qcStep: completedStep,
                     scanType: 'exit',
                     durationSeconds: durationSeconds,
-                    nextExpectedScan: 'entrance'
+                    warnings: warnings,
+                    crossSession: existingStep.SessionID !== sessionId,
+                    startSessionId: existingStep.SessionID,
+                    nextExpectedScan: this.getNextExpectedScan('exit')
                 };
             } else {
                 throw new Error('QC-Schritt konnte nicht abgeschlossen werden');
@@ -233,12 +401,22 @@ class QualityControlLogic {
      * @param {number} sessionId - Session ID
      * @param {string} qrCode - QR-Code
      * @param {number} startScanId - ID des Start-Scans
-     * @param {Object} options - Zusätzliche Optionen
+     * @param {Object} options - Zusätzliche Optionen ({ priority, station, batchNumber,
+     *                            reworkOf: Schritt mit offener Nacharbeit, Standard: per QR-Code gesucht })
      * @returns {Promise<Object|null>} - QC-Schritt oder null
      */
     async startQCStep(sessionId, qrCode, startScanId, options = {}) {
         try {
             const priority = options.priority || this.config.defaultPriority;
+            const station = options.station || this.config.stationName;
+            const batchNumber = options.batchNumber !== undefined
+                ? options.batchNumber
+                : this.extractBatchNumber(qrCode);
+            const reworkOf = options.reworkOf !== undefined
+                ? options.reworkOf
+                : await this.qcQueries.getOpenReworkStep(qrCode);
+
+            let qcStep;
 
             // Verwende Stored Procedure falls verfügbar, sonst direkte Query
             if (await this.hasStoredProcedure('sp_StartQCStep')) {
@@ -246,30 +424,77 @@ class QualityControlLogic {
                     EXEC sp_StartQCStep @SessionID = ?, @QrCode = ?, @StartScanID = ?, @Priority = ?
                 `, [sessionId, qrCode, startScanId, priority]);
 
-                return result.recordset && result.recordset.length > 0 ? result.recordset[0] : null;
+                qcStep = result.recordset && result.recordset.length > 0 ? result.recordset[0] : null;
+
+                // Die Stored Procedure kennt keine Charge - nachträglich setzen
+                if (qcStep && batchNumber) {
+                    qcStep = await this.qcQueries.updateBatchNumber(qcStep.ID, batchNumber) || qcStep;
+                }
             } else {
                 // Fallback auf QualityControlQueries
-                return await this.qcQueries.startQCStep(sessionId, qrCode, startScanId);
+                qcStep = await this.qcQueries.startQCStep(sessionId, qrCode, startScanId, batchNumber, station);
             }
 
+            if (qcStep && reworkOf) {
+                qcStep = await this.qcQueries.linkReworkStep(qcStep.ID, reworkOf) || qcStep;
+                console.log(`🔧 QC-Schritt ${qcStep.ID} ist Nachprüfung von Schritt ${reworkOf.ID} (Durchlauf ${QualityControlLogic.getReworkPass(qcStep.ReworkCycle)})`);
+
+                if (this.config.enableAuditLog) {
+                    await this.logAuditEvent(qcStep.ID, 'created', {
+                        parentStepId: reworkOf.ID,
+                        reworkCycle: qcStep.ReworkCycle
+                    });
+                }
+            }
+
+            return qcStep;
+
         } catch (error) {
             console.error('Fehler beim Starten des QC-Schritts:', error);
             throw error;
         }
     }
 
+    /**
+     * Liest die Chargennummer (GS1 AI 10) aus dem QR-Code
+     * @param {string} qrCode - QR-Code Rohdaten
+     * @returns {string|null} - Chargennummer oder null
+     */
+    extractBatchNumber(qrCode) {
+        try {
+            const decoded = QRParserRegistry.getShared().parse(qrCode);
+            const batch = decoded.fields && decoded.fields.batch;
+
+            return batch ? String(batch).substring(0, 50) : null;
+        } catch (error) {
+            console.warn('Chargennummer konnte nicht ermittelt werden:', error.message);
+            return null;
+        }
+    }
+
     /**
      * Schließt einen QC-Schritt ab
-     * @param {number} sessionId - Session ID
+     * @param {number} sessionId - Session ID des Ausgang-Scans
      * @param {string} qrCode - QR-Code
      * @param {number} endScanId - ID des End-Scans
      * @param {Object} qualityData - Qualitätsdaten (optional)
+     * @param {Object|null} openStep - Offener Schritt (Standard: per QR-Code gesucht, siehe findOpenStepForScan)
      * @returns {Promise<Object|null>} - Abgeschlossener QC-Schritt oder null
      */
-    async completeQCStep(sessionId, qrCode, endScanId, qualityData = {}) {
+    async completeQCStep(sessionId, qrCode, endScanId, qualityData = {}, openStep = null) {
         try {
-            // Verwende Stored Procedure falls verfügbar
-            if (await this.hasStoredProcedure('sp_CompleteQCStep')) {
+            const quality = this.normalizeQualityData(qualityData);
+            const step = openStep || await this.findOpenStepForScan(sessionId, qrCode);
+
+            // Nur Fehlercodes gewählt: Beschreibung für Anzeige und Benachrichtigungen aus dem Katalog
+            if (quality.defectCodes.length > 0 && !quality.defectDescription) {
+                quality.defectDescription = this.describeDefectCodes(quality.defectCodes);
+            }
+            const crossSession = !!step && step.SessionID !== sessionId;
+            let completedStep;
+
+            // Verwende Stored Procedure falls verfügbar (kennt nur Schritte der eigenen Session)
+            if (!crossSession && await this.hasStoredProcedure('sp_CompleteQCStep')) {
                 const result = await this.dbClient.query(`
                     EXEC sp_CompleteQCStep 
                         @SessionID = ?, 
@@ -283,18 +508,61 @@ class QualityControlLogic {
                     sessionId,
                     qrCode,
                     endScanId,
-                    qualityData.rating || null,
-                    qualityData.defectsFound || false,
-                    qualityData.defectDescription || null,
-                    qualityData.notes || null
+                    quality.rating,
+                    !!quality.defectsFound,
+                    quality.defectDescription,
+                    quality.notes
                 ]);
 
-                return result.recordset && result.recordset.length > 0 ? result.recordset[0] : null;
+                completedStep = result.recordset && result.recordset.length > 0 ? result.recordset[0] : null;
+
+                // Die Stored Procedure setzt ReworkRequired = DefectsFound - explizite Angabe übernehmen
+                if (completedStep && quality.reworkRequired !== null &&
+                    !!completedStep.ReworkRequired !== quality.reworkRequired) {
+                    completedStep = await this.qcQueries.updateReworkRequired(completedStep.ID, quality.reworkRequired) || completedStep;
+                }
             } else {
                 // Fallback auf QualityControlQueries
-                return await this.qcQueries.completeQCStep(sessionId, qrCode, endScanId);
+                completedStep = await this.qcQueries.completeQCStep(sessionId, qrCode, endScanId, {
+                    ...quality,
+                    reworkRequired: quality.reworkRequired !== null ? quality.reworkRequired : quality.defectsFound
+                }, {
+                    stepId: step ? step.ID : null,
+                    station: this.config.stationName
+                });
             }
 
+            // Nacharbeits-Warteschlange: SP-Ergebnis enthält die Verknüpfung nicht zwingend
+            if (completedStep) {
+                await this.qcQueries.updateReworkStatusAfterCompletion({
+                    ...completedStep,
+                    ParentStepID: completedStep.ParentStepID || (step ? step.ParentStepID : null)
+                });
+            }
+
+            if (completedStep && quality.defectCodes.length > 0) {
+                await this.qcQueries.saveStepDefects(completedStep.ID, quality.defectCodes, {
+                    supplier: this.extractSupplier(qrCode),
+                    sessionId
+                });
+            }
+
+            if (completedStep) {
+                this.removeStepFromCache(completedStep.ID);
+            }
+
+            if (completedStep && this.hasQualityData(quality)) {
+                await this.logAuditEvent(completedStep.ID, 'quality_rated', {
+                    rating: quality.rating,
+                    defectsFound: quality.defectsFound,
+                    defectDescription: quality.defectDescription,
+                    defectCodes: quality.defectCodes,
+                    reworkRequired: !!completedStep.ReworkRequired
+                });
+            }
+
+            return completedStep;
+
         } catch (error) {
             console.error('Fehler beim Abschließen des QC-Schritts:', error);
             throw error;
@@ -325,6 +593,11 @@ class QualityControlLogic {
                 abortedCount = await this.qcQueries.abortActiveStepsForSession(sessionId);
             }
 
+            // Abgebrochene Nachprüfungen: Nacharbeit wartet wieder in der Warteschlange
+            if (abortedCount > 0) {
+                await this.qcQueries.releaseAbandonedRework();
+            }
+
             // Cache bereinigen
             this.clearSessionFromCache(sessionId);
 
@@ -337,6 +610,30 @@ class QualityControlLogic {
         }
     }
 
+    /**
+     * Markiert alle aktiven QC-Schritte einer Session zur Prüfung (statt Abbruch)
+     * Die Schritte bleiben aktiv und können an einer Ausgangsstation abgeschlossen werden
+     * @param {number} sessionId - Session ID
+     * @param {string} reason - Grund für die Markierung
+     * @returns {Promise<number>} - Anzahl markierter Schritte
+     */
+    async flagActiveStepsForSession(sessionId, reason) {
+        const steps = await this.qcQueries.getActiveQCStepsForSession(sessionId);
+        let flaggedCount = 0;
+
+        for (const step of steps) {
+            if (await this.flagQCStepForReview(step.ID, reason)) {
+                flaggedCount++;
+            }
+        }
+
+        // Cache bereinigen
+        this.clearSessionFromCache(sessionId);
+
+        console.log(`⚠️ ${flaggedCount} QC-Schritte für Session ${sessionId} zur Prüfung markiert`);
+        return flaggedCount;
+    }
+
     /**
      * Bricht einen spezifischen QC-Schritt ab
      * @param {number} qcStepId - QC-Schritt ID
@@ -345,13 +642,13 @@ class QualityControlLogic {
      */
     async abortQCStep(qcStepId, reason = 'Manuell abgebrochen') {
         try {
+            // EndTime bleibt leer: CK_QualityControlSteps_Completed erlaubt keine Endzeit ohne Ausgang-Scan
             const updateResult = await this.dbClient.query(`
                 UPDATE QualityControlSteps
                 SET QCStatus = 'aborted',
-                    EndTime = GETDATE(),
-                    QualityNotes = COALESCE(QualityNotes + ' | ', '') + ?,
+                    QualityNotes = LEFT(CONCAT(QualityNotes, CASE WHEN QualityNotes IS NOT NULL THEN ' | ' END, ?), 1000),
                     UpdatedTS = GETDATE()
-                WHERE ID = ? AND QCStatus = 'active'
+                WHERE ID = ? AND Completed = 0 AND QCStatus = 'active'
             `, [reason, qcStepId]);
 
             const success = updateResult.rowsAffected[0] > 0;
@@ -362,6 +659,9 @@ class QualityControlLogic {
                 // Cache aktualisieren
                 this.removeStepFromCache(qcStepId);
 
+                // War es eine Nachprüfung, wartet die Nacharbeit wieder in der Warteschlange
+                await this.qcQueries.releaseAbandonedRework();
+
                 // Audit-Log (falls aktiviert)
                 if (this.config.enableAuditLog) {
                     await this.logAuditEvent(qcStepId, 'aborted', { reason: reason });
@@ -376,6 +676,381 @@ class QualityControlLogic {
         }
     }
 
+    /**
+     * Markiert einen aktiven QC-Schritt zur Prüfung (statt Abbruch bei Timeout)
+     * @param {number} qcStepId - QC-Schritt ID
+     * @param {string} reason - Grund für die Markierung
+     * @returns {Promise<boolean>} - Erfolg
+     */
+    async flagQCStepForReview(qcStepId, reason) {
+        try {
+            const success = await this.qcQueries.flagStepForReview(qcStepId, reason);
+
+            if (success) {
+                console.log(`⚠️ QC-Schritt ${qcStepId} zur Prüfung markiert: ${reason}`);
+
+                // Audit-Log (falls aktiviert)
+                if (this.config.enableAuditLog) {
+                    await this.logAuditEvent(qcStepId, 'updated', { reviewRequired: true, reason: reason });
+                }
+            }
+
+            return success;
+
+        } catch (error) {
+            console.error('Fehler beim Markieren des QC-Schritts zur Prüfung:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Prüft ob ein QC-Schritt noch aktiv ist (weder abgeschlossen noch abgebrochen)
+     * @param {Object} step - QC-Schritt aus der Datenbank
+     * @returns {boolean}
+     */
+    isStepActive(step) {
+        return !!step && !step.Completed && (!step.QCStatus || step.QCStatus === 'active');
+    }
+
+    // ===== STATIONSROLLE & SCAN-ZUORDNUNG =====
+
+    /**
+     * Stationsrolle aus QC_STATION_ROLE ('entrance' | 'exit' | 'both', Standard 'both')
+     * @param {string} value - Konfigurationswert
+     * @returns {string} - Gültige Stationsrolle
+     */
+    static normalizeStationRole(value) {
+        const role = String(value || 'both').trim().toLowerCase();
+
+        if (STATION_ROLES.includes(role)) {
+            return role;
+        }
+
+        console.warn(`Unbekannte QC-Stationsrolle '${value}' - verwende 'both'`);
+        return 'both';
+    }
+
+    /**
+     * Stationskonfiguration für den Renderer
+     * @returns {Object} - { role, stationName, crossSessionCompletion }
+     */
+    getStationConfig() {
+        return {
+            role: this.config.stationRole,
+            stationName: this.config.stationName,
+            crossSessionCompletion: this.usesCrossSessionLookup()
+        };
+    }
+
+    /**
+     * Ob diese Station Scans des Typs annimmt
+     * @param {string} scanType - 'entrance' | 'exit'
+     * @returns {boolean}
+     */
+    acceptsScanType(scanType) {
+        return this.config.stationRole === 'both' || this.config.stationRole === scanType;
+    }
+
+    /**
+     * Offene Schritte sessionübergreifend suchen?
+     * Ausgangsstationen schließen immer Schritte anderer Sessions ab
+     * @returns {boolean}
+     */
+    usesCrossSessionLookup() {
+        return this.config.crossSessionCompletion || this.config.stationRole === 'exit';
+    }
+
+    /**
+     * Erwarteter nächster Scan nach einem Eingang- bzw. Ausgang-Scan
+     * Reine Eingangs- oder Ausgangsstationen erwarten immer denselben Scan-Typ
+     * @param {string} scanType - Gerade verarbeiteter Scan ('entrance' | 'exit')
+     * @param {boolean} requiresExitScan - Ob der gestartete Schritt einen Ausgang-Scan braucht
+     * @returns {string} - 'entrance' | 'exit'
+     */
+    getNextExpectedScan(scanType, requiresExitScan = true) {
+        if (this.config.stationRole !== 'both') {
+            return this.config.stationRole;
+        }
+
+        return scanType === 'entrance' && requiresExitScan ? 'exit' : 'entrance';
+    }
+
+    /**
+     * Offener QC-Schritt für ein Paket
+     * Mit sessionübergreifendem Abschluss auch Schritte anderer Sessions (eigene bevorzugt)
+     * @param {number} sessionId - Session ID des Scans
+     * @param {string} qrCode - QR-Code
+     * @returns {Promise<Object|null>} - Offener QC-Schritt oder null
+     */
+    async findOpenStepForScan(sessionId, qrCode) {
+        if (this.usesCrossSessionLookup()) {
+            return await this.qcQueries.findOpenQCStepForQRCode(qrCode, sessionId);
+        }
+
+        const step = await this.qcQueries.getLatestQCStepForQRCode(sessionId, qrCode);
+        return this.isStepActive(step) ? step : null;
+    }
+
+    /**
+     * Bestimmt den Scan-Typ für ein Paket an dieser Station
+     * @param {number} sessionId - Session ID des Scans
+     * @param {string} qrCode - QR-Code
+     * @returns {Promise<Object>} - { scanType, allowed, type, message, openStep, crossSession }
+     */
+    async resolveScanType(sessionId, qrCode) {
+        const openStep = await this.findOpenStepForScan(sessionId, qrCode);
+        const scanType = openStep ? 'exit' : 'entrance';
+        const crossSession = !!openStep && openStep.SessionID !== sessionId;
+
+        if (this.acceptsScanType(scanType)) {
+            return { scanType, allowed: true, type: scanType, message: null, openStep, crossSession };
+        }
+
+        return {
+            scanType,
+            allowed: false,
+            type: scanType === 'exit' ? 'exit_not_allowed' : 'entrance_not_allowed',
+            message: scanType === 'exit'
+                ? `Eingangsstation: Paket ist bereits in Prüfung${this.describeStepOrigin(openStep, sessionId)} - Ausgang an der Ausgangsstation scannen`
+                : 'Ausgangsstation: kein offener QC-Schritt für dieses Paket - zuerst an der Eingangsstation scannen',
+            openStep,
+            crossSession
+        };
+    }
+
+    /**
+     * Herkunft eines offenen Schritts für Meldungen (" seit 10:15 (Station, Benutzer)")
+     * @param {Object} step - Offener QC-Schritt
+     * @param {number} sessionId - Session ID des aktuellen Scans
+     * @returns {string}
+     */
+    describeStepOrigin(step, sessionId) {
+        if (!step) return '';
+
+        const since = step.StartTime
+            ? ` seit ${new Date(step.StartTime).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })}`
+            : '';
+
+        if (step.SessionID === sessionId) {
+            return since;
+        }
+
+        const origin = [step.StartStation, step.StartUserName].filter(Boolean).join(', ');
+        return origin ? `${since} (${origin})` : since;
+    }
+
+    // ===== PRÜF-CHECKLISTEN =====
+
+    /**
+     * Produktkategorien eines Pakets aus dem QR-Code (Kategorie-Feld und GTIN)
+     * @param {string} qrCode - QR-Code Rohdaten
+     * @returns {Array<string>} - Kategorien für den Abgleich mit QualityChecklistItems.ProductCategory
+     */
+    extractProductCategories(qrCode) {
+        try {
+            const fields = QRParserRegistry.getShared().parse(qrCode).fields || {};
+
+            return [fields.produkt_kategorie, fields.gtin]
+                .filter(value => value !== null && value !== undefined && String(value).trim() !== '')
+                .map(value => String(value).trim().substring(0, 100));
+        } catch (error) {
+            console.warn('Produktkategorie konnte nicht ermittelt werden:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Checkliste eines QC-Schritts mit den bisherigen Antworten
+     * Die Punkte richten sich nach dem SessionType der Start-Session und der Produktkategorie
+     * @param {Object|number} stepOrId - QC-Schritt oder dessen ID
+     * @returns {Promise<Object>} - { stepId, qrCode, items, openMandatory, failedItems, complete }
+     */
+    async getChecklistForStep(stepOrId) {
+        const step = typeof stepOrId === 'object' ? stepOrId : await this.qcQueries.getQCStepDetails(stepOrId);
+
+        if (!step) {
+            throw new Error('QC-Schritt nicht gefunden');
+        }
+
+        const rules = await this.getRulesForSession(step.SessionID);
+        const [definitions, checks] = await Promise.all([
+            this.qcQueries.getChecklistItems(rules.sessionTypeName, this.extractProductCategories(step.QrCode)),
+            this.qcQueries.getStepChecks(step.ID)
+        ]);
+
+        const checksByItem = new Map(checks.map(check => [check.ChecklistItemID, check]));
+        const items = definitions.map(definition => {
+            const check = checksByItem.get(definition.ID);
+
+            return {
+                id: definition.ID,
+                stage: definition.StageName,
+                text: definition.ItemText,
+                mandatory: !!definition.IsMandatory,
+                productCategory: definition.ProductCategory,
+                result: check ? check.Result : null,
+                notes: check ? check.Notes : null,
+                checkedBy: check ? check.CheckedByName : null,
+                checkedAt: check ? check.CheckedTS : null
+            };
+        });
+
+        const openMandatory = items.filter(item => item.mandatory && !item.result);
+
+        const checklist = {
+            stepId: step.ID,
+            qrCode: step.QrCode,
+            items,
+            openMandatory,
+            failedItems: items.filter(item => item.result === 'fail'),
+            complete: openMandatory.length === 0
+        };
+
+        this.checklistCache.set(step.ID, checklist);
+        return checklist;
+    }
+
+    /**
+     * Zuletzt geladene Checkliste des offenen Schritts zu einem QR-Code (ohne Datenbankzugriff)
+     * @param {string} qrCode - QR-Code des Pakets
+     * @returns {Object|null} - Ergebnis von getChecklistForStep() oder null, wenn nie geladen
+     */
+    getCachedChecklist(qrCode) {
+        // Neuester Eintrag zuerst (ein QR-Code kann nach einem Abbruch erneut gestartet werden)
+        const checklists = Array.from(this.checklistCache.values()).reverse();
+        return checklists.find(checklist => checklist.qrCode === qrCode) || null;
+    }
+
+    /**
+     * Erfasst die Antwort zu einem Checklistenpunkt eines aktiven QC-Schritts
+     * @param {number} stepId - QC-Schritt ID
+     * @param {number} itemId - Checklistenpunkt ID
+     * @param {string} result - 'pass' | 'fail' | 'na'
+     * @param {Object} options - { notes, userId }
+     * @returns {Promise<Object>} - { success, type, message, checklist }
+     */
+    async recordChecklistResult(stepId, itemId, result, options = {}) {
+        if (!CHECKLIST_RESULTS.includes(result)) {
+            return { success: false, type: 'invalid_result', message: `Ungültige Antwort '${result}' (erlaubt: ${CHECKLIST_RESULTS.join(', ')})` };
+        }
+
+        const step = await this.qcQueries.getQCStepDetails(stepId);
+        if (!this.isStepActive(step)) {
+            return { success: false, type: 'step_not_active', message: 'QC-Schritt ist nicht mehr aktiv' };
+        }
+
+        const checklist = await this.getChecklistForStep(step);
+        const item = checklist.items.find(entry => entry.id === Number(itemId));
+        if (!item) {
+            return { success: false, type: 'item_not_found', message: 'Checklistenpunkt gehört nicht zu diesem QC-Schritt' };
+        }
+
+        const notes = options.notes ? String(options.notes).trim().substring(0, 500) || null : null;
+        await this.qcQueries.saveStepCheck(step.ID, item.id, result, notes, options.userId || null);
+
+        await this.logAuditEvent(step.ID, 'updated', {
+            checklistItemId: item.id,
+            stage: item.stage,
+            result,
+            previousResult: item.result
+        });
+
+        console.log(`☑️ Checkliste QC-Schritt ${step.ID}: ${item.stage} = ${result}`);
+
+        return {
+            success: true,
+            type: 'checklist_recorded',
+            message: `${item.stage}: ${item.text}`,
+            checklist: await this.getChecklistForStep(step)
+        };
+    }
+
+    // ===== FEHLERKATALOG =====
+
+    /**
+     * Lädt die aktiven Fehlercodes in den Cache
+     * Bei Fehlern (z.B. offline) bleibt der bisherige Stand erhalten
+     * @returns {Promise<boolean>} - Erfolg
+     */
+    async loadDefectCatalog() {
+        try {
+            const rows = await this.qcQueries.getDefectCodes();
+
+            this.defectCatalog = rows.map(row => ({
+                id: row.ID,
+                code: row.DefectCode,
+                category: row.Category,
+                severity: DEFECT_SEVERITIES.includes(row.Severity) ? row.Severity : 'major',
+                description: row.Description
+            }));
+            this.defectCatalogLoadedAt = new Date();
+
+            return true;
+        } catch (error) {
+            console.warn('Fehlerkatalog konnte nicht geladen werden - bisherige Codes bleiben aktiv:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Aktive Fehlercodes für die Auswahl im Abschluss-Formular
+     * @returns {Array} - { id, code, category, severity, description }
+     */
+    getDefectCatalog() {
+        return this.defectCatalog;
+    }
+
+    /**
+     * Lieferant des Pakets aus dem QR-Code (JSON-Feld bzw. GS1 AI 412)
+     * @param {string} qrCode - QR-Code Rohdaten
+     * @returns {string|null} - Lieferant oder null
+     */
+    extractSupplier(qrCode) {
+        try {
+            const supplier = (QRParserRegistry.getShared().parse(qrCode).fields || {}).lieferant;
+
+            return supplier ? String(supplier).trim().substring(0, 100) || null : null;
+        } catch (error) {
+            console.warn('Lieferant konnte nicht ermittelt werden:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Fehlerbeschreibung aus den gewählten Fehlercodes (wenn kein Freitext angegeben wurde)
+     * @param {Array<number>} defectCodeIds - IDs aus QualityDefectCodes
+     * @returns {string|null}
+     */
+    describeDefectCodes(defectCodeIds) {
+        const text = defectCodeIds
+            .map(id => this.defectCatalog.find(entry => entry.id === id))
+            .filter(Boolean)
+            .map(entry => `${entry.code} ${entry.description}`)
+            .join('; ');
+
+        return text ? text.substring(0, 500) : null;
+    }
+
+    /**
+     * Erfasste Fehlercodes eines QC-Schritts
+     * @param {number} stepId - QC-Schritt ID
+     * @returns {Promise<Array>} - { id, code, category, severity, description, supplier, recordedBy, recordedAt }
+     */
+    async getDefectsForStep(stepId) {
+        const defects = await this.qcQueries.getStepDefects(stepId);
+
+        return defects.map(defect => ({
+            id: defect.DefectCodeID,
+            code: defect.DefectCode,
+            category: defect.Category,
+            severity: defect.Severity,
+            description: defect.Description,
+            supplier: defect.Supplier,
+            recordedBy: defect.RecordedByName || null,
+            recordedAt: defect.RecordedTS
+        }));
+    }
+
     // ===== ABFRAGE-OPERATIONEN =====
 
     /**
@@ -462,6 +1137,10 @@ class QualityControlLogic {
                 };
             }
 
+            if (session.SessionTypeName) {
+                this.sessionTypeBySession.set(sessionId, session.SessionTypeName);
+            }
+
             // Optionale Validierung für QC-SessionType
             if (session.SessionTypeName && session.SessionTypeName !== 'Qualitätskontrolle') {
                 console.warn(`Session ${sessionId} hat SessionType '${session.SessionTypeName}' statt 'Qualitätskontrolle'`);
@@ -526,6 +1205,364 @@ class QualityControlLogic {
         };
     }
 
+    /**
+     * Ermittelt die Pflichtangaben für Qualitätsdaten einer Session
+     * @param {number} sessionId - Session ID
+     * @returns {Promise<Object>} - { requireQualityRating, requireDefectCheck, allowRework, source }
+     */
+    async getQualityRequirements(sessionId) {
+        const rules = await this.getRulesForSession(sessionId);
+        return this.toQualityRequirements(rules);
+    }
+
+    /**
+     * Pflichtangaben für Qualitätsdaten aus einem Regelsatz
+     * @param {Object} rules - Ergebnis von getRulesForSessionType()
+     * @returns {Object} - { requireQualityRating, requireDefectCheck, allowRework, source }
+     */
+    toQualityRequirements(rules) {
+        return {
+            requireQualityRating: rules.requireQualityRating,
+            requireDefectCheck: rules.requireDefectCheck,
+            allowRework: rules.allowRework,
+            source: rules.source
+        };
+    }
+
+    /**
+     * Validiert Qualitätsdaten eines Ausgang-Scans gegen die Pflichtangaben der Session
+     * @param {number} sessionId - Session ID
+     * @param {Object} qualityData - { rating, defectsFound, defectCodes, defectDescription, reworkRequired, notes }
+     * @returns {Promise<Object>} - { isValid, errors, qualityData, requirements }
+     */
+    async validateQualityData(sessionId, qualityData = {}) {
+        const requirements = await this.getQualityRequirements(sessionId);
+        return this.checkQualityData(qualityData, requirements);
+    }
+
+    /**
+     * Prüft Qualitätsdaten gegen bereits ermittelte Pflichtangaben (ohne Datenbankzugriff)
+     * @param {Object} qualityData - { rating, defectsFound, defectCodes, defectDescription, reworkRequired, notes }
+     * @param {Object} requirements - Ergebnis von getQualityRequirements()
+     * @returns {Object} - { isValid, errors, qualityData, requirements }
+     */
+    checkQualityData(qualityData, requirements) {
+        const quality = this.normalizeQualityData(qualityData);
+        const errors = [];
+
+        if (quality.rating === null) {
+            if (requirements.requireQualityRating) {
+                errors.push('Qualitätsbewertung (1-5) ist erforderlich');
+            }
+        } else if (!Number.isInteger(quality.rating) || quality.rating < 1 || quality.rating > 5) {
+            errors.push('Qualitätsbewertung muss zwischen 1 und 5 liegen');
+        }
+
+        if (quality.defectsFound === null) {
+            if (requirements.requireDefectCheck) {
+                errors.push('Angabe zu Fehlern ist erforderlich');
+            }
+        } else if (quality.defectsFound) {
+            // Mit Fehlerkatalog sind Codes Pflicht, sonst die freie Beschreibung
+            if (this.defectCatalog.length > 0 && quality.defectCodes.length === 0) {
+                errors.push('Mindestens ein Fehlercode ist erforderlich wenn Fehler gefunden wurden');
+            } else if (this.defectCatalog.length === 0 && !quality.defectDescription) {
+                errors.push('Fehlerbeschreibung ist erforderlich wenn Fehler gefunden wurden');
+            }
+        }
+
+        const unknownCodes = this.defectCatalog.length > 0
+            ? quality.defectCodes.filter(id => !this.defectCatalog.some(entry => entry.id === id))
+            : [];
+        if (unknownCodes.length > 0) {
+            errors.push(`Unbekannte oder deaktivierte Fehlercodes: ${unknownCodes.join(', ')}`);
+        }
+
+        if (quality.reworkRequired && !requirements.allowRework) {
+            errors.push('Nacharbeit ist für diesen Session-Typ nicht zulässig');
+        }
+
+        if (quality.defectDescription && quality.defectDescription.length > 500) {
+            errors.push('Fehlerbeschreibung zu lang (maximal 500 Zeichen)');
+        }
+
+        if (quality.notes && quality.notes.length > 1000) {
+            errors.push('Notizen zu lang (maximal 1000 Zeichen)');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            qualityData: quality,
+            requirements
+        };
+    }
+
+    /**
+     * Normalisiert Qualitätsdaten aus dem Renderer
+     * Nicht beantwortete Felder bleiben null, damit Pflichtangaben erkannt werden
+     * @param {Object} qualityData - Rohdaten aus dem Formular
+     * @returns {Object} - { rating, defectsFound, defectCodes, defectDescription, reworkRequired, notes }
+     */
+    normalizeQualityData(qualityData = {}) {
+        const data = qualityData || {};
+        const toBoolean = (value) => {
+            if (value === null || value === undefined || value === '') return null;
+            return value === true || value === 1 || value === 'true' || value === '1';
+        };
+        const toText = (value) => {
+            if (value === null || value === undefined) return null;
+            const text = String(value).trim();
+            return text.length > 0 ? text : null;
+        };
+
+        const rating = data.rating === null || data.rating === undefined || data.rating === ''
+            ? null
+            : Number(data.rating);
+        const defectsFound = toBoolean(data.defectsFound);
+        const defectCodes = defectsFound && Array.isArray(data.defectCodes)
+            ? [...new Set(data.defectCodes.map(Number).filter(Number.isInteger))]
+            : [];
+
+        return {
+            rating,
+            defectsFound,
+            defectCodes,
+            defectDescription: defectsFound ? toText(data.defectDescription) : null,
+            reworkRequired: toBoolean(data.reworkRequired),
+            notes: toText(data.notes)
+        };
+    }
+
+    /**
+     * Prüft ob Qualitätsdaten erfasst wurden
+     * @param {Object} quality - Normalisierte Qualitätsdaten
+     * @returns {boolean}
+     */
+    hasQualityData(quality) {
+        return quality.rating !== null ||
+            quality.defectsFound !== null ||
+            quality.reworkRequired !== null ||
+            quality.notes !== null;
+    }
+
+    /**
+     * Standard-Pflichtangaben für Qualitätsdaten aus den Umgebungsvariablen
+     * (gelten wenn für den SessionType keine QualityControlConfig vorhanden ist)
+     * @returns {Object} - { requireQualityRating, requireDefectCheck, allowRework }
+     */
+    static getDefaultQualityRequirements() {
+        return {
+            requireQualityRating: process.env.QC_REQUIRE_QUALITY_RATING === 'true',
+            requireDefectCheck: process.env.QC_REQUIRE_DEFECT_CHECK !== 'false',
+            allowRework: process.env.QC_ALLOW_REWORK !== 'false'
+        };
+    }
+
+    /**
+     * Prüfdurchlauf für die Anzeige: Erstprüfung = Durchlauf 1, erste Nachprüfung = Durchlauf 2
+     * (ReworkCycle zählt ab 0) - Meldungen, Dashboard und Berichte nummerieren nur hierüber
+     * @param {number|null} reworkCycle - QualityControlSteps.ReworkCycle
+     * @returns {number}
+     */
+    static getReworkPass(reworkCycle) {
+        return (parseInt(reworkCycle) || 0) + 1;
+    }
+
+    /**
+     * Umgang mit offenen QC-Schritten bei automatischer Abmeldung ('abort' | 'review', Standard 'abort')
+     * @param {string} value - Konfigurationswert
+     * @returns {string} - Gültige Aktion
+     */
+    static normalizeIdleStepAction(value) {
+        const action = String(value || 'abort').trim().toLowerCase();
+
+        if (IDLE_STEP_ACTIONS.includes(action)) {
+            return action;
+        }
+
+        console.warn(`Unbekannte Aktion für offene QC-Schritte '${value}' - verwende 'abort'`);
+        return 'abort';
+    }
+
+    // ===== QC-REGELN PRO SESSIONTYPE =====
+
+    /**
+     * Lädt alle QC-Regeln aus QualityControlConfig in den Cache
+     * Bei Fehlern bleibt der bisherige Stand erhalten
+     * @returns {Promise<boolean>} - Erfolg
+     */
+    async loadSessionTypeConfig() {
+        try {
+            const [rows, checksum] = await Promise.all([
+                this.qcQueries.getQCConfigs(),
+                this.qcQueries.getQCConfigChecksum()
+            ]);
+
+            const rules = new Map();
+            for (const row of rows) {
+                rules.set(row.SessionTypeName, this.normalizeConfigRow(row));
+            }
+
+            this.sessionTypeRules = rules;
+            this.configChecksum = checksum;
+            this.configLoadedAt = new Date();
+
+            console.log(`⚙️ QC-Regeln geladen für ${rules.size} SessionType(s): ${Array.from(rules.keys()).join(', ') || '-'}`);
+            return true;
+
+        } catch (error) {
+            console.warn('QC-Regeln konnten nicht geladen werden - bisherige Werte bleiben aktiv:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Lädt die QC-Regeln neu, falls sich QualityControlConfig geändert hat
+     * @returns {Promise<boolean>} - True wenn neu geladen wurde
+     */
+    async refreshSessionTypeConfig() {
+        try {
+            const checksum = await this.qcQueries.getQCConfigChecksum();
+
+            if (checksum === this.configChecksum) {
+                return false;
+            }
+
+            console.log('⚙️ QualityControlConfig geändert - QC-Regeln werden neu geladen');
+            return await this.loadSessionTypeConfig();
+
+        } catch (error) {
+            // Datenbank nicht erreichbar - zwischengespeicherte Regeln weiter verwenden
+            return false;
+        }
+    }
+
+    /**
+     * Startet die periodische Prüfung auf Konfigurationsänderungen
+     */
+    startConfigRefresh() {
+        this.stopConfigRefresh();
+
+        this.configRefreshTimer = setInterval(() => {
+            this.refreshSessionTypeConfig();
+            this.loadDefectCatalog();
+        }, this.config.configRefreshIntervalMs);
+    }
+
+    stopConfigRefresh() {
+        if (this.configRefreshTimer) {
+            clearInterval(this.configRefreshTimer);
+            this.configRefreshTimer = null;
+        }
+    }
+
+    /**
+     * Wandelt eine QualityControlConfig-Zeile in einen Regelsatz um
+     * Nicht gesetzte Werte (NULL) fallen auf die Standardkonfiguration zurück
+     * @param {Object} row - Zeile aus QualityControlConfig
+     * @returns {Object} - Regelsatz
+     */
+    normalizeConfigRow(row) {
+        const defaults = this.getDefaultRules();
+        const flag = (value, fallback) => value === null || value === undefined ? fallback : !!value;
+        const number = (value, fallback) => {
+            const parsed = parseInt(value);
+            return isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+        };
+        // 0 schaltet Warnung bzw. Abmeldung für den SessionType ab
+        const minutes = (value, fallback) => {
+            const parsed = parseInt(value);
+            return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+        };
+
+        return {
+            sessionTypeName: row.SessionTypeName,
+            requireBothScans: flag(row.RequiresBothScans, defaults.requireBothScans),
+            allowParallelSteps: flag(row.AllowParallelSteps, defaults.allowParallelSteps),
+            maxParallelSteps: number(row.MaxParallelSteps, defaults.maxParallelSteps),
+            defaultPriority: number(row.DefaultPriority, defaults.defaultPriority),
+            stepTimeoutMinutes: number(row.AutoTimeoutMinutes, defaults.stepTimeoutMinutes),
+            requireQualityRating: flag(row.RequireQualityRating, defaults.requireQualityRating),
+            requireDefectCheck: flag(row.RequireDefectCheck, defaults.requireDefectCheck),
+            allowRework: flag(row.AllowRework, defaults.allowRework),
+            notifyOnLongDuration: flag(row.NotifyOnLongDuration, defaults.notifyOnLongDuration),
+            longDurationThresholdMinutes: number(row.LongDurationThresholdMinutes, defaults.longDurationThresholdMinutes),
+            notifyOnDefects: flag(row.NotifyOnDefects, defaults.notifyOnDefects),
+            idleWarningMinutes: minutes(row.IdleWarningMinutes, defaults.idleWarningMinutes),
+            idleLogoutMinutes: minutes(row.IdleLogoutMinutes, defaults.idleLogoutMinutes),
+            idleStepAction: row.IdleStepAction ? QualityControlLogic.normalizeIdleStepAction(row.IdleStepAction) : defaults.idleStepAction,
+            closeAtShiftEnd: flag(row.CloseAtShiftEnd, defaults.closeAtShiftEnd),
+            source: row.SessionTypeName
+        };
+    }
+
+    /**
+     * Standard-Regelsatz aus den Umgebungsvariablen
+     * @returns {Object} - Regelsatz
+     */
+    getDefaultRules() {
+        return {
+            sessionTypeName: null,
+            requireBothScans: this.config.requireBothScans,
+            allowParallelSteps: this.config.allowParallelSteps,
+            maxParallelSteps: this.config.maxParallelStepsPerSession,
+            defaultPriority: this.config.defaultPriority,
+            stepTimeoutMinutes: this.config.stepTimeoutMinutes,
+            requireQualityRating: this.config.requireQualityRating,
+            requireDefectCheck: this.config.requireDefectCheck,
+            allowRework: this.config.allowRework,
+            notifyOnLongDuration: this.config.notifyOnLongDuration,
+            longDurationThresholdMinutes: this.config.longDurationThresholdMinutes,
+            notifyOnDefects: this.config.notifyOnDefects,
+            idleWarningMinutes: this.config.idleWarningMinutes,
+            idleLogoutMinutes: this.config.idleLogoutMinutes,
+            idleStepAction: this.config.idleStepAction,
+            closeAtShiftEnd: this.config.closeAtShiftEnd,
+            source: 'environment'
+        };
+    }
+
+    /**
+     * Regelsatz für einen SessionType (ohne Datenbankzugriff)
+     * @param {string|null} sessionTypeName - Name des SessionTypes
+     * @returns {Object} - Regelsatz
+     */
+    getRulesForSessionType(sessionTypeName) {
+        if (sessionTypeName && this.sessionTypeRules.has(sessionTypeName)) {
+            return this.sessionTypeRules.get(sessionTypeName);
+        }
+
+        return {
+            ...this.getDefaultRules(),
+            sessionTypeName: sessionTypeName || null
+        };
+    }
+
+    /**
+     * Regelsatz für den SessionType einer Session
+     * @param {number} sessionId - Session ID
+     * @returns {Promise<Object>} - Regelsatz
+     */
+    async getRulesForSession(sessionId) {
+        let sessionTypeName = this.sessionTypeBySession.get(sessionId);
+
+        if (!sessionTypeName) {
+            try {
+                const session = await this.dbClient.getSessionWithType(sessionId);
+                sessionTypeName = session ? session.SessionTypeName : null;
+
+                if (sessionTypeName) {
+                    this.sessionTypeBySession.set(sessionId, sessionTypeName);
+                }
+            } catch (error) {
+                console.warn(`SessionType für Session ${sessionId} nicht ermittelbar:`, error.message);
+            }
+        }
+
+        return this.getRulesForSessionType(sessionTypeName);
+    }
+
     // ===== CACHE MANAGEMENT =====
 
     /**
@@ -575,8 +1612,12 @@ class QualityControlLogic {
      */
     clearSessionFromCache(sessionId) {
         try {
+            for (const stepId of this.activeStepsCache.get(sessionId) || []) {
+                this.checklistCache.delete(stepId);
+            }
             this.activeStepsCache.delete(sessionId);
             this.scanStateCache.delete(sessionId);
+            this.sessionTypeBySession.delete(sessionId);
         } catch (error) {
             console.warn('Fehler beim Cache-Bereinigen:', error);
         }
@@ -588,6 +1629,7 @@ class QualityControlLogic {
      */
     removeStepFromCache(stepId) {
         try {
+            this.checklistCache.delete(stepId);
             for (const [sessionId, stepsSet] of this.activeStepsCache.entries()) {
                 stepsSet.delete(stepId);
                 if (stepsSet.size === 0) {
@@ -726,10 +1768,11 @@ class QualityControlLogic {
      */
     async getQCOverviewForSession(sessionId) {
         try {
-            const [activeSteps, completedToday, sessionStats] = await Promise.all([
+            const [activeSteps, completedToday, sessionStats, rules] = await Promise.all([
                 this.getActiveQCStepsForSession(sessionId),
                 this.getCompletedQCStepsToday(sessionId),
-                this.getQCStatsForSession(sessionId)
+                this.getQCStatsForSession(sessionId),
+                this.getRulesForSession(sessionId)
             ]);
 
             const scanState = this.scanStateCache.get(sessionId) || {
@@ -747,9 +1790,10 @@ class QualityControlLogic {
                 completedTodayCount: completedToday.length,
                 sessionStats: sessionStats,
                 limits: {
-                    maxParallelSteps: this.config.maxParallelStepsPerSession,
-                    stepTimeoutMinutes: this.config.stepTimeoutMinutes
+                    maxParallelSteps: rules.allowParallelSteps ? rules.maxParallelSteps : 1,
+                    stepTimeoutMinutes: rules.stepTimeoutMinutes
                 },
+                rules: rules,
                 generatedAt: new Date().toISOString()
             };
 
@@ -853,6 +1897,11 @@ class QualityControlLogic {
                 totalActiveSteps: Array.from(this.activeStepsCache.values())
                     .reduce((total, stepsSet) => total + stepsSet.size, 0)
             },
+            sessionTypeConfig: {
+                sessionTypes: Array.from(this.sessionTypeRules.keys()),
+                loadedAt: this.configLoadedAt ? this.configLoadedAt.toISOString() : null,
+                refreshIntervalMs: this.config.configRefreshIntervalMs
+            },
             initialized: !!(this.dbClient && this.qcQueries),
             timestamp: new Date().toISOString()
         };
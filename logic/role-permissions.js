@@ -0,0 +1,78 @@
+/**
+ * RolePermissions - Rollen der Mitarbeiter und die Aktionen, die sie an der Station ausführen dürfen
+ *
+ * Die Rolle steht in ScannBenutzer.Rolle und wird bei der RFID-Anmeldung in die
+ * lokale Session übernommen. Rollen sind aufsteigend geordnet, eine höhere Rolle
+ * darf alles, was eine niedrigere darf.
+ */
+
+const ROLES = ['operator', 'lead', 'admin'];
+
+const ROLE_LABELS = {
+    operator: 'Mitarbeiter',
+    lead: 'QC-Leitung',
+    admin: 'Admin'
+};
+
+// Mindestrolle je Aktion
+const PERMISSIONS = {
+    'session.end.own': 'operator',
+    'session.restart.own': 'operator',
+    'session.end.other': 'lead',      // bricht die QC-Schritte des anderen Mitarbeiters ab
+    'session.restart.other': 'lead',  // ebenso
+    'session.create': 'lead',         // Session ohne Badge-Scan anlegen
+    'qc.step.other': 'lead',          // QC-Schritt eines anderen Mitarbeiters abschließen
+    'rfid.simulate': 'admin',
+    'settings.open': 'admin'          // Benutzerverwaltung freischalten
+};
+
+const DEFAULT_ROLE = 'operator';
+
+class RolePermissions {
+    /**
+     * Unbekannte oder leere Rollen gelten als Mitarbeiter
+     */
+    normalizeRole(role) {
+        const value = String(role || '').trim().toLowerCase();
+        return ROLES.includes(value) ? value : DEFAULT_ROLE;
+    }
+
+    isValidRole(role) {
+        return ROLES.includes(String(role || '').trim().toLowerCase());
+    }
+
+    getRoles() {
+        return ROLES.map(role => ({ id: role, label: ROLE_LABELS[role] }));
+    }
+
+    getRoleLabel(role) {
+        return ROLE_LABELS[this.normalizeRole(role)];
+    }
+
+    /**
+     * @param {string} role - Rolle des handelnden Mitarbeiters
+     * @param {string} permission - Schlüssel aus PERMISSIONS
+     */
+    can(role, permission) {
+        const requiredRole = PERMISSIONS[permission];
+        if (!requiredRole) {
+            console.warn(`⚠️ Unbekannte Berechtigung: ${permission}`);
+            return false;
+        }
+
+        return ROLES.indexOf(this.normalizeRole(role)) >= ROLES.indexOf(requiredRole);
+    }
+
+    getRequiredRole(permission) {
+        return PERMISSIONS[permission] || null;
+    }
+
+    /**
+     * Alle Berechtigungen einer Rolle (für die Anzeige im Renderer)
+     */
+    getPermissionsFor(role) {
+        return Object.keys(PERMISSIONS).filter(permission => this.can(role, permission));
+    }
+}
+
+module.exports = RolePermissions;
@@ -0,0 +1,391 @@
+/**
+ * SessionInactivityMonitor - Warnt bei inaktiven Sessions und meldet sie automatisch ab
+ *
+ * Läuft periodisch im Main-Prozess und prüft die Sessions der Station gegen die Regeln
+ * ihres SessionTypes (QualityControlConfig, sonst SESSION_* Umgebungsvariablen):
+ * - über IdleWarningMinutes ohne Scan → einmalige Warnung an der Station
+ * - über IdleLogoutMinutes ohne Scan → automatische Abmeldung
+ * - CloseAtShiftEnd → Sessions aus der vorherigen Schicht werden zum Schichtende beendet,
+ *   auch verwaiste Sessions ohne laufende Station
+ * Offene QC-Schritte werden dabei abgebrochen oder zur Prüfung markiert (IdleStepAction).
+ * Jede Warnung und Abmeldung landet in SessionInactivityEvents.
+ */
+
+const os = require('os');
+const ShiftReportScheduler = require('../reports/shift-report-scheduler');
+
+class SessionInactivityMonitor {
+    constructor(dbClient, qualityControlLogic, options = {}) {
+        if (!dbClient) {
+            throw new Error('DatabaseClient ist erforderlich für SessionInactivityMonitor');
+        }
+
+        if (!qualityControlLogic) {
+            throw new Error('QualityControlLogic ist erforderlich für SessionInactivityMonitor');
+        }
+
+        this.dbClient = dbClient;
+        this.qcLogic = qualityControlLogic;
+
+        this.intervalMs = options.intervalMs || parseInt(process.env.SESSION_IDLE_SWEEP_INTERVAL) || 60000;
+        this.station = options.station || process.env.STATION_NAME || os.hostname();
+
+        // Schichtgrenzen wie bei den Schichtberichten
+        this.shifts = ShiftReportScheduler.parseShiftDefinitions(
+            options.shifts || process.env.SHIFT_DEFINITIONS || ShiftReportScheduler.DEFAULT_SHIFT_DEFINITIONS
+        );
+
+        // Übergabezeit: frühe Anmeldungen gehören zur neuen Schicht, alte Sessions enden erst danach
+        const overlapMinutes = parseInt(process.env.SESSION_SHIFT_OVERLAP_MINUTES);
+        this.shiftOverlapMs = (options.shiftOverlapMinutes !== undefined
+            ? options.shiftOverlapMinutes
+            : (Number.isInteger(overlapMinutes) && overlapMinutes >= 0 ? overlapMinutes : 15)) * 60000;
+
+        // Callbacks (Main-Prozess hält die lokalen Sessions und leitet an den Renderer weiter)
+        this.getSessions = options.getSessions || (() => []);
+        this.resolveSessionId = options.resolveSessionId || (sessionId => sessionId);
+        this.onWarning = options.onWarning || null;
+        this.onSessionClosed = options.onSessionClosed || null;
+        this.isAvailable = options.isAvailable || (() => true);
+
+        this.timer = null;
+        this.isSweeping = false;
+        this.warnedSessions = new Map(); // Session-ID -> Warnungsdaten
+        this.lastSweep = null;
+    }
+
+    // ===== STEUERUNG =====
+
+    start() {
+        this.stop();
+
+        this.timer = setInterval(() => {
+            this.sweep();
+        }, this.intervalMs);
+
+        console.log(`💤 Inaktivitäts-Überwachung gestartet (alle ${Math.round(this.intervalMs / 1000)}s, Schichten: ${this.shifts.map(shift => shift.label).join(', ')})`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Aktivität in einer Session (Scan, "Ich bin noch da") - Warnung zurücknehmen
+     * @returns {boolean} - True wenn eine Warnung offen war
+     */
+    clearWarning(sessionId) {
+        return this.warnedSessions.delete(sessionId);
+    }
+
+    // ===== PRÜFUNG =====
+
+    /**
+     * Prüft alle Sessions einmal
+     * @returns {Promise<Object|null>} - Zusammenfassung oder null falls übersprungen
+     */
+    async sweep() {
+        if (this.isSweeping || !this.isAvailable()) {
+            return null;
+        }
+
+        this.isSweeping = true;
+
+        const now = new Date();
+        const summary = {
+            checkedAt: now.toISOString(),
+            checked: 0,
+            warned: 0,
+            loggedOut: 0,
+            shiftEnd: 0,
+            errors: 0
+        };
+
+        try {
+            const shiftStart = this.getCurrentShiftStart(now);
+            const sessions = this.getSessions();
+            const localIds = new Set();
+
+            // Warnungen für nicht mehr aktive Sessions vergessen
+            const activeIds = new Set(sessions.map(session => session.sessionId));
+            for (const sessionId of this.warnedSessions.keys()) {
+                if (!activeIds.has(sessionId)) {
+                    this.warnedSessions.delete(sessionId);
+                }
+            }
+
+            for (const session of sessions) {
+                summary.checked++;
+                localIds.add(this.resolveSessionId(session.sessionId));
+
+                try {
+                    const rules = this.qcLogic.getRulesForSessionType(session.sessionType);
+                    const idleMinutes = this.getIdleMinutes(session, now);
+
+                    if (rules.closeAtShiftEnd && this.startedBeforeShift(session.startTime, shiftStart)) {
+                        if (await this.closeSession(session, 'shift_end', rules, idleMinutes, shiftStart, true)) {
+                            summary.shiftEnd++;
+                        }
+                    } else if (rules.idleLogoutMinutes > 0 && idleMinutes >= rules.idleLogoutMinutes) {
+                        if (await this.closeSession(session, 'idle_logout', rules, idleMinutes, shiftStart, true)) {
+                            summary.loggedOut++;
+                        }
+                    } else if (rules.idleWarningMinutes > 0 &&
+                        idleMinutes >= rules.idleWarningMinutes &&
+                        !this.warnedSessions.has(session.sessionId)) {
+
+                        await this.warn(session, rules, idleMinutes);
+                        summary.warned++;
+                    }
+                } catch (error) {
+                    summary.errors++;
+                    console.error(`Fehler bei Inaktivitäts-Prüfung von Session ${session.sessionId}:`, error);
+                }
+            }
+
+            summary.shiftEnd += await this.closeStaleSessions(shiftStart, localIds, summary);
+
+            if (summary.warned > 0 || summary.loggedOut > 0 || summary.shiftEnd > 0) {
+                console.log(`💤 Inaktivitäts-Prüfung: ${summary.checked} Sessions, ${summary.warned} Warnungen, ${summary.loggedOut} abgemeldet, ${summary.shiftEnd} zum Schichtende beendet`);
+            }
+
+        } catch (error) {
+            summary.errors++;
+            console.warn('Inaktivitäts-Prüfung fehlgeschlagen:', error.message);
+        } finally {
+            this.isSweeping = false;
+            this.lastSweep = summary;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Beendet zum Schichtende auch Sessions ohne lokalen Zustand
+     * (andere Stationen, Sessions von vor einem Neustart der App)
+     * @returns {Promise<number>} - Anzahl beendeter Sessions
+     */
+    async closeStaleSessions(shiftStart, localIds, summary) {
+        if (!shiftStart) {
+            return 0;
+        }
+
+        const dbSessions = await this.dbClient.getActiveSessionsWithType();
+        let closed = 0;
+
+        for (const dbSession of dbSessions) {
+            if (localIds.has(dbSession.ID) || !this.startedBeforeShift(dbSession.StartTS, shiftStart)) {
+                continue;
+            }
+
+            const rules = this.qcLogic.getRulesForSessionType(dbSession.SessionTypeName);
+            if (!rules.closeAtShiftEnd) {
+                continue;
+            }
+
+            const session = {
+                sessionId: dbSession.ID,
+                userId: dbSession.UserID,
+                userName: dbSession.BenutzerName || null,
+                sessionType: dbSession.SessionTypeName || null,
+                startTime: dbSession.StartTS,
+                lastActivity: null
+            };
+
+            try {
+                if (await this.closeSession(session, 'shift_end', rules, null, shiftStart, false)) {
+                    closed++;
+                }
+            } catch (error) {
+                summary.errors++;
+                console.error(`Fehler beim Beenden der Session ${dbSession.ID} zum Schichtende:`, error);
+            }
+        }
+
+        return closed;
+    }
+
+    async warn(session, rules, idleMinutes) {
+        const lastActivity = new Date(session.lastActivity);
+        const logoutAt = rules.idleLogoutMinutes > idleMinutes
+            ? new Date(lastActivity.getTime() + rules.idleLogoutMinutes * 60000)
+            : null;
+
+        const data = {
+            ...this.toEventData(session, rules, idleMinutes),
+            logoutAt: logoutAt ? logoutAt.toISOString() : null
+        };
+
+        this.warnedSessions.set(session.sessionId, data);
+
+        console.warn(`💤 ${session.userName || `Benutzer ${session.userId}`}: seit ${idleMinutes} min keine Aktivität (Session ${session.sessionId})`);
+        await this.record(session, 'idle_warning', {
+            idleMinutes,
+            details: logoutAt ? `Abmeldung nach ${rules.idleLogoutMinutes} min` : null
+        });
+
+        this.notify(this.onWarning, data);
+    }
+
+    /**
+     * Offene QC-Schritte nach Regel behandeln und Session beenden
+     * @param {boolean} local - Session hat lokalen Zustand an dieser Station
+     * @returns {Promise<boolean>} - True wenn diese Station die Session beendet hat
+     */
+    async closeSession(session, eventType, rules, idleMinutes, shiftStart, local) {
+        const sessionId = this.resolveSessionId(session.sessionId);
+        if (!sessionId) {
+            return false;
+        }
+
+        const reason = eventType === 'shift_end'
+            ? `Schichtende ${this.formatTime(shiftStart)}`
+            : `Automatische Abmeldung nach ${idleMinutes} min ohne Aktivität`;
+
+        const affectedSteps = rules.idleStepAction === 'review'
+            ? await this.qcLogic.flagActiveStepsForSession(sessionId, reason)
+            : await this.qcLogic.abortActiveStepsForSession(sessionId, reason);
+
+        const ended = await this.dbClient.endSession(sessionId);
+        this.warnedSessions.delete(session.sessionId);
+
+        // Lokal auch abmelden, wenn eine andere Station die Session schon beendet hat
+        if (local) {
+            this.notify(this.onSessionClosed, {
+                ...this.toEventData(session, rules, idleMinutes),
+                sessionId,
+                eventType,
+                reason,
+                stepAction: rules.idleStepAction,
+                affectedSteps
+            });
+        }
+
+        if (!ended) {
+            return false;
+        }
+
+        const stepText = affectedSteps > 0
+            ? `, ${affectedSteps} QC-Schritte ${rules.idleStepAction === 'review' ? 'zur Prüfung markiert' : 'abgebrochen'}`
+            : '';
+        console.warn(`💤 Session ${sessionId} (${session.userName || `Benutzer ${session.userId}`}) beendet: ${reason}${stepText}`);
+
+        await this.record({ ...session, sessionId }, eventType, {
+            idleMinutes,
+            stepAction: rules.idleStepAction,
+            affectedSteps,
+            details: reason
+        });
+
+        return true;
+    }
+
+    // ===== SCHICHTEN =====
+
+    /**
+     * Beginn der laufenden Schicht, sobald die Übergabezeit vorbei ist
+     * @param {Date} now
+     * @returns {Date|null}
+     */
+    getCurrentShiftStart(now) {
+        const referenceTime = new Date(now.getTime() - this.shiftOverlapMs);
+        let latest = null;
+
+        for (let dayOffset = -1; dayOffset <= 0; dayOffset++) {
+            for (const shift of this.shifts) {
+                const time = new Date(
+                    referenceTime.getFullYear(),
+                    referenceTime.getMonth(),
+                    referenceTime.getDate() + dayOffset,
+                    Math.floor(shift.startMinutes / 60),
+                    shift.startMinutes % 60
+                );
+
+                if (time <= referenceTime && (!latest || time > latest)) {
+                    latest = time;
+                }
+            }
+        }
+
+        return latest;
+    }
+
+    startedBeforeShift(startTime, shiftStart) {
+        if (!shiftStart || !startTime) {
+            return false;
+        }
+
+        const started = new Date(startTime);
+        return !isNaN(started.getTime()) && started.getTime() < shiftStart.getTime() - this.shiftOverlapMs;
+    }
+
+    // ===== HILFSFUNKTIONEN =====
+
+    getIdleMinutes(session, now) {
+        const lastActivity = new Date(session.lastActivity || session.startTime);
+        if (isNaN(lastActivity.getTime())) {
+            return 0;
+        }
+
+        return Math.max(0, Math.floor((now.getTime() - lastActivity.getTime()) / 60000));
+    }
+
+    async record(session, eventType, entry = {}) {
+        try {
+            await this.dbClient.addInactivityEvent({
+                sessionId: this.resolveSessionId(session.sessionId),
+                userId: session.userId,
+                eventType,
+                station: this.station,
+                ...entry
+            });
+        } catch (error) {
+            console.error('Inaktivitäts-Ereignis konnte nicht protokolliert werden:', error);
+        }
+    }
+
+    toEventData(session, rules, idleMinutes) {
+        return {
+            sessionId: session.sessionId,
+            userId: session.userId,
+            userName: session.userName || null,
+            sessionType: session.sessionType || null,
+            idleMinutes,
+            warningMinutes: rules.idleWarningMinutes,
+            logoutMinutes: rules.idleLogoutMinutes,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    formatTime(date) {
+        return date
+            ? `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`
+            : '-';
+    }
+
+    notify(callback, data) {
+        if (typeof callback !== 'function') return;
+
+        try {
+            callback(data);
+        } catch (error) {
+            console.error('Fehler im Inaktivitäts-Callback:', error);
+        }
+    }
+
+    getStatus() {
+        return {
+            running: !!this.timer,
+            intervalMs: this.intervalMs,
+            shifts: this.shifts.map(shift => ({ name: shift.name, start: shift.label })),
+            shiftOverlapMinutes: this.shiftOverlapMs / 60000,
+            warnedSessions: this.warnedSessions.size,
+            lastSweep: this.lastSweep
+        };
+    }
+}
+
+module.exports = SessionInactivityMonitor;
@@ -0,0 +1,276 @@
+/**
+ * SupervisorDashboard - Live-Übersicht aller Stationen für die Schichtleitung
+ *
+ * Baut im Main-Prozess einen Snapshot aus der Datenbank (aktive Sessions aller
+ * Stationen, laufende QC-Schritte, Fehlerbefunde, stündlicher Durchsatz) und
+ * schiebt ihn an das Dashboard-Fenster. Aktualisiert wird bei QC-/Session-
+ * Ereignissen (gebündelt) und zusätzlich in einem festen Intervall, damit auch
+ * Änderungen anderer Stationen ankommen. Das Fenster selbst fragt nicht ab.
+ */
+
+const QualityControlLogic = require('./quality-control-logic');
+
+class SupervisorDashboard {
+    constructor(dbClient, qualityControlQueries, qualityControlLogic, options = {}) {
+        if (!dbClient) {
+            throw new Error('DatabaseClient ist erforderlich für SupervisorDashboard');
+        }
+
+        if (!qualityControlQueries) {
+            throw new Error('QualityControlQueries ist erforderlich für SupervisorDashboard');
+        }
+
+        this.dbClient = dbClient;
+        this.qcQueries = qualityControlQueries;
+        this.qcLogic = qualityControlLogic || null;
+
+        this.intervalMs = options.intervalMs || parseInt(process.env.SUPERVISOR_DASHBOARD_INTERVAL) || 15000;
+        this.debounceMs = options.debounceMs !== undefined ? options.debounceMs : 1000;
+
+        // Callbacks (Main-Prozess leitet an das Dashboard-Fenster weiter)
+        this.onUpdate = options.onUpdate || null;
+        this.isAvailable = options.isAvailable || (() => true);
+
+        this.timer = null;
+        this.debounceTimer = null;
+        this.isPublishing = false;
+        this.pendingPublish = false;
+        this.lastSnapshot = null;
+    }
+
+    // ===== STEUERUNG =====
+
+    start() {
+        this.stop();
+
+        this.timer = setInterval(() => {
+            this.publish();
+        }, this.intervalMs);
+
+        console.log(`📊 Schichtleitungs-Dashboard aktiv (Aktualisierung alle ${Math.round(this.intervalMs / 1000)}s und bei QC-Ereignissen)`);
+
+        this.publish();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        if (this.debounceTimer) {
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = null;
+        }
+    }
+
+    isRunning() {
+        return !!this.timer;
+    }
+
+    /**
+     * Fordert eine Aktualisierung nach einem Ereignis an
+     * Mehrere Ereignisse kurz hintereinander werden zu einem Snapshot gebündelt
+     */
+    requestUpdate() {
+        if (!this.isRunning() || this.debounceTimer) {
+            return;
+        }
+
+        this.debounceTimer = setTimeout(() => {
+            this.debounceTimer = null;
+            this.publish();
+        }, this.debounceMs);
+    }
+
+    // ===== SNAPSHOT =====
+
+    /**
+     * Erstellt einen Snapshot und sendet ihn über onUpdate
+     * @returns {Promise<Object|null>} - Snapshot oder null falls bereits in Arbeit
+     */
+    async publish() {
+        if (this.isPublishing) {
+            // Nach dem laufenden Snapshot erneut aktualisieren
+            this.pendingPublish = true;
+            return null;
+        }
+
+        this.isPublishing = true;
+
+        try {
+            const snapshot = await this.buildSnapshot();
+            this.lastSnapshot = snapshot;
+
+            if (typeof this.onUpdate === 'function') {
+                try {
+                    this.onUpdate(snapshot);
+                } catch (error) {
+                    console.error('Fehler im Dashboard-Callback:', error);
+                }
+            }
+
+            return snapshot;
+        } finally {
+            this.isPublishing = false;
+
+            if (this.pendingPublish) {
+                this.pendingPublish = false;
+                this.requestUpdate();
+            }
+        }
+    }
+
+    /**
+     * Sammelt alle Dashboard-Daten aus der Datenbank
+     * @returns {Promise<Object>} - { available, overview, sessions, activeSteps, defectsToday, reworkQueue, hourly, daily, performance, timestamp }
+     */
+    async buildSnapshot() {
+        const timestamp = new Date().toISOString();
+
+        if (!this.isAvailable()) {
+            return this.createUnavailableSnapshot('Datenbank nicht verbunden', timestamp);
+        }
+
+        try {
+            const [
+                multiUser,
+                activeSteps,
+                defectsToday,
+                reworkQueue,
+                hourlyQC,
+                hourlyScans,
+                daily,
+                performance,
+                completedToday
+            ] = await Promise.all([
+                this.dbClient.getMultiUserDashboard(),
+                this.qcQueries.getAllActiveQCSteps(),
+                this.qcQueries.getDefectsFoundToday(),
+                this.qcQueries.getReworkQueue(),
+                this.qcQueries.getHourlyQCThroughput(),
+                this.dbClient.getHourlyActivity(),
+                this.qcQueries.getDailyQCStats(7),
+                this.qcQueries.getUserQCPerformance(1),
+                this.qcQueries.getCompletedQCStepsCountToday()
+            ]);
+
+            const steps = activeSteps.map(step => this.toStepData(step));
+
+            // Aktive QC-Schritte je Session zählen
+            const stepsBySession = new Map();
+            for (const step of steps) {
+                const counts = stepsBySession.get(step.sessionId) || { active: 0, overThreshold: 0 };
+                counts.active++;
+                if (step.overThreshold) counts.overThreshold++;
+                stepsBySession.set(step.sessionId, counts);
+            }
+
+            const sessions = multiUser.activeSessions.map(session => ({
+                ...session,
+                activeQCSteps: (stepsBySession.get(session.sessionId) || {}).active || 0,
+                overThresholdSteps: (stepsBySession.get(session.sessionId) || {}).overThreshold || 0
+            }));
+
+            return {
+                available: true,
+                overview: {
+                    ...multiUser.overview,
+                    activeQCSteps: steps.length,
+                    overThresholdSteps: steps.filter(step => step.overThreshold).length,
+                    reviewRequiredSteps: steps.filter(step => step.reviewRequired).length,
+                    completedQCStepsToday: completedToday,
+                    defectsToday: defectsToday.length,
+                    openRework: reworkQueue.length
+                },
+                sessions,
+                activeSteps: steps,
+                defectsToday,
+                reworkQueue: reworkQueue.map(step => ({
+                    ...step,
+                    ReworkPass: QualityControlLogic.getReworkPass(step.ReworkCycle)
+                })),
+                hourly: this.mergeHourly(hourlyQC, hourlyScans),
+                daily,
+                performance,
+                timestamp
+            };
+
+        } catch (error) {
+            console.warn('Dashboard-Snapshot fehlgeschlagen:', error.message);
+            return this.createUnavailableSnapshot(error.message, timestamp);
+        }
+    }
+
+    /**
+     * Aktiver QC-Schritt mit Schwellen aus den QC-Regeln seines SessionTypes
+     */
+    toStepData(step) {
+        const rules = this.qcLogic ? this.qcLogic.getRulesForSessionType(step.SessionTypeName) : null;
+        const durationMinutes = step.DurationMinutes || 0;
+        const thresholdMinutes = rules ? rules.longDurationThresholdMinutes : null;
+        const timeoutMinutes = rules ? rules.stepTimeoutMinutes : null;
+
+        return {
+            stepId: step.ID,
+            sessionId: step.SessionID,
+            qrCode: step.QrCode,
+            userId: step.UserID,
+            userName: step.UserName || null,
+            sessionType: step.SessionTypeName || null,
+            startTime: step.StartTime,
+            durationSeconds: step.DurationSeconds !== undefined ? step.DurationSeconds : durationMinutes * 60,
+            durationMinutes,
+            thresholdMinutes,
+            timeoutMinutes,
+            overThreshold: thresholdMinutes !== null && durationMinutes >= thresholdMinutes,
+            reviewRequired: !!step.ReviewRequired
+        };
+    }
+
+    /**
+     * Stündliche QC-Abschlüsse und QR-Scans zu einer Reihe zusammenführen
+     */
+    mergeHourly(hourlyQC, hourlyScans) {
+        return Array.from({ length: 24 }, (_, hour) => {
+            const qc = hourlyQC.find(entry => entry.Hour === hour) || {};
+            const scans = hourlyScans.find(entry => entry.Hour === hour) || {};
+
+            return {
+                hour,
+                label: `${hour.toString().padStart(2, '0')}:00`,
+                completedSteps: qc.CompletedSteps || 0,
+                defectSteps: qc.DefectSteps || 0,
+                avgDurationSeconds: qc.AvgDurationSeconds || null,
+                scans: scans.ScanCount || 0
+            };
+        });
+    }
+
+    createUnavailableSnapshot(reason, timestamp) {
+        return {
+            available: false,
+            reason,
+            overview: null,
+            sessions: [],
+            activeSteps: [],
+            defectsToday: [],
+            reworkQueue: [],
+            hourly: [],
+            daily: [],
+            performance: [],
+            timestamp
+        };
+    }
+
+    getStatus() {
+        return {
+            running: this.isRunning(),
+            intervalMs: this.intervalMs,
+            lastSnapshotAt: this.lastSnapshot ? this.lastSnapshot.timestamp : null,
+            lastSnapshotAvailable: this.lastSnapshot ? this.lastSnapshot.available : null
+        };
+    }
+}
+
+module.exports = SupervisorDashboard;
@@ -0,0 +1,338 @@
+/**
+ * UserAdministration - Benutzer anlegen, bearbeiten, deaktivieren und RFID-Badges zuordnen
+ *
+ * Prüft die Eingaben aus dem Admin-Fenster, hält Badges eindeutig (ein EPC gehört
+ * höchstens einem Benutzer) und schreibt jede Badge-Änderung mit Admin und Station
+ * in ScannBenutzerBadgeAudit. Tags kommen wie beim Login vom RFID-Leser (Format laut
+ * RFID_TAG_INPUT_FORMAT) und werden kanonisch wie ScannBenutzer.EPC (dezimal) gespeichert.
+ */
+
+const os = require('os');
+const RolePermissions = require('./role-permissions');
+const RFIDTagFormat = require('../utils/rfid-tag-format');
+const LoginPin = require('./login-pin');
+
+const FIELD_LIMITS = {
+    benutzerName: 100,
+    vorname: 100,
+    nachname: 100,
+    email: 255,
+    abteilung: 100
+};
+
+class UserAdministration {
+    constructor(dbClient, options = {}) {
+        if (!dbClient) {
+            throw new Error('DatabaseClient ist erforderlich für UserAdministration');
+        }
+
+        this.dbClient = dbClient;
+        this.station = options.station || process.env.STATION_NAME || os.hostname();
+        this.rolePermissions = options.rolePermissions || new RolePermissions();
+        this.loginPin = options.loginPin || new LoginPin();
+    }
+
+    // ===== BENUTZER =====
+
+    async getUsers(includeInactive = true) {
+        const users = await this.dbClient.getAllUsersForAdmin(includeInactive);
+
+        return users.map(user => ({
+            ...user,
+            BadgeTag: this.formatEPC(user.EPC)
+        }));
+    }
+
+    /**
+     * Prüft und normalisiert Benutzerdaten aus dem Formular
+     * @param {Object} data - { benutzerName, vorname, nachname, email, abteilung, rolle }
+     * @returns {Object} - { isValid, errors, data }
+     */
+    validateUserData(data = {}) {
+        const errors = [];
+        const normalized = {};
+
+        for (const [field, maxLength] of Object.entries(FIELD_LIMITS)) {
+            const value = data[field] === undefined || data[field] === null ? '' : String(data[field]).trim();
+            normalized[field] = value || null;
+
+            if (value.length > maxLength) {
+                errors.push(`${this.getFieldLabel(field)} darf höchstens ${maxLength} Zeichen haben`);
+            }
+        }
+
+        if (!normalized.benutzerName) {
+            errors.push('Benutzername ist erforderlich');
+        }
+
+        if (normalized.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized.email)) {
+            errors.push('E-Mail-Adresse ist ungültig');
+        }
+
+        if (data.rolle && !this.rolePermissions.isValidRole(data.rolle)) {
+            errors.push(`Unbekannte Rolle: ${data.rolle}`);
+        }
+        normalized.rolle = this.rolePermissions.normalizeRole(data.rolle);
+
+        return { isValid: errors.length === 0, errors, data: normalized };
+    }
+
+    async createUser(data, actor) {
+        try {
+            const validation = this.validateUserData(data);
+            if (!validation.isValid) {
+                return this.createResult(false, 'invalid', validation.errors.join(', '));
+            }
+
+            if (await this.dbClient.isBenutzerNameTaken(validation.data.benutzerName)) {
+                return this.createResult(false, 'duplicate', `Benutzername "${validation.data.benutzerName}" ist bereits vergeben`);
+            }
+
+            const userId = await this.dbClient.createUser(validation.data);
+            console.log(`👤 Benutzer ${validation.data.benutzerName} (ID ${userId}) angelegt von ${actor}`);
+
+            return this.createResult(true, 'created', `Benutzer ${validation.data.benutzerName} angelegt`, { userId });
+
+        } catch (error) {
+            console.error('Fehler beim Anlegen des Benutzers:', error);
+            return this.createResult(false, 'error', `Benutzer konnte nicht angelegt werden: ${error.message}`);
+        }
+    }
+
+    async updateUser(userId, data, actor) {
+        try {
+            const validation = this.validateUserData(data);
+            if (!validation.isValid) {
+                return this.createResult(false, 'invalid', validation.errors.join(', '));
+            }
+
+            if (await this.dbClient.isBenutzerNameTaken(validation.data.benutzerName, userId)) {
+                return this.createResult(false, 'duplicate', `Benutzername "${validation.data.benutzerName}" ist bereits vergeben`);
+            }
+
+            const updated = await this.dbClient.updateUser(userId, validation.data);
+            if (!updated) {
+                return this.createResult(false, 'not_found', `Benutzer ${userId} nicht gefunden`);
+            }
+
+            console.log(`👤 Benutzer ${userId} geändert von ${actor}`);
+            return this.createResult(true, 'updated', `Benutzer ${validation.data.benutzerName} gespeichert`, { userId });
+
+        } catch (error) {
+            console.error('Fehler beim Ändern des Benutzers:', error);
+            return this.createResult(false, 'error', `Benutzer konnte nicht gespeichert werden: ${error.message}`);
+        }
+    }
+
+    async setUserActive(userId, active, actor) {
+        try {
+            const updated = await this.dbClient.setUserActive(userId, active);
+            if (!updated) {
+                return this.createResult(false, 'not_found', `Benutzer ${userId} nicht gefunden`);
+            }
+
+            console.log(`👤 Benutzer ${userId} ${active ? 'aktiviert' : 'deaktiviert'} von ${actor}`);
+            return this.createResult(true, active ? 'activated' : 'deactivated',
+                active ? 'Benutzer aktiviert' : 'Benutzer deaktiviert - Anmeldung per Badge nicht mehr möglich', { userId });
+
+        } catch (error) {
+            console.error('Fehler beim Ändern des Benutzerstatus:', error);
+            return this.createResult(false, 'error', `Status konnte nicht geändert werden: ${error.message}`);
+        }
+    }
+
+    // ===== BADGES =====
+
+    /**
+     * Ordnet einem Benutzer ein gescanntes Badge zu
+     * Gehört das Badge bereits einem anderen Benutzer, ist eine Bestätigung (reassign) nötig
+     * @param {number} userId
+     * @param {string} tagId - Tag wie vom RFID-Leser
+     * @param {Object} options - { reassign, actor, reason }
+     */
+    async enrollBadge(userId, tagId, options = {}) {
+        try {
+            const epc = this.toEPCDecimal(tagId);
+            if (epc === null) {
+                return this.createResult(false, 'invalid', `Ungültiger RFID-Tag: ${tagId}`);
+            }
+
+            const user = await this.dbClient.getUserById(userId);
+            if (!user) {
+                return this.createResult(false, 'not_found', `Benutzer ${userId} nicht gefunden`);
+            }
+
+            const tag = this.formatEPC(epc);
+
+            if (user.EPC !== null && user.EPC !== undefined && String(user.EPC) === String(epc)) {
+                return this.createResult(true, 'unchanged', `Badge ${tag} ist bereits ${user.BenutzerName} zugeordnet`, { userId, tag });
+            }
+
+            const owners = await this.dbClient.findUsersByEPC(epc, userId);
+
+            if (owners.length > 1) {
+                return this.createResult(false, 'conflict',
+                    `Badge ${tag} ist mehreren Benutzern zugeordnet (${owners.map(owner => owner.BenutzerName).join(', ')}) - bitte Daten prüfen`,
+                    { userId, tag, tagId, conflictUsers: owners });
+            }
+
+            const owner = owners[0] || null;
+
+            if (owner && !options.reassign) {
+                return this.createResult(false, 'conflict',
+                    `Badge ${tag} gehört ${owner.BenutzerName}${owner.xStatus === 0 ? '' : ' (deaktiviert)'}`,
+                    { userId, tag, tagId, conflictUsers: [owner] });
+            }
+
+            const result = await this.dbClient.setUserEPC(userId, epc, {
+                changedBy: options.actor,
+                station: this.station,
+                reason: options.reason || null,
+                transferFromUserId: owner ? owner.ID : null
+            });
+
+            console.log(`🏷️ Badge ${tag} → ${user.BenutzerName} (${result.actionType}${owner ? `, übertragen von ${owner.BenutzerName}` : ''}) durch ${options.actor}`);
+
+            return this.createResult(true, result.actionType,
+                owner
+                    ? `Badge ${tag} von ${owner.BenutzerName} auf ${user.BenutzerName} übertragen`
+                    : `Badge ${tag} ${user.BenutzerName} zugeordnet`,
+                { userId, tag, previousTag: this.formatEPC(result.oldEPC), transferredFrom: owner ? owner.ID : null });
+
+        } catch (error) {
+            console.error('Fehler bei der Badge-Zuordnung:', error);
+            return this.createResult(false, 'error', `Badge konnte nicht zugeordnet werden: ${error.message}`);
+        }
+    }
+
+    /**
+     * Entfernt das Badge eines Benutzers (z.B. verloren, Ersatz folgt später)
+     */
+    async removeBadge(userId, options = {}) {
+        try {
+            const user = await this.dbClient.getUserById(userId);
+            if (!user) {
+                return this.createResult(false, 'not_found', `Benutzer ${userId} nicht gefunden`);
+            }
+
+            if (user.EPC === null || user.EPC === undefined) {
+                return this.createResult(true, 'unchanged', `${user.BenutzerName} hat kein Badge`, { userId });
+            }
+
+            await this.dbClient.setUserEPC(userId, null, {
+                changedBy: options.actor,
+                station: this.station,
+                reason: options.reason || null
+            });
+
+            console.log(`🏷️ Badge von ${user.BenutzerName} entfernt durch ${options.actor}`);
+            return this.createResult(true, 'removed', `Badge von ${user.BenutzerName} entfernt`, { userId });
+
+        } catch (error) {
+            console.error('Fehler beim Entfernen des Badges:', error);
+            return this.createResult(false, 'error', `Badge konnte nicht entfernt werden: ${error.message}`);
+        }
+    }
+
+    async getBadgeAudit(userId = null, limit = 100) {
+        const entries = await this.dbClient.getBadgeAudit(userId, limit);
+
+        return entries.map(entry => ({
+            ...entry,
+            OldTag: this.formatEPC(entry.OldEPC),
+            NewTag: this.formatEPC(entry.NewEPC)
+        }));
+    }
+
+    // ===== LOGIN-PIN =====
+
+    /**
+     * Login-PIN setzen (hebt eine Sperre nach Fehlversuchen auf)
+     */
+    async setUserPin(userId, pin, actor) {
+        try {
+            const error = this.loginPin.validatePin(pin);
+            if (error) {
+                return this.createResult(false, 'invalid', error);
+            }
+
+            const updated = await this.dbClient.setUserPin(userId, LoginPin.hashPin(pin), {
+                changedBy: actor,
+                station: this.station
+            });
+            if (!updated) {
+                return this.createResult(false, 'not_found', `Benutzer ${userId} nicht gefunden`);
+            }
+
+            console.log(`🔢 Login-PIN für Benutzer ${userId} gesetzt durch ${actor}`);
+            return this.createResult(true, 'pin_set', 'PIN gesetzt', { userId });
+
+        } catch (error) {
+            console.error('Fehler beim Setzen der PIN:', error);
+            return this.createResult(false, 'error', `PIN konnte nicht gesetzt werden: ${error.message}`);
+        }
+    }
+
+    async removeUserPin(userId, actor) {
+        try {
+            const updated = await this.dbClient.setUserPin(userId, null, {
+                changedBy: actor,
+                station: this.station
+            });
+            if (!updated) {
+                return this.createResult(false, 'not_found', `Benutzer ${userId} nicht gefunden`);
+            }
+
+            console.log(`🔢 Login-PIN für Benutzer ${userId} entfernt durch ${actor}`);
+            return this.createResult(true, 'pin_removed', 'PIN entfernt - Anmeldung an PIN-Stationen nicht mehr möglich', { userId });
+
+        } catch (error) {
+            console.error('Fehler beim Entfernen der PIN:', error);
+            return this.createResult(false, 'error', `PIN konnte nicht entfernt werden: ${error.message}`);
+        }
+    }
+
+    async getLoginAudit(userId = null, limit = 100) {
+        return await this.dbClient.getLoginAudit(userId, limit);
+    }
+
+    // ===== HILFSFUNKTIONEN =====
+
+    /**
+     * Tag → EPC wie in ScannBenutzer gespeichert (gleiche Umrechnung wie getUserByEPC)
+     * @returns {number|string|null} - Zahl, oberhalb von 2^53 dezimaler String
+     */
+    toEPCDecimal(tagId) {
+        const tagFormat = RFIDTagFormat.getShared();
+        return tagFormat.toQueryValue(tagFormat.normalize(tagId));
+    }
+
+    /**
+     * Gespeichertes EPC (dezimal) als Hex-Tag für die Anzeige
+     */
+    formatEPC(epc) {
+        return RFIDTagFormat.getShared().toHex(epc);
+    }
+
+    getFieldLabel(field) {
+        return {
+            benutzerName: 'Benutzername',
+            vorname: 'Vorname',
+            nachname: 'Nachname',
+            email: 'E-Mail',
+            abteilung: 'Abteilung'
+        }[field] || field;
+    }
+
+    createResult(success, status, message, data = null) {
+        return {
+            success,
+            status,
+            message,
+            data,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = UserAdministration;
@@ -1,5 +1,6 @@
-const { app, BrowserWindow, ipcMain, dialog, globalShortcut } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, globalShortcut, shell, nativeImage } = require('electron');
 const path = require('path');
+const fs = require('fs');
 require('dotenv').config();
 
 // Console-Encoding für Windows setzen
@@ -18,27 +19,80 @@ const DatabaseClient = require('./db/db-client');
 // SessionTypes Setup-Funktionen importieren
 const { setupSessionTypes } = require('./db/constants/session-types');
 
+// Versionierte Schema-Migrationen (db/migrations)
+const MigrationRunner = require('./db/migration-runner');
+
 // QC-spezifische Module
 const QualityControlLogic = require('./logic/quality-control-logic');
 const QualityControlQueries = require('./db/quality-control-queries');
+const QCTimeoutSweeper = require('./logic/qc-timeout-sweeper');
+const SessionInactivityMonitor = require('./logic/session-inactivity-monitor');
+const SupervisorDashboard = require('./logic/supervisor-dashboard');
+const QCPhotoEvidence = require('./logic/qc-photo-evidence');
+
+// QC-Berichte (CSV, XLSX, PDF)
+const QCReportExporter = require('./reports/qc-report-exporter');
+const ShiftReportScheduler = require('./reports/shift-report-scheduler');
+const QCLabelPrinter = require('./reports/qc-label-printer');
+
+// Benutzerverwaltung (Admin-Fenster, Badge-Zuordnung)
+const AdminAccess = require('./logic/admin-access');
+const UserAdministration = require('./logic/user-administration');
+
+// Anmeldung mit Badge und PIN (LOGIN_REQUIRE_PIN)
+const LoginPin = require('./logic/login-pin');
+
+// Benannte, geprüfte Datenbank-Operationen für den Renderer (kein freies SQL)
+const DatabaseIPCOperations = require('./db/db-ipc-operations');
+
+// Rollen (Mitarbeiter, QC-Leitung, Admin) und Berechtigungen
+const RolePermissions = require('./logic/role-permissions');
+
+// Zentrale QR-Dekodierung (Formate in qr/qr-formats.json)
+const QRParserRegistry = require('./qr/qr-parser-registry');
+
+// Offline-Betrieb: lokales Journal und Replay nach Wiederverbindung
+const OfflineJournal = require('./db/offline/offline-journal');
+const OfflineReplay = require('./logic/offline-replay');
 
-// Simple RFID Listener laden (ohne native Dependencies)
-let SimpleRFIDListener;
+// RFID-Leser: Treiberwahl per RFID_READER_MODE (evdev/HID über VID/PID, Fenster-Fallback)
+let RFIDReaderManager;
 try {
-    SimpleRFIDListener = require('./rfid/simple-rfid-listener');
-    console.log('✅ Simple RFID Listener geladen');
+    RFIDReaderManager = require('./rfid/rfid-reader-manager');
+    console.log('✅ RFID-Treiber geladen');
 } catch (error) {
-    console.warn('⚠️ Simple RFID Listener nicht verfügbar:', error.message);
+    console.warn('⚠️ RFID-Treiber nicht verfügbar:', error.message);
     console.log('💡 App läuft ohne RFID-Support');
 }
 
 class QualityControlMainApp {
     constructor() {
         this.mainWindow = null;
+        this.supervisorWindow = null;
+        this.adminWindow = null;
         this.rfidListener = null;
         this.dbClient = null;
         this.qualityControlLogic = null;
         this.qualityControlQueries = null;
+        this.qcTimeoutSweeper = null;
+        this.sessionInactivityMonitor = null;
+        this.qcPhotoEvidence = null;
+        this.supervisorDashboard = null;
+        this.qcReportExporter = null;
+        this.shiftReportScheduler = null;
+        this.qcLabelPrinter = null;
+        this.adminAccess = new AdminAccess();
+        this.loginPin = new LoginPin({ getClient: () => this.dbClient });
+        this.rolePermissions = new RolePermissions();
+        this.dbOperations = new DatabaseIPCOperations({
+            getClient: () => this.dbClient,
+            isAvailable: () => this.systemStatus.database
+        });
+        this.userAdministration = null;
+        this.rfidCapture = null; // { mode: 'admin-unlock'|'enroll'|'actor', userId, expiresAt } - nächster RFID-Scan geht an das Admin-Fenster bzw. bestätigt den Handelnden
+        this.badgeActor = null; // { userId, expiresAt } - per Badge bestätigter Mitarbeiter für die nächste Aktion mit Berechtigung
+        this.offlineJournal = null;
+        this.offlineReplay = null;
 
         // Status-Tracking
         this.systemStatus = {
@@ -46,6 +100,7 @@ class QualityControlMainApp {
             rfid: false,
             sessionTypesSetup: false,
             qualityControlSetup: false,
+            schemaVersion: null,
             lastError: null
         };
 
@@ -61,13 +116,17 @@ class QualityControlMainApp {
         this.qrScanRateLimit = new Map(); // sessionId -> scanTimes[]
         this.maxQRScansPerMinute = 30; // Höher für QC
 
+        // QR-Code Dekodierung (gemeinsame Parser-Registry mit der Datenbankschicht)
+        this.qrParser = QRParserRegistry.getShared();
+
         // QR-Code Dekodierung Statistiken (global)
         this.decodingStats = {
             totalScans: 0,
             successfulDecodes: 0,
             withAuftrag: 0,
             withPaket: 0,
-            withKunde: 0
+            withKunde: 0,
+            byFormat: {}
         };
 
         // RFID-Scan Tracking
@@ -77,6 +136,12 @@ class QualityControlMainApp {
         // SessionType für QC
         this.sessionTypePriority = ['Qualitätskontrolle', 'Wareneinlagerung'];
 
+        // Datenbank-Überwachung für Offline-Betrieb
+        this.databaseMonitorTimer = null;
+        this.databaseMonitorBusy = false;
+        this.databaseMonitorInterval = parseInt(process.env.DB_RECONNECT_INTERVAL) || 15000; // ms
+        this.lastOfflineReplayReport = null;
+
         this.initializeApp();
     }
 
@@ -196,31 +261,177 @@ class QualityControlMainApp {
         });
     }
 
+    /**
+     * Öffnet das Schichtleitungs-Dashboard (eigenes Fenster, nur eine Instanz)
+     */
+    openSupervisorWindow() {
+        if (this.supervisorWindow) {
+            if (this.supervisorWindow.isMinimized()) {
+                this.supervisorWindow.restore();
+            }
+            this.supervisorWindow.focus();
+            return;
+        }
+
+        this.supervisorWindow = new BrowserWindow({
+            width: parseInt(process.env.SUPERVISOR_WINDOW_WIDTH) || 1600,
+            height: parseInt(process.env.SUPERVISOR_WINDOW_HEIGHT) || 1000,
+            minWidth: 1200,
+            minHeight: 700,
+            webPreferences: {
+                nodeIntegration: false,
+                contextIsolation: true,
+                preload: path.join(__dirname, 'preload.js'),
+                enableRemoteModule: false,
+                webSecurity: true
+            },
+            show: false,
+            title: 'Schichtleitung - QC-Übersicht',
+            autoHideMenuBar: true,
+            ...(process.platform === 'win32' && {
+                icon: path.join(__dirname, 'assets/icon.ico')
+            })
+        });
+
+        this.supervisorWindow.loadFile('renderer/supervisor.html');
+
+        this.supervisorWindow.once('ready-to-show', () => {
+            this.supervisorWindow.show();
+        });
+
+        // Daten nur pushen solange das Fenster offen ist
+        this.supervisorWindow.webContents.on('did-finish-load', () => {
+            if (this.supervisorDashboard) {
+                this.supervisorDashboard.start();
+            }
+        });
+
+        this.supervisorWindow.on('closed', () => {
+            this.supervisorWindow = null;
+
+            if (this.supervisorDashboard) {
+                this.supervisorDashboard.stop();
+            }
+        });
+
+        this.supervisorWindow.webContents.on('will-navigate', (event, navigationUrl) => {
+            const parsedUrl = new URL(navigationUrl);
+            if (parsedUrl.origin !== 'file://') {
+                event.preventDefault();
+            }
+        });
+
+        console.log('📊 Schichtleitungs-Dashboard geöffnet');
+    }
+
+    /**
+     * Öffnet die Benutzerverwaltung (eigenes Fenster, nur eine Instanz)
+     * Beim Schließen wird der Admin-Modus beendet
+     */
+    openAdminWindow() {
+        if (this.adminWindow) {
+            if (this.adminWindow.isMinimized()) {
+                this.adminWindow.restore();
+            }
+            this.adminWindow.focus();
+            return;
+        }
+
+        this.adminWindow = new BrowserWindow({
+            width: 1280,
+            height: 860,
+            minWidth: 1000,
+            minHeight: 640,
+            webPreferences: {
+                nodeIntegration: false,
+                contextIsolation: true,
+                preload: path.join(__dirname, 'preload.js'),
+                enableRemoteModule: false,
+                webSecurity: true
+            },
+            show: false,
+            title: 'Benutzerverwaltung',
+            autoHideMenuBar: true,
+            ...(process.platform === 'win32' && {
+                icon: path.join(__dirname, 'assets/icon.ico')
+            })
+        });
+
+        this.adminWindow.loadFile('renderer/admin.html');
+
+        this.adminWindow.once('ready-to-show', () => {
+            this.adminWindow.show();
+        });
+
+        this.adminWindow.on('closed', () => {
+            this.adminWindow = null;
+            this.rfidCapture = null;
+            this.adminAccess.lock();
+        });
+
+        this.adminWindow.webContents.on('will-navigate', (event, navigationUrl) => {
+            const parsedUrl = new URL(navigationUrl);
+            if (parsedUrl.origin !== 'file://') {
+                event.preventDefault();
+            }
+        });
+
+        console.log('🛠️ Benutzerverwaltung geöffnet');
+    }
+
     async initializeComponents() {
         console.log('🔄 Initialisiere QC-Systemkomponenten...');
 
+        // Offline-Journal vor der Datenbank laden
+        this.initializeOfflineJournal();
+
         // Datenbank zuerst
         await this.initializeDatabase();
 
         // QC-Module initialisieren
         await this.initializeQualityControl();
 
+        // Offene Offline-Einträge aus vorherigem Lauf nachtragen
+        if (this.systemStatus.database && this.offlineJournal && this.offlineJournal.getPendingCount() > 0) {
+            await this.replayOfflineJournal();
+        }
+
         // RFID-Listener (mit Fallback)
         await this.initializeRFID();
 
+        // Verbindungsüberwachung / automatische Wiederverbindung
+        this.startDatabaseMonitor();
+
         // System-Status an Renderer senden
         this.sendSystemStatus();
 
         console.log('✅ QC-Systemkomponenten initialisiert');
     }
 
+    /**
+     * DatabaseClient mit dem konfigurierten Speicheradapter (DB_CLIENT=mssql|sqlite)
+     * Die SQLite-Datei liegt standardmäßig im Benutzerdatenverzeichnis der Station
+     */
+    createDatabaseClient() {
+        return new DatabaseClient({
+            sqlitePath: process.env.SQLITE_PATH || path.join(app.getPath('userData'), 'qc-station.sqlite')
+        });
+    }
+
     async initializeDatabase() {
         try {
             console.log('📊 Initialisiere Datenbankverbindung...');
 
-            this.dbClient = new DatabaseClient();
+            this.dbClient = this.createDatabaseClient();
             await this.dbClient.connect();
 
+            // Nicht mit einem fremden Schema-Stand arbeiten
+            const schemaCheck = await this.verifySchemaVersion();
+            if (!schemaCheck.compatible) {
+                await this.rejectIncompatibleSchema(schemaCheck, true);
+                return;
+            }
+
             this.systemStatus.database = true;
             this.systemStatus.lastError = null;
 
@@ -232,6 +443,12 @@ class QualityControlMainApp {
             // QR-Code Dekodierung Statistiken laden
             await this.loadDecodingStats();
 
+            // Benutzer für Offline-Anmeldungen zwischenspeichern
+            await this.refreshOfflineUserCache();
+
+            // Benutzerverwaltung (Admin-Fenster, Badge-Zuordnung)
+            this.initializeUserAdministration();
+
         } catch (error) {
             this.systemStatus.database = false;
             this.systemStatus.lastError = `Datenbank: ${error.message}`;
@@ -246,921 +463,3250 @@ class QualityControlMainApp {
                     'Bitte überprüfen Sie:\n' +
                     '• Netzwerkverbindung\n' +
                     '• .env Konfiguration\n' +
-                    '• SQL Server Verfügbarkeit'
+                    '• SQL Server Verfügbarkeit' +
+                    (this.isOfflineJournalAvailable()
+                        ? '\n\nScans werden offline zwischengespeichert und nach der Wiederverbindung übertragen.'
+                        : '')
                 );
             }
         }
     }
 
+    initializeUserAdministration() {
+        this.userAdministration = new UserAdministration(this.dbClient, {
+            rolePermissions: this.rolePermissions,
+            loginPin: this.loginPin
+        });
+
+        if (this.loginPin.isRequired()) {
+            console.log(`🔢 Station verlangt Badge + PIN (${this.loginPin.maxAttempts} Versuche, Sperre ${this.loginPin.lockoutMinutes} min)`);
+        }
+
+        if (!this.adminAccess.isConfigured()) {
+            console.warn('⚠️ Weder ADMIN_PIN_HASH noch ADMIN_BADGES konfiguriert - Benutzerverwaltung nur mit Badges von Mitarbeitern mit Rolle admin');
+        }
+    }
+
+    // ===== SCHEMA-VERSION =====
+
     /**
-     * QC-spezifische Module initialisieren
+     * Schema-Version der Datenbank gegen die Migrationen dieser App prüfen.
+     * Ausstehende Migrationen werden nur mit DB_AUTO_MIGRATE=true angewendet, sonst
+     * arbeitet die App erst nach "npm run db:migrate" mit der Datenbank.
+     * @returns {Promise<Object>} - Ergebnis von MigrationRunner.checkCompatibility()
      */
-    async initializeQualityControl() {
-        try {
-            console.log('🔍 Initialisiere Qualitätskontrolle...');
-
-            if (!this.dbClient || !this.systemStatus.database) {
-                throw new Error('Datenbank nicht verfügbar für QC-Initialisierung');
-            }
+    async verifySchemaVersion() {
+        const runner = new MigrationRunner(this.dbClient);
+        let check = await runner.checkCompatibility();
 
-            // QC-Queries initialisieren
-            this.qualityControlQueries = new QualityControlQueries(this.dbClient);
+        if (check.status === 'pending' && process.env.DB_AUTO_MIGRATE === 'true') {
+            console.log(`🔧 ${check.pending.length} ausstehende Datenbank-Migration(en) werden angewendet...`);
 
-            // QC-Logic initialisieren
-            this.qualityControlLogic = new QualityControlLogic(this.dbClient, this.qualityControlQueries);
+            try {
+                await runner.migrate();
+                check = await runner.checkCompatibility();
+            } catch (error) {
+                console.error('❌ Datenbank-Migration fehlgeschlagen:', error);
+                return {
+                    ...check,
+                    status: 'migration_failed',
+                    message: `Datenbank-Migration fehlgeschlagen: ${error.message}`
+                };
+            }
+        }
 
-            // QC-Datenbankschema erstellen/validieren
-            await this.qualityControlQueries.setupQCSchema();
+        this.systemStatus.schemaVersion = check.currentVersion;
 
-            this.systemStatus.qualityControlSetup = true;
-            console.log('✅ Qualitätskontrolle erfolgreich initialisiert');
+        if (check.compatible) {
+            console.log(`✅ ${check.message}`);
+        }
 
-        } catch (error) {
-            this.systemStatus.qualityControlSetup = false;
-            this.systemStatus.lastError = `QC Setup: ${error.message}`;
-            console.error('❌ QC-Initialisierung fehlgeschlagen:', error);
+        return check;
+    }
 
-            // Nicht kritisch genug um das System zu stoppen
-            console.warn('⚠️ System startet ohne vollständige QC-Funktionalität');
+    /**
+     * Datenbank bei inkompatiblem Schema nicht verwenden - die Station läuft offline weiter
+     * und die Verbindungsüberwachung prüft die Version bei jedem Wiederverbindungsversuch erneut
+     */
+    async rejectIncompatibleSchema(check, notifyUser) {
+        this.systemStatus.database = false;
+        this.systemStatus.lastError = `Datenbankschema: ${check.message}`;
+
+        console.error(`❌ ${check.message}`);
+
+        // Verbindung trennen, damit kein Modul mit dem falschen Schema arbeitet
+        await this.dbClient.close();
+
+        if (notifyUser && this.mainWindow) {
+            dialog.showErrorBox(
+                'Datenbankschema nicht kompatibel',
+                `${check.message}\n\n` +
+                `Schema-Version der Datenbank: ${check.currentVersion}\n` +
+                `Benötigte Version: ${check.latestVersion}` +
+                (this.isOfflineJournalAvailable()
+                    ? '\n\nScans werden offline zwischengespeichert und nach der Freigabe übertragen.'
+                    : '')
+            );
         }
     }
 
+    // ===== OFFLINE-BETRIEB =====
+
     /**
-     * NEUE FUNKTION: SessionTypes Setup ausführen
-     * Stellt sicher, dass alle SessionTypes in der Datenbank vorhanden sind
+     * Lokales Offline-Journal initialisieren
+     * Speicherort: OFFLINE_JOURNAL_DIR oder userData/offline-journal
      */
-    async setupSessionTypes() {
+    initializeOfflineJournal() {
+        if (process.env.OFFLINE_JOURNAL_ENABLED === 'false') {
+            console.log('ℹ️ Offline-Journal deaktiviert');
+            return;
+        }
+
         try {
-            console.log('🔧 Initialisiere SessionTypes...');
+            this.offlineJournal = new OfflineJournal({
+                directory: process.env.OFFLINE_JOURNAL_DIR || path.join(app.getPath('userData'), 'offline-journal')
+            });
 
-            // SessionTypes Setup mit roher Datenbankverbindung ausführen
-            const success = await setupSessionTypes(this.dbClient);
+            if (!this.offlineJournal.initialize()) {
+                throw new Error('Journal-Verzeichnis nicht beschreibbar');
+            }
 
-            if (success) {
-                this.systemStatus.sessionTypesSetup = true;
-                console.log('✅ SessionTypes erfolgreich initialisiert');
+            this.offlineReplay = new OfflineReplay(this.offlineJournal);
+            console.log(`✅ Offline-Journal bereit (${this.offlineJournal.getPendingCount()} offene Einträge)`);
 
-                // Verfügbare SessionTypes anzeigen
-                const sessionTypes = await this.dbClient.getSessionTypes();
-                console.log(`📋 Verfügbare SessionTypes (${sessionTypes.length}):`);
-                sessionTypes.forEach(type => {
-                    console.log(`   - ${type.TypeName}: ${type.Description}`);
-                });
+        } catch (error) {
+            this.offlineJournal = null;
+            this.offlineReplay = null;
+            console.error('❌ Offline-Journal konnte nicht initialisiert werden:', error);
+        }
+    }
 
-                // SessionType-Priorität basierend auf verfügbaren Types aktualisieren
-                this.updateSessionTypePriority(sessionTypes);
+    isOfflineJournalAvailable() {
+        return !!(this.offlineJournal && this.offlineJournal.initialized);
+    }
 
-            } else {
-                this.systemStatus.sessionTypesSetup = false;
-                this.systemStatus.lastError = 'SessionTypes Setup fehlgeschlagen';
-                console.error('❌ SessionTypes Setup fehlgeschlagen');
+    /**
+     * Aktive Benutzer für Offline-Anmeldungen per RFID zwischenspeichern
+     */
+    async refreshOfflineUserCache() {
+        try {
+            if (!this.isOfflineJournalAvailable() || !this.dbClient) return;
 
-                // Weiter ausführen, aber mit Warnung
-                console.warn('⚠️ System läuft möglicherweise eingeschränkt ohne SessionTypes');
+            const users = await this.dbClient.getAllActiveUsers();
+            if (users.length > 0) {
+                this.offlineJournal.replaceUsers(users);
+                console.log(`👥 Offline-Benutzer-Cache aktualisiert: ${users.length} Benutzer`);
             }
-
         } catch (error) {
-            this.systemStatus.sessionTypesSetup = false;
-            this.systemStatus.lastError = `SessionTypes Setup: ${error.message}`;
-            console.error('❌ Fehler beim SessionTypes Setup:', error);
-
-            // Nicht kritisch genug um das System zu stoppen
-            console.warn('⚠️ System startet ohne SessionTypes Setup');
+            console.error('Fehler beim Aktualisieren des Offline-Benutzer-Caches:', error);
         }
     }
 
     /**
-     * Aktualisiert die SessionType-Priorität basierend auf verfügbaren Types (QC-fokussiert)
-     * @param {Array} availableSessionTypes - Verfügbare SessionTypes aus der DB
+     * Löst provisorische Offline-IDs in Datenbank-IDs auf
+     * @param {number} id - Session-, Scan- oder QC-Schritt-ID
+     * @returns {number|null} - Datenbank-ID oder null falls (noch) nicht übernommen
      */
-    updateSessionTypePriority(availableSessionTypes) {
-        const availableTypeNames = availableSessionTypes.map(type => type.TypeName);
+    resolveOfflineId(id) {
+        return this.offlineJournal ? this.offlineJournal.resolveId(id) : id;
+    }
 
-        // QC-fokussierte Priorität
-        this.sessionTypePriority = ['Qualitätskontrolle'];
+    getOfflineQueueStatus() {
+        return {
+            available: this.isOfflineJournalAvailable(),
+            databaseConnected: this.systemStatus.database,
+            pendingCount: this.offlineJournal ? this.offlineJournal.getPendingCount() : 0,
+            isReplaying: this.offlineReplay ? this.offlineReplay.isReplaying : false,
+            lastReplay: this.offlineJournal ? this.offlineJournal.lastReplay : null,
+            lastConflicts: this.lastOfflineReplayReport ? this.lastOfflineReplayReport.conflicts : [],
+            timestamp: new Date().toISOString()
+        };
+    }
 
-        // Filtere nur verfügbare SessionTypes und behalte die Prioritätsreihenfolge bei
-        this.sessionTypePriority = this.sessionTypePriority.filter(typeName =>
-            availableTypeNames.includes(typeName)
-        );
+    sendOfflineQueueStatus() {
+        this.sendToRenderer('offline-queue-updated', this.getOfflineQueueStatus());
+    }
 
-        // Füge weitere verfügbare Types hinzu, falls sie nicht in der Prioritätsliste sind
-        availableTypeNames.forEach(typeName => {
-            if (!this.sessionTypePriority.includes(typeName)) {
-                this.sessionTypePriority.push(typeName);
-            }
-        });
+    startDatabaseMonitor() {
+        this.stopDatabaseMonitor();
 
-        console.log(`🔧 QC-SessionType-Priorität aktualisiert: [${this.sessionTypePriority.join(', ')}]`);
+        this.databaseMonitorTimer = setInterval(() => {
+            this.checkDatabaseStatus();
+        }, this.databaseMonitorInterval);
+
+        console.log(`🩺 Datenbank-Überwachung gestartet (alle ${this.databaseMonitorInterval}ms)`);
     }
 
-    async loadDecodingStats() {
-        try {
-            if (!this.dbClient || !this.systemStatus.database) return;
+    stopDatabaseMonitor() {
+        if (this.databaseMonitorTimer) {
+            clearInterval(this.databaseMonitorTimer);
+            this.databaseMonitorTimer = null;
+        }
+    }
 
-            const stats = await this.dbClient.getQRScanStats();
-            if (stats) {
-                this.decodingStats = {
-                    totalScans: stats.TotalScans || 0,
-                    successfulDecodes: stats.DecodedScans || 0,
-                    withAuftrag: stats.ScansWithAuftrag || 0,
-                    withPaket: stats.ScansWithPaket || 0,
-                    withKunde: stats.ScansWithKunde || 0,
-                    decodingSuccessRate: stats.DecodingSuccessRate || 0
-                };
+    /**
+     * Periodische Prüfung: Verbindungsverlust erkennen bzw. Wiederverbindung versuchen
+     */
+    async checkDatabaseStatus() {
+        if (this.databaseMonitorBusy) return;
+        this.databaseMonitorBusy = true;
 
-                console.log('📋 QC-QR-Code Dekodierung Statistiken geladen:', this.decodingStats);
+        try {
+            if (this.systemStatus.database) {
+                if (!(await this.checkDatabaseConnection())) {
+                    this.handleDatabaseConnectionLost(new Error('Verbindungstest fehlgeschlagen'));
+                }
+            } else {
+                await this.reconnectDatabase();
             }
         } catch (error) {
-            console.error('Fehler beim Laden der Dekodierung-Statistiken:', error);
+            console.error('Fehler bei der Datenbank-Überwachung:', error);
+        } finally {
+            this.databaseMonitorBusy = false;
         }
     }
 
-    async initializeRFID() {
-        try {
-            console.log('🏷️ Initialisiere RFID-Listener...');
+    async checkDatabaseConnection() {
+        if (!this.dbClient) {
+            return false;
+        }
 
-            if (!SimpleRFIDListener) {
-                throw new Error('Simple RFID-Listener nicht verfügbar');
-            }
+        return await this.dbClient.ping();
+    }
 
-            this.rfidListener = new SimpleRFIDListener((tagId) => {
-                this.handleRFIDScan(tagId);
-            });
+    handleDatabaseConnectionLost(error) {
+        if (!this.systemStatus.database) return;
 
-            const started = await this.rfidListener.start();
+        this.systemStatus.database = false;
+        this.systemStatus.lastError = `Datenbank: ${error.message}`;
 
-            if (started) {
-                this.systemStatus.rfid = true;
-                console.log('✅ RFID-Listener erfolgreich gestartet');
-            } else {
-                throw new Error('RFID-Listener konnte nicht gestartet werden');
+        console.warn(`⚠️ Datenbankverbindung verloren - Offline-Modus aktiv (${error.message})`);
+
+        this.sendToRenderer('database-status-changed', {
+            connected: false,
+            offlineJournal: this.isOfflineJournalAvailable(),
+            pendingCount: this.offlineJournal ? this.offlineJournal.getPendingCount() : 0,
+            message: this.isOfflineJournalAvailable()
+                ? 'Datenbank nicht erreichbar - Scans werden lokal zwischengespeichert'
+                : 'Datenbank nicht erreichbar',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Wiederverbindung mit der Datenbank inkl. Nachtragen des Offline-Journals
+     * Die Datenbank gilt erst nach vollständigem Replay wieder als verbunden,
+     * damit neue Scans bis dahin in Reihenfolge ins Journal laufen.
+     * @returns {Promise<boolean>} - true wenn wieder online
+     */
+    async reconnectDatabase() {
+        try {
+            if (!this.dbClient) {
+                this.dbClient = this.createDatabaseClient();
             }
 
+            const connected = await this.dbClient.reconnect();
+            if (!connected) {
+                return false;
+            }
         } catch (error) {
-            this.systemStatus.rfid = false;
-            this.systemStatus.lastError = `RFID: ${error.message}`;
+            console.log(`🔌 Datenbank weiterhin nicht erreichbar: ${error.message}`);
+            return false;
+        }
 
-            console.error('❌ RFID-Initialisierung fehlgeschlagen:', error);
-            console.log('💡 RFID-Alternativen:');
-            console.log('   1. Tags manuell in der UI simulieren');
-            console.log('   2. Entwickler-Console für Tests verwenden');
-            console.log('   3. Hardware später konfigurieren');
+        const schemaCheck = await this.verifySchemaVersion();
+        if (!schemaCheck.compatible) {
+            await this.rejectIncompatibleSchema(schemaCheck, false);
+            return false;
+        }
 
-            // RFID ist nicht kritisch - App kann ohne laufen
+        console.log('✅ Datenbankverbindung wiederhergestellt');
+
+        if (!this.systemStatus.sessionTypesSetup) {
+            await this.setupSessionTypes();
         }
-    }
 
-    /**
-     * NEUE HILFSFUNKTION: Session mit Fallback erstellen (QC-fokussiert)
-     * Versucht verschiedene SessionTypes in Prioritätsreihenfolge
-     * @param {number} userId - Benutzer ID
-     * @param {Array} sessionTypePriority - Prioritätsliste der SessionTypes (optional)
-     * @returns {Object} - { session, sessionTypeName, fallbackUsed }
-     */
-    async createSessionWithFallback(userId, sessionTypePriority = null) {
-        const typesToTry = sessionTypePriority || this.sessionTypePriority;
+        if (!this.qualityControlLogic) {
+            await this.initializeQualityControl();
+        }
 
-        if (typesToTry.length === 0) {
-            throw new Error('Keine SessionTypes verfügbar');
+        const report = await this.replayOfflineJournal();
+        if (report && report.aborted) {
+            // Verbindung während des Replays wieder verloren - später erneut versuchen
+            return false;
         }
 
-        let lastError = null;
+        this.systemStatus.database = true;
+        this.systemStatus.lastError = null;
 
-        for (const sessionType of typesToTry) {
-            try {
-                console.log(`🔄 Versuche QC-SessionType: ${sessionType}`);
-                const session = await this.dbClient.createSession(userId, sessionType);
+        await this.loadDecodingStats();
+        await this.refreshOfflineUserCache();
 
-                if (session) {
-                    const fallbackUsed = sessionType !== typesToTry[0];
-                    console.log(`✅ QC-Session erfolgreich erstellt mit SessionType: ${sessionType}${fallbackUsed ? ' (Fallback)' : ''}`);
+        if (!this.userAdministration) {
+            this.initializeUserAdministration();
+        }
 
-                    return {
-                        session,
-                        sessionTypeName: sessionType,
-                        fallbackUsed
-                    };
+        this.sendToRenderer('database-status-changed', {
+            connected: true,
+            offlineJournal: this.isOfflineJournalAvailable(),
+            pendingCount: this.offlineJournal ? this.offlineJournal.getPendingCount() : 0,
+            message: 'Datenbankverbindung wiederhergestellt',
+            timestamp: new Date().toISOString()
+        });
+
+        return true;
+    }
+
+    /**
+     * Offline-Journal in Reihenfolge in die Datenbank übertragen
+     * @returns {Promise<Object|null>} - Replay-Bericht oder null
+     */
+    async replayOfflineJournal() {
+        if (!this.offlineReplay || this.offlineJournal.getPendingCount() === 0) {
+            return null;
+        }
+
+        const report = await this.offlineReplay.replay({
+            dbClient: this.dbClient,
+            qualityControlLogic: this.qualityControlLogic,
+            qualityControlQueries: this.qualityControlQueries,
+            createSession: (userId, sessionType) => this.createSessionWithFallback(
+                userId,
+                sessionType ? [sessionType, ...this.sessionTypePriority.filter(type => type !== sessionType)] : null
+            ),
+            onEntryReplayed: async (entry, outcome) => {
+                if (entry.type === 'qr_scan' && outcome.result) {
+                    await this.updateDecodingStats(outcome.result);
                 }
-            } catch (error) {
-                console.warn(`⚠️ QC-SessionType '${sessionType}' nicht verfügbar: ${error.message}`);
-                lastError = error;
-                continue;
+                this.sendOfflineQueueStatus();
             }
+        });
+
+        if (!report) {
+            return null;
         }
 
-        // Wenn alle SessionTypes fehlschlagen
-        throw new Error(`Alle QC-SessionTypes fehlgeschlagen. Letzter Fehler: ${lastError?.message || 'Unbekannt'}`);
+        this.lastOfflineReplayReport = report;
+        this.applyOfflineSessionMappings(report.sessionMappings);
+
+        this.sendToRenderer('offline-replay-completed', {
+            ...report,
+            timestamp: new Date().toISOString()
+        });
+
+        return report;
     }
 
-    setupIPCHandlers() {
-        // ===== DATENBANK OPERATIONEN =====
-        ipcMain.handle('db-query', async (event, query, params) => {
-            try {
-                if (!this.dbClient || !this.systemStatus.database) {
-                    throw new Error('Datenbank nicht verbunden');
+    /**
+     * Ersetzt provisorische Session- und QC-Schritt-IDs in der lokalen Verwaltung
+     * @param {Array} mappings - [{ provisionalId, sessionId, userId }]
+     */
+    applyOfflineSessionMappings(mappings) {
+        for (const mapping of mappings) {
+            const localSession = this.activeSessions.get(mapping.userId);
+            if (!localSession || localSession.sessionId !== mapping.provisionalId) {
+                continue;
+            }
+
+            localSession.sessionId = mapping.sessionId;
+            localSession.sessionType = mapping.sessionType;
+            localSession.offline = false;
+
+            // Session-bezogene Maps auf neue ID umschlüsseln
+            for (const map of [this.activeQCSteps, this.qcStepCounters, this.qrScanRateLimit]) {
+                if (map.has(mapping.provisionalId)) {
+                    map.set(mapping.sessionId, map.get(mapping.provisionalId));
+                    map.delete(mapping.provisionalId);
                 }
-                return await this.dbClient.query(query, params);
-            } catch (error) {
-                console.error('DB Query Fehler:', error);
-                throw error;
             }
-        });
 
-        ipcMain.handle('db-get-user-by-id', async (event, userId) => {
-            try {
-                if (!this.dbClient || !this.systemStatus.database) {
-                    return null;
+            this.stopSessionTimer(mapping.provisionalId);
+            this.startSessionTimer(mapping.sessionId, mapping.userId);
+
+            console.log(`🔁 Offline-Session ${mapping.provisionalId} → Session ${mapping.sessionId} (Benutzer ${mapping.userId})`);
+        }
+
+        // Provisorische QC-Schritt-IDs auflösen
+        for (const [sessionId, activeSteps] of this.activeQCSteps.entries()) {
+            const resolvedSteps = new Set();
+            for (const stepId of activeSteps) {
+                const resolvedId = this.resolveOfflineId(stepId);
+                if (resolvedId) {
+                    resolvedSteps.add(resolvedId);
                 }
-                return await this.dbClient.getUserById(userId);
-            } catch (error) {
-                console.error('Get User by ID Fehler:', error);
-                return null;
             }
+            this.activeQCSteps.set(sessionId, resolvedSteps);
+        }
+    }
+
+    /**
+     * QR-Scan im Offline-Journal speichern
+     * @returns {Object} - Strukturiertes Scan-Ergebnis mit provisorischer Scan-ID
+     */
+    queueOfflineQRScan(sessionId, payload) {
+        const entry = this.offlineJournal.append('qr_scan', { sessionId, payload });
+
+        this.updateQRScanRateLimit(sessionId);
+        this.updateSessionActivity(sessionId);
+        this.sendOfflineQueueStatus();
+
+        return {
+            success: true,
+            status: 'queued_offline',
+            message: 'Datenbank offline - Scan lokal gespeichert und wird nachgetragen',
+            data: {
+                ID: entry.provisionalId,
+                CapturedTS: entry.recordedAt,
+                RawPayload: payload,
+                DecodedData: this.qrParser.parse(payload),
+                Offline: true
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * QC-Schritt-Start im Offline-Journal speichern
+     * @returns {Object} - Provisorischer QC-Schritt
+     */
+    queueOfflineQCStart(sessionId, qrCode, scanId) {
+        const entry = this.offlineJournal.append('qc_start', { sessionId, qrCode, scanId });
+
+        this.sendOfflineQueueStatus();
+
+        return {
+            ID: entry.provisionalId,
+            SessionID: sessionId,
+            QrCode: qrCode,
+            StartScanID: scanId,
+            StartTime: entry.recordedAt,
+            Completed: 0,
+            Offline: true
+        };
+    }
+
+    /**
+     * QC-Schritt-Abschluss im Offline-Journal speichern
+     * @returns {Object} - Provisorisch abgeschlossener QC-Schritt
+     */
+    /**
+     * Offene Pflichtpunkte für einen Offline-Abschluss - soweit die Checkliste vor dem
+     * Verbindungsverlust geladen wurde (offline gestartete Schritte prüft das Replay)
+     * @returns {Object|null} - unvollständige Checkliste oder null
+     */
+    getIncompleteOfflineChecklist(qrCode) {
+        const checklist = this.qualityControlLogic ? this.qualityControlLogic.getCachedChecklist(qrCode) : null;
+        return checklist && !checklist.complete ? checklist : null;
+    }
+
+    queueOfflineQCComplete(sessionId, qrCode, scanId, qualityData = null) {
+        // Offline gestarteten Schritt zuordnen (online gestartete werden beim Replay per QR-Code gefunden)
+        const pendingStep = this.offlineJournal.getPendingQCSteps(sessionId)
+            .filter(step => step.QrCode === qrCode)
+            .pop();
+
+        const entry = this.offlineJournal.append('qc_complete', {
+            sessionId,
+            qrCode,
+            scanId,
+            stepId: pendingStep ? pendingStep.ID : null,
+            qualityData
         });
 
-        // ===== PARALLELE SESSION MANAGEMENT =====
-        ipcMain.handle('session-get-all-active', async (event) => {
-            try {
-                if (!this.dbClient || !this.systemStatus.database) {
-                    return [];
-                }
+        this.sendOfflineQueueStatus();
+
+        return {
+            ID: pendingStep ? pendingStep.ID : entry.provisionalId,
+            SessionID: sessionId,
+            QrCode: qrCode,
+            StartScanID: pendingStep ? pendingStep.StartScanID : null,
+            EndScanID: scanId,
+            StartTime: pendingStep ? pendingStep.StartTime : null,
+            EndTime: entry.recordedAt,
+            Completed: 1,
+            QualityRating: qualityData ? qualityData.rating : null,
+            DefectsFound: qualityData ? !!qualityData.defectsFound : false,
+            DefectDescription: qualityData ? qualityData.defectDescription : null,
+            ReworkRequired: qualityData ? !!qualityData.reworkRequired : false,
+            QualityNotes: qualityData ? qualityData.notes : null,
+            Offline: true
+        };
+    }
 
-                // Aktive Sessions aus Datenbank laden
-                const dbSessions = await this.dbClient.getActiveSessionsWithType();
+    /**
+     * Lokale Sessions im Format von getActiveSessionsWithType (für Offline-Betrieb)
+     */
+    getLocalActiveSessions() {
+        return Array.from(this.activeSessions.values()).map(session => ({
+            ID: session.sessionId,
+            UserID: session.userId,
+            UserName: session.userName || null,
+            StartTS: this.normalizeTimestamp(session.startTime),
+            SessionTypeName: session.sessionType,
+            localStartTime: session.startTime,
+            Offline: !!session.offline
+        }));
+    }
 
-                // Mit lokalen Session-Daten anreichern
-                const enrichedSessions = dbSessions.map(session => {
-                    const localSession = this.activeSessions.get(session.UserID);
-                    return {
-                        ...session,
-                        StartTS: this.normalizeTimestamp(session.StartTS),
-                        localStartTime: localSession ? localSession.startTime : session.StartTS
-                    };
-                });
+    /**
+     * QC-spezifische Module initialisieren
+     */
+    async initializeQualityControl() {
+        try {
+            console.log('🔍 Initialisiere Qualitätskontrolle...');
 
-                return enrichedSessions;
-            } catch (error) {
-                console.error('Fehler beim Abrufen aktiver Sessions:', error);
-                return [];
+            if (!this.dbClient || !this.dbClient.isConnected) {
+                throw new Error('Datenbank nicht verfügbar für QC-Initialisierung');
             }
-        });
 
-        ipcMain.handle('session-create', async (event, userId) => {
-            try {
-                if (!this.dbClient || !this.systemStatus.database) {
-                    throw new Error('Datenbank nicht verbunden');
-                }
+            // QC-Queries initialisieren
+            this.qualityControlQueries = new QualityControlQueries(this.dbClient);
 
-                // QC-Session mit Fallback erstellen
-                const { session, sessionTypeName, fallbackUsed } = await this.createSessionWithFallback(userId);
+            // QC-Logic initialisieren
+            this.qualityControlLogic = new QualityControlLogic(this.dbClient, this.qualityControlQueries);
 
-                if (session) {
-                    // Lokale Session-Daten setzen/aktualisieren
-                    this.activeSessions.set(userId, {
-                        sessionId: session.ID,
-                        userId: userId,
-                        startTime: session.StartTS,
-                        lastActivity: new Date(),
-                        sessionType: sessionTypeName
-                    });
+            // QC-Regeln pro SessionType laden und auf Änderungen überwachen
+            await this.qualityControlLogic.loadSessionTypeConfig();
+            await this.qualityControlLogic.loadDefectCatalog();
+            this.qualityControlLogic.startConfigRefresh();
 
-                    // QC-spezifische Initialisierung
-                    this.activeQCSteps.set(session.ID, new Set());
-                    this.qcStepCounters.set(session.ID, { active: 0, completed: 0 });
+            // Vergessene QC-Schritte überwachen (Warnung → Timeout)
+            this.startQCTimeoutSweeper();
 
-                    // Session-Timer starten
-                    this.startSessionTimer(session.ID, userId);
+            // Inaktive Sessions warnen, abmelden und zum Schichtende beenden
+            this.startSessionInactivityMonitor();
 
-                    // Rate Limit für neue Session initialisieren
-                    this.qrScanRateLimit.set(session.ID, []);
+            // Datenquelle für das Schichtleitungs-Dashboard
+            this.initializeSupervisorDashboard();
 
-                    // Zeitstempel normalisieren für konsistente Übertragung
-                    const normalizedSession = {
-                        ...session,
-                        StartTS: this.normalizeTimestamp(session.StartTS),
-                        SessionTypeName: sessionTypeName,
-                        FallbackUsed: fallbackUsed
-                    };
+            // Fotos als Nachweis für Fehler
+            this.qcPhotoEvidence = new QCPhotoEvidence(this.qualityControlLogic, this.qualityControlQueries, {
+                createImage: (buffer) => this.createPhotoImage(buffer)
+            });
 
-                    console.log(`QC-Session erstellt für ${sessionTypeName}:`, normalizedSession);
+            // Berichtsexport
+            this.qcReportExporter = new QCReportExporter(this.qualityControlQueries);
 
-                    if (fallbackUsed) {
-                        console.warn(`⚠️ Fallback SessionType '${sessionTypeName}' verwendet`);
-                    }
+            // Automatische Schichtberichte zum Schichtende
+            await this.startShiftReportScheduler();
 
-                    return normalizedSession;
-                }
+            // Ergebnis-Etiketten (ZPL an Zebra-Drucker oder Spool-Ordner)
+            this.qcLabelPrinter = new QCLabelPrinter({
+                spoolDir: process.env.QC_LABEL_SPOOL_DIR || path.join(app.getPath('documents'), 'QC-Etiketten'),
+                renderPDF: (html, pageSize) => this.renderReportPDF(html, { pageSize, margins: { top: 0, bottom: 0, left: 0, right: 0 } })
+            });
 
-                return null;
-            } catch (error) {
-                console.error('QC-Session Create Fehler:', error);
-                return null;
-            }
-        });
+            this.systemStatus.qualityControlSetup = true;
+            console.log('✅ Qualitätskontrolle erfolgreich initialisiert');
 
-        ipcMain.handle('session-restart', async (event, sessionId, userId) => {
-            try {
-                if (!this.dbClient || !this.systemStatus.database) {
-                    return false;
-                }
+        } catch (error) {
+            this.systemStatus.qualityControlSetup = false;
+            this.systemStatus.lastError = `QC Setup: ${error.message}`;
+            console.error('❌ QC-Initialisierung fehlgeschlagen:', error);
 
-                // QC-Schritte für Session beenden vor Restart
-                if (this.qualityControlLogic) {
-                    await this.qualityControlLogic.abortActiveStepsForSession(sessionId);
-                }
+            // Nicht kritisch genug um das System zu stoppen
+            console.warn('⚠️ System startet ohne vollständige QC-Funktionalität');
+        }
+    }
 
-                // Session in Datenbank neu starten (StartTime aktualisieren)
-                await this.dbClient.query(`
-                    UPDATE Sessions 
-                    SET StartTS = GETDATE()
-                    WHERE ID = ? AND UserID = ? AND Active = 1
-                `, [sessionId, userId]);
+    startQCTimeoutSweeper() {
+        if (this.qcTimeoutSweeper) {
+            this.qcTimeoutSweeper.stop();
+        }
 
-                // Lokale Session-Daten aktualisieren
-                const localSession = this.activeSessions.get(userId);
-                if (localSession) {
-                    localSession.startTime = new Date();
-                    localSession.lastActivity = new Date();
+        this.qcTimeoutSweeper = new QCTimeoutSweeper(this.qualityControlLogic, this.qualityControlQueries, {
+            isAvailable: () => this.systemStatus.database,
+            onLongDuration: (data) => {
+                this.sendToRenderer('qc-step-long-duration', data);
+                this.notifySupervisorDashboard();
+            },
+            onTimeout: (data) => {
+                if (data.action === 'aborted') {
+                    this.trackAbortedQCStep(data.sessionId, data.stepId);
                 }
+                this.sendToRenderer('qc-step-timeout', data);
+                this.notifySupervisorDashboard();
+            }
+        });
 
-                // QC-spezifische Reset
-                this.activeQCSteps.set(sessionId, new Set());
-                this.qcStepCounters.set(sessionId, { active: 0, completed: 0 });
-
-                // Session-Timer neu starten
-                this.stopSessionTimer(sessionId);
-                this.startSessionTimer(sessionId, userId);
+        this.qcTimeoutSweeper.start();
+    }
 
-                console.log(`QC-Session ${sessionId} für Benutzer ${userId} neu gestartet`);
-                return true;
+    startSessionInactivityMonitor() {
+        if (this.sessionInactivityMonitor) {
+            this.sessionInactivityMonitor.stop();
+        }
 
-            } catch (error) {
-                console.error('QC-Session Restart Fehler:', error);
-                return false;
+        this.sessionInactivityMonitor = new SessionInactivityMonitor(this.dbClient, this.qualityControlLogic, {
+            getSessions: () => Array.from(this.activeSessions.values()),
+            resolveSessionId: (sessionId) => this.resolveOfflineId(sessionId),
+            isAvailable: () => this.systemStatus.database,
+            onWarning: (data) => {
+                this.sendToRenderer('session-idle-warning', data);
+            },
+            onSessionClosed: (data) => {
+                this.handleInactiveSessionClosed(data);
             }
         });
 
-        ipcMain.handle('session-end', async (event, sessionId, userId) => {
-            try {
-                if (!this.dbClient || !this.systemStatus.database) {
-                    return false;
-                }
+        this.sessionInactivityMonitor.start();
+    }
 
-                // QC-Schritte für Session beenden
-                if (this.qualityControlLogic) {
-                    await this.qualityControlLogic.abortActiveStepsForSession(sessionId);
-                }
+    /**
+     * Session wurde wegen Inaktivität oder zum Schichtende beendet - lokal abmelden
+     */
+    handleInactiveSessionClosed(data) {
+        const localSession = this.activeSessions.get(data.userId);
 
-                const success = await this.dbClient.endSession(sessionId);
+        // Inzwischen neu angemeldet: neue Session nicht anfassen
+        if (!localSession || this.resolveOfflineId(localSession.sessionId) !== data.sessionId) {
+            return;
+        }
 
-                if (success) {
-                    // Lokale Session-Daten entfernen
-                    this.activeSessions.delete(userId);
+        this.clearLocalSession(data.userId, localSession.sessionId);
 
-                    // QC-spezifische Bereinigung
-                    this.activeQCSteps.delete(sessionId);
-                    this.qcStepCounters.delete(sessionId);
+        this.sendToRenderer('user-logout', {
+            user: { ID: data.userId, BenutzerName: localSession.userName || data.userName },
+            sessionId: localSession.sessionId,
+            reason: data.eventType,
+            message: data.reason,
+            stepAction: data.stepAction,
+            affectedSteps: data.affectedSteps,
+            timestamp: new Date().toISOString(),
+            source: 'inactivity'
+        });
 
-                    // Session-Timer stoppen
-                    this.stopSessionTimer(sessionId);
+        this.notifySupervisorDashboard();
+    }
 
-                    // Rate Limit für Session zurücksetzen
-                    this.qrScanRateLimit.delete(sessionId);
+    async startShiftReportScheduler() {
+        if (this.shiftReportScheduler) {
+            this.shiftReportScheduler.stop();
+            this.shiftReportScheduler = null;
+        }
 
-                    console.log(`QC-Session ${sessionId} für Benutzer ${userId} beendet`);
-                }
+        if (process.env.SHIFT_REPORTS_ENABLED === 'false') {
+            console.log('🕒 Automatische Schichtberichte deaktiviert (SHIFT_REPORTS_ENABLED=false)');
+            return;
+        }
 
-                return success;
-            } catch (error) {
-                console.error('QC-Session End Fehler:', error);
-                return false;
+        this.shiftReportScheduler = new ShiftReportScheduler(this.dbClient, this.qcReportExporter, {
+            outputDir: process.env.SHIFT_REPORT_DIR || path.join(app.getPath('documents'), 'QC-Schichtberichte'),
+            historyFile: path.join(app.getPath('userData'), 'shift-reports.json'),
+            renderPDF: (html) => this.renderReportPDF(html),
+            isAvailable: () => this.systemStatus.database,
+            onReportGenerated: (entry) => {
+                this.sendToRenderer('shift-report-generated', entry);
             }
         });
 
-        // ===== QR-CODE OPERATIONEN =====
-        ipcMain.handle('qr-scan-save', async (event, sessionId, payload) => {
-            try {
-                if (!this.dbClient || !this.systemStatus.database) {
-                    return {
-                        success: false,
-                        status: 'database_offline',
-                        message: 'Datenbank nicht verbunden',
-                        data: null,
-                        timestamp: new Date().toISOString()
-                    };
-                }
+        await this.shiftReportScheduler.start();
+    }
 
-                // Rate Limiting prüfen
-                if (!this.checkQRScanRateLimit(sessionId)) {
-                    return {
-                        success: false,
-                        status: 'rate_limit',
-                        message: 'Zu viele QR-Scans pro Minute - bitte warten Sie',
-                        data: null,
-                        timestamp: new Date().toISOString()
-                    };
-                }
+    initializeSupervisorDashboard() {
+        if (this.supervisorDashboard) {
+            this.supervisorDashboard.stop();
+        }
 
-                // Payload bereinigen (BOM entfernen falls vorhanden)
-                const cleanPayload = payload.replace(/^\ufeff/, '');
+        this.supervisorDashboard = new SupervisorDashboard(this.dbClient, this.qualityControlQueries, this.qualityControlLogic, {
+            isAvailable: () => this.systemStatus.database,
+            onUpdate: (snapshot) => {
+                this.sendToSupervisor('supervisor-dashboard-updated', snapshot);
+            }
+        });
 
-                // QR-Scan speichern
-                const result = await this.dbClient.saveQRScan(sessionId, cleanPayload);
+        // Fenster wurde schon vor der QC-Initialisierung geöffnet
+        if (this.supervisorWindow) {
+            this.supervisorDashboard.start();
+        }
+    }
 
-                // Rate Limit Counter aktualisieren bei erfolgreichen Scans
-                if (result.success) {
-                    this.updateQRScanRateLimit(sessionId);
+    /**
+     * Dashboard nach einem QC- oder Session-Ereignis aktualisieren (gebündelt)
+     */
+    notifySupervisorDashboard() {
+        if (this.supervisorDashboard) {
+            this.supervisorDashboard.requestUpdate();
+        }
+    }
 
-                    // Dekodierung-Statistiken aktualisieren
-                    await this.updateDecodingStats(result);
+    /**
+     * NEUE FUNKTION: SessionTypes Setup ausführen
+     * Stellt sicher, dass alle SessionTypes in der Datenbank vorhanden sind
+     */
+    async setupSessionTypes() {
+        try {
+            console.log('🔧 Initialisiere SessionTypes...');
 
-                    // Session-Aktivität aktualisieren
-                    this.updateSessionActivity(sessionId);
-                }
+            // SessionTypes Setup mit roher Datenbankverbindung ausführen
+            const success = await setupSessionTypes(this.dbClient);
 
-                console.log(`QC-QR-Scan Ergebnis für Session ${sessionId}:`, {
-                    success: result.success,
-                    status: result.status,
-                    message: result.message,
-                    hasDecodedData: !!(result.data?.DecodedData)
+            if (success) {
+                this.systemStatus.sessionTypesSetup = true;
+                console.log('✅ SessionTypes erfolgreich initialisiert');
+
+                // Verfügbare SessionTypes anzeigen
+                const sessionTypes = await this.dbClient.getSessionTypes();
+                console.log(`📋 Verfügbare SessionTypes (${sessionTypes.length}):`);
+                sessionTypes.forEach(type => {
+                    console.log(`   - ${type.TypeName}: ${type.Description}`);
                 });
 
-                return result;
+                // SessionType-Priorität basierend auf verfügbaren Types aktualisieren
+                this.updateSessionTypePriority(sessionTypes);
 
-            } catch (error) {
-                console.error('QC-QR Scan Save unerwarteter Fehler:', error);
-                return {
-                    success: false,
-                    status: 'error',
-                    message: `Unerwarteter Fehler: ${error.message}`,
-                    data: null,
-                    timestamp: new Date().toISOString()
-                };
+            } else {
+                this.systemStatus.sessionTypesSetup = false;
+                this.systemStatus.lastError = 'SessionTypes Setup fehlgeschlagen';
+                console.error('❌ SessionTypes Setup fehlgeschlagen');
+
+                // Weiter ausführen, aber mit Warnung
+                console.warn('⚠️ System läuft möglicherweise eingeschränkt ohne SessionTypes');
             }
-        });
 
-        // ===== QUALITÄTSKONTROLLE OPERATIONEN =====
-        ipcMain.handle('quality-control-start-step', async (event, sessionId, qrCode, scanId) => {
-            try {
-                if (!this.qualityControlLogic) {
-                    throw new Error('Qualitätskontrolle nicht verfügbar');
-                }
+        } catch (error) {
+            this.systemStatus.sessionTypesSetup = false;
+            this.systemStatus.lastError = `SessionTypes Setup: ${error.message}`;
+            console.error('❌ Fehler beim SessionTypes Setup:', error);
 
-                const qcStep = await this.qualityControlLogic.startQCStep(sessionId, qrCode, scanId);
+            // Nicht kritisch genug um das System zu stoppen
+            console.warn('⚠️ System startet ohne SessionTypes Setup');
+        }
+    }
 
-                if (qcStep) {
-                    // Lokale Tracking-Updates
-                    const activeSteps = this.activeQCSteps.get(sessionId) || new Set();
-                    activeSteps.add(qcStep.ID);
-                    this.activeQCSteps.set(sessionId, activeSteps);
+    /**
+     * Aktualisiert die SessionType-Priorität basierend auf verfügbaren Types (QC-fokussiert)
+     * @param {Array} availableSessionTypes - Verfügbare SessionTypes aus der DB
+     */
+    updateSessionTypePriority(availableSessionTypes) {
+        const availableTypeNames = availableSessionTypes.map(type => type.TypeName);
 
-                    const counters = this.qcStepCounters.get(sessionId) || { active: 0, completed: 0 };
-                    counters.active++;
-                    this.qcStepCounters.set(sessionId, counters);
+        // QC-fokussierte Priorität
+        this.sessionTypePriority = ['Qualitätskontrolle'];
 
-                    console.log(`✅ QC-Schritt ${qcStep.ID} gestartet für Session ${sessionId}`);
-                }
+        // Filtere nur verfügbare SessionTypes und behalte die Prioritätsreihenfolge bei
+        this.sessionTypePriority = this.sessionTypePriority.filter(typeName =>
+            availableTypeNames.includes(typeName)
+        );
 
-                return qcStep;
-            } catch (error) {
-                console.error('QC-Start-Step Fehler:', error);
-                return null;
+        // Füge weitere verfügbare Types hinzu, falls sie nicht in der Prioritätsliste sind
+        availableTypeNames.forEach(typeName => {
+            if (!this.sessionTypePriority.includes(typeName)) {
+                this.sessionTypePriority.push(typeName);
             }
         });
 
-        ipcMain.handle('quality-control-complete-step', async (event, sessionId, qrCode, scanId) => {
-            try {
-                if (!this.qualityControlLogic) {
-                    throw new Error('Qualitätskontrolle nicht verfügbar');
-                }
+        console.log(`🔧 QC-SessionType-Priorität aktualisiert: [${this.sessionTypePriority.join(', ')}]`);
+    }
 
-                const completedStep = await this.qualityControlLogic.completeQCStep(sessionId, qrCode, scanId);
+    async loadDecodingStats() {
+        try {
+            if (!this.dbClient || !this.systemStatus.database) return;
 
-                if (completedStep) {
-                    // Lokale Tracking-Updates
-                    const activeSteps = this.activeQCSteps.get(sessionId) || new Set();
-                    activeSteps.delete(completedStep.ID);
-                    this.activeQCSteps.set(sessionId, activeSteps);
+            const stats = await this.dbClient.getQRScanStats();
+            if (stats) {
+                this.decodingStats = {
+                    totalScans: stats.TotalScans || 0,
+                    successfulDecodes: stats.DecodedScans || 0,
+                    withAuftrag: stats.ScansWithAuftrag || 0,
+                    withPaket: stats.ScansWithPaket || 0,
+                    withKunde: stats.ScansWithKunde || 0,
+                    decodingSuccessRate: stats.DecodingSuccessRate || 0,
+                    byFormat: stats.ByFormat || {}
+                };
 
-                    const counters = this.qcStepCounters.get(sessionId) || { active: 0, completed: 0 };
-                    counters.active--;
-                    counters.completed++;
-                    this.qcStepCounters.set(sessionId, counters);
+                console.log('📋 QC-QR-Code Dekodierung Statistiken geladen:', this.decodingStats);
+            }
+        } catch (error) {
+            console.error('Fehler beim Laden der Dekodierung-Statistiken:', error);
+        }
+    }
 
-                    console.log(`✅ QC-Schritt ${completedStep.ID} abgeschlossen für Session ${sessionId}`);
-                }
+    async initializeRFID() {
+        try {
+            console.log('🏷️ Initialisiere RFID-Listener...');
 
-                return completedStep;
-            } catch (error) {
-                console.error('QC-Complete-Step Fehler:', error);
-                return null;
+            if (!RFIDReaderManager) {
+                throw new Error('RFID-Treiber nicht verfügbar');
             }
-        });
 
-        ipcMain.handle('quality-control-get-active-steps', async (event, sessionId) => {
-            try {
-                if (!this.qualityControlQueries) {
-                    return [];
-                }
+            this.rfidListener = new RFIDReaderManager((tagId) => {
+                this.handleRFIDScan(tagId);
+            });
 
-                return await this.qualityControlQueries.getActiveQCStepsForSession(sessionId);
-            } catch (error) {
-                console.error('QC-Get-Active-Steps Fehler:', error);
-                return [];
-            }
-        });
+            // Abziehen/Wiedereinstecken des Lesers
+            this.rfidListener.on('connected', () => this.handleRFIDConnectionChanged(true));
+            this.rfidListener.on('disconnected', () => this.handleRFIDConnectionChanged(false));
 
-        ipcMain.handle('quality-control-get-completed-today', async (event, sessionId) => {
-            try {
-                if (!this.qualityControlQueries) {
-                    return [];
-                }
+            const started = await this.rfidListener.start();
 
-                return await this.qualityControlQueries.getCompletedQCStepsToday(sessionId);
-            } catch (error) {
-                console.error('QC-Get-Completed-Today Fehler:', error);
-                return [];
+            if (started) {
+                this.systemStatus.rfid = this.rfidListener.isConnected();
+                const status = this.rfidListener.getStatus();
+                console.log(`✅ RFID-Listener gestartet (Modus: ${status.mode}, Leser ${this.systemStatus.rfid ? 'verbunden' : 'wird erwartet'})`);
+            } else {
+                throw new Error('RFID-Listener konnte nicht gestartet werden');
             }
-        });
 
-        ipcMain.handle('quality-control-get-step-details', async (event, stepId) => {
-            try {
-                if (!this.qualityControlQueries) {
-                    return null;
-                }
+        } catch (error) {
+            this.systemStatus.rfid = false;
+            this.systemStatus.lastError = `RFID: ${error.message}`;
 
-                return await this.qualityControlQueries.getQCStepDetails(stepId);
-            } catch (error) {
-                console.error('QC-Get-Step-Details Fehler:', error);
-                return null;
-            }
+            console.error('❌ RFID-Initialisierung fehlgeschlagen:', error);
+            console.log('💡 RFID-Alternativen:');
+            console.log('   1. Tags manuell in der UI simulieren');
+            console.log('   2. Entwickler-Console für Tests verwenden');
+            console.log('   3. Hardware später konfigurieren');
+
+            // RFID ist nicht kritisch - App kann ohne laufen
+        }
+    }
+
+    handleRFIDConnectionChanged(connected) {
+        if (this.systemStatus.rfid === connected) return;
+
+        this.systemStatus.rfid = connected;
+        const status = this.rfidListener ? this.rfidListener.getStatus() : {};
+
+        if (!connected) {
+            this.systemStatus.lastError = `RFID: Leser getrennt (${status.mode})`;
+        }
+
+        console.log(`🏷️ RFID-Leser ${connected ? 'verbunden' : 'getrennt'} (Modus: ${status.mode})`);
+
+        this.sendToRenderer('rfid-status-changed', {
+            connected,
+            mode: status.mode,
+            device: status.device || null,
+            message: connected
+                ? 'RFID-Leser ist bereit'
+                : 'RFID-Leser getrennt - wird beim Wiedereinstecken automatisch verbunden',
+            timestamp: new Date().toISOString()
         });
+    }
 
-        // ===== QR-CODE DEKODIERUNG OPERATIONEN =====
-        ipcMain.handle('qr-get-decoded-scans', async (event, sessionId, limit = 50) => {
+    /**
+     * NEUE HILFSFUNKTION: Session mit Fallback erstellen (QC-fokussiert)
+     * Versucht verschiedene SessionTypes in Prioritätsreihenfolge
+     * @param {number} userId - Benutzer ID
+     * @param {Array} sessionTypePriority - Prioritätsliste der SessionTypes (optional)
+     * @returns {Object} - { session, sessionTypeName, fallbackUsed }
+     */
+    async createSessionWithFallback(userId, sessionTypePriority = null) {
+        const typesToTry = sessionTypePriority || this.sessionTypePriority;
+
+        if (typesToTry.length === 0) {
+            throw new Error('Keine SessionTypes verfügbar');
+        }
+
+        let lastError = null;
+
+        for (const sessionType of typesToTry) {
             try {
-                if (!this.dbClient || !this.systemStatus.database) {
-                    return [];
-                }
+                console.log(`🔄 Versuche QC-SessionType: ${sessionType}`);
+                const session = await this.dbClient.createSession(userId, sessionType);
 
-                const scans = await this.dbClient.getQRScansBySession(sessionId, limit);
+                if (session) {
+                    const fallbackUsed = sessionType !== typesToTry[0];
+                    console.log(`✅ QC-Session erfolgreich erstellt mit SessionType: ${sessionType}${fallbackUsed ? ' (Fallback)' : ''}`);
 
-                // Nur Scans mit dekodierten Daten zurückgeben
-                return scans.filter(scan => scan.DecodedData && Object.keys(scan.DecodedData).length > 0);
+                    return {
+                        session,
+                        sessionTypeName: sessionType,
+                        fallbackUsed
+                    };
+                }
             } catch (error) {
-                console.error('Fehler beim Abrufen dekodierter QR-Scans:', error);
-                return [];
+                console.warn(`⚠️ QC-SessionType '${sessionType}' nicht verfügbar: ${error.message}`);
+                lastError = error;
+                continue;
             }
-        });
+        }
 
-        ipcMain.handle('qr-search-decoded', async (event, searchTerm, sessionId = null) => {
+        // Wenn alle SessionTypes fehlschlagen
+        throw new Error(`Alle QC-SessionTypes fehlgeschlagen. Letzter Fehler: ${lastError?.message || 'Unbekannt'}`);
+    }
+
+    setupIPCHandlers() {
+        // ===== DATENBANK OPERATIONEN =====
+        // Nur benannte Operationen mit Schema-geprüfter Eingabe (siehe db/db-ipc-operations.js)
+        for (const channel of this.dbOperations.getChannels()) {
+            ipcMain.handle(channel, async (event, input) => {
+                return await this.dbOperations.execute(channel, input);
+            });
+        }
+
+        // ===== PARALLELE SESSION MANAGEMENT =====
+        ipcMain.handle('session-get-all-active', async (event) => {
             try {
                 if (!this.dbClient || !this.systemStatus.database) {
-                    return [];
+                    // Offline: lokale Sessions liefern, damit der Renderer sie nicht verwirft
+                    return this.isOfflineJournalAvailable() ? this.getLocalActiveSessions() : [];
                 }
 
-                return await this.dbClient.searchQRScans(searchTerm, sessionId, 20);
+                // Aktive Sessions aus Datenbank laden
+                const dbSessions = await this.dbClient.getActiveSessionsWithType();
+
+                // Mit lokalen Session-Daten anreichern
+                const enrichedSessions = dbSessions.map(session => {
+                    const localSession = this.activeSessions.get(session.UserID);
+                    return {
+                        ...session,
+                        StartTS: this.normalizeTimestamp(session.StartTS),
+                        localStartTime: localSession ? localSession.startTime : session.StartTS
+                    };
+                });
+
+                return enrichedSessions;
             } catch (error) {
-                console.error('Fehler bei dekodierter QR-Code-Suche:', error);
+                console.error('Fehler beim Abrufen aktiver Sessions:', error);
                 return [];
             }
         });
 
-        ipcMain.handle('qr-get-decoding-stats', async (event, sessionId = null) => {
+        ipcMain.handle('session-create', async (event, userId) => {
             try {
                 if (!this.dbClient || !this.systemStatus.database) {
-                    return this.decodingStats;
+                    throw new Error('Datenbank nicht verbunden');
                 }
 
-                const stats = await this.dbClient.getQRScanStats(sessionId);
-                return {
-                    ...this.decodingStats,
-                    ...stats,
-                    lastUpdated: new Date().toISOString()
-                };
+                // Mit Badge + PIN meldet sich jeder selbst an - auch die QC-Leitung legt keine Session für andere an
+                if (this.loginPin.isRequired()) {
+                    console.warn(`🚫 session.create verweigert: Station verlangt Badge + PIN (Benutzer ${userId})`);
+                    return this.createPermissionError('session.create', 'Diese Station verlangt Badge und PIN - Anmeldung nur am Leser');
+                }
+
+                // Session ohne Badge-Scan nur durch QC-Leitung
+                const denied = await this.checkPermission('session.create');
+                if (denied) return denied;
+
+                const user = await this.dbClient.getUserById(userId);
+
+                // QC-Session mit Fallback erstellen
+                const { session, sessionTypeName, fallbackUsed } = await this.createSessionWithFallback(userId);
+
+                if (session) {
+                    // Lokale Session-Daten setzen/aktualisieren
+                    this.activeSessions.set(userId, {
+                        sessionId: session.ID,
+                        userId: userId,
+                        userName: user ? user.BenutzerName : null,
+                        role: this.rolePermissions.normalizeRole(user && user.Rolle),
+                        startTime: session.StartTS,
+                        lastActivity: new Date(),
+                        sessionType: sessionTypeName
+                    });
+
+                    // QC-spezifische Initialisierung
+                    this.activeQCSteps.set(session.ID, new Set());
+                    this.qcStepCounters.set(session.ID, { active: 0, completed: 0 });
+
+                    // Session-Timer starten
+                    this.startSessionTimer(session.ID, userId);
+
+                    // Rate Limit für neue Session initialisieren
+                    this.qrScanRateLimit.set(session.ID, []);
+
+                    // Zeitstempel normalisieren für konsistente Übertragung
+                    const normalizedSession = {
+                        ...session,
+                        StartTS: this.normalizeTimestamp(session.StartTS),
+                        SessionTypeName: sessionTypeName,
+                        FallbackUsed: fallbackUsed
+                    };
+
+                    console.log(`QC-Session erstellt für ${sessionTypeName}:`, normalizedSession);
+
+                    if (fallbackUsed) {
+                        console.warn(`⚠️ Fallback SessionType '${sessionTypeName}' verwendet`);
+                    }
+
+                    return normalizedSession;
+                }
+
+                return null;
             } catch (error) {
-                console.error('Fehler beim Abrufen der Dekodierung-Statistiken:', error);
-                return this.decodingStats;
+                console.error('QC-Session Create Fehler:', error);
+                return null;
             }
         });
 
-        // ===== SYSTEM STATUS =====
-        ipcMain.handle('get-system-status', async (event) => {
-            return {
-                database: this.systemStatus.database,
-                rfid: this.systemStatus.rfid,
-                sessionTypesSetup: this.systemStatus.sessionTypesSetup,
-                qualityControlSetup: this.systemStatus.qualityControlSetup,
-                lastError: this.systemStatus.lastError,
-                activeSessions: Array.from(this.activeSessions.values()),
-                activeSessionCount: this.activeSessions.size,
-                sessionTypePriority: this.sessionTypePriority,
-                uptime: Math.floor(process.uptime()),
-                timestamp: new Date().toISOString(),
-                qrScanStats: this.getQRScanStats(),
-                decodingStats: this.decodingStats,
-                activeQCSteps: this.getTotalActiveQCSteps(),
-                completedQCStepsToday: await this.getTotalCompletedQCStepsToday()
-            };
+        ipcMain.handle('session-restart', async (event, sessionId, requestedUserId) => {
+            try {
+                // Inhaber serverseitig bestimmen - die Angabe des Renderers entscheidet nicht über die Berechtigung
+                const userId = await this.resolveSessionOwner(sessionId);
+                if (userId === null) {
+                    console.warn(`QC-Session ${sessionId} nicht gefunden oder nicht aktiv (angefragt für Benutzer ${requestedUserId})`);
+                    return false;
+                }
+
+                // Fremde Sessions (und deren QC-Schritte) nur durch QC-Leitung
+                const denied = await this.checkPermission(
+                    this.isOwnSession(userId) ? 'session.restart.own' : 'session.restart.other'
+                );
+                if (denied) return denied;
+
+                if (!this.dbClient || !this.systemStatus.database) {
+                    if (!this.isOfflineJournalAvailable()) {
+                        return false;
+                    }
+
+                    // Offline: Restart im Journal vermerken
+                    this.offlineJournal.append('session_restart', { sessionId, userId });
+                    this.sendOfflineQueueStatus();
+                } else {
+                    sessionId = this.resolveOfflineId(sessionId);
+
+                    // QC-Schritte für Session beenden vor Restart
+                    if (this.qualityControlLogic) {
+                        await this.qualityControlLogic.abortActiveStepsForSession(sessionId);
+                    }
+
+                    // Session in Datenbank neu starten (StartTime aktualisieren)
+                    await this.dbClient.query(`
+                        UPDATE Sessions 
+                        SET StartTS = GETDATE()
+                        WHERE ID = ? AND UserID = ? AND Active = 1
+                    `, [sessionId, userId]);
+                }
+
+                // Lokale Session-Daten aktualisieren
+                const localSession = this.activeSessions.get(userId);
+                if (localSession) {
+                    localSession.startTime = new Date();
+                    this.updateSessionActivity(localSession.sessionId);
+                }
+
+                // QC-spezifische Reset
+                this.activeQCSteps.set(sessionId, new Set());
+                this.qcStepCounters.set(sessionId, { active: 0, completed: 0 });
+
+                // Session-Timer neu starten
+                this.stopSessionTimer(sessionId);
+                this.startSessionTimer(sessionId, userId);
+
+                console.log(`QC-Session ${sessionId} für Benutzer ${userId} neu gestartet`);
+                this.notifySupervisorDashboard();
+                return true;
+
+            } catch (error) {
+                console.error('QC-Session Restart Fehler:', error);
+                return false;
+            }
         });
 
-        ipcMain.handle('get-system-info', async (event) => {
-            return {
-                version: app.getVersion() || '1.0.0',
-                electronVersion: process.versions.electron,
-                nodeVersion: process.versions.node,
-                platform: process.platform,
-                arch: process.arch,
-                env: process.env.NODE_ENV || 'production',
-                type: 'quality-control',
-                features: {
-                    qrDecoding: true,
-                    parallelSessions: true,
-                    sessionRestart: true,
-                    sessionTypeFallback: true,
-                    sessionTypesSetup: this.systemStatus.sessionTypesSetup,
-                    qualityControl: this.systemStatus.qualityControlSetup,
-                    qcStepTracking: true,
-                    qcEntranceExit: true,
-                    decodingFormats: ['caret_separated', 'pattern_matching', 'structured_data'],
-                    supportedFields: ['auftrags_nr', 'paket_nr', 'kunden_name']
+        ipcMain.handle('session-end', async (event, sessionId, requestedUserId) => {
+            try {
+                const userId = await this.resolveSessionOwner(sessionId);
+                if (userId === null) {
+                    console.warn(`QC-Session ${sessionId} nicht gefunden oder nicht aktiv (angefragt für Benutzer ${requestedUserId})`);
+                    return false;
                 }
-            };
+
+                const denied = await this.checkPermission(
+                    this.isOwnSession(userId) ? 'session.end.own' : 'session.end.other'
+                );
+                if (denied) return denied;
+
+                let success;
+
+                if (!this.dbClient || !this.systemStatus.database) {
+                    if (!this.isOfflineJournalAvailable()) {
+                        return false;
+                    }
+
+                    // Offline: Abmeldung im Journal vermerken
+                    this.offlineJournal.append('session_end', { sessionId, userId });
+                    this.sendOfflineQueueStatus();
+                    success = true;
+                } else {
+                    sessionId = this.resolveOfflineId(sessionId);
+
+                    // QC-Schritte für Session beenden
+                    if (this.qualityControlLogic) {
+                        await this.qualityControlLogic.abortActiveStepsForSession(sessionId);
+                    }
+
+                    success = await this.dbClient.endSession(sessionId);
+                }
+
+                if (success) {
+                    this.clearLocalSession(userId, sessionId);
+
+                    console.log(`QC-Session ${sessionId} für Benutzer ${userId} beendet`);
+                    this.notifySupervisorDashboard();
+                }
+
+                return success;
+            } catch (error) {
+                console.error('QC-Session End Fehler:', error);
+                return false;
+            }
+        });
+
+        // "Ich bin noch da" nach einer Inaktivitätswarnung
+        ipcMain.handle('session-keep-alive', async (event, sessionId) => {
+            this.updateSessionActivity(sessionId);
+            return true;
+        });
+
+        // ===== QR-CODE OPERATIONEN =====
+        ipcMain.handle('qr-scan-save', async (event, sessionId, payload) => {
+            try {
+                if ((!this.dbClient || !this.systemStatus.database) && !this.isOfflineJournalAvailable()) {
+                    return {
+                        success: false,
+                        status: 'database_offline',
+                        message: 'Datenbank nicht verbunden',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+
+                // Rate Limiting prüfen
+                if (!this.checkQRScanRateLimit(sessionId)) {
+                    return {
+                        success: false,
+                        status: 'rate_limit',
+                        message: 'Zu viele QR-Scans pro Minute - bitte warten Sie',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+
+                // Payload bereinigen (BOM entfernen falls vorhanden)
+                const cleanPayload = payload.replace(/^\ufeff/, '');
+
+                // Offline: Scan im Journal zwischenspeichern
+                if (!this.systemStatus.database) {
+                    return this.queueOfflineQRScan(sessionId, cleanPayload);
+                }
+
+                const dbSessionId = this.resolveOfflineId(sessionId);
+                if (!dbSessionId) {
+                    return {
+                        success: false,
+                        status: 'error',
+                        message: 'Offline-Session wurde nicht in die Datenbank übernommen - bitte neu anmelden',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+
+                // QR-Scan speichern
+                const result = await this.dbClient.saveQRScan(dbSessionId, cleanPayload);
+
+                // Verbindungsabbruch während des Speicherns: Scan nicht verlieren
+                if (result.status === 'error' && this.isOfflineJournalAvailable() &&
+                    !(await this.checkDatabaseConnection())) {
+                    this.handleDatabaseConnectionLost(new Error(result.message));
+                    return this.queueOfflineQRScan(sessionId, cleanPayload);
+                }
+
+                // Rate Limit Counter aktualisieren bei erfolgreichen Scans
+                if (result.success) {
+                    this.updateQRScanRateLimit(sessionId);
+
+                    // Dekodierung-Statistiken aktualisieren
+                    await this.updateDecodingStats(result);
+
+                    // Session-Aktivität aktualisieren
+                    this.updateSessionActivity(sessionId);
+                }
+
+                console.log(`QC-QR-Scan Ergebnis für Session ${sessionId}:`, {
+                    success: result.success,
+                    status: result.status,
+                    message: result.message,
+                    hasDecodedData: !!(result.data?.DecodedData)
+                });
+
+                return result;
+
+            } catch (error) {
+                console.error('QC-QR Scan Save unerwarteter Fehler:', error);
+                return {
+                    success: false,
+                    status: 'error',
+                    message: `Unerwarteter Fehler: ${error.message}`,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        });
+
+        // ===== QUALITÄTSKONTROLLE OPERATIONEN =====
+        ipcMain.handle('quality-control-get-station-config', async () => {
+            if (!this.qualityControlLogic) {
+                return { role: 'both', stationName: null, crossSessionCompletion: false };
+            }
+
+            return this.qualityControlLogic.getStationConfig();
         });
 
-        // ===== RFID OPERATIONEN =====
-        ipcMain.handle('rfid-get-status', async (event) => {
-            return this.rfidListener ? this.rfidListener.getStatus() : {
-                listening: false,
-                type: 'not-available',
-                message: 'RFID-Listener nicht verfügbar'
+        ipcMain.handle('quality-control-resolve-scan', async (event, sessionId, qrCode) => {
+            try {
+                if (!this.qualityControlLogic) {
+                    return null;
+                }
+
+                if (!this.systemStatus.database && this.isOfflineJournalAvailable()) {
+                    // Offline: nur lokal gestartete Schritte bekannt - Ausgangsstationen nehmen den Ausgang an
+                    const pendingStep = this.offlineJournal.getPendingQCSteps(sessionId)
+                        .find(step => step.QrCode === qrCode) || null;
+                    const scanType = this.qualityControlLogic.config.stationRole === 'both'
+                        ? (pendingStep ? 'exit' : 'entrance')
+                        : this.qualityControlLogic.config.stationRole;
+
+                    return { scanType, allowed: true, type: scanType, message: null, openStep: pendingStep, crossSession: false };
+                }
+
+                return await this.qualityControlLogic.resolveScanType(this.resolveOfflineId(sessionId), qrCode);
+            } catch (error) {
+                console.error('QC-Resolve-Scan Fehler:', error);
+                return null;
+            }
+        });
+
+        ipcMain.handle('quality-control-start-step', async (event, sessionId, qrCode, scanId) => {
+            try {
+                let qcStep;
+
+                if (this.qualityControlLogic && !this.qualityControlLogic.acceptsScanType('entrance')) {
+                    this.notifyQCStartRejected(sessionId, qrCode, {
+                        type: 'entrance_not_allowed',
+                        message: 'Ausgangsstation: Eingang-Scans sind hier nicht möglich'
+                    });
+                    return null;
+                }
+
+                if (!this.systemStatus.database && this.isOfflineJournalAvailable()) {
+                    // Offline: QC-Start im Journal zwischenspeichern
+                    const rules = await this.getQCRulesForSession(sessionId);
+
+                    qcStep = {
+                        ...this.queueOfflineQCStart(sessionId, qrCode, scanId),
+                        RequiresExitScan: rules ? rules.requireBothScans : true
+                    };
+                } else {
+                    if (!this.qualityControlLogic) {
+                        throw new Error('Qualitätskontrolle nicht verfügbar');
+                    }
+
+                    // Eingang-Scan nach den QC-Regeln des SessionTypes verarbeiten
+                    const result = await this.qualityControlLogic.processEntranceScan(
+                        this.resolveOfflineId(sessionId), qrCode, this.resolveOfflineId(scanId)
+                    );
+
+                    if (!result.success) {
+                        this.notifyQCStartRejected(sessionId, qrCode, result);
+                        return null;
+                    }
+
+                    qcStep = {
+                        ...result.qcStep,
+                        RequiresExitScan: result.requiresExitScan,
+                        ReworkPass: QualityControlLogic.getReworkPass(result.qcStep.ReworkCycle)
+                    };
+                }
+
+                if (qcStep) {
+                    // Lokale Tracking-Updates
+                    const activeSteps = this.activeQCSteps.get(sessionId) || new Set();
+                    activeSteps.add(qcStep.ID);
+                    this.activeQCSteps.set(sessionId, activeSteps);
+
+                    const counters = this.qcStepCounters.get(sessionId) || { active: 0, completed: 0 };
+                    counters.active++;
+                    this.qcStepCounters.set(sessionId, counters);
+
+                    console.log(`✅ QC-Schritt ${qcStep.ID} gestartet für Session ${sessionId}`);
+                    this.notifySupervisorDashboard();
+                }
+
+                return qcStep;
+            } catch (error) {
+                console.error('QC-Start-Step Fehler:', error);
+                return null;
+            }
+        });
+
+        ipcMain.handle('quality-control-complete-step', async (event, sessionId, qrCode, scanId) => {
+            try {
+                let completedStep;
+
+                // Abschluss ohne Qualitätsdaten nur, wenn der SessionType keine verlangt
+                const requirements = await this.getQualityRequirements(sessionId);
+                const validation = this.qualityControlLogic
+                    ? this.qualityControlLogic.checkQualityData({}, requirements)
+                    : { isValid: true, errors: [], qualityData: {} };
+
+                if (!validation.isValid) {
+                    console.warn(`QC-Abschluss für ${qrCode} abgelehnt: ${validation.errors.join(', ')}`);
+                    return null;
+                }
+
+                if (!this.systemStatus.database && this.isOfflineJournalAvailable()) {
+                    if (this.getIncompleteOfflineChecklist(qrCode)) {
+                        console.warn(`QC-Abschluss für ${qrCode}: Checkliste unvollständig - Abschluss abgelehnt`);
+                        return null;
+                    }
+
+                    // Offline: QC-Abschluss im Journal zwischenspeichern
+                    completedStep = this.queueOfflineQCComplete(sessionId, qrCode, scanId, validation.qualityData);
+                } else {
+                    if (!this.qualityControlLogic) {
+                        throw new Error('Qualitätskontrolle nicht verfügbar');
+                    }
+
+                    const resolvedSessionId = this.resolveOfflineId(sessionId);
+                    const openStep = await this.qualityControlLogic.findOpenStepForScan(resolvedSessionId, qrCode);
+
+                    // Schritte anderer Mitarbeiter nur durch QC-Leitung
+                    if (await this.checkStepOwnership(resolvedSessionId, openStep)) {
+                        return null;
+                    }
+
+                    // Ohne beantwortete Pflichtpunkte der Checkliste kein Abschluss
+                    if (openStep && !(await this.qualityControlLogic.getChecklistForStep(openStep)).complete) {
+                        console.warn(`QC-Schritt ${openStep.ID}: Checkliste unvollständig - Abschluss abgelehnt`);
+                        return null;
+                    }
+
+                    completedStep = await this.qualityControlLogic.completeQCStep(
+                        resolvedSessionId, qrCode, this.resolveOfflineId(scanId), validation.qualityData, openStep
+                    );
+                }
+
+                if (completedStep) {
+                    this.trackCompletedQCStep(sessionId, completedStep);
+                }
+
+                return completedStep;
+            } catch (error) {
+                console.error('QC-Complete-Step Fehler:', error);
+                return null;
+            }
+        });
+
+        ipcMain.handle('quality-control-get-quality-requirements', async (event, sessionId) => {
+            try {
+                return await this.getQualityRequirements(sessionId);
+            } catch (error) {
+                console.error('QC-Get-Quality-Requirements Fehler:', error);
+                return {
+                    ...QualityControlLogic.getDefaultQualityRequirements(),
+                    source: 'environment'
+                };
+            }
+        });
+
+        ipcMain.handle('quality-control-complete-step-with-quality', async (event, sessionId, qrCode, scanId, qualityData) => {
+            try {
+                const requirements = await this.getQualityRequirements(sessionId);
+                let validation = { isValid: true, errors: [], qualityData };
+
+                if (this.qualityControlLogic) {
+                    validation = this.qualityControlLogic.checkQualityData(qualityData, requirements);
+                }
+
+                if (!validation.isValid) {
+                    return {
+                        success: false,
+                        status: 'validation_failed',
+                        message: validation.errors.join(', '),
+                        errors: validation.errors,
+                        requirements,
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+
+                let completedStep = null;
+                let warnings = [];
+                let status = 'completed';
+
+                if (!this.systemStatus.database && this.isOfflineJournalAvailable()) {
+                    const checklist = this.getIncompleteOfflineChecklist(qrCode);
+                    if (checklist) {
+                        return {
+                            success: false,
+                            status: 'checklist_incomplete',
+                            message: `Checkliste unvollständig (${checklist.openMandatory.length} Pflichtpunkt(e) offen)`,
+                            errors: checklist.openMandatory.map(item => `Checkliste: ${item.stage} - ${item.text}`),
+                            requirements,
+                            data: null,
+                            timestamp: new Date().toISOString()
+                        };
+                    }
+
+                    // Offline: QC-Abschluss inkl. Qualitätsdaten im Journal zwischenspeichern
+                    completedStep = this.queueOfflineQCComplete(sessionId, qrCode, scanId, validation.qualityData);
+                    status = 'queued_offline';
+                } else {
+                    if (!this.qualityControlLogic) {
+                        throw new Error('Qualitätskontrolle nicht verfügbar');
+                    }
+
+                    // Offener Schritt des Pakets - an Ausgangsstationen aus der Session der Eingangsstation
+                    const resolvedSessionId = this.resolveOfflineId(sessionId);
+                    const existingStep = await this.qualityControlLogic.findOpenStepForScan(resolvedSessionId, qrCode);
+
+                    const denied = await this.checkStepOwnership(resolvedSessionId, existingStep);
+                    if (denied) {
+                        return { ...denied, errors: [], requirements };
+                    }
+
+                    if (existingStep) {
+                        // Ausgang-Scan nach den QC-Regeln des SessionTypes verarbeiten
+                        const result = await this.qualityControlLogic.processExitScan(
+                            resolvedSessionId, qrCode, this.resolveOfflineId(scanId), existingStep, validation.qualityData
+                        );
+
+                        if (!result.success) {
+                            const statusByType = {
+                                quality_data_invalid: 'validation_failed',
+                                checklist_incomplete: 'checklist_incomplete'
+                            };
+
+                            return {
+                                success: false,
+                                status: statusByType[result.type] || 'error',
+                                message: result.message,
+                                errors: result.errors || [],
+                                requirements,
+                                data: null,
+                                timestamp: new Date().toISOString()
+                            };
+                        }
+
+                        completedStep = result.qcStep;
+                        warnings = result.warnings || [];
+                    }
+                }
+
+                if (!completedStep) {
+                    return {
+                        success: false,
+                        status: 'no_active_step',
+                        message: 'Kein aktiver QC-Schritt für diesen QR-Code gefunden',
+                        errors: [],
+                        requirements,
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+
+                this.trackCompletedQCStep(sessionId, completedStep);
+
+                return {
+                    success: true,
+                    status,
+                    message: status === 'queued_offline'
+                        ? 'Datenbank offline - QC-Abschluss lokal gespeichert und wird nachgetragen'
+                        : 'QC-Schritt mit Qualitätsdaten abgeschlossen',
+                    errors: [],
+                    warnings,
+                    requirements,
+                    data: completedStep,
+                    timestamp: new Date().toISOString()
+                };
+            } catch (error) {
+                console.error('QC-Complete-Step-With-Quality Fehler:', error);
+                return {
+                    success: false,
+                    status: 'error',
+                    message: `QC-Abschluss fehlgeschlagen: ${error.message}`,
+                    errors: [],
+                    requirements: null,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        });
+
+        ipcMain.handle('quality-control-get-active-steps', async (event, sessionId) => {
+            try {
+                if (!this.systemStatus.database && this.isOfflineJournalAvailable()) {
+                    // Offline: nur lokal erfasste, noch offene QC-Schritte
+                    return this.offlineJournal.getPendingQCSteps(sessionId);
+                }
+
+                if (!this.qualityControlQueries) {
+                    return [];
+                }
+
+                return await this.qualityControlQueries.getActiveQCStepsForSession(this.resolveOfflineId(sessionId));
+            } catch (error) {
+                console.error('QC-Get-Active-Steps Fehler:', error);
+                return [];
+            }
+        });
+
+        ipcMain.handle('quality-control-get-completed-today', async (event, sessionId) => {
+            try {
+                if (!this.qualityControlQueries) {
+                    return [];
+                }
+
+                return await this.qualityControlQueries.getCompletedQCStepsToday(this.resolveOfflineId(sessionId));
+            } catch (error) {
+                console.error('QC-Get-Completed-Today Fehler:', error);
+                return [];
+            }
+        });
+
+        ipcMain.handle('quality-control-get-step-details', async (event, stepId) => {
+            try {
+                if (!this.qualityControlQueries) {
+                    return null;
+                }
+
+                return await this.qualityControlQueries.getQCStepDetails(stepId);
+            } catch (error) {
+                console.error('QC-Get-Step-Details Fehler:', error);
+                return null;
+            }
+        });
+
+        ipcMain.handle('quality-control-get-checklist', async (event, stepId) => {
+            try {
+                // Offline gibt es keine Checklisten (Definitionen und Antworten liegen in der Datenbank)
+                if (!this.qualityControlLogic || !this.systemStatus.database) {
+                    return null;
+                }
+
+                return await this.qualityControlLogic.getChecklistForStep(this.resolveOfflineId(stepId));
+            } catch (error) {
+                console.error('QC-Get-Checklist Fehler:', error);
+                return null;
+            }
+        });
+
+        ipcMain.handle('quality-control-record-checklist-item', async (event, sessionId, stepId, itemId, result, notes = null) => {
+            try {
+                if (!this.qualityControlLogic || !this.systemStatus.database) {
+                    return {
+                        success: false,
+                        status: 'unavailable',
+                        message: 'Checkliste nur mit Datenbankverbindung verfügbar',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+
+                const localSession = Array.from(this.activeSessions.values())
+                    .find(session => session.sessionId === sessionId);
+
+                const recorded = await this.qualityControlLogic.recordChecklistResult(
+                    this.resolveOfflineId(stepId), itemId, result, {
+                        notes,
+                        userId: localSession ? localSession.userId : null
+                    }
+                );
+
+                if (recorded.success) {
+                    this.updateSessionActivity(sessionId);
+                }
+
+                return {
+                    success: recorded.success,
+                    status: recorded.success ? 'recorded' : recorded.type,
+                    message: recorded.message,
+                    data: recorded.checklist || null,
+                    timestamp: new Date().toISOString()
+                };
+            } catch (error) {
+                console.error('QC-Record-Checklist-Item Fehler:', error);
+                return {
+                    success: false,
+                    status: 'error',
+                    message: `Checkliste konnte nicht gespeichert werden: ${error.message}`,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        });
+
+        ipcMain.handle('quality-control-get-defect-codes', async (event) => {
+            try {
+                // Aus dem Cache - bleibt nach dem ersten Laden auch offline verfügbar
+                return this.qualityControlLogic ? this.qualityControlLogic.getDefectCatalog() : [];
+            } catch (error) {
+                console.error('QC-Get-Defect-Codes Fehler:', error);
+                return [];
+            }
+        });
+
+        ipcMain.handle('quality-control-get-step-defects', async (event, stepId) => {
+            try {
+                if (!this.qualityControlLogic || !this.systemStatus.database) {
+                    return [];
+                }
+
+                return await this.qualityControlLogic.getDefectsForStep(this.resolveOfflineId(stepId));
+            } catch (error) {
+                console.error('QC-Get-Step-Defects Fehler:', error);
+                return [];
+            }
+        });
+
+        ipcMain.handle('quality-control-print-label', async (event, stepId) => {
+            try {
+                if (!this.qcLabelPrinter || !this.qcLabelPrinter.isEnabled()) {
+                    return {
+                        success: false,
+                        status: 'disabled',
+                        message: 'Etikettendruck ist an dieser Station nicht eingerichtet',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+
+                if (!this.systemStatus.database) {
+                    return {
+                        success: false,
+                        status: 'unavailable',
+                        message: 'Etikett nachdrucken nur mit Datenbankverbindung möglich',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+
+                const step = await this.qualityControlLogic.getQCStepDetails(this.resolveOfflineId(stepId));
+
+                if (!step || !step.Completed) {
+                    return {
+                        success: false,
+                        status: 'not_completed',
+                        message: 'Etiketten gibt es nur für abgeschlossene QC-Schritte',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+
+                const result = await this.printQCLabel(step, step.EndUserName || step.UserName);
+
+                return {
+                    success: result.success,
+                    status: result.type,
+                    message: result.message,
+                    data: { target: result.target, files: result.files },
+                    timestamp: new Date().toISOString()
+                };
+            } catch (error) {
+                console.error('QC-Print-Label Fehler:', error);
+                return {
+                    success: false,
+                    status: 'error',
+                    message: `Etikett konnte nicht gedruckt werden: ${error.message}`,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        });
+
+        ipcMain.handle('quality-control-add-photo', async (event, sessionId, stepId, imageData, mimeType) => {
+            try {
+                if (!this.qcPhotoEvidence || !this.systemStatus.database) {
+                    return {
+                        success: false,
+                        status: 'unavailable',
+                        message: 'Fotos nur mit Datenbankverbindung möglich',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+
+                const localSession = Array.from(this.activeSessions.values())
+                    .find(session => session.sessionId === sessionId);
+
+                const result = await this.qcPhotoEvidence.addPhoto(this.resolveOfflineId(stepId), imageData, {
+                    mimeType,
+                    userId: localSession ? localSession.userId : null
+                });
+
+                if (result.success) {
+                    this.updateSessionActivity(sessionId);
+                }
+
+                return {
+                    success: result.success,
+                    status: result.success ? 'saved' : result.type,
+                    message: result.message,
+                    data: result.photo || null,
+                    timestamp: new Date().toISOString()
+                };
+            } catch (error) {
+                console.error('QC-Add-Photo Fehler:', error);
+                return {
+                    success: false,
+                    status: 'error',
+                    message: `Foto konnte nicht gespeichert werden: ${error.message}`,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        });
+
+        ipcMain.handle('quality-control-get-photos', async (event, stepId) => {
+            try {
+                if (!this.qcPhotoEvidence || !this.systemStatus.database) {
+                    return [];
+                }
+
+                return await this.qcPhotoEvidence.getPhotosForStep(this.resolveOfflineId(stepId));
+            } catch (error) {
+                console.error('QC-Get-Photos Fehler:', error);
+                return [];
+            }
+        });
+
+        ipcMain.handle('quality-control-get-photo', async (event, photoId) => {
+            try {
+                if (!this.qcPhotoEvidence || !this.systemStatus.database) {
+                    return null;
+                }
+
+                return await this.qcPhotoEvidence.getPhoto(photoId);
+            } catch (error) {
+                console.error('QC-Get-Photo Fehler:', error);
+                return null;
+            }
+        });
+
+        ipcMain.handle('quality-control-delete-photo', async (event, photoId) => {
+            try {
+                if (!this.qcPhotoEvidence || !this.systemStatus.database) {
+                    return {
+                        success: false,
+                        status: 'unavailable',
+                        message: 'Fotos nur mit Datenbankverbindung verfügbar',
+                        data: null,
+                        timestamp: new Date().toISOString()
+                    };
+                }
+
+                const result = await this.qcPhotoEvidence.deletePhoto(photoId);
+
+                return {
+                    success: result.success,
+                    status: result.type,
+                    message: result.message,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            } catch (error) {
+                console.error('QC-Delete-Photo Fehler:', error);
+                return {
+                    success: false,
+                    status: 'error',
+                    message: `Foto konnte nicht gelöscht werden: ${error.message}`,
+                    data: null,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        });
+
+        // ===== QR-CODE DEKODIERUNG OPERATIONEN =====
+        ipcMain.handle('qr-get-decoded-scans', async (event, sessionId, limit = 50) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return [];
+                }
+
+                const scans = await this.dbClient.getQRScansBySession(sessionId, limit);
+
+                // Nur Scans mit dekodierten Daten zurückgeben
+                return scans.filter(scan => scan.DecodedData && Object.keys(scan.DecodedData).length > 0);
+            } catch (error) {
+                console.error('Fehler beim Abrufen dekodierter QR-Scans:', error);
+                return [];
+            }
+        });
+
+        ipcMain.handle('qr-search-decoded', async (event, searchTerm, sessionId = null) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return [];
+                }
+
+                return await this.dbClient.searchQRScans(searchTerm, sessionId, 20);
+            } catch (error) {
+                console.error('Fehler bei dekodierter QR-Code-Suche:', error);
+                return [];
+            }
+        });
+
+        ipcMain.handle('qr-decode', async (event, payload) => {
+            try {
+                return this.qrParser.parse(payload);
+            } catch (error) {
+                console.error('Fehler bei QR-Dekodierung:', error);
+                return null;
+            }
+        });
+
+        ipcMain.handle('qr-get-formats', async (event) => {
+            return this.qrParser.getFormats();
+        });
+
+        ipcMain.handle('qr-get-decoding-stats', async (event, sessionId = null) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    return this.decodingStats;
+                }
+
+                const stats = await this.dbClient.getQRScanStats(sessionId);
+                return {
+                    ...this.decodingStats,
+                    ...stats,
+                    lastUpdated: new Date().toISOString()
+                };
+            } catch (error) {
+                console.error('Fehler beim Abrufen der Dekodierung-Statistiken:', error);
+                return this.decodingStats;
+            }
+        });
+
+        // ===== SYSTEM STATUS =====
+        ipcMain.handle('get-system-status', async (event) => {
+            return {
+                database: this.systemStatus.database,
+                rfid: this.systemStatus.rfid,
+                sessionTypesSetup: this.systemStatus.sessionTypesSetup,
+                qualityControlSetup: this.systemStatus.qualityControlSetup,
+                lastError: this.systemStatus.lastError,
+                activeSessions: Array.from(this.activeSessions.values()),
+                activeSessionCount: this.activeSessions.size,
+                sessionTypePriority: this.sessionTypePriority,
+                uptime: Math.floor(process.uptime()),
+                timestamp: new Date().toISOString(),
+                qrScanStats: this.getQRScanStats(),
+                decodingStats: this.decodingStats,
+                activeQCSteps: this.getTotalActiveQCSteps(),
+                completedQCStepsToday: await this.getTotalCompletedQCStepsToday(),
+                offlineQueue: this.getOfflineQueueStatus(),
+                qcTimeoutSweeper: this.qcTimeoutSweeper ? this.qcTimeoutSweeper.getStatus() : null,
+                sessionInactivity: this.sessionInactivityMonitor ? this.sessionInactivityMonitor.getStatus() : null,
+                supervisorDashboard: this.supervisorDashboard ? this.supervisorDashboard.getStatus() : null,
+                shiftReports: this.shiftReportScheduler ? this.shiftReportScheduler.getStatus() : null,
+                labelPrinter: this.qcLabelPrinter ? this.qcLabelPrinter.getStatus() : null
+            };
+        });
+
+        // ===== SCHICHTLEITUNG =====
+        ipcMain.handle('supervisor-open-window', async (event) => {
+            this.openSupervisorWindow();
+            return true;
+        });
+
+        ipcMain.handle('supervisor-get-dashboard', async (event) => {
+            try {
+                if (!this.supervisorDashboard) {
+                    return {
+                        available: false,
+                        reason: 'Qualitätskontrolle nicht initialisiert',
+                        timestamp: new Date().toISOString()
+                    };
+                }
+
+                return this.supervisorDashboard.lastSnapshot || await this.supervisorDashboard.buildSnapshot();
+            } catch (error) {
+                console.error('Dashboard-Abruf Fehler:', error);
+                return {
+                    available: false,
+                    reason: error.message,
+                    timestamp: new Date().toISOString()
+                };
+            }
+        });
+
+        // ===== ROLLEN =====
+        ipcMain.handle('permissions-get-roles', async (event) => {
+            return this.rolePermissions.getRoles();
+        });
+
+        ipcMain.handle('permissions-get-for-user', async (event, userId) => {
+            const actor = await this.resolveActor(userId);
+            if (!actor) return null;
+
+            return {
+                ...actor,
+                roleLabel: this.rolePermissions.getRoleLabel(actor.role),
+                permissions: this.rolePermissions.getPermissionsFor(actor.role)
+            };
+        });
+
+        // Handelnder wird per Badge bestätigt - der Renderer kann keinen Mitarbeiter vorgeben
+        ipcMain.handle('permissions-confirm-badge', async (event) => {
+            if (!this.mainWindow || event.sender !== this.mainWindow.webContents) {
+                return this.createPermissionError('badge', 'Nur aus dem Hauptfenster erlaubt');
+            }
+
+            if (this.rfidCapture && this.rfidCapture.mode !== 'actor' && Date.now() <= this.rfidCapture.expiresAt) {
+                return this.createPermissionError('badge', 'Benutzerverwaltung wartet bereits auf ein Badge');
+            }
+
+            this.badgeActor = null;
+            return this.startRFIDCapture('actor');
+        });
+
+        ipcMain.handle('permissions-cancel-badge', async (event) => {
+            if (!this.mainWindow || event.sender !== this.mainWindow.webContents) {
+                return false;
+            }
+
+            if (this.rfidCapture && this.rfidCapture.mode === 'actor') {
+                this.rfidCapture = null;
+            }
+            this.badgeActor = null;
+            return true;
+        });
+
+        // ===== BENUTZERVERWALTUNG =====
+        ipcMain.handle('admin-open-window', async (event) => {
+            this.openAdminWindow();
+            return true;
+        });
+
+        ipcMain.handle('admin-get-status', async (event) => {
+            const status = this.adminAccess.getStatus();
+
+            // Badges von Mitarbeitern mit Rolle admin schalten ebenfalls frei (nur mit Datenbank)
+            const roleBadges = this.systemStatus.database;
+
+            return {
+                ...status,
+                configured: status.configured || roleBadges,
+                badgeEnabled: status.badgeEnabled || roleBadges,
+                database: this.systemStatus.database,
+                rfid: this.systemStatus.rfid,
+                capture: this.rfidCapture ? { mode: this.rfidCapture.mode, userId: this.rfidCapture.userId } : null
+            };
+        });
+
+        ipcMain.handle('admin-unlock-pin', async (event, pin) => {
+            const denied = this.checkAdminRequest(event, false);
+            if (denied) return denied;
+
+            return this.adminAccess.unlockWithPin(pin);
+        });
+
+        ipcMain.handle('admin-start-badge-unlock', async (event) => {
+            const denied = this.checkAdminRequest(event, false);
+            if (denied) return denied;
+
+            if (!this.adminAccess.getStatus().badgeEnabled && !this.systemStatus.database) {
+                return this.createAdminError('not_configured', 'Keine Admin-Badges konfiguriert (ADMIN_BADGES)');
+            }
+
+            return this.startRFIDCapture('admin-unlock');
+        });
+
+        ipcMain.handle('admin-lock', async (event) => {
+            const denied = this.checkAdminRequest(event, false);
+            if (denied) return denied;
+
+            this.rfidCapture = null;
+            this.adminAccess.lock();
+            return true;
+        });
+
+        ipcMain.handle('admin-get-users', async (event, includeInactive = true) => {
+            const denied = this.checkAdminRequest(event);
+            if (denied) return denied;
+
+            const users = await this.userAdministration.getUsers(includeInactive);
+            const departments = [...new Set(users.map(user => user.Abteilung).filter(Boolean))].sort();
+
+            return {
+                success: true,
+                status: 'ok',
+                message: `${users.length} Benutzer`,
+                data: { users, departments },
+                timestamp: new Date().toISOString()
+            };
+        });
+
+        ipcMain.handle('admin-create-user', async (event, data) => {
+            const denied = this.checkAdminRequest(event);
+            if (denied) return denied;
+
+            const result = await this.userAdministration.createUser(data, this.adminAccess.getActor());
+            if (result.success) await this.refreshOfflineUserCache();
+            return result;
+        });
+
+        ipcMain.handle('admin-update-user', async (event, userId, data) => {
+            const denied = this.checkAdminRequest(event);
+            if (denied) return denied;
+
+            const result = await this.userAdministration.updateUser(userId, data, this.adminAccess.getActor());
+            if (result.success) await this.refreshOfflineUserCache();
+            return result;
+        });
+
+        ipcMain.handle('admin-set-user-active', async (event, userId, active) => {
+            const denied = this.checkAdminRequest(event);
+            if (denied) return denied;
+
+            const result = await this.userAdministration.setUserActive(userId, !!active, this.adminAccess.getActor());
+            if (result.success) await this.refreshOfflineUserCache();
+            return result;
+        });
+
+        ipcMain.handle('admin-start-enrollment', async (event, userId) => {
+            const denied = this.checkAdminRequest(event);
+            if (denied) return denied;
+
+            if (!this.systemStatus.rfid) {
+                return this.createAdminError('rfid_unavailable', 'RFID-Leser nicht verfügbar - Tag manuell eingeben');
+            }
+
+            return this.startRFIDCapture('enroll', userId);
+        });
+
+        ipcMain.handle('admin-cancel-capture', async (event) => {
+            const denied = this.checkAdminRequest(event, false);
+            if (denied) return denied;
+
+            this.rfidCapture = null;
+            return true;
+        });
+
+        ipcMain.handle('admin-enroll-badge', async (event, userId, tagId, reassign = false) => {
+            const denied = this.checkAdminRequest(event);
+            if (denied) return denied;
+
+            const result = await this.userAdministration.enrollBadge(userId, tagId, {
+                reassign: !!reassign,
+                actor: this.adminAccess.getActor()
+            });
+            if (result.success) await this.refreshOfflineUserCache();
+            return result;
+        });
+
+        ipcMain.handle('admin-remove-badge', async (event, userId, reason) => {
+            const denied = this.checkAdminRequest(event);
+            if (denied) return denied;
+
+            const result = await this.userAdministration.removeBadge(userId, {
+                reason,
+                actor: this.adminAccess.getActor()
+            });
+            if (result.success) await this.refreshOfflineUserCache();
+            return result;
+        });
+
+        ipcMain.handle('admin-get-badge-audit', async (event, userId = null) => {
+            const denied = this.checkAdminRequest(event);
+            if (denied) return denied;
+
+            return {
+                success: true,
+                status: 'ok',
+                message: '',
+                data: await this.userAdministration.getBadgeAudit(userId),
+                timestamp: new Date().toISOString()
+            };
+        });
+
+        ipcMain.handle('admin-set-user-pin', async (event, userId, pin) => {
+            const denied = this.checkAdminRequest(event);
+            if (denied) return denied;
+
+            return await this.userAdministration.setUserPin(userId, pin, this.adminAccess.getActor());
+        });
+
+        ipcMain.handle('admin-remove-user-pin', async (event, userId) => {
+            const denied = this.checkAdminRequest(event);
+            if (denied) return denied;
+
+            return await this.userAdministration.removeUserPin(userId, this.adminAccess.getActor());
+        });
+
+        ipcMain.handle('admin-get-login-audit', async (event, userId = null) => {
+            const denied = this.checkAdminRequest(event);
+            if (denied) return denied;
+
+            return {
+                success: true,
+                status: 'ok',
+                message: '',
+                data: await this.userAdministration.getLoginAudit(userId),
+                timestamp: new Date().toISOString()
+            };
+        });
+
+        // ===== QC-BERICHTE =====
+        ipcMain.handle('report-get-filter-options', async (event) => {
+            try {
+                if (!this.qualityControlQueries) {
+                    return { users: [], departments: [] };
+                }
+                return await this.qualityControlQueries.getReportFilterOptions();
+            } catch (error) {
+                console.error('Bericht-Filter Fehler:', error);
+                return { users: [], departments: [] };
+            }
+        });
+
+        ipcMain.handle('report-export', async (event, options) => {
+            return await this.exportQCReport(options);
+        });
+
+        ipcMain.handle('shift-report-get-recent', async (event, limit = 10) => {
+            if (!this.shiftReportScheduler) {
+                return { enabled: false, status: null, reports: [] };
+            }
+
+            return {
+                enabled: true,
+                status: this.shiftReportScheduler.getStatus(),
+                reports: this.shiftReportScheduler.getRecentReports(limit)
+            };
+        });
+
+        ipcMain.handle('shift-report-open', async (event, key, format) => {
+            try {
+                const filePath = this.shiftReportScheduler ? this.shiftReportScheduler.findReportFile(key, format) : null;
+                if (!filePath) {
+                    return { success: false, message: 'Schichtbericht nicht gefunden' };
+                }
+
+                // openPath liefert bei Fehlern eine Meldung, sonst einen leeren String
+                const errorMessage = await shell.openPath(filePath);
+                return errorMessage
+                    ? { success: false, message: errorMessage }
+                    : { success: true, message: path.basename(filePath) };
+            } catch (error) {
+                console.error('Schichtbericht öffnen Fehler:', error);
+                return { success: false, message: error.message };
+            }
+        });
+
+        // ===== OFFLINE-JOURNAL =====
+        ipcMain.handle('offline-get-status', async (event) => {
+            return this.getOfflineQueueStatus();
+        });
+
+        ipcMain.handle('offline-replay-now', async (event) => {
+            try {
+                if (this.databaseMonitorBusy) {
+                    return this.getOfflineQueueStatus();
+                }
+
+                this.databaseMonitorBusy = true;
+                try {
+                    if (this.systemStatus.database) {
+                        await this.replayOfflineJournal();
+                    } else {
+                        await this.reconnectDatabase();
+                    }
+                } finally {
+                    this.databaseMonitorBusy = false;
+                }
+
+                return this.getOfflineQueueStatus();
+            } catch (error) {
+                console.error('Offline-Replay Fehler:', error);
+                return this.getOfflineQueueStatus();
+            }
+        });
+
+        ipcMain.handle('get-system-info', async (event) => {
+            return {
+                version: app.getVersion() || '1.0.0',
+                electronVersion: process.versions.electron,
+                nodeVersion: process.versions.node,
+                platform: process.platform,
+                arch: process.arch,
+                env: process.env.NODE_ENV || 'production',
+                type: 'quality-control',
+                features: {
+                    qrDecoding: true,
+                    parallelSessions: true,
+                    sessionRestart: true,
+                    sessionTypeFallback: true,
+                    sessionTypesSetup: this.systemStatus.sessionTypesSetup,
+                    qualityControl: this.systemStatus.qualityControlSetup,
+                    qcStepTracking: true,
+                    qcEntranceExit: true,
+                    decodingFormats: ['caret_separated', 'pattern_matching', 'structured_data'],
+                    supportedFields: ['auftrags_nr', 'paket_nr', 'kunden_name']
+                }
+            };
+        });
+
+        // ===== RFID OPERATIONEN =====
+        ipcMain.handle('rfid-get-status', async (event) => {
+            return this.rfidListener ? this.rfidListener.getStatus() : {
+                listening: false,
+                type: 'not-available',
+                message: 'RFID-Listener nicht verfügbar'
+            };
+        });
+
+        ipcMain.handle('rfid-simulate-tag', async (event, tagId) => {
+            try {
+                const denied = await this.checkPermission('rfid.simulate');
+                if (denied) return denied;
+
+                if (!this.rfidListener) {
+                    // Direkte Simulation wenn kein Listener verfügbar
+                    console.log(`🧪 Direkte RFID-Simulation: ${tagId}`);
+                    await this.handleRFIDScan(tagId);
+                    return true;
+                }
+                return this.rfidListener.simulateTag(tagId);
+            } catch (error) {
+                console.error('RFID Simulate Fehler:', error);
+                return false;
+            }
+        });
+
+        // ===== ANMELDUNG MIT PIN =====
+        ipcMain.handle('login-submit-pin', async (event, pin) => {
+            try {
+                if (!this.dbClient || !this.systemStatus.database) {
+                    this.loginPin.cancel();
+                    return this.loginPin.createResult(false, 'offline', 'Anmeldung mit PIN ohne Datenbankverbindung nicht möglich');
+                }
+
+                const result = await this.loginPin.verify(pin);
+                if (!result.success) {
+                    return result;
+                }
+
+                const { user, tagId } = result.data;
+                await this.completeRFIDLogin(user, tagId);
+
+                return { ...result, data: { userId: user.ID, userName: user.BenutzerName } };
+            } catch (error) {
+                console.error('PIN-Anmeldung Fehler:', error);
+                this.loginPin.cancel();
+                return this.loginPin.createResult(false, 'error', `Anmeldung fehlgeschlagen: ${error.message}`);
+            }
+        });
+
+        ipcMain.handle('login-cancel-pin', async (event) => {
+            this.loginPin.cancel();
+            return true;
+        });
+
+        // ===== APP STEUERUNG =====
+        ipcMain.handle('app-minimize', () => {
+            if (this.mainWindow) {
+                this.mainWindow.minimize();
+            }
+        });
+
+        ipcMain.handle('app-close', () => {
+            app.quit();
+        });
+
+        ipcMain.handle('app-restart', () => {
+            app.relaunch();
+            app.exit();
+        });
+    }
+
+    // ===== SESSION TIMER MANAGEMENT =====
+    startSessionTimer(sessionId, userId) {
+        // Bestehenden Timer stoppen falls vorhanden
+        this.stopSessionTimer(sessionId);
+
+        // Neuen Timer starten
+        const timer = setInterval(() => {
+            this.updateSessionTimer(sessionId, userId);
+        }, 1000);
+
+        this.activeSessionTimers.set(sessionId, timer);
+        console.log(`Session-Timer gestartet für Session ${sessionId}`);
+    }
+
+    stopSessionTimer(sessionId) {
+        const timer = this.activeSessionTimers.get(sessionId);
+        if (timer) {
+            clearInterval(timer);
+            this.activeSessionTimers.delete(sessionId);
+            console.log(`Session-Timer gestoppt für Session ${sessionId}`);
+        }
+    }
+
+    updateSessionTimer(sessionId, userId) {
+        const localSession = this.activeSessions.get(userId);
+        if (localSession) {
+            // Timer-Update an Frontend senden
+            this.sendToRenderer('session-timer-update', {
+                sessionId: sessionId,
+                userId: userId,
+                startTime: localSession.startTime,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    updateSessionActivity(sessionId) {
+        // Finde zugehörige Session und aktualisiere Aktivität
+        for (const [userId, sessionData] of this.activeSessions.entries()) {
+            if (sessionData.sessionId === sessionId) {
+                sessionData.lastActivity = new Date();
+
+                // Offene Inaktivitätswarnung zurücknehmen
+                if (this.sessionInactivityMonitor && this.sessionInactivityMonitor.clearWarning(sessionId)) {
+                    this.sendToRenderer('session-idle-cleared', { sessionId, userId, timestamp: new Date().toISOString() });
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Lokale Daten einer beendeten Session entfernen (Timer, QC-Zähler, Rate Limit)
+     */
+    clearLocalSession(userId, sessionId) {
+        // Lokale Session-Daten entfernen
+        this.activeSessions.delete(userId);
+
+        // QC-spezifische Bereinigung
+        this.activeQCSteps.delete(sessionId);
+        this.qcStepCounters.delete(sessionId);
+
+        // Session-Timer stoppen
+        this.stopSessionTimer(sessionId);
+
+        // Rate Limit für Session zurücksetzen
+        this.qrScanRateLimit.delete(sessionId);
+
+        if (this.sessionInactivityMonitor) {
+            this.sessionInactivityMonitor.clearWarning(sessionId);
+        }
+    }
+
+    // ===== QC-SPEZIFISCHE HILFSFUNKTIONEN =====
+
+    /**
+     * Dekodiert ein Foto für QCPhotoEvidence (nativeImage)
+     * @param {Buffer} buffer - JPEG/PNG-Daten
+     * @returns {Object|null} - { width, height, toThumbnail(width) } oder null bei ungültigen Daten
+     */
+    createPhotoImage(buffer) {
+        const image = nativeImage.createFromBuffer(buffer);
+        if (image.isEmpty()) {
+            return null;
+        }
+
+        const { width, height } = image.getSize();
+
+        return {
+            width,
+            height,
+            toThumbnail: (thumbnailWidth) => image.resize({ width: Math.min(thumbnailWidth, width), quality: 'good' }).toJPEG(75)
+        };
+    }
+
+    getTotalActiveQCSteps() {
+        let total = 0;
+        for (const [sessionId, activeSteps] of this.activeQCSteps.entries()) {
+            total += activeSteps.size;
+        }
+        return total;
+    }
+
+    async getTotalCompletedQCStepsToday() {
+        try {
+            if (!this.qualityControlQueries) {
+                return 0;
+            }
+
+            const result = await this.qualityControlQueries.getCompletedQCStepsCountToday();
+            return result || 0;
+        } catch (error) {
+            console.error('Fehler beim Abrufen der heute abgeschlossenen QC-Schritte:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * QC-Regeln (QualityControlConfig) für eine Session
+     * Online über den SessionType der Session, offline aus den zwischengespeicherten Regeln
+     * @param {number} sessionId - Session ID (auch provisorisch)
+     * @returns {Promise<Object|null>} - Regelsatz oder null falls QC nicht initialisiert
+     */
+    async getQCRulesForSession(sessionId) {
+        if (!this.qualityControlLogic) {
+            return null;
+        }
+
+        if (this.systemStatus.database) {
+            return await this.qualityControlLogic.getRulesForSession(this.resolveOfflineId(sessionId));
+        }
+
+        const localSession = Array.from(this.activeSessions.values())
+            .find(session => session.sessionId === sessionId);
+
+        return this.qualityControlLogic.getRulesForSessionType(localSession ? localSession.sessionType : null);
+    }
+
+    /**
+     * Pflichtangaben für Qualitätsdaten einer Session
+     * @param {number} sessionId - Session ID (auch provisorisch)
+     * @returns {Promise<Object>} - { requireQualityRating, requireDefectCheck, allowRework, source }
+     */
+    async getQualityRequirements(sessionId) {
+        const rules = await this.getQCRulesForSession(sessionId);
+
+        if (!rules) {
+            return {
+                ...QualityControlLogic.getDefaultQualityRequirements(),
+                source: 'environment'
+            };
+        }
+
+        return this.qualityControlLogic.toQualityRequirements(rules);
+    }
+
+    /**
+     * Lokales Tracking nach Abschluss eines QC-Schritts aktualisieren
+     * @param {number} sessionId - Session ID
+     * @param {Object} completedStep - Abgeschlossener QC-Schritt
+     */
+    trackCompletedQCStep(sessionId, completedStep) {
+        // Der Schritt kann in einer anderen Session dieser Station gestartet worden sein
+        for (const [trackedSessionId, activeSteps] of this.activeQCSteps.entries()) {
+            if (activeSteps.delete(completedStep.ID)) {
+                const trackedCounters = this.qcStepCounters.get(trackedSessionId);
+                if (trackedCounters) {
+                    trackedCounters.active = Math.max(0, trackedCounters.active - 1);
+                }
+            }
+        }
+
+        const counters = this.qcStepCounters.get(sessionId) || { active: 0, completed: 0 };
+        counters.completed++;
+        this.qcStepCounters.set(sessionId, counters);
+
+        console.log(`✅ QC-Schritt ${completedStep.ID} abgeschlossen für Session ${sessionId}`);
+        this.notifySupervisorDashboard();
+        this.autoPrintQCLabel(sessionId, completedStep);
+    }
+
+    /**
+     * Ergebnis-Etikett nach dem Abschluss drucken (QC_LABEL_AUTO_PRINT), Ergebnis an den Renderer
+     * @param {number} sessionId - Session des Ausgang-Scans
+     * @param {Object} completedStep - Abgeschlossener QC-Schritt (auch offline erfasst)
+     */
+    autoPrintQCLabel(sessionId, completedStep) {
+        if (!this.qcLabelPrinter || !this.qcLabelPrinter.getStatus().autoPrint) {
+            return;
+        }
+
+        const localSession = Array.from(this.activeSessions.values())
+            .find(session => session.sessionId === sessionId);
+
+        this.printQCLabel(completedStep, localSession ? localSession.userName : null)
+            .then(result => {
+                this.sendToRenderer('qc-label-printed', {
+                    sessionId,
+                    stepId: completedStep.ID,
+                    success: result.success,
+                    status: result.type,
+                    message: result.message,
+                    timestamp: new Date().toISOString()
+                });
+            });
+    }
+
+    /**
+     * Ergebnis-Etikett eines QC-Schritts ausgeben
+     * @param {Object} step - Abgeschlossener QC-Schritt
+     * @param {string|null} inspector - Prüfer (Benutzer des Ausgang-Scans)
+     * @returns {Promise<Object>} - Ergebnis von QCLabelPrinter.printLabel
+     */
+    async printQCLabel(step, inspector) {
+        return await this.qcLabelPrinter.printLabel(step, {
+            inspector,
+            station: this.qualityControlLogic ? this.qualityControlLogic.getStationConfig().stationName : null
+        });
+    }
+
+    /**
+     * Renderer über einen abgelehnten QC-Start informieren
+     * @param {number} sessionId - Session ID
+     * @param {string} qrCode - QR-Code
+     * @param {Object} result - { type, message }
+     */
+    notifyQCStartRejected(sessionId, qrCode, result) {
+        console.warn(`⚠️ QC-Start abgelehnt (${result.type}): ${result.message}`);
+        this.sendToRenderer('qc-step-rejected', {
+            sessionId,
+            qrCode,
+            type: result.type,
+            message: result.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    trackAbortedQCStep(sessionId, stepId) {
+        const activeSteps = this.activeQCSteps.get(sessionId);
+        if (!activeSteps || !activeSteps.delete(stepId)) {
+            return;
+        }
+
+        const counters = this.qcStepCounters.get(sessionId) || { active: 0, completed: 0 };
+        counters.active = Math.max(0, counters.active - 1);
+        this.qcStepCounters.set(sessionId, counters);
+
+        this.notifySupervisorDashboard();
+    }
+
+    // ===== VERBESSERTE RFID-VERARBEITUNG MIT QC-FALLBACK =====
+    async handleRFIDScan(tagId) {
+        const now = Date.now();
+
+        // Cooldown für RFID-Scans prüfen
+        if (now - this.lastRFIDScanTime < this.rfidScanCooldown) {
+            console.log(`🔄 RFID-Scan zu schnell, ignoriert: ${tagId} (${now - this.lastRFIDScanTime}ms < ${this.rfidScanCooldown}ms)`);
+            return;
+        }
+        this.lastRFIDScanTime = now;
+
+        console.log(`🏷️ RFID-Tag gescannt: ${tagId}`);
+
+        if (this.rfidCapture && now > this.rfidCapture.expiresAt) {
+            this.rfidCapture = null;
+        }
+
+        // Benutzerverwaltung wartet auf ein Badge (Freischaltung oder Zuordnung)
+        if (this.rfidCapture) {
+            await this.handleRFIDCapture(tagId);
+            return;
+        }
+
+        // Neuer Scan ersetzt eine offene PIN-Abfrage
+        this.loginPin.cancel();
+
+        try {
+            if (!this.systemStatus.database) {
+                await this.handleOfflineRFIDScan(tagId);
+                return;
+            }
+
+            // Benutzer anhand EPC finden
+            const user = await this.dbClient.getUserByEPC(tagId);
+
+            if (!user) {
+                // getUserByEPC liefert auch bei Verbindungsabbruch null
+                if (this.isOfflineJournalAvailable() && !(await this.checkDatabaseConnection())) {
+                    this.handleDatabaseConnectionLost(new Error('Benutzerabfrage fehlgeschlagen'));
+                    await this.handleOfflineRFIDScan(tagId);
+                    return;
+                }
+
+                this.sendToRenderer('rfid-scan-error', {
+                    tagId,
+                    message: `Unbekannter RFID-Tag: ${tagId}`,
+                    timestamp: new Date().toISOString()
+                });
+                return;
+            }
+
+            console.log(`👤 Benutzer gefunden: ${user.BenutzerName} (ID: ${user.ID})`);
+
+            // Für Offline-Anmeldungen merken
+            if (this.isOfflineJournalAvailable()) {
+                this.offlineJournal.rememberUser(user);
+            }
+
+            if (this.loginPin.isRequired()) {
+                await this.requestLoginPin(user, tagId);
+                return;
+            }
+
+            await this.completeRFIDLogin(user, tagId);
+
+        } catch (error) {
+            console.error('RFID-Verarbeitungs-Fehler:', error);
+            this.sendToRenderer('rfid-scan-error', {
+                tagId,
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * Badge + PIN: Session erst nach bestätigter PIN (LOGIN_REQUIRE_PIN)
+     * Das Tastenfeld im Renderer öffnet sich über 'login-pin-required'.
+     */
+    async requestLoginPin(user, tagId) {
+        const result = await this.loginPin.beginChallenge(user, tagId);
+
+        if (!result.success) {
+            this.sendToRenderer('rfid-scan-error', {
+                tagId,
+                message: result.message,
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+
+        this.sendToRenderer('login-pin-required', {
+            ...result.data,
+            isRestart: this.activeSessions.has(user.ID),
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Session für einen per Badge (und ggf. PIN) erkannten Benutzer starten oder neu starten
+     */
+    async completeRFIDLogin(user, tagId) {
+        // Prüfen ob Benutzer bereits eine aktive Session hat
+        const existingSession = this.activeSessions.get(user.ID);
+
+        if (existingSession) {
+            // ===== QC-SESSION-RESTART: Timer und QC-Status zurücksetzen =====
+            console.log(`🔄 QC-Session-Restart für ${user.BenutzerName} (Session ${existingSession.sessionId})`);
+
+            // QC-Schritte für Session beenden vor Restart
+            if (this.qualityControlLogic) {
+                await this.qualityControlLogic.abortActiveStepsForSession(existingSession.sessionId);
+            }
+
+            // Session in Datenbank neu starten
+            const restartSuccess = await this.dbClient.query(`
+                UPDATE Sessions
+                SET StartTS = GETDATE()
+                WHERE ID = ? AND UserID = ? AND Active = 1
+            `, [existingSession.sessionId, user.ID]);
+
+            if (restartSuccess) {
+                // Lokale Session-Daten aktualisieren
+                existingSession.startTime = new Date();
+                this.updateSessionActivity(existingSession.sessionId);
+
+                // QC-spezifische Reset
+                this.activeQCSteps.set(existingSession.sessionId, new Set());
+                this.qcStepCounters.set(existingSession.sessionId, { active: 0, completed: 0 });
+
+                // Session-Timer neu starten
+                this.stopSessionTimer(existingSession.sessionId);
+                this.startSessionTimer(existingSession.sessionId, user.ID);
+
+                // Session-Restart-Event senden
+                this.sendToRenderer('session-restarted', {
+                    user,
+                    sessionId: existingSession.sessionId,
+                    sessionType: existingSession.sessionType || 'Qualitätskontrolle',
+                    newStartTime: existingSession.startTime.toISOString(),
+                    timestamp: new Date().toISOString(),
+                    source: 'rfid_scan'
+                });
+
+                console.log(`✅ QC-Session erfolgreich neu gestartet für ${user.BenutzerName}`);
+                this.notifySupervisorDashboard();
+            } else {
+                this.sendToRenderer('rfid-scan-error', {
+                    tagId,
+                    message: 'Fehler beim QC-Session-Restart',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+        } else {
+            // ===== NEUE QC-SESSION ERSTELLEN MIT FALLBACK =====
+            console.log(`🔑 Neue QC-Session für ${user.BenutzerName}...`);
+
+            try {
+                const { session, sessionTypeName, fallbackUsed } = await this.createSessionWithFallback(user.ID);
+
+                if (session) {
+                    // Lokale Session-Daten setzen
+                    this.activeSessions.set(user.ID, {
+                        sessionId: session.ID,
+                        userId: user.ID,
+                        userName: user.BenutzerName,
+                        role: this.rolePermissions.normalizeRole(user.Rolle),
+                        startTime: session.StartTS,
+                        lastActivity: new Date(),
+                        sessionType: sessionTypeName
+                    });
+
+                    // QC-spezifische Initialisierung
+                    this.activeQCSteps.set(session.ID, new Set());
+                    this.qcStepCounters.set(session.ID, { active: 0, completed: 0 });
+
+                    // Session-Timer starten
+                    this.startSessionTimer(session.ID, user.ID);
+
+                    // Rate Limit für neue Session initialisieren
+                    this.qrScanRateLimit.set(session.ID, []);
+
+                    // Session-Daten mit normalisiertem Zeitstempel senden
+                    const normalizedSession = {
+                        ...session,
+                        StartTS: this.normalizeTimestamp(session.StartTS)
+                    };
+
+                    // Login-Event senden
+                    this.sendToRenderer('user-login', {
+                        user,
+                        session: normalizedSession,
+                        sessionType: sessionTypeName,
+                        fallbackUsed: fallbackUsed,
+                        timestamp: new Date().toISOString(),
+                        source: 'rfid_scan',
+                        isNewSession: true
+                    });
+
+                    console.log(`✅ Neue QC-Session erstellt für ${user.BenutzerName} (Session ${session.ID}, Type: ${sessionTypeName})`);
+                    this.notifySupervisorDashboard();
+
+                    if (fallbackUsed) {
+                        console.warn(`⚠️ Fallback SessionType '${sessionTypeName}' verwendet - primärer QC-SessionType nicht verfügbar`);
+
+                        // Warnung an Renderer senden
+                        this.sendToRenderer('session-fallback-warning', {
+                            user,
+                            sessionType: sessionTypeName,
+                            primaryType: this.sessionTypePriority[0],
+                            message: `Fallback SessionType '${sessionTypeName}' verwendet`,
+                            timestamp: new Date().toISOString()
+                        });
+                    }
+                }
+            } catch (sessionError) {
+                console.error(`❌ Konnte keine QC-Session erstellen für ${user.BenutzerName}:`, sessionError.message);
+
+                this.sendToRenderer('rfid-scan-error', {
+                    tagId,
+                    message: `Keine verfügbaren QC-SessionTypes: ${sessionError.message}`,
+                    timestamp: new Date().toISOString(),
+                    critical: true
+                });
+            }
+        }
+    }
+
+    /**
+     * RFID-Anmeldung ohne Datenbank: Benutzer aus lokalem Cache,
+     * provisorische Session und Journal-Eintrag für das spätere Nachtragen
+     * @param {string} tagId - RFID-Tag (Hex)
+     */
+    async handleOfflineRFIDScan(tagId) {
+        if (!this.isOfflineJournalAvailable()) {
+            throw new Error('Datenbank nicht verbunden - RFID-Scan kann nicht verarbeitet werden');
+        }
+
+        // PIN-Hashes und Sperren liegen nur in der Datenbank
+        if (this.loginPin.isRequired()) {
+            this.sendToRenderer('rfid-scan-error', {
+                tagId,
+                message: 'Anmeldung mit PIN ohne Datenbankverbindung nicht möglich',
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+
+        const user = this.offlineJournal.lookupUser(tagId);
+
+        if (!user) {
+            this.sendToRenderer('rfid-scan-error', {
+                tagId,
+                message: `Unbekannter RFID-Tag (offline, nicht im lokalen Benutzer-Cache): ${tagId}`,
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+
+        console.log(`👤 Benutzer aus Offline-Cache: ${user.BenutzerName} (ID: ${user.ID})`);
+
+        const existingSession = this.activeSessions.get(user.ID);
+
+        if (existingSession) {
+            // ===== OFFLINE-SESSION-RESTART =====
+            this.offlineJournal.append('session_restart', {
+                sessionId: existingSession.sessionId,
+                userId: user.ID,
+                tagId
+            });
+
+            existingSession.startTime = new Date();
+            existingSession.lastActivity = new Date();
+
+            this.activeQCSteps.set(existingSession.sessionId, new Set());
+            this.qcStepCounters.set(existingSession.sessionId, { active: 0, completed: 0 });
+
+            this.stopSessionTimer(existingSession.sessionId);
+            this.startSessionTimer(existingSession.sessionId, user.ID);
+
+            this.sendToRenderer('session-restarted', {
+                user,
+                sessionId: existingSession.sessionId,
+                sessionType: existingSession.sessionType || 'Qualitätskontrolle',
+                newStartTime: existingSession.startTime.toISOString(),
+                timestamp: new Date().toISOString(),
+                source: 'rfid_scan',
+                offline: true
+            });
+
+            console.log(`✅ QC-Session offline neu gestartet für ${user.BenutzerName}`);
+
+        } else {
+            // ===== NEUE OFFLINE-SESSION =====
+            const sessionType = this.sessionTypePriority[0] || 'Qualitätskontrolle';
+            const entry = this.offlineJournal.append('rfid_login', {
+                userId: user.ID,
+                userName: user.BenutzerName,
+                tagId,
+                sessionType
+            });
+
+            const sessionId = entry.provisionalId;
+            const startTime = new Date(entry.recordedAt);
+
+            this.activeSessions.set(user.ID, {
+                sessionId,
+                userId: user.ID,
+                userName: user.BenutzerName,
+                role: this.rolePermissions.normalizeRole(user.Rolle),
+                startTime,
+                lastActivity: new Date(),
+                sessionType,
+                offline: true
+            });
+
+            this.activeQCSteps.set(sessionId, new Set());
+            this.qcStepCounters.set(sessionId, { active: 0, completed: 0 });
+            this.startSessionTimer(sessionId, user.ID);
+            this.qrScanRateLimit.set(sessionId, []);
+
+            this.sendToRenderer('user-login', {
+                user,
+                session: {
+                    ID: sessionId,
+                    UserID: user.ID,
+                    StartTS: startTime.toISOString(),
+                    Active: 1,
+                    SessionTypeName: sessionType,
+                    Offline: true
+                },
+                sessionType,
+                fallbackUsed: false,
+                timestamp: new Date().toISOString(),
+                source: 'rfid_scan',
+                isNewSession: true,
+                offline: true
+            });
+
+            console.log(`✅ Offline-Session ${sessionId} erstellt für ${user.BenutzerName}`);
+        }
+
+        this.sendOfflineQueueStatus();
+    }
+
+    // ===== QC-BERICHTE =====
+
+    /**
+     * Exportiert einen QC-Bericht über den nativen Speichern-Dialog
+     * @param {Object} options - { format: 'csv'|'xlsx'|'pdf', startDate, endDate, userId, department }
+     */
+    async exportQCReport(options) {
+        try {
+            if (!this.qcReportExporter || !this.systemStatus.database) {
+                return {
+                    success: false,
+                    status: 'unavailable',
+                    message: 'Berichte benötigen eine Datenbankverbindung',
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            const validation = this.qcReportExporter.validateOptions(options);
+            if (!validation.isValid) {
+                return {
+                    success: false,
+                    status: 'invalid',
+                    message: validation.errors.join(', '),
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            const { format } = validation.options;
+            const formatInfo = QCReportExporter.FORMATS[format];
+
+            const report = await this.qcReportExporter.buildReport(validation.options);
+
+            const saveResult = await dialog.showSaveDialog(this.mainWindow, {
+                title: 'QC-Bericht speichern',
+                defaultPath: path.join(app.getPath('documents'), this.qcReportExporter.getDefaultFileName(report, format)),
+                filters: [{ name: formatInfo.filterName, extensions: [formatInfo.extension] }]
+            });
+
+            if (saveResult.canceled || !saveResult.filePath) {
+                return {
+                    success: false,
+                    status: 'cancelled',
+                    message: 'Export abgebrochen',
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            const content = this.qcReportExporter.render(report, format);
+            const data = format === 'pdf' ? await this.renderReportPDF(content) : content;
+
+            await fs.promises.writeFile(saveResult.filePath, data);
+
+            console.log(`📄 QC-Bericht exportiert (${format.toUpperCase()}, ${report.steps.length} Schritte): ${saveResult.filePath}`);
+
+            return {
+                success: true,
+                status: 'saved',
+                message: `Bericht gespeichert: ${path.basename(saveResult.filePath)}`,
+                data: {
+                    filePath: saveResult.filePath,
+                    format,
+                    stepCount: report.steps.length
+                },
+                timestamp: new Date().toISOString()
             };
-        });
 
-        ipcMain.handle('rfid-simulate-tag', async (event, tagId) => {
-            try {
-                if (!this.rfidListener) {
-                    // Direkte Simulation wenn kein Listener verfügbar
-                    console.log(`🧪 Direkte RFID-Simulation: ${tagId}`);
-                    await this.handleRFIDScan(tagId);
-                    return true;
-                }
-                return this.rfidListener.simulateTag(tagId);
-            } catch (error) {
-                console.error('RFID Simulate Fehler:', error);
-                return false;
-            }
-        });
+        } catch (error) {
+            console.error('❌ QC-Bericht Export fehlgeschlagen:', error);
+            return {
+                success: false,
+                status: 'error',
+                message: `Export fehlgeschlagen: ${error.message}`,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
 
-        // ===== APP STEUERUNG =====
-        ipcMain.handle('app-minimize', () => {
-            if (this.mainWindow) {
-                this.mainWindow.minimize();
+    /**
+     * Wandelt die HTML-Seite des Berichts in einem unsichtbaren Fenster in ein PDF um
+     * @param {string} html
+     * @returns {Promise<Buffer>}
+     */
+    async renderReportPDF(html, pdfOptions = {}) {
+        const pdfWindow = new BrowserWindow({
+            show: false,
+            webPreferences: {
+                nodeIntegration: false,
+                contextIsolation: true,
+                javascript: false
             }
         });
 
-        ipcMain.handle('app-close', () => {
-            app.quit();
-        });
+        try {
+            await pdfWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
 
-        ipcMain.handle('app-restart', () => {
-            app.relaunch();
-            app.exit();
-        });
+            return await pdfWindow.webContents.printToPDF({
+                pageSize: 'A4',
+                printBackground: true,
+                ...pdfOptions
+            });
+        } finally {
+            pdfWindow.destroy();
+        }
     }
 
-    // ===== SESSION TIMER MANAGEMENT =====
-    startSessionTimer(sessionId, userId) {
-        // Bestehenden Timer stoppen falls vorhanden
-        this.stopSessionTimer(sessionId);
+    // ===== BENUTZERVERWALTUNG =====
 
-        // Neuen Timer starten
-        const timer = setInterval(() => {
-            this.updateSessionTimer(sessionId, userId);
-        }, 1000);
+    /**
+     * Nächsten RFID-Scan an die Benutzerverwaltung bzw. die Bestätigung des Handelnden umleiten statt Login
+     * @param {string} mode - 'admin-unlock', 'enroll' oder 'actor'
+     */
+    startRFIDCapture(mode, userId = null) {
+        this.rfidCapture = {
+            mode,
+            userId,
+            expiresAt: Date.now() + 60000
+        };
 
-        this.activeSessionTimers.set(sessionId, timer);
-        console.log(`Session-Timer gestartet für Session ${sessionId}`);
-    }
+        console.log(`🏷️ Warte auf Badge (${mode}${userId ? `, Benutzer ${userId}` : ''})`);
 
-    stopSessionTimer(sessionId) {
-        const timer = this.activeSessionTimers.get(sessionId);
-        if (timer) {
-            clearInterval(timer);
-            this.activeSessionTimers.delete(sessionId);
-            console.log(`Session-Timer gestoppt für Session ${sessionId}`);
-        }
+        return {
+            success: true,
+            status: 'waiting',
+            message: 'Badge jetzt an den Leser halten',
+            data: { mode, userId, expiresAt: new Date(this.rfidCapture.expiresAt).toISOString() },
+            timestamp: new Date().toISOString()
+        };
     }
 
-    updateSessionTimer(sessionId, userId) {
-        const localSession = this.activeSessions.get(userId);
-        if (localSession) {
-            // Timer-Update an Frontend senden
-            this.sendToRenderer('session-timer-update', {
-                sessionId: sessionId,
-                userId: userId,
-                startTime: localSession.startTime,
+    async handleRFIDCapture(tagId) {
+        const capture = this.rfidCapture;
+        this.rfidCapture = null;
+
+        if (capture.mode === 'actor') {
+            this.sendToRenderer('actor-badge-confirmed', {
+                tagId,
+                result: await this.confirmActorBadge(tagId),
                 timestamp: new Date().toISOString()
             });
+            return;
         }
-    }
 
-    updateSessionActivity(sessionId) {
-        // Finde zugehörige Session und aktualisiere Aktivität
-        for (const [userId, sessionData] of this.activeSessions.entries()) {
-            if (sessionData.sessionId === sessionId) {
-                sessionData.lastActivity = new Date();
-                break;
+        let result;
+
+        if (capture.mode === 'admin-unlock') {
+            result = await this.unlockAdminWithBadge(tagId);
+        } else if (!this.adminAccess.isUnlocked() || !this.userAdministration) {
+            result = this.createAdminError('locked', 'Admin-Modus gesperrt - bitte erneut freischalten');
+        } else {
+            this.adminAccess.touch();
+            result = await this.userAdministration.enrollBadge(capture.userId, tagId, {
+                actor: this.adminAccess.getActor()
+            });
+
+            if (result.success) {
+                await this.refreshOfflineUserCache();
             }
         }
+
+        this.sendToAdmin('admin-rfid-captured', {
+            mode: capture.mode,
+            userId: capture.userId,
+            tagId,
+            result,
+            timestamp: new Date().toISOString()
+        });
     }
 
-    // ===== QC-SPEZIFISCHE HILFSFUNKTIONEN =====
-    getTotalActiveQCSteps() {
-        let total = 0;
-        for (const [sessionId, activeSteps] of this.activeQCSteps.entries()) {
-            total += activeSteps.size;
+    /**
+     * Badge des Handelnden für die nächste Aktion mit Berechtigung (Abmelden, Neustart, ...)
+     * Nur angemeldete Mitarbeiter können bestätigen, die Bestätigung gilt 60 Sekunden
+     */
+    async confirmActorBadge(tagId) {
+        let user = null;
+
+        if (this.dbClient && this.systemStatus.database) {
+            user = await this.dbClient.getUserByEPC(tagId);
+        } else if (this.isOfflineJournalAvailable()) {
+            user = this.offlineJournal.lookupUser(tagId);
         }
-        return total;
+
+        const actor = user ? await this.resolveActor(user.ID) : null;
+
+        if (!actor) {
+            return {
+                success: false,
+                status: user ? 'not_logged_in' : 'unknown_badge',
+                message: user ? `${user.BenutzerName} ist an dieser Station nicht angemeldet` : `Unbekannter RFID-Tag: ${tagId}`,
+                data: null,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        this.badgeActor = { userId: actor.userId, expiresAt: Date.now() + 60000 };
+        console.log(`🏷️ Handelnder per Badge bestätigt: ${actor.userName} (${actor.role})`);
+
+        return {
+            success: true,
+            status: 'confirmed',
+            message: `Bestätigt: ${actor.userName}`,
+            data: { ...actor, roleLabel: this.rolePermissions.getRoleLabel(actor.role) },
+            timestamp: new Date().toISOString()
+        };
     }
 
-    async getTotalCompletedQCStepsToday() {
-        try {
-            if (!this.qualityControlQueries) {
-                return 0;
-            }
+    /**
+     * Freischaltung per Badge: ADMIN_BADGES oder Badge eines Mitarbeiters mit Rolle admin
+     */
+    async unlockAdminWithBadge(tagId) {
+        if (!this.adminAccess.isAdminBadge(tagId) && this.dbClient && this.systemStatus.database) {
+            const user = await this.dbClient.getUserByEPC(tagId);
 
-            const result = await this.qualityControlQueries.getCompletedQCStepsCountToday();
-            return result || 0;
-        } catch (error) {
-            console.error('Fehler beim Abrufen der heute abgeschlossenen QC-Schritte:', error);
-            return 0;
+            if (user && this.rolePermissions.can(user.Rolle, 'settings.open')) {
+                return this.adminAccess.startSession('role', `Admin ${user.BenutzerName}`);
+            }
         }
+
+        return this.adminAccess.unlockWithBadge(tagId);
     }
 
-    // ===== VERBESSERTE RFID-VERARBEITUNG MIT QC-FALLBACK =====
-    async handleRFIDScan(tagId) {
-        const now = Date.now();
+    /**
+     * Admin-Aufrufe nur aus dem Admin-Fenster und nur im freigeschalteten Admin-Modus
+     * @returns {Object|null} - Fehler-Ergebnis oder null falls erlaubt
+     */
+    checkAdminRequest(event, requireUnlocked = true) {
+        if (!this.adminWindow || event.sender !== this.adminWindow.webContents) {
+            return this.createAdminError('forbidden', 'Nur aus der Benutzerverwaltung erlaubt');
+        }
 
-        // Cooldown für RFID-Scans prüfen
-        if (now - this.lastRFIDScanTime < this.rfidScanCooldown) {
-            console.log(`🔄 RFID-Scan zu schnell, ignoriert: ${tagId} (${now - this.lastRFIDScanTime}ms < ${this.rfidScanCooldown}ms)`);
-            return;
+        if (!requireUnlocked) {
+            return null;
         }
-        this.lastRFIDScanTime = now;
 
-        console.log(`🏷️ RFID-Tag gescannt: ${tagId}`);
+        if (!this.adminAccess.isUnlocked()) {
+            return this.createAdminError('locked', 'Admin-Modus gesperrt - bitte erneut freischalten');
+        }
 
-        try {
-            if (!this.systemStatus.database) {
-                throw new Error('Datenbank nicht verbunden - RFID-Scan kann nicht verarbeitet werden');
-            }
+        if (!this.userAdministration || !this.systemStatus.database) {
+            return this.createAdminError('unavailable', 'Benutzerverwaltung benötigt eine Datenbankverbindung');
+        }
 
-            // Benutzer anhand EPC finden
-            const user = await this.dbClient.getUserByEPC(tagId);
+        this.adminAccess.touch();
+        return null;
+    }
 
-            if (!user) {
-                this.sendToRenderer('rfid-scan-error', {
-                    tagId,
-                    message: `Unbekannter RFID-Tag: ${tagId}`,
-                    timestamp: new Date().toISOString()
-                });
-                return;
-            }
+    createAdminError(status, message) {
+        return {
+            success: false,
+            status,
+            message,
+            data: null,
+            timestamp: new Date().toISOString()
+        };
+    }
 
-            console.log(`👤 Benutzer gefunden: ${user.BenutzerName} (ID: ${user.ID})`);
+    // ===== BERECHTIGUNGEN =====
 
-            // Prüfen ob Benutzer bereits eine aktive Session hat
-            const existingSession = this.activeSessions.get(user.ID);
+    /**
+     * Angemeldeten Mitarbeiter mit Rolle auflösen - nur wer aktuell angemeldet ist, kann handeln
+     * @param {number} actorUserId - Mitarbeiter (für Berechtigungen immer aus der Badge-Bestätigung)
+     * @returns {Object|null} - { userId, userName, role }
+     */
+    async resolveActor(actorUserId) {
+        const userId = parseInt(actorUserId);
+        if (!userId) return null;
 
-            if (existingSession) {
-                // ===== QC-SESSION-RESTART: Timer und QC-Status zurücksetzen =====
-                console.log(`🔄 QC-Session-Restart für ${user.BenutzerName} (Session ${existingSession.sessionId})`);
+        const localSession = this.activeSessions.get(userId);
+        if (localSession) {
+            return {
+                userId,
+                userName: localSession.userName || `Benutzer ${userId}`,
+                role: this.rolePermissions.normalizeRole(localSession.role)
+            };
+        }
 
-                // QC-Schritte für Session beenden vor Restart
-                if (this.qualityControlLogic) {
-                    await this.qualityControlLogic.abortActiveStepsForSession(existingSession.sessionId);
-                }
+        // Sessions, die vor einem Neustart der Station angemeldet wurden
+        if (this.dbClient && this.systemStatus.database) {
+            const sessions = await this.dbClient.getActiveSessionsWithType();
+            const session = sessions.find(activeSession => activeSession.UserID === userId);
 
-                // Session in Datenbank neu starten
-                const restartSuccess = await this.dbClient.query(`
-                    UPDATE Sessions
-                    SET StartTS = GETDATE()
-                    WHERE ID = ? AND UserID = ? AND Active = 1
-                `, [existingSession.sessionId, user.ID]);
+            if (session) {
+                return {
+                    userId,
+                    userName: session.BenutzerName || `Benutzer ${userId}`,
+                    role: this.rolePermissions.normalizeRole(session.Rolle)
+                };
+            }
+        }
 
-                if (restartSuccess) {
-                    // Lokale Session-Daten aktualisieren
-                    existingSession.startTime = new Date();
-                    existingSession.lastActivity = new Date();
+        return null;
+    }
 
-                    // QC-spezifische Reset
-                    this.activeQCSteps.set(existingSession.sessionId, new Set());
-                    this.qcStepCounters.set(existingSession.sessionId, { active: 0, completed: 0 });
+    /**
+     * Inhaber einer aktiven Session: aus der Datenbank bzw. offline (oder für noch nicht
+     * übertragene Sessions) aus den lokal angemeldeten Sessions
+     * @returns {Promise<number|null>} - UserID oder null, wenn die Session nicht aktiv ist
+     */
+    async resolveSessionOwner(sessionId) {
+        const dbSessionId = this.resolveOfflineId(sessionId);
 
-                    // Session-Timer neu starten
-                    this.stopSessionTimer(existingSession.sessionId);
-                    this.startSessionTimer(existingSession.sessionId, user.ID);
+        if (dbSessionId && this.dbClient && this.systemStatus.database) {
+            const session = await this.dbClient.getSessionWithType(dbSessionId);
+            return session && session.Active ? session.UserID : null;
+        }
 
-                    // Session-Restart-Event senden
-                    this.sendToRenderer('session-restarted', {
-                        user,
-                        sessionId: existingSession.sessionId,
-                        sessionType: existingSession.sessionType || 'Qualitätskontrolle',
-                        newStartTime: existingSession.startTime.toISOString(),
-                        timestamp: new Date().toISOString(),
-                        source: 'rfid_scan'
-                    });
+        for (const [userId, localSession] of this.activeSessions) {
+            if (localSession.sessionId === sessionId) {
+                return userId;
+            }
+        }
 
-                    console.log(`✅ QC-Session erfolgreich neu gestartet für ${user.BenutzerName}`);
-                } else {
-                    this.sendToRenderer('rfid-scan-error', {
-                        tagId,
-                        message: 'Fehler beim QC-Session-Restart',
-                        timestamp: new Date().toISOString()
-                    });
-                }
+        return null;
+    }
 
-            } else {
-                // ===== NEUE QC-SESSION ERSTELLEN MIT FALLBACK =====
-                console.log(`🔑 Neue QC-Session für ${user.BenutzerName}...`);
+    /**
+     * Per Badge bestätigter Mitarbeiter, solange die Bestätigung gilt
+     * @returns {number|null} - UserID
+     */
+    getBadgeActorId() {
+        if (this.badgeActor && Date.now() > this.badgeActor.expiresAt) {
+            this.badgeActor = null;
+        }
 
-                try {
-                    const { session, sessionTypeName, fallbackUsed } = await this.createSessionWithFallback(user.ID);
-
-                    if (session) {
-                        // Lokale Session-Daten setzen
-                        this.activeSessions.set(user.ID, {
-                            sessionId: session.ID,
-                            userId: user.ID,
-                            startTime: session.StartTS,
-                            lastActivity: new Date(),
-                            sessionType: sessionTypeName
-                        });
+        return this.badgeActor ? this.badgeActor.userId : null;
+    }
 
-                        // QC-spezifische Initialisierung
-                        this.activeQCSteps.set(session.ID, new Set());
-                        this.qcStepCounters.set(session.ID, { active: 0, completed: 0 });
+    isOwnSession(userId) {
+        const actorUserId = this.getBadgeActorId();
+        return actorUserId !== null && parseInt(userId) === actorUserId;
+    }
 
-                        // Session-Timer starten
-                        this.startSessionTimer(session.ID, user.ID);
+    /**
+     * Prüft die Rolle des per Badge bestätigten Mitarbeiters für eine Aktion
+     * Die Bestätigung gilt für genau eine Aktion
+     * @param {string} permission - z.B. 'session.end.other' (siehe logic/role-permissions.js)
+     * @returns {Object|null} - Fehler-Ergebnis oder null falls erlaubt
+     */
+    async checkPermission(permission) {
+        const actorUserId = this.getBadgeActorId();
+        this.badgeActor = null;
 
-                        // Rate Limit für neue Session initialisieren
-                        this.qrScanRateLimit.set(session.ID, []);
+        const actor = actorUserId !== null ? await this.resolveActor(actorUserId) : null;
 
-                        // Session-Daten mit normalisiertem Zeitstempel senden
-                        const normalizedSession = {
-                            ...session,
-                            StartTS: this.normalizeTimestamp(session.StartTS)
-                        };
+        if (!actor) {
+            console.warn(`🚫 ${permission} verweigert: kein Badge bestätigt`);
+            return this.createPermissionError(permission, 'Bitte zuerst das eigene Badge scannen (nur angemeldete Mitarbeiter)');
+        }
 
-                        // Login-Event senden
-                        this.sendToRenderer('user-login', {
-                            user,
-                            session: normalizedSession,
-                            sessionType: sessionTypeName,
-                            fallbackUsed: fallbackUsed,
-                            timestamp: new Date().toISOString(),
-                            source: 'rfid_scan',
-                            isNewSession: true
-                        });
+        if (!this.rolePermissions.can(actor.role, permission)) {
+            const requiredRole = this.rolePermissions.getRoleLabel(this.rolePermissions.getRequiredRole(permission));
+            console.warn(`🚫 ${permission} verweigert: ${actor.userName} (${actor.role})`);
+            return this.createPermissionError(permission, `${actor.userName} ist dazu nicht berechtigt (erforderlich: ${requiredRole})`);
+        }
 
-                        console.log(`✅ Neue QC-Session erstellt für ${user.BenutzerName} (Session ${session.ID}, Type: ${sessionTypeName})`);
+        console.log(`🔐 ${permission}: ${actor.userName} (${actor.role})`);
+        return null;
+    }
 
-                        if (fallbackUsed) {
-                            console.warn(`⚠️ Fallback SessionType '${sessionTypeName}' verwendet - primärer QC-SessionType nicht verfügbar`);
+    /**
+     * QC-Schritt aus der Session eines anderen Mitarbeiters abschließen: nur QC-Leitung
+     * An Ausgangsstationen ist das der normale Ablauf (Eingang an einer anderen Station)
+     * @param {number} sessionId - Session des Scans (Datenbank-ID)
+     * @param {Object|null} step - Offener QC-Schritt
+     * @returns {Promise<Object|null>} - Fehler-Ergebnis oder null falls erlaubt
+     */
+    async checkStepOwnership(sessionId, step) {
+        if (!step || step.SessionID === sessionId || this.qualityControlLogic.config.stationRole === 'exit') {
+            return null;
+        }
 
-                            // Warnung an Renderer senden
-                            this.sendToRenderer('session-fallback-warning', {
-                                user,
-                                sessionType: sessionTypeName,
-                                primaryType: this.sessionTypePriority[0],
-                                message: `Fallback SessionType '${sessionTypeName}' verwendet`,
-                                timestamp: new Date().toISOString()
-                            });
-                        }
-                    }
-                } catch (sessionError) {
-                    console.error(`❌ Konnte keine QC-Session erstellen für ${user.BenutzerName}:`, sessionError.message);
+        const userId = await this.resolveSessionOwner(sessionId);
+        const stepUserId = step.StartUserID !== undefined ? step.StartUserID : await this.resolveSessionOwner(step.SessionID);
 
-                    this.sendToRenderer('rfid-scan-error', {
-                        tagId,
-                        message: `Keine verfügbaren QC-SessionTypes: ${sessionError.message}`,
-                        timestamp: new Date().toISOString(),
-                        critical: true
-                    });
-                }
-            }
+        if (userId !== null && userId === stepUserId) {
+            return null;
+        }
 
-        } catch (error) {
-            console.error('RFID-Verarbeitungs-Fehler:', error);
-            this.sendToRenderer('rfid-scan-error', {
-                tagId,
-                message: error.message,
-                timestamp: new Date().toISOString()
-            });
+        const permission = 'qc.step.other';
+        const stepOwner = step.StartUserName || `Benutzer ${stepUserId}`;
+        const actor = userId !== null ? await this.resolveActor(userId) : null;
+
+        if (actor && this.rolePermissions.can(actor.role, permission)) {
+            console.log(`🔐 ${permission}: ${actor.userName} schließt QC-Schritt ${step.ID} von ${stepOwner} ab`);
+            return null;
         }
+
+        const requiredRole = this.rolePermissions.getRoleLabel(this.rolePermissions.getRequiredRole(permission));
+        console.warn(`🚫 ${permission} verweigert: QC-Schritt ${step.ID} von ${stepOwner}, Session ${sessionId}`);
+        return this.createPermissionError(permission, `QC-Schritt von ${stepOwner} kann nur die ${requiredRole} abschließen`);
+    }
+
+    createPermissionError(permission, message) {
+        return {
+            success: false,
+            status: 'forbidden',
+            message,
+            data: { permission },
+            timestamp: new Date().toISOString()
+        };
     }
 
     // ===== QR-CODE DEKODIERUNG STATISTIKEN =====
@@ -1171,9 +3717,12 @@ class QualityControlMainApp {
             this.decodingStats.totalScans++;
 
             const decodedData = scanResult.data.DecodedData;
-            if (decodedData) {
+            if (this.qrParser.isDecoded(decodedData)) {
                 this.decodingStats.successfulDecodes++;
 
+                const byFormat = this.decodingStats.byFormat || (this.decodingStats.byFormat = {});
+                byFormat[decodedData.format_type] = (byFormat[decodedData.format_type] || 0) + 1;
+
                 if (decodedData.auftrags_nr && decodedData.auftrags_nr.trim()) {
                     this.decodingStats.withAuftrag++;
                 }
@@ -1297,6 +3846,18 @@ class QualityControlMainApp {
         }
     }
 
+    sendToSupervisor(channel, data) {
+        if (this.supervisorWindow && this.supervisorWindow.webContents) {
+            this.supervisorWindow.webContents.send(channel, data);
+        }
+    }
+
+    sendToAdmin(channel, data) {
+        if (this.adminWindow && this.adminWindow.webContents) {
+            this.adminWindow.webContents.send(channel, data);
+        }
+    }
+
     sendSystemStatus() {
         this.sendToRenderer('system-ready', {
             database: this.systemStatus.database,
@@ -1317,13 +3878,49 @@ class QualityControlMainApp {
         console.log('🧹 QC-Anwendung wird bereinigt...');
 
         try {
+            // Datenbank-Überwachung stoppen
+            this.stopDatabaseMonitor();
+
+            // Überwachung der QC-Regeln stoppen
+            if (this.qualityControlLogic) {
+                this.qualityControlLogic.stopConfigRefresh();
+            }
+
+            // Timeout-Überwachung der QC-Schritte stoppen
+            if (this.qcTimeoutSweeper) {
+                this.qcTimeoutSweeper.stop();
+            }
+
+            // Inaktivitäts-Überwachung stoppen
+            if (this.sessionInactivityMonitor) {
+                this.sessionInactivityMonitor.stop();
+            }
+
+            // Dashboard-Aktualisierung stoppen
+            if (this.supervisorDashboard) {
+                this.supervisorDashboard.stop();
+            }
+
+            // Schichtberichte stoppen
+            if (this.shiftReportScheduler) {
+                this.shiftReportScheduler.stop();
+            }
+
             // Alle Session-Timer stoppen
             for (const sessionId of this.activeSessionTimers.keys()) {
                 this.stopSessionTimer(sessionId);
             }
 
+            // Offline: Abmeldungen ins Journal schreiben, damit sie nachgetragen werden
+            if (!this.systemStatus.database && this.isOfflineJournalAvailable()) {
+                for (const [userId, sessionData] of this.activeSessions.entries()) {
+                    this.offlineJournal.append('session_end', { sessionId: sessionData.sessionId, userId });
+                }
+                this.activeSessions.clear();
+            }
+
             // Alle aktiven QC-Schritte beenden
-            if (this.qualityControlLogic) {
+            if (this.qualityControlLogic && this.systemStatus.database) {
                 for (const [sessionId, activeSteps] of this.activeQCSteps.entries()) {
                     try {
                         await this.qualityControlLogic.abortActiveStepsForSession(sessionId);
@@ -1357,7 +3954,8 @@ class QualityControlMainApp {
                 successfulDecodes: 0,
                 withAuftrag: 0,
                 withPaket: 0,
-                withKunde: 0
+                withKunde: 0,
+                byFormat: {}
             };
 
             // RFID-Listener stoppen
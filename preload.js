@@ -3,10 +3,10 @@ const { contextBridge, ipcRenderer } = require('electron');
 // Sichere API für Renderer Process - Qualitätskontrolle
 contextBridge.exposeInMainWorld('electronAPI', {
     // ===== DATENBANK OPERATIONEN =====
+    // Nur lesende, benannte Operationen mit Eingabe-Objekt - Ergebnis { success, status, message, data }
     db: {
-        query: (query, params) => ipcRenderer.invoke('db-query', query, params),
-        getUserByEPC: (tagId) => ipcRenderer.invoke('db-get-user-by-epc', tagId),
-        getUserById: (userId) => ipcRenderer.invoke('db-get-user-by-id', userId)
+        getUserById: (input) => ipcRenderer.invoke('db-get-user-by-id', input),           // { userId }
+        getUserByEPC: (input) => ipcRenderer.invoke('db-get-user-by-epc', input)          // { tagId }
     },
 
     // ===== PARALLELES SESSION MANAGEMENT =====
@@ -14,24 +14,39 @@ contextBridge.exposeInMainWorld('electronAPI', {
         // Alle aktiven Sessions abrufen
         getAllActive: () => ipcRenderer.invoke('session-get-all-active'),
 
-        // Neue Session erstellen (ohne bestehende zu beenden)
+        // Neue Session erstellen (ohne bestehende zu beenden, nur QC-Leitung nach Badge-Bestätigung)
         create: (userId) => ipcRenderer.invoke('session-create', userId),
 
         // Session neu starten (Timer und QC-Status zurücksetzen)
         restart: (sessionId, userId) => ipcRenderer.invoke('session-restart', sessionId, userId),
 
         // Spezifische Session beenden
-        end: (sessionId, userId) => ipcRenderer.invoke('session-end', sessionId, userId)
+        end: (sessionId, userId) => ipcRenderer.invoke('session-end', sessionId, userId),
+
+        // Aktivität melden ("Ich bin noch da" nach einer Inaktivitätswarnung)
+        keepAlive: (sessionId) => ipcRenderer.invoke('session-keep-alive', sessionId)
     },
 
     // ===== QUALITÄTSKONTROLLE OPERATIONEN =====
     qualityControl: {
+        // Stationsrolle (Eingang, Ausgang oder beides) und Stationsname
+        getStationConfig: () => ipcRenderer.invoke('quality-control-get-station-config'),
+
+        // Scan-Typ für ein Paket bestimmen (offene Schritte auch aus anderen Sessions)
+        resolveScan: (sessionId, qrCode) => ipcRenderer.invoke('quality-control-resolve-scan', sessionId, qrCode),
+
         // QC-Schritt starten (Eingang-Scan)
         startStep: (sessionId, qrCode, scanId) => ipcRenderer.invoke('quality-control-start-step', sessionId, qrCode, scanId),
 
         // QC-Schritt abschließen (Ausgang-Scan)
         completeStep: (sessionId, qrCode, scanId) => ipcRenderer.invoke('quality-control-complete-step', sessionId, qrCode, scanId),
 
+        // Pflichtangaben für Qualitätsdaten (QualityControlConfig des SessionTypes)
+        getQualityRequirements: (sessionId) => ipcRenderer.invoke('quality-control-get-quality-requirements', sessionId),
+
+        // QC-Schritt mit Qualitätsdaten abschließen (Bewertung, Fehler inkl. Fehlercodes, Nacharbeit, Notizen)
+        completeStepWithQuality: (sessionId, qrCode, scanId, qualityData) => ipcRenderer.invoke('quality-control-complete-step-with-quality', sessionId, qrCode, scanId, qualityData),
+
         // Aktive QC-Schritte für Session abrufen
         getActiveSteps: (sessionId) => ipcRenderer.invoke('quality-control-get-active-steps', sessionId),
 
@@ -39,7 +54,26 @@ contextBridge.exposeInMainWorld('electronAPI', {
         getCompletedStepsToday: (sessionId) => ipcRenderer.invoke('quality-control-get-completed-today', sessionId),
 
         // QC-Schritt Details abrufen
-        getStepDetails: (stepId) => ipcRenderer.invoke('quality-control-get-step-details', stepId)
+        getStepDetails: (stepId) => ipcRenderer.invoke('quality-control-get-step-details', stepId),
+
+        // Prüf-Checkliste eines QC-Schritts inkl. bisheriger Antworten
+        getChecklist: (stepId) => ipcRenderer.invoke('quality-control-get-checklist', stepId),
+
+        // Checklistenpunkt beantworten ('pass' | 'fail' | 'na')
+        recordChecklistItem: (sessionId, stepId, itemId, result, notes) => ipcRenderer.invoke('quality-control-record-checklist-item', sessionId, stepId, itemId, result, notes),
+
+        // Fehlerkatalog (aktive Fehlercodes) und erfasste Fehlercodes eines QC-Schritts
+        getDefectCodes: () => ipcRenderer.invoke('quality-control-get-defect-codes'),
+        getStepDefects: (stepId) => ipcRenderer.invoke('quality-control-get-step-defects', stepId),
+
+        // Ergebnis-Etikett (ZPL) eines abgeschlossenen QC-Schritts nachdrucken
+        printLabel: (stepId) => ipcRenderer.invoke('quality-control-print-label', stepId),
+
+        // Fotos als Nachweis (Standbild aus der Scanner-Kamera, JPEG/PNG als Uint8Array)
+        addPhoto: (sessionId, stepId, imageData, mimeType) => ipcRenderer.invoke('quality-control-add-photo', sessionId, stepId, imageData, mimeType),
+        getPhotos: (stepId) => ipcRenderer.invoke('quality-control-get-photos', stepId),
+        getPhoto: (photoId) => ipcRenderer.invoke('quality-control-get-photo', photoId),
+        deletePhoto: (photoId) => ipcRenderer.invoke('quality-control-delete-photo', photoId)
     },
 
     // ===== QR-CODE OPERATIONEN MIT DEKODIERUNG =====
@@ -47,15 +81,102 @@ contextBridge.exposeInMainWorld('electronAPI', {
         saveScan: (sessionId, payload) => ipcRenderer.invoke('qr-scan-save', sessionId, payload),
         getDecodedScans: (sessionId, limit) => ipcRenderer.invoke('qr-get-decoded-scans', sessionId, limit),
         searchDecoded: (searchTerm, sessionId) => ipcRenderer.invoke('qr-search-decoded', searchTerm, sessionId),
-        getDecodingStats: (sessionId) => ipcRenderer.invoke('qr-get-decoding-stats', sessionId)
+        getDecodingStats: (sessionId) => ipcRenderer.invoke('qr-get-decoding-stats', sessionId),
+        decode: (payload) => ipcRenderer.invoke('qr-decode', payload),
+        getFormats: () => ipcRenderer.invoke('qr-get-formats')
+    },
+
+    // ===== SCHICHTLEITUNG =====
+    supervisor: {
+        // Dashboard-Fenster öffnen (bzw. in den Vordergrund holen)
+        openWindow: () => ipcRenderer.invoke('supervisor-open-window'),
+
+        // Aktuellen Snapshot abrufen (weitere Updates kommen per 'supervisor-dashboard-updated')
+        getDashboard: () => ipcRenderer.invoke('supervisor-get-dashboard')
+    },
+
+    // ===== ROLLEN & BERECHTIGUNGEN =====
+    permissions: {
+        // Rollen mit Anzeigenamen [{ id, label }]
+        getRoles: () => ipcRenderer.invoke('permissions-get-roles'),
+
+        // Rolle und Berechtigungen eines angemeldeten Mitarbeiters (null falls nicht angemeldet)
+        getForUser: (userId) => ipcRenderer.invoke('permissions-get-for-user', userId),
+
+        // Handelnden per Badge bestätigen (Ergebnis über 'actor-badge-confirmed'), gilt für die nächste Aktion
+        confirmBadge: () => ipcRenderer.invoke('permissions-confirm-badge'),
+        cancelBadge: () => ipcRenderer.invoke('permissions-cancel-badge')
+    },
+
+    // ===== BENUTZERVERWALTUNG =====
+    admin: {
+        // Admin-Fenster öffnen (bzw. in den Vordergrund holen)
+        openWindow: () => ipcRenderer.invoke('admin-open-window'),
+
+        // Freischaltung (PIN oder Admin-Badge, Ergebnis per 'admin-rfid-captured')
+        getStatus: () => ipcRenderer.invoke('admin-get-status'),
+        unlockWithPin: (pin) => ipcRenderer.invoke('admin-unlock-pin', pin),
+        startBadgeUnlock: () => ipcRenderer.invoke('admin-start-badge-unlock'),
+        lock: () => ipcRenderer.invoke('admin-lock'),
+
+        // Benutzer (data: { benutzerName, vorname, nachname, email, abteilung })
+        getUsers: (includeInactive) => ipcRenderer.invoke('admin-get-users', includeInactive),
+        createUser: (data) => ipcRenderer.invoke('admin-create-user', data),
+        updateUser: (userId, data) => ipcRenderer.invoke('admin-update-user', userId, data),
+        setUserActive: (userId, active) => ipcRenderer.invoke('admin-set-user-active', userId, active),
+
+        // Badges: nächsten RFID-Scan zuordnen oder Tag direkt angeben (reassign = vom bisherigen Inhaber übertragen)
+        startEnrollment: (userId) => ipcRenderer.invoke('admin-start-enrollment', userId),
+        cancelCapture: () => ipcRenderer.invoke('admin-cancel-capture'),
+        enrollBadge: (userId, tagId, reassign) => ipcRenderer.invoke('admin-enroll-badge', userId, tagId, reassign),
+        removeBadge: (userId, reason) => ipcRenderer.invoke('admin-remove-badge', userId, reason),
+        getBadgeAudit: (userId) => ipcRenderer.invoke('admin-get-badge-audit', userId),
+
+        // Login-PIN für Stationen mit Badge + PIN (Setzen hebt eine Sperre auf)
+        setUserPin: (userId, pin) => ipcRenderer.invoke('admin-set-user-pin', userId, pin),
+        removeUserPin: (userId) => ipcRenderer.invoke('admin-remove-user-pin', userId),
+        getLoginAudit: (userId) => ipcRenderer.invoke('admin-get-login-audit', userId)
+    },
+
+    // ===== QC-BERICHTE =====
+    reports: {
+        // Mitarbeiter und Abteilungen für die Berichtsfilter
+        getFilterOptions: () => ipcRenderer.invoke('report-get-filter-options'),
+
+        // Bericht erzeugen und über den Speichern-Dialog ablegen
+        // options: { format: 'csv'|'xlsx'|'pdf', startDate, endDate, userId, department }
+        export: (options) => ipcRenderer.invoke('report-export', options),
+
+        // Zuletzt erzeugte Schichtberichte (inkl. Konfiguration und nächstem Termin)
+        getRecentShiftReports: (limit) => ipcRenderer.invoke('shift-report-get-recent', limit),
+
+        // Schichtbericht mit dem Standardprogramm öffnen
+        openShiftReport: (key, format) => ipcRenderer.invoke('shift-report-open', key, format)
+    },
+
+    // ===== OFFLINE-JOURNAL =====
+    offline: {
+        // Status der lokalen Warteschlange (offene Einträge, letzter Replay)
+        getStatus: () => ipcRenderer.invoke('offline-get-status'),
+
+        // Wiederverbindung und Nachtragen sofort versuchen
+        replayNow: () => ipcRenderer.invoke('offline-replay-now')
     },
 
     // ===== RFID OPERATIONEN =====
     rfid: {
         getStatus: () => ipcRenderer.invoke('rfid-get-status'),
+        // Nur für angemeldete Admins nach Badge-Bestätigung
         simulateTag: (tagId) => ipcRenderer.invoke('rfid-simulate-tag', tagId)
     },
 
+    // ===== ANMELDUNG MIT PIN =====
+    // Nach 'login-pin-required' die PIN vom Tastenfeld prüfen; bei Erfolg startet die Session
+    login: {
+        submitPin: (pin) => ipcRenderer.invoke('login-submit-pin', pin),
+        cancelPin: () => ipcRenderer.invoke('login-cancel-pin')
+    },
+
     // ===== SYSTEM STATUS =====
     system: {
         getStatus: () => ipcRenderer.invoke('get-system-status'),
@@ -79,12 +200,27 @@ contextBridge.exposeInMainWorld('electronAPI', {
             'user-logout',          // Benutzer loggt sich aus
             'session-restarted',    // Session wurde neu gestartet (RFID-Rescan)
             'session-timer-update', // Timer-Updates für Sessions
+            'session-idle-warning', // Session ohne Aktivität, automatische Abmeldung droht
+            'session-idle-cleared', // Wieder Aktivität nach einer Inaktivitätswarnung
             'rfid-scan-error',
+            'rfid-status-changed',  // RFID-Leser getrennt/wieder verbunden
+            'login-pin-required',   // Badge erkannt, PIN auf dem Tastenfeld erforderlich
+            'actor-badge-confirmed', // Badge des Handelnden für eine Aktion mit Berechtigung gescannt
             'qr-scan-detected',
             'decoding-stats-updated',
             'qc-step-started',      // QC-Schritt wurde gestartet
             'qc-step-completed',    // QC-Schritt wurde abgeschlossen
-            'qc-step-aborted'       // QC-Schritt wurde abgebrochen
+            'qc-step-aborted',      // QC-Schritt wurde abgebrochen
+            'qc-step-rejected',     // QC-Start durch QC-Regeln abgelehnt
+            'qc-step-long-duration', // QC-Schritt überschreitet Warnschwelle
+            'qc-step-timeout',      // QC-Schritt wegen Zeitüberschreitung abgebrochen/markiert
+            'qc-label-printed',     // Ergebnis-Etikett nach dem Abschluss gedruckt (oder fehlgeschlagen)
+            'database-status-changed',  // Datenbank offline/wieder verbunden
+            'offline-queue-updated',    // Offline-Journal geändert
+            'offline-replay-completed', // Offline-Journal nachgetragen (inkl. Konflikte)
+            'supervisor-dashboard-updated', // Neuer Snapshot für das Schichtleitungs-Dashboard
+            'shift-report-generated',       // Schichtbericht zum Schichtende erstellt (oder fehlgeschlagen)
+            'admin-rfid-captured'           // Badge für die Benutzerverwaltung gescannt (Freischaltung/Zuordnung)
         ];
 
         if (validChannels.includes(channel)) {
@@ -105,12 +241,27 @@ contextBridge.exposeInMainWorld('electronAPI', {
             'user-logout',
             'session-restarted',
             'session-timer-update',
+            'session-idle-warning',
+            'session-idle-cleared',
             'rfid-scan-error',
+            'rfid-status-changed',
+            'login-pin-required',
+            'actor-badge-confirmed',
             'qr-scan-detected',
             'decoding-stats-updated',
             'qc-step-started',
             'qc-step-completed',
-            'qc-step-aborted'
+            'qc-step-aborted',
+            'qc-step-rejected',
+            'qc-step-long-duration',
+            'qc-step-timeout',
+            'qc-label-printed',
+            'database-status-changed',
+            'offline-queue-updated',
+            'offline-replay-completed',
+            'supervisor-dashboard-updated',
+            'shift-report-generated',
+            'admin-rfid-captured'
         ];
 
         if (validChannels.includes(channel)) {
@@ -306,105 +457,12 @@ contextBridge.exposeInMainWorld('utils', {
     // ===== QR-CODE DEKODIERUNG UND VERARBEITUNG =====
 
     /**
-     * Dekodiert QR-Code Daten basierend auf der Backend-Logik
+     * Dekodiert QR-Code Daten über die Parser-Registry im Main-Prozess
+     * (gleiche Formate wie beim Speichern, siehe qr/qr-formats.json)
      * @param {string} data - Rohe QR-Code Daten
-     * @returns {Object} - Dekodierte Informationen
+     * @returns {Promise<Object>} - Dekodierte Informationen
      */
-    decodeQRData: (data) => {
-        const result = {
-            auftrags_nr: "",
-            paket_nr: "",
-            kunden_name: "",
-            original_data: data,
-            format_type: "unknown"
-        };
-
-        if (!data || typeof data !== 'string') {
-            return result;
-        }
-
-        try {
-            // Spezielles durch ^ getrenntes Format (hat höchste Priorität)
-            if (data.includes('^')) {
-                const parts = data.split('^');
-
-                // Wir benötigen mindestens 4 Teile für Auftragsnummer und Paketnummer
-                if (parts.length >= 4) {
-                    result.format_type = "caret_separated";
-
-                    // Auftragsnummer ist im zweiten Feld (Index 1)
-                    result.auftrags_nr = parts[1] || "";
-
-                    // Paketnummer ist im vierten Feld (Index 3)
-                    result.paket_nr = parts[3] || "";
-
-                    // Falls verfügbar, Kundennummer oder ID im dritten Feld (Index 2)
-                    if (parts.length > 2 && parts[2]) {
-                        result.kunden_name = `Kunden-ID: ${parts[2]}`;
-                    }
-
-                    return result;
-                }
-            }
-
-            result.format_type = "pattern_matching";
-
-            // Versuch, die Auftragsnummer zu extrahieren
-            // Basierend auf den Beispielbildern, Muster "NL-XXXXXXX" oder ähnlich
-            const auftragsNrMatch = data.match(/[A-Z]{2}-\d+/);
-            if (auftragsNrMatch) {
-                result.auftrags_nr = auftragsNrMatch[0];
-            }
-
-            // Versuch, die Paketnummer zu extrahieren
-            // Langer numerischer Code, wie in den Beispielbildern
-            const paketNrMatch = data.match(/\d{10,}/);
-            if (paketNrMatch) {
-                result.paket_nr = paketNrMatch[0];
-            }
-
-            // Versuch, den Kundennamen zu extrahieren
-            if (data.includes("KUNDENNAME:")) {
-                const parts = data.split("KUNDENNAME:");
-                if (parts.length > 1) {
-                    let kundenName = parts[1].trim();
-                    // Bis zum nächsten Schlüsselwort oder Ende nehmen
-                    const endMarkers = ["PAKET-NR", "AUFTRAG", "\n"];
-                    for (const marker of endMarkers) {
-                        if (kundenName.includes(marker)) {
-                            kundenName = kundenName.split(marker)[0].trim();
-                            break;
-                        }
-                    }
-                    result.kunden_name = kundenName;
-                }
-            }
-
-            // Zusätzliche Suche für andere Formate
-            // Nach "Referenz: XXX" oder ähnlichen Patterns suchen
-            if (!result.auftrags_nr) {
-                const referenzMatch = data.match(/Referenz:\s+([A-Z0-9-]+)/);
-                if (referenzMatch) {
-                    result.auftrags_nr = referenzMatch[1];
-                }
-            }
-
-            // Nach "Tracking: XXX" oder ähnlichen Patterns suchen
-            if (!result.paket_nr) {
-                const trackingMatch = data.match(/Tracking:\s+(\d+)/);
-                if (trackingMatch) {
-                    result.paket_nr = trackingMatch[1];
-                }
-            }
-
-            return result;
-
-        } catch (error) {
-            console.error('Fehler beim Dekodieren der QR-Code Daten:', error);
-            result.format_type = "error";
-            return result;
-        }
-    },
+    decodeQRData: (data) => ipcRenderer.invoke('qr-decode', data),
 
     /**
      * Erstellt eine benutzerfreundliche Anzeige für dekodierte QR-Codes
@@ -609,7 +667,7 @@ contextBridge.exposeInMainWorld('utils', {
         }
     },
 
-    parseQRPayload: (payload) => {
+    parseQRPayload: async (payload) => {
         if (!payload || typeof payload !== 'string') {
             return { type: 'invalid', data: null, display: 'Ungültiger QR-Code' };
         }
@@ -625,7 +683,7 @@ contextBridge.exposeInMainWorld('utils', {
             };
         } catch (e) {
             // Versuche QR-Code zu dekodieren
-            const decoded = this.decodeQRData(payload);
+            const decoded = await ipcRenderer.invoke('qr-decode', payload);
             const formatted = this.formatDecodedData(decoded);
 
             if (formatted.hasData) {
@@ -956,24 +1014,6 @@ contextBridge.exposeInMainWorld('utils', {
         }
     },
 
-    // ===== ZAHLKONVERTIERUNG =====
-    hexToDecimal: (hex) => {
-        try {
-            const cleaned = hex.toString().replace(/[^0-9A-Fa-f]/g, '');
-            return parseInt(cleaned, 16);
-        } catch (error) {
-            return null;
-        }
-    },
-
-    decimalToHex: (decimal) => {
-        try {
-            return Number(decimal).toString(16).toUpperCase();
-        } catch (error) {
-            return null;
-        }
-    },
-
     // ===== PERFORMANCE UTILITIES =====
     debounce: (func, wait) => {
         let timeout;
@@ -0,0 +1,278 @@
+/**
+ * GS1Decoder - Zerlegt GS1 Element-Strings (GS1-128, GS1 DataMatrix, GS1 QR)
+ *
+ * Unterstützt werden:
+ * - Klarschrift mit AIs in Klammern: "(01)04012345000016(10)L2025"
+ * - Rohdaten vom Scanner, optional mit Symbologie-Kennung (]C1, ]d2, ]Q3, ]e0),
+ *   variable Felder getrennt durch FNC1/GS (\x1D)
+ * Datumsfelder (JJMMTT) werden als ISO-Datum geliefert, Prüfziffern von
+ * SSCC/GTIN werden geprüft.
+ */
+
+const GS = '\u001d';
+const SYMBOLOGY_PREFIX = /^\](?:C1|d2|Q3|e0)/;
+
+// Application Identifier: fixe Länge (length) oder variable Länge bis maxLength
+const AI_DEFINITIONS = {
+    '00': { key: 'sscc', title: 'SSCC', length: 18, checkDigit: true },
+    '01': { key: 'gtin', title: 'GTIN', length: 14, checkDigit: true },
+    '02': { key: 'content_gtin', title: 'GTIN der Inhalte', length: 14, checkDigit: true },
+    '10': { key: 'batch', title: 'Charge', maxLength: 20 },
+    '11': { key: 'production_date', title: 'Herstelldatum', length: 6, date: true },
+    '12': { key: 'due_date', title: 'Fälligkeitsdatum', length: 6, date: true },
+    '13': { key: 'packaging_date', title: 'Verpackungsdatum', length: 6, date: true },
+    '15': { key: 'best_before', title: 'Mindesthaltbarkeitsdatum', length: 6, date: true },
+    '16': { key: 'sell_by', title: 'Verkaufsdatum', length: 6, date: true },
+    '17': { key: 'expiry', title: 'Verfallsdatum', length: 6, date: true },
+    '20': { key: 'variant', title: 'Produktvariante', length: 2 },
+    '21': { key: 'serial', title: 'Seriennummer', maxLength: 20 },
+    '22': { key: 'cpv', title: 'Verbrauchsprodukt-Variante', maxLength: 20 },
+    '240': { key: 'additional_id', title: 'Zusätzliche Produkt-ID', maxLength: 30 },
+    '241': { key: 'customer_part', title: 'Kunden-Artikelnummer', maxLength: 30 },
+    '250': { key: 'secondary_serial', title: 'Sekundäre Seriennummer', maxLength: 30 },
+    '30': { key: 'variable_count', title: 'Menge (variabel)', maxLength: 8 },
+    '37': { key: 'count', title: 'Anzahl Handelseinheiten', maxLength: 8 },
+    '400': { key: 'order_number', title: 'Bestellnummer des Kunden', maxLength: 30 },
+    '401': { key: 'consignment', title: 'Sendungsnummer (GINC)', maxLength: 30 },
+    '402': { key: 'shipment_id', title: 'Lieferungs-ID (GSIN)', length: 17 },
+    '403': { key: 'routing_code', title: 'Routing-Code', maxLength: 30 },
+    '410': { key: 'ship_to_gln', title: 'Empfänger-GLN', length: 13 },
+    '412': { key: 'purchased_from_gln', title: 'Lieferanten-GLN', length: 13 },
+    '413': { key: 'ship_for_gln', title: 'Endempfänger-GLN', length: 13 },
+    '414': { key: 'location_gln', title: 'Lokations-GLN', length: 13 },
+    '420': { key: 'ship_to_postal', title: 'Empfänger-PLZ', maxLength: 20 },
+    '421': { key: 'ship_to_postal_iso', title: 'Empfänger-PLZ mit Ländercode', maxLength: 12 }
+};
+
+// Maßangaben 31nn-36nn: 6 Ziffern, letzte AI-Ziffer = Nachkommastellen
+const MEASURE_TITLES = {
+    '310': { key: 'net_weight_kg', title: 'Nettogewicht (kg)' },
+    '330': { key: 'gross_weight_kg', title: 'Bruttogewicht (kg)' },
+    '311': { key: 'length_m', title: 'Länge (m)' },
+    '312': { key: 'width_m', title: 'Breite (m)' },
+    '313': { key: 'height_m', title: 'Höhe (m)' }
+};
+
+class GS1Decoder {
+    /**
+     * Zerlegt einen GS1 Element-String
+     * @param {string} data - Rohe Scannerdaten oder Klarschrift
+     * @returns {Object|null} - { form, elements, byAi, valid, errors } oder null falls kein GS1
+     */
+    decode(data) {
+        if (!data || typeof data !== 'string') {
+            return null;
+        }
+
+        const input = data.trim();
+
+        if (input.startsWith('(')) {
+            return this.decodeParenthesized(input);
+        }
+
+        return this.decodeRaw(input);
+    }
+
+    decodeParenthesized(input) {
+        const regex = /\((\d{2,4})\)([^(]*)/g;
+        const segments = [];
+        let match;
+        let consumed = 0;
+
+        while ((match = regex.exec(input)) !== null) {
+            if (match.index !== consumed) {
+                return null;
+            }
+            segments.push({ ai: match[1], value: match[2].trim() });
+            consumed = regex.lastIndex;
+        }
+
+        if (consumed !== input.length || segments.length === 0) {
+            return null;
+        }
+
+        const result = this.createResult('parenthesized');
+
+        for (const segment of segments) {
+            const definition = this.getDefinition(segment.ai);
+            if (!definition) {
+                result.errors.push(`Unbekannter AI (${segment.ai})`);
+            }
+            this.addElement(result, segment.ai, segment.value, definition);
+        }
+
+        return this.finish(result);
+    }
+
+    decodeRaw(input) {
+        const hasPrefix = SYMBOLOGY_PREFIX.test(input);
+        const body = input.replace(SYMBOLOGY_PREFIX, '').replace(new RegExp(`^${GS}`), '');
+
+        if (!/^\d{2}/.test(body)) {
+            return null;
+        }
+
+        const result = this.createResult('raw');
+
+        for (const segment of body.split(GS)) {
+            let position = 0;
+
+            while (position < segment.length) {
+                const ai = this.readAI(segment, position);
+                if (!ai) {
+                    return null;
+                }
+
+                const definition = this.getDefinition(ai);
+                position += ai.length;
+
+                let value;
+                if (definition.length) {
+                    value = segment.substr(position, definition.length);
+                    if (value.length !== definition.length) {
+                        return null;
+                    }
+                } else {
+                    // Variable Länge: bis zum nächsten Trennzeichen (Segmentende)
+                    value = segment.substring(position);
+                    if (value.length === 0 || value.length > definition.maxLength) {
+                        return null;
+                    }
+                }
+
+                position += value.length;
+                this.addElement(result, ai, value, definition);
+            }
+        }
+
+        if (result.elements.length === 0) {
+            return null;
+        }
+
+        // Ohne Symbologie-Kennung/Trennzeichen ist eine einzelne Zahl (z.B. SSCC einer
+        // Sendungsnummer) nicht von einer reinen Nummer unterscheidbar
+        if (!hasPrefix && !body.includes(GS) && result.elements.length < 2) {
+            return null;
+        }
+
+        return this.finish(result);
+    }
+
+    // ===== APPLICATION IDENTIFIER =====
+
+    readAI(segment, position) {
+        for (const length of [2, 3, 4]) {
+            const ai = segment.substr(position, length);
+            if (ai.length === length && /^\d+$/.test(ai) && this.getDefinition(ai)) {
+                return ai;
+            }
+        }
+        return null;
+    }
+
+    getDefinition(ai) {
+        if (AI_DEFINITIONS[ai]) {
+            return AI_DEFINITIONS[ai];
+        }
+
+        // Maßangaben 31nn-36nn
+        if (/^3[1-6]\d\d$/.test(ai)) {
+            const measure = MEASURE_TITLES[ai.substring(0, 3)] || { key: `measure_${ai.substring(0, 3)}`, title: `Maßangabe (${ai.substring(0, 3)})` };
+            return { ...measure, length: 6, decimals: parseInt(ai[3]) };
+        }
+
+        // Firmeninterne Angaben 90-99
+        if (/^9\d$/.test(ai)) {
+            return { key: `internal_${ai}`, title: `Firmenintern (${ai})`, maxLength: ai === '90' ? 30 : 90 };
+        }
+
+        return null;
+    }
+
+    // ===== WERTE =====
+
+    addElement(result, ai, rawValue, definition) {
+        let value = rawValue;
+
+        if (definition && definition.date) {
+            value = this.formatDate(rawValue);
+            if (!value) {
+                result.errors.push(`Ungültiges Datum in AI (${ai}): ${rawValue}`);
+                value = rawValue;
+            }
+        } else if (definition && definition.decimals !== undefined && /^\d+$/.test(rawValue)) {
+            value = String(parseInt(rawValue, 10) / Math.pow(10, definition.decimals));
+        }
+
+        if (definition && definition.checkDigit && !this.isValidCheckDigit(rawValue)) {
+            result.errors.push(`Prüfziffer ungültig in AI (${ai}): ${rawValue}`);
+        }
+
+        result.elements.push({
+            ai,
+            key: definition ? definition.key : `ai_${ai}`,
+            title: definition ? definition.title : `AI (${ai})`,
+            value,
+            raw: rawValue
+        });
+        result.byAi[ai] = value;
+    }
+
+    /**
+     * JJMMTT → JJJJ-MM-TT (TT = 00 bedeutet Monatsende)
+     */
+    formatDate(value) {
+        if (!/^\d{6}$/.test(value)) {
+            return null;
+        }
+
+        const yy = parseInt(value.substring(0, 2), 10);
+        const month = parseInt(value.substring(2, 4), 10);
+        let day = parseInt(value.substring(4, 6), 10);
+
+        if (month < 1 || month > 12) {
+            return null;
+        }
+
+        const year = yy >= 51 ? 1900 + yy : 2000 + yy;
+        const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+        if (day === 0) {
+            day = lastDay;
+        }
+
+        if (day > lastDay) {
+            return null;
+        }
+
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * GS1 Prüfziffer (Modulo 10, Gewichtung 3/1 von rechts)
+     */
+    isValidCheckDigit(value) {
+        if (!/^\d{2,}$/.test(value)) {
+            return false;
+        }
+
+        const digits = value.split('').map(Number);
+        const checkDigit = digits.pop();
+        const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+
+        return (10 - (sum % 10)) % 10 === checkDigit;
+    }
+
+    // ===== HILFSFUNKTIONEN =====
+
+    createResult(form) {
+        return { form, elements: [], byAi: {}, valid: true, errors: [] };
+    }
+
+    finish(result) {
+        result.valid = result.errors.length === 0;
+        return result;
+    }
+}
+
+module.exports = GS1Decoder;
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const GS1Decoder = require('./gs1-decoder');
+
+/**
+ * QRParserRegistry - Zentrale Dekodierung von QR-Code Etiketten
+ *
+ * Jedes Etikettenformat (Caret, Stern, JSON, GS1, Sendungsnummer, Textmuster)
+ * ist ein benannter Parser mit Priorität und Feld-Zuordnung aus qr-formats.json.
+ * Die Parser werden nach absteigender Priorität versucht; der erste Parser, der
+ * mindestens ein Feld liefert, gewinnt. Das Ergebnis hat immer die bekannte Form
+ * { auftrags_nr, paket_nr, kunden_name, original_data, format_type, fields }.
+ */
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'qr-formats.json');
+
+// Standard-Felder, die in jedem Ergebnis vorhanden sind
+const STANDARD_FIELDS = ['auftrags_nr', 'paket_nr', 'kunden_name'];
+
+class QRParserRegistry {
+    constructor(options = {}) {
+        this.configFile = options.configFile || process.env.QR_FORMATS_CONFIG || DEFAULT_CONFIG_FILE;
+        this.gs1Decoder = new GS1Decoder();
+
+        // Parser-Typen: type -> (data, format) => Quelle für die Feld-Zuordnung oder null
+        this.parserTypes = new Map([
+            ['separated', (data, format) => this.splitSeparated(data, format)],
+            ['json', (data) => this.parseJson(data)],
+            ['gs1', (data) => this.gs1Decoder.decode(data)],
+            ['pattern', (data) => data]
+        ]);
+
+        this.formats = []; // Nach Priorität sortiert
+        this.loadedAt = null;
+
+        this.loadConfig(options.config || null);
+    }
+
+    // ===== KONFIGURATION =====
+
+    /**
+     * Lädt die Formatdefinitionen (Datei oder übergebenes Objekt)
+     * @param {Object|null} config - { formats: [...] } oder null für die Konfigurationsdatei
+     */
+    loadConfig(config = null) {
+        const source = config || JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+
+        if (!source || !Array.isArray(source.formats)) {
+            throw new Error(`QR-Format-Konfiguration ungültig: "formats" fehlt (${this.configFile})`);
+        }
+
+        this.formats = source.formats
+            .filter(format => format.enabled !== false)
+            .map(format => this.compileFormat(format))
+            .sort((a, b) => b.priority - a.priority);
+
+        this.loadedAt = new Date().toISOString();
+
+        console.log(`🏷️ QR-Parser geladen: ${this.formats.map(format => `${format.name}(${format.priority})`).join(', ')}`);
+    }
+
+    compileFormat(format) {
+        if (!format.name) {
+            throw new Error('QR-Format ohne Namen in der Konfiguration');
+        }
+
+        if (!this.parserTypes.has(format.type)) {
+            throw new Error(`Unbekannter QR-Parser-Typ "${format.type}" für Format ${format.name}`);
+        }
+
+        const fields = {};
+        for (const [fieldName, spec] of Object.entries(format.fields || {})) {
+            fields[fieldName] = {
+                ...spec,
+                regexes: (spec.patterns || (spec.pattern ? [spec.pattern] : []))
+                    .map(pattern => new RegExp(pattern, spec.flags || ''))
+            };
+        }
+
+        return {
+            name: format.name,
+            type: format.type,
+            label: format.label || format.name,
+            icon: format.icon || '🏷️',
+            description: format.description || '',
+            priority: Number(format.priority) || 0,
+            match: format.match ? new RegExp(format.match, format.matchFlags || '') : null,
+            options: format.options || {},
+            fields
+        };
+    }
+
+    /**
+     * Registriert einen zusätzlichen Parser-Typ
+     * @param {string} type - Name des Typs (in qr-formats.json unter "type")
+     * @param {Function} parseFn - (data, format) => Quelle für die Feld-Zuordnung oder null
+     */
+    registerParserType(type, parseFn) {
+        this.parserTypes.set(type, parseFn);
+    }
+
+    // ===== DEKODIERUNG =====
+
+    /**
+     * Dekodiert QR-Code Daten mit dem ersten passenden Format
+     * @param {string} data - Rohe QR-Code Daten
+     * @returns {Object} - Dekodierte Informationen (format_type 'unknown' wenn kein Format passt)
+     */
+    parse(data) {
+        const result = this.createEmptyResult(data);
+
+        if (!data || typeof data !== 'string') {
+            return result;
+        }
+
+        const input = data.trim();
+
+        for (const format of this.formats) {
+            try {
+                if (format.match && !format.match.test(input)) {
+                    continue;
+                }
+
+                const source = this.parserTypes.get(format.type)(input, format);
+                if (source === null || source === undefined) {
+                    continue;
+                }
+
+                const fields = this.mapFields(source, format, input);
+                if (Object.keys(fields).length === 0) {
+                    continue;
+                }
+
+                for (const fieldName of STANDARD_FIELDS) {
+                    result[fieldName] = fields[fieldName] || '';
+                }
+                result.format_type = format.name;
+                result.fields = fields;
+
+                // Strukturierte GS1-Elemente (AI, Bezeichnung, Wert) zusätzlich mitliefern
+                if (format.type === 'gs1') {
+                    result.gs1 = {
+                        form: source.form,
+                        valid: source.valid,
+                        errors: source.errors,
+                        elements: source.elements
+                    };
+                }
+
+                return result;
+
+            } catch (error) {
+                console.warn(`QR-Parser ${format.name} fehlgeschlagen:`, error.message);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Ordnet die Werte einer Parser-Quelle den konfigurierten Feldern zu
+     * @returns {Object} - Nur Felder mit Wert
+     */
+    mapFields(source, format, input) {
+        const fields = {};
+
+        for (const [fieldName, spec] of Object.entries(format.fields)) {
+            let value = this.resolveField(source, spec, input);
+
+            if (value === null || value === undefined) continue;
+
+            value = String(value).trim();
+            if (!value) continue;
+
+            fields[fieldName] = spec.template ? spec.template.replace('{value}', value) : value;
+        }
+
+        return fields;
+    }
+
+    resolveField(source, spec, input) {
+        if (spec.index !== undefined) {
+            return Array.isArray(source) ? source[spec.index] : null;
+        }
+
+        if (spec.keys || spec.key) {
+            const keys = spec.keys || [spec.key];
+            const found = keys.find(key => source && source[key] !== undefined && source[key] !== null && source[key] !== '');
+            return found !== undefined ? source[found] : null;
+        }
+
+        if (spec.ai) {
+            return source && source.byAi && source.byAi[spec.ai] !== undefined ? source.byAi[spec.ai] : null;
+        }
+
+        if (spec.regexes.length > 0) {
+            const text = typeof source === 'string' ? source : input;
+            for (const regex of spec.regexes) {
+                const match = text.match(regex);
+                if (match) {
+                    return match[1] !== undefined ? match[1] : match[0];
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // ===== PARSER-TYPEN =====
+
+    splitSeparated(data, format) {
+        const separator = format.options.separator;
+        if (!separator || !data.includes(separator)) {
+            return null;
+        }
+
+        const parts = data.split(separator).map(part => part.trim());
+        const minParts = format.options.minParts || 2;
+
+        return parts.length >= minParts ? parts : null;
+    }
+
+    parseJson(data) {
+        if (!data.startsWith('{') || !data.endsWith('}')) {
+            return null;
+        }
+
+        try {
+            const parsed = JSON.parse(data);
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // ===== HILFSFUNKTIONEN =====
+
+    createEmptyResult(data) {
+        return {
+            auftrags_nr: '',
+            paket_nr: '',
+            kunden_name: '',
+            original_data: data,
+            format_type: 'unknown',
+            fields: {}
+        };
+    }
+
+    /**
+     * Prüft ob ein Ergebnis von einem konfigurierten Format erkannt wurde
+     * @param {Object} decoded - Ergebnis von parse()
+     * @returns {boolean}
+     */
+    isDecoded(decoded) {
+        return !!decoded && !!decoded.format_type && decoded.format_type !== 'unknown';
+    }
+
+    /**
+     * Anzeige-Informationen eines Formats
+     * @param {string} name - Formatname (format_type eines Ergebnisses)
+     * @returns {Object|null}
+     */
+    getFormat(name) {
+        return this.getFormats().find(format => format.name === name) || null;
+    }
+
+    getFormats() {
+        return this.formats.map(format => ({
+            name: format.name,
+            type: format.type,
+            label: format.label,
+            icon: format.icon,
+            description: format.description,
+            priority: format.priority,
+            fields: Object.keys(format.fields)
+        }));
+    }
+
+    getStatus() {
+        return {
+            configFile: this.configFile,
+            loadedAt: this.loadedAt,
+            formats: this.getFormats()
+        };
+    }
+}
+
+// Gemeinsame Instanz für den Main-Prozess (DatabaseUtils, QRScanHandler, main.js)
+let sharedRegistry = null;
+
+QRParserRegistry.getShared = () => {
+    if (!sharedRegistry) {
+        sharedRegistry = new QRParserRegistry();
+    }
+    return sharedRegistry;
+};
+
+module.exports = QRParserRegistry;
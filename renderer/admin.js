@@ -0,0 +1,748 @@
+/**
+ * Benutzerverwaltung - Mitarbeiter anlegen/bearbeiten/deaktivieren und RFID-Badges zuordnen
+ * Alle Änderungen laufen über den Main-Prozess, der Admin-Modus (PIN oder Admin-Badge)
+ * wird dort geprüft. Badges werden über den normalen RFID-Leser gescannt.
+ */
+
+class UserAdministrationApp {
+    constructor() {
+        this.status = null;
+        this.users = [];
+        this.departments = [];
+        this.roles = []; // [{ id, label }]
+        this.selectedUserId = null; // null = neuer Benutzer
+        this.pendingConflict = null; // { userId, tagId } - wartet auf Bestätigung der Übertragung
+        this.captureTimer = null;
+
+        this.init();
+    }
+
+    async init() {
+        console.log('🛠️ Benutzerverwaltung wird initialisiert...');
+
+        window.electronAPI.on('admin-rfid-captured', (data) => {
+            this.handleRFIDCaptured(data);
+        });
+
+        this.setupEventListeners();
+        await this.loadRoles();
+        await this.refreshStatus();
+        this.startTicker();
+    }
+
+    setupEventListeners() {
+        document.getElementById('adminPinForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.unlockWithPin();
+        });
+
+        document.getElementById('adminBadgeUnlockBtn').addEventListener('click', () => {
+            this.startBadgeUnlock();
+        });
+
+        document.getElementById('adminLockBtn').addEventListener('click', () => {
+            this.lock();
+        });
+
+        // Benutzerliste
+        document.getElementById('userSearchInput').addEventListener('input', () => {
+            this.renderUserList();
+        });
+
+        document.getElementById('showInactiveCheckbox').addEventListener('change', () => {
+            this.renderUserList();
+        });
+
+        document.getElementById('newUserBtn').addEventListener('click', () => {
+            this.showUserForm(null);
+        });
+
+        document.getElementById('adminUserList').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-user-id]');
+            if (item) {
+                this.showUserForm(parseInt(item.dataset.userId));
+            }
+        });
+
+        // Formular
+        document.getElementById('userForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveUser();
+        });
+
+        document.getElementById('toggleActiveBtn').addEventListener('click', () => {
+            this.toggleActive();
+        });
+
+        // Badge
+        document.getElementById('scanBadgeBtn').addEventListener('click', () => {
+            this.startEnrollment();
+        });
+
+        document.getElementById('cancelCaptureBtn').addEventListener('click', () => {
+            this.cancelCapture();
+        });
+
+        document.getElementById('manualTagBtn').addEventListener('click', () => {
+            this.enrollManualTag();
+        });
+
+        document.getElementById('manualTagInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.enrollManualTag();
+            }
+        });
+
+        document.getElementById('removeBadgeBtn').addEventListener('click', () => {
+            this.removeBadge();
+        });
+
+        document.getElementById('conflictConfirmBtn').addEventListener('click', () => {
+            this.confirmBadgeTransfer();
+        });
+
+        document.getElementById('conflictCancelBtn').addEventListener('click', () => {
+            this.hideConflict();
+        });
+
+        // Login-PIN
+        document.getElementById('setPinBtn').addEventListener('click', () => {
+            this.setPin();
+        });
+
+        document.getElementById('pinInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.setPin();
+            }
+        });
+
+        document.getElementById('removePinBtn').addEventListener('click', () => {
+            this.removePin();
+        });
+    }
+
+    startTicker() {
+        const tick = () => {
+            document.getElementById('currentTime').textContent = utils.formatTimestamp(new Date(), 'time');
+            this.updateSessionText();
+        };
+
+        tick();
+        setInterval(tick, 1000);
+    }
+
+    // ===== FREISCHALTUNG =====
+
+    async refreshStatus() {
+        try {
+            this.status = await window.electronAPI.admin.getStatus();
+        } catch (error) {
+            console.error('Admin-Status konnte nicht geladen werden:', error);
+            this.status = null;
+        }
+
+        if (this.status && this.status.unlocked) {
+            await this.showWorkspace();
+        } else {
+            this.showLockScreen();
+        }
+    }
+
+    showLockScreen(message = null) {
+        this.hideCapture();
+        this.hideConflict();
+
+        document.getElementById('adminLockScreen').classList.remove('hidden');
+        document.getElementById('adminWorkspace').classList.add('hidden');
+        document.getElementById('adminLockBtn').classList.add('hidden');
+        document.getElementById('adminPinInput').value = '';
+
+        const status = this.status || {};
+        const hint = document.getElementById('adminLockHint');
+
+        document.getElementById('adminPinForm').classList.toggle('hidden', !status.pinEnabled);
+        document.getElementById('adminBadgeUnlockBtn').classList.toggle('hidden', !status.badgeEnabled);
+
+        if (!status.configured) {
+            hint.textContent = 'Kein Admin-Zugang konfiguriert (ADMIN_PIN_HASH oder ADMIN_BADGES)';
+        } else if (status.pinEnabled && status.badgeEnabled) {
+            hint.textContent = 'PIN eingeben oder Admin-Badge scannen';
+        } else if (status.pinEnabled) {
+            hint.textContent = 'Admin-PIN eingeben';
+        } else {
+            hint.textContent = 'Admin-Badge scannen';
+        }
+
+        this.showMessage('adminLockMessage', message ? 'error' : null, message);
+        this.updateStatus('error', 'Gesperrt');
+
+        if (status.pinEnabled) {
+            document.getElementById('adminPinInput').focus();
+        }
+    }
+
+    async showWorkspace() {
+        document.getElementById('adminLockScreen').classList.add('hidden');
+        document.getElementById('adminWorkspace').classList.remove('hidden');
+        document.getElementById('adminLockBtn').classList.remove('hidden');
+
+        if (!this.status.database) {
+            this.updateStatus('warning', 'Keine Datenbank');
+        } else {
+            this.updateStatus('active', this.status.actor || 'Freigeschaltet');
+        }
+
+        await this.loadUsers();
+    }
+
+    async unlockWithPin() {
+        const input = document.getElementById('adminPinInput');
+        const result = await window.electronAPI.admin.unlockWithPin(input.value);
+        input.value = '';
+
+        if (!result.success) {
+            this.showMessage('adminLockMessage', 'error', result.message);
+            return;
+        }
+
+        await this.refreshStatus();
+    }
+
+    async startBadgeUnlock() {
+        const result = await window.electronAPI.admin.startBadgeUnlock();
+        this.showMessage('adminLockMessage', result.success ? 'info' : 'error',
+            result.success ? '📡 Admin-Badge jetzt an den Leser halten...' : result.message);
+    }
+
+    async lock() {
+        await window.electronAPI.admin.lock();
+        this.selectedUserId = null;
+        await this.refreshStatus();
+    }
+
+    /**
+     * Gesperrte/abgelaufene Admin-Sitzung zentral behandeln
+     * @returns {boolean} - true falls gesperrt (Aufrufer bricht ab)
+     */
+    handleLocked(result) {
+        if (result && result.status === 'locked') {
+            this.status = { ...this.status, unlocked: false };
+            this.showLockScreen(result.message);
+            return true;
+        }
+        return false;
+    }
+
+    updateSessionText() {
+        const text = document.getElementById('adminSessionText');
+
+        if (!this.status || !this.status.unlocked || !this.status.expiresAt) {
+            text.textContent = 'Admin-Modus gesperrt';
+            return;
+        }
+
+        const remaining = Math.round((new Date(this.status.expiresAt).getTime() - Date.now()) / 1000);
+
+        if (remaining <= 0) {
+            this.status = { ...this.status, unlocked: false };
+            this.showLockScreen('Admin-Modus abgelaufen - bitte erneut freischalten');
+            return;
+        }
+
+        text.textContent = `Admin-Modus aktiv - automatische Sperre in ${utils.formatDuration(remaining)}`;
+    }
+
+    // ===== BENUTZER =====
+
+    async loadRoles() {
+        try {
+            this.roles = await window.electronAPI.permissions.getRoles();
+        } catch (error) {
+            console.error('Rollen konnten nicht geladen werden:', error);
+        }
+
+        document.getElementById('formRolle').innerHTML = this.roles
+            .map(role => `<option value="${role.id}">${this.escapeHtml(role.label)}</option>`)
+            .join('');
+    }
+
+    getRoleLabel(roleId) {
+        const role = this.roles.find(entry => entry.id === roleId);
+        return role ? role.label : roleId || '-';
+    }
+
+    async loadUsers() {
+        const result = await window.electronAPI.admin.getUsers(true);
+        if (this.handleLocked(result)) return;
+
+        if (!result.success) {
+            this.showNotification('error', 'Benutzer', result.message);
+            return;
+        }
+
+        this.users = result.data.users;
+        this.departments = result.data.departments;
+
+        // Sitzung wurde serverseitig verlängert
+        this.status = await window.electronAPI.admin.getStatus();
+
+        document.getElementById('departmentOptions').innerHTML = this.departments
+            .map(department => `<option value="${this.escapeHtml(department)}"></option>`)
+            .join('');
+
+        this.renderUserList();
+
+        if (this.selectedUserId !== null) {
+            const user = this.getSelectedUser();
+            if (user) {
+                this.fillUserForm(user);
+            } else {
+                this.selectedUserId = null;
+                this.hideUserForm();
+            }
+        }
+    }
+
+    renderUserList() {
+        const list = document.getElementById('adminUserList');
+        const search = document.getElementById('userSearchInput').value.trim().toLowerCase();
+        const showInactive = document.getElementById('showInactiveCheckbox').checked;
+
+        const users = this.users.filter(user => {
+            if (!showInactive && user.xStatus !== 0) return false;
+            if (!search) return true;
+
+            return [user.BenutzerName, user.Vorname, user.Nachname, user.Abteilung, this.getRoleLabel(user.Rolle), user.BadgeTag]
+                .some(value => value && String(value).toLowerCase().includes(search));
+        });
+
+        document.getElementById('adminUserCount').textContent = `${users.length} von ${this.users.length} Benutzern`;
+
+        if (users.length === 0) {
+            list.innerHTML = '<div class="admin-empty">Keine Benutzer gefunden</div>';
+            return;
+        }
+
+        list.innerHTML = users.map(user => `
+            <div class="admin-user-item ${user.xStatus !== 0 ? 'inactive' : ''} ${user.ID === this.selectedUserId ? 'selected' : ''}"
+                 data-user-id="${user.ID}">
+                <div class="admin-user-name">${this.escapeHtml(user.BenutzerName)}</div>
+                <div class="admin-user-meta">
+                    ${this.escapeHtml(user.Abteilung || 'Keine Abteilung')}
+                    · ${this.escapeHtml(this.getRoleLabel(user.Rolle))}
+                    · ${user.BadgeTag ? `🏷️ ${this.escapeHtml(user.BadgeTag)}` : 'kein Badge'}
+                    ${user.xStatus !== 0 ? ' · inaktiv' : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    getSelectedUser() {
+        return this.users.find(user => user.ID === this.selectedUserId) || null;
+    }
+
+    showUserForm(userId) {
+        this.selectedUserId = userId;
+        this.hideCapture();
+        this.hideConflict();
+
+        document.getElementById('adminDetailEmpty').classList.add('hidden');
+        document.getElementById('adminDetail').classList.remove('hidden');
+        this.showMessage('userFormMessage', null);
+        this.showMessage('badgeMessage', null);
+        this.showMessage('pinMessage', null);
+
+        const user = this.getSelectedUser();
+        this.fillUserForm(user);
+        this.renderUserList();
+
+        document.getElementById('formBenutzerName').focus();
+    }
+
+    hideUserForm() {
+        document.getElementById('adminDetail').classList.add('hidden');
+        document.getElementById('adminDetailEmpty').classList.remove('hidden');
+    }
+
+    fillUserForm(user) {
+        document.getElementById('adminDetailTitle').textContent = user ? user.BenutzerName : 'Neuer Benutzer';
+        document.getElementById('formBenutzerName').value = user ? user.BenutzerName || '' : '';
+        document.getElementById('formVorname').value = user ? user.Vorname || '' : '';
+        document.getElementById('formNachname').value = user ? user.Nachname || '' : '';
+        document.getElementById('formEmail').value = user ? user.Email || '' : '';
+        document.getElementById('formAbteilung').value = user ? user.Abteilung || '' : '';
+        document.getElementById('formRolle').value = user ? user.Rolle || 'operator' : 'operator';
+
+        const statusBadge = document.getElementById('adminDetailStatus');
+        const toggleButton = document.getElementById('toggleActiveBtn');
+
+        if (!user) {
+            statusBadge.textContent = '';
+            statusBadge.className = 'admin-status-badge';
+            toggleButton.classList.add('hidden');
+            document.getElementById('badgeSection').classList.add('hidden');
+            document.getElementById('pinSection').classList.add('hidden');
+            document.getElementById('auditSection').classList.add('hidden');
+            return;
+        }
+
+        const active = user.xStatus === 0;
+        statusBadge.textContent = active ? 'Aktiv' : 'Inaktiv';
+        statusBadge.className = `admin-status-badge ${active ? 'active' : 'inactive'}`;
+
+        toggleButton.textContent = active ? '⛔ Deaktivieren' : '✅ Aktivieren';
+        toggleButton.classList.remove('hidden');
+
+        document.getElementById('currentBadgeTag').textContent = user.BadgeTag || 'kein Badge';
+        document.getElementById('removeBadgeBtn').disabled = !user.BadgeTag;
+        document.getElementById('badgeSection').classList.remove('hidden');
+        document.getElementById('auditSection').classList.remove('hidden');
+
+        document.getElementById('currentPinStatus').textContent = !user.HasPin
+            ? 'keine PIN'
+            : (user.PinLockedUntil ? `gesetzt - gesperrt bis ${utils.formatTimestamp(user.PinLockedUntil)}` : 'gesetzt');
+        document.getElementById('removePinBtn').disabled = !user.HasPin;
+        document.getElementById('pinInput').value = '';
+        document.getElementById('pinSection').classList.remove('hidden');
+
+        this.loadBadgeAudit(user.ID);
+        this.loadLoginAudit(user.ID);
+    }
+
+    getFormData() {
+        return {
+            benutzerName: document.getElementById('formBenutzerName').value,
+            vorname: document.getElementById('formVorname').value,
+            nachname: document.getElementById('formNachname').value,
+            email: document.getElementById('formEmail').value,
+            abteilung: document.getElementById('formAbteilung').value,
+            rolle: document.getElementById('formRolle').value
+        };
+    }
+
+    async saveUser() {
+        const data = this.getFormData();
+        const result = this.selectedUserId === null
+            ? await window.electronAPI.admin.createUser(data)
+            : await window.electronAPI.admin.updateUser(this.selectedUserId, data);
+
+        if (this.handleLocked(result)) return;
+
+        if (!result.success) {
+            this.showMessage('userFormMessage', 'error', result.message);
+            return;
+        }
+
+        this.selectedUserId = result.data.userId;
+        this.showNotification('success', 'Gespeichert', result.message);
+        await this.loadUsers();
+        this.showMessage('userFormMessage', 'success', result.message);
+    }
+
+    async toggleActive() {
+        const user = this.getSelectedUser();
+        if (!user) return;
+
+        const activate = user.xStatus !== 0;
+
+        if (!activate && !confirm(`${user.BenutzerName} deaktivieren? Eine Anmeldung per Badge ist danach nicht mehr möglich.`)) {
+            return;
+        }
+
+        const result = await window.electronAPI.admin.setUserActive(user.ID, activate);
+        if (this.handleLocked(result)) return;
+
+        if (!result.success) {
+            this.showMessage('userFormMessage', 'error', result.message);
+            return;
+        }
+
+        this.showNotification('success', user.BenutzerName, result.message);
+        await this.loadUsers();
+    }
+
+    // ===== BADGES =====
+
+    async startEnrollment() {
+        if (this.selectedUserId === null) return;
+
+        this.hideConflict();
+        const result = await window.electronAPI.admin.startEnrollment(this.selectedUserId);
+        if (this.handleLocked(result)) return;
+
+        if (!result.success) {
+            this.showMessage('badgeMessage', 'error', result.message);
+            return;
+        }
+
+        this.showMessage('badgeMessage', null);
+        document.getElementById('badgeCapture').classList.remove('hidden');
+
+        // Main-Prozess verwirft die Erfassung nach Ablauf selbst
+        clearTimeout(this.captureTimer);
+        this.captureTimer = setTimeout(() => {
+            this.hideCapture();
+            this.showMessage('badgeMessage', 'warning', 'Kein Badge gescannt - bitte erneut versuchen');
+        }, Math.max(new Date(result.data.expiresAt).getTime() - Date.now(), 0));
+    }
+
+    async cancelCapture() {
+        await window.electronAPI.admin.cancelCapture();
+        this.hideCapture();
+    }
+
+    hideCapture() {
+        clearTimeout(this.captureTimer);
+        this.captureTimer = null;
+        document.getElementById('badgeCapture').classList.add('hidden');
+    }
+
+    async enrollManualTag() {
+        if (this.selectedUserId === null) return;
+
+        const input = document.getElementById('manualTagInput');
+        const tagId = input.value.trim();
+        if (!tagId) return;
+
+        this.hideConflict();
+        const result = await window.electronAPI.admin.enrollBadge(this.selectedUserId, tagId, false);
+        if (this.handleLocked(result)) return;
+
+        if (result.success) {
+            input.value = '';
+        }
+
+        await this.handleBadgeResult(result, this.selectedUserId);
+    }
+
+    async handleRFIDCaptured(data) {
+        console.log('🏷️ Badge für Benutzerverwaltung:', data);
+
+        if (data.mode === 'admin-unlock') {
+            if (data.result.success) {
+                await this.refreshStatus();
+            } else {
+                this.showMessage('adminLockMessage', 'error', data.result.message);
+            }
+            return;
+        }
+
+        this.hideCapture();
+        if (this.handleLocked(data.result)) return;
+
+        await this.handleBadgeResult(data.result, data.userId);
+    }
+
+    async handleBadgeResult(result, userId) {
+        if (result.status === 'conflict') {
+            this.showConflict(result, userId);
+            return;
+        }
+
+        if (!result.success) {
+            this.showMessage('badgeMessage', 'error', result.message);
+            return;
+        }
+
+        this.hideConflict();
+        await this.loadUsers();
+        this.showMessage('badgeMessage', result.status === 'unchanged' ? 'info' : 'success', result.message);
+    }
+
+    showConflict(result, userId) {
+        const users = result.data.conflictUsers || [];
+
+        this.pendingConflict = users.length === 1 ? { userId, tagId: result.data.tagId } : null;
+
+        document.getElementById('badgeConflictText').textContent = users.length === 1
+            ? `⚠️ ${result.message}. Badge übertragen? ${users[0].BenutzerName} verliert damit das Badge.`
+            : `⚠️ ${result.message}`;
+        document.getElementById('conflictConfirmBtn').classList.toggle('hidden', !this.pendingConflict);
+        document.getElementById('badgeConflict').classList.remove('hidden');
+        this.showMessage('badgeMessage', null);
+    }
+
+    hideConflict() {
+        this.pendingConflict = null;
+        document.getElementById('badgeConflict').classList.add('hidden');
+    }
+
+    async confirmBadgeTransfer() {
+        if (!this.pendingConflict) return;
+
+        const { userId, tagId } = this.pendingConflict;
+        const result = await window.electronAPI.admin.enrollBadge(userId, tagId, true);
+        if (this.handleLocked(result)) return;
+
+        await this.handleBadgeResult(result, userId);
+    }
+
+    async removeBadge() {
+        const user = this.getSelectedUser();
+        if (!user || !user.BadgeTag) return;
+
+        if (!confirm(`Badge ${user.BadgeTag} von ${user.BenutzerName} entfernen?`)) {
+            return;
+        }
+
+        const result = await window.electronAPI.admin.removeBadge(user.ID, null);
+        if (this.handleLocked(result)) return;
+
+        await this.handleBadgeResult(result, user.ID);
+    }
+
+    async loadBadgeAudit(userId) {
+        const tbody = document.getElementById('badgeAuditTable');
+        const result = await window.electronAPI.admin.getBadgeAudit(userId);
+        if (this.handleLocked(result)) return;
+
+        // Inzwischen anderer Benutzer ausgewählt
+        if (userId !== this.selectedUserId) return;
+
+        if (!result.success || result.data.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="6" class="supervisor-empty">${result.success ? 'Keine Badge-Änderungen' : this.escapeHtml(result.message)}</td></tr>`;
+            return;
+        }
+
+        const actions = {
+            assigned: 'zugeordnet',
+            replaced: 'ersetzt',
+            removed: 'entfernt',
+            transferred: 'übertragen'
+        };
+
+        tbody.innerHTML = result.data.map(entry => `
+            <tr>
+                <td>${utils.formatTimestamp(entry.CreatedTS)}</td>
+                <td>${actions[entry.ActionType] || this.escapeHtml(entry.ActionType)}</td>
+                <td>${this.escapeHtml(entry.OldTag || '-')}</td>
+                <td>${this.escapeHtml(entry.NewTag || '-')}</td>
+                <td>${this.escapeHtml(entry.ChangedBy || '-')}</td>
+                <td>${this.escapeHtml(entry.Station || '-')}</td>
+            </tr>
+        `).join('');
+    }
+
+    // ===== LOGIN-PIN =====
+
+    async setPin() {
+        if (this.selectedUserId === null) return;
+
+        const input = document.getElementById('pinInput');
+        const result = await window.electronAPI.admin.setUserPin(this.selectedUserId, input.value);
+        input.value = '';
+        if (this.handleLocked(result)) return;
+
+        await this.handlePinResult(result);
+    }
+
+    async removePin() {
+        const user = this.getSelectedUser();
+        if (!user || !user.HasPin) return;
+
+        if (!confirm(`Login-PIN von ${user.BenutzerName} entfernen? An Stationen mit Badge + PIN ist dann keine Anmeldung mehr möglich.`)) {
+            return;
+        }
+
+        const result = await window.electronAPI.admin.removeUserPin(user.ID);
+        if (this.handleLocked(result)) return;
+
+        await this.handlePinResult(result);
+    }
+
+    async handlePinResult(result) {
+        if (!result.success) {
+            this.showMessage('pinMessage', 'error', result.message);
+            return;
+        }
+
+        await this.loadUsers();
+        this.showMessage('pinMessage', 'success', result.message);
+    }
+
+    async loadLoginAudit(userId) {
+        const tbody = document.getElementById('loginAuditTable');
+        const result = await window.electronAPI.admin.getLoginAudit(userId);
+        if (this.handleLocked(result)) return;
+
+        // Inzwischen anderer Benutzer ausgewählt
+        if (userId !== this.selectedUserId) return;
+
+        if (!result.success || result.data.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="5" class="supervisor-empty">${result.success ? 'Keine Einträge' : this.escapeHtml(result.message)}</td></tr>`;
+            return;
+        }
+
+        const events = {
+            pin_failed: 'falsche PIN',
+            locked_out: 'gesperrt',
+            pin_missing: 'keine PIN hinterlegt',
+            pin_set: 'PIN gesetzt',
+            pin_removed: 'PIN entfernt'
+        };
+
+        tbody.innerHTML = result.data.map(entry => `
+            <tr>
+                <td>${utils.formatTimestamp(entry.CreatedTS)}</td>
+                <td>${events[entry.EventType] || this.escapeHtml(entry.EventType)}</td>
+                <td>${this.escapeHtml(entry.Details || '-')}</td>
+                <td>${this.escapeHtml(entry.ChangedBy || '-')}</td>
+                <td>${this.escapeHtml(entry.Station || '-')}</td>
+            </tr>
+        `).join('');
+    }
+
+    // ===== HILFSFUNKTIONEN =====
+
+    updateStatus(status, message) {
+        document.querySelector('#adminStatus .status-dot').className = `status-dot ${status}`;
+        document.querySelector('#adminStatus .status-text').textContent = message;
+    }
+
+    showMessage(elementId, type, message = '') {
+        const element = document.getElementById(elementId);
+        element.className = `admin-message ${type || ''}`;
+        element.textContent = type ? message : '';
+    }
+
+    showNotification(type, title, message, duration = 4000) {
+        const notifications = document.getElementById('notifications');
+
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+
+        const icons = {
+            success: '✅',
+            error: '❌',
+            warning: '⚠️',
+            info: 'ℹ️'
+        };
+
+        notification.innerHTML = `
+            <div class="notification-icon">${icons[type] || 'ℹ️'}</div>
+            <div class="notification-content">
+                <div class="notification-title">${this.escapeHtml(title)}</div>
+                <div class="notification-text">${this.escapeHtml(message)}</div>
+            </div>
+        `;
+
+        notifications.appendChild(notification);
+
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.remove();
+            }
+        }, duration);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+}
+
+// ===== APP INITIALIZATION =====
+document.addEventListener('DOMContentLoaded', () => {
+    window.userAdministrationApp = new UserAdministrationApp();
+});
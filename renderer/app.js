@@ -36,6 +36,18 @@ class QualityControlApp {
         this.lastProcessedQR = null;
         this.lastProcessedTime = 0;
 
+        // Berichtsfilter (Mitarbeiter/Abteilungen aus der Datenbank)
+        this.reportFilterOptions = null;
+
+        // Offene PIN-Abfrage nach Badge-Scan (Stationen mit Badge + PIN)
+        this.loginPinState = null; // { data, pin, countdown, busy }
+
+        // Anzeigenamen der Rollen (role -> label)
+        this.roleLabels = {};
+
+        // Abmelden/Neustart warten auf das Badge des Handelnden
+        this.actorConfirmation = null; // { modalId, badgeId, confirmButtonId }
+
         this.init();
     }
 
@@ -53,6 +65,8 @@ class QualityControlApp {
         // Kamera-Verfügbarkeit prüfen
         await this.checkCameraAvailability();
 
+        await this.loadRoleLabels();
+
         // Periodisches Laden der aktiven Sessions
         this.startPeriodicSessionUpdate();
 
@@ -77,6 +91,21 @@ class QualityControlApp {
             }
         });
 
+        // Schichtleitungs-Dashboard (eigenes Fenster)
+        document.getElementById('openSupervisorBtn').addEventListener('click', () => {
+            window.electronAPI.supervisor.openWindow();
+        });
+
+        // QC-Bericht exportieren
+        document.getElementById('openReportExportBtn').addEventListener('click', () => {
+            this.showReportExportModal();
+        });
+
+        // Benutzerverwaltung (eigenes Fenster, Admin-Freischaltung dort)
+        document.getElementById('openAdminBtn').addEventListener('click', () => {
+            window.electronAPI.admin.openWindow();
+        });
+
         // Modal Controls
         this.setupModalHandlers();
     }
@@ -124,8 +153,23 @@ class QualityControlApp {
         cancelRestart.addEventListener('click', () => this.hideModal('sessionRestartModal'));
         confirmRestart.addEventListener('click', () => this.executeSessionRestart());
 
+        // Report Export Modal
+        const reportModal = document.getElementById('reportExportModal');
+
+        document.getElementById('reportExportModalClose').addEventListener('click', () => this.hideModal('reportExportModal'));
+        document.getElementById('reportExportCancel').addEventListener('click', () => this.hideModal('reportExportModal'));
+        document.getElementById('reportExportSubmit').addEventListener('click', () => this.executeReportExport());
+        document.getElementById('reportDepartment').addEventListener('change', () => this.renderReportUserOptions());
+
+        // Login-PIN Modal (Tastenfeld, keine Tastatureingabe - der RFID-Leser tippt ebenfalls Ziffern)
+        document.getElementById('loginPinKeypad').addEventListener('click', (e) => {
+            const key = e.target.closest('[data-key]');
+            if (key) this.handleLoginPinKey(key.dataset.key);
+        });
+        document.getElementById('loginPinModalClose').addEventListener('click', () => this.cancelLoginPin());
+
         // Click outside to close modals
-        [errorModal, cameraModal, logoutModal, restartModal].forEach(modal => {
+        [errorModal, cameraModal, logoutModal, restartModal, reportModal].forEach(modal => {
             modal.addEventListener('click', (e) => {
                 if (e.target === modal) {
                     this.hideModal(modal.id);
@@ -172,11 +216,93 @@ class QualityControlApp {
             this.handleSessionTimerUpdate(data);
         });
 
+        // Session ohne Aktivität - automatische Abmeldung droht
+        window.electronAPI.on('session-idle-warning', (data) => {
+            console.warn('Session inaktiv:', data);
+            this.handleSessionIdleWarning(data);
+        });
+
+        // Wieder Aktivität nach einer Inaktivitätswarnung
+        window.electronAPI.on('session-idle-cleared', (data) => {
+            this.handleSessionIdleCleared(data);
+        });
+
         // RFID-Fehler
         window.electronAPI.on('rfid-scan-error', (data) => {
             console.error('RFID-Fehler:', data);
+            // Ein neuer Scan ersetzt eine offene PIN-Abfrage
+            this.closeLoginPinModal();
             this.showNotification('error', 'RFID-Fehler', data.message);
         });
+
+        // Badge des Handelnden für Abmelden/Neustart gescannt
+        window.electronAPI.on('actor-badge-confirmed', (data) => {
+            this.handleActorBadgeConfirmed(data.result);
+        });
+
+        // Badge erkannt, Station verlangt zusätzlich die PIN
+        window.electronAPI.on('login-pin-required', (data) => {
+            console.log('PIN erforderlich:', data.userName);
+            this.handleLoginPinRequired(data);
+        });
+
+        // RFID-Leser getrennt / wieder verbunden
+        window.electronAPI.on('rfid-status-changed', (data) => {
+            console.log('RFID-Status geändert:', data);
+            this.handleRFIDStatusChanged(data);
+        });
+
+        // QC-Start durch QC-Regeln abgelehnt (z.B. Parallel-Limit)
+        window.electronAPI.on('qc-step-rejected', (data) => {
+            console.warn('QC-Schritt abgelehnt:', data);
+            this.showNotification('warning', 'Qualitätsprüfung nicht gestartet', data.message);
+        });
+
+        // QC-Schritt läuft ungewöhnlich lange (Warnung vor dem Timeout)
+        window.electronAPI.on('qc-step-long-duration', (data) => {
+            console.warn('QC-Schritt läuft lange:', data);
+            if (this.qualityControlManager) {
+                this.qualityControlManager.handleLongDuration(data);
+            }
+        });
+
+        // QC-Schritt wegen Zeitüberschreitung abgebrochen oder zur Prüfung markiert
+        window.electronAPI.on('qc-step-timeout', (data) => {
+            console.warn('QC-Schritt Timeout:', data);
+            if (this.qualityControlManager) {
+                this.qualityControlManager.handleStepTimeout(data);
+            }
+        });
+
+        // Ergebnis-Etikett nach dem QC-Abschluss
+        window.electronAPI.on('qc-label-printed', (data) => {
+            if (this.qualityControlManager) {
+                this.qualityControlManager.handleLabelPrinted(data);
+            }
+        });
+
+        // Datenbank offline / wieder verbunden
+        window.electronAPI.on('database-status-changed', (data) => {
+            console.log('Datenbank-Status geändert:', data);
+            this.handleDatabaseStatusChanged(data);
+        });
+
+        // Offline-Warteschlange geändert
+        window.electronAPI.on('offline-queue-updated', (data) => {
+            this.updateOfflineQueueDisplay(data);
+        });
+
+        // Offline-Journal nachgetragen
+        window.electronAPI.on('offline-replay-completed', (data) => {
+            console.log('Offline-Replay abgeschlossen:', data);
+            this.handleOfflineReplayCompleted(data);
+        });
+
+        // Schichtbericht zum Schichtende erstellt
+        window.electronAPI.on('shift-report-generated', (entry) => {
+            console.log('Schichtbericht erstellt:', entry);
+            this.handleShiftReportGenerated(entry);
+        });
     }
 
     // ===== PARALLELE SESSION MANAGEMENT =====
@@ -189,6 +315,7 @@ class QualityControlApp {
             userId: user.ID,
             userName: user.BenutzerName,
             department: user.Abteilung || '',
+            role: user.Rolle || 'operator',
             startTime: new Date(session.StartTS),
             scanCount: 0,
             isActive: true
@@ -246,6 +373,14 @@ class QualityControlApp {
         this.updateActiveUsersDisplay();
         this.updateWorkspaceVisibility();
 
+        if (eventData.source === 'inactivity') {
+            const stepText = eventData.affectedSteps > 0
+                ? ` - ${eventData.affectedSteps} offene QC-Schritte ${eventData.stepAction === 'review' ? 'zur Prüfung markiert' : 'abgebrochen'}`
+                : '';
+            this.showNotification('warning', 'Automatisch abgemeldet', `${user.BenutzerName}: ${eventData.message}${stepText}`, 10000);
+            return;
+        }
+
         this.showNotification('info', 'Abgemeldet', `${user.BenutzerName} wurde abgemeldet`);
     }
 
@@ -289,6 +424,248 @@ class QualityControlApp {
         }
     }
 
+    handleSessionIdleWarning(data) {
+        const session = this.activeSessions.get(data.userId);
+        if (!session) return;
+
+        session.idleWarning = data;
+        this.updateActiveUsersDisplay();
+
+        const logoutText = data.logoutAt
+            ? ` Automatische Abmeldung um ${new Date(data.logoutAt).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })}.`
+            : '';
+        this.showNotification('warning', 'Keine Aktivität',
+            `${session.userName}: seit ${data.idleMinutes} min kein Scan.${logoutText} Mit 👋 bestätigen.`, 10000);
+    }
+
+    handleSessionIdleCleared(data) {
+        const session = this.activeSessions.get(data.userId);
+        if (!session || !session.idleWarning) return;
+
+        delete session.idleWarning;
+        this.updateActiveUsersDisplay();
+    }
+
+    async keepSessionAlive(userId) {
+        const session = this.activeSessions.get(userId);
+        if (!session) return;
+
+        try {
+            await window.electronAPI.session.keepAlive(session.sessionId);
+            delete session.idleWarning;
+            this.updateActiveUsersDisplay();
+        } catch (error) {
+            console.error('Aktivität konnte nicht gemeldet werden:', error);
+        }
+    }
+
+    handleRFIDStatusChanged(data) {
+        if (data.connected) {
+            this.showNotification('success', 'RFID-Leser verbunden', data.message);
+        } else {
+            this.showNotification('warning', 'RFID-Leser getrennt', data.message, 8000);
+        }
+    }
+
+    // ===== ANMELDUNG MIT PIN =====
+    handleLoginPinRequired(data) {
+        this.closeLoginPinModal();
+
+        this.loginPinState = { data, pin: '', countdown: null, busy: false };
+
+        document.getElementById('loginPinUserName').textContent = data.fullName || data.userName;
+        this.setLoginPinMessage(data.attemptsLeft < data.maxAttempts ? `Noch ${data.attemptsLeft} Versuch(e)` : '');
+        this.renderLoginPinDots();
+        this.startLoginPinCountdown(data.expiresAt);
+
+        this.showModal('loginPinModal');
+    }
+
+    handleLoginPinKey(key) {
+        const state = this.loginPinState;
+        if (!state || state.busy) return;
+
+        if (key === 'back') {
+            state.pin = state.pin.slice(0, -1);
+        } else if (key === 'ok') {
+            this.submitLoginPin();
+            return;
+        } else if (state.pin.length < state.data.maxLength) {
+            state.pin += key;
+        }
+
+        this.renderLoginPinDots();
+    }
+
+    renderLoginPinDots() {
+        const state = this.loginPinState;
+        const container = document.getElementById('loginPinDots');
+        if (!state) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const count = Math.max(state.data.minLength, state.pin.length);
+        container.innerHTML = Array.from({ length: count }, (_, index) =>
+            `<span class="login-pin-dot ${index < state.pin.length ? 'filled' : ''}"></span>`
+        ).join('');
+    }
+
+    async submitLoginPin() {
+        const state = this.loginPinState;
+        if (!state || state.busy) return;
+
+        if (state.pin.length < state.data.minLength) {
+            this.setLoginPinMessage(`PIN hat mindestens ${state.data.minLength} Ziffern`);
+            return;
+        }
+
+        state.busy = true;
+        document.querySelectorAll('#loginPinKeypad .login-pin-key').forEach(button => { button.disabled = true; });
+
+        const result = await window.electronAPI.login.submitPin(state.pin);
+
+        // Inzwischen durch einen neuen Scan ersetzt
+        if (this.loginPinState !== state) return;
+
+        state.busy = false;
+        state.pin = '';
+        document.querySelectorAll('#loginPinKeypad .login-pin-key').forEach(button => { button.disabled = false; });
+
+        if (result.success) {
+            // Anmeldung selbst kommt über 'user-login' bzw. 'session-restarted'
+            this.closeLoginPinModal();
+            return;
+        }
+
+        if (result.status === 'invalid') {
+            state.data = { ...state.data, ...result.data };
+            this.setLoginPinMessage(`Falsche PIN - noch ${result.data.attemptsLeft} Versuch(e)`);
+            this.renderLoginPinDots();
+            this.startLoginPinCountdown(result.data.expiresAt);
+            return;
+        }
+
+        this.closeLoginPinModal();
+        this.showNotification('error', 'Anmeldung abgelehnt', result.message, 8000);
+    }
+
+    async cancelLoginPin() {
+        this.closeLoginPinModal();
+        await window.electronAPI.login.cancelPin();
+    }
+
+    startLoginPinCountdown(expiresAt) {
+        const state = this.loginPinState;
+        if (!state) return;
+
+        if (state.countdown) {
+            clearInterval(state.countdown);
+        }
+
+        const element = document.getElementById('loginPinCountdown');
+        const update = () => {
+            const seconds = Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 1000);
+            if (seconds <= 0) {
+                this.closeLoginPinModal();
+                this.showNotification('warning', 'PIN-Eingabe abgelaufen', 'Bitte Badge erneut scannen');
+                return;
+            }
+            element.textContent = `Eingabe noch ${seconds}s möglich`;
+        };
+
+        update();
+        state.countdown = setInterval(update, 1000);
+    }
+
+    setLoginPinMessage(message) {
+        document.getElementById('loginPinMessage').textContent = message || '';
+    }
+
+    closeLoginPinModal() {
+        if (!this.loginPinState) return;
+
+        if (this.loginPinState.countdown) {
+            clearInterval(this.loginPinState.countdown);
+        }
+        this.loginPinState = null;
+
+        document.querySelectorAll('#loginPinKeypad .login-pin-key').forEach(button => { button.disabled = false; });
+        this.renderLoginPinDots();
+        this.hideModal('loginPinModal');
+    }
+
+    // ===== OFFLINE-BETRIEB =====
+    handleDatabaseStatusChanged(data) {
+        if (data.connected) {
+            this.updateSystemStatus('active', 'System bereit');
+            this.showNotification('success', 'Datenbank verbunden', data.message);
+        } else {
+            this.updateSystemStatus('warning', 'Offline-Modus');
+            this.showNotification('warning', 'Datenbank offline', data.message, 8000);
+        }
+
+        this.updateOfflineQueueDisplay({
+            databaseConnected: data.connected,
+            pendingCount: data.pendingCount
+        });
+    }
+
+    updateOfflineQueueDisplay(status) {
+        const element = document.getElementById('offlineQueueText');
+        const separator = document.getElementById('offlineQueueSeparator');
+        if (!element) return;
+
+        const visible = !status.databaseConnected || status.pendingCount > 0;
+
+        element.style.display = visible ? 'inline' : 'none';
+        separator.style.display = visible ? 'inline' : 'none';
+        element.textContent = `📴 Offline-Warteschlange: ${status.pendingCount || 0}`;
+    }
+
+    handleOfflineReplayCompleted(report) {
+        // Provisorische Session-IDs durch Datenbank-IDs ersetzen
+        for (const mapping of report.sessionMappings || []) {
+            const session = this.activeSessions.get(mapping.userId);
+            if (!session || session.sessionId !== mapping.provisionalId) continue;
+
+            session.sessionId = mapping.sessionId;
+
+            if (this.sessionScannedCodes.has(mapping.provisionalId)) {
+                this.sessionScannedCodes.set(mapping.sessionId, this.sessionScannedCodes.get(mapping.provisionalId));
+                this.sessionScannedCodes.delete(mapping.provisionalId);
+            }
+
+            if (this.qualityControlManager) {
+                this.qualityControlManager.remapSession(mapping.provisionalId, mapping.sessionId);
+            }
+        }
+
+        this.updateActiveUsersDisplay();
+        this.updateSelectedUserDisplay();
+
+        this.updateOfflineQueueDisplay({
+            databaseConnected: !report.aborted,
+            pendingCount: report.remaining
+        });
+
+        // Konflikte sichtbar machen statt sie still zu verwerfen
+        if (report.conflicts && report.conflicts.length > 0) {
+            const lines = report.conflicts.map(conflict => {
+                const time = utils.formatTimestamp(conflict.recordedAt, 'time');
+                const code = conflict.payload?.qrCode || conflict.payload?.payload || conflict.payload?.userName || '';
+                return `• ${time} ${code ? `${code}: ` : ''}${conflict.message}`;
+            });
+
+            this.showErrorModal(
+                'Offline-Konflikte',
+                `${report.saved} Offline-Einträge übernommen, ${report.conflicts.length} Konflikt(e):\n\n${lines.join('\n')}`
+            );
+        } else if (report.saved > 0) {
+            this.showNotification('success', 'Offline-Daten übertragen', `${report.saved} Einträge in die Datenbank übernommen`);
+        }
+    }
+
     // ===== SESSION TIMER MANAGEMENT =====
     startSessionTimer(userId) {
         // Bestehenden Timer stoppen falls vorhanden
@@ -387,6 +764,7 @@ class QualityControlApp {
                         userId: backendSession.UserID,
                         userName: backendSession.UserName || 'Unbekannt',
                         department: backendSession.Department || '',
+                        role: backendSession.Rolle || 'operator',
                         startTime: new Date(backendSession.StartTS),
                         scanCount: backendSession.ScanCount || 0,
                         isActive: true
@@ -446,8 +824,14 @@ class QualityControlApp {
             qcStatus = this.qualityControlManager.getQCStatus(session.sessionId);
         }
 
+        const idleWarning = session.idleWarning
+            ? `<div class="user-idle-warning">💤 ${session.idleWarning.idleMinutes} min inaktiv${session.idleWarning.logoutAt
+                ? ` - Abmeldung ${new Date(session.idleWarning.logoutAt).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })}`
+                : ''}</div>`
+            : '';
+
         return `
-            <div class="user-card ${isSelected ? 'selected' : ''}" 
+            <div class="user-card ${isSelected ? 'selected' : ''} ${session.idleWarning ? 'idle' : ''}" 
                  data-user-id="${session.userId}" 
                  data-session-id="${session.sessionId}">
                 <div class="user-main">
@@ -460,9 +844,14 @@ class QualityControlApp {
                             <span class="qc-active">🔄 ${qcStatus.activeStepCount}</span>
                             <span class="qc-completed">✅ ${qcStatus.completedStepCount}</span>
                         </div>
+                        ${idleWarning}
                     </div>
                 </div>
                 <div class="user-actions">
+                    ${session.idleWarning ? `
+                    <button class="btn-icon keep-session" title="Ich bin noch da">
+                        👋
+                    </button>` : ''}
                     <button class="btn-icon select-user" title="Für QR-Scanning auswählen">
                         📱
                     </button>
@@ -499,6 +888,16 @@ class QualityControlApp {
             });
         });
 
+        // Inaktivitätswarnung bestätigen ("Ich bin noch da")
+        document.querySelectorAll('.keep-session').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const userCard = e.target.closest('.user-card');
+                const userId = parseInt(userCard.dataset.userId);
+                this.keepSessionAlive(userId);
+            });
+        });
+
         // Benutzer abmelden
         document.querySelectorAll('.logout-user').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -600,19 +999,24 @@ class QualityControlApp {
         document.getElementById('logoutUserName').textContent = session.userName;
         this.logoutSession = session;
         this.showModal('logoutModal');
+        this.startActorConfirmation('logoutModal', 'logoutActor', 'confirmLogout');
     }
 
     async executeLogout() {
         if (!this.logoutSession) return;
 
         try {
-            const success = await window.electronAPI.session.end(
+            const result = await window.electronAPI.session.end(
                 this.logoutSession.sessionId,
                 this.logoutSession.userId
             );
 
-            if (success) {
+            if (result === true) {
                 this.showNotification('success', 'Abmeldung', `${this.logoutSession.userName} wurde abgemeldet`);
+            } else if (result && result.status === 'forbidden') {
+                this.showNotification('warning', 'Keine Berechtigung', result.message);
+                this.startActorConfirmation('logoutModal', 'logoutActor', 'confirmLogout');
+                return;
             } else {
                 this.showNotification('error', 'Fehler', 'Abmeldung fehlgeschlagen');
             }
@@ -632,20 +1036,25 @@ class QualityControlApp {
         document.getElementById('restartUserName').textContent = session.userName;
         this.restartSession = { userId, sessionId, userName: session.userName };
         this.showModal('sessionRestartModal');
+        this.startActorConfirmation('sessionRestartModal', 'restartActor', 'confirmSessionRestart');
     }
 
     async executeSessionRestart() {
         if (!this.restartSession) return;
 
         try {
-            const success = await window.electronAPI.session.restart(
+            const result = await window.electronAPI.session.restart(
                 this.restartSession.sessionId,
                 this.restartSession.userId
             );
 
-            if (success) {
+            if (result === true) {
                 this.showNotification('success', 'QC-Session neu gestartet',
                     `${this.restartSession.userName}: Timer und QC-Status zurückgesetzt`);
+            } else if (result && result.status === 'forbidden') {
+                this.showNotification('warning', 'Keine Berechtigung', result.message);
+                this.startActorConfirmation('sessionRestartModal', 'restartActor', 'confirmSessionRestart');
+                return;
             } else {
                 this.showNotification('error', 'Fehler', 'Session-Restart fehlgeschlagen');
             }
@@ -658,6 +1067,215 @@ class QualityControlApp {
         this.restartSession = null;
     }
 
+    async loadRoleLabels() {
+        try {
+            const roles = await window.electronAPI.permissions.getRoles();
+            this.roleLabels = Object.fromEntries(roles.map(role => [role.id, role.label]));
+        } catch (error) {
+            console.error('Rollen konnten nicht geladen werden:', error);
+        }
+    }
+
+    /**
+     * Handelnden per Badge bestätigen lassen - die Aktion ist erst danach möglich
+     * Welcher Mitarbeiter handelt, entscheidet der Hauptprozess anhand des gescannten Badges
+     */
+    async startActorConfirmation(modalId, badgeId, confirmButtonId) {
+        this.actorConfirmation = { modalId, badgeId, confirmButtonId };
+        this.renderActorBadge('', 'Eigenes Badge an den Leser halten ...');
+
+        const result = await window.electronAPI.permissions.confirmBadge();
+        if (!result.success) {
+            this.renderActorBadge('error', result.message);
+        }
+    }
+
+    handleActorBadgeConfirmed(result) {
+        if (!this.actorConfirmation) return;
+
+        if (!result.success) {
+            this.renderActorBadge('error', `${result.message} - erneut scannen`);
+            window.electronAPI.permissions.confirmBadge();
+            return;
+        }
+
+        const roleLabel = this.roleLabels[result.data.role] || result.data.roleLabel;
+        this.renderActorBadge('confirmed', `${result.data.userName} (${roleLabel})`);
+    }
+
+    renderActorBadge(state, text) {
+        const { badgeId, confirmButtonId } = this.actorConfirmation;
+        const badge = document.getElementById(badgeId);
+
+        badge.className = `session-actor-badge ${state}`.trim();
+        badge.textContent = text;
+        document.getElementById(confirmButtonId).disabled = state !== 'confirmed';
+    }
+
+    // ===== BERICHT-EXPORT =====
+    async showReportExportModal() {
+        const startInput = document.getElementById('reportStartDate');
+        const endInput = document.getElementById('reportEndDate');
+
+        // Standard: aktueller Monat bis heute
+        if (!startInput.value || !endInput.value) {
+            const today = new Date();
+            startInput.value = this.toDateInputValue(new Date(today.getFullYear(), today.getMonth(), 1));
+            endInput.value = this.toDateInputValue(today);
+        }
+
+        this.showReportExportErrors([]);
+        this.showModal('reportExportModal');
+
+        try {
+            this.reportFilterOptions = await window.electronAPI.reports.getFilterOptions();
+        } catch (error) {
+            console.error('Bericht-Filter konnten nicht geladen werden:', error);
+            this.reportFilterOptions = { users: [], departments: [] };
+        }
+
+        const departmentSelect = document.getElementById('reportDepartment');
+        const selectedDepartment = departmentSelect.value;
+
+        departmentSelect.length = 1;
+        this.reportFilterOptions.departments.forEach(department => {
+            departmentSelect.add(new Option(department, department));
+        });
+        departmentSelect.value = this.reportFilterOptions.departments.includes(selectedDepartment) ? selectedDepartment : '';
+
+        this.renderReportUserOptions();
+        this.loadShiftReports();
+    }
+
+    /**
+     * Mitarbeiterliste auf die gewählte Abteilung einschränken
+     */
+    renderReportUserOptions() {
+        const userSelect = document.getElementById('reportUser');
+        const department = document.getElementById('reportDepartment').value;
+        const selectedUser = userSelect.value;
+        const users = (this.reportFilterOptions ? this.reportFilterOptions.users : [])
+            .filter(user => !department || user.Department === department);
+
+        userSelect.length = 1;
+        users.forEach(user => {
+            userSelect.add(new Option(user.UserName || `Benutzer ${user.ID}`, String(user.ID)));
+        });
+        userSelect.value = users.some(user => String(user.ID) === selectedUser) ? selectedUser : '';
+    }
+
+    async executeReportExport() {
+        const submitButton = document.getElementById('reportExportSubmit');
+        const options = {
+            format: document.getElementById('reportFormat').value,
+            startDate: document.getElementById('reportStartDate').value,
+            endDate: document.getElementById('reportEndDate').value,
+            department: document.getElementById('reportDepartment').value || null,
+            userId: document.getElementById('reportUser').value || null
+        };
+
+        this.showReportExportErrors([]);
+        submitButton.disabled = true;
+
+        try {
+            const result = await window.electronAPI.reports.export(options);
+
+            if (result.success) {
+                this.hideModal('reportExportModal');
+                this.showNotification('success', 'Bericht exportiert',
+                    `${result.message} (${result.data.stepCount} QC-Schritte)`);
+            } else if (result.status !== 'cancelled') {
+                this.showReportExportErrors([result.message]);
+            }
+        } catch (error) {
+            console.error('Bericht-Export Fehler:', error);
+            this.showReportExportErrors([`Export fehlgeschlagen: ${error.message}`]);
+        } finally {
+            submitButton.disabled = false;
+        }
+    }
+
+    showReportExportErrors(errors) {
+        const errorElement = document.getElementById('reportExportErrors');
+        errorElement.textContent = errors.join('\n');
+        errorElement.classList.toggle('show', errors.length > 0);
+    }
+
+    async loadShiftReports() {
+        const info = document.getElementById('shiftReportInfo');
+        const list = document.getElementById('shiftReportList');
+
+        try {
+            const data = await window.electronAPI.reports.getRecentShiftReports(10);
+
+            if (!data.enabled) {
+                info.textContent = 'Deaktiviert oder Qualitätskontrolle nicht initialisiert';
+                list.innerHTML = '';
+                return;
+            }
+
+            const shifts = data.status.shifts.map(shift => `${shift.name} ab ${shift.start}`).join(' · ');
+            const nextReport = data.status.nextReportAt ? ` · nächster Bericht ${utils.formatTimestamp(data.status.nextReportAt, 'time')}` : '';
+            info.textContent = `${shifts}${nextReport} · Ordner: ${data.status.outputDir}`;
+
+            if (data.reports.length === 0) {
+                list.innerHTML = '<div class="qc-quality-hint">Noch keine Schichtberichte erstellt</div>';
+                return;
+            }
+
+            list.innerHTML = data.reports.map((entry, index) => `
+                <div class="report-shift-item ${entry.success ? '' : 'failed'}">
+                    <span>
+                        <strong>${this.escapeHtml(entry.shiftName)}</strong>
+                        ${utils.formatTimestamp(entry.startTime, 'datetime')}
+                        ${entry.success ? `· ${entry.stepCount} QC-Schritte` : `· ❌ ${this.escapeHtml(entry.error || 'Fehlgeschlagen')}`}
+                    </span>
+                    <span class="report-shift-files">
+                        ${entry.files.map(file => `
+                            <button class="btn-secondary btn-small" data-report-index="${index}" data-report-format="${file.format}">
+                                ${file.format.toUpperCase()}
+                            </button>`).join('')}
+                    </span>
+                </div>
+            `).join('');
+
+            list.querySelectorAll('button[data-report-index]').forEach(button => {
+                const entry = data.reports[parseInt(button.dataset.reportIndex)];
+                button.addEventListener('click', () => this.openShiftReport(entry.key, button.dataset.reportFormat));
+            });
+        } catch (error) {
+            console.error('Schichtberichte konnten nicht geladen werden:', error);
+            info.textContent = 'Schichtberichte konnten nicht geladen werden';
+            list.innerHTML = '';
+        }
+    }
+
+    async openShiftReport(key, format) {
+        const result = await window.electronAPI.reports.openShiftReport(key, format);
+        if (!result.success) {
+            this.showNotification('error', 'Schichtbericht', result.message);
+        }
+    }
+
+    handleShiftReportGenerated(entry) {
+        if (entry.success) {
+            this.showNotification('success', 'Schichtbericht erstellt',
+                `${entry.shiftName} ${utils.formatTimestamp(entry.startTime, 'datetime')}: ${entry.stepCount} QC-Schritte`);
+        } else {
+            this.showNotification('error', 'Schichtbericht fehlgeschlagen', `${entry.shiftName}: ${entry.error}`, 8000);
+        }
+
+        if (document.getElementById('reportExportModal').classList.contains('show')) {
+            this.loadShiftReports();
+        }
+    }
+
+    toDateInputValue(date) {
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
     // ===== KAMERA & QR-SCANNER =====
     async loadQRLibrary() {
         try {
@@ -1050,7 +1668,17 @@ class QualityControlApp {
                 enhancedMessage = `${this.selectedSession.userName}: QC-${qcStatus.expectedScan} erfolgreich`;
             }
 
-            this.showNotification('success', 'QC-Scan gespeichert', enhancedMessage);
+            // Dekodierte Etikettendaten (Parser-Registry im Main-Prozess)
+            const decodedSummary = this.formatDecodedSummary(data?.DecodedData);
+            if (decodedSummary) {
+                enhancedMessage = `${enhancedMessage} - ${decodedSummary}`;
+            }
+
+            if (status === 'queued_offline') {
+                this.showNotification('warning', 'QC-Scan offline gespeichert', `${enhancedMessage} - wird nachgetragen`);
+            } else {
+                this.showNotification('success', 'QC-Scan gespeichert', enhancedMessage);
+            }
         } else {
             // Verschiedene Fehler/Duplikat-Typen
             switch (status) {
@@ -1086,6 +1714,24 @@ class QualityControlApp {
             new Date().toLocaleTimeString('de-DE');
     }
 
+    /**
+     * Kurzfassung dekodierter Etikettendaten für Benachrichtigungen
+     * @param {Object} decoded - DecodedData aus dem Scan-Ergebnis
+     * @returns {string|null}
+     */
+    formatDecodedSummary(decoded) {
+        if (!decoded || !decoded.format_type || decoded.format_type === 'unknown') {
+            return null;
+        }
+
+        const parts = [];
+        if (decoded.auftrags_nr) parts.push(`Auftrag: ${decoded.auftrags_nr}`);
+        if (decoded.paket_nr) parts.push(`Paket: ${decoded.paket_nr}`);
+        if (decoded.kunden_name) parts.push(decoded.kunden_name);
+
+        return parts.length > 0 ? parts.join(' • ') : null;
+    }
+
     showScanSuccess(qrData, type = 'success') {
         // Visuelles Feedback im Scanner
         const overlay = document.querySelector('.scanner-overlay');
@@ -1290,6 +1936,21 @@ class QualityControlApp {
     hideModal(modalId) {
         const modal = document.getElementById(modalId);
         modal.classList.remove('show');
+
+        // Offene Badge-Bestätigung verwerfen
+        if (this.actorConfirmation && this.actorConfirmation.modalId === modalId) {
+            this.actorConfirmation = null;
+            window.electronAPI.permissions.cancelBadge();
+        }
+    }
+
+    /**
+     * Maskiert Freitext für die Ausgabe in HTML-Templates
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
     }
 }
 
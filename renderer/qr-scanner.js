@@ -174,7 +174,7 @@ class QRScannerIntegration {
         }
 
         // QR-Code dekodieren
-        const decodedData = this.decodeQRData(qrData);
+        const decodedData = await this.decodeQRData(qrData);
 
         if (decodedData && decodedData.auftrag) {
             // Scan an Hauptanwendung weiterleiten
@@ -207,25 +207,20 @@ class QRScannerIntegration {
         }
     }
 
-    decodeQRData(qrData) {
+    async decodeQRData(qrData) {
         try {
-            // Format: "126644896^25000580^010010277918^6^2802-834"
-            const parts = qrData.split('^');
+            // Dekodierung über die Parser-Registry im Main-Prozess (qr/qr-formats.json)
+            const decoded = await window.electronAPI.qr.decode(qrData);
 
-            if (parts.length >= 3) {
-                return {
-                    auftrag: parts[0] || 'Unbekannt',
-                    kunde: parts[1] || 'Unbekannt',
-                    paket: parts[2] || 'Unbekannt'
-                };
+            if (!decoded || decoded.format_type === 'unknown') {
+                return null;
             }
 
-            // JSON-Fallback
-            const jsonData = JSON.parse(qrData);
             return {
-                auftrag: jsonData.auftrag || jsonData.order || 'Unbekannt',
-                kunde: jsonData.kunde || jsonData.customer || 'Unbekannt',
-                paket: jsonData.paket || jsonData.package || 'Unbekannt'
+                auftrag: decoded.auftrags_nr || 'Unbekannt',
+                kunde: decoded.kunden_name || 'Unbekannt',
+                paket: decoded.paket_nr || 'Unbekannt',
+                format: decoded.format_type
             };
 
         } catch (error) {
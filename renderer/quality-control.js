@@ -15,6 +15,22 @@ class QualityControlManager {
         // QC-Scan Status Tracking
         this.scanStates = new Map(); // sessionId -> { expectedScan: 'eingang'|'ausgang', currentQRCode: string|null }
 
+        // Stationsrolle aus dem Main-Prozess (QC_STATION_ROLE)
+        this.stationConfig = { role: 'both', stationName: null, crossSessionCompletion: false };
+
+        // Offenes Qualitätsformular (Ausgang-Scan)
+        this.qualityForm = null; // { sessionId, qrData, scanId, stepId, requirements, values, resolve }
+        this.lastFormCloseReason = null; // 'timeout' wenn der Schritt während der Eingabe beendet wurde
+
+        // QC-Schritte mit Warnung wegen langer Prüfdauer (vom Backend gemeldet)
+        this.longRunningSteps = new Set(); // QC-Step-IDs
+
+        // Prüf-Checklisten der aktiven QC-Schritte
+        this.stepChecklists = new Map(); // stepId -> { items, openMandatory, failedItems, complete }
+
+        // Aktive Fehlercodes (QualityDefectCodes), beim Öffnen des Abschluss-Formulars geladen
+        this.defectCatalog = []; // [{ id, code, category, severity, description }]
+
         // QC-spezifische Einstellungen
         this.qcSettings = {
             autoCompleteAfterExit: true,
@@ -30,6 +46,89 @@ class QualityControlManager {
         console.log('🔍 QualityControl Manager wird initialisiert...');
         this.setupQCEventListeners();
         this.startPeriodicQCUpdates();
+        this.loadStationConfig();
+    }
+
+    // ===== STATIONSROLLE =====
+
+    /**
+     * Lädt die Stationsrolle (Eingangs-, Ausgangsstation oder beides)
+     */
+    async loadStationConfig() {
+        try {
+            const config = await window.electronAPI.qualityControl.getStationConfig();
+            if (config) {
+                this.stationConfig = config;
+            }
+        } catch (error) {
+            console.warn('Stationsrolle nicht verfügbar - verwende Eingang & Ausgang:', error);
+        }
+
+        // Sessions, die vor dem Laden angelegt wurden, auf die Rolle einstellen
+        for (const scanState of this.scanStates.values()) {
+            if (!scanState.currentQRCode) {
+                scanState.expectedScan = this.getInitialExpectedScan();
+            }
+        }
+
+        console.log(`🏭 QC-Stationsrolle: ${this.stationConfig.role}${this.stationConfig.stationName ? ` (${this.stationConfig.stationName})` : ''}`);
+        this.updateStationRoleDisplay();
+        this.updateScanStatusIndicator();
+    }
+
+    /**
+     * Erwarteter Scan ohne laufende Prüfung
+     */
+    getInitialExpectedScan() {
+        return this.stationConfig.role === 'exit' ? 'ausgang' : 'eingang';
+    }
+
+    /**
+     * Erwarteter Scan nach einem Eingang- bzw. Ausgang-Scan
+     * @param {string} scanType - 'entrance' | 'exit'
+     */
+    getExpectedScanAfter(scanType) {
+        if (this.stationConfig.role !== 'both') {
+            return this.getInitialExpectedScan();
+        }
+
+        return scanType === 'entrance' ? 'ausgang' : 'eingang';
+    }
+
+    updateStationRoleDisplay() {
+        const roleElement = document.getElementById('stationRoleText');
+        if (!roleElement) return;
+
+        const labels = {
+            entrance: 'Eingangsstation',
+            exit: 'Ausgangsstation',
+            both: 'Eingang & Ausgang'
+        };
+
+        roleElement.textContent = labels[this.stationConfig.role] || labels.both;
+    }
+
+    /**
+     * Scan-Typ für ein Paket vom Backend bestimmen (offene Schritte auch aus anderen Sessions)
+     * Ohne Antwort gilt der lokale Scan-Status der Session
+     * @returns {Promise<Object>} - { scanType: 'entrance'|'exit', allowed, message, openStep }
+     */
+    async resolveScanType(sessionId, qrData, scanState) {
+        try {
+            const resolution = await window.electronAPI.qualityControl.resolveScan(sessionId, qrData);
+            if (resolution) {
+                return resolution;
+            }
+        } catch (error) {
+            console.warn('Scan-Typ konnte nicht bestimmt werden - verwende lokalen Status:', error);
+        }
+
+        return {
+            scanType: scanState.expectedScan === 'ausgang' ? 'exit' : 'entrance',
+            allowed: true,
+            message: null,
+            openStep: null
+        };
     }
 
     // ===== EVENT LISTENERS =====
@@ -46,9 +145,26 @@ class QualityControlManager {
         document.getElementById('qcStepModalClose2').addEventListener('click', () => {
             this.mainApp.hideModal('qcStepModal');
         });
+        document.getElementById('qcStepPrintLabel').addEventListener('click', (e) => {
+            this.printLabel(parseInt(e.currentTarget.dataset.stepId));
+        });
+
+        // QC Quality Modal (Ausgang-Scan)
+        this.setupQualityFormHandlers();
+        this.setupPhotoHandlers();
 
         // QC Step Click Events (Event Delegation)
         document.getElementById('activeQCStepsList').addEventListener('click', (e) => {
+            // Antwort auf einen Checklistenpunkt öffnet keine Details
+            const checklistOption = e.target.closest('.qc-checklist-option');
+            if (checklistOption) {
+                const selectedSession = this.mainApp.selectedSession;
+                if (selectedSession) {
+                    this.answerChecklistItem(selectedSession.sessionId, checklistOption);
+                }
+                return;
+            }
+
             const qcStepCard = e.target.closest('.qc-step-card');
             if (qcStepCard) {
                 const stepId = qcStepCard.dataset.stepId;
@@ -74,7 +190,7 @@ class QualityControlManager {
         this.activeQCSteps.set(sessionId, new Set());
         this.qcStepCounters.set(sessionId, { active: 0, completed: 0 });
         this.scanStates.set(sessionId, {
-            expectedScan: 'eingang',
+            expectedScan: this.getInitialExpectedScan(),
             currentQRCode: null,
             lastScanTime: null
         });
@@ -93,6 +209,20 @@ class QualityControlManager {
         console.log(`QC-Tracking für Session ${sessionId} bereinigt`);
     }
 
+    /**
+     * Übernimmt QC-Tracking einer Offline-Session unter ihrer Datenbank-ID
+     */
+    remapSession(oldSessionId, newSessionId) {
+        for (const map of [this.activeQCSteps, this.qcStepCounters, this.scanStates]) {
+            if (map.has(oldSessionId)) {
+                map.set(newSessionId, map.get(oldSessionId));
+                map.delete(oldSessionId);
+            }
+        }
+
+        console.log(`QC-Tracking für Session ${oldSessionId} → ${newSessionId} übernommen`);
+    }
+
     /**
      * Verarbeitet QR-Scan für Qualitätskontrolle
      */
@@ -111,11 +241,17 @@ class QualityControlManager {
                 return;
             }
 
-            // QC-Schritt verarbeiten basierend auf erwartetem Scan-Status
-            if (scanState.expectedScan === 'eingang') {
+            // Eingang oder Ausgang je nach offenem QC-Schritt des Pakets und Stationsrolle
+            const resolution = await this.resolveScanType(sessionId, qrData, scanState);
+
+            if (!resolution.allowed) {
+                this.mainApp.showNotification('warning',
+                    resolution.scanType === 'exit' ? 'Ausgang hier nicht möglich' : 'Eingang hier nicht möglich',
+                    resolution.message);
+            } else if (resolution.scanType === 'entrance') {
                 await this.handleEingangScan(sessionId, qrData, data);
-            } else if (scanState.expectedScan === 'ausgang') {
-                await this.handleAusgangScan(sessionId, qrData, data);
+            } else {
+                await this.handleAusgangScan(sessionId, qrData, data, resolution.openStep);
             }
 
             // UI Updates
@@ -143,10 +279,10 @@ class QualityControlManager {
                 activeSteps.add(qcStep.ID);
                 this.activeQCSteps.set(sessionId, activeSteps);
 
-                // Scan-State aktualisieren
+                // Scan-State aktualisieren (Eingangsstationen warten nicht auf den Ausgang)
                 const scanState = this.scanStates.get(sessionId);
-                scanState.expectedScan = 'ausgang';
-                scanState.currentQRCode = qrData;
+                scanState.expectedScan = qcStep.RequiresExitScan === false ? 'eingang' : this.getExpectedScanAfter('entrance');
+                scanState.currentQRCode = scanState.expectedScan === 'ausgang' ? qrData : null;
                 scanState.lastScanTime = new Date();
 
                 // Counters aktualisieren
@@ -154,11 +290,20 @@ class QualityControlManager {
                 counters.active++;
                 this.qcStepCounters.set(sessionId, counters);
 
-                // Benachrichtigung
-                this.mainApp.showNotification('success', 'Qualitätsprüfung gestartet',
-                    `Eingang erfasst für: ${this.formatQRCode(qrData)}`);
-
                 console.log(`✅ QC-Schritt ${qcStep.ID} gestartet`);
+
+                // SessionType ohne Ausgang-Scan: direkt mit dem Qualitätsformular abschließen
+                if (qcStep.RequiresExitScan === false) {
+                    await this.handleAusgangScan(sessionId, qrData, scanData, qcStep);
+                    return;
+                }
+
+                // Benachrichtigung (Paket aus der Nacharbeit: verknüpfte Nachprüfung)
+                this.mainApp.showNotification('success',
+                    qcStep.ParentStepID ? `Nachprüfung gestartet (Durchlauf ${qcStep.ReworkPass})` : 'Qualitätsprüfung gestartet',
+                    this.stationConfig.role === 'entrance'
+                        ? `Eingang erfasst für: ${this.formatQRCode(qrData)} - weiter zur Ausgangsstation`
+                        : `Eingang erfasst für: ${this.formatQRCode(qrData)}`);
             }
 
         } catch (error) {
@@ -169,28 +314,54 @@ class QualityControlManager {
 
     /**
      * Verarbeitet Ausgang-Scan (zweiter Scan desselben QR-Codes)
+     * @param {Object|null} openStep - Offener Schritt laut Backend, ggf. aus einer anderen Session
      */
-    async handleAusgangScan(sessionId, qrData, scanData) {
+    async handleAusgangScan(sessionId, qrData, scanData, openStep = null) {
         try {
             console.log(`📤 Ausgang-Scan für Session ${sessionId}: ${qrData}`);
 
             const scanState = this.scanStates.get(sessionId);
 
-            // Prüfen ob es der gleiche QR-Code ist
-            if (scanState.currentQRCode !== qrData) {
+            // Ohne Backend-Zuordnung: Prüfen ob es der gleiche QR-Code ist
+            if (!openStep && scanState.currentQRCode !== qrData) {
                 // Anderer QR-Code während laufender Prüfung
                 this.mainApp.showNotification('warning', 'Anderer QR-Code',
                     `Erwarteter Code: ${this.formatQRCode(scanState.currentQRCode)}\nGescannt: ${this.formatQRCode(qrData)}`);
                 return;
             }
 
-            // QC-Schritt im Backend abschließen
-            const completedStep = await window.electronAPI.qualityControl.completeStep(sessionId, qrData, scanData.ID);
+            if (this.qualityForm) {
+                this.mainApp.showNotification('warning', 'Qualitätsformular offen',
+                    'Bitte zuerst die laufende Qualitätsbewertung abschließen oder abbrechen');
+                return;
+            }
+
+            // Qualitätsdaten erfassen - das Formular schließt den QC-Schritt im Backend ab
+            const completedStep = await this.openQualityForm(sessionId, qrData, scanData.ID, openStep ? openStep.ID : null);
+
+            if (!completedStep) {
+                // Schritt wurde inzwischen vom Backend beendet (z.B. Timeout) - bereits gemeldet
+                if (this.lastFormCloseReason === 'timeout') {
+                    return;
+                }
+
+                this.mainApp.showNotification('info', 'Ausgang-Scan abgebrochen',
+                    `Qualitätsprüfung läuft weiter für: ${this.formatQRCode(qrData)}`);
+                return;
+            }
 
             if (completedStep) {
-                // Lokale QC-Schritt-Tracking aktualisieren
-                const activeSteps = this.activeQCSteps.get(sessionId);
-                activeSteps.delete(completedStep.ID);
+                // Lokales Tracking aktualisieren - auch für Schritte anderer Sessions dieser Station
+                this.activeQCSteps.forEach((activeSteps, trackedSessionId) => {
+                    if (activeSteps.delete(completedStep.ID) && trackedSessionId !== sessionId) {
+                        const trackedCounters = this.qcStepCounters.get(trackedSessionId);
+                        if (trackedCounters) {
+                            trackedCounters.active = Math.max(0, trackedCounters.active - 1);
+                        }
+                    }
+                });
+                const startedInSession = !openStep || openStep.SessionID === sessionId;
+                this.stepChecklists.delete(completedStep.ID);
 
                 // Zu abgeschlossenen Schritten hinzufügen
                 this.completedQCSteps.unshift({
@@ -200,20 +371,25 @@ class QualityControlManager {
                 });
 
                 // Scan-State zurücksetzen für nächsten QC-Schritt
-                scanState.expectedScan = 'eingang';
+                scanState.expectedScan = this.getExpectedScanAfter('exit');
                 scanState.currentQRCode = null;
                 scanState.lastScanTime = new Date();
 
                 // Counters aktualisieren
                 const counters = this.qcStepCounters.get(sessionId);
-                counters.active--;
+                if (startedInSession) {
+                    counters.active = Math.max(0, counters.active - 1);
+                }
                 counters.completed++;
                 this.qcStepCounters.set(sessionId, counters);
 
                 // Benachrichtigung
                 const duration = this.calculateQCStepDuration(completedStep);
+                const origin = !startedInSession && (openStep.StartStation || openStep.StartUserName)
+                    ? `, Eingang: ${[openStep.StartStation, openStep.StartUserName].filter(Boolean).join(' / ')}`
+                    : '';
                 this.mainApp.showNotification('success', 'Qualitätsprüfung abgeschlossen',
-                    `Ausgang erfasst für: ${this.formatQRCode(qrData)} (${duration})`);
+                    `Ausgang erfasst für: ${this.formatQRCode(qrData)} (${duration}${origin})`);
 
                 console.log(`✅ QC-Schritt ${completedStep.ID} abgeschlossen`);
             }
@@ -224,6 +400,413 @@ class QualityControlManager {
         }
     }
 
+    // ===== QUALITÄTSFORMULAR (AUSGANG-SCAN) =====
+
+    setupQualityFormHandlers() {
+        const optionGroups = {
+            qcQualityRating: 'rating',
+            qcQualityDefects: 'defectsFound',
+            qcQualityRework: 'reworkRequired'
+        };
+
+        Object.entries(optionGroups).forEach(([groupId, field]) => {
+            document.getElementById(groupId).addEventListener('click', (e) => {
+                const option = e.target.closest('.qc-quality-option');
+                if (!option || !this.qualityForm) return;
+
+                const value = field === 'rating'
+                    ? parseInt(option.dataset.value)
+                    : option.dataset.value === 'true';
+
+                this.qualityForm.values[field] = value;
+                this.selectQualityOption(groupId, option.dataset.value);
+
+                if (field === 'defectsFound') {
+                    this.updateDefectDescriptionVisibility();
+                }
+            });
+        });
+
+        document.getElementById('qcQualityDefectCodes').addEventListener('click', (e) => {
+            const chip = e.target.closest('.qc-defect-code');
+            if (chip && this.qualityForm) {
+                this.toggleDefectCode(parseInt(chip.dataset.defectId));
+            }
+        });
+
+        document.getElementById('qcQualityChecklist').addEventListener('click', (e) => {
+            const checklistOption = e.target.closest('.qc-checklist-option');
+            if (checklistOption && this.qualityForm) {
+                this.answerChecklistItem(this.qualityForm.sessionId, checklistOption);
+            }
+        });
+
+        document.getElementById('qcQualityPhotoCapture').addEventListener('click', () => {
+            this.captureDefectPhoto();
+        });
+        document.getElementById('qcQualityPhotos').addEventListener('click', (e) => {
+            const thumb = e.target.closest('.qc-photo-thumb');
+            if (thumb) this.showPhoto(parseInt(thumb.dataset.photoId));
+        });
+
+        document.getElementById('qcQualitySubmit').addEventListener('click', () => {
+            this.submitQualityForm();
+        });
+        document.getElementById('qcQualityCancel').addEventListener('click', () => {
+            this.closeQualityForm(null);
+        });
+        document.getElementById('qcQualityModalClose').addEventListener('click', () => {
+            this.closeQualityForm(null);
+        });
+    }
+
+    /**
+     * Öffnet das Qualitätsformular für einen Ausgang-Scan
+     * @returns {Promise<Object|null>} - Abgeschlossener QC-Schritt oder null bei Abbruch
+     */
+    async openQualityForm(sessionId, qrData, scanId, stepId = null) {
+        let requirements;
+        try {
+            requirements = await window.electronAPI.qualityControl.getQualityRequirements(sessionId);
+        } catch (error) {
+            console.warn('Pflichtangaben für Qualitätsdaten nicht verfügbar:', error);
+        }
+
+        requirements = requirements || {
+            requireQualityRating: false,
+            requireDefectCheck: true,
+            allowRework: true
+        };
+
+        // Formular zurücksetzen
+        ['qcQualityRating', 'qcQualityDefects', 'qcQualityRework'].forEach(groupId => {
+            this.selectQualityOption(groupId, null);
+        });
+        document.getElementById('qcQualityDefectDescription').value = '';
+        document.getElementById('qcQualityNotes').value = '';
+        document.getElementById('qcQualityPhotos').innerHTML = '';
+        document.getElementById('qcQualityQrCode').textContent = this.formatQRCode(qrData);
+        document.getElementById('qcQualityRatingRequired').style.display = requirements.requireQualityRating ? '' : 'none';
+        document.getElementById('qcQualityDefectsRequired').style.display = requirements.requireDefectCheck ? '' : 'none';
+        document.getElementById('qcQualityReworkField').style.display = requirements.allowRework ? '' : 'none';
+        this.showQualityFormErrors([]);
+
+        // Fehlerkatalog: mit Codes ist die Beschreibung optional
+        this.defectCatalog = await this.loadDefectCatalog();
+        this.renderDefectCodes([]);
+        document.getElementById('qcQualityDefectCodesField').style.display = this.defectCatalog.length > 0 ? '' : 'none';
+        document.getElementById('qcQualityDescriptionRequired').style.display = this.defectCatalog.length > 0 ? 'none' : '';
+
+        // Prüf-Checkliste des Schritts (offene Pflichtpunkte können hier noch beantwortet werden)
+        const checklist = await this.loadChecklist(stepId);
+        this.renderQualityFormChecklist(stepId, checklist);
+
+        // Fotos nur zu bekannten Schritten (offline angelegte Schritte haben noch keine DB-ID)
+        document.getElementById('qcQualityPhotoField').style.display = stepId ? '' : 'none';
+        if (stepId) {
+            this.renderPhotoStrip('qcQualityPhotos', await this.loadPhotos(stepId));
+        }
+
+        return new Promise(resolve => {
+            this.qualityForm = {
+                sessionId,
+                qrData,
+                scanId,
+                stepId,
+                requirements,
+                checklist,
+                values: { rating: null, defectsFound: null, reworkRequired: null, defectCodes: [] },
+                resolve
+            };
+
+            this.applyChecklistToQualityForm(checklist);
+            this.updateDefectDescriptionVisibility();
+            this.mainApp.showModal('qcQualityModal');
+        });
+    }
+
+    async submitQualityForm() {
+        const form = this.qualityForm;
+        if (!form) return;
+
+        const qualityData = {
+            ...form.values,
+            defectDescription: document.getElementById('qcQualityDefectDescription').value.trim(),
+            notes: document.getElementById('qcQualityNotes').value.trim()
+        };
+
+        const errors = this.validateQualityForm(qualityData, form.requirements);
+        if (form.checklist && !form.checklist.complete) {
+            errors.unshift(`Bitte alle Pflichtpunkte der Checkliste beantworten (${form.checklist.openMandatory.length} offen)`);
+        }
+        if (errors.length > 0) {
+            this.showQualityFormErrors(errors);
+            return;
+        }
+
+        const submitButton = document.getElementById('qcQualitySubmit');
+        submitButton.disabled = true;
+
+        try {
+            const result = await window.electronAPI.qualityControl.completeStepWithQuality(
+                form.sessionId, form.qrData, form.scanId, qualityData
+            );
+
+            if (!result || !result.success) {
+                // Formular offen lassen - Eingaben gehen nicht verloren
+                this.showQualityFormErrors(result && result.errors && result.errors.length > 0
+                    ? result.errors
+                    : [result ? result.message : 'QC-Schritt konnte nicht abgeschlossen werden']);
+                return;
+            }
+
+            if (result.status === 'queued_offline') {
+                this.mainApp.showNotification('warning', 'Offline gespeichert', result.message);
+            }
+
+            // Hinweise aus den QC-Regeln (lange Prüfdauer, gemeldete Fehler)
+            (result.warnings || []).forEach(warning => {
+                this.mainApp.showNotification('warning', warning.title, warning.message);
+            });
+
+            this.closeQualityForm(result.data);
+        } catch (error) {
+            console.error('Fehler beim Speichern der Qualitätsdaten:', error);
+            this.showQualityFormErrors([error.message]);
+        } finally {
+            submitButton.disabled = false;
+        }
+    }
+
+    /**
+     * Schließt das Qualitätsformular
+     * @param {Object|null} completedStep - Abgeschlossener QC-Schritt oder null bei Abbruch
+     */
+    closeQualityForm(completedStep, reason = null) {
+        const form = this.qualityForm;
+        this.qualityForm = null;
+        this.lastFormCloseReason = reason;
+
+        this.mainApp.hideModal('qcQualityModal');
+
+        if (form) {
+            form.resolve(completedStep);
+        }
+    }
+
+    /**
+     * Prüft die Formulareingaben gegen die Pflichtangaben (wird im Backend erneut geprüft)
+     */
+    validateQualityForm(qualityData, requirements) {
+        const errors = [];
+
+        if (requirements.requireQualityRating && qualityData.rating === null) {
+            errors.push('Bitte eine Qualitätsbewertung (1-5) auswählen');
+        }
+
+        if (requirements.requireDefectCheck && qualityData.defectsFound === null) {
+            errors.push('Bitte angeben, ob Fehler gefunden wurden');
+        }
+
+        if (qualityData.defectsFound && this.defectCatalog.length > 0 && qualityData.defectCodes.length === 0) {
+            errors.push('Bitte mindestens einen Fehlercode auswählen');
+        } else if (qualityData.defectsFound && this.defectCatalog.length === 0 && !qualityData.defectDescription) {
+            errors.push('Bitte die gefundenen Fehler beschreiben');
+        }
+
+        return errors;
+    }
+
+    selectQualityOption(groupId, value) {
+        document.querySelectorAll(`#${groupId} .qc-quality-option`).forEach(option => {
+            option.classList.toggle('selected', value !== null && option.dataset.value === String(value));
+        });
+    }
+
+    updateDefectDescriptionVisibility() {
+        const defectsFound = this.qualityForm && this.qualityForm.values.defectsFound === true;
+        document.getElementById('qcQualityDefectDescriptionField').style.display = defectsFound ? '' : 'none';
+
+        if (defectsFound && this.defectCatalog.length === 0) {
+            document.getElementById('qcQualityDefectDescription').focus();
+        }
+    }
+
+    // ===== FEHLERKATALOG =====
+
+    /**
+     * Lädt die aktiven Fehlercodes (leer ohne Katalog)
+     */
+    async loadDefectCatalog() {
+        try {
+            return await window.electronAPI.qualityControl.getDefectCodes() || [];
+        } catch (error) {
+            console.warn('Fehlerkatalog nicht verfügbar:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Fehlercodes nach Kategorie gruppiert als Auswahl-Chips
+     */
+    renderDefectCodes(selectedIds) {
+        const categories = new Map();
+        this.defectCatalog.forEach(entry => {
+            if (!categories.has(entry.category)) categories.set(entry.category, []);
+            categories.get(entry.category).push(entry);
+        });
+
+        document.getElementById('qcQualityDefectCodes').innerHTML = Array.from(categories.entries()).map(([category, entries]) => `
+            <div class="qc-defect-category">
+                <span class="qc-defect-category-name">${this.escapeHtml(category)}</span>
+                ${entries.map(entry => `
+                    <button type="button" class="qc-defect-code ${entry.severity}${selectedIds.includes(entry.id) ? ' selected' : ''}"
+                            data-defect-id="${entry.id}" title="${this.escapeHtml(entry.description)}">
+                        <strong>${this.escapeHtml(entry.code)}</strong> ${this.escapeHtml(entry.description)}
+                    </button>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
+    toggleDefectCode(defectId) {
+        const values = this.qualityForm.values;
+
+        values.defectCodes = values.defectCodes.includes(defectId)
+            ? values.defectCodes.filter(id => id !== defectId)
+            : [...values.defectCodes, defectId];
+
+        this.renderDefectCodes(values.defectCodes);
+    }
+
+    showQualityFormErrors(errors) {
+        const errorElement = document.getElementById('qcQualityErrors');
+        errorElement.textContent = errors.join('\n');
+        errorElement.classList.toggle('show', errors.length > 0);
+    }
+
+    /**
+     * Checkliste im Abschluss-Formular anzeigen (ausgeblendet ohne Checklistenpunkte)
+     */
+    renderQualityFormChecklist(stepId, checklist) {
+        const hasItems = !!checklist && checklist.items.length > 0;
+
+        document.getElementById('qcQualityChecklistField').style.display = hasItems ? '' : 'none';
+        document.getElementById('qcQualityChecklist').innerHTML = hasItems ? this.renderChecklist(stepId, checklist) : '';
+    }
+
+    /**
+     * Nicht bestandene Checklistenpunkte als Fehler vorschlagen, solange nichts anderes angegeben ist
+     */
+    applyChecklistToQualityForm(checklist) {
+        if (!this.qualityForm || !checklist || checklist.failedItems.length === 0) return;
+        if (this.qualityForm.values.defectsFound === false) return;
+
+        this.qualityForm.values.defectsFound = true;
+        this.selectQualityOption('qcQualityDefects', 'true');
+
+        const descriptionElement = document.getElementById('qcQualityDefectDescription');
+        if (!descriptionElement.value.trim()) {
+            descriptionElement.value = `Checkliste nicht bestanden: ${checklist.failedItems.map(item => item.stage).join(', ')}`;
+        }
+
+        this.updateDefectDescriptionVisibility();
+    }
+
+    // ===== PRÜF-CHECKLISTEN =====
+
+    /**
+     * Lädt die Checkliste eines QC-Schritts (null offline oder ohne Schritt)
+     */
+    async loadChecklist(stepId) {
+        if (!stepId) return null;
+
+        try {
+            const checklist = await window.electronAPI.qualityControl.getChecklist(stepId);
+            if (checklist) {
+                this.stepChecklists.set(Number(stepId), checklist);
+            }
+            return checklist;
+        } catch (error) {
+            console.warn(`Checkliste für QC-Schritt ${stepId} nicht verfügbar:`, error);
+            return null;
+        }
+    }
+
+    renderChecklist(stepId, checklist) {
+        const options = [
+            { result: 'pass', label: '✅', title: 'Bestanden' },
+            { result: 'fail', label: '❌', title: 'Nicht bestanden' },
+            { result: 'na', label: 'N/A', title: 'Nicht anwendbar' }
+        ];
+
+        const itemsHtml = checklist.items.map(item => `
+            <div class="qc-checklist-item${item.result ? ` answered ${item.result}` : ''}" data-item-id="${item.id}">
+                <div class="qc-checklist-text">
+                    <span class="qc-checklist-stage">${this.escapeHtml(item.stage)}</span>
+                    ${this.escapeHtml(item.text)}${item.mandatory ? ' <span class="qc-quality-required">*</span>' : ''}
+                </div>
+                <div class="qc-checklist-options">
+                    ${options.map(option => `
+                        <button type="button" class="qc-checklist-option ${option.result}${item.result === option.result ? ' selected' : ''}"
+                                data-step-id="${stepId}" data-item-id="${item.id}" data-result="${option.result}"
+                                title="${option.title}">${option.label}</button>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+
+        return `<div class="qc-checklist" data-step-id="${stepId}">${itemsHtml}</div>`;
+    }
+
+    /**
+     * Kurzstatus der Checkliste für die Schritt-Karte
+     */
+    getChecklistSummary(checklist) {
+        if (!checklist || checklist.items.length === 0) return '';
+
+        const answered = checklist.items.filter(item => item.result).length;
+        return ` · Checkliste ${answered}/${checklist.items.length}`;
+    }
+
+    /**
+     * Speichert die Antwort auf einen Checklistenpunkt und aktualisiert alle Anzeigen des Schritts
+     */
+    async answerChecklistItem(sessionId, button) {
+        const stepId = parseInt(button.dataset.stepId);
+        const itemId = parseInt(button.dataset.itemId);
+        const result = button.dataset.result;
+
+        try {
+            const response = await window.electronAPI.qualityControl.recordChecklistItem(sessionId, stepId, itemId, result);
+
+            if (!response || !response.success) {
+                this.mainApp.showNotification('error', 'Checkliste', response ? response.message : 'Antwort konnte nicht gespeichert werden');
+                return;
+            }
+
+            const checklist = response.data;
+            this.stepChecklists.set(stepId, checklist);
+
+            document.querySelectorAll(`.qc-checklist[data-step-id="${stepId}"]`).forEach(element => {
+                element.outerHTML = this.renderChecklist(stepId, checklist);
+            });
+            document.querySelectorAll(`.qc-checklist-summary[data-step-id="${stepId}"]`).forEach(element => {
+                element.textContent = this.getChecklistSummary(checklist);
+            });
+
+            if (this.qualityForm && Number(this.qualityForm.stepId) === stepId) {
+                this.qualityForm.checklist = checklist;
+                if (result === 'fail') {
+                    this.applyChecklistToQualityForm(checklist);
+                }
+            }
+        } catch (error) {
+            console.error('Fehler beim Speichern des Checklistenpunkts:', error);
+            this.mainApp.showNotification('error', 'Checkliste', 'Antwort konnte nicht gespeichert werden');
+        }
+    }
+
     // ===== UI UPDATES =====
 
     /**
@@ -241,7 +824,17 @@ class QualityControlManager {
         const statusText = indicator.querySelector('.status-text');
         const expectedScanType = document.getElementById('expectedScanType');
 
-        if (scanState.expectedScan === 'eingang') {
+        if (this.stationConfig.role === 'entrance') {
+            statusIcon.textContent = '📥';
+            statusText.textContent = 'Eingangsstation - bereit für Eingang-Scan';
+            expectedScanType.textContent = 'Eingang';
+            indicator.className = 'scan-status-indicator ready-entrance';
+        } else if (this.stationConfig.role === 'exit') {
+            statusIcon.textContent = '📤';
+            statusText.textContent = 'Ausgangsstation - bereit für Ausgang-Scan';
+            expectedScanType.textContent = 'Ausgang';
+            indicator.className = 'scan-status-indicator waiting-exit';
+        } else if (scanState.expectedScan === 'eingang') {
             statusIcon.textContent = '📥';
             statusText.textContent = 'Bereit für Eingang-Scan';
             expectedScanType.textContent = 'Eingang';
@@ -314,13 +907,29 @@ class QualityControlManager {
     async loadActiveQCStepsFromBackend(sessionId) {
         try {
             const activeSteps = await window.electronAPI.qualityControl.getActiveSteps(sessionId);
+            const checklists = await Promise.all(activeSteps.map(step => this.loadChecklist(step.ID)));
 
-            const stepsHtml = activeSteps.map(step => {
+            const stepsHtml = activeSteps.map((step, index) => {
+                const checklist = checklists[index];
                 const duration = this.calculateQCStepDuration(step);
                 const formattedQR = this.formatQRCode(step.QrCode);
 
+                let cardClass = '';
+                let statusClass = 'running';
+                let statusText = 'Läuft - Warte auf Ausgang-Scan';
+
+                if (step.ReviewRequired) {
+                    cardClass = ' review';
+                    statusClass = 'review';
+                    statusText = 'Zeitlimit überschritten - Prüfung erforderlich';
+                } else if (this.longRunningSteps.has(step.ID)) {
+                    cardClass = ' overdue';
+                    statusClass = 'overdue';
+                    statusText = 'Läuft ungewöhnlich lange - Ausgang-Scan fehlt';
+                }
+
                 return `
-                    <div class="qc-step-card" data-step-id="${step.ID}">
+                    <div class="qc-step-card${cardClass}" data-step-id="${step.ID}">
                         <div class="qc-step-header">
                             <div class="qc-step-icon">🔄</div>
                             <div class="qc-step-info">
@@ -330,11 +939,12 @@ class QualityControlManager {
                             <div class="qc-step-duration">${duration}</div>
                         </div>
                         <div class="qc-step-status">
-                            <span class="status-indicator running">
+                            <span class="status-indicator ${statusClass}">
                                 <span class="status-dot"></span>
-                                Läuft - Warte auf Ausgang-Scan
+                                ${statusText}<span class="qc-checklist-summary" data-step-id="${step.ID}">${this.getChecklistSummary(checklist)}</span>
                             </span>
                         </div>
+                        ${checklist && checklist.items.length > 0 ? this.renderChecklist(step.ID, checklist) : ''}
                     </div>
                 `;
             }).join('');
@@ -416,9 +1026,18 @@ class QualityControlManager {
                 return;
             }
 
-            const detailsHtml = this.renderQCStepDetails(stepDetails);
+            const checklist = await this.loadChecklist(stepDetails.ID);
+            const photos = await this.loadPhotos(stepDetails.ID);
+            const defects = stepDetails.DefectsFound ? await this.loadStepDefects(stepDetails.ID) : [];
+            const detailsHtml = this.renderQCStepDetails(stepDetails, defects)
+                + this.renderChecklistDetails(checklist)
+                + this.renderPhotoDetails(photos);
             document.getElementById('qcStepDetails').innerHTML = detailsHtml;
 
+            const printButton = document.getElementById('qcStepPrintLabel');
+            printButton.dataset.stepId = stepDetails.ID;
+            printButton.style.display = stepDetails.Completed ? '' : 'none';
+
             this.mainApp.showModal('qcStepModal');
 
         } catch (error) {
@@ -427,7 +1046,7 @@ class QualityControlManager {
         }
     }
 
-    renderQCStepDetails(stepDetails) {
+    renderQCStepDetails(stepDetails, defects = []) {
         const duration = this.calculateQCStepDuration(stepDetails);
         const formattedQR = this.formatQRCode(stepDetails.QrCode);
         const isCompleted = stepDetails.Completed;
@@ -474,6 +1093,8 @@ class QualityControlManager {
                     `}
                 </div>
 
+                ${isCompleted ? this.renderQualityDetails(stepDetails, defects) : ''}
+
                 <div class="detail-section">
                     <h5>🔍 Scan-Details</h5>
                     <div class="detail-row">
@@ -496,12 +1117,255 @@ class QualityControlManager {
         `;
     }
 
+    renderQualityDetails(stepDetails, defects = []) {
+        const hasRating = stepDetails.QualityRating !== null && stepDetails.QualityRating !== undefined;
+
+        return `
+                <div class="detail-section">
+                    <h5>📝 Qualitätsbewertung</h5>
+                    <div class="detail-row">
+                        <span class="detail-label">Bewertung:</span>
+                        <span class="detail-value">${hasRating ? `${stepDetails.QualityRating} / 5` : '-'}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Fehler gefunden:</span>
+                        <span class="detail-value">${stepDetails.DefectsFound ? '⚠️ Ja' : 'Nein'}</span>
+                    </div>
+                    ${defects.map(defect => `
+                        <div class="detail-row">
+                            <span class="detail-label">
+                                <span class="qc-defect-code ${defect.severity} selected">${this.escapeHtml(defect.code)}</span>
+                            </span>
+                            <span class="detail-value">${this.escapeHtml(defect.description)} (${this.escapeHtml(defect.category)})</span>
+                        </div>
+                    `).join('')}
+                    ${stepDetails.DefectsFound ? `
+                        <div class="detail-row">
+                            <span class="detail-label">Fehlerbeschreibung:</span>
+                            <span class="detail-value">${this.escapeHtml(stepDetails.DefectDescription || '-')}</span>
+                        </div>
+                    ` : ''}
+                    ${stepDetails.BatchNumber ? `
+                        <div class="detail-row">
+                            <span class="detail-label">Charge:</span>
+                            <span class="detail-value">${this.escapeHtml(stepDetails.BatchNumber)}</span>
+                        </div>
+                    ` : ''}
+                    <div class="detail-row">
+                        <span class="detail-label">Nacharbeit:</span>
+                        <span class="detail-value">${stepDetails.ReworkRequired ? '🔧 Erforderlich' : 'Nein'}</span>
+                    </div>
+                    ${stepDetails.QualityNotes ? `
+                        <div class="detail-row">
+                            <span class="detail-label">Notizen:</span>
+                            <span class="detail-value">${this.escapeHtml(stepDetails.QualityNotes)}</span>
+                        </div>
+                    ` : ''}
+                </div>
+        `;
+    }
+
+    /**
+     * Lädt die erfassten Fehlercodes eines QC-Schritts (leer offline)
+     */
+    async loadStepDefects(stepId) {
+        try {
+            return await window.electronAPI.qualityControl.getStepDefects(stepId) || [];
+        } catch (error) {
+            console.warn('Fehlercodes nicht verfügbar:', error);
+            return [];
+        }
+    }
+
+    renderChecklistDetails(checklist) {
+        if (!checklist || checklist.items.length === 0) return '';
+
+        const resultLabels = {
+            pass: '✅ Bestanden',
+            fail: '❌ Nicht bestanden',
+            na: 'N/A'
+        };
+
+        return `
+                <div class="detail-section">
+                    <h5>☑️ Prüf-Checkliste</h5>
+                    ${checklist.items.map(item => `
+                        <div class="detail-row">
+                            <span class="detail-label">${this.escapeHtml(item.stage)}:</span>
+                            <span class="detail-value${item.result ? '' : ' pending'}">
+                                ${item.result ? resultLabels[item.result] : '⏳ Offen'}${item.checkedBy ? ` (${this.escapeHtml(item.checkedBy)})` : ''}
+                            </span>
+                        </div>
+                    `).join('')}
+                </div>
+        `;
+    }
+
+    renderPhotoDetails(photos) {
+        if (photos.length === 0) return '';
+
+        return `
+                <div class="detail-section">
+                    <h5>📷 Fotos (${photos.length})</h5>
+                    <div class="qc-photo-strip">
+                        ${photos.map(photo => this.renderPhotoThumb(photo)).join('')}
+                    </div>
+                </div>
+        `;
+    }
+
+    // ===== ERGEBNIS-ETIKETT =====
+
+    async printLabel(stepId) {
+        try {
+            const result = await window.electronAPI.qualityControl.printLabel(stepId);
+
+            this.mainApp.showNotification(result.success ? 'success' : 'warning',
+                result.success ? 'Etikett gedruckt' : 'Etikett nicht gedruckt', result.message);
+        } catch (error) {
+            console.error('Fehler beim Etikettendruck:', error);
+            this.mainApp.showNotification('error', 'Etikett nicht gedruckt', error.message);
+        }
+    }
+
+    /**
+     * Ergebnis des automatischen Etikettendrucks nach dem Abschluss (nur Fehler melden)
+     */
+    handleLabelPrinted(data) {
+        if (data.success) return;
+
+        this.mainApp.showNotification('warning', 'Etikett nicht gedruckt',
+            `QC-Schritt ${data.stepId}: ${data.message} - über die Schritt-Details nachdrucken`, 10000);
+    }
+
+    // ===== FOTOS ALS FEHLERNACHWEIS =====
+
+    setupPhotoHandlers() {
+        document.getElementById('qcStepDetails').addEventListener('click', (e) => {
+            const thumb = e.target.closest('.qc-photo-thumb');
+            if (thumb) this.showPhoto(parseInt(thumb.dataset.photoId));
+        });
+
+        document.getElementById('qcPhotoModalClose').addEventListener('click', () => {
+            this.mainApp.hideModal('qcPhotoModal');
+        });
+    }
+
+    /**
+     * Lädt die Fotos eines QC-Schritts (leer offline oder ohne Schritt)
+     */
+    async loadPhotos(stepId) {
+        if (!stepId) return [];
+
+        try {
+            return await window.electronAPI.qualityControl.getPhotos(stepId) || [];
+        } catch (error) {
+            console.warn('Fotos nicht verfügbar:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Nimmt ein Standbild aus dem laufenden Scanner-Kamerastream auf und speichert es zum Schritt im Formular
+     */
+    async captureDefectPhoto() {
+        const form = this.qualityForm;
+        if (!form || !form.stepId) return;
+
+        const video = document.getElementById('scannerVideo');
+        if (!this.mainApp.scannerActive || !video.videoWidth || !video.videoHeight) {
+            this.mainApp.showNotification('warning', 'Kamera nicht aktiv', 'Bitte zuerst den Scanner starten, um ein Foto aufzunehmen');
+            return;
+        }
+
+        const captureButton = document.getElementById('qcQualityPhotoCapture');
+        captureButton.disabled = true;
+
+        try {
+            // Große Kamerabilder verkleinern, damit das Foto unter dem Größenlimit bleibt
+            const scale = Math.min(1, 1280 / video.videoWidth);
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(video.videoWidth * scale);
+            canvas.height = Math.round(video.videoHeight * scale);
+            canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+            if (!blob) {
+                throw new Error('Standbild konnte nicht erstellt werden');
+            }
+
+            const imageData = new Uint8Array(await blob.arrayBuffer());
+            const result = await window.electronAPI.qualityControl.addPhoto(form.sessionId, form.stepId, imageData, 'image/jpeg');
+
+            // Formular wurde während des Speicherns geschlossen
+            if (this.qualityForm !== form) return;
+
+            if (!result || !result.success) {
+                this.mainApp.showNotification('warning', 'Foto nicht gespeichert', result ? result.message : 'Unbekannter Fehler');
+                return;
+            }
+
+            this.renderPhotoStrip('qcQualityPhotos', await this.loadPhotos(form.stepId));
+            this.mainApp.showNotification('success', 'Foto gespeichert', result.message);
+        } catch (error) {
+            console.error('Fehler bei der Fotoaufnahme:', error);
+            this.mainApp.showNotification('error', 'Foto-Fehler', error.message);
+        } finally {
+            captureButton.disabled = false;
+        }
+    }
+
+    renderPhotoStrip(containerId, photos) {
+        document.getElementById(containerId).innerHTML = photos.map(photo => this.renderPhotoThumb(photo)).join('');
+    }
+
+    renderPhotoThumb(photo) {
+        if (!photo.thumbnailUrl) return '';
+
+        const title = [utils.formatTimestamp(photo.capturedAt), photo.capturedBy].filter(Boolean).join(' · ');
+
+        return `<img class="qc-photo-thumb" src="${photo.thumbnailUrl}" data-photo-id="${photo.id}"
+                     alt="QC-Foto" title="${this.escapeHtml(title)}">`;
+    }
+
+    /**
+     * Zeigt ein Foto in Originalgröße
+     */
+    async showPhoto(photoId) {
+        try {
+            const photo = await window.electronAPI.qualityControl.getPhoto(photoId);
+            if (!photo) {
+                this.mainApp.showNotification('error', 'Fehler', 'Foto nicht gefunden');
+                return;
+            }
+
+            document.getElementById('qcPhotoImage').src = photo.imageUrl;
+            document.getElementById('qcPhotoTitle').textContent =
+                `Foto vom ${utils.formatTimestamp(photo.capturedAt)}${photo.capturedBy ? ` (${photo.capturedBy})` : ''}`;
+            this.mainApp.showModal('qcPhotoModal');
+        } catch (error) {
+            console.error('Fehler beim Laden des Fotos:', error);
+            this.mainApp.showNotification('error', 'Fehler', 'Foto konnte nicht geladen werden');
+        }
+    }
+
     // ===== UTILITY METHODEN =====
 
+    /**
+     * Maskiert Freitext für die Ausgabe in HTML-Templates
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
     /**
      * Berechnet die Dauer eines QC-Schritts
      */
     calculateQCStepDuration(step) {
+        if (!step.StartTime) return '-';
+
         const startTime = new Date(step.StartTime);
         const endTime = step.EndTime ? new Date(step.EndTime) : new Date();
 
@@ -593,6 +1457,69 @@ class QualityControlManager {
         });
     }
 
+    // ===== ZEITÜBERWACHUNG (BACKEND) =====
+
+    /**
+     * QC-Schritt überschreitet die Warnschwelle (LongDurationThresholdMinutes)
+     * @param {Object} data - Ereignisdaten vom Timeout-Sweeper
+     */
+    handleLongDuration(data) {
+        this.longRunningSteps.add(data.stepId);
+
+        this.mainApp.showNotification('warning', 'Qualitätsprüfung läuft lange',
+            `${this.formatQRCode(data.qrCode)} wartet seit ${data.durationMinutes} min auf den Ausgang-Scan` +
+            `${data.userName ? ` (${data.userName})` : ''} - Abbruch nach ${data.timeoutMinutes} min`, 8000);
+
+        this.updateQCDisplay();
+    }
+
+    /**
+     * QC-Schritt wurde wegen Zeitüberschreitung abgebrochen oder zur Prüfung markiert
+     * @param {Object} data - Ereignisdaten vom Timeout-Sweeper ({ action: 'aborted'|'review', ... })
+     */
+    handleStepTimeout(data) {
+        const formattedQR = this.formatQRCode(data.qrCode);
+        const userInfo = data.userName ? ` (${data.userName})` : '';
+
+        this.longRunningSteps.delete(data.stepId);
+
+        if (data.action === 'aborted') {
+            this.stepChecklists.delete(data.stepId);
+
+            const activeSteps = this.activeQCSteps.get(data.sessionId);
+            if (activeSteps && activeSteps.delete(data.stepId)) {
+                const counters = this.qcStepCounters.get(data.sessionId);
+                if (counters) {
+                    counters.active = Math.max(0, counters.active - 1);
+                }
+            }
+
+            // Wartet die Session noch auf den Ausgang-Scan dieses Pakets → zurücksetzen
+            const scanState = this.scanStates.get(data.sessionId);
+            if (scanState && scanState.currentQRCode === data.qrCode) {
+                scanState.expectedScan = this.getInitialExpectedScan();
+                scanState.currentQRCode = null;
+                scanState.lastScanTime = new Date();
+            }
+
+            // Formular schließen - auch wenn der Ausgang in einer anderen Session erfasst wird
+            if (this.qualityForm && this.qualityForm.qrData === data.qrCode &&
+                (this.qualityForm.sessionId === data.sessionId || this.qualityForm.stepId === data.stepId)) {
+                this.closeQualityForm(null, 'timeout');
+            }
+
+            this.mainApp.showNotification('error', 'Qualitätsprüfung abgebrochen',
+                `${formattedQR}${userInfo}: kein Ausgang-Scan nach ${data.durationMinutes} min`, 10000);
+
+            this.updateScanStatusIndicator();
+        } else {
+            this.mainApp.showNotification('warning', 'Qualitätsprüfung zur Prüfung markiert',
+                `${formattedQR}${userInfo}: kein Ausgang-Scan nach ${data.durationMinutes} min`, 10000);
+        }
+
+        this.updateQCDisplay();
+    }
+
     // ===== SESSION MANAGEMENT INTEGRATION =====
 
     /**
@@ -621,7 +1548,7 @@ class QualityControlManager {
         // QC-Tracking zurücksetzen aber nicht löschen
         const scanState = this.scanStates.get(sessionData.sessionId);
         if (scanState) {
-            scanState.expectedScan = 'eingang';
+            scanState.expectedScan = this.getInitialExpectedScan();
             scanState.currentQRCode = null;
             scanState.lastScanTime = new Date();
         }
@@ -0,0 +1,295 @@
+/**
+ * Schichtleitungs-Dashboard - Live-Übersicht aller Stationen
+ * Die Daten kommen als Snapshot vom Main-Prozess ('supervisor-dashboard-updated'),
+ * lokal werden nur Uhr und Laufzeiten der QC-Schritte sekündlich fortgeschrieben.
+ */
+
+class SupervisorDashboardApp {
+    constructor() {
+        this.snapshot = null;
+        this.receivedAt = 0; // Zeitpunkt des letzten Snapshots (lokale Uhr)
+
+        this.init();
+    }
+
+    async init() {
+        console.log('📊 Schichtleitungs-Dashboard wird initialisiert...');
+
+        window.electronAPI.on('supervisor-dashboard-updated', (snapshot) => {
+            this.applySnapshot(snapshot);
+        });
+
+        // Erster Stand bis zum nächsten Push
+        try {
+            const snapshot = await window.electronAPI.supervisor.getDashboard();
+            if (snapshot && !this.snapshot) {
+                this.applySnapshot(snapshot);
+            }
+        } catch (error) {
+            console.error('Dashboard-Daten konnten nicht geladen werden:', error);
+        }
+
+        this.startTicker();
+    }
+
+    // ===== SNAPSHOT =====
+
+    applySnapshot(snapshot) {
+        this.snapshot = snapshot;
+        this.receivedAt = Date.now();
+
+        if (!snapshot.available) {
+            this.updateStatus('error', `Keine Daten: ${snapshot.reason || 'unbekannt'}`);
+            this.updateLastUpdate(snapshot.timestamp);
+            return;
+        }
+
+        this.updateStatus('active', 'Live');
+        this.renderKpis(snapshot.overview);
+        this.renderActiveSteps();
+        this.renderSessions(snapshot.sessions);
+        this.renderDefects(snapshot.defectsToday);
+        this.renderReworkQueue(snapshot.reworkQueue);
+        this.renderHourlyChart(snapshot.hourly);
+        this.renderPerformance(snapshot.performance);
+        this.updateLastUpdate(snapshot.timestamp);
+    }
+
+    startTicker() {
+        const tick = () => {
+            document.getElementById('currentTime').textContent = utils.formatTimestamp(new Date(), 'time');
+
+            if (this.snapshot && this.snapshot.available) {
+                this.updateLiveDurations();
+            }
+        };
+
+        tick();
+        setInterval(tick, 1000);
+    }
+
+    // ===== KENNZAHLEN =====
+
+    renderKpis(overview) {
+        const values = {
+            kpiActiveUsers: overview.activeUsers,
+            kpiActiveSessions: overview.activeSessions,
+            kpiActiveSteps: overview.activeQCSteps,
+            kpiOverThreshold: overview.overThresholdSteps,
+            kpiCompletedToday: overview.completedQCStepsToday,
+            kpiDefectsToday: overview.defectsToday,
+            kpiOpenRework: overview.openRework
+        };
+
+        for (const [id, value] of Object.entries(values)) {
+            document.getElementById(id).textContent = value !== undefined && value !== null ? value : '-';
+        }
+
+        document.getElementById('kpiOverThreshold').parentElement
+            .classList.toggle('alert', overview.overThresholdSteps > 0);
+    }
+
+    // ===== LAUFENDE QC-SCHRITTE =====
+
+    renderActiveSteps() {
+        const tbody = document.getElementById('activeStepsTable');
+        const steps = [...this.snapshot.activeSteps].sort((a, b) => b.durationSeconds - a.durationSeconds);
+
+        if (steps.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="supervisor-empty">Keine laufenden QC-Schritte</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = steps.map(step => `
+            <tr class="${this.getStepRowClass(step, step.durationSeconds)}" data-step-id="${step.stepId}">
+                <td class="supervisor-duration" data-duration="${step.durationSeconds}">${utils.formatDuration(step.durationSeconds)}</td>
+                <td>${this.escapeHtml(step.userName || `Benutzer ${step.userId}`)}</td>
+                <td class="supervisor-qr" title="${this.escapeHtml(step.qrCode)}">${this.escapeHtml(this.formatQRCode(step.qrCode))}</td>
+                <td>${this.escapeHtml(step.sessionType || '-')}</td>
+                <td>${step.thresholdMinutes !== null ? `${step.thresholdMinutes} min` : '-'}</td>
+                <td class="supervisor-step-status">${this.getStepStatusText(step, step.durationSeconds)}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Laufzeiten seit dem letzten Snapshot fortschreiben (ohne neue Abfrage)
+     */
+    updateLiveDurations() {
+        const elapsedSeconds = Math.floor((Date.now() - this.receivedAt) / 1000);
+        const stepsById = new Map(this.snapshot.activeSteps.map(step => [String(step.stepId), step]));
+
+        document.querySelectorAll('#activeStepsTable tr[data-step-id]').forEach(row => {
+            const step = stepsById.get(row.dataset.stepId);
+            if (!step) return;
+
+            const seconds = step.durationSeconds + elapsedSeconds;
+
+            row.querySelector('.supervisor-duration').textContent = utils.formatDuration(seconds);
+            row.querySelector('.supervisor-step-status').textContent = this.getStepStatusText(step, seconds);
+            row.className = this.getStepRowClass(step, seconds);
+        });
+    }
+
+    isOverThreshold(step, seconds) {
+        return step.thresholdMinutes !== null && seconds >= step.thresholdMinutes * 60;
+    }
+
+    getStepRowClass(step, seconds) {
+        if (step.reviewRequired) return 'review';
+        return this.isOverThreshold(step, seconds) ? 'overdue' : '';
+    }
+
+    getStepStatusText(step, seconds) {
+        if (step.reviewRequired) return '🔎 Prüfung erforderlich';
+        if (step.timeoutMinutes !== null && seconds >= step.timeoutMinutes * 60) return '⏰ Timeout';
+        if (this.isOverThreshold(step, seconds)) return '⚠️ Über Schwelle';
+        return '⏳ Läuft';
+    }
+
+    // ===== SESSIONS =====
+
+    renderSessions(sessions) {
+        const tbody = document.getElementById('sessionsTable');
+
+        if (!sessions || sessions.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="supervisor-empty">Keine aktiven Sessions</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = sessions.map(session => `
+            <tr class="${session.overThresholdSteps > 0 ? 'overdue' : ''}">
+                <td>${this.escapeHtml(session.userName || `Benutzer ${session.userId}`)}</td>
+                <td>${utils.formatTimestamp(session.startTime, 'time')}</td>
+                <td>${session.scanCount || 0}</td>
+                <td>${session.activeQCSteps}${session.overThresholdSteps > 0 ? ` <span class="supervisor-badge overdue">${session.overThresholdSteps} ⚠️</span>` : ''}</td>
+            </tr>
+        `).join('');
+    }
+
+    // ===== FEHLERBEFUNDE =====
+
+    renderDefects(defects) {
+        const container = document.getElementById('defectsList');
+
+        if (!defects || defects.length === 0) {
+            container.innerHTML = '<div class="supervisor-empty">Heute keine Fehler gemeldet</div>';
+            return;
+        }
+
+        container.innerHTML = defects.map(defect => `
+            <div class="supervisor-defect">
+                <div class="supervisor-defect-header">
+                    <span class="supervisor-defect-time">${utils.formatTimestamp(defect.EndTime, 'time')}</span>
+                    <span>${this.escapeHtml(defect.UserName || '-')}</span>
+                    ${defect.ReworkRequired ? '<span class="supervisor-badge review">🔧 Nacharbeit</span>' : ''}
+                </div>
+                <div class="supervisor-qr" title="${this.escapeHtml(defect.QrCode)}">${this.escapeHtml(this.formatQRCode(defect.QrCode))}</div>
+                <div class="supervisor-defect-text">${this.escapeHtml(defect.DefectDescription || 'Ohne Beschreibung')}</div>
+            </div>
+        `).join('');
+    }
+
+    // ===== NACHARBEIT =====
+
+    renderReworkQueue(queue) {
+        const tbody = document.getElementById('reworkQueueTable');
+
+        if (!queue || queue.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="supervisor-empty">Keine Pakete in der Nacharbeit</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = queue.map(step => `
+            <tr class="${step.ReworkStatus === 'reinspection' ? '' : 'review'}">
+                <td>${utils.formatDuration((step.WaitingMinutes || 0) * 60)}</td>
+                <td class="supervisor-qr" title="${this.escapeHtml(step.QrCode)}">${this.escapeHtml(this.formatQRCode(step.QrCode))}</td>
+                <td>${step.ReworkPass}</td>
+                <td>${step.ReworkStatus === 'reinspection' ? '🔍 In Nachprüfung' : '🔧 Wartet'}</td>
+            </tr>
+        `).join('');
+    }
+
+    // ===== DURCHSATZ =====
+
+    renderHourlyChart(hourly) {
+        const container = document.getElementById('hourlyChart');
+
+        // Nur Stunden mit Aktivität plus die aktuelle Stunde anzeigen
+        const currentHour = new Date().getHours();
+        const activeHours = hourly.filter(entry => entry.completedSteps > 0 || entry.scans > 0 || entry.hour === currentHour);
+
+        if (activeHours.length === 0) {
+            container.innerHTML = '<div class="supervisor-empty">Heute noch keine Aktivität</div>';
+            return;
+        }
+
+        const firstHour = Math.min(...activeHours.map(entry => entry.hour));
+        const lastHour = Math.max(...activeHours.map(entry => entry.hour));
+        const hours = hourly.filter(entry => entry.hour >= firstHour && entry.hour <= lastHour);
+
+        const maxValue = Math.max(1, ...hours.map(entry => Math.max(entry.completedSteps, entry.scans)));
+        const toHeight = (value) => `${Math.round(value / maxValue * 100)}%`;
+
+        container.innerHTML = hours.map(entry => `
+            <div class="chart-column ${entry.hour === currentHour ? 'current' : ''}"
+                 title="${entry.label}: ${entry.completedSteps} QC abgeschlossen, ${entry.defectSteps} mit Fehlern, ${entry.scans} Scans">
+                <div class="chart-bars">
+                    <div class="chart-bar completed" style="height: ${toHeight(entry.completedSteps)}">
+                        <div class="chart-bar defects" style="height: ${entry.completedSteps > 0 ? Math.round(entry.defectSteps / entry.completedSteps * 100) : 0}%"></div>
+                    </div>
+                    <div class="chart-bar scans" style="height: ${toHeight(entry.scans)}"></div>
+                </div>
+                <div class="chart-value">${entry.completedSteps}</div>
+                <div class="chart-label">${entry.label}</div>
+            </div>
+        `).join('');
+    }
+
+    // ===== QC-LEISTUNG =====
+
+    renderPerformance(performance) {
+        const tbody = document.getElementById('performanceTable');
+
+        if (!performance || performance.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="3" class="supervisor-empty">Noch keine QC-Schritte heute</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = performance.map(user => `
+            <tr>
+                <td>${this.escapeHtml(user.UserName || `Benutzer ${user.UserID}`)}</td>
+                <td>${user.CompletedSteps || 0}</td>
+                <td>${user.AvgDurationSeconds ? utils.formatDuration(user.AvgDurationSeconds) : '-'}</td>
+            </tr>
+        `).join('');
+    }
+
+    // ===== HILFSFUNKTIONEN =====
+
+    updateStatus(status, message) {
+        document.querySelector('#dashboardStatus .status-dot').className = `status-dot ${status}`;
+        document.querySelector('#dashboardStatus .status-text').textContent = message;
+    }
+
+    updateLastUpdate(timestamp) {
+        document.getElementById('lastUpdateText').textContent =
+            `Stand: ${utils.formatTimestamp(timestamp || new Date(), 'time')}`;
+    }
+
+    formatQRCode(qrCode) {
+        if (!qrCode) return '-';
+        return qrCode.length > 30 ? qrCode.substring(0, 30) + '...' : qrCode;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+}
+
+// ===== APP INITIALIZATION =====
+document.addEventListener('DOMContentLoaded', () => {
+    window.supervisorDashboardApp = new SupervisorDashboardApp();
+});
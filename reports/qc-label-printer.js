@@ -0,0 +1,382 @@
+/**
+ * QCLabelPrinter - Ergebnis-Etikett eines abgeschlossenen QC-Schritts
+ *
+ * Das Etikett enthält den QR-Code des Pakets, Auftrags- und Paketnummer aus dem
+ * dekodierten QR-Code, das QC-Ergebnis, den Prüfer und den Zeitpunkt. Es wird als
+ * ZPL erzeugt und entweder per Raw-TCP (Port 9100) an einen Zebra-Netzwerkdrucker
+ * geschickt oder als .zpl-Datei in einem Spool-Ordner abgelegt. Optional wird
+ * zusätzlich ein PDF im Spool-Ordner gespeichert; dafür liefert der Printer eine
+ * HTML-Seite in Etikettengröße, die der Main-Prozess mit printToPDF umwandelt.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const timeUtils = require('../utils/time-utils');
+const QRParserRegistry = require('../qr/qr-parser-registry');
+const { createQRMatrix } = require('./qr-matrix');
+
+const MODES = ['off', 'tcp', 'spool'];
+const DEFAULT_PORT = 9100;
+const MM_PER_INCH = 25.4;
+
+const RESULT_LABELS = {
+    ok: 'OK',
+    defect: 'FEHLER',
+    rework: 'NACHARBEIT'
+};
+
+class QCLabelPrinter {
+    constructor(options = {}) {
+        this.mode = QCLabelPrinter.parseMode(options.mode || process.env.QC_LABEL_MODE || 'off');
+        this.host = options.host || process.env.QC_LABEL_PRINTER_HOST || null;
+        this.port = options.port || parseInt(process.env.QC_LABEL_PRINTER_PORT) || DEFAULT_PORT;
+        this.spoolDir = options.spoolDir || process.env.QC_LABEL_SPOOL_DIR || null;
+        this.autoPrint = options.autoPrint !== undefined ? options.autoPrint : process.env.QC_LABEL_AUTO_PRINT !== 'false';
+        this.savePDF = options.savePDF !== undefined ? options.savePDF : process.env.QC_LABEL_PDF === 'true';
+        this.timeoutMs = options.timeoutMs || parseInt(process.env.QC_LABEL_TIMEOUT_MS) || 5000;
+
+        // Etikettengröße und Druckerauflösung
+        this.widthMm = options.widthMm || parseInt(process.env.QC_LABEL_WIDTH_MM) || 100;
+        this.heightMm = options.heightMm || parseInt(process.env.QC_LABEL_HEIGHT_MM) || 60;
+        this.dpi = options.dpi || parseInt(process.env.QC_LABEL_DPI) || 203;
+
+        // PDF-Erzeugung läuft im Main-Prozess
+        this.renderPDF = options.renderPDF || null;
+
+        this.printedCount = 0;
+        this.lastError = null;
+        this.lastPrintedAt = null;
+    }
+
+    static parseMode(mode) {
+        const normalized = String(mode).trim().toLowerCase();
+
+        if (!MODES.includes(normalized)) {
+            console.warn(`⚠️ Unbekannter Etiketten-Modus "${mode}" - Etikettendruck deaktiviert`);
+            return 'off';
+        }
+
+        return normalized;
+    }
+
+    isEnabled() {
+        return this.mode !== 'off';
+    }
+
+    // ===== ETIKETT =====
+
+    /**
+     * Etikett-Daten aus dem abgeschlossenen QC-Schritt
+     * @param {Object} step - QC-Schritt (QrCode, EndTime, DefectsFound, ReworkRequired, ...)
+     * @param {Object} context - { inspector, station }
+     * @returns {Object} - Felder des Etiketts
+     */
+    buildLabelData(step, context = {}) {
+        const fields = this.decodeFields(step.QrCode);
+
+        let result = 'ok';
+        if (step.ReworkRequired) {
+            result = 'rework';
+        } else if (step.DefectsFound) {
+            result = 'defect';
+        }
+
+        return {
+            stepId: step.ID,
+            qrCode: step.QrCode,
+            orderNumber: fields.auftrags_nr ? String(fields.auftrags_nr) : null,
+            packageNumber: fields.paket_nr ? String(fields.paket_nr) : null,
+            result,
+            resultLabel: RESULT_LABELS[result],
+            rating: step.QualityRating || null,
+            defectDescription: step.DefectDescription || null,
+            reworkCycle: step.ReworkCycle || 0,
+            inspector: context.inspector || null,
+            station: context.station || step.EndStation || null,
+            timestamp: timeUtils.formatTimestamp(step.EndTime || new Date(), 'datetime')
+        };
+    }
+
+    decodeFields(qrCode) {
+        try {
+            return QRParserRegistry.getShared().parse(qrCode).fields || {};
+        } catch (error) {
+            console.warn('QR-Code für Etikett konnte nicht dekodiert werden:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Textzeilen unter dem Ergebnis (für ZPL und PDF gleich)
+     */
+    getInfoLines(label) {
+        const lines = [];
+
+        if (label.orderNumber) lines.push(`Auftrag: ${label.orderNumber}`);
+        if (label.packageNumber) lines.push(`Paket: ${label.packageNumber}`);
+        if (label.rating) lines.push(`Bewertung: ${label.rating}/5`);
+        if (label.defectDescription) lines.push(`Fehler: ${this.truncate(label.defectDescription, 40)}`);
+        if (label.reworkCycle > 0) lines.push(`Nachprüfung ${label.reworkCycle}`);
+        lines.push(`Prüfer: ${label.inspector || '-'}`);
+        lines.push(label.station ? `${label.timestamp} · ${label.station}` : label.timestamp);
+
+        return lines;
+    }
+
+    /**
+     * ZPL II für Zebra-Drucker (UTF-8, QR-Code mit ^BQ)
+     * @param {Object} label - Ergebnis von buildLabelData
+     * @returns {string}
+     */
+    buildZPL(label) {
+        const dots = (mm) => Math.round(mm / MM_PER_INCH * this.dpi);
+        const width = dots(this.widthMm);
+        const height = dots(this.heightMm);
+        const margin = dots(3);
+
+        // QR-Code links in voller Etikettenhöhe, Text rechts daneben
+        const qrSize = height - 2 * margin;
+        const magnification = Math.max(1, Math.min(10, Math.floor(qrSize / this.estimateQRModules(label.qrCode))));
+        const textLeft = margin + qrSize + margin;
+        const lineHeight = dots(4.5);
+
+        const zpl = [
+            '^XA',
+            '^CI28',
+            `^PW${width}`,
+            `^LL${height}`,
+            `^FO${margin},${margin}^BQN,2,${magnification}^FH^FDMA,${this.escapeZPL(label.qrCode)}^FS`
+        ];
+
+        // Fehler und Nacharbeit invertiert (weiße Schrift auf schwarzem Balken)
+        let resultField = `^FO${textLeft},${margin}`;
+        if (label.result !== 'ok') {
+            zpl.push(`^FO${textLeft},${margin}^GB${width - textLeft - margin},${dots(9)},${dots(9)}^FS`);
+            resultField += '^FR';
+        }
+        zpl.push(`${resultField}^A0N,${dots(8)},${dots(8)}^FH^FD${this.escapeZPL(label.resultLabel)}^FS`);
+
+        this.getInfoLines(label).forEach((line, index) => {
+            const top = margin + dots(12) + index * lineHeight;
+            zpl.push(`^FO${textLeft},${top}^A0N,${dots(3.5)},${dots(3.5)}^FB${width - textLeft - margin},1,0,L^FH^FD${this.escapeZPL(line)}^FS`);
+        });
+
+        zpl.push(`^FO${textLeft},${height - margin - dots(3)}^A0N,${dots(2.5)},${dots(2.5)}^FH^FDQC ${this.escapeZPL(label.stepId)}^FS`);
+        zpl.push('^XZ');
+
+        return zpl.join('\n') + '\n';
+    }
+
+    /**
+     * Modulanzahl des QR-Codes (für die Vergrößerung im ZPL), mit Ruhezone
+     */
+    estimateQRModules(qrCode) {
+        try {
+            return createQRMatrix(qrCode).length + 8;
+        } catch (error) {
+            return 101;
+        }
+    }
+
+    /**
+     * Feldinhalt mit ^FH-Hex-Escapes für die ZPL-Steuerzeichen (^, ~, _)
+     */
+    escapeZPL(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/[\r\n]+/g, ' ')
+            .replace(/[_^~]/g, char => `_${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    }
+
+    /**
+     * HTML in Etikettengröße für printToPDF (QR-Code als SVG)
+     * @param {Object} label - Ergebnis von buildLabelData
+     * @returns {string}
+     */
+    buildHTML(label) {
+        const qrSize = this.heightMm - 6;
+
+        return `<!DOCTYPE html>
+<html lang="de">
+<head>
+<meta charset="UTF-8">
+<title>QC ${this.escapeHtml(label.stepId)}</title>
+<style>
+    @page { size: ${this.widthMm}mm ${this.heightMm}mm; margin: 0; }
+    body { margin: 0; font-family: Arial, Helvetica, sans-serif; color: #000; }
+    .label { display: flex; gap: 3mm; padding: 3mm; width: ${this.widthMm}mm; height: ${this.heightMm}mm; box-sizing: border-box; }
+    .qr { width: ${qrSize}mm; height: ${qrSize}mm; flex: none; }
+    .info { flex: 1; min-width: 0; font-size: 9pt; line-height: 1.35; }
+    .result { font-size: 22pt; font-weight: bold; margin-bottom: 1.5mm; padding: 0 1mm; }
+    .result.defect, .result.rework { background: #000; color: #fff; }
+    .line { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .step { font-size: 7pt; margin-top: 1mm; }
+</style>
+</head>
+<body>
+<div class="label">
+    ${this.buildQRSvg(label.qrCode, qrSize)}
+    <div class="info">
+        <div class="result ${label.result}">${this.escapeHtml(label.resultLabel)}</div>
+        ${this.getInfoLines(label).map(line => `<div class="line">${this.escapeHtml(line)}</div>`).join('')}
+        <div class="step">QC ${this.escapeHtml(label.stepId)}</div>
+    </div>
+</div>
+</body>
+</html>`;
+    }
+
+    buildQRSvg(qrCode, sizeMm) {
+        const matrix = createQRMatrix(qrCode);
+        const size = matrix.length + 8;
+        const segments = [];
+
+        matrix.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) segments.push(`M${x + 4} ${y + 4}h1v1h-1z`);
+        }));
+
+        return `<svg class="qr" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${sizeMm}mm" height="${sizeMm}mm" shape-rendering="crispEdges"><rect width="${size}" height="${size}" fill="#fff"/><path d="${segments.join('')}" fill="#000"/></svg>`;
+    }
+
+    // ===== DRUCK =====
+
+    /**
+     * Etikett erzeugen und ausgeben (Drucker oder Spool-Ordner, optional PDF)
+     * @param {Object} step - Abgeschlossener QC-Schritt
+     * @param {Object} context - { inspector, station }
+     * @returns {Promise<Object>} - { success, type, message, target, files }
+     */
+    async printLabel(step, context = {}) {
+        if (!this.isEnabled()) {
+            return { success: false, type: 'disabled', message: 'Etikettendruck ist nicht konfiguriert (QC_LABEL_MODE)', target: null, files: [] };
+        }
+
+        if (!step || !step.QrCode) {
+            return { success: false, type: 'invalid_step', message: 'QC-Schritt ohne QR-Code', target: null, files: [] };
+        }
+
+        try {
+            const label = this.buildLabelData(step, context);
+            const zpl = this.buildZPL(label);
+            const baseName = this.getFileBaseName(label);
+            const files = [];
+            let target;
+
+            if (this.mode === 'tcp') {
+                await this.sendToPrinter(zpl);
+                target = `${this.host}:${this.port}`;
+            } else {
+                files.push(await this.writeSpoolFile(`${baseName}.zpl`, zpl));
+                target = this.spoolDir;
+            }
+
+            if (this.savePDF && this.renderPDF) {
+                const pdf = await this.renderPDF(this.buildHTML(label), {
+                    width: this.widthMm / MM_PER_INCH,
+                    height: this.heightMm / MM_PER_INCH
+                });
+                files.push(await this.writeSpoolFile(`${baseName}.pdf`, pdf));
+            }
+
+            this.printedCount++;
+            this.lastPrintedAt = new Date().toISOString();
+            this.lastError = null;
+
+            console.log(`🏷️ QC-Etikett für Schritt ${label.stepId} ausgegeben (${this.mode}: ${target})`);
+
+            return {
+                success: true,
+                type: this.mode === 'tcp' ? 'printed' : 'spooled',
+                message: this.mode === 'tcp' ? `Etikett an ${target} gesendet` : `Etikett abgelegt: ${path.basename(files[0])}`,
+                target,
+                files
+            };
+
+        } catch (error) {
+            this.lastError = error.message;
+            console.error('Fehler beim Etikettendruck:', error);
+
+            return { success: false, type: 'print_failed', message: `Etikett konnte nicht gedruckt werden: ${error.message}`, target: null, files: [] };
+        }
+    }
+
+    /**
+     * ZPL per Raw-TCP an den Drucker (Port 9100)
+     * @param {string} zpl - Etikett
+     * @returns {Promise<void>}
+     */
+    sendToPrinter(zpl) {
+        if (!this.host) {
+            return Promise.reject(new Error('Kein Etikettendrucker konfiguriert (QC_LABEL_PRINTER_HOST)'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            let settled = false;
+
+            const finish = (error) => {
+                if (settled) return;
+                settled = true;
+                socket.destroy();
+                error ? reject(error) : resolve();
+            };
+
+            socket.setTimeout(this.timeoutMs, () => {
+                finish(new Error(`Drucker ${this.host}:${this.port} antwortet nicht (Timeout)`));
+            });
+            socket.on('error', finish);
+            socket.on('connect', () => {
+                socket.end(Buffer.from(zpl, 'utf8'), () => finish());
+            });
+        });
+    }
+
+    async writeSpoolFile(fileName, content) {
+        if (!this.spoolDir) {
+            throw new Error('Kein Spool-Ordner konfiguriert (QC_LABEL_SPOOL_DIR)');
+        }
+
+        await fs.promises.mkdir(this.spoolDir, { recursive: true });
+
+        const filePath = path.join(this.spoolDir, fileName);
+        await fs.promises.writeFile(filePath, content);
+
+        return filePath;
+    }
+
+    getFileBaseName(label) {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '').replace('T', '-');
+        return `QC-${String(label.stepId).replace(/[^A-Za-z0-9-]/g, '_')}-${stamp}`;
+    }
+
+    // ===== HILFSFUNKTIONEN =====
+
+    truncate(text, length) {
+        const value = String(text);
+        return value.length > length ? `${value.substring(0, length - 1)}…` : value;
+    }
+
+    escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    getStatus() {
+        return {
+            mode: this.mode,
+            target: this.mode === 'tcp' ? (this.host ? `${this.host}:${this.port}` : null) : this.mode === 'spool' ? this.spoolDir : null,
+            autoPrint: this.isEnabled() && this.autoPrint,
+            savePDF: this.savePDF,
+            printedCount: this.printedCount,
+            lastPrintedAt: this.lastPrintedAt,
+            lastError: this.lastError
+        };
+    }
+}
+
+QCLabelPrinter.MODES = MODES;
+
+module.exports = QCLabelPrinter;
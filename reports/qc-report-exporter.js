@@ -0,0 +1,632 @@
+/**
+ * QCReportExporter - QC-Berichte für einen Zeitraum als CSV, XLSX oder PDF
+ *
+ * Die Zahlen kommen aus QualityControlQueries.generateQCReport (Zusammenfassung,
+ * Tage, Mitarbeiter) und getQCStepsForReport (einzelne QC-Schritte mit Dauer,
+ * Fehlern und Nacharbeit). Die Fehler-Pareto-Auswertungen (nach Fehlercode,
+ * Mitarbeiter, Lieferant und Tag) kommen aus getDefectPareto. Fotos zu QC-Schritten erscheinen als Anzahl in
+ * CSV/XLSX und als Vorschaubilder im PDF. CSV und XLSX werden hier erzeugt, für PDF liefert
+ * der Exporter eine druckfertige HTML-Seite, die der Main-Prozess mit
+ * printToPDF umwandelt.
+ */
+
+const timeUtils = require('../utils/time-utils');
+const QualityControlLogic = require('../logic/quality-control-logic');
+const { createWorkbook } = require('./xlsx-writer');
+
+const FORMATS = {
+    csv: { extension: 'csv', filterName: 'CSV (Excel, Semikolon)' },
+    xlsx: { extension: 'xlsx', filterName: 'Excel-Arbeitsmappe' },
+    pdf: { extension: 'pdf', filterName: 'PDF-Dokument' }
+};
+
+// Maximaler Zeitraum eines Berichts (Tage)
+const MAX_PERIOD_DAYS = parseInt(process.env.QC_REPORT_MAX_DAYS) || 366;
+
+// Maximale Anzahl Foto-Vorschaubilder im PDF
+const MAX_REPORT_PHOTOS = parseInt(process.env.QC_REPORT_MAX_PHOTOS) || 200;
+
+const SUMMARY_ROWS = [
+    { label: 'QC-Schritte gesamt', key: 'TotalSteps' },
+    { label: 'Abgeschlossen', key: 'CompletedSteps' },
+    { label: 'Aktiv', key: 'ActiveSteps' },
+    { label: 'Abgebrochen', key: 'AbortedSteps' },
+    { label: 'Mit Fehlern', key: 'DefectSteps' },
+    { label: 'Fehlerquote (%)', key: 'DefectRate' },
+    { label: 'Nacharbeit', key: 'ReworkSteps' },
+    { label: 'Nacharbeitsquote (%)', key: 'ReworkRate' },
+    { label: 'First-Pass-Yield (%)', key: 'FirstPassYield' },
+    { label: 'Nachprüfungen', key: 'ReinspectionSteps' },
+    { label: 'Offene Nacharbeit', key: 'OpenReworkSteps' },
+    { label: 'Ø Nacharbeits-Durchlaufzeit', key: 'AvgReworkCycleSeconds', duration: true },
+    { label: 'Längste Nacharbeits-Durchlaufzeit', key: 'MaxReworkCycleSeconds', duration: true },
+    { label: 'Ø Bewertung (1-5)', key: 'AvgQualityRating', decimals: 2 },
+    { label: 'Ø Dauer', key: 'AvgDurationSeconds', duration: true },
+    { label: 'Kürzeste Dauer', key: 'MinDurationSeconds', duration: true },
+    { label: 'Längste Dauer', key: 'MaxDurationSeconds', duration: true },
+    { label: 'Mitarbeiter', key: 'UniqueUsers' },
+    { label: 'Sessions', key: 'UniqueSessions' },
+    { label: 'Verschiedene QR-Codes', key: 'UniqueQRCodes' }
+];
+
+const DAILY_COLUMNS = [
+    { header: 'Datum', key: 'Date', width: 12 },
+    { header: 'QC-Schritte', key: 'TotalSteps', width: 12 },
+    { header: 'Abgeschlossen', key: 'CompletedSteps', width: 14 },
+    { header: 'Mit Fehlern', key: 'DefectSteps', width: 12 },
+    { header: 'Fehlerquote (%)', key: 'DefectRate', width: 15 },
+    { header: 'Nacharbeit', key: 'ReworkSteps', width: 12 },
+    { header: 'Ø Dauer', key: 'AvgDuration', width: 12 },
+    { header: 'Mitarbeiter', key: 'ActiveUsers', width: 12 }
+];
+
+const USER_COLUMNS = [
+    { header: 'Mitarbeiter', key: 'UserName', width: 24 },
+    { header: 'Abteilung', key: 'Department', width: 18 },
+    { header: 'QC-Schritte', key: 'TotalSteps', width: 12 },
+    { header: 'Abgeschlossen', key: 'CompletedSteps', width: 14 },
+    { header: 'Mit Fehlern', key: 'DefectSteps', width: 12 },
+    { header: 'Fehlerquote (%)', key: 'DefectRate', width: 15 },
+    { header: 'Nacharbeit', key: 'ReworkSteps', width: 12 },
+    { header: 'Ø Dauer', key: 'AvgDuration', width: 12 }
+];
+
+const STEP_COLUMNS = [
+    { header: 'ID', key: 'ID', width: 8 },
+    { header: 'Start', key: 'Start', width: 20 },
+    { header: 'Ende', key: 'End', width: 20 },
+    { header: 'Status', key: 'Status', width: 14 },
+    { header: 'Dauer', key: 'Duration', width: 10 },
+    { header: 'Dauer (s)', key: 'DurationSeconds', width: 10 },
+    { header: 'Mitarbeiter', key: 'UserName', width: 20 },
+    { header: 'Abteilung', key: 'Department', width: 16 },
+    { header: 'SessionType', key: 'SessionTypeName', width: 18 },
+    { header: 'QR-Code', key: 'QrCode', width: 36 },
+    { header: 'Charge', key: 'BatchNumber', width: 14 },
+    { header: 'Bewertung', key: 'QualityRating', width: 10 },
+    { header: 'Fehler', key: 'Defects', width: 8 },
+    { header: 'Fehlerbeschreibung', key: 'DefectDescription', width: 40 },
+    { header: 'Nacharbeit', key: 'Rework', width: 10 },
+    { header: 'Nachprüfung von', key: 'ParentStepID', width: 16 },
+    { header: 'Durchlauf', key: 'ReworkCycle', width: 10 },
+    { header: 'Fotos', key: 'PhotoCount', width: 8 },
+    { header: 'Notizen', key: 'QualityNotes', width: 40 }
+];
+
+const PARETO_VALUE_COLUMNS = [
+    { header: 'Anzahl', key: 'DefectCount', width: 10 },
+    { header: 'QC-Schritte', key: 'StepCount', width: 12 },
+    { header: 'Kritisch', key: 'CriticalCount', width: 10 },
+    { header: 'Anteil (%)', key: 'Percent', width: 12 },
+    { header: 'Kumuliert (%)', key: 'CumulativePercent', width: 14 }
+];
+
+// Fehler-Pareto je Dimension (siehe QualityControlQueries.getDefectPareto)
+const PARETO_SECTIONS = [
+    {
+        dimension: 'code',
+        title: 'Fehler nach Code',
+        columns: [
+            { header: 'Fehlercode', key: 'Label', width: 14 },
+            { header: 'Beschreibung', key: 'Description', width: 36 },
+            { header: 'Kategorie', key: 'Category', width: 18 },
+            { header: 'Schweregrad', key: 'Severity', width: 12 },
+            ...PARETO_VALUE_COLUMNS
+        ]
+    },
+    {
+        dimension: 'user',
+        title: 'Fehler nach Mitarbeiter',
+        columns: [{ header: 'Mitarbeiter', key: 'Label', width: 24 }, ...PARETO_VALUE_COLUMNS]
+    },
+    {
+        dimension: 'supplier',
+        title: 'Fehler nach Lieferant',
+        columns: [{ header: 'Lieferant', key: 'Label', width: 24 }, ...PARETO_VALUE_COLUMNS]
+    },
+    {
+        dimension: 'day',
+        title: 'Fehler nach Tag',
+        columns: [{ header: 'Datum', key: 'Label', width: 12 }, ...PARETO_VALUE_COLUMNS]
+    }
+];
+
+// Zeilen je Pareto-Tabelle im PDF
+const PDF_PARETO_ROWS = 15;
+
+const SEVERITY_LABELS = {
+    minor: 'Gering',
+    major: 'Schwer',
+    critical: 'Kritisch'
+};
+
+const STATUS_LABELS = {
+    active: 'Aktiv',
+    completed: 'Abgeschlossen',
+    aborted: 'Abgebrochen'
+};
+
+class QCReportExporter {
+    constructor(qualityControlQueries) {
+        if (!qualityControlQueries) {
+            throw new Error('QualityControlQueries ist erforderlich für QCReportExporter');
+        }
+
+        this.qcQueries = qualityControlQueries;
+    }
+
+    // ===== BERICHT =====
+
+    /**
+     * Prüft und normalisiert die Export-Optionen aus dem Renderer
+     * @param {Object} options - { format, startDate, endDate, userId, department } (Datum als YYYY-MM-DD, Ende inklusive)
+     * @returns {Object} - { isValid, errors, options }
+     */
+    validateOptions(options = {}) {
+        const errors = [];
+        const format = String(options.format || '').toLowerCase();
+
+        if (!FORMATS[format]) {
+            errors.push(`Unbekanntes Exportformat: ${options.format || '-'}`);
+        }
+
+        const startDate = this.parseDate(options.startDate);
+        const lastDate = this.parseDate(options.endDate);
+
+        if (!startDate || !lastDate) {
+            errors.push('Zeitraum unvollständig (Von/Bis als Datum angeben)');
+        } else if (lastDate < startDate) {
+            errors.push('Das Enddatum liegt vor dem Startdatum');
+        } else if ((lastDate - startDate) / 86400000 + 1 > MAX_PERIOD_DAYS) {
+            errors.push(`Zeitraum zu lang (maximal ${MAX_PERIOD_DAYS} Tage)`);
+        }
+
+        const userId = options.userId ? parseInt(options.userId) : null;
+        if (options.userId && !Number.isInteger(userId)) {
+            errors.push('Ungültige Benutzer-ID');
+        }
+
+        // Ende exklusiv: Tag nach dem gewählten Enddatum
+        const endDate = lastDate ? new Date(lastDate.getFullYear(), lastDate.getMonth(), lastDate.getDate() + 1) : null;
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            options: {
+                format,
+                startDate,
+                endDate,
+                lastDate,
+                userId,
+                department: options.department ? String(options.department) : null
+            }
+        };
+    }
+
+    /**
+     * Holt alle Daten für einen Bericht
+     * @param {Object} options - Normalisierte Optionen aus validateOptions
+     * @returns {Promise<Object>} - { period, filter, summary, dailyBreakdown, topUsers, steps, photos, defectPareto, generatedAt }
+     */
+    async buildReport(options) {
+        const { startDate, endDate, lastDate, userId, department } = options;
+
+        const [report, steps, photos, ...paretos] = await Promise.all([
+            this.qcQueries.generateQCReport(startDate, endDate, userId, department),
+            this.qcQueries.getQCStepsForReport(startDate, endDate, userId, department),
+            this.qcQueries.getPhotoThumbnailsForReport(startDate, endDate, userId, department, MAX_REPORT_PHOTOS),
+            ...PARETO_SECTIONS.map(section =>
+                this.qcQueries.getDefectPareto(section.dimension, startDate, endDate, userId, department))
+        ]);
+
+        // Anzeigename des gefilterten Mitarbeiters aus den Schritten
+        const userName = userId && steps.length > 0 ? steps[0].UserName : null;
+
+        return {
+            period: {
+                startDate,
+                endDate,
+                label: `${timeUtils.formatTimestamp(startDate, 'date')} - ${timeUtils.formatTimestamp(lastDate, 'date')}`,
+                fileLabel: `${this.toDateKey(startDate)}_${this.toDateKey(lastDate)}`
+            },
+            filter: {
+                userId,
+                userName,
+                department,
+                label: [
+                    department ? `Abteilung ${department}` : null,
+                    userId ? `Mitarbeiter ${userName || userId}` : null
+                ].filter(Boolean).join(', ') || 'Alle Mitarbeiter'
+            },
+            summary: report.summary || {},
+            dailyBreakdown: report.dailyBreakdown || [],
+            topUsers: report.topUsers || [],
+            steps,
+            photos,
+            defectPareto: Object.fromEntries(paretos.map(pareto => [pareto.dimension, pareto])),
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Erzeugt den Dateiinhalt für CSV/XLSX bzw. die HTML-Seite für PDF
+     * @returns {Buffer|string}
+     */
+    render(report, format) {
+        switch (format) {
+            case 'csv':
+                return this.toCSV(report);
+            case 'xlsx':
+                return this.toXLSX(report);
+            case 'pdf':
+                return this.toHTML(report);
+            default:
+                throw new Error(`Unbekanntes Exportformat: ${format}`);
+        }
+    }
+
+    getDefaultFileName(report, format) {
+        const parts = ['QC-Bericht', report.period.fileLabel];
+
+        if (report.filter.department) parts.push(report.filter.department);
+        if (report.filter.userId) parts.push(report.filter.userName || `Benutzer-${report.filter.userId}`);
+
+        return `${parts.join('_').replace(/[\\/:*?"<>|\s]+/g, '-')}.${FORMATS[format].extension}`;
+    }
+
+    // ===== CSV =====
+
+    /**
+     * CSV für Excel (Semikolon, UTF-8 mit BOM), Abschnitte durch Leerzeilen getrennt
+     * @returns {string}
+     */
+    toCSV(report) {
+        const lines = [];
+        const row = (values) => lines.push(values.map(value => this.escapeCSV(value)).join(';'));
+
+        row([report.title || 'QC-Bericht', report.period.label]);
+        row(['Filter', report.filter.label]);
+        row(['Erstellt', timeUtils.formatTimestamp(report.generatedAt, 'datetime')]);
+        lines.push('');
+
+        const shiftRows = this.getShiftRows(report);
+        if (shiftRows.length > 0) {
+            row(['Schicht']);
+            for (const entry of shiftRows) {
+                row([entry.label, entry.value]);
+            }
+            lines.push('');
+        }
+
+        row(['Zusammenfassung']);
+        for (const entry of this.getSummaryRows(report.summary)) {
+            row([entry.label, entry.value]);
+        }
+        lines.push('');
+
+        const section = (title, columns, rows) => {
+            row([title]);
+            row(columns.map(column => column.header));
+            rows.forEach(data => row(columns.map(column => data[column.key])));
+            lines.push('');
+        };
+
+        section('Tage', DAILY_COLUMNS, this.getDailyRows(report));
+        section('Mitarbeiter', USER_COLUMNS, this.getUserRows(report));
+        section('QC-Schritte', STEP_COLUMNS, this.getStepRows(report));
+
+        for (const pareto of PARETO_SECTIONS) {
+            section(pareto.title, pareto.columns, this.getParetoRows(report, pareto.dimension));
+        }
+
+        return '\uFEFF' + lines.join('\r\n');
+    }
+
+    escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+
+        let text = typeof value === 'number' ? String(value).replace('.', ',') : String(value);
+
+        // Freitext (Notizen, Namen) darf in Excel nicht als Formel starten
+        if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // ===== XLSX =====
+
+    /**
+     * @returns {Buffer}
+     */
+    toXLSX(report) {
+        const summaryRows = [
+            { label: 'Zeitraum', value: report.period.label },
+            { label: 'Filter', value: report.filter.label },
+            { label: 'Erstellt', value: timeUtils.formatTimestamp(report.generatedAt, 'datetime') },
+            ...this.getShiftRows(report),
+            ...this.getSummaryRows(report.summary)
+        ];
+
+        return createWorkbook([
+            {
+                name: 'Zusammenfassung',
+                columns: [
+                    { header: 'Kennzahl', key: 'label', width: 26 },
+                    { header: 'Wert', key: 'value', width: 28 }
+                ],
+                rows: summaryRows
+            },
+            { name: 'Tage', columns: DAILY_COLUMNS, rows: this.getDailyRows(report) },
+            { name: 'Mitarbeiter', columns: USER_COLUMNS, rows: this.getUserRows(report) },
+            { name: 'QC-Schritte', columns: STEP_COLUMNS, rows: this.getStepRows(report) },
+            ...PARETO_SECTIONS.map(pareto => ({
+                name: pareto.title,
+                columns: pareto.columns,
+                rows: this.getParetoRows(report, pareto.dimension)
+            }))
+        ]);
+    }
+
+    // ===== PDF (HTML) =====
+
+    /**
+     * Druckfertige Zusammenfassung (A4) für printToPDF
+     * Enthält Kennzahlen, Tage, Mitarbeiter, alle Schritte mit Fehlern oder Nacharbeit, die häufigsten
+     * Fehlercodes und Lieferanten sowie die Fotos
+     * @returns {string}
+     */
+    toHTML(report) {
+        const table = (columns, rows) => `
+            <table>
+                <thead><tr>${columns.map(column => `<th>${this.escapeHtml(column.header)}</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${rows.length > 0
+                        ? rows.map(data => `<tr>${columns.map(column => `<td>${this.escapeHtml(this.formatValue(data[column.key]))}</td>`).join('')}</tr>`).join('')
+                        : `<tr><td colspan="${columns.length}" class="empty">Keine Daten</td></tr>`}
+                </tbody>
+            </table>`;
+
+        const findingColumns = STEP_COLUMNS.filter(column =>
+            ['Start', 'Duration', 'UserName', 'QrCode', 'BatchNumber', 'DefectDescription', 'Rework', 'PhotoCount'].includes(column.key)
+        );
+        const findings = this.getStepRows(report).filter(step => step.Defects === 'Ja' || step.Rework === 'Ja');
+        const title = report.title || 'QC-Bericht';
+
+        const kpis = (rows) => `
+            <div class="kpis">
+                ${rows.map(entry => `
+                    <div class="kpi">
+                        <div class="value">${this.escapeHtml(this.formatValue(entry.value))}</div>
+                        <div class="label">${this.escapeHtml(entry.label)}</div>
+                    </div>`).join('')}
+            </div>`;
+        const shiftRows = this.getShiftRows(report);
+        const photoGroups = this.getPhotoGroups(report);
+        const pdfParetos = PARETO_SECTIONS.filter(pareto => ['code', 'supplier'].includes(pareto.dimension));
+        const hasDefectCodes = this.getParetoRows(report, 'code').length > 0;
+
+        return `<!DOCTYPE html>
+<html lang="de">
+<head>
+<meta charset="UTF-8">
+<title>${this.escapeHtml(title)} ${this.escapeHtml(report.period.label)}</title>
+<style>
+    @page { size: A4; margin: 15mm; }
+    body { font-family: 'Segoe UI', Arial, sans-serif; font-size: 10pt; color: #1e293b; }
+    h1 { font-size: 18pt; color: #8b5cf6; margin: 0 0 4px 0; }
+    h2 { font-size: 12pt; margin: 18px 0 6px 0; border-bottom: 2px solid #e2e8f0; padding-bottom: 2px; }
+    .meta { color: #64748b; margin-bottom: 12px; }
+    .kpis { display: flex; flex-wrap: wrap; gap: 8px; }
+    .kpi { border: 1px solid #e2e8f0; border-top: 3px solid #8b5cf6; border-radius: 4px; padding: 6px 10px; min-width: 110px; }
+    .kpi .value { font-size: 14pt; font-weight: 700; }
+    .kpi .label { color: #64748b; font-size: 8pt; }
+    table { width: 100%; border-collapse: collapse; font-size: 8.5pt; }
+    th { text-align: left; background: #f1f5f9; border-bottom: 1px solid #cbd5e1; padding: 3px 4px; }
+    td { border-bottom: 1px solid #e2e8f0; padding: 3px 4px; vertical-align: top; word-break: break-word; }
+    tr { page-break-inside: avoid; }
+    .empty { text-align: center; color: #94a3b8; }
+    .photo-step { page-break-inside: avoid; margin-bottom: 8px; }
+    .photo-step .caption { font-weight: 600; margin-bottom: 3px; }
+    .photo-step img { height: 90px; margin: 0 4px 4px 0; border: 1px solid #cbd5e1; border-radius: 3px; }
+</style>
+</head>
+<body>
+    <h1>🔍 ${this.escapeHtml(title)}</h1>
+    <div class="meta">
+        Zeitraum: <strong>${this.escapeHtml(report.period.label)}</strong> ·
+        ${this.escapeHtml(report.filter.label)} ·
+        Erstellt: ${this.escapeHtml(timeUtils.formatTimestamp(report.generatedAt, 'datetime'))}
+    </div>
+
+    ${shiftRows.length > 0 ? `<h2>Schicht</h2>${kpis(shiftRows)}` : ''}
+
+    <h2>Zusammenfassung</h2>
+    ${kpis(this.getSummaryRows(report.summary))}
+
+    <h2>Tage</h2>
+    ${table(DAILY_COLUMNS, this.getDailyRows(report))}
+
+    <h2>Mitarbeiter</h2>
+    ${table(USER_COLUMNS, this.getUserRows(report))}
+
+    <h2>Fehler und Nacharbeit (${findings.length})</h2>
+    ${table(findingColumns, findings)}
+
+    ${hasDefectCodes ? pdfParetos.map(pareto => `
+    <h2>${this.escapeHtml(pareto.title)} (Top ${PDF_PARETO_ROWS})</h2>
+    ${table(pareto.columns.filter(column => column.key !== 'StepCount'), this.getParetoRows(report, pareto.dimension).slice(0, PDF_PARETO_ROWS))}`).join('') : ''}
+
+    ${photoGroups.length > 0 ? `<h2>Fotos (${report.photos.length})</h2>
+    ${photoGroups.map(group => `
+        <div class="photo-step">
+            <div class="caption">QC-Schritt ${group.step.ID} · ${this.escapeHtml(group.step.Start)} · ${this.escapeHtml(group.step.QrCode)}</div>
+            ${group.photos.map(photo => `<img src="data:image/jpeg;base64,${Buffer.from(photo.ThumbnailData).toString('base64')}" alt="Foto ${photo.ID}">`).join('')}
+        </div>`).join('')}` : ''}
+</body>
+</html>`;
+    }
+
+    // ===== ZEILEN =====
+
+    getSummaryRows(summary) {
+        return SUMMARY_ROWS.map(entry => {
+            let value = summary[entry.key];
+
+            if (value === null || value === undefined) {
+                value = entry.duration || entry.decimals ? '-' : 0;
+            } else if (entry.duration) {
+                value = timeUtils.formatDuration(value);
+            } else if (entry.decimals) {
+                value = Math.round(value * Math.pow(10, entry.decimals)) / Math.pow(10, entry.decimals);
+            }
+
+            return { label: entry.label, value };
+        });
+    }
+
+    /**
+     * Kennzahlen der Schicht (nur bei Schichtberichten gesetzt)
+     */
+    getShiftRows(report) {
+        if (!report.shift) return [];
+
+        const sessions = report.shift.sessions || {};
+        const restarts = report.shift.restarts || {};
+
+        return [
+            { label: 'Schicht', value: report.shift.name },
+            { label: 'Sessions gestartet', value: sessions.TotalSessions || 0 },
+            { label: 'Sessions beendet', value: sessions.EndedSessions || 0 },
+            { label: 'Angemeldete Mitarbeiter', value: sessions.UniqueUsers || 0 },
+            { label: 'QR-Scans', value: sessions.TotalScans || 0 },
+            { label: 'Ø Session-Dauer', value: sessions.AvgSessionMinutes ? timeUtils.formatDuration(Math.round(sessions.AvgSessionMinutes * 60)) : '-' },
+            { label: 'Session-Neustarts (geschätzt)', value: restarts.estimatedRestarts || 0 },
+            { label: 'Neustartquote (%)', value: restarts.restartRate || 0 },
+            { label: 'Abgebrochene QC-Schritte', value: report.summary.AbortedSteps || 0 }
+        ];
+    }
+
+    /**
+     * Zeilen einer Fehler-Pareto-Auswertung mit Anzeigenamen
+     */
+    getParetoRows(report, dimension) {
+        const pareto = report.defectPareto && report.defectPareto[dimension];
+        if (!pareto) return [];
+
+        return pareto.rows.map(row => {
+            let label;
+            switch (dimension) {
+                case 'code':
+                    label = row.DefectCode;
+                    break;
+                case 'user':
+                    label = row.BenutzerName || `Benutzer ${row.GroupKey}`;
+                    break;
+                case 'day':
+                    label = timeUtils.formatTimestamp(row.GroupKey, 'date');
+                    break;
+                default:
+                    label = row.GroupKey || 'Unbekannt';
+            }
+
+            return {
+                ...row,
+                Label: label,
+                Description: row.Description || '',
+                Category: row.Category || '',
+                Severity: SEVERITY_LABELS[row.Severity] || row.Severity || ''
+            };
+        });
+    }
+
+    /**
+     * Vorschaubilder gruppiert nach QC-Schritt (in Reihenfolge der Schritte)
+     */
+    getPhotoGroups(report) {
+        const photos = report.photos || [];
+        if (photos.length === 0) return [];
+
+        return this.getStepRows(report)
+            .map(step => ({ step, photos: photos.filter(photo => photo.QCStepID === step.ID) }))
+            .filter(group => group.photos.length > 0);
+    }
+
+    getDailyRows(report) {
+        return report.dailyBreakdown.map(day => ({
+            ...day,
+            Date: timeUtils.formatTimestamp(day.Date, 'date'),
+            AvgDuration: this.formatDurationValue(day.AvgDurationSeconds)
+        }));
+    }
+
+    getUserRows(report) {
+        return report.topUsers.map(user => ({
+            ...user,
+            Department: user.Department || '',
+            AvgDuration: this.formatDurationValue(user.AvgDurationSeconds)
+        }));
+    }
+
+    getStepRows(report) {
+        return report.steps.map(step => ({
+            ID: step.ID,
+            Start: step.StartTime ? timeUtils.formatTimestamp(step.StartTime, 'datetime') : '',
+            End: step.EndTime ? timeUtils.formatTimestamp(step.EndTime, 'datetime') : '',
+            Status: STATUS_LABELS[step.QCStatus] || step.QCStatus || '',
+            Duration: this.formatDurationValue(step.DurationSeconds),
+            DurationSeconds: step.DurationSeconds,
+            UserName: step.UserName || '',
+            Department: step.Department || '',
+            SessionTypeName: step.SessionTypeName || '',
+            QrCode: step.QrCode,
+            BatchNumber: step.BatchNumber || '',
+            QualityRating: step.QualityRating,
+            Defects: step.Completed ? (step.DefectsFound ? 'Ja' : 'Nein') : '',
+            DefectDescription: step.DefectDescription || '',
+            Rework: step.Completed ? (step.ReworkRequired ? 'Ja' : 'Nein') : '',
+            ParentStepID: step.ParentStepID || '',
+            ReworkCycle: QualityControlLogic.getReworkPass(step.ReworkCycle),
+            PhotoCount: step.PhotoCount || 0,
+            QualityNotes: step.QualityNotes || ''
+        }));
+    }
+
+    // ===== HILFSFUNKTIONEN =====
+
+    parseDate(value) {
+        if (!value) return null;
+
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+        if (!match) return null;
+
+        const date = new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    toDateKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    formatDurationValue(seconds) {
+        return seconds === null || seconds === undefined ? '' : timeUtils.formatDuration(seconds);
+    }
+
+    formatValue(value) {
+        if (value === null || value === undefined) return '';
+        return typeof value === 'number' ? String(value).replace('.', ',') : String(value);
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+QCReportExporter.FORMATS = FORMATS;
+
+module.exports = QCReportExporter;
@@ -0,0 +1,406 @@
+/**
+ * QRMatrix - Erzeugt die Modul-Matrix eines QR-Codes (ISO/IEC 18004)
+ *
+ * Ohne externe Abhängigkeit, für das PDF-Etikett (ZPL-Drucker erzeugen den
+ * QR-Code selbst mit ^BQ). Unterstützt Byte-Modus (UTF-8), Fehlerkorrektur M
+ * und die Versionen 1-20 (bis 666 Byte) - genug für die Etiketten-Rohdaten.
+ */
+
+// Fehlerkorrektur M je Version: [EC-Codewörter je Block, Blöcke Gruppe 1, Datenwörter Gruppe 1, Blöcke Gruppe 2, Datenwörter Gruppe 2]
+const EC_BLOCKS_M = [
+    null,
+    [10, 1, 16, 0, 0], [16, 1, 28, 0, 0], [26, 1, 44, 0, 0], [18, 2, 32, 0, 0], [24, 2, 43, 0, 0],
+    [16, 4, 27, 0, 0], [18, 4, 31, 0, 0], [22, 2, 38, 2, 39], [22, 3, 36, 2, 37], [26, 4, 43, 1, 44],
+    [30, 1, 50, 4, 51], [22, 6, 36, 2, 37], [22, 8, 37, 1, 38], [24, 4, 40, 5, 41], [24, 5, 41, 5, 42],
+    [28, 7, 45, 3, 46], [28, 10, 46, 1, 47], [26, 9, 43, 4, 44], [26, 3, 44, 11, 45], [26, 3, 41, 13, 42]
+];
+
+const ALIGNMENT_POSITIONS = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50],
+    [6, 30, 54], [6, 32, 58], [6, 34, 62], [6, 26, 46, 66], [6, 26, 48, 70], [6, 26, 50, 74],
+    [6, 30, 54, 78], [6, 30, 56, 82], [6, 30, 58, 86], [6, 34, 62, 90]
+];
+
+const MAX_VERSION = EC_BLOCKS_M.length - 1;
+const EC_LEVEL_M_BITS = 0b00;
+
+const MASKS = [
+    (row, col) => (row + col) % 2 === 0,
+    (row) => row % 2 === 0,
+    (row, col) => col % 3 === 0,
+    (row, col) => (row + col) % 3 === 0,
+    (row, col) => (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0,
+    (row, col) => (row * col) % 2 + (row * col) % 3 === 0,
+    (row, col) => ((row * col) % 2 + (row * col) % 3) % 2 === 0,
+    (row, col) => ((row + col) % 2 + (row * col) % 3) % 2 === 0
+];
+
+// ===== GALOIS-FELD GF(256) =====
+
+const GF_EXP = new Uint8Array(512);
+const GF_LOG = new Uint8Array(256);
+
+(() => {
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+        GF_EXP[i] = value;
+        GF_LOG[value] = i;
+        value <<= 1;
+        if (value & 0x100) value ^= 0x11D;
+    }
+    for (let i = 255; i < 512; i++) {
+        GF_EXP[i] = GF_EXP[i - 255];
+    }
+})();
+
+function gfMultiply(a, b) {
+    return a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]];
+}
+
+/**
+ * Reed-Solomon-Fehlerkorrektur eines Datenblocks
+ * @returns {Array<number>} - ecCount Korrektur-Codewörter
+ */
+function reedSolomon(data, ecCount) {
+    // Generatorpolynom (x - α^0)(x - α^1)...(x - α^(ecCount-1))
+    let generator = [1];
+    for (let i = 0; i < ecCount; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        for (let j = 0; j < generator.length; j++) {
+            next[j] ^= generator[j];
+            next[j + 1] ^= gfMultiply(generator[j], GF_EXP[i]);
+        }
+        generator = next;
+    }
+
+    const remainder = new Array(ecCount).fill(0);
+    for (const byte of data) {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        for (let i = 0; i < ecCount; i++) {
+            remainder[i] ^= gfMultiply(generator[i + 1], factor);
+        }
+    }
+
+    return remainder;
+}
+
+// ===== DATEN =====
+
+function getDataCapacity(version) {
+    const [, blocks1, data1, blocks2, data2] = EC_BLOCKS_M[version];
+    return blocks1 * data1 + blocks2 * data2;
+}
+
+function selectVersion(byteLength) {
+    for (let version = 1; version <= MAX_VERSION; version++) {
+        const countBits = version < 10 ? 8 : 16;
+        if (4 + countBits + byteLength * 8 <= getDataCapacity(version) * 8) {
+            return version;
+        }
+    }
+
+    throw new Error(`QR-Code zu lang (${byteLength} Byte, maximal Version ${MAX_VERSION})`);
+}
+
+/**
+ * Bitstrom im Byte-Modus mit Terminator und Füllbytes
+ */
+function encodeData(bytes, version) {
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+
+    const capacityBits = getDataCapacity(version) * 8;
+
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    for (const byte of bytes) push(byte, 8);
+
+    push(0, Math.min(4, capacityBits - bits.length));
+    while (bits.length % 8 !== 0) bits.push(0);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+
+    for (let pad = 0; codewords.length < capacityBits / 8; pad++) {
+        codewords.push(pad % 2 === 0 ? 0xEC : 0x11);
+    }
+
+    return codewords;
+}
+
+/**
+ * Daten in Blöcke teilen, Fehlerkorrektur anhängen und verschränken
+ */
+function interleave(codewords, version) {
+    const [ecCount, blocks1, data1, blocks2, data2] = EC_BLOCKS_M[version];
+    const blocks = [];
+    let offset = 0;
+
+    for (let i = 0; i < blocks1 + blocks2; i++) {
+        const length = i < blocks1 ? data1 : data2;
+        const data = codewords.slice(offset, offset + length);
+        blocks.push({ data, ec: reedSolomon(data, ecCount) });
+        offset += length;
+    }
+
+    const result = [];
+    for (let i = 0; i < Math.max(data1, data2); i++) {
+        for (const block of blocks) {
+            if (i < block.data.length) result.push(block.data[i]);
+        }
+    }
+    for (let i = 0; i < ecCount; i++) {
+        for (const block of blocks) {
+            result.push(block.ec[i]);
+        }
+    }
+
+    return result;
+}
+
+// ===== MATRIX =====
+
+function getVersionBits(version) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    return (version << 12) | remainder;
+}
+
+function getFormatBits(maskIndex) {
+    const data = (EC_LEVEL_M_BITS << 3) | maskIndex;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    return ((data << 10) | remainder) ^ 0x5412;
+}
+
+/**
+ * Funktionsmuster (Such-, Ausrichtungs-, Taktmuster, Versionsinformation)
+ * und reservierte Formatbereiche
+ */
+function createBaseMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+
+    const set = (row, col, dark) => {
+        modules[row][col] = dark;
+        reserved[row][col] = true;
+    };
+
+    // Suchmuster mit Trennlinie
+    for (const [top, left] of [[0, 0], [0, size - 7], [size - 7, 0]]) {
+        for (let r = -1; r <= 7; r++) {
+            for (let c = -1; c <= 7; c++) {
+                const row = top + r;
+                const col = left + c;
+                if (row < 0 || col < 0 || row >= size || col >= size) continue;
+
+                const ring = Math.max(Math.abs(r - 3), Math.abs(c - 3));
+                set(row, col, ring !== 2 && ring !== 4);
+            }
+        }
+    }
+
+    // Taktlinien
+    for (let i = 8; i < size - 8; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Ausrichtungsmuster (nicht über den Suchmustern)
+    const positions = ALIGNMENT_POSITIONS[version];
+    for (const row of positions) {
+        for (const col of positions) {
+            const overlapsFinder = (row < 9 && col < 9) || (row < 9 && col > size - 10) || (row > size - 10 && col < 9);
+            if (overlapsFinder) continue;
+
+            for (let r = -2; r <= 2; r++) {
+                for (let c = -2; c <= 2; c++) {
+                    set(row + r, col + c, Math.max(Math.abs(r), Math.abs(c)) !== 1);
+                }
+            }
+        }
+    }
+
+    // Formatbereiche reservieren (werden je Maske geschrieben) und dunkles Modul
+    for (let i = 0; i < 9; i++) {
+        if (i !== 6) {
+            set(8, i, false);
+            set(i, 8, false);
+        }
+    }
+    for (let i = 0; i < 8; i++) {
+        set(8, size - 1 - i, false);
+        set(size - 1 - i, 8, false);
+    }
+    set(size - 8, 8, true);
+
+    // Versionsinformation ab Version 7
+    if (version >= 7) {
+        const bits = getVersionBits(version);
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = Math.floor(i / 3);
+            const b = size - 11 + (i % 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    return { size, modules, reserved };
+}
+
+/**
+ * Codewörter im Zickzack von unten rechts in die freien Module schreiben
+ */
+function placeData(base, codewords) {
+    const { size, modules, reserved } = base;
+    let bitIndex = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+
+        for (let i = 0; i < size; i++) {
+            const row = upward ? size - 1 - i : i;
+
+            for (let c = 0; c < 2; c++) {
+                const col = right - c;
+                if (reserved[row][col]) continue;
+
+                const byte = codewords[bitIndex >>> 3];
+                modules[row][col] = byte !== undefined && ((byte >>> (7 - (bitIndex & 7))) & 1) === 1;
+                bitIndex++;
+            }
+        }
+    }
+}
+
+/**
+ * Maske auf die Datenmodule anwenden und Formatinformation eintragen
+ * @returns {Array<Array<boolean>>} - Neue Matrix
+ */
+function applyMask(base, maskIndex) {
+    const { size, reserved } = base;
+    const mask = MASKS[maskIndex];
+    const modules = base.modules.map((row, r) => row.map((dark, c) => (!reserved[r][c] && mask(r, c)) ? !dark : dark));
+
+    const bits = getFormatBits(maskIndex);
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    // Erste Kopie um das Suchmuster oben links
+    for (let i = 0; i <= 5; i++) modules[i][8] = bit(i);
+    modules[7][8] = bit(6);
+    modules[8][8] = bit(7);
+    modules[8][7] = bit(8);
+    for (let i = 9; i < 15; i++) modules[8][14 - i] = bit(i);
+
+    // Zweite Kopie oben rechts und unten links
+    for (let i = 0; i < 8; i++) modules[8][size - 1 - i] = bit(i);
+    for (let i = 8; i < 15; i++) modules[size - 15 + i][8] = bit(i);
+
+    return modules;
+}
+
+/**
+ * Strafpunkte einer maskierten Matrix (niedrigste Maske wird verwendet)
+ */
+function getPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+    let dark = 0;
+
+    const finderLike = [true, false, true, true, true, false, true];
+    const scanLine = (get) => {
+        let score = 0;
+        let runLength = 1;
+
+        for (let i = 1; i <= size; i++) {
+            if (i < size && get(i) === get(i - 1)) {
+                runLength++;
+                continue;
+            }
+            if (runLength >= 5) score += 3 + (runLength - 5);
+            runLength = 1;
+        }
+
+        // 1:1:3:1:1-Muster mit vier hellen Modulen davor oder danach
+        for (let i = 0; i + 7 <= size; i++) {
+            if (!finderLike.every((value, k) => get(i + k) === value)) continue;
+
+            const lightBefore = i >= 4 && [1, 2, 3, 4].every(k => !get(i - k));
+            const lightAfter = i + 11 <= size && [7, 8, 9, 10].every(k => !get(i + k));
+            if (lightBefore || lightAfter) score += 40;
+        }
+
+        return score;
+    };
+
+    for (let i = 0; i < size; i++) {
+        penalty += scanLine(k => modules[i][k]);
+        penalty += scanLine(k => modules[k][i]);
+    }
+
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            if (modules[row][col]) dark++;
+
+            if (row < size - 1 && col < size - 1) {
+                const color = modules[row][col];
+                if (modules[row][col + 1] === color && modules[row + 1][col] === color && modules[row + 1][col + 1] === color) {
+                    penalty += 3;
+                }
+            }
+        }
+    }
+
+    penalty += Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5) * 10;
+
+    return penalty;
+}
+
+/**
+ * Erzeugt die Modul-Matrix für einen Text
+ * @param {string} text - Inhalt (UTF-8, Byte-Modus)
+ * @param {Object} options - { mask: feste Maske 0-7 (Standard: geringste Strafpunkte) }
+ * @returns {Array<Array<boolean>>} - Zeilen mit true = dunkles Modul (ohne Ruhezone)
+ */
+function createQRMatrix(text, options = {}) {
+    const bytes = Buffer.from(String(text), 'utf8');
+    const version = selectVersion(bytes.length);
+    const base = createBaseMatrix(version);
+
+    placeData(base, interleave(encodeData(bytes, version), version));
+
+    if (options.mask !== undefined) {
+        return applyMask(base, options.mask);
+    }
+
+    let best = null;
+    for (let maskIndex = 0; maskIndex < MASKS.length; maskIndex++) {
+        const modules = applyMask(base, maskIndex);
+        const penalty = getPenalty(modules);
+
+        if (!best || penalty < best.penalty) {
+            best = { modules, penalty };
+        }
+    }
+
+    return best.modules;
+}
+
+module.exports = {
+    createQRMatrix,
+    MAX_VERSION
+};
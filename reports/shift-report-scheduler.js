@@ -0,0 +1,404 @@
+/**
+ * ShiftReportScheduler - Erzeugt zum Schichtende automatisch einen Schichtbericht
+ *
+ * Schichten werden über ihre Startzeit definiert (SHIFT_DEFINITIONS), jede Schicht
+ * endet mit dem Beginn der nächsten. Der Scheduler prüft jede Minute, ob die zuletzt
+ * beendete Schicht schon einen Bericht hat, und legt ihn sonst als PDF/CSV/XLSX im
+ * Berichtsordner ab. Dadurch wird eine verpasste Schichtgrenze (Station aus,
+ * Datenbank offline) beim nächsten Lauf nachgeholt. Die erzeugten Berichte werden in
+ * einer kleinen JSON-Historie gemerkt und in der App angezeigt.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const timeUtils = require('../utils/time-utils');
+
+const DEFAULT_SHIFT_DEFINITIONS = 'Frühschicht=06:00,Spätschicht=14:00,Nachtschicht=22:00';
+const SUPPORTED_FORMATS = ['pdf', 'csv', 'xlsx'];
+const MAX_ATTEMPTS = 3;
+
+class ShiftReportScheduler {
+    constructor(dbClient, reportExporter, options = {}) {
+        if (!dbClient) {
+            throw new Error('DatabaseClient ist erforderlich für ShiftReportScheduler');
+        }
+
+        if (!reportExporter) {
+            throw new Error('QCReportExporter ist erforderlich für ShiftReportScheduler');
+        }
+
+        if (!options.outputDir || !options.historyFile) {
+            throw new Error('Berichtsordner und Historien-Datei sind erforderlich für ShiftReportScheduler');
+        }
+
+        this.dbClient = dbClient;
+        this.exporter = reportExporter;
+
+        this.shifts = ShiftReportScheduler.parseShiftDefinitions(
+            options.shifts || process.env.SHIFT_DEFINITIONS || DEFAULT_SHIFT_DEFINITIONS
+        );
+        this.formats = ShiftReportScheduler.parseFormats(options.formats || process.env.SHIFT_REPORT_FORMATS || 'pdf,csv');
+        this.outputDir = options.outputDir;
+        this.historyFile = options.historyFile;
+
+        // Wartezeit nach Schichtende, damit letzte Ausgang-Scans noch erfasst werden
+        const delaySeconds = parseInt(process.env.SHIFT_REPORT_DELAY_SECONDS);
+        this.delayMs = options.delayMs !== undefined ? options.delayMs : (Number.isInteger(delaySeconds) ? delaySeconds : 120) * 1000;
+        this.checkIntervalMs = options.checkIntervalMs || 60000;
+        this.historyLimit = options.historyLimit || 20;
+
+        // Callbacks (PDF-Erzeugung und Benachrichtigung laufen im Main-Prozess)
+        this.renderPDF = options.renderPDF || null;
+        this.onReportGenerated = options.onReportGenerated || null;
+        this.isAvailable = options.isAvailable || (() => true);
+
+        this.timer = null;
+        this.isGenerating = false;
+        this.history = [];
+        this.failedAttempts = new Map(); // Schicht-Key -> Anzahl Fehlversuche
+        this.lastError = null;
+    }
+
+    // ===== KONFIGURATION =====
+
+    /**
+     * "Frühschicht=06:00,Spätschicht=14:00,Nachtschicht=22:00" → nach Startzeit sortierte Schichten
+     * @returns {Array} - [{ name, startMinutes, label }]
+     */
+    static parseShiftDefinitions(definitions) {
+        const shifts = [];
+
+        for (const entry of String(definitions).split(',')) {
+            const match = /^\s*(.+?)\s*=\s*(\d{1,2}):(\d{2})\s*$/.exec(entry);
+            const hours = match ? parseInt(match[2]) : NaN;
+            const minutes = match ? parseInt(match[3]) : NaN;
+
+            if (!match || hours > 23 || minutes > 59) {
+                console.warn(`⚠️ Ungültige Schichtdefinition ignoriert: "${entry.trim()}"`);
+                continue;
+            }
+
+            const startMinutes = hours * 60 + minutes;
+            if (shifts.some(shift => shift.startMinutes === startMinutes)) {
+                console.warn(`⚠️ Doppelte Schichtgrenze ignoriert: "${entry.trim()}"`);
+                continue;
+            }
+
+            shifts.push({
+                name: match[1],
+                startMinutes,
+                label: `${String(hours).padStart(2, '0')}:${match[3]}`
+            });
+        }
+
+        if (shifts.length === 0) {
+            console.warn('⚠️ Keine gültigen Schichten konfiguriert - verwende Standard-Schichten');
+            return ShiftReportScheduler.parseShiftDefinitions(DEFAULT_SHIFT_DEFINITIONS);
+        }
+
+        return shifts.sort((a, b) => a.startMinutes - b.startMinutes);
+    }
+
+    static parseFormats(formats) {
+        const parsed = String(formats).split(',')
+            .map(format => format.trim().toLowerCase())
+            .filter(format => SUPPORTED_FORMATS.includes(format));
+
+        return parsed.length > 0 ? [...new Set(parsed)] : ['pdf'];
+    }
+
+    // ===== STEUERUNG =====
+
+    async start() {
+        this.stop();
+        await this.loadHistory();
+
+        this.timer = setInterval(() => {
+            this.check();
+        }, this.checkIntervalMs);
+
+        console.log(`🕒 Schichtberichte aktiv (${this.shifts.map(shift => `${shift.name} ${shift.label}`).join(', ')}) → ${this.outputDir}`);
+
+        // Verpasste Schichtgrenze sofort nachholen
+        this.check();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    isRunning() {
+        return !!this.timer;
+    }
+
+    /**
+     * Erzeugt den Bericht der zuletzt beendeten Schicht, falls noch keiner existiert
+     * @returns {Promise<Object|null>} - Historien-Eintrag oder null falls nichts zu tun
+     */
+    async check() {
+        if (this.isGenerating || !this.isAvailable()) {
+            return null;
+        }
+
+        const shift = this.getLastCompletedShift(new Date(Date.now() - this.delayMs));
+        if (!shift || this.history.some(entry => entry.key === shift.key)) {
+            return null;
+        }
+
+        return await this.generate(shift);
+    }
+
+    // ===== SCHICHTEN =====
+
+    /**
+     * Zuletzt beendete Schicht zum Referenzzeitpunkt
+     * @param {Date} referenceTime
+     * @returns {Object|null} - { key, name, startTime, endTime }
+     */
+    getLastCompletedShift(referenceTime) {
+        const boundaries = [];
+
+        // Schichtgrenzen von vorgestern bis heute (deckt auch eine einzige 24h-Schicht ab)
+        for (let dayOffset = -2; dayOffset <= 0; dayOffset++) {
+            for (const shift of this.shifts) {
+                const time = new Date(
+                    referenceTime.getFullYear(),
+                    referenceTime.getMonth(),
+                    referenceTime.getDate() + dayOffset,
+                    Math.floor(shift.startMinutes / 60),
+                    shift.startMinutes % 60
+                );
+                boundaries.push({ shift, time });
+            }
+        }
+
+        const passed = boundaries.filter(boundary => boundary.time <= referenceTime);
+        if (passed.length < 2) {
+            return null;
+        }
+
+        const end = passed[passed.length - 1];
+        const start = passed[passed.length - 2];
+
+        return {
+            key: `${this.exporter.toDateKey(start.time)}_${start.shift.label}_${start.shift.name}`,
+            name: start.shift.name,
+            startTime: start.time,
+            endTime: end.time
+        };
+    }
+
+    // ===== BERICHT =====
+
+    /**
+     * Erstellt und speichert den Bericht einer Schicht in allen konfigurierten Formaten
+     */
+    async generate(shift) {
+        this.isGenerating = true;
+
+        try {
+            const report = await this.buildShiftReport(shift);
+
+            await fs.promises.mkdir(this.outputDir, { recursive: true });
+
+            const baseName = this.getFileBaseName(shift);
+            const files = [];
+
+            for (const format of this.formats) {
+                if (format === 'pdf' && !this.renderPDF) {
+                    console.warn('⚠️ PDF-Schichtbericht übersprungen: keine PDF-Erzeugung verfügbar');
+                    continue;
+                }
+
+                const content = this.exporter.render(report, format);
+                const data = format === 'pdf' ? await this.renderPDF(content) : content;
+                const filePath = path.join(this.outputDir, `${baseName}.${format}`);
+
+                await fs.promises.writeFile(filePath, data);
+                files.push({ format, filePath });
+            }
+
+            const entry = {
+                key: shift.key,
+                shiftName: shift.name,
+                startTime: shift.startTime.toISOString(),
+                endTime: shift.endTime.toISOString(),
+                success: true,
+                files,
+                stepCount: report.steps.length,
+                abortedSteps: report.summary.AbortedSteps || 0,
+                sessionCount: report.shift.sessions ? report.shift.sessions.TotalSessions || 0 : 0,
+                generatedAt: report.generatedAt
+            };
+
+            this.failedAttempts.delete(shift.key);
+            this.lastError = null;
+            await this.addToHistory(entry);
+
+            console.log(`🕒 Schichtbericht ${shift.name} ${timeUtils.formatTimestamp(shift.startTime, 'datetime')} erstellt (${files.map(file => file.format.toUpperCase()).join(', ')})`);
+
+            this.notify(entry);
+            return entry;
+
+        } catch (error) {
+            this.lastError = error.message;
+
+            const attempts = (this.failedAttempts.get(shift.key) || 0) + 1;
+            this.failedAttempts.set(shift.key, attempts);
+            console.error(`❌ Schichtbericht ${shift.name} fehlgeschlagen (Versuch ${attempts}/${MAX_ATTEMPTS}):`, error.message);
+
+            if (attempts < MAX_ATTEMPTS) {
+                return null;
+            }
+
+            // Nicht endlos wiederholen: als fehlgeschlagen vermerken
+            this.failedAttempts.delete(shift.key);
+
+            const entry = {
+                key: shift.key,
+                shiftName: shift.name,
+                startTime: shift.startTime.toISOString(),
+                endTime: shift.endTime.toISOString(),
+                success: false,
+                error: error.message,
+                files: [],
+                generatedAt: new Date().toISOString()
+            };
+
+            await this.addToHistory(entry);
+            this.notify(entry);
+            return entry;
+
+        } finally {
+            this.isGenerating = false;
+        }
+    }
+
+    /**
+     * QC-Bericht des Schichtzeitraums plus Session- und Restart-Kennzahlen
+     */
+    async buildShiftReport(shift) {
+        const [report, sessions, restarts] = await Promise.all([
+            this.exporter.buildReport({
+                startDate: shift.startTime,
+                endDate: shift.endTime,
+                lastDate: shift.endTime,
+                userId: null,
+                department: null
+            }),
+            this.dbClient.getPeriodStats(shift.startTime, shift.endTime),
+            this.dbClient.getSessionRestartStatsForPeriod(shift.startTime, shift.endTime)
+        ]);
+
+        return {
+            ...report,
+            title: `Schichtbericht ${shift.name}`,
+            period: {
+                startDate: shift.startTime,
+                endDate: shift.endTime,
+                label: `${timeUtils.formatTimestamp(shift.startTime, 'datetime')} - ${timeUtils.formatTimestamp(shift.endTime, 'datetime')}`,
+                fileLabel: this.getFileBaseName(shift)
+            },
+            shift: {
+                name: shift.name,
+                sessions,
+                restarts
+            }
+        };
+    }
+
+    getFileBaseName(shift) {
+        const time = `${String(shift.startTime.getHours()).padStart(2, '0')}${String(shift.startTime.getMinutes()).padStart(2, '0')}`;
+        const name = `Schichtbericht_${this.exporter.toDateKey(shift.startTime)}_${time}_${shift.name}`;
+
+        return name.replace(/[\\/:*?"<>|\s]+/g, '-');
+    }
+
+    notify(entry) {
+        if (typeof this.onReportGenerated === 'function') {
+            try {
+                this.onReportGenerated(entry);
+            } catch (error) {
+                console.error('Fehler im Schichtbericht-Callback:', error);
+            }
+        }
+    }
+
+    // ===== HISTORIE =====
+
+    async loadHistory() {
+        try {
+            const content = await fs.promises.readFile(this.historyFile, 'utf8');
+            const history = JSON.parse(content);
+            this.history = Array.isArray(history) ? history : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('⚠️ Schichtbericht-Historie konnte nicht gelesen werden:', error.message);
+            }
+            this.history = [];
+        }
+    }
+
+    async addToHistory(entry) {
+        this.history = [entry, ...this.history.filter(existing => existing.key !== entry.key)]
+            .slice(0, this.historyLimit);
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.historyFile), { recursive: true });
+            await fs.promises.writeFile(this.historyFile, JSON.stringify(this.history, null, 2), 'utf8');
+        } catch (error) {
+            console.warn('⚠️ Schichtbericht-Historie konnte nicht gespeichert werden:', error.message);
+        }
+    }
+
+    getRecentReports(limit = 10) {
+        return this.history.slice(0, limit);
+    }
+
+    /**
+     * Datei eines erzeugten Berichts (nur aus der Historie, keine beliebigen Pfade)
+     */
+    findReportFile(key, format) {
+        const entry = this.history.find(existing => existing.key === key);
+        const file = entry ? entry.files.find(existing => existing.format === format) : null;
+        return file ? file.filePath : null;
+    }
+
+    getStatus() {
+        const nextShiftEnd = this.getNextShiftEnd(new Date());
+
+        return {
+            running: this.isRunning(),
+            shifts: this.shifts.map(shift => ({ name: shift.name, start: shift.label })),
+            formats: this.formats,
+            outputDir: this.outputDir,
+            nextReportAt: nextShiftEnd ? new Date(nextShiftEnd.getTime() + this.delayMs).toISOString() : null,
+            lastError: this.lastError
+        };
+    }
+
+    getNextShiftEnd(referenceTime) {
+        const candidates = [];
+
+        for (let dayOffset = 0; dayOffset <= 1; dayOffset++) {
+            for (const shift of this.shifts) {
+                candidates.push(new Date(
+                    referenceTime.getFullYear(),
+                    referenceTime.getMonth(),
+                    referenceTime.getDate() + dayOffset,
+                    Math.floor(shift.startMinutes / 60),
+                    shift.startMinutes % 60
+                ));
+            }
+        }
+
+        return candidates.sort((a, b) => a - b).find(time => time > referenceTime) || null;
+    }
+}
+
+ShiftReportScheduler.DEFAULT_SHIFT_DEFINITIONS = DEFAULT_SHIFT_DEFINITIONS;
+
+module.exports = ShiftReportScheduler;
@@ -0,0 +1,259 @@
+/**
+ * XLSXWriter - Schreibt einfache Excel-Arbeitsmappen (Office Open XML)
+ *
+ * Ohne externe Abhängigkeit: die Arbeitsmappe besteht aus wenigen XML-Dateien,
+ * die mit zlib in ein ZIP-Archiv gepackt werden. Unterstützt mehrere
+ * Tabellenblätter, fette Kopfzeile, Zahlen und Texte (Inline-Strings).
+ */
+
+const zlib = require('zlib');
+
+// ===== ZIP =====
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Packt Dateien in ein ZIP-Archiv (Deflate)
+ * @param {Array} files - [{ name, content }] mit content als String oder Buffer
+ * @returns {Buffer}
+ */
+function createZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    // DOS-Zeitstempel (fest, Inhalt zählt)
+    const dosTime = 0;
+    const dosDate = (1 << 5) | 1; // 1980-01-01
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);          // Version
+        local.writeUInt16LE(0x0800, 6);      // UTF-8 Dateinamen
+        local.writeUInt16LE(8, 8);           // Deflate
+        local.writeUInt16LE(dosTime, 10);
+        local.writeUInt16LE(dosDate, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(dosTime, 12);
+        central.writeUInt16LE(dosDate, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// ===== ARBEITSMAPPE =====
+
+// In XML 1.0 erlaubte Steuerzeichen: Tab, LF, CR
+const XML_ALLOWED_CONTROL_CHARS = [0x09, 0x0A, 0x0D];
+
+function isXmlChar(char) {
+    const code = char.charCodeAt(0);
+    return code >= 0x20 || XML_ALLOWED_CONTROL_CHARS.includes(code);
+}
+
+function escapeXml(value) {
+    return Array.from(String(value))
+        // In XML 1.0 nicht erlaubte Steuerzeichen (z.B. GS aus GS1-Codes) entfernen
+        .filter(isXmlChar)
+        .join('')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function columnName(index) {
+    let name = '';
+    let n = index + 1;
+    while (n > 0) {
+        const rest = (n - 1) % 26;
+        name = String.fromCharCode(65 + rest) + name;
+        n = Math.floor((n - 1) / 26);
+    }
+    return name;
+}
+
+/**
+ * Tabellenblatt-Namen: max. 31 Zeichen, ohne []:*?/\
+ */
+function sanitizeSheetName(name, index) {
+    const cleaned = String(name || `Blatt ${index + 1}`).replace(/[[\]:*?/\\]/g, ' ').trim();
+    return cleaned.substring(0, 31) || `Blatt ${index + 1}`;
+}
+
+function cellXml(value, reference, style) {
+    if (value === null || value === undefined || value === '') {
+        return style ? `<c r="${reference}" s="${style}"/>` : '';
+    }
+
+    const styleAttr = style ? ` s="${style}"` : '';
+
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${reference}"${styleAttr}><v>${value}</v></c>`;
+    }
+
+    if (typeof value === 'boolean') {
+        return `<c r="${reference}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+
+    return `<c r="${reference}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function sheetXml(sheet) {
+    const columns = sheet.columns;
+    const rows = [];
+
+    // Kopfzeile (Stil 1 = fett)
+    rows.push(`<row r="1">${columns.map((column, index) => cellXml(column.header, `${columnName(index)}1`, 1)).join('')}</row>`);
+
+    sheet.rows.forEach((row, rowIndex) => {
+        const rowNumber = rowIndex + 2;
+        const cells = columns.map((column, index) => cellXml(row[column.key], `${columnName(index)}${rowNumber}`, 0)).join('');
+        rows.push(`<row r="${rowNumber}">${cells}</row>`);
+    });
+
+    const cols = columns.map((column, index) =>
+        `<col min="${index + 1}" max="${index + 1}" width="${column.width || 15}" customWidth="1"/>`
+    ).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<cols>${cols}</cols>` +
+        `<sheetData>${rows.join('')}</sheetData>` +
+        '</worksheet>';
+}
+
+/**
+ * Erstellt eine XLSX-Datei
+ * @param {Array} sheets - [{ name, columns: [{ header, key, width }], rows: [Object] }]
+ * @returns {Buffer} - Inhalt der .xlsx-Datei
+ */
+function createWorkbook(sheets) {
+    if (!Array.isArray(sheets) || sheets.length === 0) {
+        throw new Error('Arbeitsmappe benötigt mindestens ein Tabellenblatt');
+    }
+
+    const names = sheets.map((sheet, index) => sanitizeSheetName(sheet.name, index));
+
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                sheets.map((sheet, index) =>
+                    `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+                ).join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                '<sheets>' +
+                names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+                '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                sheets.map((sheet, index) =>
+                    `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+                ).join('') +
+                `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/styles.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2">' +
+                '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+                '</cellXfs>' +
+                '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+                '</styleSheet>'
+        },
+        ...sheets.map((sheet, index) => ({
+            name: `xl/worksheets/sheet${index + 1}.xml`,
+            content: sheetXml(sheet)
+        }))
+    ];
+
+    return createZip(files);
+}
+
+module.exports = {
+    createWorkbook,
+    createZip,
+    crc32
+};
@@ -0,0 +1,347 @@
+/**
+ * EvdevRFIDListener - Linux-Treiber, liest den Leser direkt aus /dev/input/eventN
+ *
+ * Das Event-Gerät wird über Vendor-/Product-ID (RFID_VENDOR_ID, RFID_PRODUCT_ID)
+ * in /sys/class/input gefunden oder direkt per RFID_DEVICE_PATH angegeben
+ * (z.B. /dev/input/by-id/usb-...-event-kbd). Gelesen werden nur die Tastenereignisse
+ * dieses einen Geräts; andere Tastaturen bleiben unberührt.
+ *
+ * Damit die Tastenanschläge des Lesers nicht zusätzlich in der Desktop-Sitzung
+ * landen, wird das Gerät exklusiv geöffnet (EVIOCGRAB, optionales Paket "ioctl").
+ * Gelingt das nicht, wird das Gerät nicht gelesen - außer mit RFID_EVDEV_GRAB=false,
+ * wenn eine udev-Regel den Leser bereits für libinput ausblendet (siehe README).
+ * Ist beim Start kein Gerät lesbar, meldet start() false (Rückfall im RFIDReaderManager).
+ * Abziehen und Wiedereinstecken im Betrieb wird über einen Prüf-Intervall erkannt.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RFIDReaderBase = require('./rfid-reader-base');
+const RFIDListener = require('./rfid-listener');
+
+const SYS_INPUT_DIR = '/sys/class/input';
+const DEV_INPUT_DIR = '/dev/input';
+
+const EV_KEY = 0x01;
+const KEY_PRESSED = 1;
+
+// _IOW('E', 0x90, int) aus linux/input.h
+const EVIOCGRAB = 0x40044590;
+
+// struct input_event: timeval (2x long), type (u16), code (u16), value (s32)
+const EVENT_SIZE = ['x64', 'arm64', 'ppc64', 's390x', 'riscv64', 'loong64'].includes(os.arch()) ? 24 : 16;
+
+// Linux-Keycodes (input-event-codes.h) → Zeichen
+const LINUX_KEY_MAP = {
+    2: '1', 3: '2', 4: '3', 5: '4', 6: '5', 7: '6', 8: '7', 9: '8', 10: '9', 11: '0',
+    30: 'A', 48: 'B', 46: 'C', 32: 'D', 18: 'E', 33: 'F',
+    79: '1', 80: '2', 81: '3', 75: '4', 76: '5', 77: '6', 71: '7', 72: '8', 73: '9', 82: '0',
+    28: '\n', 96: '\n', // Enter, Keypad-Enter
+    57: ' '
+};
+
+class EvdevRFIDListener extends RFIDReaderBase {
+    constructor(callback = null, options = {}) {
+        super(callback, options);
+
+        this.vendorId = RFIDListener.parseUsbId(options.vendorId !== undefined ? options.vendorId : process.env.RFID_VENDOR_ID);
+        this.productId = RFIDListener.parseUsbId(options.productId !== undefined ? options.productId : process.env.RFID_PRODUCT_ID);
+        this.devicePath = options.devicePath || process.env.RFID_DEVICE_PATH || null;
+        this.reconnectInterval = options.reconnectInterval || parseInt(process.env.RFID_RECONNECT_INTERVAL) || 3000;
+        this.sysInputDir = options.sysInputDir || SYS_INPUT_DIR;
+        this.devInputDir = options.devInputDir || DEV_INPUT_DIR;
+        this.grab = options.grab !== undefined ? options.grab : process.env.RFID_EVDEV_GRAB !== 'false';
+        this.ioctl = options.ioctl || null;
+
+        this.streams = new Map(); // Gerätepfad -> ReadStream
+        this.reconnectTimer = null;
+        this.missingLogged = false;
+    }
+
+    get type() {
+        return 'evdev';
+    }
+
+    static isAvailable() {
+        return process.platform === 'linux' && fs.existsSync(SYS_INPUT_DIR);
+    }
+
+    /**
+     * ioctl laden (optionale Abhängigkeit)
+     * @returns {Function|null} - ioctl(fd, request, arg)
+     */
+    static loadIoctl() {
+        try {
+            return require('ioctl');
+        } catch (error) {
+            console.warn('⚠️ ioctl nicht verfügbar:', error.message.split('\n')[0]);
+            return null;
+        }
+    }
+
+    isConfigured() {
+        return !!this.devicePath || (this.vendorId !== null && this.productId !== null);
+    }
+
+    async start() {
+        if (this.isListening) {
+            return true;
+        }
+
+        if (process.platform !== 'linux') {
+            this.lastError = 'evdev nur unter Linux verfügbar';
+            return false;
+        }
+
+        if (!this.isConfigured()) {
+            this.lastError = 'RFID_VENDOR_ID/RFID_PRODUCT_ID nicht konfiguriert';
+            console.warn(`⚠️ evdev-RFID-Leser: ${this.lastError}`);
+            return false;
+        }
+
+        // Ohne geöffnetes Gerät scheitert der Start, damit der Manager auf hid/window zurückfällt
+        if (!this.tryConnect()) {
+            this.lastError = this.lastError || `Gerät nicht gefunden (${this.describeTarget()})`;
+            console.warn(`⚠️ evdev-RFID-Leser nicht gestartet: ${this.lastError}`);
+            return false;
+        }
+
+        this.isListening = true;
+        this.emit('started');
+
+        console.log(`🏷️ evdev-RFID-Leser gestartet (${this.describeTarget()})`);
+
+        this.reconnectTimer = setInterval(() => {
+            if (this.streams.size === 0) {
+                this.tryConnect();
+            }
+        }, this.reconnectInterval);
+
+        return true;
+    }
+
+    async stop() {
+        if (this.reconnectTimer) {
+            clearInterval(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        this.closeStreams();
+
+        if (this.isListening) {
+            this.isListening = false;
+            this.emit('stopped');
+            console.log('⏹️ evdev-RFID-Leser gestoppt');
+        }
+    }
+
+    describeTarget() {
+        return this.devicePath || `VID ${RFIDListener.formatUsbId(this.vendorId)} / PID ${RFIDListener.formatUsbId(this.productId)}`;
+    }
+
+    // ===== GERÄT =====
+
+    readSysValue(...parts) {
+        try {
+            return fs.readFileSync(path.join(this.sysInputDir, ...parts), 'utf8').trim();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Event-Geräte des Lesers suchen
+     * Ein Leser meldet oft mehrere Event-Geräte (Tastatur, Consumer-Control) - alle werden gelesen.
+     * @returns {Array<Object>} - [{ path, name }]
+     */
+    findDevices() {
+        if (this.devicePath) {
+            return fs.existsSync(this.devicePath) ? [{ path: this.devicePath, name: path.basename(this.devicePath) }] : [];
+        }
+
+        let entries;
+        try {
+            entries = fs.readdirSync(this.sysInputDir).filter(entry => /^event\d+$/.test(entry));
+        } catch (error) {
+            return [];
+        }
+
+        return entries
+            .filter(entry => {
+                const vendor = RFIDListener.parseUsbId(this.readSysValue(entry, 'device', 'id', 'vendor'));
+                const product = RFIDListener.parseUsbId(this.readSysValue(entry, 'device', 'id', 'product'));
+                const keyCaps = this.readSysValue(entry, 'device', 'capabilities', 'key');
+
+                return vendor === this.vendorId && product === this.productId && keyCaps && /[1-9a-f]/i.test(keyCaps);
+            })
+            .map(entry => ({
+                path: path.join(this.devInputDir, entry),
+                name: this.readSysValue(entry, 'device', 'name')
+            }));
+    }
+
+    tryConnect() {
+        const devices = this.findDevices();
+
+        if (devices.length === 0) {
+            if (!this.missingLogged) {
+                console.log(`🔌 evdev-RFID-Leser nicht angeschlossen (${this.describeTarget()})`);
+                this.missingLogged = true;
+            }
+            return false;
+        }
+
+        for (const device of devices) {
+            this.openStream(device);
+        }
+
+        if (this.streams.size === 0) {
+            return false;
+        }
+
+        this.missingLogged = false;
+        this.lastError = null;
+
+        if (this.deviceInfo) {
+            this.stats.reconnects++;
+        }
+
+        this.setConnected(true, {
+            name: devices[0].name,
+            vendorId: RFIDListener.formatUsbId(this.vendorId),
+            productId: RFIDListener.formatUsbId(this.productId),
+            paths: [...this.streams.keys()]
+        });
+
+        console.log(`✅ evdev-RFID-Leser geöffnet: ${devices[0].name || devices[0].path} (${this.streams.size} Event-Gerät(e))`);
+        return true;
+    }
+
+    /**
+     * Gerät exklusiv öffnen, damit seine Tastenanschläge nur hier ankommen
+     * Die Sperre hängt am Dateideskriptor und endet mit dessen Schließen.
+     * @param {number} fd - Dateideskriptor des Event-Geräts
+     */
+    grabDevice(fd) {
+        // Nur einmal laden: false merkt sich, dass das Paket fehlt
+        if (this.ioctl === null) {
+            this.ioctl = EvdevRFIDListener.loadIoctl() || false;
+        }
+
+        if (!this.ioctl) {
+            throw new Error('Paket "ioctl" für EVIOCGRAB nicht verfügbar');
+        }
+
+        this.ioctl(fd, EVIOCGRAB, 1);
+    }
+
+    openStream(device) {
+        let pending = Buffer.alloc(0);
+        let fd;
+
+        try {
+            // Synchron öffnen, damit fehlende Rechte nicht erst im Stream auffallen
+            fd = fs.openSync(device.path, 'r');
+        } catch (error) {
+            if (this.lastError !== error.message) {
+                console.error(`❌ evdev-RFID-Leser ohne Leserechte (${device.path}) - udev-Regel prüfen`);
+            }
+            this.lastError = error.message;
+            return;
+        }
+
+        if (this.grab) {
+            try {
+                this.grabDevice(fd);
+            } catch (error) {
+                fs.closeSync(fd);
+                if (this.lastError !== error.message) {
+                    console.error(`❌ evdev-RFID-Leser nicht exklusiv belegbar (${device.path}): ${error.message} - Tastenanschläge würden im Desktop landen. Ohne Sperre nur mit udev-Regel und RFID_EVDEV_GRAB=false`);
+                }
+                this.lastError = error.message;
+                return;
+            }
+        }
+
+        const stream = fs.createReadStream(null, { fd, highWaterMark: EVENT_SIZE * 64 });
+
+        stream.on('data', (chunk) => {
+            pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+
+            const complete = pending.length - (pending.length % EVENT_SIZE);
+            for (let offset = 0; offset < complete; offset += EVENT_SIZE) {
+                this.handleEvent(pending, offset);
+            }
+
+            pending = pending.subarray(complete);
+        });
+
+        // ENODEV beim Abziehen des Lesers
+        stream.on('error', error => this.handleStreamClosed(device.path, error));
+        stream.on('close', () => this.handleStreamClosed(device.path));
+
+        this.streams.set(device.path, stream);
+    }
+
+    handleEvent(buffer, offset) {
+        const typeOffset = offset + EVENT_SIZE - 8;
+        const type = buffer.readUInt16LE(typeOffset);
+        const code = buffer.readUInt16LE(typeOffset + 2);
+        const value = buffer.readInt32LE(typeOffset + 4);
+
+        if (type !== EV_KEY || value !== KEY_PRESSED) {
+            return;
+        }
+
+        const char = LINUX_KEY_MAP[code];
+        if (char) {
+            this.handleChar(char);
+        }
+    }
+
+    handleStreamClosed(devicePath, error = null) {
+        if (!this.streams.has(devicePath)) {
+            return;
+        }
+
+        this.streams.delete(devicePath);
+
+        if (error) {
+            console.warn(`🔌 evdev-RFID-Leser getrennt (${devicePath}): ${error.message}`);
+            this.lastError = error.message;
+        }
+
+        if (this.streams.size === 0) {
+            this.setConnected(false);
+        }
+    }
+
+    closeStreams() {
+        const streams = [...this.streams.values()];
+        this.streams.clear();
+
+        for (const stream of streams) {
+            stream.removeAllListeners();
+            stream.on('error', () => {});
+            stream.destroy();
+        }
+
+        this.setConnected(false);
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            reader: {
+                vendorId: RFIDListener.formatUsbId(this.vendorId),
+                productId: RFIDListener.formatUsbId(this.productId),
+                devicePath: this.devicePath,
+                grab: this.grab,
+                reconnectInterval: this.reconnectInterval
+            }
+        };
+    }
+}
+
+module.exports = EvdevRFIDListener;
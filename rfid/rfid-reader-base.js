@@ -0,0 +1,240 @@
+/**
+ * RFIDReaderBase - gemeinsame Tag-Verarbeitung aller RFID-Treiber
+ *
+ * Die Treiber liefern nur Zeichen (handleChar) bzw. fertige Tag-IDs (submitTag).
+ * Puffer, Eingabe-Timeout, Formatprüfung, Duplikat-Schutz, Statistiken und das
+ * 'tag'-Event samt Callback liegen hier, damit sich alle Leser gleich verhalten.
+ *
+ * Treiber-Schnittstelle (siehe RFIDReaderManager):
+ *   start()      - Leser öffnen bzw. auf ihn warten; false nur, wenn der Treiber hier nicht nutzbar ist
+ *   stop()       - Leser schließen, Timer beenden
+ *   type         - Kennung für Status und Logs
+ *   lastError    - Grund, falls start() false liefert oder der Leser getrennt wurde
+ *
+ * Events: 'tag' (tagId), 'invalid-tag', 'duplicate-scan', 'connected', 'disconnected',
+ *         'started', 'stopped', 'error'
+ */
+
+const EventEmitter = require('events');
+
+class RFIDReaderBase extends EventEmitter {
+    constructor(callback = null, options = {}) {
+        super();
+
+        this.callback = callback;
+        this.isListening = false;
+        this.deviceConnected = false;
+        this.deviceInfo = null;
+        this.lastError = null;
+        this.buffer = '';
+        this.lastInputTime = 0;
+        this.lastScanTime = 0;
+
+        this.inputTimeout = options.inputTimeout || parseFloat(process.env.RFID_INPUT_TIMEOUT) || 500; // ms
+        this.minScanInterval = options.minScanInterval || parseFloat(process.env.RFID_MIN_SCAN_INTERVAL) || 1000; // ms
+        this.maxBufferLength = options.maxBufferLength || parseInt(process.env.RFID_MAX_BUFFER_LENGTH) || 15;
+
+        // Zulässige Tag-Länge in Hex-Zeichen (UHF-EPCs sind deutlich länger als 125-kHz/MIFARE-IDs)
+        this.minTagLength = options.minTagLength || parseInt(process.env.RFID_TAG_MIN_LENGTH) || 6;
+        this.maxTagLength = options.maxTagLength || parseInt(process.env.RFID_TAG_MAX_LENGTH) || 14;
+
+        this.stats = RFIDReaderBase.createStats();
+    }
+
+    static createStats() {
+        return {
+            totalScans: 0,
+            validScans: 0,
+            invalidScans: 0,
+            duplicateScans: 0,
+            reconnects: 0,
+            startTime: new Date()
+        };
+    }
+
+    /**
+     * Treiber-Kennung für Status und Logs (von den Treibern überschrieben)
+     */
+    get type() {
+        return 'base';
+    }
+
+    // ===== EINGABE =====
+
+    /**
+     * Einzelnes Zeichen vom Leser: Hex-Zeichen landen im Puffer, Zeilenende schließt den Tag ab
+     * @param {string} char - Zeichen ('\n' für Enter)
+     */
+    handleChar(char) {
+        const now = Date.now();
+
+        if (this.buffer && (now - this.lastInputTime) > this.inputTimeout) {
+            console.log(`RFID Input-Timeout, Buffer zurückgesetzt: "${this.buffer}"`);
+            this.buffer = '';
+        }
+
+        this.lastInputTime = now;
+
+        if (char === '\n' || char === '\r') {
+            this.processBuffer();
+            return;
+        }
+
+        if (/^[0-9A-Fa-f]$/.test(char)) {
+            this.buffer += char.toUpperCase();
+
+            if (this.buffer.length > this.maxBufferLength) {
+                this.buffer = this.buffer.slice(-this.maxBufferLength);
+            }
+            return;
+        }
+
+        // Fremdes Zeichen: langer Puffer gilt als Tag-Ende, kurzer als Störung
+        if (this.buffer.length >= 8) {
+            this.processBuffer();
+        } else if (this.buffer) {
+            console.log(`RFID ungültiges Zeichen '${char}', Buffer zurückgesetzt: "${this.buffer}"`);
+            this.buffer = '';
+        }
+    }
+
+    processBuffer() {
+        if (!this.buffer) {
+            return;
+        }
+
+        const tagId = this.buffer;
+        this.buffer = '';
+        this.submitTag(tagId);
+    }
+
+    /**
+     * Fertige Tag-ID prüfen und weitergeben
+     * @param {string} rawTagId - Tag-ID wie vom Leser geliefert
+     * @returns {boolean} - true wenn der Tag weitergegeben wurde
+     */
+    submitTag(rawTagId) {
+        const tagId = String(rawTagId || '').trim().toUpperCase();
+
+        this.stats.totalScans++;
+
+        if (!this.validateTag(tagId)) {
+            console.log(`❌ RFID ungültiges Tag-Format: "${tagId}"`);
+            this.stats.invalidScans++;
+            this.emit('invalid-tag', { tagId, reason: 'format' });
+            return false;
+        }
+
+        const now = Date.now();
+        if (now - this.lastScanTime < this.minScanInterval) {
+            console.log(`❌ RFID Scan zu schnell (${now - this.lastScanTime}ms < ${this.minScanInterval}ms): ${tagId}`);
+            this.stats.duplicateScans++;
+            this.emit('duplicate-scan', { tagId, interval: now - this.lastScanTime });
+            return false;
+        }
+
+        this.lastScanTime = now;
+        this.stats.validScans++;
+
+        console.log(`✅ RFID Tag erkannt (${this.type}): ${tagId}`);
+
+        this.emit('tag', tagId);
+
+        if (this.callback && typeof this.callback === 'function') {
+            try {
+                this.callback(tagId);
+            } catch (error) {
+                console.error('Fehler im RFID-Callback:', error);
+                this.emit('callback-error', { tagId, error });
+            }
+        }
+
+        return true;
+    }
+
+    validateTag(tagId) {
+        if (!tagId || typeof tagId !== 'string') {
+            return false;
+        }
+
+        const cleanTag = tagId.trim().toUpperCase();
+
+        // Länge laut Konfiguration (Standard 6-14 Hex-Zeichen), nicht Null
+        if (cleanTag.length < this.minTagLength || cleanTag.length > this.maxTagLength) {
+            return false;
+        }
+
+        if (!/^[0-9A-F]+$/.test(cleanTag)) {
+            return false;
+        }
+
+        return /[1-9A-F]/.test(cleanTag);
+    }
+
+    // ===== VERBINDUNG =====
+
+    setConnected(connected, deviceInfo = null) {
+        const changed = this.deviceConnected !== connected;
+
+        this.deviceConnected = connected;
+        this.deviceInfo = connected ? deviceInfo : this.deviceInfo;
+        this.buffer = '';
+
+        if (changed) {
+            this.emit(connected ? 'connected' : 'disconnected', deviceInfo);
+        }
+    }
+
+    // ===== STATUS & TEST =====
+
+    getStatus() {
+        const uptime = Date.now() - this.stats.startTime.getTime();
+
+        return {
+            listening: this.isListening,
+            deviceConnected: this.deviceConnected,
+            device: this.deviceInfo,
+            buffer: this.buffer,
+            lastScanTime: this.lastScanTime,
+            lastError: this.lastError,
+            type: this.type,
+            config: {
+                minScanInterval: this.minScanInterval,
+                inputTimeout: this.inputTimeout,
+                maxBufferLength: this.maxBufferLength,
+                minTagLength: this.minTagLength,
+                maxTagLength: this.maxTagLength
+            },
+            stats: {
+                ...this.stats,
+                uptime: Math.floor(uptime / 1000),
+                successRate: this.stats.totalScans > 0 ? (this.stats.validScans / this.stats.totalScans * 100) : 0
+            }
+        };
+    }
+
+    clearBuffer() {
+        this.buffer = '';
+    }
+
+    setMinScanInterval(interval) {
+        this.minScanInterval = Math.max(100, interval); // Minimum 100ms
+        console.log(`RFID Scan-Intervall: ${this.minScanInterval}ms`);
+    }
+
+    resetStats() {
+        this.stats = RFIDReaderBase.createStats();
+    }
+
+    simulateTag(tagId) {
+        if (!this.validateTag(tagId)) {
+            console.error(`❌ RFID Simulation fehlgeschlagen - ungültige Tag-ID: "${tagId}"`);
+            return false;
+        }
+
+        console.log(`🧪 RFID Simulation (${this.type}): ${tagId}`);
+        return this.submitTag(tagId);
+    }
+}
+
+module.exports = RFIDReaderBase;
@@ -0,0 +1,192 @@
+/**
+ * RFIDReaderManager - wählt den RFID-Treiber der Station und fällt bei Bedarf zurück
+ *
+ * RFID_READER_MODE:
+ *   auto     - (Standard) mit RFID_SERIAL_PORT seriell, sonst Leser per VID/PID direkt
+ *              lesen: Linux evdev, sonst node-hid; ohne konfigurierten Leser: Fenster-Listener
+ *   evdev    - nur Linux, /dev/input/eventN des Lesers
+ *   hid      - node-hid, HID-Interface des Lesers
+ *   serial   - serieller Leser (USB-CDC, RS-232, tcp://), Protokoll per RFID_SERIAL_PROTOCOL
+ *   window   - Tastatur-Emulation, nur bei fokussiertem App-Fenster
+ *   keyboard - alter Listener mit globalen Shortcuts (blockiert 0-9/A-F/Enter systemweit)
+ *   off      - kein Leser, Tags nur per Simulation/manueller Eingabe
+ *
+ * Nach außen verhält sich der Manager wie ein einzelner Listener (start, stop,
+ * getStatus, simulateTag) und reicht die Events des aktiven Treibers durch.
+ */
+
+const EventEmitter = require('events');
+const RFIDListener = require('./rfid-listener');
+const EvdevRFIDListener = require('./evdev-rfid-listener');
+const WindowRFIDListener = require('./window-rfid-listener');
+const SerialRFIDListener = require('./serial-rfid-listener');
+const RFIDTagFormat = require('../utils/rfid-tag-format');
+
+// Treiber nach Modus; jeder erfüllt die Schnittstelle aus rfid-reader-base.js
+const DRIVERS = {
+    evdev: EvdevRFIDListener,
+    hid: RFIDListener,
+    serial: SerialRFIDListener,
+    window: WindowRFIDListener
+};
+
+const MODES = ['auto', ...Object.keys(DRIVERS), 'keyboard', 'off'];
+const FORWARDED_EVENTS = ['tag', 'connected', 'disconnected', 'invalid-tag', 'duplicate-scan', 'error'];
+
+class RFIDReaderManager extends EventEmitter {
+    constructor(callback = null, options = {}) {
+        super();
+
+        this.callback = callback;
+        this.options = options;
+        this.requestedMode = RFIDReaderManager.parseMode(options.mode || process.env.RFID_READER_MODE || 'auto');
+        this.mode = null;
+        this.reader = null;
+        this.fallbackReason = null;
+        this.isListening = false;
+    }
+
+    static parseMode(mode) {
+        const normalized = String(mode).trim().toLowerCase();
+
+        if (!MODES.includes(normalized)) {
+            console.warn(`⚠️ Unbekannter RFID-Modus "${mode}" - verwende auto`);
+            return 'auto';
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Treiber-Reihenfolge für den gewünschten Modus
+     * @returns {Array<string>}
+     */
+    getCandidateModes() {
+        switch (this.requestedMode) {
+            case 'auto': {
+                const candidates = [];
+                if (this.options.port || process.env.RFID_SERIAL_PORT) candidates.push('serial');
+                if (EvdevRFIDListener.isAvailable()) candidates.push('evdev');
+                candidates.push('hid');
+                candidates.push('window');
+                return candidates;
+            }
+            case 'evdev':
+            case 'hid':
+            case 'serial':
+                return [this.requestedMode, 'window'];
+            default:
+                return [this.requestedMode];
+        }
+    }
+
+    createReader(mode) {
+        if (DRIVERS[mode]) {
+            return new DRIVERS[mode](this.callback, this.options);
+        }
+
+        if (mode === 'keyboard') {
+            console.warn('⚠️ RFID_READER_MODE=keyboard registriert globale Shortcuts - 0-9, A-F und Enter sind in anderen Programmen blockiert');
+            const SimpleRFIDListener = require('./simple-rfid-listener');
+            return new SimpleRFIDListener(this.callback);
+        }
+
+        return null;
+    }
+
+    async start() {
+        if (this.isListening) {
+            return true;
+        }
+
+        if (this.requestedMode === 'off') {
+            console.log('🏷️ RFID-Leser deaktiviert (RFID_READER_MODE=off)');
+            return false;
+        }
+
+        const reasons = [];
+
+        for (const mode of this.getCandidateModes()) {
+            const reader = this.createReader(mode);
+            const started = await reader.start();
+
+            if (started) {
+                this.reader = reader;
+                this.mode = mode;
+                this.fallbackReason = reasons.length > 0 ? reasons.join('; ') : null;
+                this.isListening = true;
+                this.forwardEvents(reader);
+
+                if (this.fallbackReason) {
+                    console.warn(`⚠️ RFID-Rückfall auf "${mode}": ${this.fallbackReason}`);
+                }
+
+                return true;
+            }
+
+            reasons.push(`${mode}: ${reader.lastError || 'Start fehlgeschlagen'}`);
+            await reader.stop();
+        }
+
+        this.fallbackReason = reasons.join('; ');
+        console.error(`❌ Kein RFID-Treiber gestartet (${this.fallbackReason})`);
+        return false;
+    }
+
+    async stop() {
+        if (this.reader) {
+            this.reader.removeAllListeners();
+            await this.reader.stop();
+            this.reader = null;
+        }
+
+        this.isListening = false;
+    }
+
+    forwardEvents(reader) {
+        for (const eventName of FORWARDED_EVENTS) {
+            reader.on(eventName, (...args) => this.emit(eventName, ...args));
+        }
+    }
+
+    /**
+     * Leser bereit? Bei evdev/hid/serial erst, wenn das Gerät tatsächlich verbunden ist
+     */
+    isConnected() {
+        if (!this.reader) {
+            return false;
+        }
+
+        const status = this.reader.getStatus();
+        return !!status.listening && status.deviceConnected !== false;
+    }
+
+    getStatus() {
+        const status = this.reader ? this.reader.getStatus() : { listening: false, deviceConnected: false, type: 'not-available' };
+
+        return {
+            ...status,
+            mode: this.mode,
+            requestedMode: this.requestedMode,
+            fallback: !!this.mode && this.mode !== this.requestedMode && this.requestedMode !== 'auto',
+            fallbackReason: this.fallbackReason,
+            tagFormat: RFIDTagFormat.getShared().getConfig()
+        };
+    }
+
+    simulateTag(tagId) {
+        if (!this.reader) {
+            return false;
+        }
+
+        return this.reader.simulateTag(tagId);
+    }
+
+    static async listHIDDevices() {
+        return RFIDListener.listHIDDevices();
+    }
+}
+
+RFIDReaderManager.MODES = MODES;
+
+module.exports = RFIDReaderManager;
@@ -0,0 +1,233 @@
+/**
+ * Protokolle serieller RFID-Leser (USB-CDC, RS-232, Serial-over-TCP)
+ *
+ * Ein Protokoll zerlegt den Byte-Strom des Lesers in Tag-IDs (Hex, Großbuchstaben).
+ * Schnittstelle:
+ *   decode(chunk)    - Bytes anhängen, vollständige Tags als Array liefern
+ *   pollCommand()    - Befehl, den der Treiber zyklisch sendet (oder null)
+ *   pollInterval     - Abstand der Befehle in ms (0 = Leser liest selbstständig)
+ *   continuous       - true, wenn der Leser einen Tag im Feld wiederholt meldet (UHF)
+ *   reset()          - Teilpuffer verwerfen (nach Verbindungsabbruch)
+ *
+ *   line       - Textzeilen, z.B. "04A1B2C3D4\r\n" oder STX/ETX-gerahmt; Tag per RFID_SERIAL_LINE_PATTERN
+ *   uhf-r2000  - Binärrahmen der R2000-UHF-Leser (Kopf 0xA0, Echtzeit-Inventur 0x89)
+ */
+
+const STX = 0x02;
+const ETX = 0x03;
+const MAX_PENDING_BYTES = 4096;
+
+class LineProtocol {
+    constructor(options = {}) {
+        const pattern = options.linePattern || process.env.RFID_SERIAL_LINE_PATTERN || '([0-9A-Fa-f]{4,})';
+
+        this.pattern = new RegExp(pattern);
+        this.pending = '';
+        this.pollInterval = 0;
+        this.continuous = false;
+    }
+
+    get name() {
+        return 'line';
+    }
+
+    decode(chunk) {
+        // STX/ETX-Rahmen: ETX beendet die Zeile wie CR/LF, STX wird verworfen
+        const text = (this.pending + Buffer.from(chunk).toString('latin1'))
+            .split(String.fromCharCode(ETX)).join('\n')
+            .split(String.fromCharCode(STX)).join('');
+        const lines = text.split(/[\r\n]/);
+
+        this.pending = lines.pop();
+        if (this.pending.length > MAX_PENDING_BYTES) {
+            this.pending = '';
+        }
+
+        const tags = [];
+
+        for (const rawLine of lines) {
+            const line = rawLine.trim();
+            if (!line) continue;
+
+            const match = line.match(this.pattern);
+            if (!match) {
+                console.log(`RFID serielle Zeile ohne Tag ignoriert: "${line}"`);
+                continue;
+            }
+
+            tags.push((match[1] || match[0]).toUpperCase());
+        }
+
+        return tags;
+    }
+
+    pollCommand() {
+        return null;
+    }
+
+    reset() {
+        this.pending = '';
+    }
+}
+
+/**
+ * R2000-Protokoll (Impinj-R2000-basierte UHF-Leser)
+ *
+ * Rahmen: Kopf 0xA0 | Länge | Adresse | Befehl | Daten | Prüfsumme
+ * Länge zählt die Bytes ab Adresse inkl. Prüfsumme; Prüfsumme ist das
+ * Zweierkomplement der Bytesumme von Kopf bis zum letzten Datenbyte.
+ * Tag-Rahmen der Echtzeit-Inventur: Frequenz/Antenne | PC (2) | EPC | RSSI
+ */
+class R2000Protocol {
+    constructor(options = {}) {
+        const address = options.address !== undefined ? options.address : parseInt(process.env.RFID_UHF_ADDRESS);
+        const interval = options.pollInterval !== undefined ? options.pollInterval : parseInt(process.env.RFID_UHF_INVENTORY_INTERVAL);
+
+        const epcBytes = options.epcBytes !== undefined ? options.epcBytes : parseInt(process.env.RFID_UHF_EPC_BYTES);
+
+        this.address = Number.isInteger(address) ? address & 0xFF : 0xFF; // 0xFF = öffentliche Adresse
+        this.epcBytes = Number.isNaN(epcBytes) ? R2000Protocol.DEFAULT_EPC_BYTES : epcBytes;
+
+        // ScannBenutzer.EPC ist BIGINT: mehr als 7 Bytes der EPC passen nicht sicher hinein
+        if (!Number.isInteger(this.epcBytes) || this.epcBytes < 1 || this.epcBytes > R2000Protocol.MAX_EPC_BYTES) {
+            throw new Error(`RFID_UHF_EPC_BYTES=${epcBytes} ungültig: 1-${R2000Protocol.MAX_EPC_BYTES} Bytes vom Ende der EPC (Tag wird als BIGINT gespeichert)`);
+        }
+        this.pollInterval = Number.isInteger(interval) && interval >= 0 ? interval : 500;
+        this.pending = Buffer.alloc(0);
+        this.continuous = true;
+    }
+
+    get name() {
+        return 'uhf-r2000';
+    }
+
+    static checksum(bytes) {
+        let sum = 0;
+        for (const byte of bytes) {
+            sum = (sum + byte) & 0xFF;
+        }
+        return ((~sum) + 1) & 0xFF;
+    }
+
+    static buildFrame(address, command, data = []) {
+        const body = [R2000Protocol.HEAD, data.length + 3, address, command, ...data];
+        return Buffer.from([...body, R2000Protocol.checksum(body)]);
+    }
+
+    /**
+     * Echtzeit-Inventur anstoßen (1 Durchlauf)
+     */
+    pollCommand() {
+        return this.pollInterval > 0 ? R2000Protocol.buildFrame(this.address, R2000Protocol.CMD_REAL_TIME_INVENTORY, [0x01]) : null;
+    }
+
+    decode(chunk) {
+        this.pending = Buffer.concat([this.pending, Buffer.from(chunk)]);
+        if (this.pending.length > MAX_PENDING_BYTES) {
+            this.pending = this.pending.subarray(this.pending.length - MAX_PENDING_BYTES);
+        }
+
+        const tags = [];
+
+        while (this.pending.length >= 2) {
+            const head = this.pending.indexOf(R2000Protocol.HEAD);
+            if (head < 0) {
+                this.pending = Buffer.alloc(0);
+                break;
+            }
+            if (head > 0) {
+                this.pending = this.pending.subarray(head);
+                continue;
+            }
+
+            const length = this.pending[1];
+            if (length < 3) {
+                this.pending = this.pending.subarray(1);
+                continue;
+            }
+
+            const total = length + 2;
+            if (this.pending.length < total) {
+                break;
+            }
+
+            const frame = this.pending.subarray(0, total);
+            if (R2000Protocol.checksum(frame.subarray(0, total - 1)) !== frame[total - 1]) {
+                // Kein gültiger Rahmen - ab dem nächsten Byte neu synchronisieren
+                this.pending = this.pending.subarray(1);
+                continue;
+            }
+
+            this.pending = this.pending.subarray(total);
+
+            const tagId = this.parseTagFrame(frame);
+            if (tagId) {
+                tags.push(tagId);
+            }
+        }
+
+        return tags;
+    }
+
+    /**
+     * EPC aus einem Tag-Rahmen; Abschluss- und Fehlerrahmen liefern null
+     */
+    parseTagFrame(frame) {
+        if (!R2000Protocol.INVENTORY_COMMANDS.includes(frame[3]) || frame.length < 9) {
+            return null;
+        }
+
+        // PC-Wort: obere 5 Bit = EPC-Länge in 16-Bit-Worten
+        const epcLength = (frame[5] >> 3) * 2;
+        if (epcLength === 0 || frame[1] !== epcLength + 7) {
+            return null;
+        }
+
+        let epc = frame.subarray(7, 7 + epcLength);
+        if (this.epcBytes < epc.length) {
+            epc = epc.subarray(epc.length - this.epcBytes);
+        }
+
+        return epc.toString('hex').toUpperCase();
+    }
+
+    reset() {
+        this.pending = Buffer.alloc(0);
+    }
+}
+
+R2000Protocol.HEAD = 0xA0;
+R2000Protocol.CMD_REAL_TIME_INVENTORY = 0x89;
+// Echtzeit-Inventur, Inventur mit Sitzung, Antennenwechsel - gleiches Tag-Format
+R2000Protocol.INVENTORY_COMMANDS = [0x89, 0x8A, 0x8B];
+R2000Protocol.DEFAULT_EPC_BYTES = 7; // Seriennummer am Ende der EPC, 14 Hex-Zeichen
+R2000Protocol.MAX_EPC_BYTES = 7;
+
+const PROTOCOLS = {
+    line: LineProtocol,
+    'uhf-r2000': R2000Protocol
+};
+
+/**
+ * @param {string} name - Protokollname (RFID_SERIAL_PROTOCOL)
+ * @param {Object} options
+ * @returns {LineProtocol|R2000Protocol}
+ */
+function createProtocol(name, options = {}) {
+    const Protocol = PROTOCOLS[String(name || 'line').trim().toLowerCase()];
+
+    if (!Protocol) {
+        throw new Error(`Unbekanntes RFID-Protokoll "${name}" (verfügbar: ${Object.keys(PROTOCOLS).join(', ')})`);
+    }
+
+    return new Protocol(options);
+}
+
+module.exports = {
+    createProtocol,
+    LineProtocol,
+    R2000Protocol,
+    PROTOCOL_NAMES: Object.keys(PROTOCOLS),
+    STX,
+    ETX
+};
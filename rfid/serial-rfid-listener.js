@@ -0,0 +1,302 @@
+/**
+ * SerialRFIDListener - Treiber für serielle Leser (USB-CDC, RS-232) und Serial-over-TCP
+ *
+ * RFID_SERIAL_PORT ist ein Gerätepfad (COM3, /dev/ttyACM0, /dev/serial/by-id/...) oder
+ * tcp://host:port für Seriell-Ethernet-Umsetzer bzw. die Leser-Attrappe. Das Protokoll
+ * (RFID_SERIAL_PROTOCOL) zerlegt den Byte-Strom in Tag-IDs, siehe serial-protocols.js.
+ * Verschwindet der Port (Leser abgezogen, Umsetzer neu gestartet), wird er im
+ * Intervall RFID_RECONNECT_INTERVAL erneut geöffnet.
+ *
+ * Serielle Ports benötigen das optionale Paket "serialport"; tcp:// funktioniert ohne.
+ */
+
+const net = require('net');
+const RFIDReaderBase = require('./rfid-reader-base');
+const { createProtocol } = require('./serial-protocols');
+
+const TCP_PREFIX = 'tcp://';
+
+class SerialRFIDListener extends RFIDReaderBase {
+    constructor(callback = null, options = {}) {
+        const protocolName = options.protocol || process.env.RFID_SERIAL_PROTOCOL || 'line';
+
+        // UHF-EPCs werden auf RFID_UHF_EPC_BYTES (höchstens 7 Bytes) gekürzt und passen in die üblichen 6-14 Hex-Zeichen
+        super(callback, options);
+
+        this.portPath = options.port || process.env.RFID_SERIAL_PORT || null;
+        this.baudRate = options.baudRate || parseInt(process.env.RFID_SERIAL_BAUD_RATE) || 9600;
+        this.reconnectInterval = options.reconnectInterval || parseInt(process.env.RFID_RECONNECT_INTERVAL) || 3000;
+        // UHF: Tag im Feld erst nach dieser Abwesenheit erneut melden
+        this.tagHoldTime = options.tagHoldTime || parseInt(process.env.RFID_UHF_TAG_HOLD_MS) || 3000;
+
+        this.protocolName = protocolName;
+        this.protocol = null;
+        this.protocolError = null;
+        try {
+            this.protocol = createProtocol(protocolName, options);
+        } catch (error) {
+            this.protocolError = error.message;
+        }
+
+        this.SerialPort = options.SerialPort || null;
+        this.port = null;
+        this.reconnectTimer = null;
+        this.pollTimer = null;
+        this.lastSeen = new Map(); // Tag-ID -> letzte Sichtung (UHF)
+        this.missingLogged = false;
+    }
+
+    get type() {
+        return 'serial';
+    }
+
+    isTcp() {
+        return !!this.portPath && this.portPath.toLowerCase().startsWith(TCP_PREFIX);
+    }
+
+    /**
+     * serialport laden (optionale Abhängigkeit)
+     * @returns {Function|null} - SerialPort-Klasse
+     */
+    static loadSerialPort() {
+        try {
+            return require('serialport').SerialPort;
+        } catch (error) {
+            console.warn('⚠️ serialport nicht verfügbar:', error.message.split('\n')[0]);
+            return null;
+        }
+    }
+
+    async start() {
+        if (this.isListening) {
+            return true;
+        }
+
+        if (!this.portPath) {
+            this.lastError = 'RFID_SERIAL_PORT nicht konfiguriert';
+            console.warn(`⚠️ Serieller RFID-Leser: ${this.lastError}`);
+            return false;
+        }
+
+        if (!this.protocol) {
+            this.lastError = this.protocolError;
+            console.warn(`⚠️ Serieller RFID-Leser: ${this.lastError}`);
+            return false;
+        }
+
+        if (!this.isTcp()) {
+            this.SerialPort = this.SerialPort || SerialRFIDListener.loadSerialPort();
+            if (!this.SerialPort) {
+                this.lastError = 'Paket "serialport" nicht installiert';
+                return false;
+            }
+        }
+
+        this.isListening = true;
+        this.emit('started');
+
+        console.log(`🏷️ Serieller RFID-Leser gestartet (${this.portPath}, ${this.protocol.name}${this.isTcp() ? '' : `, ${this.baudRate} Baud`})`);
+
+        this.tryConnect();
+        this.reconnectTimer = setInterval(() => {
+            if (!this.port) {
+                this.tryConnect();
+            }
+        }, this.reconnectInterval);
+
+        return true;
+    }
+
+    async stop() {
+        if (this.reconnectTimer) {
+            clearInterval(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        this.closePort();
+
+        if (this.isListening) {
+            this.isListening = false;
+            this.emit('stopped');
+            console.log('⏹️ Serieller RFID-Leser gestoppt');
+        }
+    }
+
+    // ===== PORT =====
+
+    /**
+     * Port öffnen; seriell und TCP liefern beide einen Duplex-Stream
+     */
+    openPort() {
+        if (this.isTcp()) {
+            const url = new URL(this.portPath);
+            return net.connect({ host: url.hostname, port: parseInt(url.port) || 4001 });
+        }
+
+        return new this.SerialPort({ path: this.portPath, baudRate: this.baudRate });
+    }
+
+    tryConnect() {
+        let port;
+
+        try {
+            port = this.openPort();
+        } catch (error) {
+            this.handlePortError(error);
+            return;
+        }
+
+        this.port = port;
+        this.protocol.reset();
+
+        port.on(this.isTcp() ? 'connect' : 'open', () => this.handlePortOpen());
+        port.on('data', chunk => this.handleData(chunk));
+        port.on('error', error => this.handlePortError(error, port));
+        port.on('close', () => this.handlePortClosed(port));
+    }
+
+    handlePortOpen() {
+        this.missingLogged = false;
+        this.lastError = null;
+
+        if (this.deviceInfo) {
+            this.stats.reconnects++;
+        }
+
+        this.setConnected(true, {
+            port: this.portPath,
+            protocol: this.protocol.name,
+            baudRate: this.isTcp() ? null : this.baudRate
+        });
+
+        console.log(`✅ Serieller RFID-Leser verbunden: ${this.portPath}`);
+        this.startPolling();
+    }
+
+    handlePortError(error, port = null) {
+        // Fehlender Port wird nur einmal gemeldet, danach still erneut versucht
+        if (!this.missingLogged) {
+            console.warn(`🔌 Serieller RFID-Leser nicht erreichbar (${this.portPath}): ${error.message} - neuer Versuch alle ${this.reconnectInterval}ms`);
+            this.missingLogged = true;
+        }
+        this.lastError = error.message;
+
+        if (port && port === this.port) {
+            this.closePort();
+        }
+    }
+
+    handlePortClosed(port) {
+        if (port !== this.port) {
+            return;
+        }
+
+        if (this.deviceConnected) {
+            console.warn(`🔌 Serieller RFID-Leser getrennt (${this.portPath})`);
+        }
+        this.closePort();
+    }
+
+    closePort() {
+        this.stopPolling();
+
+        if (this.port) {
+            const port = this.port;
+            this.port = null;
+
+            port.removeAllListeners();
+            port.on('error', () => {});
+
+            try {
+                if (this.isTcp()) {
+                    port.destroy();
+                } else if (port.isOpen) {
+                    port.close();
+                }
+            } catch (error) {
+                // Port ist bereits weg
+            }
+        }
+
+        this.setConnected(false);
+    }
+
+    // ===== INVENTUR (UHF) =====
+
+    startPolling() {
+        const command = this.protocol.pollCommand();
+        if (!command || this.pollTimer) {
+            return;
+        }
+
+        this.pollTimer = setInterval(() => {
+            if (this.port && this.deviceConnected) {
+                this.port.write(command);
+            }
+        }, this.protocol.pollInterval);
+    }
+
+    stopPolling() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    // ===== DATEN =====
+
+    handleData(chunk) {
+        let tags;
+
+        try {
+            tags = this.protocol.decode(chunk);
+        } catch (error) {
+            console.error('Fehler beim Dekodieren der RFID-Daten:', error);
+            this.protocol.reset();
+            return;
+        }
+
+        for (const tagId of tags) {
+            if (this.protocol.continuous && this.isTagHeld(tagId)) {
+                continue;
+            }
+            this.submitTag(tagId);
+        }
+    }
+
+    /**
+     * UHF-Leser melden einen Tag im Feld mehrmals pro Sekunde. Gemeldet wird er erst
+     * wieder, nachdem er tagHoldTime lang nicht gesehen wurde - sonst würde ein Badge
+     * am Arbeitsplatz im Sekundentakt an- und abmelden.
+     */
+    isTagHeld(tagId) {
+        const now = Date.now();
+        const lastSeen = this.lastSeen.get(tagId);
+
+        this.lastSeen.set(tagId, now);
+
+        if (this.lastSeen.size > 256) {
+            for (const [id, seen] of this.lastSeen) {
+                if (now - seen > this.tagHoldTime) this.lastSeen.delete(id);
+            }
+        }
+
+        return lastSeen !== undefined && now - lastSeen < this.tagHoldTime;
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            reader: {
+                port: this.portPath,
+                protocol: this.protocolName,
+                baudRate: this.baudRate,
+                reconnectInterval: this.reconnectInterval,
+                tagHoldTime: this.protocol && this.protocol.continuous ? this.tagHoldTime : null,
+                inventoryInterval: this.protocol ? this.protocol.pollInterval : null
+            }
+        };
+    }
+}
+
+module.exports = SerialRFIDListener;
@@ -0,0 +1,215 @@
+/**
+ * WindowRFIDListener - Rückfallebene ohne Gerätezugriff
+ *
+ * Liest Tastenanschläge nur, solange ein Fenster der App den Fokus hat
+ * (before-input-event der WebContents). Es werden keine globalen Shortcuts
+ * registriert; andere Programme und Tastaturen bleiben unberührt.
+ * Als Tag gilt nur eine schnelle Folge von Hex-Zeichen mit Enter, wie sie ein
+ * Leser in Tastatur-Emulation tippt (RFID_WINDOW_MAX_KEY_INTERVAL).
+ *
+ * Damit ein Tag nicht im fokussierten Eingabefeld landet, werden Hex-Zeichen
+ * zunächst zurückgehalten (preventDefault). Endet die Folge als Tag, werden sie
+ * samt Enter verschluckt; sonst (Mensch tippt) gehen sie per sendInputEvent in
+ * der ursprünglichen Reihenfolge an das Fenster.
+ */
+
+const RFIDReaderBase = require('./rfid-reader-base');
+
+class WindowRFIDListener extends RFIDReaderBase {
+    constructor(callback = null, options = {}) {
+        super(callback, {
+            ...options,
+            // Zeitfenster zwischen zwei Zeichen: Menschen tippen deutlich langsamer als der Leser
+            inputTimeout: options.maxKeyInterval || parseInt(process.env.RFID_WINDOW_MAX_KEY_INTERVAL) || 50
+        });
+
+        this.electron = options.electron || null;
+        this.attached = new Map(); // WebContents -> before-input-event Handler
+        this.held = new Map(); // WebContents -> { keys, timer, replaying }
+        this.onWebContentsCreated = (event, webContents) => this.attach(webContents);
+    }
+
+    get type() {
+        return 'window';
+    }
+
+    async start() {
+        if (this.isListening) {
+            return true;
+        }
+
+        try {
+            this.electron = this.electron || require('electron');
+            const { app, webContents } = this.electron;
+
+            webContents.getAllWebContents().forEach(contents => this.attach(contents));
+            app.on('web-contents-created', this.onWebContentsCreated);
+
+            this.isListening = true;
+            // Kein Gerät zu öffnen - "verbunden", sobald ein App-Fenster Eingaben liefert
+            this.setConnected(true, { source: 'app-window' });
+            this.emit('started');
+
+            console.log(`🏷️ Fenster-RFID-Listener gestartet (nur bei fokussiertem App-Fenster, max. ${this.inputTimeout}ms je Zeichen)`);
+            return true;
+
+        } catch (error) {
+            this.lastError = error.message;
+            console.error('❌ Fenster-RFID-Listener Start fehlgeschlagen:', error);
+            return false;
+        }
+    }
+
+    async stop() {
+        if (!this.isListening) {
+            return;
+        }
+
+        if (this.electron) {
+            this.electron.app.removeListener('web-contents-created', this.onWebContentsCreated);
+        }
+
+        for (const [contents, handler] of this.attached) {
+            if (!contents.isDestroyed()) {
+                contents.removeListener('before-input-event', handler);
+            }
+        }
+        this.attached.clear();
+
+        for (const contents of [...this.held.keys()]) {
+            this.releaseKeys(contents);
+        }
+        this.held.clear();
+
+        this.isListening = false;
+        this.setConnected(false);
+        this.emit('stopped');
+        console.log('⏹️ Fenster-RFID-Listener gestoppt');
+    }
+
+    attach(contents) {
+        if (this.attached.has(contents)) {
+            return;
+        }
+
+        const handler = (event, input) => {
+            if (input.type !== 'keyDown' || input.isAutoRepeat) {
+                return;
+            }
+
+            const state = this.getHeldState(contents);
+
+            // Eigene, weitergereichte Tastenanschläge nicht erneut auswerten
+            if (state.replaying.length > 0) {
+                if (state.replaying[0] === input.key) {
+                    state.replaying.shift();
+                    return;
+                }
+                state.replaying = [];
+            }
+
+            const printable = input.key.length === 1 && !input.control && !input.alt && !input.meta;
+
+            if (input.key === 'Enter') {
+                // Ohne zurückgehaltene Zeichen geht Enter unverändert ans Fenster
+                if (state.keys.length > 0) {
+                    event.preventDefault();
+                    if (this.isHeldTag(state)) {
+                        this.discardKeys(state);
+                    } else {
+                        this.releaseKeys(contents, input.key);
+                    }
+                }
+                this.handleChar('\n');
+            } else if (printable && /^[0-9A-Fa-f]$/.test(input.key)) {
+                event.preventDefault();
+                this.holdKey(contents, state, input.key);
+                this.handleChar(input.key);
+            } else if (printable && state.keys.length > 0) {
+                event.preventDefault();
+                this.releaseKeys(contents, input.key);
+                this.handleChar(input.key);
+            } else {
+                this.releaseKeys(contents);
+                if (printable) {
+                    this.handleChar(input.key);
+                }
+            }
+        };
+
+        contents.on('before-input-event', handler);
+        contents.once('destroyed', () => {
+            this.attached.delete(contents);
+            this.discardKeys(this.held.get(contents));
+            this.held.delete(contents);
+        });
+        this.attached.set(contents, handler);
+    }
+
+    // ===== ZURÜCKGEHALTENE TASTEN =====
+
+    getHeldState(contents) {
+        if (!this.held.has(contents)) {
+            this.held.set(contents, { keys: [], timer: null, replaying: [] });
+        }
+        return this.held.get(contents);
+    }
+
+    /**
+     * Hex-Zeichen zurückhalten, bis klar ist, ob es zu einem Tag gehört
+     * Kommt innerhalb von inputTimeout kein weiteres Zeichen, war es eine Eingabe von Hand.
+     */
+    holdKey(contents, state, key) {
+        state.keys.push(key);
+
+        clearTimeout(state.timer);
+        state.timer = setTimeout(() => this.releaseKeys(contents), this.inputTimeout);
+
+        // Länger als jeder Tag: kann nur eine Eingabe von Hand sein
+        if (state.keys.length > this.maxTagLength) {
+            this.releaseKeys(contents);
+        }
+    }
+
+    isHeldTag(state) {
+        return state.keys.length > 0 && this.validateTag(state.keys.join(''));
+    }
+
+    discardKeys(state) {
+        if (!state) {
+            return;
+        }
+
+        clearTimeout(state.timer);
+        state.timer = null;
+        state.keys = [];
+    }
+
+    /**
+     * Zurückgehaltene Zeichen (und ggf. die auslösende Taste) an das Fenster weitergeben
+     * @param {WebContents} contents - Ziel-Fenster
+     * @param {string|null} nextKey - Taste, die nach den zurückgehaltenen folgen muss
+     */
+    releaseKeys(contents, nextKey = null) {
+        const state = this.held.get(contents);
+        if (!state) {
+            return;
+        }
+
+        const keys = nextKey ? [...state.keys, nextKey] : state.keys;
+        this.discardKeys(state);
+
+        if (keys.length === 0 || contents.isDestroyed()) {
+            return;
+        }
+
+        for (const key of keys) {
+            state.replaying.push(key);
+            contents.sendInputEvent({ type: 'keyDown', keyCode: key });
+            contents.sendInputEvent({ type: 'char', keyCode: key === 'Enter' ? '\r' : key });
+            contents.sendInputEvent({ type: 'keyUp', keyCode: key });
+        }
+    }
+}
+
+module.exports = WindowRFIDListener;
@@ -0,0 +1,85 @@
+/**
+ * Etikettendrucker-Attrappe (Raw-TCP wie ein Zebra-Netzwerkdrucker)
+ *
+ *   npm run label:stub                        - lauscht auf 127.0.0.1:9100 und gibt jedes Etikett aus
+ *   npm run label:stub -- --port 9101         - anderer Port
+ *   npm run label:stub -- --out ./temp/labels - Etiketten zusätzlich als .zpl-Dateien ablegen
+ *
+ * In der App: QC_LABEL_MODE=tcp, QC_LABEL_PRINTER_HOST=127.0.0.1 (und ggf. QC_LABEL_PRINTER_PORT)
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+function parseArgs(argv) {
+    const options = { host: '127.0.0.1', port: 9100, out: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+
+        if (!['host', 'port', 'out'].includes(key) || value === undefined) {
+            throw new Error(`Unbekannte oder unvollständige Option: ${argv[i]}`);
+        }
+
+        options[key] = key === 'port' ? parseInt(value, 10) : value;
+        i++;
+    }
+
+    if (!Number.isInteger(options.port) || options.port <= 0) {
+        throw new Error('Ungültiger Port');
+    }
+
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    let jobCount = 0;
+
+    if (options.out) {
+        fs.mkdirSync(options.out, { recursive: true });
+    }
+
+    const server = net.createServer((socket) => {
+        const chunks = [];
+
+        socket.on('data', chunk => chunks.push(chunk));
+        socket.on('error', error => console.error(`Verbindungsfehler: ${error.message}`));
+        socket.on('end', () => {
+            const zpl = Buffer.concat(chunks).toString('utf8');
+            jobCount++;
+
+            console.log(`\n🏷️ Etikett #${jobCount} von ${socket.remoteAddress} (${zpl.length} Zeichen)`);
+            console.log(zpl.trim());
+
+            if (options.out) {
+                const filePath = path.join(options.out, `label-${String(jobCount).padStart(4, '0')}.zpl`);
+                fs.writeFileSync(filePath, zpl);
+                console.log(`→ ${filePath}`);
+            }
+        });
+    });
+
+    server.on('error', (error) => {
+        console.error(`❌ Drucker-Attrappe konnte nicht starten: ${error.message}`);
+        process.exit(1);
+    });
+
+    server.listen(options.port, options.host, () => {
+        console.log(`🖨️ Drucker-Attrappe lauscht auf ${options.host}:${options.port} (Strg+C beendet)`);
+    });
+
+    process.on('SIGINT', () => {
+        console.log(`\n${jobCount} Etikett(en) empfangen`);
+        server.close(() => process.exit(0));
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
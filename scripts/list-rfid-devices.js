@@ -0,0 +1,62 @@
+/**
+ * Angeschlossene Eingabegeräte mit Vendor-/Product-ID auflisten
+ *
+ *   npm run rfid:devices
+ *
+ * Die Werte des RFID-Lesers als RFID_VENDOR_ID / RFID_PRODUCT_ID in die .env übernehmen.
+ * Tipp: einmal mit und einmal ohne angeschlossenen Leser ausführen und vergleichen.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const RFIDListener = require('../rfid/rfid-listener');
+
+const SYS_INPUT_DIR = '/sys/class/input';
+
+function readSysValue(...parts) {
+    try {
+        return fs.readFileSync(path.join(SYS_INPUT_DIR, ...parts), 'utf8').trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+function listEvdevDevices() {
+    if (process.platform !== 'linux' || !fs.existsSync(SYS_INPUT_DIR)) {
+        return [];
+    }
+
+    return fs.readdirSync(SYS_INPUT_DIR)
+        .filter(entry => /^event\d+$/.test(entry))
+        .map(entry => ({
+            path: path.join('/dev/input', entry),
+            name: readSysValue(entry, 'device', 'name'),
+            vendorId: RFIDListener.formatUsbId(RFIDListener.parseUsbId(readSysValue(entry, 'device', 'id', 'vendor'))),
+            productId: RFIDListener.formatUsbId(RFIDListener.parseUsbId(readSysValue(entry, 'device', 'id', 'product')))
+        }));
+}
+
+async function main() {
+    const hidDevices = await RFIDListener.listHIDDevices();
+
+    console.log(`\nHID-Geräte (node-hid): ${hidDevices.length}`);
+    hidDevices.forEach(device => {
+        console.log(`  ${device.vendorId}:${device.productId}  ${device.product || 'Unbekannt'} (${device.manufacturer || 'Unbekannt'})`);
+        console.log(`      Usage ${device.usagePage}/${device.usage}  ${device.path}`);
+    });
+
+    const evdevDevices = listEvdevDevices();
+    if (evdevDevices.length > 0) {
+        console.log(`\nLinux-Eingabegeräte (evdev): ${evdevDevices.length}`);
+        evdevDevices.forEach(device => {
+            console.log(`  ${device.vendorId}:${device.productId}  ${device.name || 'Unbekannt'}  ${device.path}`);
+        });
+    }
+
+    console.log('\n→ RFID_VENDOR_ID und RFID_PRODUCT_ID in der .env setzen');
+}
+
+main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
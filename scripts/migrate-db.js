@@ -0,0 +1,124 @@
+/**
+ * Datenbank-Migrationen (CLI)
+ *
+ *   npm run db:migrate                   - alle ausstehenden Migrationen anwenden
+ *   npm run db:migrate -- --to 3         - bis Version 3 migrieren
+ *   npm run db:status                    - angewendete und ausstehende Migrationen anzeigen
+ *   npm run db:rollback                  - letzte Migration zurücknehmen
+ *   npm run db:rollback -- --steps 2     - die letzten 2 Migrationen zurücknehmen
+ *   npm run db:rollback -- --to 2        - bis einschließlich Version 2 zurücknehmen
+ *
+ * Datenbank wie in der App über DB_CLIENT (mssql|sqlite) und SQLITE_PATH
+ */
+
+require('dotenv').config();
+
+const { createStorageAdapter } = require('../db/core/storage-adapter');
+const MigrationRunner = require('../db/migration-runner');
+
+const COMMANDS = ['migrate', 'status', 'rollback'];
+
+function parseArgs(argv) {
+    const args = { command: argv[0], options: {} };
+
+    for (let i = 1; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        const value = parseInt(argv[i + 1], 10);
+
+        if (!['to', 'steps'].includes(key) || isNaN(value)) {
+            throw new Error(`Unbekannte oder unvollständige Option: ${argv[i]}`);
+        }
+
+        args.options[key] = value;
+        i++;
+    }
+
+    return args;
+}
+
+function formatVersion(version) {
+    return String(version).padStart(3, '0');
+}
+
+async function printStatus(runner) {
+    const status = await runner.getStatus();
+    const check = await runner.checkCompatibility();
+
+    console.log(`\n📋 Schema-Version: ${status.currentVersion} (App: ${status.latestVersion})\n`);
+
+    status.applied.forEach(entry => {
+        const appliedAt = entry.appliedTS instanceof Date ? entry.appliedTS.toLocaleString('de-DE') : entry.appliedTS;
+        console.log(`   ✅ ${formatVersion(entry.version)}-${entry.name}  ${appliedAt}  ${entry.appliedBy || ''}` +
+            (entry.modified ? '  ⚠️ Datei nach dem Anwenden geändert' : ''));
+    });
+
+    status.pending.forEach(entry => {
+        console.log(`   ⏳ ${formatVersion(entry.version)}-${entry.name}  ${entry.description}`);
+    });
+
+    status.unknown.forEach(entry => {
+        console.log(`   ❓ ${formatVersion(entry.version)}-${entry.name}  (unbekannt - neuere App-Version?)`);
+    });
+
+    console.log(`\n${check.compatible ? '✅' : '⚠️'} ${check.message}`);
+    return check.status !== 'too_new';
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    if (!COMMANDS.includes(args.command)) {
+        console.log('Verwendung: node scripts/migrate-db.js <migrate|status|rollback> [--to <Version>] [--steps <Anzahl>]');
+        process.exit(1);
+    }
+
+    const connection = createStorageAdapter();
+    let exitCode = 0;
+
+    try {
+        await connection.connect();
+        const runner = new MigrationRunner(connection);
+
+        switch (args.command) {
+            case 'migrate': {
+                const result = await runner.migrate(args.options.to !== undefined ? args.options.to : null);
+                console.log(result.applied.length > 0
+                    ? `\n✅ ${result.applied.length} Migration(en) angewendet - Schema-Version ${result.currentVersion}`
+                    : `\n✅ Keine ausstehenden Migrationen - Schema-Version ${result.currentVersion}`);
+                break;
+            }
+
+            case 'status':
+                exitCode = (await printStatus(runner)) ? 0 : 2;
+                break;
+
+            case 'rollback': {
+                const result = await runner.rollback(args.options.to !== undefined
+                    ? { toVersion: args.options.to }
+                    : { steps: args.options.steps });
+                console.log(result.rolledBack.length > 0
+                    ? `\n✅ ${result.rolledBack.length} Migration(en) zurückgenommen - Schema-Version ${result.currentVersion}`
+                    : `\nℹ️ Nichts zurückzunehmen - Schema-Version ${result.currentVersion}`);
+                break;
+            }
+        }
+
+    } catch (error) {
+        console.error(`\n❌ ${args.command} fehlgeschlagen: ${error.message}`);
+        exitCode = 1;
+    } finally {
+        await connection.close();
+    }
+
+    process.exit(exitCode);
+}
+
+if (require.main === module) {
+    main();
+}
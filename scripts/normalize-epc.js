@@ -0,0 +1,165 @@
+/**
+ * Gespeicherte Badge-EPCs auf die kanonische Form umstellen (einmalig nach Leser-Umstellung)
+ *
+ * Bisher wurde jeder Tag als Hex gelesen und dezimal gespeichert. Badges, die an einer
+ * Station mit anders konfiguriertem Leser angelernt wurden, stehen daher in dessen
+ * Darstellung in ScannBenutzer.EPC. Das Werkzeug rekonstruiert den damals gelesenen
+ * String und rechnet ihn aus dem angegebenen Format in die kanonische Form um.
+ *
+ *   npm run db:normalize-epc -- --from hex-reversed --users 12,15      - Vorschau
+ *   npm run db:normalize-epc -- --from decimal --all                    - Vorschau für alle Benutzer
+ *   npm run db:normalize-epc -- --from hex-reversed --users 12 --apply  - schreiben (mit Badge-Audit)
+ *   --bytes 4  - UID-Länge für hex-reversed, falls führende Null-Bytes verloren gingen
+ *
+ * Werte, die im Ausgangsformat nicht lesbar sind oder mit einem anderen Benutzer
+ * kollidieren würden, werden übersprungen. Datenbank wie in der App (DB_CLIENT).
+ */
+
+require('dotenv').config();
+
+const os = require('os');
+const { createStorageAdapter } = require('../db/core/storage-adapter');
+const UserModule = require('../db/modules/db-users');
+const RFIDTagFormat = require('../utils/rfid-tag-format');
+
+const SOURCE_FORMATS = RFIDTagFormat.FORMATS.filter(format => format !== 'hex');
+
+function parseArgs(argv) {
+    const options = { from: null, users: null, all: false, apply: false, bytes: 0 };
+
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+
+        if (key === 'all' || key === 'apply') {
+            options[key] = true;
+            continue;
+        }
+
+        const value = argv[i + 1];
+        if (!['from', 'users', 'bytes'].includes(key) || value === undefined) {
+            throw new Error(`Unbekannte oder unvollständige Option: ${argv[i]}`);
+        }
+
+        if (key === 'users') {
+            options.users = value.split(',').map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+        } else if (key === 'bytes') {
+            options.bytes = parseInt(value, 10) || 0;
+        } else {
+            options.from = value.trim().toLowerCase();
+        }
+        i++;
+    }
+
+    if (!SOURCE_FORMATS.includes(options.from)) {
+        throw new Error(`--from fehlt oder unbekannt (verfügbar: ${SOURCE_FORMATS.join(', ')})`);
+    }
+
+    if (!options.all && (!options.users || options.users.length === 0)) {
+        throw new Error('Benutzer angeben: --users <ID,ID,...> oder --all');
+    }
+
+    return options;
+}
+
+/**
+ * Gespeichertes EPC → Tag-String, wie ihn der Leser damals geliefert hat
+ */
+function toReaderString(epc, bytes) {
+    let hex = BigInt(epc).toString(16).toUpperCase();
+
+    if (bytes > 0) {
+        hex = hex.padStart(bytes * 2, '0');
+    }
+
+    return hex;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.log('Verwendung: node scripts/normalize-epc.js --from <hex-reversed|decimal|wiegand26> (--users <IDs> | --all) [--bytes <n>] [--apply]');
+        process.exit(1);
+    }
+
+    const tagFormat = new RFIDTagFormat({ inputFormat: 'hex', matchAlternatives: false, matchWiegand: false });
+    const connection = createStorageAdapter();
+    const users = new UserModule(connection, null);
+    const counts = { changed: 0, unchanged: 0, skipped: 0 };
+    let exitCode = 0;
+
+    try {
+        await connection.connect();
+
+        const result = await connection.query(`
+            SELECT ID, BenutzerName, CAST(EPC AS NVARCHAR(50)) AS EPC
+            FROM dbo.ScannBenutzer
+            WHERE EPC IS NOT NULL
+            ORDER BY ID
+        `);
+
+        const rows = options.all
+            ? result.recordset
+            : result.recordset.filter(row => options.users.includes(row.ID));
+        const assigned = new Map(result.recordset.map(row => [String(row.EPC), row]));
+
+        console.log(`\n🏷️ EPC-Normalisierung aus "${options.from}" für ${rows.length} Benutzer${options.apply ? '' : ' (Vorschau)'}\n`);
+
+        for (const row of rows) {
+            const readerString = toReaderString(row.EPC, options.bytes);
+            const epc = tagFormat.normalize(readerString, options.from);
+            const label = `${row.BenutzerName} (ID ${row.ID}): ${readerString}`;
+
+            if (epc === null) {
+                console.log(`   ⏭️ ${label} - im Format ${options.from} nicht lesbar`);
+                counts.skipped++;
+                continue;
+            }
+
+            if (epc === String(row.EPC)) {
+                counts.unchanged++;
+                continue;
+            }
+
+            const owner = assigned.get(epc);
+            if (owner && owner.ID !== row.ID) {
+                console.log(`   ⚠️ ${label} → ${tagFormat.toHex(epc)} gehört bereits ${owner.BenutzerName} - übersprungen`);
+                counts.skipped++;
+                continue;
+            }
+
+            console.log(`   ${options.apply ? '✅' : '🔎'} ${label} → ${tagFormat.toHex(epc)} (EPC ${row.EPC} → ${epc})`);
+
+            if (options.apply) {
+                await users.setUserEPC(row.ID, tagFormat.toQueryValue(epc), {
+                    changedBy: 'normalize-epc',
+                    station: os.hostname(),
+                    reason: `EPC-Normalisierung aus ${options.from}`
+                });
+            }
+
+            assigned.delete(String(row.EPC));
+            assigned.set(epc, row);
+            counts.changed++;
+        }
+
+        console.log(`\n${options.apply ? '✅' : 'ℹ️'} ${counts.changed} ${options.apply ? 'umgestellt' : 'umzustellen'}, ${counts.unchanged} unverändert, ${counts.skipped} übersprungen`);
+        if (!options.apply && counts.changed > 0) {
+            console.log('   Mit --apply schreiben');
+        }
+
+    } catch (error) {
+        console.error(`\n❌ EPC-Normalisierung fehlgeschlagen: ${error.message}`);
+        exitCode = 1;
+    } finally {
+        await connection.close();
+    }
+
+    process.exit(exitCode);
+}
+
+if (require.main === module) {
+    main();
+}
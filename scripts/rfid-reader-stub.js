@@ -0,0 +1,143 @@
+/**
+ * RFID-Leser-Attrappe für serielle Protokolle (Zeilen-Leser oder UHF-R2000)
+ *
+ *   npm run rfid:stub                                   - lauscht auf 127.0.0.1:4001, Tags per Eingabe + Enter
+ *   npm run rfid:stub -- --protocol uhf-r2000           - UHF-Binärrahmen statt Textzeilen
+ *   npm run rfid:stub -- --tags 04A1B2C3,04D5E6F7 --interval 3000 - Tags automatisch im Wechsel
+ *   npm run rfid:stub -- --repeat 5                     - jeden Tag mehrfach senden (UHF: Badge bleibt im Feld)
+ *   npm run rfid:stub -- --device /tmp/rfid-reader      - statt TCP in einen virtuellen Port schreiben
+ *
+ * In der App: RFID_READER_MODE=serial, RFID_SERIAL_PORT=tcp://127.0.0.1:4001 (und RFID_SERIAL_PROTOCOL).
+ * Virtuelles Portpaar unter Linux:
+ *   socat -d -d pty,raw,echo=0,link=/tmp/rfid-reader pty,raw,echo=0,link=/tmp/rfid-station
+ * → Attrappe mit --device /tmp/rfid-reader, App mit RFID_SERIAL_PORT=/tmp/rfid-station
+ * (Windows: Portpaar mit com0com anlegen)
+ */
+
+const fs = require('fs');
+const net = require('net');
+const readline = require('readline');
+const { R2000Protocol, PROTOCOL_NAMES } = require('../rfid/serial-protocols');
+
+function parseArgs(argv) {
+    const options = { host: '127.0.0.1', tcp: 4001, device: null, protocol: 'line', tags: [], interval: 0, repeat: 1 };
+
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+
+        if (!Object.prototype.hasOwnProperty.call(options, key) || value === undefined) {
+            throw new Error(`Unbekannte oder unvollständige Option: ${argv[i]}`);
+        }
+
+        if (key === 'tags') {
+            options.tags = value.split(',').map(tag => tag.trim()).filter(Boolean);
+        } else if (['tcp', 'interval', 'repeat'].includes(key)) {
+            options[key] = parseInt(value, 10);
+        } else {
+            options[key] = value;
+        }
+        i++;
+    }
+
+    if (!PROTOCOL_NAMES.includes(options.protocol)) {
+        throw new Error(`Unbekanntes Protokoll "${options.protocol}" (verfügbar: ${PROTOCOL_NAMES.join(', ')})`);
+    }
+
+    if (!options.device && (!Number.isInteger(options.tcp) || options.tcp <= 0)) {
+        throw new Error('Ungültiger Port');
+    }
+
+    return options;
+}
+
+/**
+ * Tag als Rahmen des gewählten Protokolls
+ */
+function encodeTag(tagId, protocol) {
+    if (protocol === 'line') {
+        return Buffer.from(`${tagId}\r\n`, 'latin1');
+    }
+
+    // EPC wortweise (gerade Byte-Anzahl), PC-Wort mit der EPC-Länge in Worten
+    let hex = tagId.replace(/[^0-9A-Fa-f]/g, '');
+    while (hex.length % 4 !== 0) hex = '0' + hex;
+
+    const epc = [...Buffer.from(hex, 'hex')];
+    const pc = [(epc.length / 2) << 3, 0x00];
+    const rssi = 0x50;
+
+    return R2000Protocol.buildFrame(0xFF, R2000Protocol.CMD_REAL_TIME_INVENTORY, [0x00, ...pc, ...epc, rssi]);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const clients = new Set();
+    let deviceFd = null;
+    let sentCount = 0;
+
+    const send = (tagId) => {
+        const frame = encodeTag(tagId, options.protocol);
+
+        for (let i = 0; i < Math.max(1, options.repeat); i++) {
+            if (deviceFd !== null) {
+                fs.writeSync(deviceFd, frame);
+            }
+            clients.forEach(socket => socket.write(frame));
+        }
+
+        sentCount++;
+        const receivers = deviceFd !== null ? options.device : `${clients.size} Verbindung(en)`;
+        console.log(`🏷️ ${tagId} gesendet (${options.protocol}, ${options.repeat}x) → ${receivers}`);
+    };
+
+    if (options.device) {
+        deviceFd = fs.openSync(options.device, 'r+');
+        console.log(`🔌 Leser-Attrappe schreibt in ${options.device} (${options.protocol})`);
+    } else {
+        const server = net.createServer((socket) => {
+            clients.add(socket);
+            console.log(`🔌 Station verbunden: ${socket.remoteAddress}`);
+
+            // Inventur-Befehle der Station werden nur quittiert, Tags kommen per Eingabe
+            socket.on('data', () => {});
+            socket.on('error', error => console.error(`Verbindungsfehler: ${error.message}`));
+            socket.on('close', () => clients.delete(socket));
+        });
+
+        server.on('error', (error) => {
+            console.error(`❌ Leser-Attrappe konnte nicht starten: ${error.message}`);
+            process.exit(1);
+        });
+
+        server.listen(options.tcp, options.host, () => {
+            console.log(`📡 Leser-Attrappe lauscht auf ${options.host}:${options.tcp} (${options.protocol}, Strg+C beendet)`);
+        });
+    }
+
+    if (options.tags.length > 0 && options.interval > 0) {
+        let index = 0;
+        setInterval(() => {
+            send(options.tags[index % options.tags.length]);
+            index++;
+        }, options.interval);
+    }
+
+    const input = readline.createInterface({ input: process.stdin });
+    input.on('line', (line) => {
+        const tagId = line.trim().toUpperCase();
+        if (tagId) send(tagId);
+    });
+
+    process.on('SIGINT', () => {
+        console.log(`\n${sentCount} Tag(s) gesendet`);
+        process.exit(0);
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,35 @@
+/**
+ * Aufräumen nach den Tests (npm test → posttest)
+ *
+ * Tests legen SQLite-Dateien, Journale und Berichte in temporären Verzeichnissen mit
+ * dem Präfix qc-test- an (tests/helpers/temp-dir.js). Bricht ein Testlauf ab, bleiben
+ * diese liegen und werden hier entfernt.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEMP_PREFIX = 'qc-test-';
+
+function cleanup() {
+    const tempRoot = os.tmpdir();
+    let removed = 0;
+
+    for (const entry of fs.readdirSync(tempRoot)) {
+        if (!entry.startsWith(TEMP_PREFIX)) continue;
+
+        try {
+            fs.rmSync(path.join(tempRoot, entry), { recursive: true, force: true });
+            removed++;
+        } catch (error) {
+            console.warn(`⚠️ ${entry} konnte nicht entfernt werden: ${error.message}`);
+        }
+    }
+
+    if (removed > 0) {
+        console.log(`🧹 ${removed} temporäre Testverzeichnis(se) entfernt`);
+    }
+}
+
+cleanup();
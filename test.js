@@ -31,6 +31,7 @@ class ComponentTester {
             await this.testConfiguration();
             await this.testDatabase();
             await this.testRFIDSystem();
+            await this.testQRParsers();
             await this.testFileSystem();
             await this.testSecurity();
 
@@ -348,11 +349,50 @@ class ComponentTester {
         });
     }
 
+    async testQRParsers() {
+        this.printTestHeader('QR-Parser');
+
+        let registry;
+
+        await this.runTest('QR-Format-Konfiguration', () => {
+            const QRParserRegistry = require('./qr/qr-parser-registry');
+            registry = new QRParserRegistry();
+
+            return registry.getFormats().map(format => format.name).join(', ');
+        });
+
+        if (!registry) return;
+
+        // Etiketten-Korpus: jedes Etikett muss mit dem erwarteten Format und Feldern dekodiert werden
+        const corpus = JSON.parse(fs.readFileSync(path.join('qr', 'label-corpus.json'), 'utf8'));
+
+        for (const entry of corpus.labels) {
+            await this.runTest(`Etikett: ${entry.label}`, () => {
+                const decoded = registry.parse(entry.raw);
+                const { fields: expectedFields = {}, ...expected } = entry.expected;
+
+                const mismatches = Object.entries(expected)
+                    .filter(([key, value]) => decoded[key] !== value)
+                    .map(([key, value]) => `${key}="${decoded[key]}" (erwartet "${value}")`);
+
+                Object.entries(expectedFields)
+                    .filter(([key, value]) => decoded.fields[key] !== value)
+                    .forEach(([key, value]) => mismatches.push(`fields.${key}="${decoded.fields[key]}" (erwartet "${value}")`));
+
+                if (mismatches.length > 0) {
+                    throw new Error(mismatches.join(', '));
+                }
+
+                return decoded.format_type;
+            });
+        }
+    }
+
     async testFileSystem() {
         this.printTestHeader('Dateisystem');
 
         // Verzeichnisse
-        const requiredDirs = ['renderer', 'rfid', 'db'];
+        const requiredDirs = ['renderer', 'rfid', 'db', 'qr'];
         const optionalDirs = ['logs', 'temp', 'backup'];
 
         for (const dir of requiredDirs) {
@@ -0,0 +1,25 @@
+/**
+ * In-Process-SQLite-Datenbank mit allen Migrationen für Tests
+ */
+
+const SqliteConnection = require('../../db/core/sqlite-connection');
+const MigrationRunner = require('../../db/migration-runner');
+
+/**
+ * @param {Object} options - { sqlitePath (Standard ':memory:'), migrate (Standard true) }
+ * @returns {Promise<SqliteConnection>}
+ */
+async function createTestDatabase(options = {}) {
+    const connection = new SqliteConnection({ sqlitePath: options.sqlitePath || ':memory:' });
+    await connection.connect();
+
+    if (options.migrate !== false) {
+        await new MigrationRunner(connection, { appliedBy: 'jest' }).migrate();
+    }
+
+    return connection;
+}
+
+module.exports = {
+    createTestDatabase
+};
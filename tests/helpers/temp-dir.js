@@ -0,0 +1,24 @@
+/**
+ * Temporäre Verzeichnisse für Tests (werden von scripts/test-cleanup.js erkannt)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEMP_PREFIX = 'qc-test-';
+
+function createTempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), TEMP_PREFIX));
+}
+
+function removeTempDir(directory) {
+    if (directory) {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    createTempDir,
+    removeTempDir
+};
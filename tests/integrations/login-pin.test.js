@@ -0,0 +1,196 @@
+/**
+ * Integrationstests für die Login-PIN (logic/login-pin.js)
+ *
+ * Läuft mit einem DatabaseClient gegen eine SQLite-Datei, damit Fehlversuche und
+ * Sperre wie im Betrieb in der Datenbank gezählt werden.
+ */
+
+const path = require('path');
+const DatabaseClient = require('../../db/db-client');
+const LoginPin = require('../../logic/login-pin');
+const { createTestDatabase } = require('../helpers/sqlite-database');
+const { createTempDir, removeTempDir } = require('../helpers/temp-dir');
+
+describe('LoginPin', () => {
+    describe('Hash und Format', () => {
+        test('hashPin salzt, verifyPin prüft', () => {
+            const hash = LoginPin.hashPin('1234');
+
+            expect(hash).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+            expect(LoginPin.hashPin('1234')).not.toBe(hash);
+            expect(LoginPin.verifyPin('1234', hash)).toBe(true);
+            expect(LoginPin.verifyPin('4321', hash)).toBe(false);
+        });
+
+        test('verifyPin lehnt fremde und leere Hashes ab', () => {
+            expect(LoginPin.verifyPin('1234', null)).toBe(false);
+            expect(LoginPin.verifyPin('1234', '1234')).toBe(false);
+            expect(LoginPin.verifyPin('1234', 'bcrypt$aa$bb')).toBe(false);
+        });
+
+        test('validatePin prüft Ziffern und Länge', () => {
+            const loginPin = new LoginPin({ minLength: 4, maxLength: 6 });
+
+            expect(loginPin.validatePin('1234')).toBeNull();
+            expect(loginPin.validatePin(123456)).toBeNull();
+            expect(loginPin.validatePin('12a4')).toBe('PIN darf nur aus Ziffern bestehen');
+            expect(loginPin.validatePin(null)).toBe('PIN darf nur aus Ziffern bestehen');
+            expect(loginPin.validatePin('123')).toBe('PIN muss 4-6 Ziffern haben');
+            expect(loginPin.validatePin('1234567')).toBe('PIN muss 4-6 Ziffern haben');
+        });
+    });
+
+    describe('Anmeldung und Sperre', () => {
+        let tempDir;
+        let client;
+        let user;
+
+        const createLoginPin = (station = 'Station-1', options = {}) => new LoginPin({
+            getClient: () => client,
+            station,
+            required: true,
+            maxAttempts: 3,
+            lockoutMinutes: 15,
+            ...options
+        });
+
+        const auditEvents = async () => (await client.getLoginAudit(user.ID)).map(entry => entry.EventType).reverse();
+
+        beforeEach(async () => {
+            tempDir = createTempDir();
+            const sqlitePath = path.join(tempDir, 'station.sqlite');
+
+            const migrated = await createTestDatabase({ sqlitePath });
+            await migrated.close();
+
+            client = new DatabaseClient({ client: 'sqlite', sqlitePath });
+            await client.connect();
+
+            const userId = await client.createUser({
+                benutzerName: 'pruefer', vorname: 'Paula', nachname: 'Prüfer', email: null, abteilung: 'QS', rolle: 'operator'
+            });
+            await client.setUserPin(userId, LoginPin.hashPin('2468'), { changedBy: 'jest', station: 'Station-1' });
+            user = { ID: userId, BenutzerName: 'pruefer', Vorname: 'Paula', Nachname: 'Prüfer' };
+        });
+
+        afterEach(async () => {
+            await client.close();
+            removeTempDir(tempDir);
+        });
+
+        test('richtige PIN meldet an und setzt den Zähler zurück', async () => {
+            const loginPin = createLoginPin();
+
+            const challenge = await loginPin.beginChallenge(user, 'DEADBEEF');
+            expect(challenge).toMatchObject({ success: true, status: 'pin_required', data: { userId: user.ID, attemptsLeft: 3 } });
+
+            expect(await loginPin.verify('1111')).toMatchObject({ status: 'invalid', data: { attemptsLeft: 2 } });
+
+            const result = await loginPin.verify('2468');
+            expect(result).toMatchObject({ success: true, status: 'verified', data: { user, tagId: 'DEADBEEF' } });
+            expect((await client.getUserPinState(user.ID)).PinFailedAttempts).toBe(0);
+            expect(loginPin.getPending()).toBeNull();
+        });
+
+        test('nach maxAttempts Fehlversuchen wird gesperrt und protokolliert', async () => {
+            const loginPin = createLoginPin();
+            await loginPin.beginChallenge(user, 'DEADBEEF');
+
+            expect(await loginPin.verify('0000')).toMatchObject({ status: 'invalid', data: { attemptsLeft: 2 } });
+            expect(await loginPin.verify('0000')).toMatchObject({ status: 'invalid', data: { attemptsLeft: 1 } });
+
+            const locked = await loginPin.verify('0000');
+            expect(locked).toMatchObject({ success: false, status: 'locked_out' });
+            expect(locked.message).toMatch(/noch 15 min/);
+            expect(loginPin.getPending()).toBeNull();
+
+            const state = await client.getUserPinState(user.ID);
+            expect(state).toMatchObject({ PinLocked: true, PinFailedAttempts: 0 });
+            expect(state.PinLockSeconds).toBeGreaterThan(14 * 60);
+
+            expect(await auditEvents()).toEqual(['pin_set', 'pin_failed', 'pin_failed', 'pin_failed', 'locked_out']);
+        });
+
+        test('Sperre gilt auch an anderen Stationen', async () => {
+            const first = createLoginPin('Station-1');
+            await first.beginChallenge(user, 'DEADBEEF');
+            for (let i = 0; i < 3; i++) {
+                await first.verify('0000');
+            }
+
+            const second = createLoginPin('Station-2');
+            expect(await second.beginChallenge(user, 'DEADBEEF')).toMatchObject({ status: 'locked_out' });
+            expect(second.getPending()).toBeNull();
+        });
+
+        test('Fehlversuche werden stationsübergreifend gezählt', async () => {
+            const first = createLoginPin('Station-1');
+            await first.beginChallenge(user, 'DEADBEEF');
+            await first.verify('0000');
+            await first.verify('0000');
+
+            const second = createLoginPin('Station-2');
+            expect(await second.beginChallenge(user, 'DEADBEEF')).toMatchObject({ data: { attemptsLeft: 1 } });
+            expect(await second.verify('0000')).toMatchObject({ status: 'locked_out' });
+        });
+
+        test('Sperre während offener Abfrage beendet die Abfrage', async () => {
+            const first = createLoginPin('Station-1');
+            await first.beginChallenge(user, 'DEADBEEF');
+
+            const second = createLoginPin('Station-2');
+            await second.beginChallenge(user, 'DEADBEEF');
+            for (let i = 0; i < 3; i++) {
+                await second.verify('0000');
+            }
+
+            expect(await first.verify('2468')).toMatchObject({ status: 'locked_out' });
+            expect(first.getPending()).toBeNull();
+        });
+
+        test('nach Ablauf der Sperre gibt es wieder alle Versuche', async () => {
+            const loginPin = createLoginPin();
+            await loginPin.beginChallenge(user, 'DEADBEEF');
+            for (let i = 0; i < 3; i++) {
+                await loginPin.verify('0000');
+            }
+
+            await client.query('UPDATE ScannBenutzer SET PinLockedUntil = DATEADD(MINUTE, -1, GETDATE()) WHERE ID = ?', [user.ID]);
+
+            expect(await loginPin.beginChallenge(user, 'DEADBEEF')).toMatchObject({ status: 'pin_required', data: { attemptsLeft: 3 } });
+            expect(await loginPin.verify('2468')).toMatchObject({ status: 'verified' });
+            expect((await client.getUserPinState(user.ID)).PinLockedUntil).toBeNull();
+        });
+
+        test('neue PIN hebt eine Sperre auf', async () => {
+            const loginPin = createLoginPin();
+            await loginPin.beginChallenge(user, 'DEADBEEF');
+            for (let i = 0; i < 3; i++) {
+                await loginPin.verify('0000');
+            }
+
+            await client.setUserPin(user.ID, LoginPin.hashPin('1357'), { changedBy: 'admin', station: 'Station-1' });
+
+            await loginPin.beginChallenge(user, 'DEADBEEF');
+            expect(await loginPin.verify('1357')).toMatchObject({ status: 'verified' });
+        });
+
+        test('ohne hinterlegte PIN wird abgelehnt und protokolliert', async () => {
+            await client.setUserPin(user.ID, null, { changedBy: 'admin', station: 'Station-1' });
+            const loginPin = createLoginPin();
+
+            expect(await loginPin.beginChallenge(user, 'DEADBEEF')).toMatchObject({ success: false, status: 'pin_missing' });
+            expect(await auditEvents()).toEqual(['pin_set', 'pin_removed', 'pin_missing']);
+        });
+
+        test('abgelaufene Abfrage verlangt einen neuen Badge-Scan', async () => {
+            const loginPin = createLoginPin('Station-1', { entrySeconds: 30 });
+            await loginPin.beginChallenge(user, 'DEADBEEF');
+
+            loginPin.pending.expiresAt = Date.now() - 1;
+
+            expect(await loginPin.verify('2468')).toMatchObject({ success: false, status: 'expired' });
+            expect((await client.getUserPinState(user.ID)).PinFailedAttempts).toBe(0);
+        });
+    });
+});
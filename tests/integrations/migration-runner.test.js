@@ -0,0 +1,178 @@
+/**
+ * Integrationstests für die Schema-Migrationen (db/migration-runner.js)
+ *
+ * Läuft gegen eine In-Process-SQLite-Datenbank mit den echten Migrationen aus
+ * db/migrations bzw. eigenen Testmigrationen in einem temporären Verzeichnis.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MigrationRunner = require('../../db/migration-runner');
+const { createTestDatabase } = require('../helpers/sqlite-database');
+const { createTempDir, removeTempDir } = require('../helpers/temp-dir');
+
+const MIGRATION_TEMPLATE = (table) => `
+module.exports = {
+    description: 'Tabelle ${table}',
+    async up(db) { await db.query('CREATE TABLE dbo.${table} (ID INT)'); },
+    async down(db) { await db.query('DROP TABLE dbo.${table}'); },
+    sqlite: {
+        async up(db) { await db.query('CREATE TABLE ${table} (ID INTEGER)'); },
+        async down(db) { await db.query('DROP TABLE ${table}'); }
+    }
+};
+`;
+
+describe('MigrationRunner', () => {
+    let connection;
+
+    afterEach(async () => {
+        await connection.close();
+    });
+
+    describe('mit den Migrationen der App', () => {
+        beforeEach(async () => {
+            connection = await createTestDatabase({ migrate: false });
+        });
+
+        test('leere Datenbank ist nicht kompatibel, bis migriert wurde', async () => {
+            const runner = new MigrationRunner(connection, { appliedBy: 'jest' });
+
+            const before = await runner.checkCompatibility();
+            expect(before).toMatchObject({ compatible: false, status: 'pending', currentVersion: 0 });
+            expect(before.pending).toHaveLength(runner.getLatestVersion());
+            expect(before.message).toMatch(/npm run db:migrate/);
+
+            const result = await runner.migrate();
+            expect(result.currentVersion).toBe(runner.getLatestVersion());
+            expect(result.applied.map(entry => entry.version)).toEqual(runner.loadMigrations().map(m => m.version));
+
+            expect(await runner.checkCompatibility()).toMatchObject({ compatible: true, status: 'ok' });
+        });
+
+        test('Versionsnummern sind lückenlos und alle Migrationen haben eine SQLite-Variante', () => {
+            const migrations = new MigrationRunner(connection).loadMigrations();
+            expect(migrations.map(migration => migration.version)).toEqual(migrations.map((migration, index) => index + 1));
+        });
+
+        test('migrate bis Zielversion und zweiter Lauf ohne Änderungen', async () => {
+            const runner = new MigrationRunner(connection, { appliedBy: 'jest' });
+
+            expect((await runner.migrate(3)).currentVersion).toBe(3);
+            expect(await connection.tableExists('QualityControlSteps')).toBe(true);
+
+            await runner.migrate();
+            expect((await runner.migrate()).applied).toEqual([]);
+
+            const applied = await runner.getAppliedMigrations();
+            expect(applied[0]).toMatchObject({ Version: 1, Name: 'baseline', AppliedBy: 'jest' });
+        });
+
+        test('ungültige Zielversion wird abgelehnt', async () => {
+            const runner = new MigrationRunner(connection);
+            await expect(runner.migrate(999)).rejects.toThrow(/Ungültige Zielversion/);
+        });
+
+        test('alle Migrationen ab 003 lassen sich zurücknehmen und erneut anwenden', async () => {
+            const runner = new MigrationRunner(connection, { appliedBy: 'jest' });
+            await runner.migrate();
+
+            // 002 nimmt nur die Audit-Tabelle zurück, die Spalte Abteilung bleibt stehen
+            const result = await runner.rollback({ toVersion: 2 });
+            expect(result.currentVersion).toBe(2);
+            expect(await connection.tableExists('QualityControlSteps')).toBe(false);
+
+            expect((await runner.migrate()).currentVersion).toBe(runner.getLatestVersion());
+        });
+
+        test('Rollback über eine Migration ohne down() wird vorab abgelehnt', async () => {
+            const runner = new MigrationRunner(connection, { appliedBy: 'jest' });
+            await runner.migrate(2);
+
+            await expect(runner.rollback({ toVersion: 0 })).rejects.toThrow(/001-baseline kann nicht zurückgenommen werden/);
+            expect((await runner.getStatus()).currentVersion).toBe(2);
+        });
+    });
+
+    describe('mit Testmigrationen', () => {
+        let directory;
+
+        const writeMigration = (file, content) => fs.writeFileSync(path.join(directory, file), content);
+
+        beforeEach(async () => {
+            directory = createTempDir();
+            connection = await createTestDatabase({ migrate: false });
+
+            writeMigration('001-first.js', MIGRATION_TEMPLATE('ErsteTabelle'));
+            writeMigration('002-second.js', MIGRATION_TEMPLATE('ZweiteTabelle'));
+            writeMigration('README.md', '# keine Migration');
+        });
+
+        afterEach(() => {
+            removeTempDir(directory);
+        });
+
+        test('rollback nimmt Migrationen in umgekehrter Reihenfolge zurück', async () => {
+            const runner = new MigrationRunner(connection, { directory });
+            await runner.migrate();
+
+            const result = await runner.rollback({ steps: 2 });
+
+            expect(result.rolledBack.map(entry => entry.version)).toEqual([2, 1]);
+            expect(result.currentVersion).toBe(0);
+            expect(await connection.tableExists('ErsteTabelle')).toBe(false);
+        });
+
+        test('fehlerhafte Migration wird komplett zurückgerollt', async () => {
+            writeMigration('003-broken.js', `
+                module.exports = {
+                    sqlite: {
+                        async up(db) {
+                            await db.query('CREATE TABLE DritteTabelle (ID INTEGER)');
+                            await db.query('SELECT * FROM GibtEsNicht');
+                        }
+                    }
+                };
+            `);
+
+            // SqliteError stammt aus dem ersten Testmodul, das better-sqlite3 geladen hat (anderer Realm),
+            // toThrow erkennt sie dann nicht als Error - daher nur die Meldung prüfen
+            const runner = new MigrationRunner(connection, { directory });
+            await expect(runner.migrate()).rejects.toMatchObject({ message: expect.stringMatching(/GibtEsNicht/) });
+
+            expect((await runner.getStatus()).currentVersion).toBe(2);
+            expect(await connection.tableExists('DritteTabelle')).toBe(false);
+        });
+
+        test('neuere Datenbank ist nicht kompatibel und wird nicht migriert', async () => {
+            await new MigrationRunner(connection, { directory }).migrate();
+            fs.unlinkSync(path.join(directory, '002-second.js'));
+
+            const olderApp = new MigrationRunner(connection, { directory });
+            expect(await olderApp.checkCompatibility()).toMatchObject({
+                compatible: false,
+                status: 'too_new',
+                unknown: [expect.objectContaining({ version: 2, name: 'second' })]
+            });
+            await expect(olderApp.migrate()).rejects.toThrow(/unbekannte Migrationen \(2\)/);
+        });
+
+        test('nach dem Anwenden geänderte Dateien werden gemeldet', async () => {
+            await new MigrationRunner(connection, { directory }).migrate();
+            writeMigration('001-first.js', `${MIGRATION_TEMPLATE('ErsteTabelle')}\n// geändert\n`);
+
+            const status = await new MigrationRunner(connection, { directory }).getStatus();
+            expect(status.applied.map(entry => entry.modified)).toEqual([true, false]);
+        });
+
+        test('doppelte Versionsnummern werden abgelehnt', () => {
+            writeMigration('002-duplicate.js', MIGRATION_TEMPLATE('Doppelt'));
+            expect(() => new MigrationRunner(connection, { directory }).loadMigrations()).toThrow(/doppelt vergeben/);
+        });
+
+        test('Migration ohne Variante für den Dialekt wird abgelehnt', () => {
+            writeMigration('003-mssql-only.js', 'module.exports = { async up() {} };');
+            expect(() => new MigrationRunner(connection, { directory }).loadMigrations()).toThrow(/003-mssql-only.js hat keine up\(\)-Funktion für sqlite/);
+        });
+    });
+});
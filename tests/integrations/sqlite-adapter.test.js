@@ -0,0 +1,198 @@
+/**
+ * Integrationstests für den SQLite-Speicheradapter
+ *
+ * Führt die T-SQL der Datenbank-Module über SqliteConnection gegen eine echte
+ * SQLite-Datei aus (alle Migrationen angewendet).
+ */
+
+const path = require('path');
+const DatabaseClient = require('../../db/db-client');
+const SqliteConnection = require('../../db/core/sqlite-connection');
+const { createStorageAdapter } = require('../../db/core/storage-adapter');
+const { createTestDatabase } = require('../helpers/sqlite-database');
+const { createTempDir, removeTempDir } = require('../helpers/temp-dir');
+
+describe('SQLite-Speicheradapter', () => {
+    describe('createStorageAdapter', () => {
+        test('liefert den SQLite-Adapter für client sqlite', () => {
+            const adapter = createStorageAdapter({ client: 'sqlite', sqlitePath: ':memory:' });
+            expect(adapter).toBeInstanceOf(SqliteConnection);
+            expect(adapter.dialect).toBe('sqlite');
+        });
+
+        test('lehnt unbekannte Clients ab', () => {
+            expect(() => createStorageAdapter({ client: 'oracle' })).toThrow(/Unbekannter Datenbank-Client 'oracle'/);
+        });
+
+        test('DatabaseClient exportiert beide Adapterklassen', () => {
+            expect(DatabaseClient.modules.SqliteConnection).toBe(SqliteConnection);
+            expect(typeof DatabaseClient.modules.DatabaseConnection).toBe('function');
+        });
+    });
+
+    describe('SqliteConnection', () => {
+        let connection;
+
+        beforeEach(async () => {
+            connection = await createTestDatabase();
+        });
+
+        afterEach(async () => {
+            await connection.close();
+        });
+
+        test('legt die Pflichttabellen über die Migrationen an', async () => {
+            const { missingTables } = await connection.validateTables();
+            expect(missingTables).toEqual([]);
+            expect(await connection.tableExists('SchemaVersion')).toBe(true);
+        });
+
+        test('liefert Ergebnisse im Format von mssql', async () => {
+            const insert = await connection.query(
+                "INSERT INTO dbo.ScannBenutzer (BenutzerName, Vorname, EPC, xStatus) OUTPUT INSERTED.ID VALUES (N'mmuster', N'Max', ?, 0)",
+                [305419896]
+            );
+            expect(insert.recordset).toHaveLength(1);
+            expect(insert.rowsAffected).toEqual([1]);
+
+            const select = await connection.query('SELECT TOP 1 ID, BenutzerName, EPC FROM dbo.ScannBenutzer WHERE EPC = ?', [305419896]);
+            expect(select.recordset[0]).toMatchObject({ ID: insert.recordset[0].ID, BenutzerName: 'mmuster', EPC: 305419896 });
+        });
+
+        test('wandelt DATETIME2- und BIT-Spalten in Date und boolean', async () => {
+            const user = await connection.query("INSERT INTO ScannBenutzer (BenutzerName) OUTPUT INSERTED.ID VALUES ('a')");
+            await connection.query('INSERT INTO Sessions (UserID) VALUES (?)', [user.recordset[0].ID]);
+
+            const { recordset } = await connection.query('SELECT StartTS, EndTS, Active FROM Sessions');
+            expect(recordset[0].StartTS).toBeInstanceOf(Date);
+            expect(Math.abs(recordset[0].StartTS.getTime() - Date.now())).toBeLessThan(5000);
+            expect(recordset[0].EndTS).toBeNull();
+            expect(recordset[0].Active).toBe(true);
+        });
+
+        test('bindet Date-, boolean- und null-Parameter', async () => {
+            const user = await connection.query("INSERT INTO ScannBenutzer (BenutzerName) OUTPUT INSERTED.ID VALUES ('b')");
+            const startTS = new Date(2024, 4, 6, 7, 8, 9, 10);
+
+            await connection.query(
+                'INSERT INTO Sessions (UserID, StartTS, EndTS, Active) VALUES (?, ?, ?, ?)',
+                [user.recordset[0].ID, startTS, null, false]
+            );
+
+            const { recordset } = await connection.query(`
+                SELECT StartTS, Active, CAST(StartTS AS DATE) AS Day,
+                       DATEDIFF(minute, StartTS, DATEADD(hour, 2, StartTS)) AS Minutes
+                FROM Sessions
+            `);
+            expect(recordset[0]).toMatchObject({ StartTS: startTS, Active: false, Day: '2024-05-06', Minutes: 120 });
+        });
+
+        test('blättert mit OFFSET/FETCH', async () => {
+            for (const name of ['a', 'b', 'c', 'd', 'e']) {
+                await connection.query('INSERT INTO ScannBenutzer (BenutzerName) VALUES (?)', [name]);
+            }
+
+            const { recordset } = await connection.query(
+                'SELECT BenutzerName FROM ScannBenutzer ORDER BY BenutzerName OFFSET 1 ROWS FETCH NEXT 2 ROWS ONLY'
+            );
+            expect(recordset.map(row => row.BenutzerName)).toEqual(['b', 'c']);
+        });
+
+        test('verteilt Parameter auf mehrere Anweisungen', async () => {
+            const result = await connection.query(`
+                INSERT INTO ScannBenutzer (BenutzerName) VALUES (?);
+                SELECT COUNT(*) AS Anzahl FROM ScannBenutzer WHERE BenutzerName = ?;
+            `, ['multi', 'multi']);
+
+            expect(result.rowsAffected).toEqual([1, 1]);
+            expect(result.recordset[0].Anzahl).toBe(1);
+        });
+
+        test('Transaktion wird bei Fehler zurückgerollt', async () => {
+            await expect(connection.transaction(async (tx) => {
+                await tx.query("INSERT INTO ScannBenutzer (BenutzerName) VALUES ('rollback')");
+                throw new Error('Abbruch');
+            })).rejects.toThrow('Abbruch');
+
+            const { recordset } = await connection.query("SELECT COUNT(*) AS Anzahl FROM ScannBenutzer WHERE BenutzerName = 'rollback'");
+            expect(recordset[0].Anzahl).toBe(0);
+        });
+
+        test('Transaktion akzeptiert benannte Parameter wie mssql', async () => {
+            const id = await connection.transaction(async (tx) => {
+                const result = await tx.query(
+                    'INSERT INTO ScannBenutzer (BenutzerName, Email) OUTPUT INSERTED.ID VALUES (@name, @email)',
+                    { name: { value: 'named' }, email: { value: null } }
+                );
+                return result.recordset[0].ID;
+            });
+
+            const { recordset } = await connection.query('SELECT BenutzerName, Email FROM ScannBenutzer WHERE ID = ?', [id]);
+            expect(recordset[0]).toEqual({ BenutzerName: 'named', Email: null });
+        });
+
+        test('ping und Status nach dem Schließen', async () => {
+            expect(await connection.ping()).toBe(true);
+            await connection.close();
+            expect(await connection.ping()).toBe(false);
+            expect(connection.getConnectionStatus().connected).toBe(false);
+            await expect(connection.query('SELECT 1')).rejects.toThrow('Datenbank nicht verbunden');
+        });
+    });
+
+    describe('DatabaseClient mit SQLite-Datei', () => {
+        let tempDir;
+        let client;
+
+        beforeEach(async () => {
+            tempDir = createTempDir();
+            const sqlitePath = path.join(tempDir, 'station.sqlite');
+
+            const migrated = await createTestDatabase({ sqlitePath });
+            await migrated.close();
+
+            client = new DatabaseClient({ client: 'sqlite', sqlitePath });
+            await client.connect();
+        });
+
+        afterEach(async () => {
+            await client.close();
+            removeTempDir(tempDir);
+        });
+
+        test('initialisiert die SessionTypes', async () => {
+            expect(client.dialect).toBe('sqlite');
+            expect(client.sessionTypesInitialized).toBe(true);
+
+            const types = await client.getSessionTypes();
+            expect(types.map(type => type.TypeName)).toContain('Wareneinlagerung');
+        });
+
+        test('Benutzer, Session und QR-Scan über die Module', async () => {
+            const userId = await client.createUser({
+                benutzerName: 'pruefer', vorname: 'Paula', nachname: 'Prüfer', email: null, abteilung: 'QS', rolle: 'operator'
+            });
+            await client.query('UPDATE ScannBenutzer SET EPC = ? WHERE ID = ?', [3735928559, userId]);
+
+            const user = await client.getUserByEPC('DEADBEEF');
+            expect(user).toMatchObject({ ID: userId, Vorname: 'Paula' });
+
+            const session = await client.createSession(userId);
+            expect(session.UserID).toBe(userId);
+            expect((await client.getActiveSessionByUserId(userId)).ID).toBe(session.ID);
+
+            const scan = await client.saveQRScan(session.ID, 'AUFTRAG-4711');
+            expect(scan.success).toBe(true);
+
+            const duplicate = await client.saveQRScan(session.ID, 'AUFTRAG-4711');
+            expect(duplicate.success).toBe(false);
+
+            const scans = await client.getQRScansBySession(session.ID);
+            expect(scans).toHaveLength(1);
+            expect(scans[0].RawPayload).toBe('AUFTRAG-4711');
+
+            expect(await client.endSession(session.ID)).toBeTruthy();
+            expect(await client.getActiveSessionByUserId(userId)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,20 @@
+/**
+ * Jest-Setup für alle Tests
+ *
+ * Die Module protokollieren jede Query und jeden Schritt über die Konsole. Damit die
+ * Testausgabe lesbar bleibt, werden log/info/debug stummgeschaltet; Warnungen und Fehler
+ * bleiben sichtbar. Mit TEST_VERBOSE=true erscheint die vollständige Ausgabe.
+ */
+
+process.env.NODE_ENV = 'test';
+
+beforeEach(() => {
+    if (process.env.TEST_VERBOSE === 'true') {
+        return;
+    }
+
+    // restoreMocks stellt die Konsole nach jedem Test wieder her
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'debug').mockImplementation(() => {});
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests für die benannten Datenbank-Operationen des Renderers (db/db-ipc-operations.js)
+ */
+
+const DatabaseIPCOperations = require('../../db/db-ipc-operations');
+
+describe('DatabaseIPCOperations', () => {
+    let dbClient;
+    let operations;
+
+    beforeEach(() => {
+        dbClient = {
+            getUserByEPC: jest.fn().mockResolvedValue({ ID: 1, BenutzerName: 'mmuster' })
+        };
+        operations = new DatabaseIPCOperations({ getClient: () => dbClient });
+    });
+
+    describe('db-get-user-by-epc', () => {
+        test.each([
+            ['hex', '04A1B2C3'],
+            ['dezimal', '77705923'],
+            ['dezimal, 7-Byte-UID', '36028797018963967'],
+            ['Wiegand', '161:45763'],
+            ['Wiegand mit Bindestrich', '161-45763']
+        ])('nimmt %s an (%s)', async (label, tagId) => {
+            const result = await operations.execute('db-get-user-by-epc', { tagId: ` ${tagId} ` });
+
+            expect(result).toMatchObject({ success: true, status: 'ok', data: { ID: 1 } });
+            expect(dbClient.getUserByEPC).toHaveBeenCalledWith(tagId);
+        });
+
+        test.each([
+            ['SQL', "1' OR '1'='1"],
+            ['zu lang', '1'.repeat(20)],
+            ['fremde Zeichen', '04A1-B2C3']
+        ])('weist %s ab', async (label, tagId) => {
+            const result = await operations.execute('db-get-user-by-epc', { tagId });
+
+            expect(result).toMatchObject({ success: false, status: 'invalid_input' });
+            expect(result.message).toMatch(/Wiegand FFF:CCCCC/);
+            expect(dbClient.getUserByEPC).not.toHaveBeenCalled();
+        });
+
+        test('kein Treffer ergibt not_found', async () => {
+            dbClient.getUserByEPC.mockResolvedValue(null);
+
+            const result = await operations.execute('db-get-user-by-epc', { tagId: '161:45763' });
+            expect(result).toMatchObject({ success: false, status: 'not_found', message: 'Kein aktiver Benutzer für RFID-Tag 161:45763' });
+        });
+    });
+
+    test('unbekannte Felder und Kanäle werden abgewiesen', async () => {
+        expect(await operations.execute('db-get-user-by-epc', { tagId: 'AA', sql: 'DROP' }))
+            .toMatchObject({ status: 'invalid_input', message: 'Unbekanntes Feld: sql' });
+        expect(await operations.execute('db-query', {})).toMatchObject({ status: 'unknown_operation' });
+    });
+});
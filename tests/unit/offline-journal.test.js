@@ -0,0 +1,119 @@
+/**
+ * Tests für das Offline-Journal (db/offline/offline-journal.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OfflineJournal = require('../../db/offline/offline-journal');
+const { createTempDir, removeTempDir } = require('../helpers/temp-dir');
+
+describe('OfflineJournal', () => {
+    let directory;
+    let journal;
+
+    const reload = () => {
+        const reloaded = new OfflineJournal({ directory });
+        reloaded.initialize();
+        return reloaded;
+    };
+
+    beforeEach(() => {
+        directory = createTempDir();
+        journal = new OfflineJournal({ directory });
+        expect(journal.initialize()).toBe(true);
+    });
+
+    afterEach(() => {
+        removeTempDir(directory);
+    });
+
+    test('append vergibt fortlaufende provisorische IDs', () => {
+        const login = journal.append('rfid_login', { userId: 7 });
+        const scan = journal.append('qr_scan', { sessionId: login.provisionalId, payload: 'A-1' });
+
+        expect(login).toMatchObject({ seq: 1, provisionalId: -1, type: 'rfid_login' });
+        expect(scan).toMatchObject({ seq: 2, provisionalId: -2, payload: { sessionId: -1 } });
+        expect(journal.getPendingCount()).toBe(2);
+    });
+
+    test('append ohne initialize wird abgelehnt', () => {
+        expect(() => new OfflineJournal({ directory }).append('qr_scan')).toThrow('Offline-Journal nicht initialisiert');
+    });
+
+    test('offene Einträge und aufgelöste IDs überstehen einen Neustart', () => {
+        const login = journal.append('rfid_login', { userId: 7 });
+        journal.append('qr_scan', { sessionId: login.provisionalId, payload: 'A-1' });
+        journal.acknowledge(login.seq, { status: 'saved', provisionalId: login.provisionalId, resolvedId: 4711 });
+
+        const reloaded = reload();
+        expect(reloaded.getPendingEntries().map(entry => entry.type)).toEqual(['qr_scan']);
+        expect(reloaded.resolveId(-1)).toBe(4711);
+        expect(reloaded.append('qr_scan', {}).seq).toBe(3);
+    });
+
+    test('resolveId gibt echte IDs unverändert und unbekannte provisorische als null zurück', () => {
+        expect(journal.resolveId(12)).toBe(12);
+        expect(journal.resolveId(-5)).toBeNull();
+        expect(journal.isProvisionalId(-5)).toBe(true);
+        expect(journal.isProvisionalId(5)).toBe(false);
+    });
+
+    test('unvollständige Zeilen nach Stromausfall werden übersprungen', () => {
+        journal.append('qr_scan', { payload: 'A-1' });
+        fs.appendFileSync(journal.journalFile, '{"kind":"entry","seq":2,"ty');
+
+        const reloaded = reload();
+        expect(reloaded.getPendingCount()).toBe(1);
+        expect(reloaded.append('qr_scan', {}).seq).toBe(2);
+    });
+
+    test('compact leert das Journal und behält die Sequenznummer', () => {
+        const entry = journal.append('qr_scan', { payload: 'A-1' });
+        expect(journal.compact()).toBe(false);
+
+        journal.acknowledge(entry.seq, { status: 'saved', provisionalId: entry.provisionalId, resolvedId: 9 });
+        expect(journal.compact()).toBe(true);
+
+        const lines = fs.readFileSync(journal.journalFile, 'utf8').trim().split('\n');
+        expect(lines).toEqual([JSON.stringify({ kind: 'meta', sequence: 1 })]);
+        expect(reload().append('qr_scan', {}).provisionalId).toBe(-2);
+    });
+
+    test('getPendingQCSteps liefert nur offline gestartete, nicht abgeschlossene Schritte', () => {
+        const first = journal.append('qc_start', { sessionId: -1, qrCode: 'A-1', scanId: -2 });
+        journal.append('qc_start', { sessionId: -1, qrCode: 'A-2', scanId: -3 });
+        journal.append('qc_start', { sessionId: 99, qrCode: 'B-1', scanId: 5 });
+        journal.append('qc_complete', { sessionId: -1, qrCode: 'A-1', stepId: first.provisionalId });
+
+        expect(journal.getPendingQCSteps(-1)).toEqual([
+            expect.objectContaining({ ID: -2, QrCode: 'A-2', StartScanID: -3, Completed: 0, Offline: true })
+        ]);
+    });
+
+    test('recordConflict schreibt in die Konflikt-Datei', () => {
+        journal.recordConflict({ seq: 3, status: 'duplicate_database', message: 'Duplikat' });
+
+        const conflict = JSON.parse(fs.readFileSync(path.join(directory, 'replay-conflicts.jsonl'), 'utf8'));
+        expect(conflict).toMatchObject({ seq: 3, status: 'duplicate_database' });
+        expect(conflict.reportedAt).toEqual(expect.any(String));
+    });
+
+    test('Benutzer-Cache wird gespeichert und nach Neustart geladen', () => {
+        journal.replaceUsers([
+            { ID: 1, BenutzerName: 'mmuster', EPC: 3735928559, Rolle: 'operator', Passwort: 'nicht speichern' },
+            { ID: 2, BenutzerName: 'ohne-badge', EPC: null }
+        ]);
+
+        const reloaded = reload();
+        expect(reloaded.getStatus().cachedUsers).toBe(1);
+        expect(reloaded.userCache.get('3735928559')).toEqual({ ID: 1, BenutzerName: 'mmuster', EPC: 3735928559, Rolle: 'operator' });
+    });
+
+    test('lookupUser findet Benutzer nur im Leser-Format', () => {
+        journal.replaceUsers([{ ID: 1, BenutzerName: 'mmuster', EPC: 3735928559 }]);
+
+        expect(journal.lookupUser('DEADBEEF')).toMatchObject({ ID: 1 });
+        expect(journal.lookupUser('EFBEADDE')).toBeNull(); // vertauschte Byte-Reihenfolge nur mit RFID_TAG_MATCH_ALTERNATIVES=true
+        expect(journal.lookupUser('kein Tag')).toBeNull();
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * Tests für das Nachspielen des Offline-Journals (logic/offline-replay.js)
+ *
+ * Datenbank und QC-Logik sind durch einfache Attrappen ersetzt; das Journal ist echt.
+ */
+
+const OfflineJournal = require('../../db/offline/offline-journal');
+const OfflineReplay = require('../../logic/offline-replay');
+const { createTempDir, removeTempDir } = require('../helpers/temp-dir');
+
+describe('OfflineReplay', () => {
+    let directory;
+    let journal;
+    let replay;
+    let context;
+    let openSteps;
+    let checklistComplete;
+
+    beforeEach(() => {
+        directory = createTempDir();
+        journal = new OfflineJournal({ directory });
+        journal.initialize();
+        replay = new OfflineReplay(journal, { maxAttempts: 2 });
+
+        let nextScanId = 100;
+        openSteps = new Map(); // qrCode -> Schritt
+        checklistComplete = true;
+
+        context = {
+            dbClient: {
+                query: jest.fn().mockResolvedValue({ recordset: [], rowsAffected: [1] }),
+                endSession: jest.fn().mockResolvedValue(true),
+                saveQRScan: jest.fn().mockImplementation(async (sessionId, payload) => {
+                    if (payload === 'DOPPELT') {
+                        return { success: false, status: 'duplicate_database', message: 'Bereits erfasst' };
+                    }
+                    return { success: true, status: 'saved', data: { ID: nextScanId++ } };
+                })
+            },
+            qualityControlLogic: {
+                abortActiveStepsForSession: jest.fn().mockResolvedValue(0),
+                findOpenStepForScan: jest.fn().mockImplementation(async (sessionId, qrCode) => openSteps.get(qrCode) || null),
+                startQCStep: jest.fn().mockImplementation(async (sessionId, qrCode) => {
+                    const step = { ID: 500 + openSteps.size, SessionID: sessionId, QrCode: qrCode };
+                    openSteps.set(qrCode, step);
+                    return step;
+                }),
+                getChecklistForStep: jest.fn().mockImplementation(async (step) => ({
+                    stepId: step.ID,
+                    complete: checklistComplete,
+                    openMandatory: checklistComplete ? [] : [{ stage: 'Sichtprüfung', text: 'Verpackung unbeschädigt' }]
+                })),
+                completeQCStep: jest.fn().mockImplementation(async (sessionId, qrCode) => {
+                    const step = openSteps.get(qrCode);
+                    if (!step) return null;
+                    openSteps.delete(qrCode);
+                    return { ...step, Completed: 1 };
+                })
+            },
+            qualityControlQueries: {
+                restoreStepTimestamps: jest.fn().mockResolvedValue(true)
+            },
+            createSession: jest.fn().mockResolvedValue({ session: { ID: 42 }, sessionTypeName: 'Wareneinlagerung' })
+        };
+    });
+
+    afterEach(() => {
+        removeTempDir(directory);
+    });
+
+    /**
+     * Offline-Ablauf: Anmeldung, Eingang-Scan + QC-Start, Ausgang-Scan + QC-Abschluss
+     */
+    const recordOfflineInspection = (qrCode = 'PAKET-1') => {
+        const login = journal.append('rfid_login', { userId: 7, sessionType: 'Wareneinlagerung' });
+        const entryScan = journal.append('qr_scan', { sessionId: login.provisionalId, payload: qrCode });
+        const start = journal.append('qc_start', { sessionId: login.provisionalId, qrCode, scanId: entryScan.provisionalId });
+        const exitScan = journal.append('qr_scan', { sessionId: login.provisionalId, payload: `${qrCode}#2` });
+        journal.append('qc_complete', {
+            sessionId: login.provisionalId,
+            qrCode,
+            scanId: exitScan.provisionalId,
+            stepId: start.provisionalId,
+            qualityData: { rating: 4 }
+        });
+        return login;
+    };
+
+    test('überträgt einen vollständigen Offline-Ablauf und löst provisorische IDs auf', async () => {
+        const login = recordOfflineInspection();
+
+        const report = await replay.replay(context);
+
+        expect(report).toMatchObject({ processed: 5, saved: 5, conflicts: [], remaining: 0, aborted: false });
+        expect(report.sessionMappings).toEqual([expect.objectContaining({ provisionalId: login.provisionalId, sessionId: 42 })]);
+        expect(journal.resolveId(login.provisionalId)).toBe(42);
+        expect(context.dbClient.saveQRScan).toHaveBeenCalledWith(42, 'PAKET-1', { capturedAt: expect.any(String) });
+        expect(context.qualityControlLogic.completeQCStep).toHaveBeenCalledWith(
+            42, 'PAKET-1', 101, { rating: 4 }, expect.objectContaining({ QrCode: 'PAKET-1' })
+        );
+        expect(journal.getPendingCount()).toBe(0);
+    });
+
+    test('offene Pflichtpunkte der Checkliste ergeben einen Konflikt statt eines Abschlusses', async () => {
+        checklistComplete = false;
+        recordOfflineInspection();
+
+        const report = await replay.replay(context);
+
+        expect(report.saved).toBe(4);
+        expect(report.conflicts).toEqual([expect.objectContaining({
+            type: 'qc_complete',
+            status: 'checklist_incomplete',
+            stepId: 500,
+            openMandatory: ['Sichtprüfung - Verpackung unbeschädigt']
+        })]);
+        expect(context.qualityControlLogic.completeQCStep).not.toHaveBeenCalled();
+        expect(openSteps.has('PAKET-1')).toBe(true);
+    });
+
+    test('Duplikate werden als Konflikt protokolliert und quittiert', async () => {
+        const login = journal.append('rfid_login', { userId: 7 });
+        journal.append('qr_scan', { sessionId: login.provisionalId, payload: 'DOPPELT' });
+
+        const report = await replay.replay(context);
+
+        expect(report.conflicts).toEqual([expect.objectContaining({ status: 'duplicate_database', message: 'Bereits erfasst' })]);
+        expect(journal.getPendingCount()).toBe(0);
+    });
+
+    test('Einträge ohne übernommene Session werden nicht nachgespielt', async () => {
+        journal.append('qr_scan', { sessionId: -99, payload: 'A-1' });
+
+        const report = await replay.replay(context);
+
+        expect(report.conflicts[0]).toMatchObject({ status: 'session_unresolved' });
+        expect(context.dbClient.saveQRScan).not.toHaveBeenCalled();
+    });
+
+    test('technische Fehler brechen ab und werden nach maxAttempts zum Konflikt', async () => {
+        journal.append('qr_scan', { sessionId: 42, payload: 'A-1' });
+        context.dbClient.saveQRScan.mockResolvedValue({ success: false, status: 'error', message: 'Timeout' });
+
+        const first = await replay.replay(context);
+        expect(first).toMatchObject({ aborted: true, error: 'Timeout', processed: 0, remaining: 1 });
+        expect(journal.getPendingCount()).toBe(1);
+
+        const second = await replay.replay(context);
+        expect(second.conflicts[0]).toMatchObject({ status: 'replay_failed' });
+        expect(journal.getPendingCount()).toBe(0);
+    });
+
+    test('läuft nicht parallel', async () => {
+        replay.isReplaying = true;
+        expect(await replay.replay(context)).toBeNull();
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests für den QR-Encoder des PDF-Etiketts (reports/qr-matrix.js)
+ *
+ * Die erzeugten Matrizen werden mit jsQR als unabhängigem Decoder zurückgelesen.
+ */
+
+const jsQR = require('jsqr');
+const { createQRMatrix, MAX_VERSION } = require('../../reports/qr-matrix');
+
+const QUIET_ZONE = 4;
+const SCALE = 4;
+
+/**
+ * Matrix mit Ruhezone als RGBA-Bild rendern und dekodieren
+ * @returns {Object|null} - jsQR-Ergebnis
+ */
+const decode = (modules) => {
+    const size = (modules.length + QUIET_ZONE * 2) * SCALE;
+    const pixels = new Uint8ClampedArray(size * size * 4).fill(255);
+
+    modules.forEach((row, r) => row.forEach((dark, c) => {
+        if (!dark) return;
+        for (let y = 0; y < SCALE; y++) {
+            for (let x = 0; x < SCALE; x++) {
+                const offset = (((r + QUIET_ZONE) * SCALE + y) * size + (c + QUIET_ZONE) * SCALE + x) * 4;
+                pixels.fill(0, offset, offset + 3);
+            }
+        }
+    }));
+
+    return jsQR(pixels, size, size, { inversionAttempts: 'dontInvert' });
+};
+
+const versionOf = (modules) => (modules.length - 17) / 4;
+
+// Formatinformation (15 Bit) um das Suchmuster oben links, höchstwertiges Bit zuerst
+const readFormatBits = (modules) => {
+    const positions = [
+        [8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8],
+        [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]
+    ];
+    return positions.reduce((bits, [row, col]) => (bits << 1) | (modules[row][col] ? 1 : 0), 0);
+};
+
+describe('createQRMatrix', () => {
+    test.each([
+        ['kurzer Text', 'QC-4711'],
+        ['Umlaute (UTF-8)', 'Prüfung bestanden: Größe XL, Maß 12 µm'],
+        ['Etiketten-Rohdaten', 'ORDER=A-2024-0815|PKG=3|QC=OK|BY=mmuster|TS=2024-05-06T07:08:09'],
+        ['GS1 mit Gruppentrennzeichen', '0104012345678901\u001d10CHARGE-7\u001d21SN123'],
+        ['Version ab 7 (Versionsinformation)', 'X'.repeat(150)],
+        ['Version ab 10 (16-Bit-Länge)', 'Y'.repeat(260)]
+    ])('%s lässt sich dekodieren', (label, text) => {
+        const modules = createQRMatrix(text);
+        const result = decode(modules);
+
+        expect(result).not.toBeNull();
+        expect(result.data).toBe(text);
+        expect(result.version).toBe(versionOf(modules));
+    });
+
+    test.each([0, 1, 2, 3, 4, 5, 6, 7])('feste Maske %i ist lesbar', (mask) => {
+        expect(decode(createQRMatrix('Maske', { mask })).data).toBe('Maske');
+    });
+
+    test('wählt die kleinste passende Version', () => {
+        // Version 1-M: 16 Datenwörter, davon 2 für Modus und Länge
+        expect(createQRMatrix('A'.repeat(14))).toHaveLength(21);
+        expect(createQRMatrix('A'.repeat(15))).toHaveLength(25);
+        expect(createQRMatrix('')).toHaveLength(21);
+    });
+
+    test('Formatinformation für Fehlerkorrektur M entspricht der Norm', () => {
+        // ISO/IEC 18004, Tabelle C.1: M mit Maske 0 bzw. 5
+        expect(readFormatBits(createQRMatrix('A', { mask: 0 }))).toBe(0b101010000010010);
+        expect(readFormatBits(createQRMatrix('A', { mask: 5 }))).toBe(0b100000011001110);
+    });
+
+    test('Versionsinformation für Version 7 entspricht der Norm', () => {
+        const modules = createQRMatrix('V'.repeat(110));
+        expect(versionOf(modules)).toBe(7);
+
+        // 6x3-Block unten links, niederwertiges Bit zuerst (ISO/IEC 18004, Tabelle D.1: 0x07C94)
+        let bits = 0;
+        for (let i = 17; i >= 0; i--) {
+            bits = (bits << 1) | (modules[modules.length - 11 + (i % 3)][Math.floor(i / 3)] ? 1 : 0);
+        }
+        expect(bits).toBe(0x07C94);
+    });
+
+    test('Suchmuster und dunkles Modul sitzen an ihrer Stelle', () => {
+        const modules = createQRMatrix('Suchmuster');
+        const size = modules.length;
+        const finderRow = [true, true, true, true, true, true, true, false];
+
+        expect(modules[0].slice(0, 8)).toEqual(finderRow);
+        expect(modules[0].slice(size - 8).reverse()).toEqual(finderRow);
+        expect(modules[size - 1].slice(0, 8)).toEqual(finderRow);
+        expect(modules[size - 8][8]).toBe(true);
+    });
+
+    test('zu lange Inhalte werden abgelehnt', () => {
+        expect(() => createQRMatrix('Z'.repeat(667))).toThrow(`maximal Version ${MAX_VERSION}`);
+        expect(createQRMatrix('Z'.repeat(666))).toHaveLength(MAX_VERSION * 4 + 17);
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests für die Tag-Normalisierung (utils/rfid-tag-format.js)
+ *
+ * Beispiel-Badge aus dem README: UID 0x04A1B2C3 = 77705923, Wiegand 161:45763
+ */
+
+const RFIDTagFormat = require('../../utils/rfid-tag-format');
+
+const UID = '77705923';
+
+describe('RFIDTagFormat', () => {
+    const ENV_KEYS = ['RFID_TAG_INPUT_FORMAT', 'RFID_TAG_MATCH_ALTERNATIVES', 'RFID_TAG_MATCH_WIEGAND'];
+    const originalEnv = {};
+
+    beforeEach(() => {
+        for (const key of ENV_KEYS) {
+            originalEnv[key] = process.env[key];
+            delete process.env[key];
+        }
+    });
+
+    afterEach(() => {
+        for (const key of ENV_KEYS) {
+            if (originalEnv[key] === undefined) {
+                delete process.env[key];
+            } else {
+                process.env[key] = originalEnv[key];
+            }
+        }
+    });
+
+    describe('normalize', () => {
+        const format = new RFIDTagFormat();
+
+        test.each([
+            ['hex', '04A1B2C3'],
+            ['hex', '04a1b2c3 '],
+            ['hex-reversed', 'C3B2A104'],
+            ['decimal', '77705923'],
+            ['wiegand26', '16145763'],
+            ['wiegand26', '161:45763']
+        ])('%s "%s"', (inputFormat, tagId) => {
+            const expected = inputFormat === 'wiegand26' ? String(0xA1B2C3) : UID;
+            expect(format.normalize(tagId, inputFormat)).toBe(expected);
+        });
+
+        test('hex-reversed ergänzt ungerade Längen um eine führende Null', () => {
+            expect(format.normalize('3B2A104', 'hex-reversed')).toBe(String(0x04A1B203));
+        });
+
+        test.each([
+            ['hex', ''],
+            ['hex', '0000'],
+            ['hex', 'XYZ'],
+            ['hex', '8000000000000000'],
+            ['hex', '1'.repeat(17)],
+            ['decimal', '12A'],
+            ['wiegand26', '256:00001'],
+            ['wiegand26', '161:65536']
+        ])('%s "%s" ist ungültig', (inputFormat, tagId) => {
+            expect(format.normalize(tagId, inputFormat)).toBeNull();
+        });
+
+        test('größter BIGINT-Wert ist noch gültig', () => {
+            expect(format.normalize('7FFFFFFFFFFFFFFF', 'hex')).toBe('9223372036854775807');
+        });
+    });
+
+    describe('Konfiguration', () => {
+        test('Standard: hex, keine alternativen Darstellungen, kein Wiegand-Abgleich', () => {
+            expect(new RFIDTagFormat().getConfig()).toEqual({ inputFormat: 'hex', matchAlternatives: false, matchWiegand: false });
+        });
+
+        test('Umgebungsvariablen schalten Alternativen und Wiegand zu', () => {
+            process.env.RFID_TAG_INPUT_FORMAT = 'Decimal';
+            process.env.RFID_TAG_MATCH_ALTERNATIVES = 'true';
+            process.env.RFID_TAG_MATCH_WIEGAND = 'true';
+
+            expect(new RFIDTagFormat().getConfig()).toEqual({ inputFormat: 'decimal', matchAlternatives: true, matchWiegand: true });
+        });
+
+        test('wiegand26 gleicht immer über Wiegand ab, unbekannte Formate fallen auf hex zurück', () => {
+            expect(new RFIDTagFormat({ inputFormat: 'wiegand26' }).matchWiegand).toBe(true);
+            expect(new RFIDTagFormat({ inputFormat: 'base64' }).inputFormat).toBe('hex');
+        });
+    });
+
+    describe('getCandidates', () => {
+        test('ohne Alternativen nur das Leser-Format', () => {
+            expect(new RFIDTagFormat().getCandidates('12345678')).toEqual([{ format: 'hex', epc: String(0x12345678) }]);
+        });
+
+        test('mit Alternativen alle lesbaren Darstellungen ohne doppelte Werte', () => {
+            const format = new RFIDTagFormat({ matchAlternatives: true });
+
+            expect(format.getCandidates('12345678')).toEqual([
+                { format: 'hex', epc: String(0x12345678) },
+                { format: 'hex-reversed', epc: String(0x78563412) },
+                { format: 'decimal', epc: '12345678' }
+            ]);
+            expect(format.getCandidates('AA').map(candidate => candidate.format)).toEqual(['hex']);
+        });
+
+        test('nicht lesbarer Tag ergibt keine Kandidaten', () => {
+            expect(new RFIDTagFormat({ matchAlternatives: true }).getCandidates('ZZ')).toEqual([]);
+        });
+    });
+
+    describe('Wiegand', () => {
+        test('getWiegandValue nur mit aktivem Wiegand-Abgleich', () => {
+            expect(new RFIDTagFormat().getWiegandValue('04A1B2C3')).toBeNull();
+
+            const format = new RFIDTagFormat({ matchWiegand: true });
+            expect(format.getWiegandValue('04A1B2C3')).toBe(0xA1B2C3);
+            expect(format.getWiegandValue('161:45763')).toBe(0xA1B2C3);
+        });
+
+        test('toWiegand und toHex zeigen gespeicherte Werte an', () => {
+            const format = new RFIDTagFormat();
+            expect(format.toWiegand(UID)).toBe('161:45763');
+            expect(format.toHex(UID)).toBe('4A1B2C3');
+            expect(format.toHex(null)).toBeNull();
+        });
+
+        test('toQueryValue liefert große Werte als String', () => {
+            const format = new RFIDTagFormat();
+            expect(format.toQueryValue(UID)).toBe(77705923);
+            expect(format.toQueryValue('9223372036854775807')).toBe('9223372036854775807');
+            expect(format.toQueryValue(undefined)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests für die Protokolle serieller RFID-Leser (rfid/serial-protocols.js)
+ */
+
+const { createProtocol, R2000Protocol } = require('../../rfid/serial-protocols');
+const RFIDTagFormat = require('../../utils/rfid-tag-format');
+const RFIDReaderBase = require('../../rfid/rfid-reader-base');
+
+/**
+ * Tag-Rahmen der Echtzeit-Inventur wie vom Leser (PC-Wort mit EPC-Länge in Worten)
+ */
+const inventoryFrame = (epcHex) => {
+    const epc = [...Buffer.from(epcHex, 'hex')];
+    return R2000Protocol.buildFrame(0xFF, R2000Protocol.CMD_REAL_TIME_INVENTORY, [0x00, (epc.length / 2) << 3, 0x00, ...epc, 0x50]);
+};
+
+const EPC_96 = 'E28011700000020F1A2B3C4D';
+
+describe('R2000Protocol', () => {
+    const originalEpcBytes = process.env.RFID_UHF_EPC_BYTES;
+
+    afterEach(() => {
+        if (originalEpcBytes === undefined) {
+            delete process.env.RFID_UHF_EPC_BYTES;
+        } else {
+            process.env.RFID_UHF_EPC_BYTES = originalEpcBytes;
+        }
+    });
+
+    test('verwendet standardmäßig die letzten 7 Bytes einer 96-Bit-EPC', () => {
+        delete process.env.RFID_UHF_EPC_BYTES;
+        const protocol = createProtocol('uhf-r2000');
+
+        expect(protocol.decode(inventoryFrame(EPC_96))).toEqual(['00020F1A2B3C4D']);
+    });
+
+    test('der Standard-Tag passt zu Leser-Prüfung und BIGINT-Spalte', () => {
+        delete process.env.RFID_UHF_EPC_BYTES;
+        const [tagId] = new R2000Protocol().decode(inventoryFrame(EPC_96));
+
+        expect(new RFIDReaderBase().validateTag(tagId)).toBe(true);
+        expect(new RFIDTagFormat({ inputFormat: 'hex' }).normalize(tagId)).toBe(BigInt('0x00020F1A2B3C4D').toString());
+    });
+
+    test('kürzere EPCs bleiben vollständig', () => {
+        expect(new R2000Protocol({ epcBytes: 7 }).decode(inventoryFrame('1234ABCD'))).toEqual(['1234ABCD']);
+    });
+
+    test('RFID_UHF_EPC_BYTES außerhalb von 1-7 wird beim Start abgelehnt', () => {
+        process.env.RFID_UHF_EPC_BYTES = '0';
+        expect(() => createProtocol('uhf-r2000')).toThrow(/RFID_UHF_EPC_BYTES=0 ungültig/);
+
+        expect(() => new R2000Protocol({ epcBytes: 12 })).toThrow(/1-7 Bytes/);
+    });
+
+    test('Rahmen mit falscher Prüfsumme werden verworfen, der Rest wird gelesen', () => {
+        const broken = inventoryFrame(EPC_96);
+        broken[broken.length - 1] ^= 0xFF;
+
+        const protocol = new R2000Protocol({ epcBytes: 4 });
+        expect(protocol.decode(Buffer.concat([broken, inventoryFrame(EPC_96)]))).toEqual(['1A2B3C4D']);
+    });
+});
@@ -0,0 +1,189 @@
+/**
+ * Tests für die T-SQL → SQLite-Übersetzung (db/core/sqlite-dialect.js)
+ */
+
+const Database = require('better-sqlite3');
+const {
+    translateSQL,
+    splitStatements,
+    registerFunctions,
+    formatTimestamp,
+    parseTimestamp,
+    getDatabaseName
+} = require('../../db/core/sqlite-dialect');
+
+describe('sqlite-dialect', () => {
+    describe('translateSQL', () => {
+        test('entfernt dbo.-Präfixe und N-Literale', () => {
+            expect(translateSQL("SELECT * FROM dbo.Sessions s JOIN [dbo].QrScans q ON 1 = 1 WHERE s.Name = N'Prüfung'"))
+                .toEqual(["SELECT * FROM Sessions s JOIN QrScans q ON 1 = 1 WHERE s.Name = 'Prüfung'"]);
+        });
+
+        test('lässt Text-Literale unverändert, die wie N-Literale enden', () => {
+            expect(translateSQL("SELECT 'EIN'' N' AS Text")).toEqual(["SELECT 'EIN'' N' AS Text"]);
+        });
+
+        test('übersetzt TOP n in LIMIT n', () => {
+            expect(translateSQL('SELECT TOP 5 ID FROM Sessions ORDER BY ID DESC'))
+                .toEqual(['SELECT ID FROM Sessions ORDER BY ID DESC LIMIT 5']);
+            expect(translateSQL('SELECT DISTINCT TOP (3) UserID FROM Sessions'))
+                .toEqual(['SELECT DISTINCT UserID FROM Sessions LIMIT 3']);
+        });
+
+        test('setzt LIMIT bei Unterabfragen ans Ende der Klammer', () => {
+            expect(translateSQL('SELECT (SELECT TOP 1 ID FROM QrScans WHERE SessionID = s.ID ORDER BY ID DESC) AS LastID FROM Sessions s'))
+                .toEqual(['SELECT (SELECT ID FROM QrScans WHERE SessionID = s.ID ORDER BY ID DESC LIMIT 1) AS LastID FROM Sessions s']);
+        });
+
+        test('lehnt TOP mit Parameter ab', () => {
+            expect(() => translateSQL('SELECT TOP (?) ID FROM Sessions')).toThrow(/TOP mit Parameter/);
+        });
+
+        test('übersetzt OUTPUT INSERTED in RETURNING', () => {
+            expect(translateSQL('INSERT INTO Sessions (UserID) OUTPUT INSERTED.ID, INSERTED.StartTS VALUES (?)'))
+                .toEqual(['INSERT INTO Sessions (UserID) VALUES (?) RETURNING ID, StartTS']);
+        });
+
+        test('übersetzt OFFSET/FETCH in LIMIT/OFFSET', () => {
+            expect(translateSQL('SELECT ID FROM QrScans ORDER BY ID OFFSET 20 ROWS FETCH NEXT 10 ROWS ONLY'))
+                .toEqual(['SELECT ID FROM QrScans ORDER BY ID LIMIT 10 OFFSET 20']);
+        });
+
+        test('übersetzt CAST auf Datums- und Zeittypen', () => {
+            expect(translateSQL('SELECT CAST(StartTS AS DATE) AS Day, CAST(StartTS AS TIME) AS Clock, CAST(? AS DATETIME2(3)) AS Ts'))
+                .toEqual(['SELECT date(StartTS) AS Day, time(StartTS) AS Clock, (?) AS Ts']);
+        });
+
+        test('übersetzt verschachtelte CASTs und lässt andere Typen stehen', () => {
+            expect(translateSQL('SELECT CAST(CAST(GETDATE() AS DATE) AS NVARCHAR(20)) AS Text'))
+                .toEqual(['SELECT CAST(date(GETDATE()) AS NVARCHAR(20)) AS Text']);
+        });
+
+        test('setzt Datumsteile von DATEDIFF/DATEADD/DATEPART in Anführungszeichen', () => {
+            expect(translateSQL('SELECT DATEDIFF(minute, StartTS, GETDATE()), DATEADD(day, -7, GETDATE()), DATEPART(hour, StartTS) FROM Sessions'))
+                .toEqual(["SELECT DATEDIFF('minute', StartTS, GETDATE()), DATEADD('day', -7, GETDATE()), DATEPART('hour', StartTS) FROM Sessions"]);
+        });
+
+        test('ersetzt ISNULL, LEFT und Systemvariablen', () => {
+            expect(translateSQL('SELECT ISNULL(Name, LEFT(Code, 3)), @@SERVERNAME, @@VERSION'))
+                .toEqual(["SELECT IFNULL(Name, TSQL_LEFT(Code, 3)), 'localhost', ('SQLite ' || sqlite_version())"]);
+        });
+
+        test('trennt mehrere Anweisungen', () => {
+            expect(translateSQL('UPDATE Sessions SET Active = 0 WHERE ID = ?; SELECT TOP 1 ID FROM Sessions;'))
+                .toEqual(['UPDATE Sessions SET Active = 0 WHERE ID = ?', 'SELECT ID FROM Sessions LIMIT 1']);
+        });
+    });
+
+    describe('splitStatements', () => {
+        test('ignoriert Semikolons in Text-Literalen', () => {
+            expect(splitStatements("INSERT INTO Log (Text) VALUES ('a;b''c;'); SELECT 1"))
+                .toEqual(["INSERT INTO Log (Text) VALUES ('a;b''c;')", 'SELECT 1']);
+        });
+
+        test('verwirft leere Anweisungen', () => {
+            expect(splitStatements(' ; SELECT 1 ;; ')).toEqual(['SELECT 1']);
+        });
+    });
+
+    describe('Zeitstempel', () => {
+        test('formatTimestamp und parseTimestamp sind umkehrbar (lokale Zeit)', () => {
+            const date = new Date(2024, 2, 31, 7, 5, 9, 42);
+            expect(formatTimestamp(date)).toBe('2024-03-31 07:05:09.042');
+            expect(parseTimestamp('2024-03-31 07:05:09.042')).toEqual(date);
+        });
+
+        test('parseTimestamp versteht Datum, ISO-Format und Bruchteile mit 7 Stellen', () => {
+            expect(parseTimestamp('2024-01-02')).toEqual(new Date(2024, 0, 2));
+            expect(parseTimestamp('2024-01-02T03:04:05.1234567')).toEqual(new Date(2024, 0, 2, 3, 4, 5, 123));
+        });
+
+        test('parseTimestamp liefert null für leere und ungültige Werte', () => {
+            expect(parseTimestamp(null)).toBeNull();
+            expect(parseTimestamp(undefined)).toBeNull();
+            expect(parseTimestamp('kein Datum')).toBeNull();
+        });
+
+        test('getDatabaseName nutzt den Dateinamen ohne Endung', () => {
+            expect(getDatabaseName('/var/lib/qc/station-1.sqlite')).toBe('station-1');
+            expect(getDatabaseName(':memory:')).toBe('memory');
+        });
+    });
+
+    describe('registerFunctions', () => {
+        let db;
+
+        const scalar = (sql, ...params) => db.prepare(translateSQL(sql)[0]).pluck().get(...params);
+
+        beforeEach(() => {
+            db = new Database(':memory:');
+            db.defaultSafeIntegers(true);
+            registerFunctions(db, { databaseName: 'qc-test' });
+        });
+
+        afterEach(() => {
+            db.close();
+        });
+
+        test('GETDATE liefert die aktuelle lokale Zeit', () => {
+            const before = Date.now();
+            const value = parseTimestamp(scalar('SELECT GETDATE()'));
+            expect(value.getTime()).toBeGreaterThanOrEqual(before - 1);
+            expect(value.getTime()).toBeLessThanOrEqual(Date.now());
+        });
+
+        test('DATEDIFF zählt Grenzen wie SQL Server', () => {
+            expect(scalar("SELECT DATEDIFF(day, '2024-01-01 23:59:00', '2024-01-02 00:01:00')")).toBe(1n);
+            expect(scalar("SELECT DATEDIFF(year, '2023-12-31', '2024-01-01')")).toBe(1n);
+            expect(scalar("SELECT DATEDIFF(month, '2024-01-31', '2024-03-01')")).toBe(2n);
+            expect(scalar("SELECT DATEDIFF(minute, '2024-01-01 10:00:59', '2024-01-01 10:01:00')")).toBe(1n);
+            expect(scalar("SELECT DATEDIFF(mi, '2024-01-01 10:30:00', '2024-01-01 10:00:00')")).toBe(-30n);
+        });
+
+        test('DATEDIFF mit NULL ergibt NULL', () => {
+            expect(scalar("SELECT DATEDIFF(second, NULL, '2024-01-01')")).toBeNull();
+        });
+
+        test('DATEADD rechnet in lokaler Zeit', () => {
+            expect(scalar("SELECT DATEADD(day, 1, '2024-02-28 12:00:00')")).toBe('2024-02-29 12:00:00.000');
+            expect(scalar("SELECT DATEADD(month, 1, '2024-01-15')")).toBe('2024-02-15 00:00:00.000');
+            expect(scalar("SELECT DATEADD(minute, -90, '2024-01-01 01:00:00')")).toBe('2023-12-31 23:30:00.000');
+        });
+
+        test('DATEPART liefert Teile wie SQL Server (Woche beginnt Sonntag)', () => {
+            expect(scalar("SELECT DATEPART(weekday, '2024-01-07')")).toBe(1n);
+            expect(scalar("SELECT DATEPART(week, '2024-01-07')")).toBe(2n);
+            expect(scalar("SELECT DATEPART(dayofyear, '2024-03-01')")).toBe(61n);
+            expect(scalar("SELECT DATEPART(quarter, '2024-08-01')")).toBe(3n);
+        });
+
+        test('unbekannte Datumsteile werden abgelehnt', () => {
+            expect(() => scalar("SELECT DATEADD(fortnight, 1, '2024-01-01')")).toThrow(/fortnight/);
+        });
+
+        test('CAST AS DATE schneidet die Uhrzeit ab', () => {
+            expect(scalar("SELECT CAST('2024-05-06 13:14:15.000' AS DATE)")).toBe('2024-05-06');
+        });
+
+        test('JSON_VALUE und ISJSON verhalten sich wie im lax-Modus', () => {
+            const json = JSON.stringify({ order: { id: 'A-1', items: [{ qty: 3 }] }, ok: true });
+            expect(scalar("SELECT JSON_VALUE(?, '$.order.id')", json)).toBe('A-1');
+            expect(scalar("SELECT JSON_VALUE(?, '$.order.items[0].qty')", json)).toBe('3');
+            expect(scalar("SELECT JSON_VALUE(?, '$.ok')", json)).toBe('true');
+            expect(scalar("SELECT JSON_VALUE(?, '$.order')", json)).toBeNull();
+            expect(scalar("SELECT JSON_VALUE('{kaputt', '$.a')")).toBeNull();
+            expect(scalar("SELECT ISJSON('{\"a\":1}')")).toBe(1n);
+            expect(scalar("SELECT ISJSON('nein')")).toBe(0n);
+        });
+
+        test('CONCAT behandelt NULL als leeren Text', () => {
+            expect(scalar("SELECT CONCAT('QC-', NULL, 7)")).toBe('QC-7');
+        });
+
+        test('LEFT, ISNULL und DB_NAME', () => {
+            expect(scalar("SELECT LEFT('Wareneingang', 4)")).toBe('Ware');
+            expect(scalar("SELECT ISNULL(NULL, 'leer')")).toBe('leer');
+            expect(scalar('SELECT DB_NAME()')).toBe('qc-test');
+        });
+    });
+});
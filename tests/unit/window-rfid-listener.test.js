@@ -0,0 +1,111 @@
+/**
+ * Tests für den Fenster-RFID-Listener (rfid/window-rfid-listener.js)
+ *
+ * Electron ist durch eine Attrappe ersetzt: WebContents ist ein EventEmitter,
+ * der sendInputEvent aufzeichnet.
+ */
+
+const EventEmitter = require('events');
+const WindowRFIDListener = require('../../rfid/window-rfid-listener');
+
+const createContents = () => {
+    const contents = new EventEmitter();
+    contents.isDestroyed = () => false;
+    contents.sendInputEvent = jest.fn();
+    return contents;
+};
+
+describe('WindowRFIDListener', () => {
+    let contents;
+    let listener;
+    let tags;
+
+    /**
+     * Tastendruck wie before-input-event ihn liefert
+     * @returns {boolean} - true, wenn der Tastendruck verschluckt wurde
+     */
+    const press = (key) => {
+        const event = { preventDefault: jest.fn() };
+        contents.emit('before-input-event', event, { type: 'keyDown', key, isAutoRepeat: false });
+        return event.preventDefault.mock.calls.length > 0;
+    };
+
+    const replayedChars = () => contents.sendInputEvent.mock.calls
+        .filter(([input]) => input.type === 'char')
+        .map(([input]) => input.keyCode);
+
+    beforeEach(async () => {
+        jest.useFakeTimers();
+
+        contents = createContents();
+        tags = [];
+
+        const electron = {
+            app: new EventEmitter(),
+            webContents: { getAllWebContents: () => [contents] }
+        };
+
+        listener = new WindowRFIDListener(tagId => tags.push(tagId), { electron, maxKeyInterval: 50, minScanInterval: 100 });
+        await listener.start();
+    });
+
+    afterEach(async () => {
+        await listener.stop();
+        jest.useRealTimers();
+    });
+
+    test('verschluckt einen Tag samt Enter', () => {
+        const swallowed = [...'DEADBEEF', 'Enter'].map(press);
+
+        expect(swallowed.every(Boolean)).toBe(true);
+        expect(tags).toEqual(['DEADBEEF']);
+        expect(contents.sendInputEvent).not.toHaveBeenCalled();
+    });
+
+    test('gibt langsam getippte Hex-Zeichen nach dem Zeitfenster weiter', () => {
+        expect(press('a')).toBe(true);
+        jest.advanceTimersByTime(60);
+        expect(replayedChars()).toEqual(['a']);
+
+        // Weitergereichte Anschläge kommen wieder vorbei und bleiben unberührt
+        expect(press('a')).toBe(false);
+
+        expect(press('b')).toBe(true);
+        jest.advanceTimersByTime(60);
+        expect(press('b')).toBe(false);
+
+        expect(replayedChars()).toEqual(['a', 'b']);
+        expect(tags).toEqual([]);
+    });
+
+    test('kurze Hex-Folge mit Enter geht in der ursprünglichen Reihenfolge weiter', () => {
+        press('1');
+        press('2');
+        expect(press('Enter')).toBe(true);
+
+        expect(replayedChars()).toEqual(['1', '2', '\r']);
+        expect(tags).toEqual([]);
+    });
+
+    test('anderes Zeichen während einer Folge wird hinter den zurückgehaltenen eingereiht', () => {
+        press('A');
+        expect(press('x')).toBe(true);
+
+        expect(replayedChars()).toEqual(['A', 'x']);
+    });
+
+    test('Enter und andere Tasten ohne zurückgehaltene Zeichen bleiben unberührt', () => {
+        expect(press('Enter')).toBe(false);
+        expect(press('x')).toBe(false);
+        expect(press('Tab')).toBe(false);
+        expect(contents.sendInputEvent).not.toHaveBeenCalled();
+    });
+
+    test('stop gibt zurückgehaltene Zeichen frei und entfernt die Handler', async () => {
+        press('F');
+        await listener.stop();
+
+        expect(replayedChars()).toEqual(['F']);
+        expect(contents.listenerCount('before-input-event')).toBe(0);
+    });
+});
@@ -0,0 +1,200 @@
+/**
+ * RFIDTagFormat - Tag-IDs der Leser auf das gespeicherte EPC-Format abbilden
+ *
+ * Kanonische Form ist der dezimale Wert der Badge-UID in normaler Byte-Reihenfolge
+ * (so wie ScannBenutzer.EPC seit jeher gespeichert wird). Je nach Leser-Konfiguration
+ * kommt dieselbe Badge aber unterschiedlich an:
+ *
+ *   hex           - UID hexadezimal, höchstwertiges Byte zuerst (Standard)
+ *   hex-reversed  - UID hexadezimal, Byte-Reihenfolge vertauscht
+ *   decimal       - UID dezimal
+ *   wiegand26     - 26-Bit-Wiegand als "FFFCCCCC" bzw. "FFF:CCCCC" (Facility 0-255, Karte 0-65535)
+ *
+ * RFID_TAG_INPUT_FORMAT legt fest, wie die Station ihren Leser liest. Findet sich so
+ * kein Benutzer, werden die übrigen Darstellungen nur mit RFID_TAG_MATCH_ALTERNATIVES=true
+ * versucht (Übergangshilfe, bis die Badges umgestellt sind). Der Wiegand-Abgleich über
+ * die unteren 24 Bit der UID läuft nur mit RFID_TAG_MATCH_WIEGAND=true oder wenn die
+ * Station selbst Wiegand liest. Alternative Treffer zählen nur, wenn sie eindeutig sind.
+ */
+
+const FORMATS = ['hex', 'hex-reversed', 'decimal', 'wiegand26'];
+const UID_FORMATS = ['hex', 'hex-reversed', 'decimal'];
+
+// BIGINT-Spalte: größter speicherbarer Wert
+const MAX_EPC = (1n << 63n) - 1n;
+const WIEGAND_MASK = 0xFFFFFFn;
+
+let sharedFormat = null;
+
+class RFIDTagFormat {
+    constructor(options = {}) {
+        this.inputFormat = RFIDTagFormat.parseFormat(options.inputFormat || process.env.RFID_TAG_INPUT_FORMAT || 'hex');
+        this.matchAlternatives = options.matchAlternatives !== undefined
+            ? options.matchAlternatives
+            : process.env.RFID_TAG_MATCH_ALTERNATIVES === 'true';
+        this.matchWiegand = options.matchWiegand !== undefined
+            ? options.matchWiegand
+            : (process.env.RFID_TAG_MATCH_WIEGAND === 'true' || this.inputFormat === 'wiegand26');
+    }
+
+    static parseFormat(format) {
+        const normalized = String(format).trim().toLowerCase();
+
+        if (!FORMATS.includes(normalized)) {
+            console.warn(`⚠️ Unbekanntes RFID-Tag-Format "${format}" - verwende hex`);
+            return 'hex';
+        }
+
+        return normalized;
+    }
+
+    // ===== UMRECHNUNG =====
+
+    /**
+     * Tag-ID in einer bestimmten Darstellung lesen
+     * @param {string} tagId - Tag wie vom Leser
+     * @param {string} format - eine der FORMATS
+     * @returns {bigint|null} - UID-Wert bzw. 24-Bit-Wiegand-Wert
+     */
+    parse(tagId, format) {
+        const tag = String(tagId === null || tagId === undefined ? '' : tagId).trim().toUpperCase();
+        let value = null;
+
+        switch (format) {
+            case 'hex':
+                if (/^[0-9A-F]{1,16}$/.test(tag)) value = BigInt(`0x${tag}`);
+                break;
+
+            case 'hex-reversed':
+                if (/^[0-9A-F]{1,16}$/.test(tag)) {
+                    const bytes = (tag.length % 2 === 0 ? tag : `0${tag}`).match(/../g);
+                    value = BigInt(`0x${bytes.reverse().join('')}`);
+                }
+                break;
+
+            case 'decimal':
+                if (/^\d{1,19}$/.test(tag)) value = BigInt(tag);
+                break;
+
+            case 'wiegand26': {
+                const match = tag.match(/^(\d{3})[:,/-]?(\d{5})$/);
+                if (match) {
+                    const facility = BigInt(match[1]);
+                    const card = BigInt(match[2]);
+                    if (facility <= 255n && card <= 65535n) value = (facility << 16n) | card;
+                }
+                break;
+            }
+        }
+
+        return value !== null && value > 0n && value <= MAX_EPC ? value : null;
+    }
+
+    /**
+     * Tag-ID in die kanonische Form (dezimaler String) der Station umrechnen
+     * @returns {string|null}
+     */
+    normalize(tagId, format = this.inputFormat) {
+        const value = this.parse(tagId, format);
+        return value === null ? null : value.toString();
+    }
+
+    /**
+     * Kandidaten für den Benutzerabgleich: zuerst das konfigurierte Format, dann die Alternativen
+     * @returns {Array<Object>} - [{ format, epc }] ohne doppelte Werte
+     */
+    getCandidates(tagId) {
+        const formats = [this.inputFormat];
+        if (this.matchAlternatives) {
+            formats.push(...UID_FORMATS.filter(format => format !== this.inputFormat));
+        }
+
+        const candidates = [];
+        for (const format of formats) {
+            const epc = this.normalize(tagId, format);
+            if (epc !== null && !candidates.some(candidate => candidate.epc === epc)) {
+                candidates.push({ format, epc });
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * 24-Bit-Wert für den Wiegand-Abgleich (gegen EPC % 2^24)
+     * Wiegand-Leser liefern nur die unteren 24 Bit der UID als Facility/Karte.
+     * @returns {number|null}
+     */
+    getWiegandValue(tagId) {
+        if (!this.matchWiegand) {
+            return null;
+        }
+
+        const wiegand = this.parse(tagId, 'wiegand26');
+        if (wiegand !== null) {
+            return Number(wiegand);
+        }
+
+        const uid = this.parse(tagId, this.inputFormat);
+        return uid !== null ? Number(uid & WIEGAND_MASK) : null;
+    }
+
+    /**
+     * Wert für '?'-Parameter: Zahl solange exakt darstellbar, sonst dezimaler String
+     */
+    toQueryValue(epc) {
+        if (epc === null || epc === undefined) {
+            return null;
+        }
+
+        const value = BigInt(epc);
+        return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+    }
+
+    /**
+     * Gespeichertes EPC als Hex-Tag für die Anzeige
+     */
+    toHex(epc) {
+        if (epc === null || epc === undefined || epc === '') {
+            return null;
+        }
+
+        try {
+            return BigInt(epc).toString(16).toUpperCase();
+        } catch (error) {
+            return String(epc);
+        }
+    }
+
+    /**
+     * Gespeichertes EPC als 26-Bit-Wiegand "FFF:CCCCC" (untere 24 Bit)
+     */
+    toWiegand(epc) {
+        try {
+            const value = BigInt(epc) & WIEGAND_MASK;
+            return `${String(value >> 16n).padStart(3, '0')}:${String(value & 0xFFFFn).padStart(5, '0')}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getConfig() {
+        return {
+            inputFormat: this.inputFormat,
+            matchAlternatives: this.matchAlternatives,
+            matchWiegand: this.matchWiegand
+        };
+    }
+}
+
+RFIDTagFormat.FORMATS = FORMATS;
+RFIDTagFormat.WIEGAND_MODULUS = 16777216; // 2^24
+
+RFIDTagFormat.getShared = () => {
+    if (!sharedFormat) {
+        sharedFormat = new RFIDTagFormat();
+    }
+    return sharedFormat;
+};
+
+module.exports = RFIDTagFormat;